@@ -27,14 +27,6 @@ const TASKS_TABLE_COLUMN_MIGRATIONS = [
     columnName: 'redo_count',
     alterSql: `ALTER TABLE tasks ADD COLUMN redo_count INTEGER DEFAULT 0`,
   },
-  {
-    columnName: 'last_reminder_at',
-    alterSql: `ALTER TABLE tasks ADD COLUMN last_reminder_at DATETIME`,
-  },
-  {
-    columnName: 'last_reminder_kind',
-    alterSql: `ALTER TABLE tasks ADD COLUMN last_reminder_kind TEXT`,
-  },
   {
     columnName: 'completed_by_userid',
     alterSql: `ALTER TABLE tasks ADD COLUMN completed_by_userid TEXT`,
@@ -55,8 +47,511 @@ const TASKS_TABLE_COLUMN_MIGRATIONS = [
     columnName: 'owner_userid',
     alterSql: `ALTER TABLE tasks ADD COLUMN owner_userid TEXT`,
   },
+  {
+    columnName: 'series_id',
+    alterSql: `ALTER TABLE tasks ADD COLUMN series_id INTEGER`,
+  },
+  {
+    columnName: 'series_index',
+    alterSql: `ALTER TABLE tasks ADD COLUMN series_index INTEGER`,
+  },
+  {
+    columnName: 'completion_mode',
+    alterSql: `ALTER TABLE tasks ADD COLUMN completion_mode TEXT DEFAULT 'ALL'`,
+  },
+  {
+    columnName: 'current_stage_index',
+    alterSql: `ALTER TABLE tasks ADD COLUMN current_stage_index INTEGER DEFAULT 0`,
+  },
+  {
+    columnName: 'cancel_reason',
+    alterSql: `ALTER TABLE tasks ADD COLUMN cancel_reason TEXT`,
+  },
+  {
+    columnName: 'cancelled_at',
+    alterSql: `ALTER TABLE tasks ADD COLUMN cancelled_at DATETIME`,
+  },
+  {
+    columnName: 'archived_at',
+    alterSql: `ALTER TABLE tasks ADD COLUMN archived_at DATETIME`,
+  },
+  {
+    columnName: 'archived_from_status',
+    alterSql: `ALTER TABLE tasks ADD COLUMN archived_from_status TEXT`,
+  },
+  {
+    columnName: 'original_end_time',
+    alterSql: `ALTER TABLE tasks ADD COLUMN original_end_time DATETIME`,
+  },
+  {
+    columnName: 'extension_count',
+    alterSql: `ALTER TABLE tasks ADD COLUMN extension_count INTEGER DEFAULT 0`,
+  },
+  {
+    columnName: 'priority',
+    alterSql: `ALTER TABLE tasks ADD COLUMN priority TEXT DEFAULT 'P2'`,
+  },
+  {
+    columnName: 'project_id',
+    alterSql: `ALTER TABLE tasks ADD COLUMN project_id INTEGER`,
+  },
+  {
+    columnName: 'require_evidence',
+    alterSql: `ALTER TABLE tasks ADD COLUMN require_evidence INTEGER DEFAULT 0`,
+  },
+  {
+    columnName: 'quality_score',
+    alterSql: `ALTER TABLE tasks ADD COLUMN quality_score INTEGER`,
+  },
+  {
+    columnName: 'quality_comment',
+    alterSql: `ALTER TABLE tasks ADD COLUMN quality_comment TEXT`,
+  },
+  {
+    columnName: 'verify_requested_at',
+    alterSql: `ALTER TABLE tasks ADD COLUMN verify_requested_at DATETIME`,
+  },
+  {
+    columnName: 'last_verify_reminder_at',
+    alterSql: `ALTER TABLE tasks ADD COLUMN last_verify_reminder_at DATETIME`,
+  },
+  {
+    columnName: 'verify_timeout_action',
+    alterSql: `ALTER TABLE tasks ADD COLUMN verify_timeout_action TEXT`,
+  },
+  {
+    columnName: 'verify_timeout_hours',
+    alterSql: `ALTER TABLE tasks ADD COLUMN verify_timeout_hours INTEGER`,
+  },
+  {
+    columnName: 'backup_verifier_userid',
+    alterSql: `ALTER TABLE tasks ADD COLUMN backup_verifier_userid TEXT`,
+  },
+  {
+    columnName: 'rerouted_verifier_userid',
+    alterSql: `ALTER TABLE tasks ADD COLUMN rerouted_verifier_userid TEXT`,
+  },
+  {
+    columnName: 'schedule_end_time_pending',
+    alterSql: `ALTER TABLE tasks ADD COLUMN schedule_end_time_pending INTEGER DEFAULT 0`,
+  },
 ];
 
+// AUXILIARY_TABLE_SCHEMAS
+// 是什么：任务附属数据表建表配置。
+// 做什么：声明围绕 tasks 的扩展表及其索引，按顺序在启动时幂等创建。
+// 为什么：新能力以独立表承载历史与明细数据，避免继续膨胀 tasks 单表字段。
+const AUXILIARY_TABLE_SCHEMAS = [
+  {
+    tableName: 'task_events',
+    createSql: `CREATE TABLE IF NOT EXISTS task_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task_id INTEGER NOT NULL,
+      event_type TEXT NOT NULL,
+      actor_userid TEXT,
+      source TEXT,
+      from_status TEXT,
+      to_status TEXT,
+      reject_reason TEXT,
+      payload TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    indexSqls: [`CREATE INDEX IF NOT EXISTS idx_task_events_task_id ON task_events (task_id, id)`],
+  },
+  {
+    tableName: 'task_items',
+    createSql: `CREATE TABLE IF NOT EXISTS task_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task_id INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      is_done INTEGER DEFAULT 0,
+      is_required INTEGER DEFAULT 1,
+      assignee_userid TEXT,
+      sort_order INTEGER DEFAULT 0,
+      done_by_userid TEXT,
+      done_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    indexSqls: [`CREATE INDEX IF NOT EXISTS idx_task_items_task_id ON task_items (task_id, sort_order)`],
+  },
+  {
+    tableName: 'task_dependencies',
+    createSql: `CREATE TABLE IF NOT EXISTS task_dependencies (
+      task_id INTEGER NOT NULL,
+      depends_on_task_id INTEGER NOT NULL,
+      created_by_userid TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (task_id, depends_on_task_id)
+    )`,
+    indexSqls: [
+      `CREATE INDEX IF NOT EXISTS idx_task_dependencies_depends_on ON task_dependencies (depends_on_task_id)`,
+    ],
+  },
+  {
+    // dtstart/last_occurrence_start 以 ISO 字符串存储，重复规则计算需要精确到时区的时间点。
+    tableName: 'task_series',
+    createSql: `CREATE TABLE IF NOT EXISTS task_series (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      description TEXT,
+      creator_userid TEXT NOT NULL,
+      executor_userid TEXT NOT NULL,
+      rrule TEXT NOT NULL,
+      dtstart TEXT NOT NULL,
+      duration_seconds INTEGER NOT NULL,
+      lead_time_hours REAL,
+      occurrence_count INTEGER DEFAULT 1,
+      anchor_index INTEGER DEFAULT 1,
+      last_occurrence_start TEXT,
+      status TEXT DEFAULT 'ACTIVE',
+      stopped_by_userid TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    indexSqls: [`CREATE INDEX IF NOT EXISTS idx_task_series_status ON task_series (status)`],
+  },
+  {
+    tableName: 'task_executors',
+    createSql: `CREATE TABLE IF NOT EXISTS task_executors (
+      task_id INTEGER NOT NULL,
+      executor_userid TEXT NOT NULL,
+      sort_order INTEGER DEFAULT 0,
+      is_done INTEGER DEFAULT 0,
+      completed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (task_id, executor_userid)
+    )`,
+    indexSqls: [
+      `CREATE INDEX IF NOT EXISTS idx_task_executors_userid ON task_executors (executor_userid, task_id)`,
+    ],
+  },
+  {
+    tableName: 'task_approval_stages',
+    createSql: `CREATE TABLE IF NOT EXISTS task_approval_stages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task_id INTEGER NOT NULL,
+      stage_index INTEGER NOT NULL,
+      name TEXT,
+      approver_userids TEXT NOT NULL,
+      status TEXT DEFAULT 'PENDING',
+      decided_by_userid TEXT,
+      decided_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    indexSqls: [
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_task_approval_stages_task_stage ON task_approval_stages (task_id, stage_index)`,
+    ],
+  },
+  {
+    tableName: 'task_extension_requests',
+    createSql: `CREATE TABLE IF NOT EXISTS task_extension_requests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task_id INTEGER NOT NULL,
+      requester_userid TEXT NOT NULL,
+      previous_end_time DATETIME,
+      proposed_end_time DATETIME NOT NULL,
+      reason TEXT,
+      status TEXT DEFAULT 'PENDING',
+      decided_by_userid TEXT,
+      decision_note TEXT,
+      decided_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    indexSqls: [
+      `CREATE INDEX IF NOT EXISTS idx_task_extension_requests_task_status ON task_extension_requests (task_id, status)`,
+    ],
+  },
+  {
+    tableName: 'projects',
+    createSql: `CREATE TABLE IF NOT EXISTS projects (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      description TEXT,
+      owner_userid TEXT NOT NULL,
+      created_by_userid TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    indexSqls: [],
+  },
+  {
+    tableName: 'project_members',
+    createSql: `CREATE TABLE IF NOT EXISTS project_members (
+      project_id INTEGER NOT NULL,
+      member_userid TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (project_id, member_userid)
+    )`,
+    indexSqls: [
+      `CREATE INDEX IF NOT EXISTS idx_project_members_member ON project_members (member_userid)`,
+    ],
+  },
+  {
+    tableName: 'task_labels',
+    createSql: `CREATE TABLE IF NOT EXISTS task_labels (
+      task_id INTEGER NOT NULL,
+      label TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (task_id, label)
+    )`,
+    indexSqls: [
+      `CREATE INDEX IF NOT EXISTS idx_task_labels_label ON task_labels (label)`,
+    ],
+  },
+  {
+    tableName: 'task_comments',
+    createSql: `CREATE TABLE IF NOT EXISTS task_comments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task_id INTEGER NOT NULL,
+      author_userid TEXT NOT NULL,
+      content TEXT NOT NULL,
+      mentioned_userids TEXT,
+      source TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    indexSqls: [
+      `CREATE INDEX IF NOT EXISTS idx_task_comments_task ON task_comments (task_id, id)`,
+    ],
+  },
+  {
+    tableName: 'task_attachments',
+    createSql: `CREATE TABLE IF NOT EXISTS task_attachments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task_id INTEGER NOT NULL,
+      uploader_userid TEXT NOT NULL,
+      original_name TEXT NOT NULL,
+      stored_name TEXT NOT NULL UNIQUE,
+      mime_type TEXT,
+      size_bytes INTEGER DEFAULT 0,
+      submission_round INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    indexSqls: [
+      `CREATE INDEX IF NOT EXISTS idx_task_attachments_task ON task_attachments (task_id, submission_round)`,
+    ],
+  },
+  {
+    tableName: 'task_templates',
+    createSql: `CREATE TABLE IF NOT EXISTS task_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      title TEXT NOT NULL,
+      description TEXT,
+      duration_minutes INTEGER,
+      default_executor_userid TEXT,
+      default_executor_role TEXT,
+      created_by_userid TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    indexSqls: [],
+  },
+  {
+    tableName: 'task_template_items',
+    createSql: `CREATE TABLE IF NOT EXISTS task_template_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      template_id INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      is_required INTEGER DEFAULT 1,
+      sort_order INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    indexSqls: [
+      `CREATE INDEX IF NOT EXISTS idx_task_template_items_template ON task_template_items (template_id, sort_order)`,
+    ],
+  },
+  {
+    tableName: 'task_submission_reports',
+    createSql: `CREATE TABLE IF NOT EXISTS task_submission_reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task_id INTEGER NOT NULL,
+      submission_round INTEGER NOT NULL DEFAULT 0,
+      submitter_userid TEXT NOT NULL,
+      summary TEXT,
+      actual_hours REAL,
+      links TEXT,
+      source TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    indexSqls: [
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_task_submission_reports_round
+        ON task_submission_reports (task_id, submission_round, submitter_userid)`,
+    ],
+  },
+  {
+    tableName: 'task_report_prompts',
+    createSql: `CREATE TABLE IF NOT EXISTS task_report_prompts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task_id INTEGER NOT NULL,
+      submission_round INTEGER NOT NULL DEFAULT 0,
+      userid TEXT NOT NULL,
+      prompted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      answered_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    indexSqls: [
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_task_report_prompts_round
+        ON task_report_prompts (task_id, submission_round, userid)`,
+    ],
+  },
+  {
+    tableName: 'task_escalations',
+    createSql: `CREATE TABLE IF NOT EXISTS task_escalations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task_id INTEGER NOT NULL,
+      level INTEGER NOT NULL,
+      due_at DATETIME NOT NULL,
+      target TEXT NOT NULL,
+      recipients TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    indexSqls: [
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_task_escalations_level ON task_escalations (task_id, due_at, level)`,
+    ],
+  },
+  {
+    tableName: 'reminder_policies',
+    createSql: `CREATE TABLE IF NOT EXISTS reminder_policies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      offsets TEXT NOT NULL,
+      overdue_repeat_minutes INTEGER,
+      created_by_userid TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    indexSqls: [],
+  },
+  {
+    tableName: 'reminder_policy_assignments',
+    createSql: `CREATE TABLE IF NOT EXISTS reminder_policy_assignments (
+      scope_type TEXT NOT NULL,
+      scope_id INTEGER NOT NULL,
+      policy_id INTEGER NOT NULL,
+      assigned_by_userid TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (scope_type, scope_id)
+    )`,
+    indexSqls: [
+      `CREATE INDEX IF NOT EXISTS idx_reminder_policy_assignments_policy ON reminder_policy_assignments (policy_id)`,
+    ],
+  },
+  {
+    tableName: 'task_reminder_logs',
+    createSql: `CREATE TABLE IF NOT EXISTS task_reminder_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task_id INTEGER NOT NULL,
+      due_at DATETIME NOT NULL,
+      offset_minutes INTEGER NOT NULL,
+      kind TEXT NOT NULL,
+      policy_source TEXT,
+      policy_id INTEGER,
+      recipients TEXT,
+      sent_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    indexSqls: [
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_task_reminder_logs_offset ON task_reminder_logs (task_id, due_at, offset_minutes)`,
+    ],
+  },
+  {
+    tableName: 'user_preferences',
+    createSql: `CREATE TABLE IF NOT EXISTS user_preferences (
+      userid TEXT PRIMARY KEY,
+      timezone_offset_minutes INTEGER,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    indexSqls: [],
+  },
+  {
+    tableName: 'deferred_notifications',
+    createSql: `CREATE TABLE IF NOT EXISTS deferred_notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task_id INTEGER NOT NULL,
+      userid TEXT NOT NULL,
+      msgtype TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      task_status TEXT,
+      task_end_time DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    indexSqls: [],
+  },
+  {
+    tableName: 'user_digest_settings',
+    createSql: `CREATE TABLE IF NOT EXISTS user_digest_settings (
+      userid TEXT PRIMARY KEY,
+      enabled INTEGER DEFAULT 1,
+      send_time TEXT,
+      suppress_task_reminders INTEGER DEFAULT 0,
+      last_sent_date TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    indexSqls: [],
+  },
+];
+
+// buildTaskSearchRefreshSqls
+// 是什么：任务全文索引单行刷新语句构造函数。
+// 做什么：按给定任务 ID 表达式（如 `NEW.id`）先删后插，重新汇总标题、描述、全部评论与历次驳回理由。
+// 为什么：评论与驳回理由分散在子表中，任一来源变化都需以整行重算的方式保持索引与源数据一致。
+const buildTaskSearchRefreshSqls = (taskIdSql) => [
+  `DELETE FROM task_search WHERE rowid = ${taskIdSql};`,
+  `INSERT INTO task_search (rowid, title, description, comments, reject_reasons)
+    SELECT tasks.id, COALESCE(tasks.title, ''), COALESCE(tasks.description, ''),
+      COALESCE((SELECT GROUP_CONCAT(content, char(10)) FROM task_comments WHERE task_comments.task_id = tasks.id), ''),
+      COALESCE((SELECT GROUP_CONCAT(reject_reason, char(10)) FROM task_events
+        WHERE task_events.task_id = tasks.id AND COALESCE(task_events.reject_reason, '') <> ''), '')
+    FROM tasks WHERE tasks.id = ${taskIdSql};`,
+];
+
+// TASK_SEARCH_SCHEMA
+// 是什么：任务全文检索的 FTS5 虚拟表、同步触发器与存量回填配置。
+// 做什么：以 trigram 分词建立 `task_search`（rowid 即任务 ID），在任务、评论、驳回事件增删改时由触发器刷新对应行。
+// 为什么：`LIKE '%x%'` 无法排序也不能对中文分词；trigram 不依赖词典即可支持中英文子串检索，触发器保证任何写入路径都能同步索引。
+const TASK_SEARCH_SCHEMA = {
+  tableName: 'task_search',
+  createSql: `CREATE VIRTUAL TABLE IF NOT EXISTS task_search USING fts5(
+    title, description, comments, reject_reasons, tokenize = 'trigram'
+  )`,
+  triggerSqls: [
+    `CREATE TRIGGER IF NOT EXISTS trg_task_search_task_insert AFTER INSERT ON tasks BEGIN
+      ${buildTaskSearchRefreshSqls('NEW.id').join('\n')}
+    END`,
+    `CREATE TRIGGER IF NOT EXISTS trg_task_search_task_update AFTER UPDATE OF title, description ON tasks BEGIN
+      ${buildTaskSearchRefreshSqls('NEW.id').join('\n')}
+    END`,
+    `CREATE TRIGGER IF NOT EXISTS trg_task_search_task_delete AFTER DELETE ON tasks BEGIN
+      DELETE FROM task_search WHERE rowid = OLD.id;
+    END`,
+    `CREATE TRIGGER IF NOT EXISTS trg_task_search_comment_insert AFTER INSERT ON task_comments BEGIN
+      ${buildTaskSearchRefreshSqls('NEW.task_id').join('\n')}
+    END`,
+    `CREATE TRIGGER IF NOT EXISTS trg_task_search_comment_update AFTER UPDATE OF content ON task_comments BEGIN
+      ${buildTaskSearchRefreshSqls('NEW.task_id').join('\n')}
+    END`,
+    `CREATE TRIGGER IF NOT EXISTS trg_task_search_comment_delete AFTER DELETE ON task_comments BEGIN
+      ${buildTaskSearchRefreshSqls('OLD.task_id').join('\n')}
+    END`,
+    `CREATE TRIGGER IF NOT EXISTS trg_task_search_event_insert AFTER INSERT ON task_events
+      WHEN COALESCE(NEW.reject_reason, '') <> '' BEGIN
+      ${buildTaskSearchRefreshSqls('NEW.task_id').join('\n')}
+    END`,
+    `CREATE TRIGGER IF NOT EXISTS trg_task_search_event_delete AFTER DELETE ON task_events
+      WHEN COALESCE(OLD.reject_reason, '') <> '' BEGIN
+      ${buildTaskSearchRefreshSqls('OLD.task_id').join('\n')}
+    END`,
+  ],
+  // 升级前已存在的任务没有索引行，启动时补齐（已有索引行的任务不重复写入）。
+  backfillSql: `INSERT INTO task_search (rowid, title, description, comments, reject_reasons)
+    SELECT tasks.id, COALESCE(tasks.title, ''), COALESCE(tasks.description, ''),
+      COALESCE((SELECT GROUP_CONCAT(content, char(10)) FROM task_comments WHERE task_comments.task_id = tasks.id), ''),
+      COALESCE((SELECT GROUP_CONCAT(reject_reason, char(10)) FROM task_events
+        WHERE task_events.task_id = tasks.id AND COALESCE(task_events.reject_reason, '') <> ''), '')
+    FROM tasks WHERE tasks.id NOT IN (SELECT rowid FROM task_search)`,
+};
+
 // ensureTasksTableColumns
 // 是什么：tasks 表字段自愈迁移函数。
 // 做什么：检查缺失字段并按配置执行 `ALTER TABLE`。
@@ -118,10 +613,30 @@ db.serialize(() => {
     verify_time DATETIME,
     reject_reason TEXT,
     redo_count INTEGER DEFAULT 0,
-    last_reminder_at DATETIME,
-    last_reminder_kind TEXT,
     completed_by_userid TEXT,
     verified_by_userid TEXT,
+    series_id INTEGER,
+    series_index INTEGER,
+    completion_mode TEXT DEFAULT 'ALL',
+    current_stage_index INTEGER DEFAULT 0,
+    cancel_reason TEXT,
+    cancelled_at DATETIME,
+    archived_at DATETIME,
+    archived_from_status TEXT,
+    original_end_time DATETIME,
+    extension_count INTEGER DEFAULT 0,
+    priority TEXT DEFAULT 'P2',
+    project_id INTEGER,
+    require_evidence INTEGER DEFAULT 0,
+    quality_score INTEGER,
+    quality_comment TEXT,
+    verify_requested_at DATETIME,
+    last_verify_reminder_at DATETIME,
+    verify_timeout_action TEXT,
+    verify_timeout_hours INTEGER,
+    backup_verifier_userid TEXT,
+    rerouted_verifier_userid TEXT,
+    schedule_end_time_pending INTEGER DEFAULT 0,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
   )`, (err) => {
@@ -137,6 +652,39 @@ db.serialize(() => {
       ensureTasksTableColumns();
     }
   });
+
+  AUXILIARY_TABLE_SCHEMAS.forEach((schema) => {
+    [schema.createSql, ...(schema.indexSqls || [])].forEach((sql) => {
+      db.run(sql, (err) => {
+        if (err) {
+          logWithTrace(traceId, 'db', 'schema.init.error', {
+            table: schema.tableName,
+            message: err.message
+          });
+        } else if (sql === schema.createSql) {
+          logWithTrace(traceId, 'db', 'schema.init.success', {
+            table: schema.tableName
+          });
+        }
+      });
+    });
+  });
+
+  [TASK_SEARCH_SCHEMA.createSql, ...TASK_SEARCH_SCHEMA.triggerSqls, TASK_SEARCH_SCHEMA.backfillSql].forEach((sql) => {
+    db.run(sql, function onRun(err) {
+      if (err) {
+        logWithTrace(traceId, 'db', 'schema.init.error', {
+          table: TASK_SEARCH_SCHEMA.tableName,
+          message: err.message
+        });
+      } else if (sql === TASK_SEARCH_SCHEMA.backfillSql && this.changes > 0) {
+        logWithTrace(traceId, 'db', 'schema.search.backfill_success', {
+          table: TASK_SEARCH_SCHEMA.tableName,
+          count: this.changes
+        });
+      }
+    });
+  });
 });
 
 module.exports = db;
@@ -4,9 +4,21 @@ const db = require('../models/db');
 const wecom = require('../services/wecom');
 const jwt = require('jsonwebtoken');
 const syncService = require('../services/sync');
-const { taskService, TaskOperationError } = require('../services/task');
-const { parseGlobalVerifiers, mapTaskRowToApi, buildTaskKpi, normalizeText } = require('../services/task-lifecycle');
+const { taskService, TaskOperationError, TASK_ROW_SELECT_SQL } = require('../services/task');
+const {
+  parseGlobalVerifiers,
+  mapTaskRowToApi,
+  buildTaskKpi,
+  buildWeekdayActivity,
+  normalizeText,
+  isTaskVisibleToUser,
+  TASK_MANAGE_ACTION,
+  REMINDER_POLICY_SCOPE,
+} = require('../services/task-lifecycle');
+const { buildTaskVisibilitySql } = require('../services/task-query');
+const { getBusinessCalendar } = require('../services/business-calendar');
 const { resolveAuthLoginMode, buildAuthLoginRedirectUrl } = require('../services/auth-login-url');
+const { resolveAttachmentMaxBytes, resolveAttachmentMimeType } = require('../services/attachment-storage');
 const { logWithTrace, createTraceId } = require('../utils/logger');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'wecom-task-bot-secret';
@@ -59,18 +71,6 @@ const allSql = (sql, params = []) => {
   });
 };
 
-const getSql = (sql, params = []) => {
-  return new Promise((resolve, reject) => {
-    db.get(sql, params, (err, row) => {
-      if (err) {
-        reject(err);
-        return;
-      }
-      resolve(row || null);
-    });
-  });
-};
-
 // pickFirstForwardedValue
 // 是什么：转发头首值提取函数。
 // 做什么：从 `x-forwarded-*` 逗号列表中取第一个值并清洗空白。
@@ -157,87 +157,38 @@ const withTaskOperationHandler = (handler) => {
   };
 };
 
-router.get('/tasks', authenticateToken, async (req, res) => {
-  const traceId = req.traceId || createTraceId();
-
-  const statusFilter = normalizeText(req.query.status).toUpperCase();
-  const keyword = normalizeText(req.query.keyword);
-
-  const whereClauses = [];
-  const params = [];
-
-  const currentUserId = normalizeText(req.user && req.user.userid);
-  if (currentUserId) {
-    whereClauses.push('(owner_userid = ? OR executor_userid = ? OR creator_userid = ?)');
-    params.push(currentUserId, currentUserId, currentUserId);
-  }
-
-  if (statusFilter) {
-    whereClauses.push('status = ?');
-    params.push(statusFilter);
-  }
-
-  if (keyword) {
-    whereClauses.push('(title LIKE ? OR description LIKE ? OR creator_userid LIKE ? OR executor_userid LIKE ?)');
-    params.push(`%${keyword}%`, `%${keyword}%`, `%${keyword}%`, `%${keyword}%`);
-  }
-
-  const whereSql = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
-
-  try {
-    const rows = await allSql(
-      `SELECT * FROM tasks ${whereSql} ORDER BY datetime(created_at) DESC, id DESC`,
-      params
-    );
-
-    const globalVerifiers = parseGlobalVerifiers(process.env.GLOBAL_VERIFIERS || '');
-    const taskList = rows.map((row) =>
-      mapTaskRowToApi(row, {
-        now: new Date(),
-        currentUserId: req.user && req.user.userid,
-        globalVerifiers,
-      })
-    );
-    const kpi = buildTaskKpi(rows, new Date());
+router.get(
+  '/tasks',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const result = await taskService.listTasksPage(req.query, req.user && req.user.userid, new Date());
 
     logWithTrace(traceId, 'api', 'tasks.query.success', {
       userid: req.user && req.user.userid,
-      count: taskList.length,
-      statusFilter,
-      keyword,
-    });
-
-    res.json({
-      tasks: taskList,
-      kpi,
-    });
-  } catch (error) {
-    logWithTrace(traceId, 'api', 'tasks.query.error', {
-      message: error.message,
-      stack: error.stack,
-      statusFilter,
-      keyword,
+      count: result.tasks.length,
+      total: result.total,
+      query: req.query,
     });
 
-    res.status(500).json({ error: error.message });
-  }
-});
+    res.json(result);
+  })
+);
 
 router.get('/tasks/kpi', authenticateToken, async (req, res) => {
   const traceId = req.traceId || createTraceId();
 
   try {
-    const rows = await allSql(`SELECT * FROM tasks`);
-    const currentUserId = normalizeText(req.user && req.user.userid);
-    const scopedRows = currentUserId
-      ? rows.filter(
-          (item) =>
-            normalizeText(item.owner_userid) === currentUserId ||
-            normalizeText(item.executor_userid) === currentUserId ||
-            normalizeText(item.creator_userid) === currentUserId
-        )
-      : rows;
-    const kpi = buildTaskKpi(scopedRows, new Date());
+    const visibility = buildTaskVisibilitySql(req.user && req.user.userid);
+    const scopedRows = await allSql(
+      `${TASK_ROW_SELECT_SQL} ${visibility.sql ? `WHERE ${visibility.sql}` : ''}`,
+      visibility.params
+    );
+    const now = new Date();
+    const kpi = {
+      ...buildTaskKpi(scopedRows, now, taskService.getDueSoonDeadlines(now)),
+      by_weekday: buildWeekdayActivity(scopedRows, getBusinessCalendar().utc_offset_minutes),
+    };
 
     logWithTrace(traceId, 'api', 'tasks.kpi.success', {
       userid: req.user && req.user.userid,
@@ -258,12 +209,51 @@ router.get('/tasks/kpi', authenticateToken, async (req, res) => {
   }
 });
 
+router.get('/tasks/reject-reasons', authenticateToken, (req, res) => {
+  res.json({
+    code: 'TASK_REJECT_REASON_LIST_SUCCESS',
+    reasons: taskService.getRejectReasons(),
+  });
+});
+
+router.get(
+  '/tasks/team-stats',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const result = await taskService.getTeamStats(req.user && req.user.userid, new Date());
+
+    res.json({
+      code: 'TASK_TEAM_STATS_SUCCESS',
+      members: result.members,
+      verification: result.verification,
+    });
+  })
+);
+
+router.get(
+  '/tasks/search',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const result = await taskService.searchTasks(req.query, req.user && req.user.userid, new Date());
+
+    logWithTrace(traceId, 'api', 'tasks.search.success', {
+      userid: req.user && req.user.userid,
+      query: result.query,
+      count: result.results.length,
+      total: result.total,
+    });
+
+    res.json(result);
+  })
+);
+
 router.post(
   '/tasks/:id/complete',
   authenticateToken,
   withTaskOperationHandler(async (req, res) => {
     const taskId = Number(req.params.id);
-    const result = await taskService.completeTaskById(taskId, req.user.userid, 'web_api');
+    const result = await taskService.completeTaskById(taskId, req.user.userid, 'web_api', req.body && req.body.report);
 
     res.json({
       code: 'TASK_COMPLETE_SUCCESS',
@@ -273,6 +263,20 @@ router.post(
   })
 );
 
+router.get(
+  '/tasks/:id/reports',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const taskId = Number(req.params.id);
+    const reports = await taskService.listTaskReports(taskId, req.user.userid);
+
+    res.json({
+      code: 'TASK_REPORT_LIST_SUCCESS',
+      reports,
+    });
+  })
+);
+
 router.post(
   '/tasks/:id/verify',
   authenticateToken,
@@ -294,7 +298,8 @@ router.post(
       req.user.userid,
       isApproved,
       rejectReason,
-      'web_api'
+      'web_api',
+      req.body && req.body.rating
     );
 
     res.json({
@@ -343,8 +348,19 @@ router.post(
       title: req.body && req.body.title,
       description: req.body && req.body.description,
       executor_userid: req.body && req.body.executor_userid,
+      executor_userids: req.body && req.body.executor_userids,
+      completion_mode: req.body && req.body.completion_mode,
+      approval_stages: req.body && req.body.approval_stages,
+      priority: req.body && req.body.priority,
+      project_id: req.body && req.body.project_id,
+      labels: req.body && req.body.labels,
+      require_evidence: req.body && req.body.require_evidence,
+      items: req.body && req.body.items,
+      template_id: req.body && req.body.template_id,
       start_time: req.body && req.body.start_time,
       end_time: req.body && req.body.end_time,
+      recurrence: req.body && req.body.recurrence,
+      recurrence_lead_hours: req.body && req.body.recurrence_lead_hours,
     };
 
     const result = await taskService.createManualTask(payload, req.user.userid, 'web_api');
@@ -353,6 +369,7 @@ router.post(
       creator: req.user && req.user.userid,
       taskId: result.task && result.task.id,
       executor: result.task && result.task.executor_userid,
+      templateId: payload.template_id || null,
     });
 
     res.status(201).json({
@@ -363,6 +380,27 @@ router.post(
   })
 );
 
+router.post(
+  '/tasks/batch',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const result = await taskService.batchOperateTasks(req.body || {}, req.user.userid, 'batch_api');
+
+    logWithTrace(traceId, 'api', 'tasks.batch.success', {
+      action: result.action,
+      userid: req.user && req.user.userid,
+      successCount: result.success_count,
+      failedCount: result.failed_count,
+    });
+
+    res.json({
+      code: 'TASK_BATCH_SUCCESS',
+      ...result,
+    });
+  })
+);
+
 router.get('/auth/login', (req, res) => {
   const traceId = req.traceId || createTraceId();
 
@@ -467,6 +505,51 @@ router.get('/user/me', authenticateToken, (req, res) => {
   res.json(req.user);
 });
 
+router.get(
+  '/user/preferences',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const preferences = await taskService.getUserPreferences(req.user.userid);
+
+    res.json({
+      code: 'USER_PREFERENCES_SUCCESS',
+      preferences,
+    });
+  })
+);
+
+router.put(
+  '/user/preferences',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const preferences = await taskService.updateUserPreferences(req.user.userid, req.body || {});
+
+    logWithTrace(traceId, 'api', 'user.preferences.update.success', {
+      userid: req.user && req.user.userid,
+      timezoneOffset: preferences.timezone_offset_minutes,
+    });
+
+    res.json({
+      code: 'USER_PREFERENCES_UPDATE_SUCCESS',
+      preferences,
+    });
+  })
+);
+
+router.get(
+  '/user/digest/preview',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const digest = await taskService.getUserDigestPreview(req.user.userid);
+
+    res.json({
+      code: 'USER_DIGEST_PREVIEW_SUCCESS',
+      digest,
+    });
+  })
+);
+
 router.get('/users/:id', authenticateToken, async (req, res) => {
   const traceId = req.traceId || createTraceId();
   const targetUserId = normalizeText(req.params.id);
@@ -507,7 +590,7 @@ router.get('/tasks/:id', authenticateToken, async (req, res) => {
   const taskId = Number(req.params.id);
 
   try {
-    const task = await getSql(`SELECT * FROM tasks WHERE id = ?`, [taskId]);
+    const task = await taskService.getTaskById(taskId);
     if (!task) {
       return res.status(404).json({
         code: 'TASK_NOT_FOUND',
@@ -517,22 +600,19 @@ router.get('/tasks/:id', authenticateToken, async (req, res) => {
 
     const globalVerifiers = parseGlobalVerifiers(process.env.GLOBAL_VERIFIERS || '');
     const currentUserId = normalizeText(req.user && req.user.userid);
-    if (
-      currentUserId &&
-      normalizeText(task.owner_userid) !== currentUserId &&
-      normalizeText(task.executor_userid) !== currentUserId &&
-      normalizeText(task.creator_userid) !== currentUserId
-    ) {
+    if (!isTaskVisibleToUser(task, currentUserId)) {
       return res.status(404).json({
         code: 'TASK_NOT_FOUND',
         message: '任务不存在',
       });
     }
 
+    const now = new Date();
     const mappedTask = mapTaskRowToApi(task, {
-      now: new Date(),
+      now,
       currentUserId,
       globalVerifiers,
+      dueSoonDeadlines: taskService.getDueSoonDeadlines(now),
     });
 
     logWithTrace(traceId, 'api', 'task.detail.success', {
@@ -555,4 +635,976 @@ router.get('/tasks/:id', authenticateToken, async (req, res) => {
   }
 });
 
+router.get(
+  '/tasks/:id/events',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const taskId = Number(req.params.id);
+    const task = await taskService.getTaskById(taskId);
+
+    if (!isTaskVisibleToUser(task, req.user && req.user.userid)) {
+      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+    }
+
+    const events = await taskService.listTaskEvents(taskId);
+
+    logWithTrace(traceId, 'api', 'task.events.success', {
+      taskId,
+      userid: req.user && req.user.userid,
+      count: events.length,
+    });
+
+    res.json({ events });
+  })
+);
+
+// parseAttachmentBody
+// 是什么：附件上传请求体解析中间件。
+// 做什么：按原始二进制读取请求体，超出大小上限时直接返回 413 JSON 错误。
+// 为什么：上传接口以 `application/octet-stream` 直传文件，文件名放在 `X-File-Name` 请求头，无需引入 multipart 解析依赖。
+const parseAttachmentBody = (req, res, next) => {
+  express.raw({ type: () => true, limit: resolveAttachmentMaxBytes() })(req, res, (error) => {
+    if (error) {
+      return res.status(error.status || 400).json({
+        code: error.type === 'entity.too.large' ? 'TASK_ATTACHMENT_TOO_LARGE' : 'TASK_ATTACHMENT_INVALID',
+        message: error.type === 'entity.too.large' ? '附件超过大小上限' : '附件读取失败',
+      });
+    }
+    return next();
+  });
+};
+
+router.get(
+  '/tasks/:id/attachments',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const taskId = Number(req.params.id);
+    const attachments = await taskService.listTaskAttachments(taskId, req.user.userid);
+
+    res.json({
+      code: 'TASK_ATTACHMENT_LIST_SUCCESS',
+      attachments,
+    });
+  })
+);
+
+router.post(
+  '/tasks/:id/attachments',
+  authenticateToken,
+  parseAttachmentBody,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const taskId = Number(req.params.id);
+    const rawFilename = normalizeText(req.headers['x-file-name'] || req.query.filename);
+    let filename = rawFilename;
+    try {
+      filename = decodeURIComponent(rawFilename);
+    } catch (error) {
+      filename = rawFilename;
+    }
+
+    const attachment = await taskService.uploadTaskAttachment(
+      taskId,
+      {
+        buffer: Buffer.isBuffer(req.body) ? req.body : null,
+        filename,
+      },
+      req.user.userid,
+      'web_api'
+    );
+
+    logWithTrace(traceId, 'api', 'task.attachment.upload.success', {
+      taskId,
+      attachmentId: attachment.id,
+      userid: req.user && req.user.userid,
+    });
+
+    res.status(201).json({
+      code: 'TASK_ATTACHMENT_UPLOAD_SUCCESS',
+      attachment,
+    });
+  })
+);
+
+router.get(
+  '/tasks/:id/attachments/:attachmentId/download',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const { attachment, filePath } = await taskService.getTaskAttachmentFile(
+      Number(req.params.id),
+      Number(req.params.attachmentId),
+      req.user.userid
+    );
+
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.type(resolveAttachmentMimeType(attachment.original_name));
+    res.download(filePath, attachment.original_name);
+  })
+);
+
+router.delete(
+  '/tasks/:id/attachments/:attachmentId',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const taskId = Number(req.params.id);
+    const attachmentId = Number(req.params.attachmentId);
+    const attachments = await taskService.deleteTaskAttachment(taskId, attachmentId, req.user.userid);
+
+    logWithTrace(traceId, 'api', 'task.attachment.delete.success', {
+      taskId,
+      attachmentId,
+      userid: req.user && req.user.userid,
+    });
+
+    res.json({
+      code: 'TASK_ATTACHMENT_DELETE_SUCCESS',
+      attachments,
+    });
+  })
+);
+
+router.patch(
+  '/tasks/:id/evidence-requirement',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const taskId = Number(req.params.id);
+    const task = await taskService.updateTaskEvidenceRequirement(
+      taskId,
+      req.body && req.body.require_evidence,
+      req.user.userid
+    );
+
+    logWithTrace(traceId, 'api', 'task.evidence_requirement.update.success', {
+      taskId,
+      userid: req.user && req.user.userid,
+      requireEvidence: task.require_evidence,
+    });
+
+    res.json({
+      code: 'TASK_EVIDENCE_REQUIREMENT_UPDATE_SUCCESS',
+      task,
+    });
+  })
+);
+
+router.get(
+  '/tasks/:id/comments',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const taskId = Number(req.params.id);
+    const comments = await taskService.listTaskComments(taskId, req.user.userid);
+
+    res.json({
+      code: 'TASK_COMMENT_LIST_SUCCESS',
+      comments,
+    });
+  })
+);
+
+router.post(
+  '/tasks/:id/comments',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const taskId = Number(req.params.id);
+    const comment = await taskService.addTaskComment(
+      taskId,
+      {
+        content: req.body && req.body.content,
+        mentioned_userids: req.body && req.body.mentioned_userids,
+      },
+      req.user.userid,
+      'web_api'
+    );
+
+    logWithTrace(traceId, 'api', 'task.comment.create.success', {
+      taskId,
+      commentId: comment.id,
+      userid: req.user && req.user.userid,
+    });
+
+    res.status(201).json({
+      code: 'TASK_COMMENT_CREATE_SUCCESS',
+      comment,
+    });
+  })
+);
+
+router.get(
+  '/tasks/:id/items',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const taskId = Number(req.params.id);
+    const task = await taskService.getTaskById(taskId);
+
+    if (!isTaskVisibleToUser(task, req.user && req.user.userid)) {
+      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+    }
+
+    const items = await taskService.listTaskItems(taskId);
+    res.json({ items });
+  })
+);
+
+router.post(
+  '/tasks/:id/items',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const taskId = Number(req.params.id);
+    const item = await taskService.createTaskItem(taskId, req.body || {}, req.user.userid);
+
+    logWithTrace(traceId, 'api', 'task.items.create.success', {
+      taskId,
+      itemId: item && item.id,
+      userid: req.user && req.user.userid,
+    });
+
+    res.status(201).json({
+      code: 'TASK_ITEM_CREATE_SUCCESS',
+      item,
+    });
+  })
+);
+
+router.patch(
+  '/tasks/:id/items/:itemId',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const taskId = Number(req.params.id);
+    const itemId = Number(req.params.itemId);
+    const item = await taskService.updateTaskItem(taskId, itemId, req.body || {}, req.user.userid);
+
+    logWithTrace(traceId, 'api', 'task.items.update.success', {
+      taskId,
+      itemId,
+      userid: req.user && req.user.userid,
+    });
+
+    res.json({
+      code: 'TASK_ITEM_UPDATE_SUCCESS',
+      item,
+    });
+  })
+);
+
+router.delete(
+  '/tasks/:id/items/:itemId',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const taskId = Number(req.params.id);
+    const itemId = Number(req.params.itemId);
+    await taskService.deleteTaskItem(taskId, itemId, req.user.userid);
+
+    logWithTrace(traceId, 'api', 'task.items.delete.success', {
+      taskId,
+      itemId,
+      userid: req.user && req.user.userid,
+    });
+
+    res.json({
+      code: 'TASK_ITEM_DELETE_SUCCESS',
+    });
+  })
+);
+
+router.get(
+  '/tasks/:id/dependencies',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const taskId = Number(req.params.id);
+    const task = await taskService.getTaskById(taskId);
+
+    if (!isTaskVisibleToUser(task, req.user && req.user.userid)) {
+      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+    }
+
+    const dependencies = await taskService.listTaskDependencies(taskId);
+    res.json(dependencies);
+  })
+);
+
+router.post(
+  '/tasks/:id/dependencies',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const taskId = Number(req.params.id);
+    const dependsOnTaskId = Number(req.body && req.body.depends_on_task_id);
+
+    if (!Number.isInteger(dependsOnTaskId) || dependsOnTaskId <= 0) {
+      return res.status(400).json({
+        code: 'TASK_DEPENDENCY_INVALID',
+        message: 'depends_on_task_id 必须为有效任务ID',
+      });
+    }
+
+    const dependencies = await taskService.addTaskDependency(taskId, dependsOnTaskId, req.user.userid);
+
+    logWithTrace(traceId, 'api', 'task.dependencies.create.success', {
+      taskId,
+      dependsOnTaskId,
+      userid: req.user && req.user.userid,
+    });
+
+    res.status(201).json({
+      code: 'TASK_DEPENDENCY_CREATE_SUCCESS',
+      ...dependencies,
+    });
+  })
+);
+
+router.delete(
+  '/tasks/:id/dependencies/:dependsOnTaskId',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const taskId = Number(req.params.id);
+    const dependsOnTaskId = Number(req.params.dependsOnTaskId);
+    const dependencies = await taskService.removeTaskDependency(taskId, dependsOnTaskId, req.user.userid);
+
+    logWithTrace(traceId, 'api', 'task.dependencies.delete.success', {
+      taskId,
+      dependsOnTaskId,
+      userid: req.user && req.user.userid,
+    });
+
+    res.json({
+      code: 'TASK_DEPENDENCY_DELETE_SUCCESS',
+      ...dependencies,
+    });
+  })
+);
+
+router.patch(
+  '/tasks/:id/completion-mode',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const taskId = Number(req.params.id);
+    const task = await taskService.updateTaskCompletionMode(
+      taskId,
+      req.body && req.body.completion_mode,
+      req.user.userid
+    );
+
+    logWithTrace(traceId, 'api', 'task.completion_mode.update.success', {
+      taskId,
+      userid: req.user && req.user.userid,
+      completionMode: task.completion_mode,
+    });
+
+    res.json({
+      code: 'TASK_COMPLETION_MODE_UPDATE_SUCCESS',
+      task,
+    });
+  })
+);
+
+router.put(
+  '/tasks/:id/project',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const taskId = Number(req.params.id);
+    const task = await taskService.updateTaskProject(taskId, req.body && req.body.project_id, req.user.userid);
+
+    logWithTrace(traceId, 'api', 'task.project.update.success', {
+      taskId,
+      userid: req.user && req.user.userid,
+      projectId: task.project_id,
+    });
+
+    res.json({
+      code: 'TASK_PROJECT_UPDATE_SUCCESS',
+      task,
+    });
+  })
+);
+
+router.put(
+  '/tasks/:id/labels',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const taskId = Number(req.params.id);
+    const task = await taskService.updateTaskLabels(taskId, req.body && req.body.labels, req.user.userid);
+
+    logWithTrace(traceId, 'api', 'task.labels.update.success', {
+      taskId,
+      userid: req.user && req.user.userid,
+    });
+
+    res.json({
+      code: 'TASK_LABELS_UPDATE_SUCCESS',
+      task,
+    });
+  })
+);
+
+// TASK_MANAGE_ROUTES
+// 是什么：任务管理动作路由表。
+// 做什么：把取消、归档、重新打开映射到统一的服务入口与返回码。
+// 为什么：三个接口仅动作不同，按表注册避免重复样板代码。
+const TASK_MANAGE_ROUTES = [
+  { path: 'cancel', action: TASK_MANAGE_ACTION.CANCEL, successCode: 'TASK_CANCEL_SUCCESS' },
+  { path: 'archive', action: TASK_MANAGE_ACTION.ARCHIVE, successCode: 'TASK_ARCHIVE_SUCCESS' },
+  { path: 'reopen', action: TASK_MANAGE_ACTION.REOPEN, successCode: 'TASK_REOPEN_SUCCESS' },
+];
+
+TASK_MANAGE_ROUTES.forEach(({ path, action, successCode }) => {
+  router.post(
+    `/tasks/:id/${path}`,
+    authenticateToken,
+    withTaskOperationHandler(async (req, res) => {
+      const traceId = req.traceId || createTraceId();
+      const taskId = Number(req.params.id);
+      const task = await taskService.applyManageAction(
+        taskId,
+        action,
+        req.user.userid,
+        req.body && req.body.reason,
+        'web_api'
+      );
+
+      logWithTrace(traceId, 'api', 'task.manage.success', {
+        taskId,
+        action,
+        userid: req.user && req.user.userid,
+        status: task.status,
+      });
+
+      res.json({
+        code: successCode,
+        task,
+      });
+    })
+  );
+});
+
+router.post(
+  '/tasks/:id/reassign',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const taskId = Number(req.params.id);
+    const body = req.body || {};
+    const task = await taskService.reassignTask(
+      taskId,
+      {
+        from_userid: body.from_userid,
+        to_userid: body.to_userid,
+        note: body.note,
+      },
+      req.user.userid,
+      'web_api'
+    );
+
+    logWithTrace(traceId, 'api', 'task.reassign.success', {
+      taskId,
+      userid: req.user && req.user.userid,
+      toUserId: body.to_userid,
+    });
+
+    res.json({
+      code: 'TASK_REASSIGN_SUCCESS',
+      task,
+    });
+  })
+);
+
+router.get(
+  '/tasks/:id/extensions',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const taskId = Number(req.params.id);
+    const task = await taskService.getTaskById(taskId);
+    if (!task || !isTaskVisibleToUser(task, req.user.userid)) {
+      return res.status(404).json({
+        code: 'TASK_NOT_FOUND',
+        message: '任务不存在',
+      });
+    }
+
+    const extensionRequests = await taskService.listTaskExtensionRequests(taskId);
+    res.json({
+      code: 'TASK_EXTENSIONS_QUERY_SUCCESS',
+      extension_requests: extensionRequests,
+    });
+  })
+);
+
+router.post(
+  '/tasks/:id/extensions',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const taskId = Number(req.params.id);
+    const body = req.body || {};
+    const result = await taskService.requestTaskExtension(
+      taskId,
+      {
+        proposed_end_time: body.proposed_end_time,
+        reason: body.reason,
+      },
+      req.user.userid,
+      'web_api'
+    );
+
+    logWithTrace(traceId, 'api', 'task.extension.request.success', {
+      taskId,
+      userid: req.user && req.user.userid,
+      extensionRequestId: result.extension_request.id,
+    });
+
+    res.json({
+      code: 'TASK_EXTENSION_REQUEST_SUCCESS',
+      ...result,
+    });
+  })
+);
+
+router.post(
+  '/tasks/:id/extensions/:requestId/decision',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const taskId = Number(req.params.id);
+    const extensionRequestId = Number(req.params.requestId);
+    const action = normalizeText(req.body && req.body.action).toUpperCase();
+    if (action !== 'APPROVE' && action !== 'DENY') {
+      return res.status(400).json({
+        code: 'TASK_EXTENSION_ACTION_INVALID',
+        message: 'action 仅支持 APPROVE 或 DENY',
+      });
+    }
+
+    const result = await taskService.decideTaskExtension(
+      taskId,
+      extensionRequestId,
+      action === 'APPROVE',
+      req.user.userid,
+      req.body && req.body.note,
+      'web_api'
+    );
+
+    logWithTrace(traceId, 'api', 'task.extension.decide.success', {
+      taskId,
+      extensionRequestId,
+      action,
+      userid: req.user && req.user.userid,
+    });
+
+    res.json({
+      code: action === 'APPROVE' ? 'TASK_EXTENSION_APPROVE_SUCCESS' : 'TASK_EXTENSION_DENY_SUCCESS',
+      ...result,
+    });
+  })
+);
+
+router.get(
+  '/tasks/:id/approval-stages',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const taskId = Number(req.params.id);
+    const task = await taskService.getTaskById(taskId);
+    if (!task || !isTaskVisibleToUser(task, req.user.userid)) {
+      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+    }
+
+    const stages = await taskService.listApprovalStages(taskId);
+    res.json({
+      code: 'TASK_APPROVAL_STAGES_SUCCESS',
+      current_stage_index: Number(task.current_stage_index || 0),
+      stages,
+    });
+  })
+);
+
+router.put(
+  '/tasks/:id/approval-stages',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const taskId = Number(req.params.id);
+    const stages = await taskService.updateApprovalStages(taskId, req.body && req.body.stages, req.user.userid);
+
+    logWithTrace(traceId, 'api', 'task.approval_stages.update.success', {
+      taskId,
+      userid: req.user && req.user.userid,
+      stageCount: stages.length,
+    });
+
+    res.json({
+      code: 'TASK_APPROVAL_STAGES_UPDATE_SUCCESS',
+      stages,
+    });
+  })
+);
+
+router.put(
+  '/tasks/:id/verify-policy',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const taskId = Number(req.params.id);
+    const result = await taskService.updateVerifyPolicy(taskId, req.body || {}, req.user.userid);
+
+    logWithTrace(traceId, 'api', 'task.verify_policy.update.success', {
+      taskId,
+      userid: req.user && req.user.userid,
+      policy: result.policy,
+    });
+
+    res.json({
+      code: 'TASK_VERIFY_POLICY_UPDATE_SUCCESS',
+      task: result.task,
+      policy: result.policy,
+    });
+  })
+);
+
+router.get(
+  '/tasks/:id/reminders',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const taskId = Number(req.params.id);
+    const plan = await taskService.getTaskReminderPlan(taskId, req.user.userid);
+
+    res.json({
+      code: 'TASK_REMINDER_PLAN_SUCCESS',
+      ...plan,
+    });
+  })
+);
+
+router.put(
+  '/tasks/:id/reminder-policy',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const taskId = Number(req.params.id);
+    const assignment = await taskService.assignReminderPolicy(
+      REMINDER_POLICY_SCOPE.TASK,
+      taskId,
+      req.body && req.body.policy_id,
+      req.user.userid
+    );
+
+    logWithTrace(traceId, 'api', 'task.reminder_policy.assign.success', {
+      taskId,
+      userid: req.user && req.user.userid,
+      policyId: assignment.policy_id,
+    });
+
+    res.json({
+      code: 'TASK_REMINDER_POLICY_ASSIGN_SUCCESS',
+      assignment,
+    });
+  })
+);
+
+router.get(
+  '/task-series/:id',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const seriesId = Number(req.params.id);
+    const detail = await taskService.getTaskSeriesDetail(seriesId, req.user.userid);
+
+    res.json({
+      code: 'TASK_SERIES_DETAIL_SUCCESS',
+      ...detail,
+    });
+  })
+);
+
+router.patch(
+  '/task-series/:id',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const seriesId = Number(req.params.id);
+    const detail = await taskService.updateTaskSeries(seriesId, req.body || {}, req.user.userid);
+
+    logWithTrace(traceId, 'api', 'task_series.update.success', {
+      seriesId,
+      userid: req.user && req.user.userid,
+    });
+
+    res.json({
+      code: 'TASK_SERIES_UPDATE_SUCCESS',
+      ...detail,
+    });
+  })
+);
+
+router.post(
+  '/task-series/:id/stop',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const seriesId = Number(req.params.id);
+    const detail = await taskService.stopTaskSeries(seriesId, req.user.userid);
+
+    logWithTrace(traceId, 'api', 'task_series.stop.success', {
+      seriesId,
+      userid: req.user && req.user.userid,
+    });
+
+    res.json({
+      code: 'TASK_SERIES_STOP_SUCCESS',
+      ...detail,
+    });
+  })
+);
+
+router.get(
+  '/projects',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const projects = await taskService.listProjects(req.user.userid);
+
+    res.json({
+      code: 'PROJECT_LIST_SUCCESS',
+      projects,
+    });
+  })
+);
+
+router.post(
+  '/projects',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const project = await taskService.createProject(req.body || {}, req.user.userid);
+
+    logWithTrace(traceId, 'api', 'project.create.success', {
+      projectId: project.id,
+      userid: req.user && req.user.userid,
+    });
+
+    res.status(201).json({
+      code: 'PROJECT_CREATE_SUCCESS',
+      project,
+    });
+  })
+);
+
+router.patch(
+  '/projects/:id',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const projectId = Number(req.params.id);
+    const project = await taskService.updateProject(projectId, req.body || {}, req.user.userid);
+
+    logWithTrace(traceId, 'api', 'project.update.success', {
+      projectId,
+      userid: req.user && req.user.userid,
+    });
+
+    res.json({
+      code: 'PROJECT_UPDATE_SUCCESS',
+      project,
+    });
+  })
+);
+
+router.put(
+  '/projects/:id/reminder-policy',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const projectId = Number(req.params.id);
+    const assignment = await taskService.assignReminderPolicy(
+      REMINDER_POLICY_SCOPE.PROJECT,
+      projectId,
+      req.body && req.body.policy_id,
+      req.user.userid
+    );
+
+    logWithTrace(traceId, 'api', 'project.reminder_policy.assign.success', {
+      projectId,
+      userid: req.user && req.user.userid,
+      policyId: assignment.policy_id,
+    });
+
+    res.json({
+      code: 'PROJECT_REMINDER_POLICY_ASSIGN_SUCCESS',
+      assignment,
+    });
+  })
+);
+
+router.get(
+  '/reminder-policies',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const result = await taskService.listReminderPolicies(req.user.userid);
+
+    res.json({
+      code: 'REMINDER_POLICY_LIST_SUCCESS',
+      ...result,
+    });
+  })
+);
+
+router.post(
+  '/reminder-policies',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const policy = await taskService.createReminderPolicy(req.body || {}, req.user.userid);
+
+    logWithTrace(traceId, 'api', 'reminder_policy.create.success', {
+      policyId: policy.id,
+      userid: req.user && req.user.userid,
+    });
+
+    res.status(201).json({
+      code: 'REMINDER_POLICY_CREATE_SUCCESS',
+      policy,
+    });
+  })
+);
+
+router.put(
+  '/reminder-policies/default',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const assignment = await taskService.assignReminderPolicy(
+      REMINDER_POLICY_SCOPE.GLOBAL,
+      0,
+      req.body && req.body.policy_id,
+      req.user.userid
+    );
+
+    logWithTrace(traceId, 'api', 'reminder_policy.default.update.success', {
+      userid: req.user && req.user.userid,
+      policyId: assignment.policy_id,
+    });
+
+    res.json({
+      code: 'REMINDER_POLICY_DEFAULT_UPDATE_SUCCESS',
+      assignment,
+    });
+  })
+);
+
+router.patch(
+  '/reminder-policies/:id',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const policyId = Number(req.params.id);
+    const policy = await taskService.updateReminderPolicy(policyId, req.body || {}, req.user.userid);
+
+    logWithTrace(traceId, 'api', 'reminder_policy.update.success', {
+      policyId,
+      userid: req.user && req.user.userid,
+    });
+
+    res.json({
+      code: 'REMINDER_POLICY_UPDATE_SUCCESS',
+      policy,
+    });
+  })
+);
+
+router.delete(
+  '/reminder-policies/:id',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const policyId = Number(req.params.id);
+    await taskService.deleteReminderPolicy(policyId, req.user.userid);
+
+    logWithTrace(traceId, 'api', 'reminder_policy.delete.success', {
+      policyId,
+      userid: req.user && req.user.userid,
+    });
+
+    res.json({
+      code: 'REMINDER_POLICY_DELETE_SUCCESS',
+    });
+  })
+);
+
+router.get(
+  '/task-templates',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const templates = await taskService.listTaskTemplates(req.user.userid);
+
+    res.json({
+      code: 'TASK_TEMPLATE_LIST_SUCCESS',
+      templates,
+    });
+  })
+);
+
+router.post(
+  '/task-templates',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const template = await taskService.createTaskTemplate(req.body || {}, req.user.userid);
+
+    logWithTrace(traceId, 'api', 'task_template.create.success', {
+      templateId: template.id,
+      userid: req.user && req.user.userid,
+    });
+
+    res.status(201).json({
+      code: 'TASK_TEMPLATE_CREATE_SUCCESS',
+      template,
+    });
+  })
+);
+
+router.patch(
+  '/task-templates/:id',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const templateId = Number(req.params.id);
+    const template = await taskService.updateTaskTemplate(templateId, req.body || {}, req.user.userid);
+
+    logWithTrace(traceId, 'api', 'task_template.update.success', {
+      templateId,
+      userid: req.user && req.user.userid,
+    });
+
+    res.json({
+      code: 'TASK_TEMPLATE_UPDATE_SUCCESS',
+      template,
+    });
+  })
+);
+
+router.delete(
+  '/task-templates/:id',
+  authenticateToken,
+  withTaskOperationHandler(async (req, res) => {
+    const traceId = req.traceId || createTraceId();
+    const templateId = Number(req.params.id);
+    await taskService.deleteTaskTemplate(templateId, req.user.userid);
+
+    logWithTrace(traceId, 'api', 'task_template.delete.success', {
+      templateId,
+      userid: req.user && req.user.userid,
+    });
+
+    res.json({
+      code: 'TASK_TEMPLATE_DELETE_SUCCESS',
+    });
+  })
+);
+
 module.exports = router;
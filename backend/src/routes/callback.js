@@ -217,6 +217,25 @@ const resolveSelectedKeyFromMessage = (message) => {
   return '';
 };
 
+// resolveVoteSelectionFromMessage
+// 是什么：投票卡片选中项解析函数。
+// 做什么：投票卡片回调时，将提交按钮键与选中的选项拼为 `ACTION_XXX:选项`，非投票卡片返回空字符串。
+// 为什么：投票卡片的 EventKey 只是提交按钮键，选了哪一项在 SelectedItems 中，需合并后交给统一的动作分发。
+const resolveVoteSelectionFromMessage = (message, selectedKey) => {
+  const cardType = normalizeTextValue(
+    (message && message.CardType) || getFromObjectPath(message, ['TemplateCardEvent', 'CardType'])
+  );
+  if (cardType !== 'vote_interaction' || !selectedKey) {
+    return '';
+  }
+
+  const selectedItem =
+    getFromObjectPath(message, ['SelectedItems', 'SelectedItem']) ||
+    getFromObjectPath(message, ['TemplateCardEvent', 'SelectedItems', 'SelectedItem']);
+  const optionId = normalizeTextValue(getFromObjectPath(selectedItem, ['OptionIds', 'OptionId']));
+  return optionId ? `${selectedKey}:${optionId}` : '';
+};
+
 // attachWecomTraceId
 // 是什么：企业微信回调 traceId 绑定中间件。
 // 做什么：在已有全局 traceId 基础上，补充 `wecomTraceId` 供回调链路日志使用。
@@ -380,7 +399,7 @@ router.post('/callback', async (req, res) => {
       const interactionPayload = {
         UserID: message.FromUserName,
         TaskId: taskId,
-        SelectedKey: selectedKey,
+        SelectedKey: resolveVoteSelectionFromMessage(message, selectedKey) || selectedKey,
       };
 
       logWecomCallback(traceId, 'callback.post.task_interaction.in', {
@@ -392,6 +411,16 @@ router.post('/callback', async (req, res) => {
       logWecomCallback(traceId, 'callback.post.task_interaction.out', {
         interactionResult
       });
+    } else if (message.MsgType === 'text') {
+      // 5. Handle Text Reply as Submission Report
+      const replyResult = await taskService.handleReportReply({
+        UserID: normalizeTextValue(message.FromUserName),
+        Content: normalizeTextValue(message.Content),
+      });
+
+      logWecomCallback(traceId, 'callback.post.report_reply.out', {
+        replyResult
+      });
     } else {
       logWecomCallback(traceId, 'callback.post.event.skipped', {
         reason: 'unsupported_message_type_or_event',
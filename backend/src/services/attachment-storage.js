@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { normalizeText } = require('./task-lifecycle');
+
+// DEFAULT_ATTACHMENT_DIR
+// 是什么：附件默认存储目录。
+// 做什么：未配置 `TASK_ATTACHMENT_DIR` 时，附件写入与数据库同级的 `uploads` 目录。
+// 为什么：单机部署场景下与 SQLite 文件放在一起，便于统一备份。
+const DEFAULT_ATTACHMENT_DIR = path.resolve(__dirname, '../../database/uploads');
+
+// DEFAULT_ATTACHMENT_MAX_MB
+// 是什么：单个附件默认大小上限（MB）。
+// 做什么：未配置 `TASK_ATTACHMENT_MAX_MB` 时作为上传请求体的大小限制。
+// 为什么：附件落本地磁盘，需防止单次上传占满磁盘。
+const DEFAULT_ATTACHMENT_MAX_MB = 20;
+
+// ATTACHMENT_MIME_TYPES
+// 是什么：附件扩展名与内容类型的白名单映射。
+// 做什么：列出常见文档、表格、图片与压缩包的内容类型，不在表中的扩展名一律按 `application/octet-stream` 处理。
+// 为什么：上传方声明的类型不可信，HTML、SVG 等可在应用域名下直接渲染的类型若原样回传会造成存储型 XSS。
+const ATTACHMENT_MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.zip': 'application/zip',
+};
+
+// resolveAttachmentDir
+// 是什么：附件存储目录解析函数。
+// 做什么：读取 `TASK_ATTACHMENT_DIR`（相对路径按进程工作目录解析），未配置时回退默认目录。
+// 为什么：不同部署环境的持久化磁盘挂载点不同，需要可配置。
+const resolveAttachmentDir = () => {
+  const configuredDir = normalizeText(process.env.TASK_ATTACHMENT_DIR);
+  return configuredDir ? path.resolve(configuredDir) : DEFAULT_ATTACHMENT_DIR;
+};
+
+// resolveAttachmentMaxBytes
+// 是什么：附件大小上限解析函数。
+// 做什么：将 `TASK_ATTACHMENT_MAX_MB` 转为字节数，非法值回退默认上限。
+// 为什么：上传解析中间件与服务层校验需使用同一上限。
+const resolveAttachmentMaxBytes = () => {
+  const maxMb = Number(process.env.TASK_ATTACHMENT_MAX_MB);
+  return Math.round((Number.isFinite(maxMb) && maxMb > 0 ? maxMb : DEFAULT_ATTACHMENT_MAX_MB) * 1024 * 1024);
+};
+
+// sanitizeAttachmentFilename
+// 是什么：附件原始文件名清洗函数。
+// 做什么：去掉目录部分与控制字符，截断到 120 个字符，清洗后为空时返回 `attachment`。
+// 为什么：文件名来自请求头，只用于展示与下载命名，不能携带路径穿越片段。
+const sanitizeAttachmentFilename = (value) => {
+  const baseName = path.basename(normalizeText(value).replace(/\\/g, '/'));
+  const cleaned = baseName.replace(/[\u0000-\u001f\u007f]/g, '').trim();
+  return cleaned.slice(0, 120) || 'attachment';
+};
+
+// resolveAttachmentMimeType
+// 是什么：附件内容类型判定函数。
+// 做什么：按清洗后文件名的扩展名查白名单，未命中时返回 `application/octet-stream`。
+// 为什么：上传入库与下载响应共用同一口径，历史上按请求头写入的类型也不会再被回传。
+const resolveAttachmentMimeType = (filename) => {
+  const extension = path.extname(sanitizeAttachmentFilename(filename)).toLowerCase();
+  return ATTACHMENT_MIME_TYPES[extension] || 'application/octet-stream';
+};
+
+// saveAttachmentFile
+// 是什么：附件落盘函数。
+// 做什么：以随机名写入存储目录（保留原扩展名），返回存储名与字节数。
+// 为什么：磁盘文件名不复用用户输入，避免重名覆盖与路径注入。
+const saveAttachmentFile = async (buffer, originalName) => {
+  const attachmentDir = resolveAttachmentDir();
+  await fs.promises.mkdir(attachmentDir, { recursive: true });
+
+  const extension = path.extname(sanitizeAttachmentFilename(originalName)).slice(0, 16);
+  const storedName = `${Date.now()}_${crypto.randomBytes(8).toString('hex')}${extension}`;
+  await fs.promises.writeFile(path.join(attachmentDir, storedName), buffer);
+
+  return {
+    stored_name: storedName,
+    size_bytes: buffer.length,
+  };
+};
+
+// resolveAttachmentPath
+// 是什么：附件磁盘路径解析函数。
+// 做什么：由存储名拼出绝对路径，存储名不合法时返回空字符串。
+// 为什么：下载与删除都经由存储名定位文件，需保证不会逃逸出存储目录。
+const resolveAttachmentPath = (storedName) => {
+  const normalizedName = normalizeText(storedName);
+  if (!normalizedName || path.basename(normalizedName) !== normalizedName) {
+    return '';
+  }
+
+  return path.join(resolveAttachmentDir(), normalizedName);
+};
+
+// isAttachmentFilePresent
+// 是什么：附件磁盘文件存在性检查函数。
+// 做什么：按存储名定位文件并确认其为普通文件，路径非法或文件缺失时返回 false。
+// 为什么：元数据与磁盘文件可能因手工清理或迁移而不一致，下载前需先确认文件仍在。
+const isAttachmentFilePresent = async (storedName) => {
+  const filePath = resolveAttachmentPath(storedName);
+  if (!filePath) {
+    return false;
+  }
+
+  try {
+    const stat = await fs.promises.stat(filePath);
+    return stat.isFile();
+  } catch (error) {
+    return false;
+  }
+};
+
+// removeAttachmentFile
+// 是什么：附件磁盘文件删除函数。
+// 做什么：删除存储名对应文件，文件已不存在时静默忽略。
+// 为什么：元数据删除后残留文件只会占用磁盘，缺失文件不应阻断删除流程。
+const removeAttachmentFile = async (storedName) => {
+  const filePath = resolveAttachmentPath(storedName);
+  if (!filePath) {
+    return;
+  }
+
+  await fs.promises.rm(filePath, { force: true });
+};
+
+module.exports = {
+  resolveAttachmentDir,
+  resolveAttachmentMaxBytes,
+  sanitizeAttachmentFilename,
+  resolveAttachmentMimeType,
+  saveAttachmentFile,
+  resolveAttachmentPath,
+  isAttachmentFilePresent,
+  removeAttachmentFile,
+};
@@ -0,0 +1,463 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  normalizeText,
+  normalizeTaskPriority,
+  toDateOrNull,
+  PRIORITY_REMINDER_POLICY,
+} = require('./task-lifecycle');
+const { resolveUtcOffsetMinutes } = require('./recurrence');
+const { logWithTrace, createTraceId } = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// DEFAULT_WORKING_HOURS
+// 是什么：默认工作时段配置。
+// 做什么：未配置 `TASK_WORKING_HOURS` 时按周一至周五 9:00-18:00 计算工作时间。
+// 为什么：与此前验收等待的工作小时口径保持一致，未配置时行为不变。
+const DEFAULT_WORKING_HOURS = 'mon-fri=09:00-18:00';
+
+// WEEKDAY_ALIASES
+// 是什么：星期名称与 `getUTCDay` 序号的对照表。
+// 做什么：工作时段配置中的 `mon`、`周一` 等写法统一换算为 0-6。
+// 为什么：配置由运维手写，需同时兼容英文缩写与中文写法。
+const WEEKDAY_ALIASES = {
+  sun: 0,
+  mon: 1,
+  tue: 2,
+  wed: 3,
+  thu: 4,
+  fri: 5,
+  sat: 6,
+  周日: 0,
+  周一: 1,
+  周二: 2,
+  周三: 3,
+  周四: 4,
+  周五: 5,
+  周六: 6,
+};
+
+// TIMEZONE_OFFSET_RANGE
+// 是什么：用户时区偏移允许范围（分钟）。
+// 做什么：限定为 UTC-12:00 至 UTC+14:00。
+// 为什么：超出该范围的偏移不存在于任何实际时区，多为误填。
+const TIMEZONE_OFFSET_RANGE = {
+  min: -12 * 60,
+  max: 14 * 60,
+};
+
+// MAKE_UP_WORKDAY_PATTERN
+// 是什么：调休上班日识别规则。
+// 做什么：ICS 事件标题含“班”或 `workday`/`make-up` 时视为调休上班日，其余视为放假。
+// 为什么：公开的法定节假日日历把“春节”与“春节补班”放在同一订阅里，只能按标题区分。
+const MAKE_UP_WORKDAY_PATTERN = /班|workday|make-?up/i;
+
+const holidayFileCache = new Map();
+
+// parseClockMinutes
+// 是什么：时刻解析函数。
+// 做什么：将 `09:00`、`9` 等写法解析为当日分钟数，`24:00` 表示当日结束；格式不符时返回 `null`。
+// 为什么：工作时段与免打扰时段都以“当日第几分钟”比较，避免处理小时与分钟两套单位。
+const parseClockMinutes = (value) => {
+  const matched = normalizeText(value).match(/^(\d{1,2})(?::(\d{2}))?$/);
+  if (!matched) {
+    return null;
+  }
+
+  const minutes = Number(matched[1]) * 60 + Number(matched[2] || 0);
+  return Number(matched[2] || 0) < 60 && minutes <= 24 * 60 ? minutes : null;
+};
+
+const formatClockMinutes = (minutes) => {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// parseClockRange
+// 是什么：时段解析函数。
+// 做什么：将 `09:00-18:00` 解析为起止分钟数；`allowOvernight` 为真时允许 `22:00-08:00` 这类跨零点时段。
+// 为什么：工作时段必须落在当天内，免打扰时段通常跨越午夜，两者共用同一写法。
+const parseClockRange = (value, allowOvernight = false) => {
+  const [startText, endText, ...rest] = normalizeText(value).split('-');
+  const start = parseClockMinutes(startText);
+  const end = parseClockMinutes(endText);
+  if (rest.length > 0 || start === null || end === null || start === end || (!allowOvernight && start > end)) {
+    return null;
+  }
+
+  return { start_minutes: start, end_minutes: end };
+};
+
+// parseWorkingHours
+// 是什么：每周工作时段配置解析函数。
+// 做什么：解析 `mon-fri=09:00-18:00;sat=10:00-14:00` 形式的配置，返回按星期序号（0 为周日）索引的时段数组，未配置的星期为 `null`；无任何合法项时回退默认配置。
+// 为什么：不同团队的工作日与上下班时间不同，单项写错时不应让其他星期失效。
+const parseWorkingHours = (rawValue) => {
+  const workingHours = new Array(7).fill(null);
+  let hasEntry = false;
+
+  normalizeText(rawValue)
+    .split(/[;；]/)
+    .forEach((item) => {
+      const [daysText, rangeText] = normalizeText(item).split('=');
+      const range = parseClockRange(rangeText);
+      const dayParts = normalizeText(daysText).toLowerCase().split('-');
+      const [fromDay, lastDay = fromDay] = dayParts.map((part) => WEEKDAY_ALIASES[normalizeText(part)]);
+      if (!range || dayParts.length > 2 || fromDay === undefined || lastDay === undefined) {
+        return;
+      }
+
+      for (let offset = 0; offset <= (lastDay - fromDay + 7) % 7; offset += 1) {
+        workingHours[(fromDay + offset) % 7] = range;
+      }
+      hasEntry = true;
+    });
+
+  return hasEntry ? workingHours : parseWorkingHours(DEFAULT_WORKING_HOURS);
+};
+
+// parseQuietHours
+// 是什么：免打扰时段配置解析函数。
+// 做什么：解析 `22:00-08:00` 形式的配置，未配置或格式不符时返回 `null` 表示不启用免打扰。
+// 为什么：免打扰会推迟提醒送达，只有显式配置后才改变原有的发送时机。
+const parseQuietHours = (rawValue) => {
+  return normalizeText(rawValue) ? parseClockRange(rawValue, true) : null;
+};
+
+// toDateKey
+// 是什么：本地日期键生成函数。
+// 做什么：将时间点按给定时区偏移换算为 `YYYY-MM-DD`。
+// 为什么：节假日与调休名单按日期记录，比较前需先换算到对应时区的日历日。
+const toDateKey = (date, utcOffsetMinutes) => {
+  return new Date(date.getTime() + utcOffsetMinutes * MINUTE_MS).toISOString().slice(0, 10);
+};
+
+// addDateRange
+// 是什么：日期区间展开函数。
+// 做什么：把起止日期（含两端）内的每一天写入名单，名称为空时记为空字符串。
+// 为什么：春节、国庆等长假通常按区间发布，逐日展开后判断只需查表。
+const addDateRange = (target, startKey, endKey, name) => {
+  const startMs = Date.parse(`${startKey}T00:00:00.000Z`);
+  const endMs = Date.parse(`${endKey || startKey}T00:00:00.000Z`);
+  if (!Number.isFinite(startMs) || !Number.isFinite(endMs) || endMs < startMs || endMs - startMs > 366 * DAY_MS) {
+    return;
+  }
+
+  for (let dayMs = startMs; dayMs <= endMs; dayMs += DAY_MS) {
+    target.set(new Date(dayMs).toISOString().slice(0, 10), normalizeText(name));
+  }
+};
+
+// parseHolidayJson
+// 是什么：JSON 节假日名单解析函数。
+// 做什么：读取 `{ holidays: [...], workdays: [...] }`，条目可写作 `2026-02-17`、`{ date, name }` 或 `{ start, end, name }`（含两端），非法条目忽略。
+// 为什么：内部维护的名单多为手写 JSON，需兼容单日与区间两种写法。
+const parseHolidayJson = (text) => {
+  const parsed = JSON.parse(text);
+  const result = { holidays: new Map(), workdays: new Map() };
+
+  ['holidays', 'workdays'].forEach((key) => {
+    (Array.isArray(parsed && parsed[key]) ? parsed[key] : []).forEach((item) => {
+      if (typeof item === 'string') {
+        addDateRange(result[key], normalizeText(item), '', '');
+      } else if (item && typeof item === 'object') {
+        addDateRange(result[key], normalizeText(item.date || item.start), normalizeText(item.end), item.name);
+      }
+    });
+  });
+
+  return result;
+};
+
+// parseHolidayIcs
+// 是什么：ICS 节假日日历解析函数。
+// 做什么：读取每个 `VEVENT` 的全天 `DTSTART/DTEND`（结束日不含）与 `SUMMARY`，按标题区分放假与调休上班日。
+// 为什么：可直接导入公开的法定节假日订阅文件，无需人工转写。
+const parseHolidayIcs = (text) => {
+  const result = { holidays: new Map(), workdays: new Map() };
+  const lines = String(text || '')
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .map((line) => line.trim());
+  let event = null;
+
+  lines.forEach((line) => {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      return;
+    }
+
+    if (line === 'END:VEVENT') {
+      const startKey = event && event.start;
+      if (startKey) {
+        const endKey = event.end
+          ? new Date(Date.parse(`${event.end}T00:00:00.000Z`) - DAY_MS).toISOString().slice(0, 10)
+          : startKey;
+        const target = MAKE_UP_WORKDAY_PATTERN.test(event.summary || '') ? result.workdays : result.holidays;
+        addDateRange(target, startKey, endKey < startKey ? startKey : endKey, event.summary);
+      }
+      event = null;
+      return;
+    }
+
+    const matched = event && line.match(/^(DTSTART|DTEND|SUMMARY)(?:;[^:]*)?:(.*)$/);
+    if (!matched) {
+      return;
+    }
+
+    if (matched[1] === 'SUMMARY') {
+      event.summary = normalizeText(matched[2]);
+      return;
+    }
+
+    const dateMatched = matched[2].match(/^(\d{4})(\d{2})(\d{2})/);
+    if (dateMatched) {
+      event[matched[1] === 'DTSTART' ? 'start' : 'end'] = `${dateMatched[1]}-${dateMatched[2]}-${dateMatched[3]}`;
+    }
+  });
+
+  return result;
+};
+
+// loadHolidayFile
+// 是什么：节假日文件加载函数。
+// 做什么：按扩展名或内容选择 JSON/ICS 解析，按文件修改时间缓存；读取或解析失败时记录日志并返回空名单。
+// 为什么：提醒扫描每 10 分钟运行一次，名单文件更新后无需重启即可生效；文件损坏时退化为按星期计算，不阻断提醒。
+const loadHolidayFile = (filePath) => {
+  const emptyResult = { holidays: new Map(), workdays: new Map() };
+  const resolvedPath = normalizeText(filePath) ? path.resolve(normalizeText(filePath)) : '';
+  if (!resolvedPath) {
+    return emptyResult;
+  }
+
+  try {
+    const { mtimeMs } = fs.statSync(resolvedPath);
+    const cached = holidayFileCache.get(resolvedPath);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.result;
+    }
+
+    const text = fs.readFileSync(resolvedPath, 'utf8');
+    const isIcs = path.extname(resolvedPath).toLowerCase() === '.ics' || text.trimStart().startsWith('BEGIN:VCALENDAR');
+    const result = isIcs ? parseHolidayIcs(text) : parseHolidayJson(text);
+    holidayFileCache.set(resolvedPath, { mtimeMs, result });
+    return result;
+  } catch (error) {
+    logWithTrace(createTraceId(), 'business-calendar', 'holiday_file.load_error', {
+      filePath: resolvedPath,
+      message: error.message,
+    });
+    return emptyResult;
+  }
+};
+
+// buildBusinessCalendar
+// 是什么：业务日历构建函数。
+// 做什么：汇总业务时区、每周工作时段、免打扰时段与节假日/调休名单。
+// 为什么：工作时间计量与免打扰判断都基于同一份日历，便于在测试中直接构造。
+const buildBusinessCalendar = (options = {}) => {
+  const holidayList = options.holidayList || { holidays: new Map(), workdays: new Map() };
+  return {
+    utc_offset_minutes: Number.isFinite(Number(options.utcOffsetMinutes))
+      ? Math.trunc(Number(options.utcOffsetMinutes))
+      : resolveUtcOffsetMinutes(''),
+    working_hours: parseWorkingHours(options.workingHours),
+    quiet_hours: parseQuietHours(options.quietHours),
+    holidays: holidayList.holidays,
+    workdays: holidayList.workdays,
+  };
+};
+
+// getBusinessCalendar
+// 是什么：当前生效的业务日历读取函数。
+// 做什么：读取 `TASK_TIMEZONE_OFFSET_MINUTES`、`TASK_WORKING_HOURS`、`TASK_QUIET_HOURS` 与 `TASK_HOLIDAY_FILE` 构建业务日历。
+// 为什么：配置与名单文件都可能在运行中调整，每次按需构建，名单文件由修改时间缓存避免重复解析。
+const getBusinessCalendar = () => {
+  return buildBusinessCalendar({
+    utcOffsetMinutes: resolveUtcOffsetMinutes(process.env.TASK_TIMEZONE_OFFSET_MINUTES),
+    workingHours: process.env.TASK_WORKING_HOURS || '',
+    quietHours: process.env.TASK_QUIET_HOURS || '',
+    holidayList: loadHolidayFile(process.env.TASK_HOLIDAY_FILE || ''),
+  });
+};
+
+// getWorkingWindow
+// 是什么：某日工作时段查询函数。
+// 做什么：节假日返回 `null`；调休上班日使用周一的工作时段（周一未配置时取第一个有时段的星期）；其余按星期配置返回。
+// 为什么：调休日多落在周末，周末本身没有工作时段，需要借用常规工作日的上下班时间。
+const getWorkingWindow = (calendar, dateKey) => {
+  if (calendar.holidays.has(dateKey)) {
+    return null;
+  }
+
+  if (calendar.workdays.has(dateKey)) {
+    return calendar.working_hours[1] || calendar.working_hours.find(Boolean) || null;
+  }
+
+  return calendar.working_hours[new Date(`${dateKey}T00:00:00.000Z`).getUTCDay()];
+};
+
+const isWorkingDay = (calendar, date, utcOffsetMinutes = calendar.utc_offset_minutes) => {
+  return Boolean(getWorkingWindow(calendar, toDateKey(date, utcOffsetMinutes)));
+};
+
+const toDate = (value) => (value instanceof Date ? value : toDateOrNull(value));
+
+// countWorkingHoursBetween
+// 是什么：工作小时计量函数。
+// 做什么：统计两个时间点之间落在业务日历工作时段内的小时数（节假日不计、调休上班日计入），保留两位小数。
+// 为什么：验收超时阈值与等待时长统计都按工作小时口径，周末与长假期间提交的任务不应在假期结束当天就被判超时。
+const countWorkingHoursBetween = (start, end, calendar = getBusinessCalendar()) => {
+  const startDate = toDate(start);
+  const endDate = toDate(end);
+  if (!startDate || !endDate || endDate <= startDate) {
+    return 0;
+  }
+
+  const offsetMs = calendar.utc_offset_minutes * MINUTE_MS;
+  const localStartMs = startDate.getTime() + offsetMs;
+  const localEndMs = endDate.getTime() + offsetMs;
+  let totalMs = 0;
+
+  for (let dayStartMs = Math.floor(localStartMs / DAY_MS) * DAY_MS; dayStartMs < localEndMs; dayStartMs += DAY_MS) {
+    const window = getWorkingWindow(calendar, new Date(dayStartMs).toISOString().slice(0, 10));
+    if (window) {
+      const windowStartMs = Math.max(dayStartMs + window.start_minutes * MINUTE_MS, localStartMs);
+      const windowEndMs = Math.min(dayStartMs + window.end_minutes * MINUTE_MS, localEndMs);
+      totalMs += Math.max(0, windowEndMs - windowStartMs);
+    }
+  }
+
+  return Math.round((totalMs / (60 * MINUTE_MS)) * 100) / 100;
+};
+
+// addWorkingDayHours
+// 是什么：按工作日推算截止时刻的函数。
+// 做什么：从起点开始只在工作日内累计时长（每个工作日计满 24 小时，非工作日与节假日跳过），返回累计满指定小时数的时刻。
+// 为什么：“1 个工作日内到期”应跨过周末与长假：周五傍晚看周一上午到期的任务同样是“即将到期”。
+const addWorkingDayHours = (start, hours, calendar = getBusinessCalendar()) => {
+  const startDate = toDate(start) || new Date();
+  const offsetMs = calendar.utc_offset_minutes * MINUTE_MS;
+  let cursorMs = startDate.getTime() + offsetMs;
+  let remainingMs = Math.max(0, Number(hours) || 0) * 60 * MINUTE_MS;
+
+  // 最多向后查找一年，防止日历中没有任何工作日时无限循环。
+  for (let step = 0; step <= 366; step += 1) {
+    const dayStartMs = Math.floor(cursorMs / DAY_MS) * DAY_MS;
+    const dayEndMs = dayStartMs + DAY_MS;
+    if (getWorkingWindow(calendar, new Date(dayStartMs).toISOString().slice(0, 10))) {
+      if (remainingMs <= dayEndMs - cursorMs) {
+        return new Date(cursorMs + remainingMs - offsetMs);
+      }
+      remainingMs -= dayEndMs - cursorMs;
+    }
+    cursorMs = dayEndMs;
+  }
+
+  return new Date(startDate.getTime() + Math.max(0, Number(hours) || 0) * 60 * MINUTE_MS);
+};
+
+// buildDueSoonDeadlines
+// 是什么：各优先级“即将到期”截止时刻计算函数。
+// 做什么：按优先级的到期窗口（工作日小时数）推算截止时刻，返回 `{ P0: Date, ... }`。
+// 为什么：同一次请求内任务映射、KPI 与列表筛选需使用同一组时刻，避免逐行重复推算。
+const buildDueSoonDeadlines = (now = new Date(), calendar = getBusinessCalendar()) => {
+  return Object.fromEntries(
+    Object.entries(PRIORITY_REMINDER_POLICY).map(([priority, policy]) => [
+      normalizeTaskPriority(priority),
+      addWorkingDayHours(now, policy.dueSoonHours, calendar),
+    ])
+  );
+};
+
+// isQuietTime
+// 是什么：免打扰判断函数。
+// 做什么：启用免打扰时段后，按给定时区判断时间点是否落在免打扰时段内，或当天为非工作日（周末、节假日）。
+// 为什么：凌晨与春节期间推送的提醒只会打扰人而不会被处理，应顺延到下一个可打扰的时间。
+const isQuietTime = (date, calendar = getBusinessCalendar(), utcOffsetMinutes = calendar.utc_offset_minutes) => {
+  const quietHours = calendar.quiet_hours;
+  if (!quietHours) {
+    return false;
+  }
+
+  const localMs = date.getTime() + utcOffsetMinutes * MINUTE_MS;
+  const minuteOfDay = Math.floor((((localMs % DAY_MS) + DAY_MS) % DAY_MS) / MINUTE_MS);
+  const inQuietWindow =
+    quietHours.start_minutes < quietHours.end_minutes
+      ? minuteOfDay >= quietHours.start_minutes && minuteOfDay < quietHours.end_minutes
+      : minuteOfDay >= quietHours.start_minutes || minuteOfDay < quietHours.end_minutes;
+
+  return inQuietWindow || !isWorkingDay(calendar, date, utcOffsetMinutes);
+};
+
+// normalizeTimezoneOffsetInput
+// 是什么：用户时区入参标准化函数。
+// 做什么：接受分钟数或 `UTC+8`、`+08:00`、`-05:30` 写法并换算为分钟偏移；空值返回 `null` 表示沿用业务时区；格式不符或超出范围时返回 `undefined`。
+// 为什么：跨时区成员的免打扰需按其本地时间判断，同时兼容直接填写分钟数的历史配置方式。
+const normalizeTimezoneOffsetInput = (value) => {
+  if (value === null || value === undefined || normalizeText(value) === '') {
+    return null;
+  }
+
+  let minutes;
+  if (typeof value === 'number' || /^[+-]?\d+$/.test(normalizeText(value))) {
+    minutes = Number(value);
+  } else {
+    const matched = normalizeText(value)
+      .toUpperCase()
+      .match(/^(?:UTC|GMT)?([+-])(\d{1,2})(?::?(\d{2}))?$/);
+    if (!matched) {
+      return undefined;
+    }
+    minutes = (Number(matched[2]) * 60 + Number(matched[3] || 0)) * (matched[1] === '-' ? -1 : 1);
+  }
+
+  return Number.isInteger(minutes) && minutes >= TIMEZONE_OFFSET_RANGE.min && minutes <= TIMEZONE_OFFSET_RANGE.max
+    ? minutes
+    : undefined;
+};
+
+// describeBusinessCalendar
+// 是什么：业务日历摘要输出函数。
+// 做什么：将工作时段、免打扰时段与名单规模还原为可读的配置写法。
+// 为什么：设置页需要展示当前生效的日历，便于成员理解提醒为什么被顺延。
+const describeBusinessCalendar = (calendar = getBusinessCalendar()) => {
+  const weekdayNames = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+  const formatRange = (range) => `${formatClockMinutes(range.start_minutes)}-${formatClockMinutes(range.end_minutes)}`;
+
+  return {
+    utc_offset_minutes: calendar.utc_offset_minutes,
+    working_hours: calendar.working_hours
+      .map((range, weekday) => (range ? `${weekdayNames[weekday]}=${formatRange(range)}` : ''))
+      .filter(Boolean)
+      .join(';'),
+    quiet_hours: calendar.quiet_hours ? formatRange(calendar.quiet_hours) : null,
+    holiday_count: calendar.holidays.size,
+    workday_count: calendar.workdays.size,
+  };
+};
+
+module.exports = {
+  DEFAULT_WORKING_HOURS,
+  TIMEZONE_OFFSET_RANGE,
+  parseClockMinutes,
+  formatClockMinutes,
+  parseClockRange,
+  parseWorkingHours,
+  parseQuietHours,
+  parseHolidayJson,
+  parseHolidayIcs,
+  loadHolidayFile,
+  toDateKey,
+  buildBusinessCalendar,
+  getBusinessCalendar,
+  getWorkingWindow,
+  isWorkingDay,
+  countWorkingHoursBetween,
+  addWorkingDayHours,
+  buildDueSoonDeadlines,
+  isQuietTime,
+  normalizeTimezoneOffsetInput,
+  describeBusinessCalendar,
+};
@@ -0,0 +1,185 @@
+const { normalizeText, toDateOrNull, parseTaskExecutors } = require('./task-lifecycle');
+const { parseClockMinutes, formatClockMinutes, toDateKey, isWorkingDay } = require('./business-calendar');
+
+const MINUTE_MS = 60 * 1000;
+
+// DEFAULT_DIGEST_TIME
+// 是什么：每日摘要默认发送时间。
+// 做什么：成员未设置且未配置 `TASK_DIGEST_TIME` 时，在本地时间 9:00 后的首次扫描发送。
+// 为什么：摘要用于开工前安排当天工作，与默认上班时间对齐。
+const DEFAULT_DIGEST_TIME = '09:00';
+
+// DIGEST_SECTION
+// 是什么：每日摘要分组定义。
+// 做什么：按展示顺序列出被驳回、已逾期、今日到期、待我验收四组及其标题。
+// 为什么：驳回与逾期最需要立即处理，排在前面；分组键同时用于接口返回与消息排版。
+const DIGEST_SECTION = {
+  REJECTED: 'REJECTED',
+  OVERDUE: 'OVERDUE',
+  DUE_TODAY: 'DUE_TODAY',
+  WAITING_VERIFY: 'WAITING_VERIFY',
+};
+
+const DIGEST_SECTION_TITLES = {
+  [DIGEST_SECTION.REJECTED]: '被驳回待重做',
+  [DIGEST_SECTION.OVERDUE]: '已逾期',
+  [DIGEST_SECTION.DUE_TODAY]: '今日到期',
+  [DIGEST_SECTION.WAITING_VERIFY]: '待我验收',
+};
+
+// DIGEST_SECTION_ITEM_LIMIT
+// 是什么：每组在消息中展示的任务条数上限。
+// 做什么：超出部分折叠为“另有 N 项”并引导到任务列表。
+// 为什么：摘要只需提示最紧急的几项，完整清单在 Web 端查看；正文总长度另由 `DIGEST_MAX_BYTES` 兜底。
+const DIGEST_SECTION_ITEM_LIMIT = 5;
+
+// DIGEST_MAX_BYTES
+// 是什么：每日摘要正文的字节上限。
+// 做什么：按 UTF-8 计算正文长度，超出时从优先级最低的分组末尾起逐条折叠任务，直到正文不超过上限。
+// 为什么：企业微信 markdown 消息正文上限 2048 字节，标题较长或链接较长时仅按条数截断仍可能超限，导致整条消息被拒收。
+const DIGEST_MAX_BYTES = 2048;
+
+// normalizeDigestTimeInput
+// 是什么：摘要发送时间入参标准化函数。
+// 做什么：将 `9:00`、`09:30` 等写法统一为 `HH:MM`；空值返回 `null` 表示沿用默认时间，格式不符时返回 `undefined`。
+// 为什么：与免打扰时段共用时钟写法，接口层据 `undefined` 区分“未设置”与“写错”。
+const normalizeDigestTimeInput = (value) => {
+  if (value === null || value === undefined || normalizeText(value) === '') {
+    return null;
+  }
+
+  const minutes = parseClockMinutes(value);
+  return minutes === null || minutes >= 24 * 60 ? undefined : formatClockMinutes(minutes);
+};
+
+// resolveDigestTime
+// 是什么：摘要生效发送时间解析函数。
+// 做什么：依次取成员设置、`TASK_DIGEST_TIME` 配置与默认值中第一个合法的时间。
+// 为什么：配置写错时回退默认时间，不应让全员摘要停发。
+const resolveDigestTime = (userDigestTime, configuredDigestTime) => {
+  return normalizeDigestTimeInput(userDigestTime) || normalizeDigestTimeInput(configuredDigestTime) || DEFAULT_DIGEST_TIME;
+};
+
+// getDigestSchedule
+// 是什么：成员当日摘要是否到点的判断函数。
+// 做什么：按成员时区换算本地日期，工作日本地时间到达发送时间且当日尚未发送时返回 `due: true`，同时返回本地日期键。
+// 为什么：扫描每 10 分钟一次，以“当日已发送日期”去重即可保证一天一封，服务重启或错过整点也能在当天补发。
+const getDigestSchedule = (now, options = {}) => {
+  const { sendTime, utcOffsetMinutes, lastSentDate, calendar } = options;
+  const dateKey = toDateKey(now, utcOffsetMinutes);
+  const localMinutes = Math.floor(((now.getTime() + utcOffsetMinutes * MINUTE_MS) % (24 * 60 * MINUTE_MS)) / MINUTE_MS);
+
+  return {
+    date_key: dateKey,
+    due:
+      normalizeText(lastSentDate) !== dateKey &&
+      localMinutes >= parseClockMinutes(sendTime) &&
+      isWorkingDay(calendar, now, utcOffsetMinutes),
+  };
+};
+
+// buildDigestSections
+// 是什么：成员每日摘要分组函数。
+// 做什么：从待执行任务中挑出成员尚未完成的部分，按被驳回、已逾期、今日到期（本地日期）归组；待验收任务由调用方按验收人口径筛好后原样归入“待我验收”；各组按截止时间升序。
+// 为什么：每个任务只出现在最紧急的一组，避免同一任务在摘要中重复出现。
+const buildDigestSections = (options = {}) => {
+  const { userId, pendingTasks = [], verifyTasks = [], now = new Date(), utcOffsetMinutes } = options;
+  const normalizedUserId = normalizeText(userId);
+  const todayKey = toDateKey(now, utcOffsetMinutes);
+  const sections = Object.keys(DIGEST_SECTION).reduce((result, key) => ({ ...result, [key]: [] }), {});
+
+  pendingTasks.forEach((task) => {
+    const isOpenExecutor = parseTaskExecutors(task).some((item) => item.userid === normalizedUserId && !item.is_done);
+    const endDate = toDateOrNull(task.end_time);
+    if (!isOpenExecutor) {
+      return;
+    }
+
+    if (normalizeText(task.reject_reason)) {
+      sections[DIGEST_SECTION.REJECTED].push(task);
+    } else if (endDate && endDate < now) {
+      sections[DIGEST_SECTION.OVERDUE].push(task);
+    } else if (endDate && toDateKey(endDate, utcOffsetMinutes) === todayKey) {
+      sections[DIGEST_SECTION.DUE_TODAY].push(task);
+    }
+  });
+  sections[DIGEST_SECTION.WAITING_VERIFY].push(...verifyTasks);
+
+  const endTimeOf = (task) => {
+    const endDate = toDateOrNull(task.end_time);
+    return endDate ? endDate.getTime() : Number.MAX_SAFE_INTEGER;
+  };
+  Object.values(sections).forEach((items) => items.sort((left, right) => endTimeOf(left) - endTimeOf(right)));
+
+  return sections;
+};
+
+const countDigestItems = (sections) => {
+  return Object.values(sections).reduce((total, items) => total + items.length, 0);
+};
+
+// buildDigestMarkdown
+// 是什么：每日摘要 markdown 正文生成函数。
+// 做什么：按分组输出任务标题链接与本地截止时间（被驳回任务附驳回理由），每组最多展示固定条数，末尾附任务列表入口；正文超出字节上限时继续折叠低优先级分组的任务。
+// 为什么：企业微信 markdown 消息支持链接，点击任务即可直达 Web 端详情处理；分组标题始终保留各组总数，折叠的任务仍可从任务列表进入。
+const buildDigestMarkdown = (sections, options = {}) => {
+  const { dateKey, utcOffsetMinutes, buildTaskUrl, listUrl } = options;
+  const formatLocalTime = (value) => {
+    const date = toDateOrNull(value);
+    return date ? new Date(date.getTime() + utcOffsetMinutes * MINUTE_MS).toISOString().slice(5, 16).replace('T', ' ') : '-';
+  };
+  const sectionKeys = Object.keys(DIGEST_SECTION).filter((section) => (sections[section] || []).length > 0);
+  const shownCounts = new Map(
+    sectionKeys.map((section) => [section, Math.min(sections[section].length, DIGEST_SECTION_ITEM_LIMIT)])
+  );
+
+  const render = () => {
+    const lines = [`### 📋 每日任务摘要 ${dateKey}`];
+    sectionKeys.forEach((section) => {
+      const items = sections[section];
+      const shownCount = shownCounts.get(section);
+      lines.push('', `**${DIGEST_SECTION_TITLES[section]}（${items.length}）**`);
+      items.slice(0, shownCount).forEach((task) => {
+        const title = normalizeText(task.title).replace(/[[\]]/g, '').slice(0, 40) || `任务 #${task.id}`;
+        const note =
+          section === DIGEST_SECTION.REJECTED
+            ? `驳回：${normalizeText(task.reject_reason).slice(0, 30)}`
+            : `截止 ${formatLocalTime(task.end_time)}`;
+        lines.push(`> [${title}](${buildTaskUrl(task)}) <font color="comment">${note}</font>`);
+      });
+
+      if (items.length > shownCount) {
+        lines.push(`> 另有 ${items.length - shownCount} 项`);
+      }
+    });
+
+    lines.push('', `[打开任务列表](${listUrl})`);
+    return lines.join('\n');
+  };
+
+  let markdown = render();
+  while (Buffer.byteLength(markdown) > DIGEST_MAX_BYTES) {
+    const section = [...sectionKeys].reverse().find((key) => shownCounts.get(key) > 0);
+    if (!section) {
+      break;
+    }
+
+    shownCounts.set(section, shownCounts.get(section) - 1);
+    markdown = render();
+  }
+
+  return markdown;
+};
+
+module.exports = {
+  DEFAULT_DIGEST_TIME,
+  DIGEST_SECTION,
+  DIGEST_SECTION_ITEM_LIMIT,
+  DIGEST_MAX_BYTES,
+  normalizeDigestTimeInput,
+  resolveDigestTime,
+  getDigestSchedule,
+  buildDigestSections,
+  countDigestItems,
+  buildDigestMarkdown,
+};
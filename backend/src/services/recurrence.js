@@ -0,0 +1,356 @@
+const { normalizeText } = require('./task-lifecycle');
+
+// RECURRENCE_FREQ
+// 是什么：重复频率常量定义。
+// 做什么：限定支持的 RRULE `FREQ` 取值（按日/按周/按月）。
+// 为什么：周报、月度盘点、每日站会只需这三类频率，收敛范围可降低规则解析复杂度。
+const RECURRENCE_FREQ = {
+  DAILY: 'DAILY',
+  WEEKLY: 'WEEKLY',
+  MONTHLY: 'MONTHLY',
+};
+
+// SERIES_STATUS
+// 是什么：重复任务序列状态常量。
+// 做什么：区分生成中、已手动停止、已按 COUNT/UNTIL 自然结束三种状态。
+// 为什么：生成器只处理生成中的序列，停止与自然结束需分开统计便于排查。
+const SERIES_STATUS = {
+  ACTIVE: 'ACTIVE',
+  STOPPED: 'STOPPED',
+  FINISHED: 'FINISHED',
+};
+
+// WEEKDAY_CODES
+// 是什么：RRULE 星期代码表。
+// 做什么：按 `Date#getUTCDay()` 顺序（周日为 0）列出 `SU..SA`。
+// 为什么：BYDAY 解析与日期匹配都需要星期代码与数字之间互相转换。
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// DEFAULT_UTC_OFFSET_MINUTES
+// 是什么：默认业务时区偏移（分钟）。
+// 做什么：未配置时按东八区（UTC+8）计算重复规则中的“哪一天”。
+// 为什么：BYDAY/按月日期需以业务所在地的日历判断，直接用 UTC 会在零点附近错位一天。
+const DEFAULT_UTC_OFFSET_MINUTES = 480;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ITERATIONS = 3660;
+
+// resolveUtcOffsetMinutes
+// 是什么：业务时区偏移解析函数。
+// 做什么：读取数值型分钟偏移，非法时回退默认东八区。
+// 为什么：环境变量可能为空或拼写错误，需要稳定的兜底值。
+const resolveUtcOffsetMinutes = (rawValue) => {
+  const normalized = normalizeText(rawValue);
+  if (!normalized || !Number.isFinite(Number(normalized))) {
+    return DEFAULT_UTC_OFFSET_MINUTES;
+  }
+
+  return Math.trunc(Number(normalized));
+};
+
+// parseUntilValue
+// 是什么：RRULE UNTIL 取值解析函数。
+// 做什么：支持 `YYYYMMDD` 与 `YYYYMMDDTHHMMSSZ` 两种写法，日期形式视为业务时区当天结束。
+// 为什么：RFC 5545 允许两种格式，业务上“截至某天”应包含当天的实例。
+const parseUntilValue = (value) => {
+  const matched = normalizeText(value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  if (!matched) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second] = matched;
+  const until = hour
+    ? new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second)))
+    : new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), 23, 59, 59));
+
+  if (Number.isNaN(until.getTime())) {
+    return null;
+  }
+
+  return { until, untilIsDate: !hour };
+};
+
+// parseByDayValue
+// 是什么：RRULE BYDAY 取值解析函数。
+// 做什么：将 `MO,WE` 或 `1MO,-1FR` 解析为 `{ ordinal, weekday }` 列表。
+// 为什么：按周规则只需星期，按月规则还需“第几个星期几”，统一结构便于后续匹配。
+const parseByDayValue = (value) => {
+  const entries = normalizeText(value)
+    .split(',')
+    .map((item) => normalizeText(item).toUpperCase())
+    .filter(Boolean);
+
+  const parsed = [];
+  for (const entry of entries) {
+    const matched = entry.match(/^([+-]?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/);
+    if (!matched) {
+      return null;
+    }
+
+    parsed.push({
+      ordinal: matched[1] ? Number(matched[1]) : 0,
+      weekday: WEEKDAY_CODES.indexOf(matched[2]),
+    });
+  }
+
+  return parsed;
+};
+
+// parseRecurrenceRule
+// 是什么：RRULE 子集解析函数。
+// 做什么：解析 `FREQ/INTERVAL/BYDAY/COUNT/UNTIL`，输出标准化规则对象，非法输入返回 `null`。
+// 为什么：重复任务规则来自用户输入，需在入库前完成校验，避免生成器运行期才发现规则错误。
+const parseRecurrenceRule = (rawValue) => {
+  const normalized = normalizeText(rawValue).replace(/^RRULE:/i, '');
+  if (!normalized) {
+    return null;
+  }
+
+  const parts = {};
+  for (const segment of normalized.split(';')) {
+    const [key, value] = segment.split('=');
+    if (!normalizeText(key) || value === undefined) {
+      return null;
+    }
+    parts[normalizeText(key).toUpperCase()] = normalizeText(value);
+  }
+
+  const freq = normalizeText(parts.FREQ).toUpperCase();
+  if (!RECURRENCE_FREQ[freq]) {
+    return null;
+  }
+
+  const interval = parts.INTERVAL === undefined ? 1 : Number(parts.INTERVAL);
+  if (!Number.isInteger(interval) || interval < 1) {
+    return null;
+  }
+
+  const byDay = parts.BYDAY === undefined ? [] : parseByDayValue(parts.BYDAY);
+  if (!byDay || (freq !== RECURRENCE_FREQ.MONTHLY && byDay.some((item) => item.ordinal !== 0))) {
+    return null;
+  }
+
+  const count = parts.COUNT === undefined ? null : Number(parts.COUNT);
+  if (count !== null && (!Number.isInteger(count) || count < 1)) {
+    return null;
+  }
+
+  const untilValue = parts.UNTIL === undefined ? null : parseUntilValue(parts.UNTIL);
+  if (parts.UNTIL !== undefined && !untilValue) {
+    return null;
+  }
+
+  if (count !== null && untilValue) {
+    return null;
+  }
+
+  return {
+    freq,
+    interval,
+    byDay,
+    count,
+    until: untilValue ? untilValue.until : null,
+    untilIsDate: Boolean(untilValue && untilValue.untilIsDate),
+  };
+};
+
+// formatRecurrenceRule
+// 是什么：RRULE 标准化输出函数。
+// 做什么：将规则对象还原为统一顺序的 RRULE 字符串。
+// 为什么：入库前统一格式，便于比对规则是否变化及在接口中展示。
+const formatRecurrenceRule = (rule) => {
+  if (!rule) {
+    return '';
+  }
+
+  const segments = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) {
+    segments.push(`INTERVAL=${rule.interval}`);
+  }
+  if (rule.byDay.length > 0) {
+    segments.push(
+      `BYDAY=${rule.byDay
+        .map((item) => `${item.ordinal !== 0 ? item.ordinal : ''}${WEEKDAY_CODES[item.weekday]}`)
+        .join(',')}`
+    );
+  }
+  if (rule.count !== null) {
+    segments.push(`COUNT=${rule.count}`);
+  }
+  if (rule.until) {
+    const untilText = rule.until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    segments.push(`UNTIL=${rule.untilIsDate ? untilText.slice(0, 8) : untilText}`);
+  }
+
+  return segments.join(';');
+};
+
+// toWallClock / fromWallClock
+// 是什么：业务时区与 UTC 之间的换算函数。
+// 做什么：将时间平移到业务时区后用 `getUTC*` 读取“当地日期”，计算完再平移回 UTC。
+// 为什么：不依赖服务器所在时区，保证同一规则在任何部署环境得到相同结果。
+const toWallClock = (date, utcOffsetMinutes) => new Date(date.getTime() + utcOffsetMinutes * 60 * 1000);
+const fromWallClock = (date, utcOffsetMinutes) => new Date(date.getTime() - utcOffsetMinutes * 60 * 1000);
+
+const getWeekStartDayNumber = (wallDate) => {
+  const dayNumber = Math.floor(wallDate.getTime() / DAY_MS);
+  return dayNumber - ((wallDate.getUTCDay() + 6) % 7);
+};
+
+const withTimeOfDay = (wallDate, timeSource) => {
+  return new Date(
+    Date.UTC(
+      wallDate.getUTCFullYear(),
+      wallDate.getUTCMonth(),
+      wallDate.getUTCDate(),
+      timeSource.getUTCHours(),
+      timeSource.getUTCMinutes(),
+      timeSource.getUTCSeconds()
+    )
+  );
+};
+
+// listMonthlyCandidates
+// 是什么：按月规则单月候选日期计算函数。
+// 做什么：无 BYDAY 时取开始日期同号日（当月不存在则跳过），有 BYDAY 时取“第 N 个星期几”。
+// 为什么：月度任务既有“每月 5 号”也有“每月最后一个周五”两种常见写法。
+const listMonthlyCandidates = (rule, year, month, wallStart) => {
+  if (rule.byDay.length === 0) {
+    const candidate = new Date(Date.UTC(year, month, wallStart.getUTCDate()));
+    return candidate.getUTCMonth() === month ? [withTimeOfDay(candidate, wallStart)] : [];
+  }
+
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const candidates = [];
+
+  rule.byDay.forEach((entry) => {
+    const matchedDays = [];
+    for (let day = 1; day <= daysInMonth; day += 1) {
+      if (new Date(Date.UTC(year, month, day)).getUTCDay() === entry.weekday) {
+        matchedDays.push(day);
+      }
+    }
+
+    const pickedDays =
+      entry.ordinal === 0
+        ? matchedDays
+        : [matchedDays[entry.ordinal > 0 ? entry.ordinal - 1 : matchedDays.length + entry.ordinal]].filter(Boolean);
+
+    pickedDays.forEach((day) => {
+      candidates.push(withTimeOfDay(new Date(Date.UTC(year, month, day)), wallStart));
+    });
+  });
+
+  return candidates.sort((a, b) => a.getTime() - b.getTime());
+};
+
+// computeNextOccurrence
+// 是什么：下一次重复实例开始时间计算函数。
+// 做什么：以 DTSTART 为第 1 个实例，在上一个实例之后按规则寻找下一开始时间，超出 COUNT/UNTIL 返回 `null`。
+// 为什么：生成器每次只物化“下一个”实例，按需计算可避免一次性展开整条序列。
+const computeNextOccurrence = (rule, options = {}) => {
+  const dtstart = options.dtstart instanceof Date ? options.dtstart : new Date(options.dtstart);
+  const previousStart = options.previousStart ? new Date(options.previousStart) : dtstart;
+  const occurrenceCount = Number(options.occurrenceCount || 1);
+  const utcOffsetMinutes = Number.isFinite(options.utcOffsetMinutes)
+    ? options.utcOffsetMinutes
+    : DEFAULT_UTC_OFFSET_MINUTES;
+
+  if (!rule || Number.isNaN(dtstart.getTime()) || Number.isNaN(previousStart.getTime())) {
+    return null;
+  }
+
+  if (rule.count !== null && occurrenceCount >= rule.count) {
+    return null;
+  }
+
+  const wallStart = toWallClock(dtstart, utcOffsetMinutes);
+  const wallPrevious = toWallClock(previousStart, utcOffsetMinutes);
+  const weekdaySet = new Set(rule.byDay.map((item) => item.weekday));
+  let nextWall = null;
+
+  if (rule.freq === RECURRENCE_FREQ.MONTHLY) {
+    const startMonthIndex = wallStart.getUTCFullYear() * 12 + wallStart.getUTCMonth();
+    let monthIndex = wallPrevious.getUTCFullYear() * 12 + wallPrevious.getUTCMonth();
+    monthIndex -= (monthIndex - startMonthIndex) % rule.interval;
+
+    for (let iteration = 0; iteration < MAX_ITERATIONS && !nextWall; iteration += 1) {
+      const candidates = listMonthlyCandidates(rule, Math.floor(monthIndex / 12), monthIndex % 12, wallStart);
+      nextWall = candidates.find((item) => item.getTime() > wallPrevious.getTime()) || null;
+      monthIndex += rule.interval;
+    }
+  } else {
+    const startDayNumber = Math.floor(wallStart.getTime() / DAY_MS);
+    const startWeekNumber = getWeekStartDayNumber(wallStart);
+
+    for (let offset = 1; offset <= MAX_ITERATIONS && !nextWall; offset += 1) {
+      const candidate = withTimeOfDay(new Date(wallPrevious.getTime() + offset * DAY_MS), wallStart);
+      const candidateDayNumber = Math.floor(candidate.getTime() / DAY_MS);
+      const matchesWeekday = weekdaySet.size === 0 || weekdaySet.has(candidate.getUTCDay());
+
+      if (rule.freq === RECURRENCE_FREQ.DAILY) {
+        if ((candidateDayNumber - startDayNumber) % rule.interval === 0 && matchesWeekday) {
+          nextWall = candidate;
+        }
+        continue;
+      }
+
+      const weekDistance = (getWeekStartDayNumber(candidate) - startWeekNumber) / 7;
+      const matchesWeek = weekDistance % rule.interval === 0;
+      const matchesDefaultWeekday = weekdaySet.size > 0 || candidate.getUTCDay() === wallStart.getUTCDay();
+      if (matchesWeek && matchesWeekday && matchesDefaultWeekday) {
+        nextWall = candidate;
+      }
+    }
+  }
+
+  if (!nextWall) {
+    return null;
+  }
+
+  const nextStart = fromWallClock(nextWall, utcOffsetMinutes);
+  const comparedTime = rule.untilIsDate ? nextWall.getTime() : nextStart.getTime();
+  if (rule.until && comparedTime > rule.until.getTime()) {
+    return null;
+  }
+
+  return nextStart;
+};
+
+// parseLeadTimeHours
+// 是什么：提前生成时长解析函数。
+// 做什么：将输入解析为非负小时数，空值或非法值返回 `null`（表示仅在验收通过后生成）。
+// 为什么：提前量来自接口输入，需要与“未配置”明确区分。
+const parseLeadTimeHours = (value) => {
+  const normalized = normalizeText(value);
+  if (!normalized || !Number.isFinite(Number(normalized)) || Number(normalized) < 0) {
+    return null;
+  }
+
+  return Number(normalized);
+};
+
+// shouldMaterializeByLeadTime
+// 是什么：提前生成判定函数。
+// 做什么：当当前时间进入“下次开始时间 - 提前量”窗口时返回 `true`。
+// 为什么：部分例行任务需提前下发（如周报周五发出前一天提醒准备），不能等上一期验收。
+const shouldMaterializeByLeadTime = (nextStart, leadTimeHours, now = new Date()) => {
+  if (!(nextStart instanceof Date) || leadTimeHours === null || leadTimeHours === undefined) {
+    return false;
+  }
+
+  const nowDate = now instanceof Date ? now : new Date(now);
+  return nowDate.getTime() >= nextStart.getTime() - Number(leadTimeHours) * 60 * 60 * 1000;
+};
+
+module.exports = {
+  RECURRENCE_FREQ,
+  SERIES_STATUS,
+  DEFAULT_UTC_OFFSET_MINUTES,
+  resolveUtcOffsetMinutes,
+  parseRecurrenceRule,
+  formatRecurrenceRule,
+  computeNextOccurrence,
+  parseLeadTimeHours,
+  shouldMaterializeByLeadTime,
+};
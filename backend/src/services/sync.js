@@ -1,6 +1,7 @@
 const wecom = require('./wecom');
 const cron = require('node-cron');
 const { taskService } = require('./task');
+const { isTaskBlocked, VERIFY_TIMEOUT_ACTION } = require('./task-lifecycle');
 const { buildSyncCalendarTargets } = require('./calendar-mapping');
 const { logWithTrace, createTraceId } = require('../utils/logger');
 
@@ -28,12 +29,20 @@ class SyncService {
         schedule: '*/10 * * * *',
       });
       this.syncSchedules();
+      this.dispatchRecurringTasks();
+      this.dispatchVerifierReminders();
+      this.dispatchDailyDigests();
+      this.dispatchDeferredNotifications();
     });
 
     logWithTrace(createTraceId(), 'sync-service', 'startup.trigger', {
       reason: 'service_start',
     });
     this.syncSchedules();
+    this.dispatchRecurringTasks();
+    this.dispatchVerifierReminders();
+    this.dispatchDailyDigests();
+    this.dispatchDeferredNotifications();
   }
 
   async syncSchedules() {
@@ -66,6 +75,7 @@ class SyncService {
         updated_count: 0,
         skipped_count: 0,
         reminder_sent_count: 0,
+        escalated_count: 0,
       };
       const processedScheduleIds = new Set();
 
@@ -127,6 +137,7 @@ class SyncService {
 
       const reminderResult = await this.dispatchDateReminders();
       summary.reminder_sent_count = reminderResult.sent_count;
+      summary.escalated_count = reminderResult.escalated_count || 0;
 
       logWithTrace(traceId, 'sync-service', 'sync.success', summary);
       return summary;
@@ -197,20 +208,46 @@ class SyncService {
 
     try {
       const pendingTasks = await taskService.listPendingTasks();
+      const reminderPolicyContext = await taskService.loadReminderPolicyContext();
       let sentCount = 0;
       let checkedCount = 0;
+      let blockedCount = 0;
+      let escalatedCount = 0;
+      let deferredCount = 0;
+      let suppressedCount = 0;
 
       for (const task of pendingTasks) {
-        const result = await taskService.dispatchTaskReminder(task, 'sync_cron');
-        checkedCount += 1;
-        if (result.sent) {
-          sentCount += 1;
+        // 阻塞只跳过对执行人的到期提醒；逾期升级照常进行，被卡住的任务更需要有人介入推动前置任务。
+        let result = { sent: false };
+        if (isTaskBlocked(task)) {
+          blockedCount += 1;
+        } else {
+          result = await taskService.dispatchTaskReminder(task, 'sync_cron', new Date(), reminderPolicyContext);
+          checkedCount += 1;
+          if (result.sent) {
+            sentCount += 1;
+          } else if (result.suppressed) {
+            suppressedCount += 1;
+          }
+        }
+
+        const escalationResult = await taskService.dispatchTaskEscalation(task, 'sync_cron');
+        if (escalationResult.escalated) {
+          escalatedCount += 1;
+        }
+
+        if (result.deferred || escalationResult.deferred) {
+          deferredCount += 1;
         }
       }
 
       const summary = {
         sent_count: sentCount,
         checked_count: checkedCount,
+        blocked_count: blockedCount,
+        escalated_count: escalatedCount,
+        deferred_count: deferredCount,
+        suppressed_count: suppressedCount,
       };
 
       logWithTrace(traceId, 'sync-service', 'reminder.dispatch.success', summary);
@@ -224,6 +261,131 @@ class SyncService {
       return {
         sent_count: 0,
         checked_count: 0,
+        blocked_count: 0,
+        escalated_count: 0,
+        deferred_count: 0,
+        suppressed_count: 0,
+      };
+    }
+  }
+
+  // dispatchVerifierReminders
+  // 是什么：待验收停滞扫描入口。
+  // 做什么：逐个处理待验收任务的提醒、自动通过与改派，汇总各动作次数，异常时记录日志并返回空统计。
+  // 为什么：验收等待与企微日历无关，需独立于日程同步流程执行。
+  async dispatchVerifierReminders() {
+    const traceId = createTraceId();
+    const summary = {
+      checked_count: 0,
+      reminded_count: 0,
+      auto_passed_count: 0,
+      rerouted_count: 0,
+      deferred_count: 0,
+    };
+
+    try {
+      const waitingTasks = await taskService.listWaitingVerifyTasks();
+      for (const task of waitingTasks) {
+        const result = await taskService.dispatchVerifierReminder(task, 'sync_cron');
+        summary.checked_count += 1;
+        if (result.action === VERIFY_TIMEOUT_ACTION.AUTO_PASS) {
+          summary.auto_passed_count += 1;
+        } else if (result.action === VERIFY_TIMEOUT_ACTION.REROUTE) {
+          summary.rerouted_count += 1;
+        } else if (result.reminded) {
+          summary.reminded_count += 1;
+        } else if (result.deferred) {
+          summary.deferred_count += 1;
+        }
+      }
+
+      logWithTrace(traceId, 'sync-service', 'verify_reminder.dispatch.success', summary);
+      return summary;
+    } catch (error) {
+      logWithTrace(traceId, 'sync-service', 'verify_reminder.dispatch.error', {
+        message: error.message,
+        stack: error.stack,
+      });
+
+      return {
+        checked_count: 0,
+        reminded_count: 0,
+        auto_passed_count: 0,
+        rerouted_count: 0,
+        deferred_count: 0,
+      };
+    }
+  }
+
+  // dispatchDailyDigests
+  // 是什么：每日摘要发送入口。
+  // 做什么：随定时任务触发摘要扫描，到达各成员本地发送时间即推送，异常时记录日志并返回空统计。
+  // 为什么：摘要按成员时区分散在不同时刻发送，需每轮扫描检查，且不依赖企微日历配置。
+  async dispatchDailyDigests() {
+    const traceId = createTraceId();
+
+    try {
+      return await taskService.dispatchDailyDigests('sync_cron');
+    } catch (error) {
+      logWithTrace(traceId, 'sync-service', 'daily_digest.dispatch.error', {
+        message: error.message,
+        stack: error.stack,
+      });
+
+      return {
+        checked_count: 0,
+        sent_count: 0,
+        empty_count: 0,
+        deferred_count: 0,
+        error_count: 0,
+      };
+    }
+  }
+
+  // dispatchDeferredNotifications
+  // 是什么：免打扰顺延通知补发入口。
+  // 做什么：随定时任务触发补发扫描，把因免打扰暂缓的通知发给已离开免打扰的接收人，异常时记录日志并返回空统计。
+  // 为什么：各接收人离开免打扰的时刻不同，需每轮扫描检查，且不依赖企微日历配置。
+  async dispatchDeferredNotifications() {
+    const traceId = createTraceId();
+
+    try {
+      return await taskService.dispatchDeferredNotifications();
+    } catch (error) {
+      logWithTrace(traceId, 'sync-service', 'deferred_notification.dispatch.error', {
+        message: error.message,
+        stack: error.stack,
+      });
+
+      return {
+        checked_count: 0,
+        sent_count: 0,
+        expired_count: 0,
+        deferred_count: 0,
+        error_count: 0,
+      };
+    }
+  }
+
+  // dispatchRecurringTasks
+  // 是什么：周期任务提前生成入口。
+  // 做什么：随定时任务触发序列生成，异常时记录日志并返回空统计。
+  // 为什么：周期任务不依赖企微日历配置，需独立于日程同步流程执行。
+  async dispatchRecurringTasks() {
+    const traceId = createTraceId();
+
+    try {
+      return await taskService.dispatchRecurringTasks();
+    } catch (error) {
+      logWithTrace(traceId, 'sync-service', 'recurrence.dispatch.error', {
+        message: error.message,
+        stack: error.stack,
+      });
+
+      return {
+        series_count: 0,
+        created_count: 0,
+        error_count: 0,
       };
     }
   }
@@ -6,6 +6,39 @@ const TASK_STATUS = {
   PENDING: 'PENDING',
   WAITING_VERIFY: 'WAITING_VERIFY',
   COMPLETED: 'COMPLETED',
+  CANCELLED: 'CANCELLED',
+  ARCHIVED: 'ARCHIVED',
+};
+
+// CLOSED_TASK_STATUSES
+// 是什么：已关闭任务状态集合。
+// 做什么：列出不再需要执行、提醒或阻塞后续任务的状态。
+// 为什么：逾期判断、检查项锁定与依赖解除都以“是否已关闭”为口径，集中维护避免遗漏新状态。
+const CLOSED_TASK_STATUSES = [TASK_STATUS.COMPLETED, TASK_STATUS.CANCELLED, TASK_STATUS.ARCHIVED];
+
+// TASK_MANAGE_ACTION / TASK_MANAGE_TRANSITIONS
+// 是什么：任务管理动作及其状态流转表。
+// 做什么：声明取消、归档、重新打开各自允许的起始状态与目标状态。
+// 为什么：三类动作共用一套校验与写入流程，流转规则以数据表达便于审阅与扩展。
+const TASK_MANAGE_ACTION = {
+  CANCEL: 'CANCEL',
+  ARCHIVE: 'ARCHIVE',
+  REOPEN: 'REOPEN',
+};
+
+const TASK_MANAGE_TRANSITIONS = {
+  [TASK_MANAGE_ACTION.CANCEL]: {
+    from: [TASK_STATUS.PENDING, TASK_STATUS.WAITING_VERIFY],
+    to: TASK_STATUS.CANCELLED,
+  },
+  [TASK_MANAGE_ACTION.ARCHIVE]: {
+    from: [TASK_STATUS.COMPLETED, TASK_STATUS.CANCELLED],
+    to: TASK_STATUS.ARCHIVED,
+  },
+  [TASK_MANAGE_ACTION.REOPEN]: {
+    from: [TASK_STATUS.CANCELLED, TASK_STATUS.ARCHIVED],
+    to: TASK_STATUS.PENDING,
+  },
 };
 
 // REMINDER_KIND
@@ -18,6 +51,317 @@ const REMINDER_KIND = {
   OVERDUE: 'OVERDUE',
 };
 
+// REMINDER_POLICY_SCOPE
+// 是什么：提醒策略指定范围常量。
+// 做什么：标识提醒策略指定在全局、项目或单个任务上，`PRIORITY` 表示未指定时按优先级推导的内置策略。
+// 为什么：策略按“任务 > 项目 > 全局”逐级覆盖，接口需告知当前生效策略来自哪一级。
+const REMINDER_POLICY_SCOPE = {
+  GLOBAL: 'GLOBAL',
+  PROJECT: 'PROJECT',
+  TASK: 'TASK',
+  PRIORITY: 'PRIORITY',
+};
+
+// REMINDER_POLICY_LIMITS
+// 是什么：提醒策略配置上限。
+// 做什么：限制策略名称长度、偏移量个数与范围（±30 天），以及逾期重复提醒的最短间隔。
+// 为什么：提醒会推送到企业微信，过密或过多的时间点会变成消息轰炸。
+const REMINDER_POLICY_LIMITS = {
+  maxNameLength: 40,
+  maxOffsets: 10,
+  maxOffsetMinutes: 30 * 24 * 60,
+  minRepeatMinutes: 60,
+};
+
+// ESCALATION_TARGET
+// 是什么：逾期升级通知对象常量。
+// 做什么：标识升级层级通知创建人、执行人所在部门负责人或配置的升级名单。
+// 为什么：逾期越久越需要更高层级介入，不同层级的接收人来源不同。
+const ESCALATION_TARGET = {
+  CREATOR: 'CREATOR',
+  DEPARTMENT_LEADER: 'DEPARTMENT_LEADER',
+  ESCALATION_LIST: 'ESCALATION_LIST',
+};
+
+// ESCALATION_TARGET_ALIASES
+// 是什么：升级对象配置简写映射。
+// 做什么：允许 `TASK_ESCALATION_TIERS` 中以 creator/leader/list 简写升级对象。
+// 为什么：环境变量需便于手写，完整常量名过长且容易拼错。
+const ESCALATION_TARGET_ALIASES = {
+  CREATOR: ESCALATION_TARGET.CREATOR,
+  LEADER: ESCALATION_TARGET.DEPARTMENT_LEADER,
+  DEPARTMENT_LEADER: ESCALATION_TARGET.DEPARTMENT_LEADER,
+  LIST: ESCALATION_TARGET.ESCALATION_LIST,
+  ESCALATION_LIST: ESCALATION_TARGET.ESCALATION_LIST,
+};
+
+// DEFAULT_ESCALATION_TIERS
+// 是什么：默认逾期升级层级。
+// 做什么：逾期 24 小时通知创建人，72 小时通知部门负责人，7 天通知升级名单。
+// 为什么：未配置 `TASK_ESCALATION_TIERS` 时提供逐级加码的通用节奏。
+const DEFAULT_ESCALATION_TIERS = [
+  { level: 1, after_hours: 24, target: ESCALATION_TARGET.CREATOR },
+  { level: 2, after_hours: 72, target: ESCALATION_TARGET.DEPARTMENT_LEADER },
+  { level: 3, after_hours: 168, target: ESCALATION_TARGET.ESCALATION_LIST },
+];
+
+// VERIFY_TIMEOUT_ACTION
+// 是什么：验收超时处理动作常量。
+// 做什么：标识待验收超过时限后不处理（仅提醒）、自动通过或转给备用验收人。
+// 为什么：不同任务对“领导迟迟不验收”的容忍方式不同，低风险任务可自动放行，关键任务只能换人验收。
+const VERIFY_TIMEOUT_ACTION = {
+  NONE: 'NONE',
+  AUTO_PASS: 'AUTO_PASS',
+  REROUTE: 'REROUTE',
+};
+
+// VERIFY_STALL_DECISION
+// 是什么：待验收停滞处理结论常量。
+// 做什么：标识本轮扫描对待验收任务无需处理、提醒验收人或执行超时动作。
+// 为什么：提醒与超时动作互斥，由纯函数给出结论后服务层只负责执行。
+const VERIFY_STALL_DECISION = {
+  NONE: 'NONE',
+  REMIND: 'REMIND',
+  TIMEOUT: 'TIMEOUT',
+};
+
+// DEFAULT_VERIFY_POLICY
+// 是什么：默认验收等待策略。
+// 做什么：未配置时每 24 小时提醒一次验收人，超时动作为不处理，超时阈值为 16 个工作小时。
+// 为什么：默认只做提醒不改变验收结果，自动通过或改派需由团队显式开启。
+const DEFAULT_VERIFY_POLICY = {
+  action: VERIFY_TIMEOUT_ACTION.NONE,
+  timeout_hours: 16,
+  reminder_cooldown_hours: 24,
+  backup_verifiers: [],
+};
+
+// COMPLETE_BLOCK_REASON
+// 是什么：提交验收受阻原因常量定义。
+// 做什么：标识执行人无法提交验收的具体原因（非执行人/状态不符/检查项未完成/前置任务未完成）。
+// 为什么：接口与卡片需要给出可理解的拒绝原因，而不是笼统的“无权限”。
+const COMPLETE_BLOCK_REASON = {
+  NONE: '',
+  NOT_EXECUTOR: 'NOT_EXECUTOR',
+  STATUS_INVALID: 'STATUS_INVALID',
+  ITEMS_INCOMPLETE: 'ITEMS_INCOMPLETE',
+  BLOCKED: 'BLOCKED',
+  EXECUTOR_DONE: 'EXECUTOR_DONE',
+  CLOSED: 'CLOSED',
+  EVIDENCE_MISSING: 'EVIDENCE_MISSING',
+};
+
+// COMPLETION_MODE
+// 是什么：多执行人完成口径常量定义。
+// 做什么：`ALL` 表示全部执行人完成才提交验收，`ANY` 表示任一执行人完成即可提交。
+// 为什么：会议纪要类任务任一人完成即可，而联合交付类任务需要每人都确认完成。
+const COMPLETION_MODE = {
+  ALL: 'ALL',
+  ANY: 'ANY',
+};
+
+// TASK_PRIORITY / PRIORITY_REMINDER_POLICY
+// 是什么：任务优先级常量及各级提醒策略。
+// 做什么：P0 最紧急、P3 最低；每级声明即将到期窗口（小时）、提醒冷却（小时）与卡片展示文案。
+// 为什么：紧急任务需要更早、更频繁地提醒，低优先级任务减少打扰；未设置时按 P2 兼容历史行为。
+const TASK_PRIORITY = {
+  P0: 'P0',
+  P1: 'P1',
+  P2: 'P2',
+  P3: 'P3',
+};
+
+const DEFAULT_TASK_PRIORITY = TASK_PRIORITY.P2;
+
+const PRIORITY_REMINDER_POLICY = {
+  [TASK_PRIORITY.P0]: { dueSoonHours: 48, cooldownHours: 4, label: '🔴 P0 紧急' },
+  [TASK_PRIORITY.P1]: { dueSoonHours: 36, cooldownHours: 8, label: '🟠 P1 高' },
+  [TASK_PRIORITY.P2]: { dueSoonHours: 24, cooldownHours: 12, label: '🔵 P2 中' },
+  [TASK_PRIORITY.P3]: { dueSoonHours: 24, cooldownHours: 24, label: '⚪ P3 低' },
+};
+
+// APPROVAL_STAGE_STATUS
+// 是什么：审批阶段状态常量定义。
+// 做什么：标识每一级审批是否已通过。
+// 为什么：多级审批需知道停留在哪一级，驳回时统一重置为待审批。
+const APPROVAL_STAGE_STATUS = {
+  PENDING: 'PENDING',
+  PASSED: 'PASSED',
+};
+
+// EXTENSION_REQUEST_STATUS
+// 是什么：延期申请状态常量定义。
+// 做什么：标识延期申请处于待审批、已通过或已驳回。
+// 为什么：同一任务同一时间只允许一条待审批申请，需要状态字段做约束。
+const EXTENSION_REQUEST_STATUS = {
+  PENDING: 'PENDING',
+  APPROVED: 'APPROVED',
+  DENIED: 'DENIED',
+};
+
+// TASK_EVENT_TYPE
+// 是什么：任务事件类型常量定义。
+// 做什么：标识 `task_events` 中每条流转记录的业务语义。
+// 为什么：审计时间线需按稳定枚举检索与展示，避免各处自由拼写事件名。
+const TASK_EVENT_TYPE = {
+  CREATED: 'CREATED',
+  SYNC_UPDATED: 'SYNC_UPDATED',
+  SUBMITTED: 'SUBMITTED',
+  VERIFY_PASSED: 'VERIFY_PASSED',
+  VERIFY_REJECTED: 'VERIFY_REJECTED',
+  REMINDER_SENT: 'REMINDER_SENT',
+  EXECUTOR_COMPLETED: 'EXECUTOR_COMPLETED',
+  COMPLETION_MODE_CHANGED: 'COMPLETION_MODE_CHANGED',
+  STAGE_PASSED: 'STAGE_PASSED',
+  CANCELLED: 'CANCELLED',
+  ARCHIVED: 'ARCHIVED',
+  REOPENED: 'REOPENED',
+  REASSIGNED: 'REASSIGNED',
+  EXTENSION_REQUESTED: 'EXTENSION_REQUESTED',
+  EXTENSION_APPROVED: 'EXTENSION_APPROVED',
+  EXTENSION_DENIED: 'EXTENSION_DENIED',
+  PROJECT_CHANGED: 'PROJECT_CHANGED',
+  LABELS_CHANGED: 'LABELS_CHANGED',
+  EVIDENCE_REQUIREMENT_CHANGED: 'EVIDENCE_REQUIREMENT_CHANGED',
+  REPORT_SUBMITTED: 'REPORT_SUBMITTED',
+  QUALITY_RATED: 'QUALITY_RATED',
+  ESCALATED: 'ESCALATED',
+  VERIFY_REMINDER_SENT: 'VERIFY_REMINDER_SENT',
+  VERIFY_AUTO_PASSED: 'VERIFY_AUTO_PASSED',
+  VERIFY_REROUTED: 'VERIFY_REROUTED',
+  VERIFY_POLICY_CHANGED: 'VERIFY_POLICY_CHANGED',
+};
+
+// TASK_LABEL_LIMITS
+// 是什么：任务标签数量与长度上限。
+// 做什么：限制单个任务最多挂载的标签数与单个标签的字符数。
+// 为什么：标签为自由文本，不设上限会让筛选下拉与卡片展示失控。
+const TASK_LABEL_LIMITS = {
+  maxCount: 10,
+  maxLength: 32,
+};
+
+// TASK_COMMENT_MAX_LENGTH
+// 是什么：任务评论内容长度上限。
+// 做什么：发表评论时校验正文字符数。
+// 为什么：评论会原文推送到企业微信文本卡片，过长内容会被截断且难以阅读。
+const TASK_COMMENT_MAX_LENGTH = 1000;
+
+// UNASSIGNED_PROJECT_NAME
+// 是什么：未归属项目的展示名称。
+// 做什么：KPI 按项目拆分时作为 `project_id` 为空的分组名称。
+// 为什么：历史任务与日程同步任务默认不属于任何项目，仍需计入拆分结果。
+const UNASSIGNED_PROJECT_NAME = '未归属项目';
+
+// TASK_TEMPLATE_EXECUTOR_ROLE
+// 是什么：任务模板默认执行角色枚举。
+// 做什么：模板未指定具体执行人时，按角色在创建任务时解析为创建人或所属项目负责人。
+// 为什么：同一份例行工作模板常由不同的人发起，固定 userid 无法覆盖“谁发起谁执行”“项目负责人执行”的场景。
+const TASK_TEMPLATE_EXECUTOR_ROLE = {
+  CREATOR: 'CREATOR',
+  PROJECT_OWNER: 'PROJECT_OWNER',
+};
+
+// TASK_TEMPLATE_LIMITS
+// 是什么：任务模板的检查项数量与时长上限。
+// 做什么：限制单个模板（及单次创建任务）携带的检查项数量，以及默认时长的分钟数。
+// 为什么：模板会被反复套用，异常大的检查项列表或时长会批量制造不可用的任务。
+const TASK_TEMPLATE_LIMITS = {
+  maxItems: 50,
+  maxDurationMinutes: 90 * 24 * 60,
+};
+
+// TASK_BATCH_ACTION
+// 是什么：批量任务操作类型枚举。
+// 做什么：声明批量接口支持的提交、验收通过/驳回、转交、取消与重设标签六种动作。
+// 为什么：批量操作逐个复用单任务流程，只开放语义明确、可逐条反馈结果的动作。
+const TASK_BATCH_ACTION = {
+  COMPLETE: 'COMPLETE',
+  PASS: 'PASS',
+  REJECT: 'REJECT',
+  REASSIGN: 'REASSIGN',
+  CANCEL: 'CANCEL',
+  RELABEL: 'RELABEL',
+};
+
+// TASK_BATCH_MAX_SIZE
+// 是什么：单次批量操作的任务数量上限。
+// 做什么：限制 `task_ids` 的去重后数量。
+// 为什么：批量操作在一次请求内串行执行，数量过大会拖长请求并放大误操作影响面。
+const TASK_BATCH_MAX_SIZE = 100;
+
+// TASK_REPORT_LIMITS
+// 是什么：交付说明字段上限。
+// 做什么：限制总结文字长度、实际工时取值范围与交付链接的数量和长度。
+// 为什么：交付说明会展示在验收卡片与详情页，并作为工时统计口径，需要约束格式与体量。
+const TASK_REPORT_LIMITS = {
+  summaryMaxLength: 2000,
+  maxHours: 1000,
+  maxLinks: 10,
+  linkMaxLength: 500,
+};
+
+// TASK_QUALITY_RATING_LIMITS
+// 是什么：验收质量评分取值范围与评语长度上限。
+// 做什么：约束验收通过时填写的 1–5 分评分与简短评语。
+// 为什么：评分用于绩效统计，取值需固定为整数档位才能跨人、跨任务比较。
+const TASK_QUALITY_RATING_LIMITS = {
+  minScore: 1,
+  maxScore: 5,
+  commentMaxLength: 200,
+};
+
+// DEFAULT_REJECT_REASONS
+// 是什么：默认的标准驳回原因。
+// 做什么：未配置 `TASK_REJECT_REASONS` 时作为验收卡片与 Web 驳回弹窗的可选原因。
+// 为什么：按钮卡片无法输入文字，需提供一组通用原因，执行人才能在重做卡片上看到具体说明。
+const DEFAULT_REJECT_REASONS = ['交付物不完整', '质量不达标', '范围不符', '需补充说明'];
+
+// TASK_REJECT_REASON_LIMITS
+// 是什么：标准驳回原因数量与长度上限。
+// 做什么：限制可配置的原因条数与单条字数。
+// 为什么：原因会拼进卡片选项键（企业微信限 128 字节），且下拉选项最多 10 个，需与“确认通过”共用。
+const TASK_REJECT_REASON_LIMITS = {
+  maxCount: 8,
+  maxLength: 20,
+};
+
+// SYSTEM_ACTOR
+// 是什么：系统操作人标识常量。
+// 做什么：在无真实用户触发的流转（如定时同步、提醒）中作为操作人写入。
+// 为什么：审计记录必须有可识别的操作人，避免出现空值难以追溯。
+const SYSTEM_ACTOR = 'system';
+
+// TASK_AUDIT_FIELDS
+// 是什么：任务审计字段清单。
+// 做什么：声明事件载荷差异比对时关注的 tasks 字段。
+// 为什么：`updated_at` 等技术字段每次都会变化，纳入比对只会制造噪声。
+const TASK_AUDIT_FIELDS = [
+  'title',
+  'description',
+  'creator_userid',
+  'executor_userid',
+  'owner_userid',
+  'owner_cal_id',
+  'start_time',
+  'end_time',
+  'status',
+  'completion_time',
+  'verify_time',
+  'reject_reason',
+  'redo_count',
+  'completed_by_userid',
+  'verified_by_userid',
+  'completion_mode',
+  'cancel_reason',
+  'archived_from_status',
+  'original_end_time',
+  'extension_count',
+  'priority',
+  'project_id',
+  'require_evidence',
+];
+
 // normalizeText
 // 是什么：文本标准化函数。
 // 做什么：将输入转换为去首尾空白的字符串，兼容空值与数组值。
@@ -56,6 +400,23 @@ const parseGlobalVerifiers = (rawValue) => {
   return Array.from(uniqueUsers);
 };
 
+// parseRejectReasons
+// 是什么：标准驳回原因配置解析函数。
+// 做什么：将逗号分隔字符串（兼容中文逗号）转为去空白、去重的原因列表，超长截断、超量丢弃；未配置时返回默认原因。
+// 为什么：原因列表由运维通过环境变量维护，需容忍书写差异并保证卡片选项可用。
+const parseRejectReasons = (rawValue) => {
+  const reasons = Array.from(
+    new Set(
+      normalizeText(rawValue)
+        .split(/[,，]/)
+        .map((item) => normalizeText(item).slice(0, TASK_REJECT_REASON_LIMITS.maxLength))
+        .filter(Boolean)
+    )
+  ).slice(0, TASK_REJECT_REASON_LIMITS.maxCount);
+
+  return reasons.length > 0 ? reasons : [...DEFAULT_REJECT_REASONS];
+};
+
 // normalizeActionKey
 // 是什么：卡片动作键标准化函数。
 // 做什么：将选项键统一转为大写下划线形式，兼容大小写与空格。
@@ -64,17 +425,42 @@ const normalizeActionKey = (selectedKey) => {
   return normalizeText(selectedKey).toUpperCase();
 };
 
+// parseActionKey
+// 是什么：带参数卡片动作键解析函数。
+// 做什么：将 `ACTION_XXX:参数` 拆为标准化动作名与原样保留的参数。
+// 为什么：转交等动作需在按钮键中携带成员 userid，参数不能随动作名一起转成大写。
+const parseActionKey = (selectedKey) => {
+  const text = normalizeText(selectedKey);
+  const separatorIndex = text.indexOf(':');
+  if (separatorIndex < 0) {
+    return { action: normalizeActionKey(text), argument: '' };
+  }
+
+  return {
+    action: normalizeActionKey(text.slice(0, separatorIndex)),
+    argument: normalizeText(text.slice(separatorIndex + 1)),
+  };
+};
+
+// SQLITE_DATETIME_PATTERN
+// 是什么：SQLite 时间文本格式。
+// 做什么：匹配 `datetime()` 写入的 `YYYY-MM-DD HH:MM:SS` 这类不带时区的时间文本。
+// 为什么：SQLite 时间函数统一输出 UTC，而 `new Date` 会把不带时区的时间文本按服务器本地时区解析。
+const SQLITE_DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?$/;
+
 // toDateOrNull
 // 是什么：日期解析函数。
-// 做什么：将字符串或时间对象转换为合法 Date，非法值返回 null。
-// 为什么：数据库中可能存在空时间字段，提醒和 KPI 计算需要可控的日期解析结果。
+// 做什么：将字符串或时间对象转换为合法 Date，不带时区的数据库时间按 UTC 解析，非法值返回 null。
+// 为什么：数据库中可能存在空时间字段，提醒和 KPI 计算需要可控的日期解析结果，且不能随服务器时区变化。
 const toDateOrNull = (value) => {
   const normalized = normalizeText(value);
   if (!normalized) {
     return null;
   }
 
-  const parsed = new Date(normalized);
+  const parsed = new Date(
+    SQLITE_DATETIME_PATTERN.test(normalized) ? `${normalized.replace(' ', 'T')}Z` : normalized
+  );
   if (Number.isNaN(parsed.getTime())) {
     return null;
   }
@@ -82,30 +468,738 @@ const toDateOrNull = (value) => {
   return parsed;
 };
 
-// canUserCompleteTask
-// 是什么：执行完成权限判断函数。
-// 做什么：校验当前用户是否为任务执行人且任务处于待执行状态。
-// 为什么：避免非执行人或错误状态触发“提交验收”操作。
-const canUserCompleteTask = (task, userId) => {
+// buildTaskPayloadDiff
+// 是什么：任务变更差异计算函数。
+// 做什么：比对前后两版任务行，输出 `{ 字段: { from, to } }` 结构的变化集合。
+// 为什么：事件表只记录真正发生变化的字段，便于审计时快速看清“谁改了什么”。
+const buildTaskPayloadDiff = (beforeTask, afterTask, fields = TASK_AUDIT_FIELDS) => {
+  const before = beforeTask || {};
+  const after = afterTask || {};
+  const diff = {};
+
+  fields.forEach((field) => {
+    const previousValue = before[field] === undefined ? null : before[field];
+    const nextValue = after[field] === undefined ? null : after[field];
+
+    if (normalizeText(previousValue) === normalizeText(nextValue)) {
+      return;
+    }
+
+    diff[field] = {
+      from: previousValue,
+      to: nextValue,
+    };
+  });
+
+  return diff;
+};
+
+// normalizeCompletionMode
+// 是什么：完成口径标准化函数。
+// 做什么：空值回退为 `ALL`，无法识别的取值返回空字符串交由调用方报错。
+// 为什么：历史任务无该字段，需默认按“全部完成”处理，保持原单执行人语义。
+const normalizeCompletionMode = (value) => {
+  const normalized = normalizeText(value).toUpperCase();
+  if (!normalized) {
+    return COMPLETION_MODE.ALL;
+  }
+
+  return COMPLETION_MODE[normalized] || '';
+};
+
+// normalizeTaskPriority
+// 是什么：任务优先级标准化函数。
+// 做什么：兼容 `P1`/`p1`/`1` 写法，空值回退为 P2，无法识别返回空字符串交由调用方报错。
+// 为什么：接口、日程文本与历史数据的优先级写法不统一，入库前需收敛为同一取值。
+const normalizeTaskPriority = (value) => {
+  const normalized = normalizeText(value).toUpperCase();
+  if (!normalized) {
+    return DEFAULT_TASK_PRIORITY;
+  }
+
+  const key = /^[0-3]$/.test(normalized) ? `P${normalized}` : normalized;
+  return TASK_PRIORITY[key] || '';
+};
+
+// PRIORITY_TEXT_MARKER_PATTERN
+// 是什么：日程文本优先级标记匹配规则。
+// 做什么：匹配 `[P0]`/`【P1】` 括号标记、`优先级：P2` 标签，以及以行首、空白或 `#` 开头且其后为空白、结尾或标点的 `P1`。
+// 为什么：“项目P2阶段”“p1版本”这类正文里的字母数字组合不是优先级，不能被误判。
+const PRIORITY_TEXT_MARKER_PATTERN =
+  /[[【]P([0-3])[\]】]|优先级\s*[:：]?\s*P([0-3])(?![0-9])|(?:^|\s|#)P([0-3])(?=$|\s|[,，。;；!！?？)）])/i;
+
+// parsePriorityFromText
+// 是什么：日程文本优先级解析函数。
+// 做什么：从日程标题或描述中识别 `[P0]`、`【P1】`、`#P1`、`优先级：P2` 等标记，未识别返回空字符串。
+// 为什么：同步自日历的任务没有独立优先级字段，约定在日程文本中标注。
+const parsePriorityFromText = (...texts) => {
+  for (const text of texts) {
+    const match = normalizeText(text).match(PRIORITY_TEXT_MARKER_PATTERN);
+    if (match) {
+      return `P${match[1] || match[2] || match[3]}`;
+    }
+  }
+
+  return '';
+};
+
+// getPriorityReminderPolicy
+// 是什么：任务提醒策略解析函数。
+// 做什么：按任务优先级返回即将到期窗口与冷却时长，未知取值按 P2 处理。
+// 为什么：到期判断、提醒冷却与卡片文案需使用同一份策略。
+const getPriorityReminderPolicy = (task) => {
+  return (
+    PRIORITY_REMINDER_POLICY[normalizeTaskPriority(task && task.priority)] ||
+    PRIORITY_REMINDER_POLICY[DEFAULT_TASK_PRIORITY]
+  );
+};
+
+// parseTaskExecutors
+// 是什么：任务执行人列表解析函数。
+// 做什么：解析任务行上的 `executor_states`（JSON 数组）为 `{ userid, is_done, completed_at }` 列表。
+// 为什么：历史任务没有执行人明细行，此时回退为单执行人，完成状态由任务状态推断。
+const parseTaskExecutors = (task) => {
   if (!task) {
+    return [];
+  }
+
+  let states = Array.isArray(task.executor_states) ? task.executor_states : [];
+  if (typeof task.executor_states === 'string' && normalizeText(task.executor_states)) {
+    try {
+      const parsed = JSON.parse(task.executor_states);
+      states = Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      states = [];
+    }
+  }
+
+  const executors = states
+    .map((item) => ({
+      userid: normalizeText(item && item.userid),
+      is_done: Boolean(item && Number(item.is_done)),
+      completed_at: (item && item.completed_at) || null,
+    }))
+    .filter((item) => item.userid);
+
+  if (executors.length > 0) {
+    return executors;
+  }
+
+  const executorId = normalizeText(task.executor_userid);
+  return executorId
+    ? [
+        {
+          userid: executorId,
+          is_done: normalizeText(task.status) !== TASK_STATUS.PENDING,
+          completed_at: task.completion_time || null,
+        },
+      ]
+    : [];
+};
+
+// isTaskExecutionSatisfied
+// 是什么：多执行人完成条件判断函数。
+// 做什么：按任务完成口径判断执行人完成情况是否满足提交验收条件。
+// 为什么：提交流程需在每个执行人确认后判断是否推进到待验收。
+const isTaskExecutionSatisfied = (task) => {
+  const executors = parseTaskExecutors(task);
+  if (executors.length === 0) {
+    return false;
+  }
+
+  return normalizeCompletionMode(task.completion_mode) === COMPLETION_MODE.ANY
+    ? executors.some((item) => item.is_done)
+    : executors.every((item) => item.is_done);
+};
+
+// parseUserIdList
+// 是什么：用户ID列表解析函数。
+// 做什么：兼容数组与逗号分隔字符串，输出去重后的 userid 列表（保持输入顺序）。
+// 为什么：执行人等名单在接口中以数组传入、在数据库或配置中以逗号文本存储，比较与入库前需统一解析。
+const parseUserIdList = (value) => {
+  const rawList = Array.isArray(value) ? value : normalizeText(value).split(',');
+  return Array.from(new Set(rawList.map((item) => normalizeText(item)).filter(Boolean)));
+};
+
+// normalizeTaskLabels
+// 是什么：任务标签入参标准化函数。
+// 做什么：兼容数组与逗号分隔字符串，去除首尾空白与前缀 `#` 后去重；类型不符或超出上限时返回 `null`。
+// 为什么：标签为自由填写，入库前需收敛写法，避免“#周报”与“周报”被当作两个标签。
+const normalizeTaskLabels = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  if (!Array.isArray(value) && typeof value !== 'string') {
+    return null;
+  }
+
+  const rawList = Array.isArray(value) ? value : value.split(/[,，]/);
+  const labels = Array.from(
+    new Set(rawList.map((item) => normalizeText(item).replace(/^#+/, '').trim()).filter(Boolean))
+  );
+
+  if (
+    labels.length > TASK_LABEL_LIMITS.maxCount ||
+    labels.some((label) => label.length > TASK_LABEL_LIMITS.maxLength)
+  ) {
+    return null;
+  }
+
+  return labels;
+};
+
+// parseCommentMentions
+// 是什么：评论 @提及解析函数。
+// 做什么：从评论正文中提取 `@userid` 形式的提及，按出现顺序去重返回 userid 列表。
+// 为什么：被提及的人需要单独收到通知；企业微信 userid 由字母、数字与 `_-.` 组成，可直接按词匹配。
+const parseCommentMentions = (content) => {
+  const matches = normalizeText(content).match(/(?:^|[^A-Za-z0-9_.-])@([A-Za-z0-9_.-]+)/g) || [];
+  return parseUserIdList(
+    matches.map((item) => item.slice(item.indexOf('@') + 1).replace(/[.-]+$/, ''))
+  );
+};
+
+// parseTaskLabels
+// 是什么：任务标签派生字段解析函数。
+// 做什么：解析任务行上的 `labels`（JSON 数组）为字符串列表，异常时返回空数组。
+// 为什么：标签存于 `task_labels` 明细表，随任务行以 JSON 聚合查出，展示与筛选前需还原为数组。
+const parseTaskLabels = (task) => {
+  const rawLabels = task && task.labels;
+  if (Array.isArray(rawLabels)) {
+    return rawLabels.map((item) => normalizeText(item)).filter(Boolean);
+  }
+
+  if (typeof rawLabels !== 'string' || !normalizeText(rawLabels)) {
+    return [];
+  }
+
+  try {
+    const parsed = JSON.parse(rawLabels);
+    return Array.isArray(parsed) ? parsed.map((item) => normalizeText(item)).filter(Boolean) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// normalizeApprovalStagesInput
+// 是什么：审批链入参标准化函数。
+// 做什么：将 `[{ name, approver_userids }]` 清洗为有序阶段列表，任一阶段缺少审批人时返回 `null`。
+// 为什么：审批链一旦写入便决定任务能否闭环，空审批人的阶段会让任务永远卡在待验收。
+const normalizeApprovalStagesInput = (stages) => {
+  if (stages === undefined || stages === null) {
+    return [];
+  }
+
+  if (!Array.isArray(stages)) {
+    return null;
+  }
+
+  const normalizedStages = stages.map((stage, index) => ({
+    name: normalizeText(stage && stage.name) || `第${index + 1}级审批`,
+    approver_userids: parseUserIdList(stage && stage.approver_userids),
+  }));
+
+  return normalizedStages.some((stage) => stage.approver_userids.length === 0) ? null : normalizedStages;
+};
+
+// hasApprovalStages
+// 是什么：多级审批判断函数。
+// 做什么：依据派生字段 `approval_stage_count` 判断任务是否配置了审批链。
+// 为什么：未配置审批链的任务沿用“创建人或全局验收人”一步验收的原有口径。
+const hasApprovalStages = (task) => {
+  return Number((task && task.approval_stage_count) || 0) > 0;
+};
+
+// isTaskClosed
+// 是什么：任务关闭判断函数。
+// 做什么：判断任务是否处于已闭环、已取消或已归档状态。
+// 为什么：已关闭任务不再计入逾期、不再阻塞后续任务，也不允许修改检查项。
+const isTaskClosed = (task) => {
+  return CLOSED_TASK_STATUSES.includes(normalizeText(task && task.status));
+};
+
+// getEffectiveTaskStatus
+// 是什么：任务统计口径状态函数。
+// 做什么：归档任务按归档前状态返回，其余任务返回当前状态。
+// 为什么：归档只是收起任务，统计时仍需区分“完成后归档”与“取消后归档”。
+const getEffectiveTaskStatus = (task) => {
+  const status = normalizeText(task && task.status);
+  if (status !== TASK_STATUS.ARCHIVED) {
+    return status;
+  }
+
+  return normalizeText(task.archived_from_status) || TASK_STATUS.COMPLETED;
+};
+
+// canUserManageTask
+// 是什么：任务管理权限判断函数。
+// 做什么：仅允许任务创建人或全局验收人执行取消、归档、重新打开及调整任务配置。
+// 为什么：这些操作会改变任务是否需要执行，执行人本人不应能自行撤销任务。
+const canUserManageTask = (task, userId, globalVerifiers = []) => {
+  const normalizedUserId = normalizeText(userId);
+  if (!task || !normalizedUserId) {
     return false;
   }
 
+  return (
+    normalizeText(task.creator_userid) === normalizedUserId ||
+    (Array.isArray(globalVerifiers) ? globalVerifiers : []).map((item) => normalizeText(item)).includes(normalizedUserId)
+  );
+};
+
+// canUserAccessProject
+// 是什么：项目可见性判断函数。
+// 做什么：允许项目负责人、项目成员与全局验收人查看项目并将任务归入该项目。
+// 为什么：项目成员本身即是任务的可见范围来源，非成员不应借项目看到或挂载任务。
+const canUserAccessProject = (project, userId, globalVerifiers = []) => {
   const normalizedUserId = normalizeText(userId);
-  const executorId = normalizeText(task.executor_userid);
-  const status = normalizeText(task.status);
+  if (!project || !normalizedUserId) {
+    return false;
+  }
+
+  return [project.owner_userid]
+    .concat(parseUserIdList(project.member_userids))
+    .concat(Array.isArray(globalVerifiers) ? globalVerifiers : [])
+    .map((item) => normalizeText(item))
+    .includes(normalizedUserId);
+};
+
+// canUserEditProject
+// 是什么：项目维护权限判断函数。
+// 做什么：仅允许项目负责人或全局验收人修改项目名称、负责人与成员。
+// 为什么：成员名单决定任务可见范围，普通成员不应能自行拉人进项目。
+const canUserEditProject = (project, userId, globalVerifiers = []) => {
+  const normalizedUserId = normalizeText(userId);
+  if (!project || !normalizedUserId) {
+    return false;
+  }
+
+  return (
+    normalizeText(project.owner_userid) === normalizedUserId ||
+    (Array.isArray(globalVerifiers) ? globalVerifiers : []).map((item) => normalizeText(item)).includes(normalizedUserId)
+  );
+};
+
+// canApplyManageAction
+// 是什么：任务管理动作可用性判断函数。
+// 做什么：按流转表判断任务当前状态是否允许执行指定管理动作。
+// 为什么：接口校验与前端按钮展示共用同一口径。
+const canApplyManageAction = (task, action) => {
+  const transition = TASK_MANAGE_TRANSITIONS[action];
+  return Boolean(task && transition && transition.from.includes(normalizeText(task.status)));
+};
+
+// canUserReassignTask
+// 是什么：任务转交权限判断函数。
+// 做什么：待执行任务允许创建人、全局验收人或尚未确认完成的执行人发起转交。
+// 为什么：执行人请假时需能自行交接，已完成的执行人转交没有意义。
+const canUserReassignTask = (task, userId, globalVerifiers = []) => {
+  if (!task || normalizeText(task.status) !== TASK_STATUS.PENDING) {
+    return false;
+  }
 
-  return Boolean(
-    normalizedUserId &&
-      executorId &&
-      normalizedUserId === executorId &&
-      status === TASK_STATUS.PENDING
+  const normalizedUserId = normalizeText(userId);
+  return (
+    canUserManageTask(task, normalizedUserId, globalVerifiers) ||
+    parseTaskExecutors(task).some((item) => item.userid === normalizedUserId && !item.is_done)
   );
 };
 
+// isTaskVisibleToUser
+// 是什么：任务可见性判断函数。
+// 做什么：判断用户是否为任务的归属人、执行人（含协同执行人）、创建人、审批链中的审批人或所属项目的负责人/成员。
+// 为什么：列表、详情与时间线接口需共用同一可见范围口径，避免越权查看。
+const isTaskVisibleToUser = (task, userId) => {
+  if (!task) {
+    return false;
+  }
+
+  const normalizedUserId = normalizeText(userId);
+  if (!normalizedUserId) {
+    return true;
+  }
+
+  return [task.owner_userid, task.executor_userid, task.creator_userid, task.rerouted_verifier_userid]
+    .concat(parseTaskExecutors(task).map((item) => item.userid))
+    .concat(parseUserIdList(task.stage_approver_userids))
+    .concat(parseUserIdList(task.project_member_userids))
+    .map((item) => normalizeText(item))
+    .includes(normalizedUserId);
+};
+
+// toFlagValue
+// 是什么：布尔开关解析函数。
+// 做什么：将 `true/1/"1"/"true"` 识别为真，其余值识别为假。
+// 为什么：JSON 请求与 SQLite 整型字段混用布尔表达，需统一解析口径。
+const toFlagValue = (value) => {
+  return value === true || value === 1 || ['1', 'true'].includes(normalizeText(value).toLowerCase());
+};
+
+// normalizeTaskItemInput
+// 是什么：检查项入参标准化函数。
+// 做什么：从请求体中提取检查项可编辑字段，并统一布尔与数字类型，未提供的字段不输出。
+// 为什么：新增与局部更新共用同一清洗逻辑，避免 `"0"`、`false` 等值被误写入。
+const normalizeTaskItemInput = (payload = {}) => {
+  const input = payload || {};
+  const normalized = {};
+
+  if (input.title !== undefined) {
+    normalized.title = normalizeText(input.title);
+  }
+
+  if (input.is_done !== undefined) {
+    normalized.is_done = toFlagValue(input.is_done) ? 1 : 0;
+  }
+
+  if (input.is_required !== undefined) {
+    normalized.is_required = toFlagValue(input.is_required) ? 1 : 0;
+  }
+
+  if (input.assignee_userid !== undefined) {
+    normalized.assignee_userid = normalizeText(input.assignee_userid) || null;
+  }
+
+  if (input.sort_order !== undefined && Number.isFinite(Number(input.sort_order))) {
+    normalized.sort_order = Math.trunc(Number(input.sort_order));
+  }
+
+  return normalized;
+};
+
+// normalizeTaskItemsInput
+// 是什么：批量检查项入参标准化函数。
+// 做什么：兼容字符串与对象两种写法，输出仅含标题与是否必填的列表；类型不符、标题为空或超出数量上限时返回 `null`。
+// 为什么：创建任务与维护模板都可一次性带入多条检查项，需共用同一套校验口径。
+const normalizeTaskItemsInput = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  if (!Array.isArray(value) || value.length > TASK_TEMPLATE_LIMITS.maxItems) {
+    return null;
+  }
+
+  const items = value.map((item) => {
+    const input = normalizeTaskItemInput(typeof item === 'string' ? { title: item } : item);
+    return {
+      title: input.title || '',
+      is_required: input.is_required === undefined ? 1 : input.is_required,
+    };
+  });
+
+  return items.some((item) => !item.title) ? null : items;
+};
+
+// normalizeBatchTaskIds
+// 是什么：批量操作任务 ID 列表标准化函数。
+// 做什么：要求传入数组，元素需为正整数，去重后保持原顺序；为空、含非法值或超出上限时返回 `null`。
+// 为什么：逐条结果按任务 ID 回传，非法 ID 应在执行前整体拒绝，而不是混入逐条结果。
+const normalizeBatchTaskIds = (value) => {
+  if (!Array.isArray(value) || value.length === 0) {
+    return null;
+  }
+
+  const taskIds = value.map((item) => Number(item));
+  if (taskIds.some((item) => !Number.isInteger(item) || item <= 0)) {
+    return null;
+  }
+
+  const uniqueIds = Array.from(new Set(taskIds));
+  return uniqueIds.length > TASK_BATCH_MAX_SIZE ? null : uniqueIds;
+};
+
+// groupNotificationsByRecipient
+// 是什么：待发送通知按接收人分组函数。
+// 做什么：将 `touser` 以 `|` 拆分为单个接收人，按接收人首次出现的顺序聚合其全部通知。
+// 为什么：批量操作会对同一人产生多条通知，需按人合并为一张汇总卡片，避免消息轰炸。
+const groupNotificationsByRecipient = (notifications = []) => {
+  const groups = new Map();
+  (Array.isArray(notifications) ? notifications : []).forEach((notification) => {
+    const touser = normalizeText(notification && notification.config && notification.config.touser);
+    parseUserIdList(touser.split('|')).forEach((userid) => {
+      if (!groups.has(userid)) {
+        groups.set(userid, []);
+      }
+      groups.get(userid).push(notification);
+    });
+  });
+
+  return Array.from(groups.entries()).map(([userid, items]) => ({ userid, notifications: items }));
+};
+
+// normalizeSubmissionReportInput
+// 是什么：交付说明入参标准化函数。
+// 做什么：整理总结、实际工时（保留两位小数）与交付链接（数组或换行/空白分隔的文本，去重）；未提供时返回空说明，格式不合法时返回 `null`。
+// 为什么：交付说明为可选项，但一旦提供就需校验工时为数字、链接为 http(s) 地址，避免验收人看到无法打开的链接。
+const normalizeSubmissionReportInput = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return { summary: '', actual_hours: null, links: [] };
+  }
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return null;
+  }
+
+  const summary = normalizeText(value.summary);
+  if (summary.length > TASK_REPORT_LIMITS.summaryMaxLength) {
+    return null;
+  }
+
+  let actualHours = null;
+  const hoursText = normalizeText(value.actual_hours);
+  if (hoursText) {
+    const hours = Number(hoursText);
+    if (!Number.isFinite(hours) || hours < 0 || hours > TASK_REPORT_LIMITS.maxHours) {
+      return null;
+    }
+    actualHours = Math.round(hours * 100) / 100;
+  }
+
+  const rawLinks = Array.isArray(value.links) ? value.links : normalizeText(value.links).split(/\s+/);
+  const links = Array.from(new Set(rawLinks.map((item) => normalizeText(item)).filter(Boolean)));
+  if (
+    links.length > TASK_REPORT_LIMITS.maxLinks ||
+    links.some((link) => link.length > TASK_REPORT_LIMITS.linkMaxLength || !/^https?:\/\/\S+$/i.test(link))
+  ) {
+    return null;
+  }
+
+  return { summary, actual_hours: actualHours, links };
+};
+
+// isSubmissionReportEmpty
+// 是什么：交付说明判空函数。
+// 做什么：总结、工时、链接均未填写时返回 `true`。
+// 为什么：未填写说明的提交不落库，避免每一轮都产生空记录。
+const isSubmissionReportEmpty = (report) => {
+  return !report || (!report.summary && report.actual_hours === null && report.links.length === 0);
+};
+
+// parseSubmissionReportText
+// 是什么：企业微信文本回复的交付说明解析函数。
+// 做什么：提取 http(s) 链接与“工时/耗时/用时: N”标注，去掉工时标注后的非空行作为总结（链接保留在原句中）；超长总结与多余链接截断而非拒绝。
+// 为什么：执行人在手机上只会随手回一段话，解析需宽松，尽量把信息留下来。
+const parseSubmissionReportText = (text) => {
+  const normalized = normalizeText(text);
+  const links = Array.from(new Set(normalized.match(/https?:\/\/[^\s，。；、）)]+/gi) || []))
+    .filter((link) => link.length <= TASK_REPORT_LIMITS.linkMaxLength)
+    .slice(0, TASK_REPORT_LIMITS.maxLinks);
+
+  const hoursPattern = /(?:实际)?(?:工时|耗时|用时|hours?)\s*[:：]?\s*(\d+(?:\.\d+)?)\s*(?:h|小时|hours?)?/i;
+  const hoursMatch = normalized.match(hoursPattern);
+  const hours = hoursMatch ? Number(hoursMatch[1]) : NaN;
+
+  const summary = normalized
+    .replace(hoursPattern, '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .join('\n')
+    .slice(0, TASK_REPORT_LIMITS.summaryMaxLength);
+
+  return {
+    summary,
+    actual_hours: Number.isFinite(hours) && hours <= TASK_REPORT_LIMITS.maxHours ? Math.round(hours * 100) / 100 : null,
+    links,
+  };
+};
+
+// normalizeQualityRatingInput
+// 是什么：验收质量评分入参标准化函数。
+// 做什么：整理 `{ score, comment }`，评分须为 1–5 的整数；未提供时返回空评分，格式不合法时返回 `null`。
+// 为什么：评分为可选项，但一旦填写就要落在固定档位内，否则团队平均分没有可比性。
+const normalizeQualityRatingInput = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return { score: null, comment: '' };
+  }
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return null;
+  }
+
+  const comment = normalizeText(value.comment);
+  if (comment.length > TASK_QUALITY_RATING_LIMITS.commentMaxLength) {
+    return null;
+  }
+
+  const scoreText = normalizeText(value.score);
+  if (!scoreText) {
+    return { score: null, comment };
+  }
+
+  const score = Number(scoreText);
+  if (
+    !Number.isInteger(score) ||
+    score < TASK_QUALITY_RATING_LIMITS.minScore ||
+    score > TASK_QUALITY_RATING_LIMITS.maxScore
+  ) {
+    return null;
+  }
+
+  return { score, comment };
+};
+
+// normalizeTemplateExecutorRole
+// 是什么：模板默认执行角色标准化函数。
+// 做什么：空值返回空字符串表示不按角色解析，合法角色返回大写枚举值，其余返回 `null`。
+// 为什么：角色在创建任务时才解析，写入模板前需拦截无法解析的取值。
+const normalizeTemplateExecutorRole = (value) => {
+  const role = normalizeText(value).toUpperCase();
+  if (!role) {
+    return '';
+  }
+
+  return Object.values(TASK_TEMPLATE_EXECUTOR_ROLE).includes(role) ? role : null;
+};
+
+// canUserEditTemplate
+// 是什么：任务模板维护权限判断函数。
+// 做什么：仅允许模板创建人或全局验收人修改、删除模板。
+// 为什么：模板对全员可见可用，但内容调整会影响所有人后续创建的任务。
+const canUserEditTemplate = (template, userId, globalVerifiers = []) => {
+  const normalizedUserId = normalizeText(userId);
+  if (!template || !normalizedUserId) {
+    return false;
+  }
+
+  return (
+    normalizeText(template.created_by_userid) === normalizedUserId ||
+    (Array.isArray(globalVerifiers) ? globalVerifiers : []).map((item) => normalizeText(item)).includes(normalizedUserId)
+  );
+};
+
+// canUserEditReminderPolicy
+// 是什么：提醒策略维护权限判断函数。
+// 做什么：策略创建人或全局验收人可修改、删除策略。
+// 为什么：策略可能被多个项目与任务引用，修改会影响他人的提醒节奏，需限制维护人。
+const canUserEditReminderPolicy = (policy, userId, globalVerifiers = []) => {
+  const normalizedUserId = normalizeText(userId);
+  if (!policy || !normalizedUserId) {
+    return false;
+  }
+
+  return (
+    normalizeText(policy.created_by_userid) === normalizedUserId ||
+    (Array.isArray(globalVerifiers) ? globalVerifiers : []).map((item) => normalizeText(item)).includes(normalizedUserId)
+  );
+};
+
+// hasOpenRequiredItems
+// 是什么：必填检查项未完成判断函数。
+// 做什么：读取任务行上的 `item_open_required_count` 派生字段判断是否仍有必填项未勾选。
+// 为什么：检查项全部完成是提交验收的前置条件，需与权限判断共用同一口径。
+const hasOpenRequiredItems = (task) => {
+  return Number((task && task.item_open_required_count) || 0) > 0;
+};
+
+// isTaskEvidenceMissing
+// 是什么：完成凭证缺失判断函数。
+// 做什么：任务要求上传凭证时，读取 `evidence_count` 派生字段判断本轮是否已有附件。
+// 为什么：驳回后重新提交需附上新一轮凭证，只统计当前提交轮次的附件。
+const isTaskEvidenceMissing = (task) => {
+  return Boolean(task) && toFlagValue(task.require_evidence) && Number(task.evidence_count || 0) === 0;
+};
+
+// isTaskBlocked
+// 是什么：任务阻塞判断函数。
+// 做什么：读取任务行上的 `open_blocker_count` 派生字段，判断是否仍有前置任务未闭环。
+// 为什么：被阻塞任务不可提交也不应收到到期提醒，需统一判断口径。
+const isTaskBlocked = (task) => {
+  return Number((task && task.open_blocker_count) || 0) > 0;
+};
+
+// wouldCreateDependencyCycle
+// 是什么：任务依赖环路检测函数。
+// 做什么：基于现有依赖边判断新增 `taskId -> dependsOnTaskId` 后是否形成环（含自依赖）。
+// 为什么：依赖成环会导致相关任务永远无法解除阻塞，必须在写入前拦截。
+const wouldCreateDependencyCycle = (edges = [], taskId, dependsOnTaskId) => {
+  const sourceId = Number(taskId);
+  const targetId = Number(dependsOnTaskId);
+  if (sourceId === targetId) {
+    return true;
+  }
+
+  const adjacency = new Map();
+  (Array.isArray(edges) ? edges : []).forEach((edge) => {
+    const fromId = Number(edge && edge.task_id);
+    const toId = Number(edge && edge.depends_on_task_id);
+    if (!adjacency.has(fromId)) {
+      adjacency.set(fromId, []);
+    }
+    adjacency.get(fromId).push(toId);
+  });
+
+  // 从被依赖任务出发沿依赖方向遍历，若能回到当前任务即说明成环。
+  const visited = new Set();
+  const stack = [targetId];
+  while (stack.length > 0) {
+    const currentId = stack.pop();
+    if (currentId === sourceId) {
+      return true;
+    }
+    if (visited.has(currentId)) {
+      continue;
+    }
+    visited.add(currentId);
+    (adjacency.get(currentId) || []).forEach((nextId) => stack.push(nextId));
+  }
+
+  return false;
+};
+
+// getCompleteBlockReason
+// 是什么：提交验收受阻原因计算函数。
+// 做什么：依次校验执行人身份、任务状态、本人完成状态、前置依赖、必填检查项与完成凭证，返回首个不满足的原因。
+// 为什么：权限标记只需布尔值，而接口报错需区分原因，统一由此函数给出判断。
+const getCompleteBlockReason = (task, userId) => {
+  const normalizedUserId = normalizeText(userId);
+  const executor = normalizedUserId
+    ? parseTaskExecutors(task).find((item) => item.userid === normalizedUserId)
+    : null;
+
+  if (!task || !executor) {
+    return COMPLETE_BLOCK_REASON.NOT_EXECUTOR;
+  }
+
+  if (isTaskClosed(task)) {
+    return COMPLETE_BLOCK_REASON.CLOSED;
+  }
+
+  if (normalizeText(task.status) !== TASK_STATUS.PENDING) {
+    return COMPLETE_BLOCK_REASON.STATUS_INVALID;
+  }
+
+  if (executor.is_done) {
+    return COMPLETE_BLOCK_REASON.EXECUTOR_DONE;
+  }
+
+  if (isTaskBlocked(task)) {
+    return COMPLETE_BLOCK_REASON.BLOCKED;
+  }
+
+  if (hasOpenRequiredItems(task)) {
+    return COMPLETE_BLOCK_REASON.ITEMS_INCOMPLETE;
+  }
+
+  if (isTaskEvidenceMissing(task)) {
+    return COMPLETE_BLOCK_REASON.EVIDENCE_MISSING;
+  }
+
+  return COMPLETE_BLOCK_REASON.NONE;
+};
+
+// canUserCompleteTask
+// 是什么：执行完成权限判断函数。
+// 做什么：校验当前用户是否为任务执行人、任务处于待执行状态且必填检查项已完成。
+// 为什么：避免非执行人、错误状态或检查项未完成时触发“提交验收”操作。
+const canUserCompleteTask = (task, userId) => {
+  return getCompleteBlockReason(task, userId) === COMPLETE_BLOCK_REASON.NONE;
+};
+
 // canUserVerifyTask
 // 是什么：验收权限判断函数。
-// 做什么：校验当前用户是否具备任务验收权限（创建人或全局验收人）。
+// 做什么：配置审批链时校验当前阶段审批人，否则校验创建人或全局验收人。
 // 为什么：确保只有授权管理者可执行“通过/驳回”，避免越权改状态。
 const canUserVerifyTask = (task, userId, globalVerifiers = []) => {
   if (!task) {
@@ -125,64 +1219,302 @@ const canUserVerifyTask = (task, userId, globalVerifiers = []) => {
     return false;
   }
 
+  // 验收超时改派后，备用验收人与原验收人都可以作出决定。
+  if (normalizedUserId === normalizeText(task.rerouted_verifier_userid)) {
+    return true;
+  }
+
+  if (hasApprovalStages(task)) {
+    return parseUserIdList(task.current_stage_approvers).includes(normalizedUserId);
+  }
+
   return normalizedUserId === creatorId || verifierSet.has(normalizedUserId);
 };
 
-// getReminderKind
-// 是什么：任务提醒类型计算函数。
-// 做什么：基于当前时间与任务截止时间，判断是否需要“即将到期/逾期”提醒。
-// 为什么：日期提醒属于闭环关键能力，需统一判定逻辑避免前后端口径不一致。
-const getReminderKind = (task, now = new Date()) => {
+// parseReminderOffset
+// 是什么：提醒偏移量解析函数。
+// 做什么：将 `-3d/-2h/+30m/+0` 或分钟数解析为相对截止时间的分钟偏移，负数为截止前，超出范围或格式不符时返回 `null`。
+// 为什么：提醒策略以相对截止时间的时间点描述，配置时用天/小时书写更直观，入库统一为分钟。
+const parseReminderOffset = (value) => {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && Math.abs(value) <= REMINDER_POLICY_LIMITS.maxOffsetMinutes ? value : null;
+  }
+
+  const matched = normalizeText(value).toLowerCase().match(/^([+-]?)(\d+)([dhm]?)$/);
+  if (!matched) {
+    return null;
+  }
+
+  const unitMinutes = { d: 24 * 60, h: 60, m: 1, '': 1 }[matched[3]];
+  const minutes = Number(matched[2]) * unitMinutes * (matched[1] === '-' ? -1 : 1);
+  return Math.abs(minutes) <= REMINDER_POLICY_LIMITS.maxOffsetMinutes ? minutes : null;
+};
+
+// formatReminderOffset
+// 是什么：提醒偏移量格式化函数。
+// 做什么：将分钟偏移还原为 `-3d/-2h/+30m/+0` 的书写形式，能整除天或小时时取较大单位。
+// 为什么：接口返回与页面展示需和配置写法一致，便于核对。
+const formatReminderOffset = (minutes) => {
+  const value = Number(minutes) || 0;
+  const sign = value < 0 ? '-' : '+';
+  const absolute = Math.abs(value);
+  if (absolute === 0) {
+    return '+0';
+  }
+
+  if (absolute % (24 * 60) === 0) {
+    return `${sign}${absolute / (24 * 60)}d`;
+  }
+
+  return absolute % 60 === 0 ? `${sign}${absolute / 60}h` : `${sign}${absolute}m`;
+};
+
+// normalizeReminderPolicyInput
+// 是什么：提醒策略入参标准化函数。
+// 做什么：校验名称、偏移量列表与逾期后重复间隔，偏移量去重后升序排列；任一项不合法时返回 `null`。
+// 为什么：每个偏移量只触发一次，排序后才能按“已发到哪个时间点”判断下一次提醒。
+const normalizeReminderPolicyInput = (payload = {}) => {
+  const source = payload || {};
+  const name = normalizeText(source.name);
+  const rawOffsets = Array.isArray(source.offsets) ? source.offsets : normalizeText(source.offsets).split(',');
+  const offsets = rawOffsets.filter((item) => normalizeText(item) !== '').map((item) => parseReminderOffset(item));
+  if (!name || name.length > REMINDER_POLICY_LIMITS.maxNameLength || offsets.length === 0 || offsets.includes(null)) {
+    return null;
+  }
+
+  const uniqueOffsets = Array.from(new Set(offsets)).sort((left, right) => left - right);
+  if (uniqueOffsets.length > REMINDER_POLICY_LIMITS.maxOffsets) {
+    return null;
+  }
+
+  const rawRepeat = source.overdue_repeat;
+  const hasRepeat = rawRepeat !== undefined && rawRepeat !== null && normalizeText(rawRepeat) !== '';
+  const repeatMinutes = hasRepeat ? parseReminderOffset(rawRepeat) : null;
+  if (hasRepeat && !(repeatMinutes >= REMINDER_POLICY_LIMITS.minRepeatMinutes)) {
+    return null;
+  }
+
+  return {
+    name,
+    offsets: uniqueOffsets,
+    overdue_repeat_minutes: repeatMinutes,
+  };
+};
+
+// buildPriorityReminderPolicy
+// 是什么：按优先级推导的内置提醒策略构建函数。
+// 做什么：在到期窗口起点与截止时刻各提醒一次，逾期后按优先级冷却时长重复提醒。
+// 为什么：全局、项目与任务都未指定策略时，保持原先按优先级区分提醒节奏的行为。
+const buildPriorityReminderPolicy = (task) => {
+  const priorityPolicy = getPriorityReminderPolicy(task);
+  return {
+    source: REMINDER_POLICY_SCOPE.PRIORITY,
+    policy_id: null,
+    name: priorityPolicy.label,
+    offsets: [-priorityPolicy.dueSoonHours * 60, 0],
+    overdue_repeat_minutes: priorityPolicy.cooldownHours * 60,
+  };
+};
+
+// resolveReminderPolicy
+// 是什么：任务实际生效的提醒策略计算函数。
+// 做什么：按任务、所属项目、全局的顺序取第一个已指定的策略，都未指定时回退按优先级推导的内置策略。
+// 为什么：越具体的指定越优先，个别任务可单独加密提醒而不影响项目与全局配置。
+const resolveReminderPolicy = (task, policiesById = new Map(), globalPolicyId = null) => {
+  const candidates = [
+    [REMINDER_POLICY_SCOPE.TASK, task && task.task_reminder_policy_id],
+    [REMINDER_POLICY_SCOPE.PROJECT, task && task.project_reminder_policy_id],
+    [REMINDER_POLICY_SCOPE.GLOBAL, globalPolicyId],
+  ];
+
+  for (const [source, policyId] of candidates) {
+    const policy = policyId ? policiesById.get(Number(policyId)) : null;
+    if (policy) {
+      return {
+        source,
+        policy_id: policy.id,
+        name: policy.name,
+        offsets: policy.offsets,
+        overdue_repeat_minutes: policy.overdue_repeat_minutes,
+      };
+    }
+  }
+
+  return buildPriorityReminderPolicy(task);
+};
+
+// getDueReminderSlot
+// 是什么：当前应发送的提醒时间点计算函数。
+// 做什么：在晚于已发送最大偏移、且不晚于当前时间的时间点（策略偏移量与逾期后的重复时间点）中取最晚一个，返回其偏移与提醒类型；无需提醒时返回 `null`。
+// 为什么：每个时间点只触发一次；扫描间隔或停机错过的早期时间点不再补发，避免一次扫描连发多条旧提醒。
+const getDueReminderSlot = (task, policy, lastSentOffset = null, now = new Date()) => {
+  if (!task || !policy || normalizeText(task.status) !== TASK_STATUS.PENDING) {
+    return null;
+  }
+
+  const endTime = toDateOrNull(task.end_time);
+  if (!endTime) {
+    return null;
+  }
+
+  const nowDate = now instanceof Date ? now : new Date(now);
+  const elapsedMinutes = Math.floor((nowDate.getTime() - endTime.getTime()) / (60 * 1000));
+  const dueOffsets = policy.offsets.filter((offset) => offset <= elapsedMinutes);
+
+  const repeatMinutes = Number(policy.overdue_repeat_minutes || 0);
+  const repeatAnchor = Math.max(0, ...policy.offsets);
+  if (repeatMinutes > 0 && elapsedMinutes >= repeatAnchor + repeatMinutes) {
+    dueOffsets.push(repeatAnchor + Math.floor((elapsedMinutes - repeatAnchor) / repeatMinutes) * repeatMinutes);
+  }
+
+  const latestOffset = dueOffsets.length > 0 ? Math.max(...dueOffsets) : null;
+  const hasSent = lastSentOffset !== null && lastSentOffset !== undefined;
+  if (latestOffset === null || (hasSent && latestOffset <= Number(lastSentOffset))) {
+    return null;
+  }
+
+  return {
+    offset_minutes: latestOffset,
+    kind: latestOffset < 0 ? REMINDER_KIND.DUE_SOON : REMINDER_KIND.OVERDUE,
+  };
+};
+
+// parseEscalationTiers
+// 是什么：逾期升级层级配置解析函数。
+// 做什么：解析 `24:creator,72:leader,168:list` 形式的配置，按逾期小时数升序编号为第 1..N 级；非法项丢弃，未配置时返回默认层级，`none` 表示关闭升级。
+// 为什么：各团队对“逾期多久该找谁”的容忍度不同，层级需可配置且书写出错时不影响其他层级。
+const parseEscalationTiers = (rawValue) => {
+  const normalized = normalizeText(rawValue);
+  if (!normalized) {
+    return DEFAULT_ESCALATION_TIERS.map((tier) => ({ ...tier }));
+  }
+
+  if (normalized.toLowerCase() === 'none') {
+    return [];
+  }
+
+  const tierMap = new Map();
+  normalized.split(',').forEach((item) => {
+    const [hoursText, targetText] = normalizeText(item).split(':').map((part) => normalizeText(part));
+    const afterHours = Number(hoursText);
+    const target = ESCALATION_TARGET_ALIASES[normalizeText(targetText).toUpperCase()];
+    if (Number.isFinite(afterHours) && afterHours > 0 && target && !tierMap.has(afterHours)) {
+      tierMap.set(afterHours, target);
+    }
+  });
+
+  return Array.from(tierMap.entries())
+    .sort((left, right) => left[0] - right[0])
+    .map(([afterHours, target], index) => ({ level: index + 1, after_hours: afterHours, target }));
+};
+
+// getDueEscalationTier
+// 是什么：当前应触发的逾期升级层级计算函数。
+// 做什么：在高于已升级层级、且逾期时长已达到阈值的层级中取最高一级；未逾期或无需升级时返回 `null`。
+// 为什么：任务首次被扫描时可能已逾期多日，只通知最高一级可避免一次性连发多条升级消息，且已记录的层级不会重复触发。
+const getDueEscalationTier = (task, tiers = [], escalatedLevel = 0, now = new Date()) => {
   if (!task || normalizeText(task.status) !== TASK_STATUS.PENDING) {
-    return REMINDER_KIND.NONE;
+    return null;
   }
 
   const endTime = toDateOrNull(task.end_time);
   if (!endTime) {
-    return REMINDER_KIND.NONE;
+    return null;
   }
 
   const nowDate = now instanceof Date ? now : new Date(now);
-  const diffMs = endTime.getTime() - nowDate.getTime();
+  const overdueHours = (nowDate.getTime() - endTime.getTime()) / (60 * 60 * 1000);
+  const dueTiers = tiers.filter((tier) => tier.level > Number(escalatedLevel || 0) && overdueHours >= tier.after_hours);
+  return dueTiers.length > 0 ? dueTiers[dueTiers.length - 1] : null;
+};
 
-  if (diffMs < 0) {
-    return REMINDER_KIND.OVERDUE;
+// normalizeVerifyTimeoutAction
+// 是什么：验收超时动作解析函数。
+// 做什么：忽略大小写与连字符识别 `none/auto_pass/reroute`，无法识别时返回空字符串。
+// 为什么：动作既来自环境变量也来自 Web 请求，两处写法需统一口径。
+const normalizeVerifyTimeoutAction = (value) => {
+  const normalized = normalizeText(value).toUpperCase().replace(/-/g, '_');
+  return Object.values(VERIFY_TIMEOUT_ACTION).includes(normalized) ? normalized : '';
+};
+
+// normalizeVerifyPolicyInput
+// 是什么：任务级验收等待策略入参标准化函数。
+// 做什么：校验超时动作、超时工作小时数与备用验收人，空值表示沿用全局策略；格式不正确时返回 `null`。
+// 为什么：任务级策略只覆盖填写了的字段，未填写的字段需要继续跟随全局配置变化。
+const normalizeVerifyPolicyInput = (payload = {}) => {
+  const source = payload || {};
+  const rawAction = normalizeText(source.action);
+  const action = rawAction ? normalizeVerifyTimeoutAction(rawAction) : '';
+  if (rawAction && !action) {
+    return null;
   }
 
-  if (diffMs <= 24 * 60 * 60 * 1000) {
-    return REMINDER_KIND.DUE_SOON;
+  const rawHours = source.timeout_hours;
+  const hasHours = rawHours !== undefined && rawHours !== null && normalizeText(rawHours) !== '';
+  const timeoutHours = hasHours ? Number(rawHours) : null;
+  if (hasHours && (!Number.isInteger(timeoutHours) || timeoutHours <= 0 || timeoutHours > 720)) {
+    return null;
   }
 
-  return REMINDER_KIND.NONE;
+  return {
+    action: action || null,
+    timeout_hours: timeoutHours,
+    backup_verifier_userid: normalizeText(source.backup_verifier_userid) || null,
+  };
 };
 
-// shouldSendReminder
-// 是什么：提醒发送决策函数。
-// 做什么：按提醒类型和冷却时间判断当前任务是否应再次发送提醒。
-// 为什么：防止每次定时扫描重复推送相同提醒，降低消息噪声。
-const shouldSendReminder = (task, reminderKind, now = new Date(), cooldownHours = 12) => {
-  if (!task || reminderKind === REMINDER_KIND.NONE) {
-    return false;
+// resolveVerifyPolicy
+// 是什么：任务实际生效的验收等待策略计算函数。
+// 做什么：以任务级配置覆盖全局策略，备用验收人优先取任务指定人选，再接全局备用名单。
+// 为什么：同一团队多数任务沿用全局策略，个别关键任务需单独关闭自动通过或指定备用人。
+const resolveVerifyPolicy = (task, globalPolicy = DEFAULT_VERIFY_POLICY) => {
+  const basePolicy = { ...DEFAULT_VERIFY_POLICY, ...(globalPolicy || {}) };
+  const taskAction = normalizeVerifyTimeoutAction(task && task.verify_timeout_action);
+  const taskHours = Number(task && task.verify_timeout_hours);
+
+  return {
+    action: taskAction || normalizeVerifyTimeoutAction(basePolicy.action) || VERIFY_TIMEOUT_ACTION.NONE,
+    timeout_hours: Number.isInteger(taskHours) && taskHours > 0 ? taskHours : Number(basePolicy.timeout_hours),
+    reminder_cooldown_hours: Number(basePolicy.reminder_cooldown_hours),
+    backup_verifiers: parseUserIdList([
+      normalizeText(task && task.backup_verifier_userid),
+      ...parseUserIdList(basePolicy.backup_verifiers),
+    ]),
+  };
+};
+
+// getVerifyStallDecision
+// 是什么：待验收停滞处理结论计算函数。
+// 做什么：按等待的工作小时数判断是否触发超时动作；未超时（或已改派过）时按冷却时长判断是否再次提醒验收人。
+// 为什么：验收卡片在提交时已发送，提醒需从提交时刻起算冷却；改派只执行一次，之后回到普通提醒节奏。
+const getVerifyStallDecision = (task, policy, waitHours, now = new Date()) => {
+  if (!task || normalizeText(task.status) !== TASK_STATUS.WAITING_VERIFY) {
+    return VERIFY_STALL_DECISION.NONE;
   }
 
-  const previousKind = normalizeText(task.last_reminder_kind);
-  if (!previousKind || previousKind !== reminderKind) {
-    return true;
+  const requestedAt = toDateOrNull(task.verify_requested_at) || toDateOrNull(task.completion_time);
+  if (!requestedAt) {
+    return VERIFY_STALL_DECISION.NONE;
   }
 
-  const previousReminderAt = toDateOrNull(task.last_reminder_at);
-  if (!previousReminderAt) {
-    return true;
+  const alreadyRerouted = Boolean(normalizeText(task.rerouted_verifier_userid));
+  const timeoutEnabled =
+    policy.action === VERIFY_TIMEOUT_ACTION.AUTO_PASS ||
+    (policy.action === VERIFY_TIMEOUT_ACTION.REROUTE && !alreadyRerouted);
+  if (timeoutEnabled && waitHours >= policy.timeout_hours) {
+    return VERIFY_STALL_DECISION.TIMEOUT;
   }
 
+  const lastRemindedAt = toDateOrNull(task.last_verify_reminder_at) || requestedAt;
   const nowDate = now instanceof Date ? now : new Date(now);
-  const elapsedMs = nowDate.getTime() - previousReminderAt.getTime();
-  return elapsedMs >= cooldownHours * 60 * 60 * 1000;
+  return nowDate.getTime() - lastRemindedAt.getTime() >= policy.reminder_cooldown_hours * 60 * 60 * 1000
+    ? VERIFY_STALL_DECISION.REMIND
+    : VERIFY_STALL_DECISION.NONE;
 };
 
 // isTaskOverdue
 // 是什么：任务逾期判断函数。
-// 做什么：基于截止时间与当前状态判断任务是否逾期（完成态不算逾期）。
+// 做什么：基于截止时间与当前状态判断任务是否逾期（已闭环、取消、归档均不算逾期）。
 // 为什么：KPI 与看板需要统一逾期口径，防止统计偏差。
 const isTaskOverdue = (task, now = new Date()) => {
   const endTime = toDateOrNull(task && task.end_time);
@@ -190,8 +1522,7 @@ const isTaskOverdue = (task, now = new Date()) => {
     return false;
   }
 
-  const status = normalizeText(task.status);
-  if (status === TASK_STATUS.COMPLETED) {
+  if (isTaskClosed(task)) {
     return false;
   }
 
@@ -201,9 +1532,9 @@ const isTaskOverdue = (task, now = new Date()) => {
 
 // isTaskDueSoon
 // 是什么：任务即将到期判断函数。
-// 做什么：判断任务是否在 24 小时内到期且未完成、未逾期。
-// 为什么：用于提醒发送与前端“日期提醒”标记展示。
-const isTaskDueSoon = (task, now = new Date()) => {
+// 做什么：判断任务是否在优先级对应的窗口内（默认 24 小时）到期且未完成、未逾期；传入 `dueSoonDeadlines` 时以其中按工作日推算的截止时刻为窗口终点。
+// 为什么：用于提醒发送与前端“日期提醒”标记展示；窗口需跨过周末与节假日，推算依赖业务日历，由调用方预先算好。
+const isTaskDueSoon = (task, now = new Date(), dueSoonDeadlines = null) => {
   const endTime = toDateOrNull(task && task.end_time);
   if (!task || !endTime) {
     return false;
@@ -215,7 +1546,12 @@ const isTaskDueSoon = (task, now = new Date()) => {
 
   const nowDate = now instanceof Date ? now : new Date(now);
   const diffMs = endTime.getTime() - nowDate.getTime();
-  return diffMs >= 0 && diffMs <= 24 * 60 * 60 * 1000;
+  const deadline = dueSoonDeadlines && dueSoonDeadlines[normalizeTaskPriority(task.priority) || DEFAULT_TASK_PRIORITY];
+  if (deadline) {
+    return diffMs >= 0 && endTime.getTime() <= deadline.getTime();
+  }
+
+  return diffMs >= 0 && diffMs <= getPriorityReminderPolicy(task).dueSoonHours * 60 * 60 * 1000;
 };
 
 // mapTaskRowToApi
@@ -226,45 +1562,85 @@ const mapTaskRowToApi = (row, options = {}) => {
   const now = options.now instanceof Date ? options.now : new Date();
   const currentUserId = normalizeText(options.currentUserId);
   const globalVerifiers = Array.isArray(options.globalVerifiers) ? options.globalVerifiers : [];
+  const dueSoonDeadlines = options.dueSoonDeadlines || null;
+  const executors = parseTaskExecutors(row);
+  const taskRow = { ...row };
+  delete taskRow.executor_states;
+  delete taskRow.project_member_userids;
 
   return {
-    ...row,
+    ...taskRow,
+    completion_mode: normalizeCompletionMode(row.completion_mode),
+    priority: normalizeTaskPriority(row.priority) || DEFAULT_TASK_PRIORITY,
+    project_id: row.project_id ? Number(row.project_id) : null,
+    labels: parseTaskLabels(row),
+    executors,
+    executor_done_count: executors.filter((item) => item.is_done).length,
+    approval_stage_count: Number(row.approval_stage_count || 0),
+    current_stage_index: Number(row.current_stage_index || 0),
+    current_stage_approvers: parseUserIdList(row.current_stage_approvers),
     redo_count: Number(row.redo_count || 0),
+    item_total_count: Number(row.item_total_count || 0),
+    item_done_count: Number(row.item_done_count || 0),
+    comment_count: Number(row.comment_count || 0),
+    require_evidence: toFlagValue(row.require_evidence),
+    attachment_count: Number(row.attachment_count || 0),
+    evidence_count: Number(row.evidence_count || 0),
+    open_blocker_count: Number(row.open_blocker_count || 0),
+    is_blocked: isTaskBlocked(row),
     can_complete: canUserCompleteTask(row, currentUserId),
     can_verify: canUserVerifyTask(row, currentUserId, globalVerifiers),
-    is_due_soon: isTaskDueSoon(row, now),
+    can_manage: canUserManageTask(row, currentUserId, globalVerifiers),
+    can_reassign: canUserReassignTask(row, currentUserId, globalVerifiers),
+    is_due_soon: isTaskDueSoon(row, now, dueSoonDeadlines),
     is_overdue: isTaskOverdue(row, now),
+    escalation_level: isTaskOverdue(row, now) ? Number(row.escalation_level || 0) : 0,
+    is_escalated: isTaskOverdue(row, now) && Number(row.escalation_level || 0) > 0,
   };
 };
 
-// buildTaskKpi
-// 是什么：任务 KPI 聚合函数。
-// 做什么：从任务列表计算总数、完成率、待验收、逾期与即将到期指标。
-// 为什么：看板 KPI 需由同一后端口径输出，确保企业微信与 Web 端统计一致。
-const buildTaskKpi = (rows = [], now = new Date()) => {
-  const taskRows = Array.isArray(rows) ? rows : [];
+// summarizeTaskKpi
+// 是什么：任务 KPI 指标计算函数。
+// 做什么：从任务列表计算总数、完成率、待验收、逾期与即将到期指标；已取消任务单独计数，不计入总数与比率。
+// 为什么：看板 KPI 需由同一后端口径输出，确保企业微信与 Web 端统计一致；作废的任务不应拉低完成率。
+const summarizeTaskKpi = (rows = [], now = new Date(), dueSoonDeadlines = null) => {
+  const allRows = Array.isArray(rows) ? rows : [];
+  const cancelledCount = allRows.filter((item) => getEffectiveTaskStatus(item) === TASK_STATUS.CANCELLED).length;
+  const taskRows = allRows.filter((item) => getEffectiveTaskStatus(item) !== TASK_STATUS.CANCELLED);
   const totalCount = taskRows.length;
-  const completedCount = taskRows.filter((item) => normalizeText(item.status) === TASK_STATUS.COMPLETED).length;
+  const completedCount = taskRows.filter((item) => getEffectiveTaskStatus(item) === TASK_STATUS.COMPLETED).length;
   const waitingVerifyCount = taskRows.filter((item) => normalizeText(item.status) === TASK_STATUS.WAITING_VERIFY).length;
   const overdueCount = taskRows.filter((item) => isTaskOverdue(item, now)).length;
-  const dueSoonCount = taskRows.filter((item) => isTaskDueSoon(item, now)).length;
+  const dueSoonCount = taskRows.filter((item) => isTaskDueSoon(item, now, dueSoonDeadlines)).length;
 
-  const onTimeCompletedCount = taskRows.filter((item) => {
-    if (normalizeText(item.status) !== TASK_STATUS.COMPLETED) {
-      return false;
-    }
+  const extendedCount = taskRows.filter((item) => Number(item.extension_count || 0) > 0).length;
 
-    const completionTime = toDateOrNull(item.completion_time || item.verify_time);
-    const endTime = toDateOrNull(item.end_time);
-    if (!completionTime || !endTime) {
-      return false;
-    }
+  // countOnTimeCompleted
+  // 是什么：按指定截止口径统计按时完成数。
+  // 做什么：对已完成任务比较完成时间与 pickDeadline 返回的截止时间。
+  // 为什么：延期后需同时输出“按延期后截止”与“按原始截止”两套按时率。
+  const countOnTimeCompleted = (pickDeadline) =>
+    taskRows.filter((item) => {
+      if (getEffectiveTaskStatus(item) !== TASK_STATUS.COMPLETED) {
+        return false;
+      }
 
-    return completionTime.getTime() <= endTime.getTime();
-  }).length;
+      const completionTime = toDateOrNull(item.completion_time || item.verify_time);
+      const endTime = toDateOrNull(pickDeadline(item));
+      if (!completionTime || !endTime) {
+        return false;
+      }
 
-  const completionRate = totalCount > 0 ? Number(((completedCount / totalCount) * 100).toFixed(2)) : 0;
-  const onTimeRate = completedCount > 0 ? Number(((onTimeCompletedCount / completedCount) * 100).toFixed(2)) : 0;
+      return completionTime.getTime() <= endTime.getTime();
+    }).length;
+
+  const toRate = (count, base) => (base > 0 ? Number(((count / base) * 100).toFixed(2)) : 0);
+  const completionRate = toRate(completedCount, totalCount);
+  const onTimeRate = toRate(countOnTimeCompleted((item) => item.end_time), completedCount);
+  const originalOnTimeRate = toRate(
+    countOnTimeCompleted((item) => item.original_end_time || item.end_time),
+    completedCount
+  );
 
   return {
     total_tasks: totalCount,
@@ -272,24 +1648,264 @@ const buildTaskKpi = (rows = [], now = new Date()) => {
     waiting_verify_tasks: waitingVerifyCount,
     overdue_tasks: overdueCount,
     due_soon_tasks: dueSoonCount,
+    cancelled_tasks: cancelledCount,
+    extended_tasks: extendedCount,
     completion_rate: completionRate,
     on_time_rate: onTimeRate,
+    original_on_time_rate: originalOnTimeRate,
+  };
+};
+
+// buildTaskKpi
+// 是什么：任务 KPI 聚合函数。
+// 做什么：输出整体指标，并在 `by_project` 中按项目分组给出同口径指标，未归属项目的任务单独成组排在最后。
+// 为什么：多个项目并行推进时，需要在同一份看板数据里对比各项目的完成与逾期情况。
+const buildTaskKpi = (rows = [], now = new Date(), dueSoonDeadlines = null) => {
+  const allRows = Array.isArray(rows) ? rows : [];
+  const projectGroups = new Map();
+
+  allRows.forEach((item) => {
+    const projectId = item.project_id ? Number(item.project_id) : null;
+    if (!projectGroups.has(projectId)) {
+      projectGroups.set(projectId, {
+        project_id: projectId,
+        project_name: projectId ? normalizeText(item.project_name) : UNASSIGNED_PROJECT_NAME,
+        rows: [],
+      });
+    }
+    projectGroups.get(projectId).rows.push(item);
+  });
+
+  const byProject = Array.from(projectGroups.values())
+    .sort((left, right) => {
+      if (left.project_id === null || right.project_id === null) {
+        return left.project_id === null ? 1 : -1;
+      }
+      return left.project_id - right.project_id;
+    })
+    .map((group) => ({
+      project_id: group.project_id,
+      project_name: group.project_name,
+      ...summarizeTaskKpi(group.rows, now, dueSoonDeadlines),
+    }));
+
+  return {
+    ...summarizeTaskKpi(allRows, now, dueSoonDeadlines),
+    by_project: byProject,
+  };
+};
+
+// buildTeamStats
+// 是什么：团队成员统计聚合函数。
+// 做什么：按执行人拆分任务（多执行人任务计入每位执行人），输出与 KPI 同口径的完成指标，并汇总已评分任务数与平均质量分。
+// 为什么：绩效评估需要同时看“完成了多少”与“完成得好不好”，且必须基于全部可见任务而非列表当前页。
+const buildTeamStats = (rows = [], now = new Date(), dueSoonDeadlines = null) => {
+  const memberGroups = new Map();
+
+  (Array.isArray(rows) ? rows : []).forEach((item) => {
+    parseTaskExecutors(item).forEach((executor) => {
+      if (!memberGroups.has(executor.userid)) {
+        memberGroups.set(executor.userid, []);
+      }
+      memberGroups.get(executor.userid).push(item);
+    });
+  });
+
+  return Array.from(memberGroups.entries())
+    .map(([userid, memberRows]) => {
+      const scores = memberRows
+        .filter((item) => getEffectiveTaskStatus(item) === TASK_STATUS.COMPLETED)
+        .map((item) => Number(item.quality_score))
+        .filter((score) => Number.isInteger(score) && score > 0);
+      const kpi = summarizeTaskKpi(memberRows, now, dueSoonDeadlines);
+
+      return {
+        userid,
+        ...kpi,
+        pending_tasks: memberRows.filter((item) => normalizeText(item.status) === TASK_STATUS.PENDING).length,
+        rated_tasks: scores.length,
+        average_quality:
+          scores.length > 0
+            ? Number((scores.reduce((sum, score) => sum + score, 0) / scores.length).toFixed(2))
+            : null,
+      };
+    })
+    .sort((left, right) => right.total_tasks - left.total_tasks || left.userid.localeCompare(right.userid));
+};
+
+// buildWeekdayActivity
+// 是什么：按星期分布的任务完成与驳回统计函数。
+// 做什么：按任务开始时间（缺失时用截止时间）在指定时区下的星期几分组，统计已完成与被驳回过的未完成任务数，固定输出周日到周六 7 项；已取消任务不计入。
+// 为什么：看板的周分析图需基于全部可见任务而非列表当前页，且星期划分应与业务日历时区一致。
+const buildWeekdayActivity = (rows = [], utcOffsetMinutes = 0) => {
+  const weekdays = Array.from({ length: 7 }, (item, index) => ({
+    weekday: index,
+    completed_tasks: 0,
+    rejected_tasks: 0,
+  }));
+
+  (Array.isArray(rows) ? rows : []).forEach((item) => {
+    const status = getEffectiveTaskStatus(item);
+    const anchorTime = toDateOrNull(item.start_time || item.end_time);
+    if (!anchorTime || status === TASK_STATUS.CANCELLED) {
+      return;
+    }
+
+    const record = weekdays[new Date(anchorTime.getTime() + Number(utcOffsetMinutes || 0) * 60 * 1000).getUTCDay()];
+    if (status === TASK_STATUS.COMPLETED) {
+      record.completed_tasks += 1;
+      return;
+    }
+
+    if (Number(item.redo_count || 0) > 0 || normalizeText(item.reject_reason)) {
+      record.rejected_tasks += 1;
+    }
+  });
+
+  return weekdays;
+};
+
+// buildVerifierWaitStats
+// 是什么：验收人等待时长统计函数。
+// 做什么：按验收决定事件中记录的等待工作小时数，汇总每位验收人的决定次数、平均与最长等待，以及系统自动通过次数。
+// 为什么：用于度量并压缩交付在管理者手上等待的时间，自动通过单独计数以免拉低真人验收人的平均值。
+const buildVerifierWaitStats = (events = []) => {
+  const verifierGroups = new Map();
+  let autoPassedCount = 0;
+
+  (Array.isArray(events) ? events : []).forEach((event) => {
+    const waitHours = Number(event && event.payload && event.payload.wait_hours);
+    if (!Number.isFinite(waitHours)) {
+      return;
+    }
+
+    if (normalizeText(event.event_type) === TASK_EVENT_TYPE.VERIFY_AUTO_PASSED) {
+      autoPassedCount += 1;
+      return;
+    }
+
+    const userid = normalizeText(event.actor_userid);
+    if (!userid) {
+      return;
+    }
+
+    if (!verifierGroups.has(userid)) {
+      verifierGroups.set(userid, []);
+    }
+    verifierGroups.get(userid).push(waitHours);
+  });
+
+  return {
+    auto_passed_count: autoPassedCount,
+    verifiers: Array.from(verifierGroups.entries())
+      .map(([userid, waits]) => ({
+        userid,
+        decision_count: waits.length,
+        average_wait_hours: Number((waits.reduce((sum, value) => sum + value, 0) / waits.length).toFixed(2)),
+        max_wait_hours: Math.max(...waits),
+      }))
+      .sort((left, right) => right.average_wait_hours - left.average_wait_hours || left.userid.localeCompare(right.userid)),
   };
 };
 
 module.exports = {
   TASK_STATUS,
+  CLOSED_TASK_STATUSES,
+  TASK_MANAGE_ACTION,
+  TASK_MANAGE_TRANSITIONS,
   REMINDER_KIND,
+  REMINDER_POLICY_SCOPE,
+  REMINDER_POLICY_LIMITS,
+  ESCALATION_TARGET,
+  DEFAULT_ESCALATION_TIERS,
+  VERIFY_TIMEOUT_ACTION,
+  VERIFY_STALL_DECISION,
+  DEFAULT_VERIFY_POLICY,
+  COMPLETE_BLOCK_REASON,
+  COMPLETION_MODE,
+  APPROVAL_STAGE_STATUS,
+  EXTENSION_REQUEST_STATUS,
+  TASK_PRIORITY,
+  DEFAULT_TASK_PRIORITY,
+  PRIORITY_REMINDER_POLICY,
+  normalizeTaskPriority,
+  parsePriorityFromText,
+  getPriorityReminderPolicy,
+  TASK_EVENT_TYPE,
+  TASK_LABEL_LIMITS,
+  TASK_COMMENT_MAX_LENGTH,
+  UNASSIGNED_PROJECT_NAME,
+  TASK_TEMPLATE_EXECUTOR_ROLE,
+  TASK_TEMPLATE_LIMITS,
+  TASK_BATCH_ACTION,
+  TASK_BATCH_MAX_SIZE,
+  TASK_REPORT_LIMITS,
+  TASK_QUALITY_RATING_LIMITS,
+  DEFAULT_REJECT_REASONS,
+  TASK_REJECT_REASON_LIMITS,
+  SYSTEM_ACTOR,
+  TASK_AUDIT_FIELDS,
   normalizeText,
+  normalizeCompletionMode,
+  parseTaskExecutors,
+  isTaskExecutionSatisfied,
+  parseUserIdList,
+  normalizeTaskLabels,
+  parseTaskLabels,
+  parseCommentMentions,
+  normalizeApprovalStagesInput,
+  hasApprovalStages,
+  isTaskClosed,
+  getEffectiveTaskStatus,
+  canUserManageTask,
+  canUserAccessProject,
+  canUserEditProject,
+  canApplyManageAction,
+  canUserReassignTask,
   parseGlobalVerifiers,
+  parseRejectReasons,
   normalizeActionKey,
+  parseActionKey,
+  toDateOrNull,
+  buildTaskPayloadDiff,
+  isTaskVisibleToUser,
+  toFlagValue,
+  normalizeTaskItemInput,
+  normalizeTaskItemsInput,
+  normalizeBatchTaskIds,
+  groupNotificationsByRecipient,
+  normalizeSubmissionReportInput,
+  isSubmissionReportEmpty,
+  parseSubmissionReportText,
+  normalizeQualityRatingInput,
+  normalizeTemplateExecutorRole,
+  canUserEditTemplate,
+  canUserEditReminderPolicy,
+  hasOpenRequiredItems,
+  isTaskEvidenceMissing,
+  isTaskBlocked,
+  wouldCreateDependencyCycle,
+  getCompleteBlockReason,
   canUserCompleteTask,
   canUserVerifyTask,
-  getReminderKind,
-  shouldSendReminder,
+  parseReminderOffset,
+  formatReminderOffset,
+  normalizeReminderPolicyInput,
+  buildPriorityReminderPolicy,
+  resolveReminderPolicy,
+  getDueReminderSlot,
+  parseEscalationTiers,
+  getDueEscalationTier,
+  normalizeVerifyTimeoutAction,
+  normalizeVerifyPolicyInput,
+  resolveVerifyPolicy,
+  getVerifyStallDecision,
   isTaskOverdue,
   isTaskDueSoon,
   mapTaskRowToApi,
   buildTaskKpi,
+  buildTeamStats,
+  buildWeekdayActivity,
+  buildVerifierWaitStats,
 };
 
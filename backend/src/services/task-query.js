@@ -0,0 +1,508 @@
+const {
+  TASK_STATUS,
+  CLOSED_TASK_STATUSES,
+  DEFAULT_TASK_PRIORITY,
+  PRIORITY_REMINDER_POLICY,
+  normalizeText,
+  normalizeTaskPriority,
+} = require('./task-lifecycle');
+
+// TASK_LIST_PAGE_SIZE
+// 是什么：任务列表分页大小约束。
+// 做什么：未传 `limit` 时每页 50 条，单页最多 200 条。
+// 为什么：列表改为服务端分页后需限制单次扫描与序列化的行数，避免一次拉全表。
+const TASK_LIST_PAGE_SIZE = {
+  default: 50,
+  max: 200,
+};
+
+// TASK_LIST_SORT_ORDER
+// 是什么：任务列表排序方向常量。
+// 做什么：限定 `order` 只能为升序或降序。
+// 为什么：排序方向会拼入 SQL，必须来自白名单。
+const TASK_LIST_SORT_ORDER = {
+  ASC: 'asc',
+  DESC: 'desc',
+};
+
+// TASK_STATUS_SORT_RANK
+// 是什么：按状态排序时各状态的先后次序。
+// 做什么：待处理 → 待验收 → 已完成 → 已取消 → 已归档。
+// 为什么：状态是文本，按字母序排序没有业务含义，需显式给出次序。
+const TASK_STATUS_SORT_RANK = [
+  TASK_STATUS.PENDING,
+  TASK_STATUS.WAITING_VERIFY,
+  TASK_STATUS.COMPLETED,
+  TASK_STATUS.CANCELLED,
+  TASK_STATUS.ARCHIVED,
+];
+
+// TASK_LIST_SORT_FIELDS
+// 是什么：任务列表可排序字段与对应 SQL 表达式。
+// 做什么：把 `sort` 参数映射为可比较、非空的排序表达式（空截止时间排在最后）。
+// 为什么：游标分页按“排序值 + id”定位下一页，排序值出现 NULL 会让比较条件失效。
+const TASK_LIST_SORT_FIELDS = {
+  priority: `COALESCE(tasks.priority, '${DEFAULT_TASK_PRIORITY}')`,
+  end_time: `COALESCE(datetime(tasks.end_time), '9999-12-31 23:59:59')`,
+  updated_at: `COALESCE(datetime(tasks.updated_at), datetime(tasks.created_at), '')`,
+  status: `(CASE tasks.status ${TASK_STATUS_SORT_RANK.map((status, index) => `WHEN '${status}' THEN ${index}`).join(' ')} ELSE ${TASK_STATUS_SORT_RANK.length} END)`,
+  created_at: `COALESCE(datetime(tasks.created_at), '')`,
+};
+
+// DEFAULT_TASK_LIST_SORT
+// 是什么：任务列表默认排序。
+// 做什么：未传 `sort` 时按优先级升序（P0 在前），同优先级按 id 倒序（新任务在前）。
+// 为什么：与分页改造前的列表顺序保持一致，前端默认视图不变。
+const DEFAULT_TASK_LIST_SORT = {
+  sort: 'priority',
+  order: TASK_LIST_SORT_ORDER.ASC,
+};
+
+// TASK_SEARCH_LIMITS
+// 是什么：全文检索参数约束。
+// 做什么：限定默认/最大返回条数、检索词长度、拆分词数，以及走 FTS 匹配所需的最短词长。
+// 为什么：trigram 分词下少于 3 个字的词无法用 MATCH 命中，需改走子串匹配；其余上限用于约束单次检索开销。
+const TASK_SEARCH_LIMITS = {
+  defaultLimit: 20,
+  maxLimit: 50,
+  maxQueryLength: 100,
+  maxTerms: 8,
+  minMatchLength: 3,
+};
+
+// TASK_SEARCH_FIELDS
+// 是什么：全文索引 `task_search` 的列清单。
+// 做什么：按展示优先级列出标题、描述、评论与驳回理由，同时作为 bm25 权重与摘要回退的顺序。
+// 为什么：命中标题比命中评论更相关，列顺序需在建表、排序与摘要三处保持一致。
+const TASK_SEARCH_FIELDS = [
+  { name: 'title', weight: 10 },
+  { name: 'description', weight: 5 },
+  { name: 'comments', weight: 2 },
+  { name: 'reject_reasons', weight: 2 },
+];
+
+// TASK_SEARCH_HIGHLIGHT_MARKS
+// 是什么：FTS 摘要命中片段的起止标记。
+// 做什么：使用 Unicode 私有区字符包裹命中词，再由 `parseHighlightedSnippet` 拆成分段结构。
+// 为什么：正文是用户输入，直接输出 HTML 标记会带来注入风险；私有区字符不会出现在正常文本中。
+const TASK_SEARCH_HIGHLIGHT_MARKS = {
+  open: '\uE000',
+  close: '\uE001',
+};
+
+// isTruthyFlag
+// 是什么：查询串布尔开关解析函数。
+// 做什么：`1/true/yes` 视为开启，其余视为关闭。
+// 为什么：`overdue`、`due_soon` 等开关来自 URL，前端可能传数字或字符串。
+const isTruthyFlag = (value) => {
+  return ['1', 'true', 'yes'].includes(normalizeText(value).toLowerCase());
+};
+
+// normalizeQueryDate
+// 是什么：日期范围参数解析函数。
+// 做什么：空值返回空字符串，可解析的时间转为 ISO 字符串，非法值返回 null。
+// 为什么：日期范围以 `datetime(?)` 参与比较，非法值需在拼 SQL 前拦下并提示调用方。
+const normalizeQueryDate = (value) => {
+  const normalized = normalizeText(value);
+  if (!normalized) {
+    return '';
+  }
+
+  const parsed = new Date(normalized);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+};
+
+// encodeTaskListCursor
+// 是什么：任务列表游标编码函数。
+// 做什么：把排序字段、方向、末行排序值与 id 编成 base64url 字符串。
+// 为什么：游标对前端不透明，只需原样回传，服务端即可从上一页末行继续查询。
+const encodeTaskListCursor = ({ sort, order, value, id }) => {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: value, id })).toString('base64url');
+};
+
+// decodeTaskListCursor
+// 是什么：任务列表游标解码函数。
+// 做什么：还原排序字段、方向、排序值与 id，格式不合法时返回 null。
+// 为什么：游标来自请求参数，可能被篡改或截断，需在进入 SQL 前校验结构。
+const decodeTaskListCursor = (value) => {
+  const normalized = normalizeText(value);
+  if (!normalized) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(Buffer.from(normalized, 'base64url').toString('utf8'));
+    const id = Number(parsed && parsed.id);
+    const hasValidValue = typeof parsed.v === 'string' || typeof parsed.v === 'number';
+    if (!TASK_LIST_SORT_FIELDS[parsed.s] || !Object.values(TASK_LIST_SORT_ORDER).includes(parsed.o)
+      || !hasValidValue || !Number.isInteger(id) || id <= 0) {
+      return null;
+    }
+
+    return {
+      sort: parsed.s,
+      order: parsed.o,
+      value: parsed.v,
+      id,
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+// normalizeTaskListQuery
+// 是什么：任务列表查询参数标准化函数。
+// 做什么：校验并整理分页、排序与各类筛选参数，失败时返回 `{ error }` 描述错误码。
+// 为什么：参数来自 URL 查询串，需统一收敛成白名单取值后才能拼接 SQL。
+const normalizeTaskListQuery = (raw = {}) => {
+  const source = raw || {};
+  const limitText = normalizeText(source.limit);
+  const limit = limitText ? Number(limitText) : TASK_LIST_PAGE_SIZE.default;
+  if (!Number.isInteger(limit) || limit <= 0 || limit > TASK_LIST_PAGE_SIZE.max) {
+    return { error: { code: 'TASK_QUERY_LIMIT_INVALID', message: `每页条数需为 1-${TASK_LIST_PAGE_SIZE.max} 的整数` } };
+  }
+
+  const sort = normalizeText(source.sort).toLowerCase() || DEFAULT_TASK_LIST_SORT.sort;
+  if (!TASK_LIST_SORT_FIELDS[sort]) {
+    return { error: { code: 'TASK_QUERY_SORT_INVALID', message: '不支持的排序字段' } };
+  }
+
+  const order = normalizeText(source.order).toLowerCase()
+    || (sort === DEFAULT_TASK_LIST_SORT.sort ? DEFAULT_TASK_LIST_SORT.order : TASK_LIST_SORT_ORDER.DESC);
+  if (!Object.values(TASK_LIST_SORT_ORDER).includes(order)) {
+    return { error: { code: 'TASK_QUERY_SORT_INVALID', message: '排序方向仅支持 asc 或 desc' } };
+  }
+
+  let cursor = null;
+  if (normalizeText(source.cursor)) {
+    cursor = decodeTaskListCursor(source.cursor);
+    if (!cursor || cursor.sort !== sort || cursor.order !== order) {
+      return { error: { code: 'TASK_CURSOR_INVALID', message: '分页游标无效或与当前排序不一致' } };
+    }
+  }
+
+  const dateRange = {};
+  for (const key of ['end_from', 'end_to', 'created_from', 'created_to']) {
+    const normalizedDate = normalizeQueryDate(source[key]);
+    if (normalizedDate === null) {
+      return { error: { code: 'TASK_QUERY_DATE_INVALID', message: `日期参数 ${key} 格式不正确` } };
+    }
+    dateRange[key] = normalizedDate;
+  }
+
+  return {
+    query: {
+      limit,
+      sort,
+      order,
+      cursor,
+      status: normalizeText(source.status).toUpperCase(),
+      priority: normalizeText(source.priority) ? normalizeTaskPriority(source.priority) : '',
+      keyword: normalizeText(source.keyword),
+      // `project_id=none` 用于筛选未归属任何项目的任务。
+      project_id: normalizeText(source.project_id).toLowerCase(),
+      label: normalizeText(source.label).replace(/^#+/, ''),
+      executor_userid: normalizeText(source.executor_userid),
+      creator_userid: normalizeText(source.creator_userid),
+      ...dateRange,
+      overdue: isTruthyFlag(source.overdue),
+      due_soon: isTruthyFlag(source.due_soon),
+    },
+  };
+};
+
+// buildTaskVisibilitySql
+// 是什么：任务可见范围 SQL 条件构造函数。
+// 做什么：限定为用户作为负责人、执行人、创建人、审批人、项目负责人或项目成员的任务。
+// 为什么：列表与计数需使用同一可见范围，放在一处避免两条查询口径不一致。
+const buildTaskVisibilitySql = (userId) => {
+  const currentUserId = normalizeText(userId);
+  if (!currentUserId) {
+    return { sql: '', params: [] };
+  }
+
+  return {
+    sql: `(tasks.owner_userid = ? OR tasks.executor_userid = ? OR tasks.creator_userid = ? OR tasks.rerouted_verifier_userid = ?
+      OR EXISTS (SELECT 1 FROM task_executors WHERE task_executors.task_id = tasks.id AND task_executors.executor_userid = ?)
+      OR EXISTS (SELECT 1 FROM task_approval_stages WHERE task_approval_stages.task_id = tasks.id
+        AND (',' || task_approval_stages.approver_userids || ',') LIKE ('%,' || ? || ',%'))
+      OR EXISTS (SELECT 1 FROM projects WHERE projects.id = tasks.project_id AND projects.owner_userid = ?)
+      OR EXISTS (SELECT 1 FROM project_members WHERE project_members.project_id = tasks.project_id
+        AND project_members.member_userid = ?))`,
+    params: Array(8).fill(currentUserId),
+  };
+};
+
+// parseTaskSearchTerms
+// 是什么：检索词拆分函数。
+// 做什么：按空白拆词，去掉双引号、去重并截断到上限词数。
+// 为什么：多个词按“全部命中”组合检索；双引号属于 FTS 语法字符，保留会让 MATCH 表达式出错。
+const parseTaskSearchTerms = (value) => {
+  const terms = normalizeText(value)
+    .slice(0, TASK_SEARCH_LIMITS.maxQueryLength)
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  return Array.from(new Set(terms)).slice(0, TASK_SEARCH_LIMITS.maxTerms);
+};
+
+// escapeLikePattern
+// 是什么：LIKE 通配符转义函数。
+// 做什么：转义 `%`、`_` 与转义符本身，配合 `ESCAPE '\'` 使用。
+// 为什么：短词回退到子串匹配时，用户输入的通配符应按字面量处理。
+const escapeLikePattern = (value) => {
+  return String(value).replace(/[\\%_]/g, (char) => `\\${char}`);
+};
+
+// buildTaskSearchConditionSql
+// 是什么：全文检索条件构造函数。
+// 做什么：长度不少于 3 的词组合为 MATCH 短语表达式，更短的词回退为任一索引列的子串匹配，所有词需同时命中。
+// 为什么：trigram 分词对 1-2 个字的中文词（如“复盘”）无法 MATCH，短词回退保证常见中文检索仍能命中。
+const buildTaskSearchConditionSql = (terms = []) => {
+  const matchTerms = terms.filter((term) => term.length >= TASK_SEARCH_LIMITS.minMatchLength);
+  const shortTerms = terms.filter((term) => term.length < TASK_SEARCH_LIMITS.minMatchLength);
+  const clauses = [];
+  const params = [];
+
+  if (matchTerms.length > 0) {
+    clauses.push('task_search MATCH ?');
+    params.push(matchTerms.map((term) => `"${term}"`).join(' '));
+  }
+
+  for (const term of shortTerms) {
+    clauses.push(`(${TASK_SEARCH_FIELDS.map((field) => `task_search.${field.name} LIKE ? ESCAPE '\\'`).join(' OR ')})`);
+    params.push(...TASK_SEARCH_FIELDS.map(() => `%${escapeLikePattern(term)}%`));
+  }
+
+  return {
+    hasMatch: matchTerms.length > 0,
+    sql: clauses.join(' AND '),
+    params,
+  };
+};
+
+// parseHighlightedSnippet
+// 是什么：FTS 摘要解析函数。
+// 做什么：按高亮起止标记把摘要文本拆成 `{ text, matched }` 分段。
+// 为什么：前端按分段渲染高亮即可，无需把用户文本当作 HTML 插入页面。
+const parseHighlightedSnippet = (value) => {
+  const segments = [];
+  let matched = false;
+  let buffer = '';
+
+  for (const char of String(value || '')) {
+    if (char === TASK_SEARCH_HIGHLIGHT_MARKS.open || char === TASK_SEARCH_HIGHLIGHT_MARKS.close) {
+      if (buffer) {
+        segments.push({ text: buffer, matched });
+      }
+      buffer = '';
+      matched = char === TASK_SEARCH_HIGHLIGHT_MARKS.open;
+      continue;
+    }
+    buffer += char;
+  }
+
+  if (buffer) {
+    segments.push({ text: buffer, matched });
+  }
+  return segments;
+};
+
+// buildTaskSearchSnippet
+// 是什么：检索摘要回退生成函数。
+// 做什么：取第一个命中检索词的索引列，截取命中位置前后的文本窗口，返回窗口内命中词高亮后的分段。
+// 为什么：只含短词的检索不经过 MATCH，无法使用 FTS 的 `snippet()`，需在应用层生成同结构的摘要。
+const buildTaskSearchSnippet = (fields = {}, terms = [], windowSize = 48) => {
+  const loweredTerms = terms.map((term) => term.toLowerCase()).filter(Boolean);
+  for (const field of TASK_SEARCH_FIELDS) {
+    const text = String(fields[field.name] || '').replace(/\s+/g, ' ');
+    const loweredText = text.toLowerCase();
+    const hitIndexes = loweredTerms.map((term) => loweredText.indexOf(term)).filter((index) => index >= 0);
+    if (hitIndexes.length === 0) {
+      continue;
+    }
+
+    const start = Math.max(0, Math.min(...hitIndexes) - Math.floor(windowSize / 3));
+    const end = Math.min(text.length, start + windowSize);
+    const windowText = text.slice(start, end);
+    const loweredWindow = windowText.toLowerCase();
+    const segments = [];
+    let cursor = 0;
+
+    while (cursor < windowText.length) {
+      const nextHit = loweredTerms
+        .map((term) => ({ term, index: loweredWindow.indexOf(term, cursor) }))
+        .filter((item) => item.index >= 0)
+        .sort((left, right) => left.index - right.index || right.term.length - left.term.length)[0];
+      if (!nextHit) {
+        segments.push({ text: windowText.slice(cursor), matched: false });
+        break;
+      }
+
+      if (nextHit.index > cursor) {
+        segments.push({ text: windowText.slice(cursor, nextHit.index), matched: false });
+      }
+      segments.push({ text: windowText.slice(nextHit.index, nextHit.index + nextHit.term.length), matched: true });
+      cursor = nextHit.index + nextHit.term.length;
+    }
+
+    if (start > 0) {
+      segments.unshift({ text: '…', matched: false });
+    }
+    if (end < text.length) {
+      segments.push({ text: '…', matched: false });
+    }
+
+    return segments;
+  }
+
+  return [];
+};
+
+// buildTaskListWhereSql
+// 是什么：任务列表筛选条件构造函数。
+// 做什么：按可见范围与标准化后的筛选参数拼出 WHERE 子句（不含游标条件）；传入 `dueSoonDeadlines` 时“即将到期”按其中各优先级的截止时刻筛选。
+// 为什么：总数统计与分页查询共用同一组条件，总数才与翻页结果一致。
+const buildTaskListWhereSql = (query, userId, now = new Date(), dueSoonDeadlines = null) => {
+  const whereClauses = [];
+  const params = [];
+  const nowIso = (now instanceof Date ? now : new Date(now)).toISOString();
+
+  const visibility = buildTaskVisibilitySql(userId);
+  if (visibility.sql) {
+    whereClauses.push(visibility.sql);
+    params.push(...visibility.params);
+  }
+
+  if (query.project_id === 'none') {
+    whereClauses.push('tasks.project_id IS NULL');
+  } else if (query.project_id) {
+    whereClauses.push('tasks.project_id = ?');
+    params.push(Number(query.project_id) || 0);
+  }
+
+  if (query.label) {
+    whereClauses.push('EXISTS (SELECT 1 FROM task_labels WHERE task_labels.task_id = tasks.id AND task_labels.label = ?)');
+    params.push(query.label);
+  }
+
+  if (query.status) {
+    whereClauses.push('tasks.status = ?');
+    params.push(query.status);
+  }
+
+  if (query.priority) {
+    whereClauses.push(`COALESCE(tasks.priority, '${DEFAULT_TASK_PRIORITY}') = ?`);
+    params.push(query.priority);
+  }
+
+  // 关键字走全文索引（覆盖标题、描述、评论与驳回理由），同时保留按创建人/执行人 userid 检索。
+  if (query.keyword) {
+    const searchCondition = buildTaskSearchConditionSql(parseTaskSearchTerms(query.keyword));
+    const userIdPattern = `%${escapeLikePattern(query.keyword)}%`;
+    whereClauses.push(`(tasks.id IN (SELECT rowid FROM task_search WHERE ${searchCondition.sql || '0'})
+      OR tasks.creator_userid LIKE ? ESCAPE '\\' OR tasks.executor_userid LIKE ? ESCAPE '\\')`);
+    params.push(...searchCondition.params, userIdPattern, userIdPattern);
+  }
+
+  if (query.executor_userid) {
+    whereClauses.push(`(tasks.executor_userid = ?
+      OR EXISTS (SELECT 1 FROM task_executors WHERE task_executors.task_id = tasks.id AND task_executors.executor_userid = ?))`);
+    params.push(query.executor_userid, query.executor_userid);
+  }
+
+  if (query.creator_userid) {
+    whereClauses.push('tasks.creator_userid = ?');
+    params.push(query.creator_userid);
+  }
+
+  const dateRangeClauses = [
+    ['end_from', 'datetime(tasks.end_time) >= datetime(?)'],
+    ['end_to', 'datetime(tasks.end_time) <= datetime(?)'],
+    ['created_from', 'datetime(tasks.created_at) >= datetime(?)'],
+    ['created_to', 'datetime(tasks.created_at) <= datetime(?)'],
+  ];
+  for (const [key, clause] of dateRangeClauses) {
+    if (query[key]) {
+      whereClauses.push(clause);
+      params.push(query[key]);
+    }
+  }
+
+  // 逾期与即将到期口径与 `isTaskOverdue`、`isTaskDueSoon` 保持一致。
+  if (query.overdue) {
+    whereClauses.push(`tasks.status NOT IN (${CLOSED_TASK_STATUSES.map((status) => `'${status}'`).join(', ')})
+      AND datetime(tasks.end_time) < datetime(?)`);
+    params.push(nowIso);
+  }
+
+  if (query.due_soon && dueSoonDeadlines) {
+    const priorities = Object.keys(dueSoonDeadlines);
+    const deadlineSql = `(CASE COALESCE(tasks.priority, '${DEFAULT_TASK_PRIORITY}') ${priorities
+      .map(() => 'WHEN ? THEN datetime(?)')
+      .join(' ')} ELSE datetime(?) END)`;
+    whereClauses.push(`tasks.status = '${TASK_STATUS.PENDING}'
+      AND datetime(tasks.end_time) >= datetime(?)
+      AND datetime(tasks.end_time) <= ${deadlineSql}`);
+    params.push(
+      nowIso,
+      ...priorities.flatMap((priority) => [priority, dueSoonDeadlines[priority].toISOString()]),
+      dueSoonDeadlines[DEFAULT_TASK_PRIORITY].toISOString()
+    );
+  } else if (query.due_soon) {
+    const dueSoonHoursSql = `(CASE COALESCE(tasks.priority, '${DEFAULT_TASK_PRIORITY}') ${Object.entries(PRIORITY_REMINDER_POLICY)
+      .map(([priority, policy]) => `WHEN '${priority}' THEN ${Number(policy.dueSoonHours)}`)
+      .join(' ')} ELSE ${Number(PRIORITY_REMINDER_POLICY[DEFAULT_TASK_PRIORITY].dueSoonHours)} END)`;
+    whereClauses.push(`tasks.status = '${TASK_STATUS.PENDING}'
+      AND datetime(tasks.end_time) >= datetime(?)
+      AND datetime(tasks.end_time) <= datetime(?, '+' || ${dueSoonHoursSql} || ' hours')`);
+    params.push(nowIso, nowIso);
+  }
+
+  return {
+    whereSql: whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '',
+    params,
+  };
+};
+
+// buildTaskListPageSql
+// 是什么：任务列表分页片段构造函数。
+// 做什么：输出排序表达式、游标续查条件与 ORDER BY 子句；排序值相同时按 id 倒序兜底。
+// 为什么：键集分页要求排序全序且可比较，`(排序值, id)` 组合可唯一定位上一页末行。
+const buildTaskListPageSql = (query) => {
+  const sortSql = TASK_LIST_SORT_FIELDS[query.sort];
+  const direction = query.order === TASK_LIST_SORT_ORDER.ASC ? 'ASC' : 'DESC';
+  const comparator = direction === 'ASC' ? '>' : '<';
+
+  const cursorSql = query.cursor
+    ? `(${sortSql} ${comparator} ? OR (${sortSql} = ? AND tasks.id < ?))`
+    : '';
+  const cursorParams = query.cursor ? [query.cursor.value, query.cursor.value, query.cursor.id] : [];
+
+  return {
+    sortSql,
+    cursorSql,
+    cursorParams,
+    orderSql: `ORDER BY ${sortSql} ${direction}, tasks.id DESC`,
+  };
+};
+
+module.exports = {
+  TASK_SEARCH_LIMITS,
+  TASK_SEARCH_FIELDS,
+  TASK_SEARCH_HIGHLIGHT_MARKS,
+  parseTaskSearchTerms,
+  buildTaskSearchConditionSql,
+  parseHighlightedSnippet,
+  buildTaskSearchSnippet,
+  TASK_LIST_PAGE_SIZE,
+  TASK_LIST_SORT_ORDER,
+  TASK_LIST_SORT_FIELDS,
+  DEFAULT_TASK_LIST_SORT,
+  encodeTaskListCursor,
+  decodeTaskListCursor,
+  normalizeTaskListQuery,
+  buildTaskVisibilitySql,
+  buildTaskListWhereSql,
+  buildTaskListPageSql,
+};
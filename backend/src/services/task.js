@@ -1,19 +1,293 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const db = require('../models/db');
 const wecom = require('./wecom');
 const {
   TASK_STATUS,
+  CLOSED_TASK_STATUSES,
+  TASK_MANAGE_ACTION,
+  TASK_MANAGE_TRANSITIONS,
   REMINDER_KIND,
+  COMPLETE_BLOCK_REASON,
+  APPROVAL_STAGE_STATUS,
+  EXTENSION_REQUEST_STATUS,
+  DEFAULT_TASK_PRIORITY,
+  TASK_EVENT_TYPE,
+  TASK_COMMENT_MAX_LENGTH,
+  TASK_TEMPLATE_EXECUTOR_ROLE,
+  TASK_TEMPLATE_LIMITS,
+  TASK_BATCH_ACTION,
+  TASK_BATCH_MAX_SIZE,
+  SYSTEM_ACTOR,
   normalizeText,
+  normalizeCompletionMode,
+  normalizeTaskPriority,
+  parsePriorityFromText,
+  getPriorityReminderPolicy,
+  parseTaskExecutors,
+  isTaskExecutionSatisfied,
+  parseUserIdList,
+  normalizeTaskLabels,
+  parseTaskLabels,
+  parseCommentMentions,
+  normalizeApprovalStagesInput,
+  hasApprovalStages,
+  isTaskClosed,
+  canUserManageTask,
+  canUserAccessProject,
+  canUserEditProject,
+  canApplyManageAction,
   parseGlobalVerifiers,
-  normalizeActionKey,
-  canUserCompleteTask,
+  parseRejectReasons,
+  parseActionKey,
+  toDateOrNull,
+  buildTaskPayloadDiff,
+  isTaskVisibleToUser,
+  toFlagValue,
+  normalizeTaskItemInput,
+  normalizeTaskItemsInput,
+  normalizeBatchTaskIds,
+  groupNotificationsByRecipient,
+  normalizeSubmissionReportInput,
+  isSubmissionReportEmpty,
+  parseSubmissionReportText,
+  normalizeQualityRatingInput,
+  buildTeamStats,
+  getEffectiveTaskStatus,
+  normalizeTemplateExecutorRole,
+  canUserEditTemplate,
+  getCompleteBlockReason,
+  isTaskBlocked,
+  wouldCreateDependencyCycle,
   canUserVerifyTask,
-  getReminderKind,
-  shouldSendReminder,
+  mapTaskRowToApi,
+  REMINDER_POLICY_SCOPE,
+  formatReminderOffset,
+  normalizeReminderPolicyInput,
+  resolveReminderPolicy,
+  getDueReminderSlot,
+  canUserEditReminderPolicy,
+  ESCALATION_TARGET,
+  parseEscalationTiers,
+  getDueEscalationTier,
+  VERIFY_TIMEOUT_ACTION,
+  VERIFY_STALL_DECISION,
+  DEFAULT_VERIFY_POLICY,
+  normalizeVerifyTimeoutAction,
+  normalizeVerifyPolicyInput,
+  resolveVerifyPolicy,
+  getVerifyStallDecision,
+  buildVerifierWaitStats,
 } = require('./task-lifecycle');
 const { resolveCalendarIdByUser } = require('./calendar-mapping');
+const {
+  getBusinessCalendar,
+  countWorkingHoursBetween,
+  buildDueSoonDeadlines,
+  isQuietTime,
+  toDateKey,
+  normalizeTimezoneOffsetInput,
+  describeBusinessCalendar,
+} = require('./business-calendar');
+const {
+  normalizeDigestTimeInput,
+  resolveDigestTime,
+  getDigestSchedule,
+  buildDigestSections,
+  countDigestItems,
+  buildDigestMarkdown,
+} = require('./daily-digest');
+const {
+  resolveAttachmentMaxBytes,
+  sanitizeAttachmentFilename,
+  resolveAttachmentMimeType,
+  saveAttachmentFile,
+  resolveAttachmentPath,
+  isAttachmentFilePresent,
+  removeAttachmentFile,
+} = require('./attachment-storage');
+const {
+  SERIES_STATUS,
+  resolveUtcOffsetMinutes,
+  parseRecurrenceRule,
+  formatRecurrenceRule,
+  computeNextOccurrence,
+  parseLeadTimeHours,
+  shouldMaterializeByLeadTime,
+} = require('./recurrence');
+const {
+  TASK_SEARCH_LIMITS,
+  TASK_SEARCH_FIELDS,
+  TASK_SEARCH_HIGHLIGHT_MARKS,
+  parseTaskSearchTerms,
+  buildTaskSearchConditionSql,
+  parseHighlightedSnippet,
+  buildTaskSearchSnippet,
+  encodeTaskListCursor,
+  normalizeTaskListQuery,
+  buildTaskVisibilitySql,
+  buildTaskListWhereSql,
+  buildTaskListPageSql,
+} = require('./task-query');
 const { logWithTrace, createTraceId } = require('../utils/logger');
 
+// TASK_DERIVED_COLUMN_SQLS
+// 是什么：任务行派生字段子查询清单。
+// 做什么：在查询 tasks 时一并统计检查项进度、未闭环的前置任务数、各执行人完成状态、当前审批阶段、待审批延期、所属项目、标签、评论数、附件数、任务与项目指定的提醒策略，以及当前截止时间下已发送的提醒进度与逾期升级层级。
+// 为什么：权限判断与列表展示都依赖这些聚合值，随任务行一次查出可避免 N+1 查询。
+const TASK_DERIVED_COLUMN_SQLS = [
+  `(SELECT COUNT(*) FROM task_items WHERE task_items.task_id = tasks.id) AS item_total_count`,
+  `(SELECT COUNT(*) FROM task_items WHERE task_items.task_id = tasks.id AND task_items.is_done = 1) AS item_done_count`,
+  `(SELECT COUNT(*) FROM task_items WHERE task_items.task_id = tasks.id AND task_items.is_required = 1 AND task_items.is_done = 0) AS item_open_required_count`,
+  `(SELECT COUNT(*) FROM task_dependencies
+      JOIN tasks AS blocker ON blocker.id = task_dependencies.depends_on_task_id
+      WHERE task_dependencies.task_id = tasks.id
+        AND blocker.status NOT IN (${CLOSED_TASK_STATUSES.map((status) => `'${status}'`).join(', ')})) AS open_blocker_count`,
+  `(SELECT json_group_array(json_object('userid', executor_userid, 'is_done', is_done, 'completed_at', completed_at))
+      FROM (SELECT * FROM task_executors WHERE task_executors.task_id = tasks.id ORDER BY sort_order ASC)) AS executor_states`,
+  `(SELECT COUNT(*) FROM task_approval_stages WHERE task_approval_stages.task_id = tasks.id) AS approval_stage_count`,
+  `(SELECT name FROM task_approval_stages
+      WHERE task_approval_stages.task_id = tasks.id AND task_approval_stages.stage_index = COALESCE(tasks.current_stage_index, 0)) AS current_stage_name`,
+  `(SELECT approver_userids FROM task_approval_stages
+      WHERE task_approval_stages.task_id = tasks.id AND task_approval_stages.stage_index = COALESCE(tasks.current_stage_index, 0)) AS current_stage_approvers`,
+  `(SELECT GROUP_CONCAT(approver_userids) FROM task_approval_stages WHERE task_approval_stages.task_id = tasks.id) AS stage_approver_userids`,
+  `(SELECT proposed_end_time FROM task_extension_requests
+      WHERE task_extension_requests.task_id = tasks.id AND task_extension_requests.status = '${EXTENSION_REQUEST_STATUS.PENDING}'
+      ORDER BY id DESC LIMIT 1) AS pending_extension_end_time`,
+  `(SELECT id FROM task_extension_requests
+      WHERE task_extension_requests.task_id = tasks.id AND task_extension_requests.status = '${EXTENSION_REQUEST_STATUS.PENDING}'
+      ORDER BY id DESC LIMIT 1) AS pending_extension_id`,
+  `(SELECT name FROM projects WHERE projects.id = tasks.project_id) AS project_name`,
+  `(SELECT GROUP_CONCAT(member_userid) FROM (
+      SELECT owner_userid AS member_userid FROM projects WHERE projects.id = tasks.project_id
+      UNION SELECT member_userid FROM project_members WHERE project_members.project_id = tasks.project_id)) AS project_member_userids`,
+  `(SELECT json_group_array(label)
+      FROM (SELECT label FROM task_labels WHERE task_labels.task_id = tasks.id ORDER BY label ASC)) AS labels`,
+  `(SELECT COUNT(*) FROM task_comments WHERE task_comments.task_id = tasks.id) AS comment_count`,
+  `(SELECT COUNT(*) FROM task_attachments WHERE task_attachments.task_id = tasks.id) AS attachment_count`,
+  `(SELECT COUNT(*) FROM task_attachments
+      WHERE task_attachments.task_id = tasks.id
+        AND task_attachments.submission_round = COALESCE(tasks.redo_count, 0)) AS evidence_count`,
+  `(SELECT policy_id FROM reminder_policy_assignments
+      WHERE reminder_policy_assignments.scope_type = '${REMINDER_POLICY_SCOPE.TASK}'
+        AND reminder_policy_assignments.scope_id = tasks.id) AS task_reminder_policy_id`,
+  `(SELECT policy_id FROM reminder_policy_assignments
+      WHERE reminder_policy_assignments.scope_type = '${REMINDER_POLICY_SCOPE.PROJECT}'
+        AND reminder_policy_assignments.scope_id = tasks.project_id) AS project_reminder_policy_id`,
+  `(SELECT MAX(offset_minutes) FROM task_reminder_logs
+      WHERE task_reminder_logs.task_id = tasks.id AND task_reminder_logs.due_at = tasks.end_time) AS last_reminder_offset`,
+  `(SELECT MAX(level) FROM task_escalations
+      WHERE task_escalations.task_id = tasks.id AND task_escalations.due_at = tasks.end_time) AS escalation_level`,
+];
+
+// buildTaskRowSelectSql / TASK_ROW_SELECT_SQL
+// 是什么：任务行标准查询语句前缀。
+// 做什么：输出 `SELECT tasks.*, 派生字段 FROM tasks`，可追加额外列（如分页排序值），调用方按需拼接 WHERE/ORDER。
+// 为什么：服务层与路由层读取任务时保持同一字段集合，避免部分接口缺少派生字段。
+const buildTaskRowSelectSql = (extraColumnSqls = []) => {
+  return `SELECT tasks.*, ${[...TASK_DERIVED_COLUMN_SQLS, ...extraColumnSqls].join(', ')} FROM tasks`;
+};
+
+const TASK_ROW_SELECT_SQL = buildTaskRowSelectSql();
+
+// PROJECT_ROW_SELECT_SQL
+// 是什么：项目行标准查询语句前缀。
+// 做什么：输出项目字段并以逗号文本聚合成员列表，调用方按需拼接 WHERE/ORDER。
+// 为什么：项目列表、详情与权限判断都依赖成员名单，随项目行一次查出。
+const PROJECT_ROW_SELECT_SQL = `SELECT projects.*,
+  (SELECT GROUP_CONCAT(member_userid) FROM project_members WHERE project_members.project_id = projects.id) AS member_userids
+  FROM projects`;
+
+// PROJECT_NAME_MAX_LENGTH
+// 是什么：项目名称长度上限。
+// 做什么：创建与修改项目时校验名称字符数。
+// 为什么：项目名称会出现在筛选下拉与 KPI 拆分中，过长会破坏展示。
+const PROJECT_NAME_MAX_LENGTH = 64;
+
+// TEMPLATE_ROW_SELECT_SQL
+// 是什么：任务模板行标准查询语句前缀。
+// 做什么：输出模板字段并以 JSON 数组聚合检查项（按排序号），调用方按需拼接 WHERE/ORDER。
+// 为什么：模板列表与套用模板创建任务都需要完整的检查项，随模板行一次查出。
+const TEMPLATE_ROW_SELECT_SQL = `SELECT task_templates.*,
+  (SELECT json_group_array(json_object('title', title, 'is_required', is_required))
+    FROM (SELECT * FROM task_template_items
+      WHERE task_template_items.template_id = task_templates.id ORDER BY sort_order ASC, id ASC)) AS items
+  FROM task_templates`;
+
+// TEMPLATE_NAME_MAX_LENGTH
+// 是什么：任务模板名称长度上限。
+// 做什么：创建与修改模板时校验名称字符数。
+// 为什么：模板名称展示在创建弹窗的下拉选择中，过长会破坏展示。
+const TEMPLATE_NAME_MAX_LENGTH = 64;
+
+// COMPLETE_BLOCK_ERRORS
+// 是什么：提交验收受阻原因到接口错误的映射。
+// 做什么：为每种受阻原因给出错误码、提示文案与 HTTP 状态码。
+// 为什么：不同原因需要不同的前端处理方式（如提示先勾选检查项）。
+const COMPLETE_BLOCK_ERRORS = {
+  [COMPLETE_BLOCK_REASON.NOT_EXECUTOR]: ['TASK_COMPLETE_FORBIDDEN', '仅执行人可提交待执行任务', 403],
+  [COMPLETE_BLOCK_REASON.STATUS_INVALID]: ['TASK_COMPLETE_FORBIDDEN', '仅执行人可提交待执行任务', 403],
+  [COMPLETE_BLOCK_REASON.ITEMS_INCOMPLETE]: ['TASK_ITEMS_INCOMPLETE', '仍有必填检查项未完成，无法提交验收', 409],
+  [COMPLETE_BLOCK_REASON.BLOCKED]: ['TASK_BLOCKED', '前置任务尚未闭环，暂不可提交验收', 409],
+  [COMPLETE_BLOCK_REASON.EXECUTOR_DONE]: ['TASK_EXECUTOR_ALREADY_DONE', '你已确认完成，请等待其他执行人', 409],
+  [COMPLETE_BLOCK_REASON.CLOSED]: ['TASK_CLOSED', '任务已取消或归档，无需继续处理', 409],
+  [COMPLETE_BLOCK_REASON.EVIDENCE_MISSING]: ['TASK_EVIDENCE_REQUIRED', '该任务要求上传完成凭证，请先上传附件再提交验收', 409],
+};
+
+// BATCH_ACTION_LABELS
+// 是什么：批量操作类型的中文名称表。
+// 做什么：用于批量汇总卡片的正文开头，说明本次批量执行的动作。
+// 为什么：接收人只看到汇总卡片时，需要知道这批变化由什么操作引起。
+const BATCH_ACTION_LABELS = {
+  [TASK_BATCH_ACTION.COMPLETE]: '提交验收',
+  [TASK_BATCH_ACTION.PASS]: '验收通过',
+  [TASK_BATCH_ACTION.REJECT]: '驳回',
+  [TASK_BATCH_ACTION.REASSIGN]: '转交',
+  [TASK_BATCH_ACTION.CANCEL]: '取消',
+  [TASK_BATCH_ACTION.RELABEL]: '重设标签',
+};
+
+// BATCH_SUMMARY_MAX_LINES
+// 是什么：批量汇总卡片正文最多列出的通知条数。
+// 做什么：超出部分以“等 N 条”概括。
+// 为什么：企业微信文本卡片正文有长度上限，过长会被截断。
+const BATCH_SUMMARY_MAX_LINES = 8;
+
+// REPORT_REPLY_WINDOW_HOURS
+// 是什么：企业微信文本回复归档为交付说明的时间窗口。
+// 做什么：执行人收到补充说明提示后该时长内发来的第一条文本消息，归入被提示任务的当前轮次。
+// 为什么：文本消息不带任务标识，只能按“最近提示”匹配；限定窗口避免很久之后的闲聊被误记为交付说明。
+const REPORT_REPLY_WINDOW_HOURS = 24;
+
+// REPORT_CARD_SUMMARY_MAX_LENGTH
+// 是什么：验收卡片中交付说明摘要的最大字数。
+// 做什么：超出部分以省略号截断，完整内容在 Web 详情查看。
+// 为什么：模板卡片横向内容区单行展示，过长文本会被企业微信截断且难以阅读。
+const REPORT_CARD_SUMMARY_MAX_LENGTH = 40;
+
+// QUALITY_SCORE_LABELS
+// 是什么：质量评分档位文案。
+// 做什么：作为评分投票卡片的选项文字，从高分到低分排列。
+// 为什么：验收人在手机上打分时需要看到每一档的含义，保证不同人打分口径一致。
+const QUALITY_SCORE_LABELS = {
+  5: '5 分 · 超出预期',
+  4: '4 分 · 质量良好',
+  3: '3 分 · 符合要求',
+  2: '2 分 · 勉强可用',
+  1: '1 分 · 需要改进',
+};
+
+// notificationBatchStorage
+// 是什么：批量操作期间的通知暂存上下文。
+// 做什么：在批量操作的异步调用链内收集本应立即发送的卡片，由批量入口统一合并后发送。
+// 为什么：单任务流程内部各自发卡片，借助异步上下文即可在不改动各流程的前提下改为汇总发送，且不会误收并发请求的通知。
+const notificationBatchStorage = new AsyncLocalStorage();
+
+// quietRecipientStorage
+// 是什么：定时通知期间的免打扰接收人上下文。
+// 做什么：在提醒、升级与验收催办的异步调用链内登记当前处于免打扰的接收人，发送出口据此只发给其余接收人，并把免打扰的人转入待补发队列。
+// 为什么：同一条通知的接收人可能分布在不同时区，不能因其中一人处于深夜就让所有人都收不到；与批量通知同样在发送出口拦截，无需改动各卡片的组装逻辑。
+const quietRecipientStorage = new AsyncLocalStorage();
+
 class TaskOperationError extends Error {
   constructor(code, message, statusCode = 400) {
     super(message);
@@ -49,6 +323,41 @@ const parseIsoDate = (value) => {
   return date;
 };
 
+// parseEventPayload
+// 是什么：事件载荷解析函数。
+// 做什么：将 `task_events.payload` 中的 JSON 文本还原为对象，异常时返回空对象。
+// 为什么：历史或手工写入的数据可能不是合法 JSON，接口输出需保持结构稳定。
+const parseEventPayload = (value) => {
+  const normalized = normalizeText(value);
+  if (!normalized) {
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(normalized);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// buildTaskDetailUrl
+// 是什么：任务详情跳转地址生成函数。
+// 做什么：按 `FRONTEND_URL -> APP_URL -> 本机` 回退拼出 Web 端地址并带上任务ID。
+// 为什么：企业微信文本卡片必须携带跳转链接，点击后应直接打开对应任务。
+const buildTaskDetailUrl = (task) => {
+  return `${buildTaskListUrl()}?task_id=${encodeURIComponent(task && task.id)}`;
+};
+
+// buildTaskListUrl
+// 是什么：任务列表跳转地址生成函数。
+// 做什么：按与详情地址相同的回退顺序拼出 Web 端首页地址。
+// 为什么：批量汇总卡片涉及多个任务，只能跳转到列表而非单个任务详情。
+const buildTaskListUrl = () => {
+  const baseUrl = normalizeText(process.env.FRONTEND_URL || process.env.APP_URL) || 'http://127.0.0.1';
+  return `${baseUrl.replace(/\/+$/, '')}/`;
+};
+
 // toUnixSeconds
 // 是什么：时间戳转换函数。
 // 做什么：将 Date 转换为企业微信日程接口使用的秒级时间戳。
@@ -105,259 +414,3909 @@ class TaskService {
     return parseGlobalVerifiers(process.env.GLOBAL_VERIFIERS || '');
   }
 
-  async getTaskById(taskId) {
-    return getSql(`SELECT * FROM tasks WHERE id = ?`, [taskId]);
+  getRejectReasons() {
+    return parseRejectReasons(process.env.TASK_REJECT_REASONS || '');
   }
 
-  async getTaskByScheduleId(wecomScheduleId) {
-    return getSql(`SELECT * FROM tasks WHERE wecom_schedule_id = ?`, [wecomScheduleId]);
+  // getVerifyPolicy
+  // 是什么：全局验收等待策略读取函数。
+  // 做什么：从 `VERIFY_TIMEOUT_ACTION/VERIFY_TIMEOUT_HOURS/VERIFY_REMINDER_COOLDOWN_HOURS/VERIFY_BACKUP_VERIFIERS` 读取策略，非法值回退默认。
+  // 为什么：任务未单独配置时按团队统一策略处理待验收停滞。
+  getVerifyPolicy() {
+    const timeoutHours = Number(process.env.VERIFY_TIMEOUT_HOURS);
+    const cooldownHours = Number(process.env.VERIFY_REMINDER_COOLDOWN_HOURS);
+    return {
+      action: normalizeVerifyTimeoutAction(process.env.VERIFY_TIMEOUT_ACTION) || DEFAULT_VERIFY_POLICY.action,
+      timeout_hours: timeoutHours > 0 ? timeoutHours : DEFAULT_VERIFY_POLICY.timeout_hours,
+      reminder_cooldown_hours: cooldownHours > 0 ? cooldownHours : DEFAULT_VERIFY_POLICY.reminder_cooldown_hours,
+      backup_verifiers: parseUserIdList(process.env.VERIFY_BACKUP_VERIFIERS || ''),
+    };
   }
 
-  async listPendingTasks() {
-    return allSql(`SELECT * FROM tasks WHERE status = ?`, [TASK_STATUS.PENDING]);
+  // getVerifyWaitHours
+  // 是什么：待验收等待时长计算函数。
+  // 做什么：按业务日历统计本轮验收请求发出至今的工作小时数，历史任务缺少请求时间时以提交时间代替。
+  // 为什么：超时判断与验收决定事件中的等待时长需使用同一口径。
+  getVerifyWaitHours(task, now = new Date()) {
+    return countWorkingHoursBetween(task.verify_requested_at || task.completion_time, now, getBusinessCalendar());
   }
 
-  buildVerifierRecipients(task) {
-    const extraVerifiers = this.getGlobalVerifiers();
-    const recipientSet = new Set([normalizeText(task.creator_userid), ...extraVerifiers].filter(Boolean));
-    return Array.from(recipientSet).join('|');
+  // getDueSoonDeadlines
+  // 是什么：“即将到期”截止时刻计算入口。
+  // 做什么：按业务日历为各优先级推算到期窗口的终点。
+  // 为什么：列表筛选、任务映射与 KPI 需在同一请求内共用一组按工作日推算的时刻。
+  getDueSoonDeadlines(now = new Date()) {
+    return buildDueSoonDeadlines(now, getBusinessCalendar());
   }
 
-  async sendExecutorActionCard(task, title, description, buttons = []) {
-    const touser = normalizeText(task.executor_userid);
-    if (!touser) {
-      return;
+  // buildRejectReasonButtons
+  // 是什么：标准驳回原因选项构建函数。
+  // 做什么：为每条配置的驳回原因生成一个卡片选项，选项键携带原因文字。
+  // 为什么：验收卡片与原因选择卡片共用同一组选项，选中后原因随动作键直达 `verifyTask`。
+  buildRejectReasonButtons() {
+    return this.getRejectReasons().map((reason) => ({ id: `ACTION_REJECT:${reason}`, text: `驳回：${reason}` }));
+  }
+
+  // deliverTemplateCard / deliverTextCard
+  // 是什么：任务通知的统一发送出口。
+  // 做什么：先把免打扰上下文中登记的接收人移入待补发队列，再在批量操作上下文中暂存通知，否则直接调用企业微信接口发送。
+  // 为什么：批量操作需要把各单任务流程产生的通知合并为汇总卡片，免打扰也需按人拆分，发送出口统一后才能集中拦截。
+  async deliverTemplateCard(config) {
+    const deliverable = await this.deferQuietRecipients('template_card', config);
+    if (!deliverable) {
+      return { errcode: 0, errmsg: 'deferred' };
     }
 
-    await wecom.sendTemplateCard({
-      touser,
-      task_id: task.wecom_schedule_id,
-      title,
-      description,
-      sub_title: normalizeText(task.title),
-      details: [
-        {
-          keyname: '截止时间',
-          value: normalizeText(task.end_time),
-        },
-      ],
-      buttons,
-    });
+    const batch = notificationBatchStorage.getStore();
+    if (batch) {
+      batch.push({ msgtype: 'template_card', config: deliverable });
+      return { errcode: 0, errmsg: 'batched' };
+    }
+
+    return wecom.sendTemplateCard(deliverable);
   }
 
-  async sendVerifierCard(task) {
-    const touser = this.buildVerifierRecipients(task);
-    if (!touser) {
-      return;
+  async deliverTextCard(config) {
+    const deliverable = await this.deferQuietRecipients('textcard', config);
+    if (!deliverable) {
+      return { errcode: 0, errmsg: 'deferred' };
     }
 
-    await wecom.sendTemplateCard({
-      touser,
-      task_id: task.wecom_schedule_id,
-      title: '✅ 任务验收请求',
-      description: `${task.executor_userid} 已提交任务，等待验收`,
-      sub_title: normalizeText(task.title),
-      details: [
-        {
-          keyname: '任务状态',
-          value: '待验收',
-        },
-      ],
-      buttons: [
-        { id: 'ACTION_PASS', text: '确认通过' },
-        { id: 'ACTION_REJECT', text: '驳回重做' },
-      ],
-    });
+    const batch = notificationBatchStorage.getStore();
+    if (batch) {
+      batch.push({ msgtype: 'textcard', config: deliverable });
+      return { errcode: 0, errmsg: 'batched' };
+    }
+
+    return wecom.sendTextCard(deliverable);
   }
 
-  async sendVerificationResultCard(task, isApproved, rejectReason = '') {
-    const message = isApproved
-      ? `🎉 任务 [${task.title}] 已通过验收。`
-      : `⚠️ 任务 [${task.title}] 被驳回：${rejectReason || '请补充后重新提交'}`;
+  // runWithQuietRecipients
+  // 是什么：免打扰分组发送执行函数。
+  // 做什么：在登记了免打扰接收人的上下文中执行回调，回调内发出的通知只送达其余接收人。
+  // 为什么：提醒、升级与验收催办各自组装卡片，只需在外层声明谁正处于免打扰即可按人拆分。
+  async runWithQuietRecipients(task, quietUserIds, callback) {
+    if (quietUserIds.length === 0) {
+      return callback();
+    }
 
-    await this.sendExecutorActionCard(
-      task,
-      isApproved ? '任务闭环通知' : '任务驳回通知',
-      message,
-      isApproved ? [] : [{ id: 'ACTION_COMPLETE', text: '再次提交' }]
-    );
+    return quietRecipientStorage.run({ taskId: task.id, quietUserIds }, callback);
   }
 
-  ensureTaskForComplete(task, userId) {
-    if (!task) {
-      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+  // deferQuietRecipients
+  // 是什么：免打扰接收人拆分函数。
+  // 做什么：从通知接收人中移出上下文登记的免打扰成员，按人写入待补发记录（附带任务当前状态与截止时间），返回只含其余接收人的通知；无人可发时返回 null。
+  // 为什么：补发时需判断通知是否已过时，记录入队时的任务状态与截止时间即可识别任务已处理或已延期的情况。
+  async deferQuietRecipients(msgtype, config) {
+    const context = quietRecipientStorage.getStore();
+    if (!context) {
+      return config;
     }
 
-    if (!canUserCompleteTask(task, userId)) {
-      throw new TaskOperationError('TASK_COMPLETE_FORBIDDEN', '仅执行人可提交待执行任务', 403);
+    const recipients = parseUserIdList(normalizeText(config.touser).split('|'));
+    const quietRecipients = recipients.filter((userid) => context.quietUserIds.includes(userid));
+    if (quietRecipients.length === 0) {
+      return config;
     }
-  }
 
-  ensureTaskForVerify(task, userId) {
-    if (!task) {
-      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+    const task = await this.getTaskById(context.taskId);
+    const { touser, ...payload } = config;
+    for (const userid of quietRecipients) {
+      await runSql(
+        `INSERT INTO deferred_notifications (task_id, userid, msgtype, payload, task_status, task_end_time)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [context.taskId, userid, msgtype, JSON.stringify(payload), task ? task.status : null, task ? task.end_time : null]
+      );
     }
 
-    if (!canUserVerifyTask(task, userId, this.getGlobalVerifiers())) {
-      throw new TaskOperationError('TASK_VERIFY_FORBIDDEN', '当前用户无验收权限或状态不正确', 403);
-    }
+    const activeRecipients = recipients.filter((userid) => !quietRecipients.includes(userid));
+    return activeRecipients.length > 0 ? { ...config, touser: activeRecipients.join('|') } : null;
   }
 
-  async submitForVerification(wecomScheduleId, executorId, source = 'wecom_card') {
-    const traceId = createTraceId();
-    const task = await this.getTaskByScheduleId(wecomScheduleId);
-    this.ensureTaskForComplete(task, executorId);
+  async getTaskById(taskId) {
+    return getSql(`${TASK_ROW_SELECT_SQL} WHERE tasks.id = ?`, [taskId]);
+  }
 
-    const updateResult = await runSql(
-      `UPDATE tasks
-       SET status = ?, completion_time = datetime('now'), completed_by_userid = ?, reject_reason = NULL, updated_at = datetime('now')
-       WHERE wecom_schedule_id = ? AND status = ?`,
-      [TASK_STATUS.WAITING_VERIFY, normalizeText(executorId), wecomScheduleId, TASK_STATUS.PENDING]
-    );
+  async getTaskByScheduleId(wecomScheduleId) {
+    return getSql(`${TASK_ROW_SELECT_SQL} WHERE tasks.wecom_schedule_id = ?`, [wecomScheduleId]);
+  }
 
-    if (updateResult.changes === 0) {
-      throw new TaskOperationError('TASK_STATUS_CONFLICT', '任务状态已变更，请刷新后重试', 409);
+  async listPendingTasks() {
+    return allSql(`${TASK_ROW_SELECT_SQL} WHERE tasks.status = ?`, [TASK_STATUS.PENDING]);
+  }
+
+  async listWaitingVerifyTasks() {
+    return allSql(`${TASK_ROW_SELECT_SQL} WHERE tasks.status = ?`, [TASK_STATUS.WAITING_VERIFY]);
+  }
+
+  // listTasksPage
+  // 是什么：任务列表分页查询入口。
+  // 做什么：按可见范围与筛选条件统计总数，按排序取一页（多取一行判断是否还有下一页），返回任务、总数与下一页游标。
+  // 为什么：列表不再一次返回全部可见任务，键集游标翻页在数据增长后仍保持稳定开销且不会重复或漏行。
+  async listTasksPage(rawQuery, userId, now = new Date()) {
+    const traceId = createTraceId();
+    const normalized = normalizeTaskListQuery(rawQuery);
+    if (normalized.error) {
+      throw new TaskOperationError(normalized.error.code, normalized.error.message, 400);
     }
 
-    const updatedTask = await this.getTaskByScheduleId(wecomScheduleId);
+    const { query } = normalized;
+    const dueSoonDeadlines = this.getDueSoonDeadlines(now);
+    const { whereSql, params } = buildTaskListWhereSql(query, userId, now, dueSoonDeadlines);
+    const { sortSql, cursorSql, cursorParams, orderSql } = buildTaskListPageSql(query);
 
-    try {
-      await this.sendVerifierCard(updatedTask);
-    } catch (error) {
-      logWithTrace(traceId, 'task-service', 'submit_for_verification.notify_error', {
-        wecomScheduleId,
-        source,
-        message: error.message,
+    const countRow = await getSql(`SELECT COUNT(*) AS total FROM tasks ${whereSql}`, params);
+    const pageWhereSql = cursorSql ? `${whereSql ? `${whereSql} AND` : 'WHERE'} ${cursorSql}` : whereSql;
+    const rows = await allSql(
+      `${buildTaskRowSelectSql([`${sortSql} AS sort_value`])} ${pageWhereSql} ${orderSql} LIMIT ?`,
+      [...params, ...cursorParams, query.limit + 1]
+    );
+
+    const pageRows = rows.slice(0, query.limit);
+    const lastRow = pageRows[pageRows.length - 1];
+    const nextCursor = rows.length > query.limit && lastRow
+      ? encodeTaskListCursor({ sort: query.sort, order: query.order, value: lastRow.sort_value, id: lastRow.id })
+      : null;
+
+    const globalVerifiers = this.getGlobalVerifiers();
+    const tasks = pageRows.map((row) => {
+      const taskRow = { ...row };
+      delete taskRow.sort_value;
+      return mapTaskRowToApi(taskRow, {
+        now,
+        currentUserId: userId,
+        globalVerifiers,
+        dueSoonDeadlines,
       });
-    }
+    });
 
-    logWithTrace(traceId, 'task-service', 'submit_for_verification.success', {
-      wecomScheduleId,
-      executorId,
-      source,
+    logWithTrace(traceId, 'task-service', 'tasks.page.success', {
+      userid: userId,
+      sort: query.sort,
+      order: query.order,
+      hasCursor: Boolean(query.cursor),
+      count: tasks.length,
+      total: Number((countRow && countRow.total) || 0),
     });
 
     return {
-      message: '任务已提交验收',
-      task: updatedTask,
+      tasks,
+      total: Number((countRow && countRow.total) || 0),
+      next_cursor: nextCursor,
     };
   }
 
-  async verifyTask(wecomScheduleId, managerId, isApproved, rejectReason = '', source = 'wecom_card') {
+  // searchTasks
+  // 是什么：任务全文检索入口。
+  // 做什么：在可见任务范围内检索标题、描述、评论与驳回理由，按相关度返回任务、得分、命中字段与高亮摘要分段。
+  // 为什么：列表关键字只做过滤不排序，检索场景需要知道“为什么命中”以及哪条最相关。
+  async searchTasks(rawQuery = {}, userId, now = new Date()) {
     const traceId = createTraceId();
-    const task = await this.getTaskByScheduleId(wecomScheduleId);
-    this.ensureTaskForVerify(task, managerId);
+    const terms = parseTaskSearchTerms(rawQuery.q);
+    if (terms.length === 0) {
+      throw new TaskOperationError('TASK_SEARCH_QUERY_REQUIRED', '检索关键词不能为空', 400);
+    }
 
-    const normalizedReason = normalizeText(rejectReason) || '领导驳回';
-    const sql = isApproved
-      ? `UPDATE tasks
-         SET status = ?, verify_time = datetime('now'), verified_by_userid = ?, reject_reason = NULL, updated_at = datetime('now')
-         WHERE wecom_schedule_id = ? AND status = ?`
-      : `UPDATE tasks
-         SET status = ?, verify_time = datetime('now'), verified_by_userid = ?, reject_reason = ?, redo_count = COALESCE(redo_count, 0) + 1, updated_at = datetime('now')
-         WHERE wecom_schedule_id = ? AND status = ?`;
+    const limitText = normalizeText(rawQuery.limit);
+    const limit = limitText ? Number(limitText) : TASK_SEARCH_LIMITS.defaultLimit;
+    if (!Number.isInteger(limit) || limit <= 0 || limit > TASK_SEARCH_LIMITS.maxLimit) {
+      throw new TaskOperationError(
+        'TASK_SEARCH_LIMIT_INVALID',
+        `返回条数需为 1-${TASK_SEARCH_LIMITS.maxLimit} 的整数`,
+        400
+      );
+    }
 
-    const params = isApproved
-      ? [TASK_STATUS.COMPLETED, normalizeText(managerId), wecomScheduleId, TASK_STATUS.WAITING_VERIFY]
-      : [TASK_STATUS.PENDING, normalizeText(managerId), normalizedReason, wecomScheduleId, TASK_STATUS.WAITING_VERIFY];
+    const searchCondition = buildTaskSearchConditionSql(terms);
+    const visibility = buildTaskVisibilitySql(userId);
+    const whereSql = [searchCondition.sql, visibility.sql].filter(Boolean).join(' AND ');
+    const whereParams = [...searchCondition.params, ...visibility.params];
 
-    const updateResult = await runSql(sql, params);
-    if (updateResult.changes === 0) {
-      throw new TaskOperationError('TASK_STATUS_CONFLICT', '任务状态已变更，请刷新后重试', 409);
+    // 含 MATCH 时用 bm25 按列加权排序并由 FTS 生成摘要；仅含短词时按命中列权重累加打分，摘要在应用层生成。
+    const selectColumns = TASK_SEARCH_FIELDS.map((field) => `task_search.${field.name} AS search_${field.name}`);
+    const selectParams = [];
+    if (searchCondition.hasMatch) {
+      selectColumns.push(
+        `-bm25(task_search, ${TASK_SEARCH_FIELDS.map((field) => field.weight.toFixed(1)).join(', ')}) AS search_score`,
+        `snippet(task_search, -1, ?, ?, '…', 24) AS search_snippet`
+      );
+      selectParams.push(TASK_SEARCH_HIGHLIGHT_MARKS.open, TASK_SEARCH_HIGHLIGHT_MARKS.close);
+    } else {
+      selectColumns.push(`(${terms
+        .flatMap(() => TASK_SEARCH_FIELDS.map((field) => (
+          `(CASE WHEN instr(lower(task_search.${field.name}), lower(?)) > 0 THEN ${field.weight} ELSE 0 END)`
+        )))
+        .join(' + ')}) AS search_score`);
+      selectParams.push(...terms.flatMap((term) => TASK_SEARCH_FIELDS.map(() => term)));
     }
 
-    const updatedTask = await this.getTaskByScheduleId(wecomScheduleId);
+    const fromSql = 'JOIN task_search ON task_search.rowid = tasks.id';
+    const countRow = await getSql(`SELECT COUNT(*) AS total FROM tasks ${fromSql} WHERE ${whereSql}`, whereParams);
+    const rows = await allSql(
+      `${buildTaskRowSelectSql(selectColumns)} ${fromSql} WHERE ${whereSql} ORDER BY search_score DESC, tasks.id DESC LIMIT ?`,
+      [...selectParams, ...whereParams, limit]
+    );
 
-    try {
-      await this.sendVerificationResultCard(updatedTask, isApproved, normalizedReason);
-    } catch (error) {
-      logWithTrace(traceId, 'task-service', 'verify_task.notify_error', {
-        wecomScheduleId,
-        managerId,
-        source,
-        message: error.message,
-      });
-    }
+    const globalVerifiers = this.getGlobalVerifiers();
+    const dueSoonDeadlines = this.getDueSoonDeadlines(now);
+    const loweredTerms = terms.map((term) => term.toLowerCase());
+    const results = rows.map((row) => {
+      const searchFields = {};
+      const taskRow = { ...row };
+      for (const field of TASK_SEARCH_FIELDS) {
+        searchFields[field.name] = row[`search_${field.name}`] || '';
+        delete taskRow[`search_${field.name}`];
+      }
+      delete taskRow.search_score;
+      delete taskRow.search_snippet;
 
-    logWithTrace(traceId, 'task-service', 'verify_task.success', {
-      wecomScheduleId,
-      managerId,
-      isApproved,
-      source,
+      return {
+        task: mapTaskRowToApi(taskRow, {
+          now,
+          currentUserId: userId,
+          globalVerifiers,
+          dueSoonDeadlines,
+        }),
+        score: Number(row.search_score || 0),
+        matched_fields: TASK_SEARCH_FIELDS.map((field) => field.name).filter((fieldName) => {
+          const loweredText = searchFields[fieldName].toLowerCase();
+          return loweredTerms.some((term) => loweredText.includes(term));
+        }),
+        snippet: searchCondition.hasMatch
+          ? parseHighlightedSnippet(row.search_snippet)
+          : buildTaskSearchSnippet(searchFields, terms),
+      };
+    });
+
+    logWithTrace(traceId, 'task-service', 'tasks.search.success', {
+      userid: userId,
+      terms,
+      hasMatch: searchCondition.hasMatch,
+      count: results.length,
     });
 
     return {
-      message: isApproved ? '任务已验收通过' : '任务已驳回并退回执行',
-      task: updatedTask,
+      query: terms.join(' '),
+      total: Number((countRow && countRow.total) || 0),
+      results,
     };
   }
 
-  async completeTaskById(taskId, executorId, source = 'web') {
-    const task = await this.getTaskById(taskId);
-    if (!task) {
-      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+  // getTeamStats
+  // 是什么：团队成员统计查询入口。
+  // 做什么：按可见范围取出全部任务，按执行人聚合完成指标与平均质量分。
+  // 为什么：任务列表已分页，成员统计不能再依赖前端手里的当前页数据。
+  async getTeamStats(userId, now = new Date()) {
+    const visibility = buildTaskVisibilitySql(userId);
+    const rows = await allSql(
+      `${TASK_ROW_SELECT_SQL} ${visibility.sql ? `WHERE ${visibility.sql}` : ''}`,
+      visibility.params
+    );
+
+    const decisionEvents = await allSql(
+      `SELECT task_events.event_type, task_events.actor_userid, task_events.payload
+       FROM task_events JOIN tasks ON tasks.id = task_events.task_id
+       WHERE task_events.event_type IN (?, ?, ?, ?)${visibility.sql ? ` AND ${visibility.sql}` : ''}`,
+      [
+        TASK_EVENT_TYPE.STAGE_PASSED,
+        TASK_EVENT_TYPE.VERIFY_PASSED,
+        TASK_EVENT_TYPE.VERIFY_REJECTED,
+        TASK_EVENT_TYPE.VERIFY_AUTO_PASSED,
+        ...visibility.params,
+      ]
+    );
+
+    return {
+      members: buildTeamStats(rows, now, this.getDueSoonDeadlines(now)),
+      verification: buildVerifierWaitStats(
+        decisionEvents.map((item) => ({ ...item, payload: parseEventPayload(item.payload) }))
+      ),
+    };
+  }
+
+  // replaceTaskExecutors
+  // 是什么：任务执行人名单覆盖函数。
+  // 做什么：按给定顺序写入执行人，移除不在名单中的执行人，已保留执行人的完成状态不变。
+  // 为什么：日程参与人变更后需同步执行人名单，但不能抹掉已确认完成的进度。
+  async replaceTaskExecutors(taskId, executorUserIds = []) {
+    const userIds = parseUserIdList(executorUserIds);
+    if (userIds.length === 0) {
+      return;
+    }
+
+    for (const [index, userId] of userIds.entries()) {
+      await runSql(
+        `INSERT INTO task_executors (task_id, executor_userid, sort_order) VALUES (?, ?, ?)
+         ON CONFLICT (task_id, executor_userid) DO UPDATE SET sort_order = excluded.sort_order`,
+        [taskId, userId, index]
+      );
     }
 
-    return this.submitForVerification(task.wecom_schedule_id, executorId, source);
+    await runSql(
+      `DELETE FROM task_executors WHERE task_id = ? AND executor_userid NOT IN (${userIds.map(() => '?').join(', ')})`,
+      [taskId, ...userIds]
+    );
   }
 
-  async verifyTaskById(taskId, managerId, isApproved, rejectReason = '', source = 'web') {
-    const task = await this.getTaskById(taskId);
-    if (!task) {
-      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+  async getTaskItem(taskId, itemId) {
+    return getSql(`SELECT * FROM task_items WHERE task_id = ? AND id = ?`, [taskId, itemId]);
+  }
+
+  async listTaskItems(taskId) {
+    return allSql(`SELECT * FROM task_items WHERE task_id = ? ORDER BY sort_order ASC, id ASC`, [taskId]);
+  }
+
+  async insertTaskItems(taskId, items = []) {
+    for (const [index, item] of items.entries()) {
+      await runSql(
+        `INSERT INTO task_items (task_id, title, is_required, sort_order, created_at, updated_at)
+         VALUES (?, ?, ?, ?, datetime('now'), datetime('now'))`,
+        [taskId, item.title, item.is_required, index + 1]
+      );
     }
+  }
+
+  // listTaskDependencies
+  // 是什么：任务依赖关系查询函数。
+  // 做什么：返回当前任务依赖的前置任务（blocked_by）与依赖当前任务的后续任务（blocking）。
+  // 为什么：详情页需要同时展示“被谁阻塞”和“阻塞了谁”，便于协调推进顺序。
+  async listTaskDependencies(taskId) {
+    const blockedBy = await allSql(
+      `${TASK_ROW_SELECT_SQL}
+       WHERE tasks.id IN (SELECT depends_on_task_id FROM task_dependencies WHERE task_id = ?)
+       ORDER BY tasks.id ASC`,
+      [taskId]
+    );
+    const blocking = await allSql(
+      `${TASK_ROW_SELECT_SQL}
+       WHERE tasks.id IN (SELECT task_id FROM task_dependencies WHERE depends_on_task_id = ?)
+       ORDER BY tasks.id ASC`,
+      [taskId]
+    );
 
-    return this.verifyTask(task.wecom_schedule_id, managerId, isApproved, rejectReason, source);
+    return {
+      blocked_by: blockedBy,
+      blocking,
+    };
   }
 
-  // createManualTask
-  // 是什么：手动任务创建函数。
-  // 做什么：将Web端输入的任务信息入库，并通知执行人开始处理。
-  // 为什么：补齐“产品页面新建任务”能力，形成从创建到验收的完整闭环。
-  async createManualTask(payload = {}, creatorUserId, source = 'web_api') {
+  // addTaskDependency
+  // 是什么：任务依赖新增函数。
+  // 做什么：校验双方任务可见后写入依赖边，写入前执行环路检测，重复添加按幂等处理。
+  // 为什么：依赖关系决定任务能否开始，成环或越权关联都会让流程卡死。
+  async addTaskDependency(taskId, dependsOnTaskId, userId) {
     const traceId = createTraceId();
-    const title = normalizeText(payload.title);
-    const description = normalizeText(payload.description);
-    const executorUserId = normalizeText(payload.executor_userid);
-    const startTime = parseIsoDate(payload.start_time) || new Date();
-    const endTime = parseIsoDate(payload.end_time);
-    const creatorId = normalizeText(creatorUserId);
+    const task = await this.getTaskById(taskId);
+    const dependsOnTask = await this.getTaskById(dependsOnTaskId);
 
-    if (!creatorId) {
-      throw new TaskOperationError('TASK_CREATOR_INVALID', '创建人不能为空', 400);
+    if (!task || !isTaskVisibleToUser(task, userId)) {
+      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
     }
 
-    if (!title) {
-      throw new TaskOperationError('TASK_TITLE_REQUIRED', '任务标题不能为空', 400);
+    if (!dependsOnTask || !isTaskVisibleToUser(dependsOnTask, userId)) {
+      throw new TaskOperationError('TASK_DEPENDENCY_NOT_FOUND', '前置任务不存在', 404);
     }
 
-    if (!executorUserId) {
-      throw new TaskOperationError('TASK_EXECUTOR_REQUIRED', '执行人不能为空', 400);
+    const edges = await allSql(`SELECT task_id, depends_on_task_id FROM task_dependencies`);
+    if (wouldCreateDependencyCycle(edges, task.id, dependsOnTask.id)) {
+      throw new TaskOperationError('TASK_DEPENDENCY_CYCLE', '依赖关系会形成循环，无法添加', 409);
     }
 
-    if (!endTime) {
-      throw new TaskOperationError('TASK_END_TIME_INVALID', '截止时间格式不正确', 400);
+    await runSql(
+      `INSERT OR IGNORE INTO task_dependencies (task_id, depends_on_task_id, created_by_userid, created_at)
+       VALUES (?, ?, ?, datetime('now'))`,
+      [task.id, dependsOnTask.id, normalizeText(userId)]
+    );
+
+    logWithTrace(traceId, 'task-service', 'task_dependency.add_success', {
+      taskId: task.id,
+      dependsOnTaskId: dependsOnTask.id,
+      userId,
+    });
+
+    return this.listTaskDependencies(task.id);
+  }
+
+  async removeTaskDependency(taskId, dependsOnTaskId, userId) {
+    const task = await this.getTaskById(taskId);
+    if (!task || !isTaskVisibleToUser(task, userId)) {
+      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
     }
 
-    if (endTime.getTime() <= startTime.getTime()) {
-      throw new TaskOperationError('TASK_TIME_RANGE_INVALID', '截止时间必须晚于开始时间', 400);
+    const deleteResult = await runSql(
+      `DELETE FROM task_dependencies WHERE task_id = ? AND depends_on_task_id = ?`,
+      [task.id, dependsOnTaskId]
+    );
+    if (deleteResult.changes === 0) {
+      throw new TaskOperationError('TASK_DEPENDENCY_NOT_FOUND', '依赖关系不存在', 404);
     }
 
-    const ownerUserId = executorUserId || creatorId;
-    const ownerCalendarId = resolveCalendarIdByUser(ownerUserId, {
-      defaultCalId: process.env.DEFAULT_CAL_ID || '',
-      userCalendarMapRaw: process.env.USER_CALENDAR_MAP || '',
-    });
+    return this.listTaskDependencies(task.id);
+  }
 
-    let scheduleId = createManualScheduleId();
+  // notifyUnblockedDependents
+  // 是什么：依赖解除通知函数。
+  // 做什么：在前置任务验收通过后，找出已无未闭环前置任务的后续任务并通知其执行人。
+  // 为什么：被阻塞的执行人无需反复查看进度，前置完成即可第一时间开始工作。
+  async notifyUnblockedDependents(task, reasonText = '已验收通过') {
+    const traceId = createTraceId();
+    const { blocking } = await this.listTaskDependencies(task.id);
+    const unblockedTasks = blocking.filter(
+      (item) => normalizeText(item.status) === TASK_STATUS.PENDING && !isTaskBlocked(item)
+    );
 
-    // buildScheduleAttendees
-    // 是什么：任务创建参与人构建逻辑。
-    // 做什么：将执行人与创建人组装为企业微信日程参与人数组并去重。
-    // 为什么：确保任务日程在个人日历可见，同时减少重复成员导致的接口风险。
-    const scheduleAttendees = Array.from(new Set([executorUserId, creatorId].filter(Boolean))).map((userid) => ({
-      userid,
-    }));
+    for (const dependentTask of unblockedTasks) {
+      try {
+        await this.sendExecutorActionCard(
+          dependentTask,
+          '🔓 任务已解除阻塞',
+          `前置任务 [${task.title}] ${reasonText}，可以开始处理：${dependentTask.title}`,
+          [{ id: 'ACTION_COMPLETE', text: '我已完成' }]
+        );
+      } catch (error) {
+        logWithTrace(traceId, 'task-service', 'task_dependency.unblock_notify_error', {
+          taskId: task.id,
+          dependentTaskId: dependentTask.id,
+          message: error.message,
+        });
+      }
+    }
+
+    return unblockedTasks;
+  }
+
+  // ensureTaskItemsEditable
+  // 是什么：检查项可编辑校验函数。
+  // 做什么：校验任务存在、当前用户为任务相关人且任务仍处于待执行状态。
+  // 为什么：提交后的检查项即验收依据，待验收期间改动会让验收人审批的清单与提交时不一致，闭环后更不允许篡改。
+  ensureTaskItemsEditable(task, userId) {
+    if (!task || !isTaskVisibleToUser(task, userId)) {
+      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+    }
+
+    if (isTaskClosed(task)) {
+      throw new TaskOperationError('TASK_ITEMS_LOCKED', '任务已关闭，检查项不可修改', 409);
+    }
+
+    if (normalizeText(task.status) !== TASK_STATUS.PENDING) {
+      throw new TaskOperationError('TASK_ITEMS_LOCKED', '任务待验收中，检查项不可修改，如需调整请先驳回', 409);
+    }
+  }
+
+  async createTaskItem(taskId, payload = {}, userId) {
+    const task = await this.getTaskById(taskId);
+    this.ensureTaskItemsEditable(task, userId);
+
+    const input = normalizeTaskItemInput(payload);
+    if (!input.title) {
+      throw new TaskOperationError('TASK_ITEM_TITLE_REQUIRED', '检查项标题不能为空', 400);
+    }
+
+    let sortOrder = input.sort_order;
+    if (sortOrder === undefined) {
+      const maxRow = await getSql(`SELECT MAX(sort_order) AS max_order FROM task_items WHERE task_id = ?`, [taskId]);
+      sortOrder = Number((maxRow && maxRow.max_order) || 0) + 1;
+    }
+
+    const isDone = input.is_done === 1 ? 1 : 0;
+    const insertResult = await runSql(
+      `INSERT INTO task_items (
+        task_id, title, is_done, is_required, assignee_userid, sort_order, done_by_userid, done_at, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, CASE WHEN ? = 1 THEN datetime('now') ELSE NULL END, datetime('now'), datetime('now'))`,
+      [
+        taskId,
+        input.title,
+        isDone,
+        input.is_required === undefined ? 1 : input.is_required,
+        input.assignee_userid || null,
+        sortOrder,
+        isDone ? normalizeText(userId) : null,
+        isDone,
+      ]
+    );
+
+    return this.getTaskItem(taskId, insertResult.lastID);
+  }
+
+  async updateTaskItem(taskId, itemId, payload = {}, userId) {
+    const task = await this.getTaskById(taskId);
+    this.ensureTaskItemsEditable(task, userId);
+
+    const item = await this.getTaskItem(taskId, itemId);
+    if (!item) {
+      throw new TaskOperationError('TASK_ITEM_NOT_FOUND', '检查项不存在', 404);
+    }
+
+    const input = normalizeTaskItemInput(payload);
+    if (input.title !== undefined && !input.title) {
+      throw new TaskOperationError('TASK_ITEM_TITLE_REQUIRED', '检查项标题不能为空', 400);
+    }
+
+    const assignments = [];
+    const params = [];
+    ['title', 'is_required', 'assignee_userid', 'sort_order'].forEach((field) => {
+      if (input[field] !== undefined) {
+        assignments.push(`${field} = ?`);
+        params.push(input[field]);
+      }
+    });
+
+    if (input.is_done !== undefined && input.is_done !== Number(item.is_done || 0)) {
+      assignments.push('is_done = ?', 'done_by_userid = ?');
+      params.push(input.is_done, input.is_done ? normalizeText(userId) : null);
+      assignments.push(input.is_done ? `done_at = datetime('now')` : 'done_at = NULL');
+    }
+
+    if (assignments.length > 0) {
+      await runSql(
+        `UPDATE task_items SET ${assignments.join(', ')}, updated_at = datetime('now') WHERE task_id = ? AND id = ?`,
+        [...params, taskId, itemId]
+      );
+    }
+
+    return this.getTaskItem(taskId, itemId);
+  }
+
+  async deleteTaskItem(taskId, itemId, userId) {
+    const task = await this.getTaskById(taskId);
+    this.ensureTaskItemsEditable(task, userId);
+
+    const deleteResult = await runSql(`DELETE FROM task_items WHERE task_id = ? AND id = ?`, [taskId, itemId]);
+    if (deleteResult.changes === 0) {
+      throw new TaskOperationError('TASK_ITEM_NOT_FOUND', '检查项不存在', 404);
+    }
+  }
+
+  // recordTaskEvent
+  // 是什么：任务事件写入函数。
+  // 做什么：将一次状态流转（操作人、来源、前后状态、驳回原因、字段差异）追加到 `task_events`。
+  // 为什么：tasks 行只保存最新状态，需独立事件表保留完整审计轨迹；写入失败仅记日志不阻断主流程。
+  async recordTaskEvent(event = {}) {
+    const taskId = event.task && event.task.id;
+    if (!taskId) {
+      return null;
+    }
+
+    try {
+      const insertResult = await runSql(
+        `INSERT INTO task_events (
+          task_id, event_type, actor_userid, source, from_status, to_status, reject_reason, payload, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
+        [
+          taskId,
+          event.eventType,
+          normalizeText(event.actorUserId) || SYSTEM_ACTOR,
+          normalizeText(event.source),
+          normalizeText(event.fromStatus) || null,
+          normalizeText(event.toStatus) || null,
+          normalizeText(event.rejectReason) || null,
+          JSON.stringify(event.payload || {}),
+        ]
+      );
+
+      return insertResult.lastID;
+    } catch (error) {
+      logWithTrace(createTraceId(), 'task-service', 'task_event.record_error', {
+        taskId,
+        eventType: event.eventType,
+        message: error.message,
+      });
+      return null;
+    }
+  }
+
+  async listTaskEvents(taskId) {
+    const rows = await allSql(`SELECT * FROM task_events WHERE task_id = ? ORDER BY id ASC`, [taskId]);
+    return rows.map((row) => ({
+      ...row,
+      payload: parseEventPayload(row.payload),
+    }));
+  }
+
+  // ensureTaskAccess
+  // 是什么：任务附属资源读写权限校验函数。
+  // 做什么：任务不存在返回 404，用户不在任务可见范围且不是全局验收人时按传入错误码返回 403。
+  // 为什么：评论、附件与任务详情同一可见口径，避免通过附属接口越权读取内容。
+  async ensureTaskAccess(taskId, userId, forbiddenCode, forbiddenMessage) {
+    const task = await this.getTaskById(taskId);
+    if (!task) {
+      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+    }
+
+    if (!isTaskVisibleToUser(task, userId) && !canUserManageTask(task, userId, this.getGlobalVerifiers())) {
+      throw new TaskOperationError(forbiddenCode, forbiddenMessage, 403);
+    }
+
+    return task;
+  }
+
+  async listTaskComments(taskId, userId) {
+    const task = await this.ensureTaskAccess(taskId, userId, 'TASK_COMMENT_FORBIDDEN', '无权查看或评论该任务');
+    const rows = await allSql(`SELECT * FROM task_comments WHERE task_id = ? ORDER BY id ASC`, [task.id]);
+    return rows.map((row) => ({
+      ...row,
+      mentioned_userids: parseUserIdList(row.mentioned_userids),
+    }));
+  }
+
+  // addTaskComment
+  // 是什么：任务评论发表函数。
+  // 做什么：写入评论并解析 @提及（只保留有权查看该任务的人），随后以企业微信文本卡片通知执行人、创建人与被提及的人（不通知评论人自己）。
+  // 为什么：任务澄清原本散落在私聊里无法追溯，集中到任务下并主动推送才能替代私聊；提及卡片带有任务标题与评论原文，不能借 @ 推给可见范围外的人。
+  async addTaskComment(taskId, payload = {}, userId, source = 'web_api') {
+    const traceId = createTraceId();
+    const task = await this.ensureTaskAccess(taskId, userId, 'TASK_COMMENT_FORBIDDEN', '无权查看或评论该任务');
+    const authorUserId = normalizeText(userId);
+    const content = normalizeText(payload.content);
+
+    if (!content) {
+      throw new TaskOperationError('TASK_COMMENT_REQUIRED', '评论内容不能为空', 400);
+    }
+
+    if (content.length > TASK_COMMENT_MAX_LENGTH) {
+      throw new TaskOperationError(
+        'TASK_COMMENT_INVALID',
+        `评论内容不能超过 ${TASK_COMMENT_MAX_LENGTH} 个字符`,
+        400
+      );
+    }
+
+    const globalVerifiers = this.getGlobalVerifiers();
+    const mentionedUserIds = parseUserIdList(
+      parseCommentMentions(content).concat(parseUserIdList(payload.mentioned_userids))
+    ).filter((item) => isTaskVisibleToUser(task, item) || canUserManageTask(task, item, globalVerifiers));
+
+    const insertResult = await runSql(
+      `INSERT INTO task_comments (task_id, author_userid, content, mentioned_userids, source, created_at)
+       VALUES (?, ?, ?, ?, ?, datetime('now'))`,
+      [task.id, authorUserId, content, mentionedUserIds.join(',') || null, normalizeText(source)]
+    );
+    const comment = await getSql(`SELECT * FROM task_comments WHERE id = ?`, [insertResult.lastID]);
+
+    const mentionRecipients = mentionedUserIds.filter((item) => item !== authorUserId);
+    const participantRecipients = parseUserIdList(
+      parseTaskExecutors(task)
+        .map((item) => item.userid)
+        .concat([task.creator_userid])
+    ).filter((item) => item !== authorUserId && !mentionRecipients.includes(item));
+
+    const notifications = [
+      { recipients: mentionRecipients, title: `📣 ${authorUserId} 在任务中提到了你` },
+      { recipients: participantRecipients, title: `💬 ${authorUserId} 评论了任务` },
+    ];
+
+    for (const notification of notifications) {
+      if (notification.recipients.length === 0) {
+        continue;
+      }
+
+      try {
+        await this.deliverTextCard({
+          touser: notification.recipients.join('|'),
+          title: notification.title,
+          description: `任务：${normalizeText(task.title)}\n${content}`,
+          url: buildTaskDetailUrl(task),
+          btntxt: '查看任务',
+        });
+      } catch (error) {
+        logWithTrace(traceId, 'task-service', 'task_comment.notify_error', {
+          taskId: task.id,
+          recipients: notification.recipients,
+          message: error.message,
+        });
+      }
+    }
+
+    logWithTrace(traceId, 'task-service', 'task_comment.create_success', {
+      taskId: task.id,
+      commentId: comment.id,
+      authorUserId,
+      mentionedUserIds,
+      source,
+    });
+
+    return {
+      ...comment,
+      mentioned_userids: mentionedUserIds,
+    };
+  }
+
+  async listTaskAttachments(taskId, userId) {
+    const task = await this.ensureTaskAccess(taskId, userId, 'TASK_ATTACHMENT_FORBIDDEN', '无权查看该任务附件');
+    return allSql(
+      `SELECT id, task_id, uploader_userid, original_name, mime_type, size_bytes, submission_round, created_at
+       FROM task_attachments WHERE task_id = ? ORDER BY id ASC`,
+      [task.id]
+    );
+  }
+
+  // uploadTaskAttachment
+  // 是什么：任务附件上传函数。
+  // 做什么：将文件写入本地存储目录并记录元数据，附件归属当前提交轮次（即驳回次数）。
+  // 为什么：验收人需要看到交付物本身；按轮次记录才能区分每次重新提交附带的凭证。
+  async uploadTaskAttachment(taskId, file = {}, userId, source = 'web_api') {
+    const traceId = createTraceId();
+    const task = await this.ensureTaskAccess(taskId, userId, 'TASK_ATTACHMENT_FORBIDDEN', '无权为该任务上传附件');
+
+    if (isTaskClosed(task)) {
+      throw new TaskOperationError('TASK_CLOSED', '任务已取消或归档，无需继续处理', 409);
+    }
+
+    const buffer = Buffer.isBuffer(file.buffer) ? file.buffer : null;
+    if (!buffer || buffer.length === 0) {
+      throw new TaskOperationError('TASK_ATTACHMENT_EMPTY', '附件内容不能为空', 400);
+    }
+
+    const maxBytes = resolveAttachmentMaxBytes();
+    if (buffer.length > maxBytes) {
+      throw new TaskOperationError(
+        'TASK_ATTACHMENT_TOO_LARGE',
+        `附件不能超过 ${Math.round(maxBytes / 1024 / 1024)}MB`,
+        413
+      );
+    }
+
+    const originalName = sanitizeAttachmentFilename(file.filename);
+    const storedFile = await saveAttachmentFile(buffer, originalName);
+    const insertResult = await runSql(
+      `INSERT INTO task_attachments (
+        task_id, uploader_userid, original_name, stored_name, mime_type, size_bytes, submission_round, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
+      [
+        task.id,
+        normalizeText(userId),
+        originalName,
+        storedFile.stored_name,
+        resolveAttachmentMimeType(originalName),
+        storedFile.size_bytes,
+        Number(task.redo_count || 0),
+      ]
+    );
+
+    logWithTrace(traceId, 'task-service', 'task_attachment.upload_success', {
+      taskId: task.id,
+      attachmentId: insertResult.lastID,
+      userId,
+      sizeBytes: storedFile.size_bytes,
+      source,
+    });
+
+    return getSql(
+      `SELECT id, task_id, uploader_userid, original_name, mime_type, size_bytes, submission_round, created_at
+       FROM task_attachments WHERE id = ?`,
+      [insertResult.lastID]
+    );
+  }
+
+  // getTaskAttachmentFile
+  // 是什么：附件下载定位函数。
+  // 做什么：校验可见性后返回附件元数据与磁盘路径，元数据或文件缺失时返回 404。
+  // 为什么：下载接口只负责传输，权限与路径解析统一在服务层完成。
+  async getTaskAttachmentFile(taskId, attachmentId, userId) {
+    const task = await this.ensureTaskAccess(taskId, userId, 'TASK_ATTACHMENT_FORBIDDEN', '无权查看该任务附件');
+    const attachment = await getSql(`SELECT * FROM task_attachments WHERE id = ? AND task_id = ?`, [
+      attachmentId,
+      task.id,
+    ]);
+    const filePath = attachment ? resolveAttachmentPath(attachment.stored_name) : '';
+    if (!filePath || !(await isAttachmentFilePresent(attachment.stored_name))) {
+      throw new TaskOperationError('TASK_ATTACHMENT_NOT_FOUND', '附件不存在', 404);
+    }
+
+    return { attachment, filePath };
+  }
+
+  // deleteTaskAttachment
+  // 是什么：附件删除函数。
+  // 做什么：允许上传人或创建人/全局验收人在待执行阶段删除附件，同时清理磁盘文件。
+  // 为什么：提交验收后附件即为凭证，不应再被改动；待执行阶段传错文件需能撤回。
+  async deleteTaskAttachment(taskId, attachmentId, userId) {
+    const task = await this.getTaskById(taskId);
+    if (!task) {
+      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+    }
+
+    const attachment = await getSql(`SELECT * FROM task_attachments WHERE id = ? AND task_id = ?`, [
+      attachmentId,
+      task.id,
+    ]);
+    if (!attachment) {
+      throw new TaskOperationError('TASK_ATTACHMENT_NOT_FOUND', '附件不存在', 404);
+    }
+
+    if (
+      normalizeText(attachment.uploader_userid) !== normalizeText(userId) &&
+      !canUserManageTask(task, userId, this.getGlobalVerifiers())
+    ) {
+      throw new TaskOperationError('TASK_ATTACHMENT_FORBIDDEN', '仅上传人、创建人或验收人可删除附件', 403);
+    }
+
+    if (task.status !== TASK_STATUS.PENDING) {
+      throw new TaskOperationError('TASK_STATUS_CONFLICT', '任务已提交验收，附件不可再删除', 409);
+    }
+
+    await runSql(`DELETE FROM task_attachments WHERE id = ?`, [attachment.id]);
+    await removeAttachmentFile(attachment.stored_name);
+
+    logWithTrace(createTraceId(), 'task-service', 'task_attachment.delete_success', {
+      taskId: task.id,
+      attachmentId: attachment.id,
+      userId,
+    });
+
+    return this.listTaskAttachments(task.id, userId);
+  }
+
+  // updateTaskEvidenceRequirement
+  // 是什么：完成凭证要求开关调整函数。
+  // 做什么：由创建人或全局验收人开启/关闭“提交前必须上传附件”，并记录时间线事件。
+  // 为什么：并非所有任务都有可上传的交付物，需按任务单独决定是否强制。
+  async updateTaskEvidenceRequirement(taskId, requireEvidence, userId) {
+    const task = await this.getTaskById(taskId);
+    if (!task) {
+      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+    }
+
+    if (!canUserManageTask(task, userId, this.getGlobalVerifiers())) {
+      throw new TaskOperationError('TASK_EVIDENCE_FORBIDDEN', '仅创建人或验收人可调整凭证要求', 403);
+    }
+
+    await runSql(`UPDATE tasks SET require_evidence = ?, updated_at = datetime('now') WHERE id = ?`, [
+      toFlagValue(requireEvidence) ? 1 : 0,
+      task.id,
+    ]);
+
+    const updatedTask = await this.getTaskById(task.id);
+    await this.recordTaskEvent({
+      task: updatedTask,
+      eventType: TASK_EVENT_TYPE.EVIDENCE_REQUIREMENT_CHANGED,
+      actorUserId: userId,
+      source: 'web_api',
+      fromStatus: task.status,
+      toStatus: updatedTask.status,
+      payload: { changes: buildTaskPayloadDiff(task, updatedTask) },
+    });
+
+    return updatedTask;
+  }
+
+  mapSubmissionReportRow(row) {
+    return {
+      ...row,
+      submission_round: Number(row.submission_round || 0),
+      actual_hours: row.actual_hours === null || row.actual_hours === undefined ? null : Number(row.actual_hours),
+      links: normalizeText(row.links).split('\n').filter(Boolean),
+    };
+  }
+
+  async listSubmissionReports(taskId, submissionRound = null) {
+    const rows = submissionRound === null
+      ? await allSql(
+        `SELECT * FROM task_submission_reports WHERE task_id = ? ORDER BY submission_round ASC, id ASC`,
+        [taskId]
+      )
+      : await allSql(
+        `SELECT * FROM task_submission_reports WHERE task_id = ? AND submission_round = ? ORDER BY id ASC`,
+        [taskId, submissionRound]
+      );
+    return rows.map((row) => this.mapSubmissionReportRow(row));
+  }
+
+  async listTaskReports(taskId, userId) {
+    const task = await this.ensureTaskAccess(taskId, userId, 'TASK_REPORT_FORBIDDEN', '无权查看该任务的交付说明');
+    return this.listSubmissionReports(task.id);
+  }
+
+  // saveSubmissionReport
+  // 是什么：交付说明写入函数。
+  // 做什么：按“任务 + 提交轮次 + 提交人”写入或更新交付说明（本次为空的字段保留已有内容），并记录交付说明事件。
+  // 为什么：驳回重做会开启新轮次，每轮各留一份说明才能对比前后两次交付；同一轮内后补的说明以最新为准，但只补工时的一句话不能清空已写好的总结。
+  async saveSubmissionReport(task, userId, report, source) {
+    const submissionRound = Number(task.redo_count || 0);
+    const submitterUserId = normalizeText(userId);
+
+    await runSql(
+      `INSERT INTO task_submission_reports (task_id, submission_round, submitter_userid, summary, actual_hours, links, source)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (task_id, submission_round, submitter_userid) DO UPDATE SET
+         summary = COALESCE(excluded.summary, summary),
+         actual_hours = COALESCE(excluded.actual_hours, actual_hours),
+         links = COALESCE(excluded.links, links),
+         source = excluded.source,
+         updated_at = datetime('now')`,
+      [
+        task.id,
+        submissionRound,
+        submitterUserId,
+        report.summary || null,
+        report.actual_hours,
+        report.links.join('\n') || null,
+        normalizeText(source),
+      ]
+    );
+
+    await this.recordTaskEvent({
+      task,
+      eventType: TASK_EVENT_TYPE.REPORT_SUBMITTED,
+      actorUserId: submitterUserId,
+      source,
+      fromStatus: task.status,
+      toStatus: task.status,
+      payload: {
+        submission_round: submissionRound,
+        actual_hours: report.actual_hours,
+        link_count: report.links.length,
+      },
+    });
+
+    const row = await getSql(
+      `SELECT * FROM task_submission_reports WHERE task_id = ? AND submission_round = ? AND submitter_userid = ?`,
+      [task.id, submissionRound, submitterUserId]
+    );
+    return this.mapSubmissionReportRow(row);
+  }
+
+  // sendReportPromptCard
+  // 是什么：交付说明补充引导卡片发送函数。
+  // 做什么：执行人在卡片上点“我已完成”后，若本轮还没有交付说明，推送文本卡片提示直接回复文字补充，并为该执行人与轮次登记一条待回复的提示。
+  // 为什么：模板卡片无法输入文字，回复消息是手机端补充总结、工时与链接成本最低的方式；只有登记过的提示才接收文本回复。
+  async sendReportPromptCard(task, userId) {
+    const reports = await this.listSubmissionReports(task.id, Number(task.redo_count || 0));
+    if (reports.some((item) => item.submitter_userid === normalizeText(userId))) {
+      return;
+    }
+
+    await this.deliverTextCard({
+      touser: normalizeText(userId),
+      title: '📝 补充交付说明（可选）',
+      description: [
+        `任务：${normalizeText(task.title)}`,
+        `${REPORT_REPLY_WINDOW_HOURS} 小时内直接回复一段文字，即可记录本轮交付说明：`,
+        '· 写明完成了什么、遗留了什么',
+        '· 写“工时: 2.5”记录实际工时',
+        '· 文中的链接会归入交付链接',
+      ].join('\n'),
+      url: buildTaskDetailUrl(task),
+      btntxt: '在网页填写',
+    });
+
+    await runSql(
+      `INSERT INTO task_report_prompts (task_id, submission_round, userid, prompted_at)
+       VALUES (?, ?, ?, datetime('now'))
+       ON CONFLICT (task_id, submission_round, userid) DO UPDATE SET
+         prompted_at = excluded.prompted_at,
+         answered_at = NULL`,
+      [task.id, Number(task.redo_count || 0), normalizeText(userId)]
+    );
+  }
+
+  // handleReportReply
+  // 是什么：企业微信文本回复的交付说明处理入口。
+  // 做什么：把执行人的文本消息解析为交付说明，归入其最近一条未回复且仍属当前轮次的补充说明提示对应的任务，关闭该提示后通知本人与（待验收时）验收人。
+  // 为什么：执行人点“我已完成”后通常只在手机上回一句话，需把这句话沉淀为结构化记录供验收参考；提示回复一次即关闭，之后的闲聊不会再改写交付说明。
+  async handleReportReply(payload = {}) {
+    const traceId = createTraceId();
+    const userId = normalizeText(payload.UserID);
+    const report = parseSubmissionReportText(payload.Content);
+
+    if (!userId || isSubmissionReportEmpty(report)) {
+      return { handled: false, reason: 'empty_message' };
+    }
+
+    const task = await getSql(
+      `${TASK_ROW_SELECT_SQL}
+       JOIN task_report_prompts AS open_prompt
+         ON open_prompt.task_id = tasks.id AND open_prompt.submission_round = COALESCE(tasks.redo_count, 0)
+       JOIN task_executors AS done_executor
+         ON done_executor.task_id = tasks.id AND done_executor.executor_userid = open_prompt.userid
+       WHERE open_prompt.userid = ?
+         AND open_prompt.answered_at IS NULL
+         AND datetime(open_prompt.prompted_at) >= datetime('now', ?)
+         AND done_executor.is_done = 1
+         AND tasks.status IN (?, ?)
+       ORDER BY datetime(open_prompt.prompted_at) DESC, tasks.id DESC
+       LIMIT 1`,
+      [userId, `-${REPORT_REPLY_WINDOW_HOURS} hours`, TASK_STATUS.PENDING, TASK_STATUS.WAITING_VERIFY]
+    );
+
+    // 先关闭提示再写入，同一提示下并发到达的多条消息只有一条会被记录。
+    const closeResult = task
+      ? await runSql(
+        `UPDATE task_report_prompts SET answered_at = datetime('now')
+         WHERE task_id = ? AND submission_round = ? AND userid = ? AND answered_at IS NULL`,
+        [task.id, Number(task.redo_count || 0), userId]
+      )
+      : { changes: 0 };
+
+    if (closeResult.changes === 0) {
+      logWithTrace(traceId, 'task-service', 'report_reply.skip', {
+        userId,
+        reason: 'no_open_prompt',
+      });
+      return { handled: false, reason: 'no_open_prompt' };
+    }
+
+    const savedReport = await this.saveSubmissionReport(task, userId, report, 'wecom_text');
+    const summaryLines = [
+      `任务：${normalizeText(task.title)}`,
+      ...(savedReport.actual_hours !== null ? [`实际工时：${savedReport.actual_hours} 小时`] : []),
+      ...(savedReport.summary ? [savedReport.summary] : []),
+    ];
+
+    await this.deliverTextCard({
+      touser: userId,
+      title: '✅ 已记录交付说明',
+      description: summaryLines.join('\n'),
+      url: buildTaskDetailUrl(task),
+      btntxt: '查看详情',
+    });
+
+    const verifierRecipients = task.status === TASK_STATUS.WAITING_VERIFY ? this.buildVerifierRecipients(task) : '';
+    if (verifierRecipients) {
+      await this.deliverTextCard({
+        touser: verifierRecipients,
+        title: `📝 ${userId} 补充了交付说明`,
+        description: summaryLines.join('\n'),
+        url: buildTaskDetailUrl(task),
+        btntxt: '去验收',
+      });
+    }
+
+    logWithTrace(traceId, 'task-service', 'report_reply.success', {
+      userId,
+      taskId: task.id,
+      submissionRound: savedReport.submission_round,
+    });
+
+    return { handled: true, task_id: task.id, report: savedReport };
+  }
+
+  // sendEvidenceRequiredCard
+  // 是什么：缺少完成凭证提示卡片发送函数。
+  // 做什么：执行人在卡片上点“我已完成”但本轮尚未上传附件时，推送带上传入口链接的文本卡片。
+  // 为什么：企业微信卡片无法直接上传文件，需引导执行人到 Web 端上传后再提交。
+  async sendEvidenceRequiredCard(task, userId) {
+    await this.deliverTextCard({
+      touser: normalizeText(userId),
+      title: '📎 请先上传完成凭证',
+      description: `任务：${normalizeText(task.title)}\n该任务要求附上交付物后才能提交验收，请在任务详情中上传附件后再点“我已完成”。`,
+      url: buildTaskDetailUrl(task),
+      btntxt: '去上传',
+    });
+  }
+
+  // buildVerifierRecipients
+  // 是什么：验收卡片接收人构建函数。
+  // 做什么：配置审批链时取当前阶段审批人，否则取创建人与全局验收人。
+  // 为什么：多级审批每一级只应打扰本级审批人，与 `canUserVerifyTask` 的权限口径一致。
+  buildVerifierRecipients(task) {
+    const reroutedVerifier = normalizeText(task.rerouted_verifier_userid);
+    if (hasApprovalStages(task)) {
+      return parseUserIdList([...parseUserIdList(task.current_stage_approvers), reroutedVerifier]).join('|');
+    }
+
+    const extraVerifiers = this.getGlobalVerifiers();
+    const recipientSet = new Set([normalizeText(task.creator_userid), ...extraVerifiers, reroutedVerifier].filter(Boolean));
+    return Array.from(recipientSet).join('|');
+  }
+
+  // sendExecutorActionCard
+  // 是什么：执行人操作卡片发送函数。
+  // 做什么：默认发给任务全部执行人，`recipients` 可指定仅发给部分执行人（如尚未完成的人）。
+  // 为什么：多执行人任务的通知需覆盖每位协同执行人，而提醒只需打扰未完成的人。
+  async sendExecutorActionCard(task, title, description, buttons = [], recipients = null) {
+    const touser = (Array.isArray(recipients) ? recipients : parseTaskExecutors(task).map((item) => item.userid))
+      .map((item) => normalizeText(item))
+      .filter(Boolean)
+      .join('|');
+    if (!touser) {
+      return;
+    }
+
+    await this.deliverTemplateCard({
+      touser,
+      task_id: task.wecom_schedule_id,
+      title,
+      description,
+      sub_title: normalizeText(task.title),
+      details: [
+        {
+          keyname: '优先级',
+          value: getPriorityReminderPolicy(task).label,
+        },
+        {
+          keyname: '截止时间',
+          value: normalizeText(task.end_time),
+        },
+      ],
+      buttons,
+    });
+  }
+
+  // buildReportCardLabel
+  // 是什么：验收卡片交付说明摘要构建函数。
+  // 做什么：合并本轮各执行人的实际工时与说明文字，生成单行摘要并截断。
+  // 为什么：模板卡片横向内容条数有限，交付说明只占一行，完整内容在 Web 详情查看。
+  buildReportCardLabel(reports) {
+    const hourValues = reports.map((item) => item.actual_hours).filter((value) => value !== null);
+    const totalHours = Math.round(hourValues.reduce((sum, value) => sum + value, 0) * 100) / 100;
+    const summaryText = reports
+      .map((item) => item.summary.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .join('；');
+    const label = [hourValues.length > 0 ? `${totalHours} 小时` : '', summaryText].filter(Boolean).join(' · ');
+
+    return label.length > REPORT_CARD_SUMMARY_MAX_LENGTH
+      ? `${label.slice(0, REPORT_CARD_SUMMARY_MAX_LENGTH)}…`
+      : label;
+  }
+
+  async sendVerifierCard(task, options = {}) {
+    const touser = options.touser || this.buildVerifierRecipients(task);
+    if (!touser) {
+      return;
+    }
+
+    const executors = parseTaskExecutors(task);
+    const doneExecutorIds = executors.filter((item) => item.is_done).map((item) => item.userid);
+    const stageCount = Number(task.approval_stage_count || 0);
+    const stageLabel = hasApprovalStages(task)
+      ? `第 ${Number(task.current_stage_index || 0) + 1}/${stageCount} 级：${normalizeText(task.current_stage_name)}`
+      : '';
+    const reports = await this.listSubmissionReports(task.id, Number(task.redo_count || 0));
+    const reportLabel = this.buildReportCardLabel(reports);
+    const jumpList = [
+      ...(Number(task.evidence_count || 0) > 0
+        ? [{ type: 1, title: '查看提交附件', url: buildTaskDetailUrl(task) }]
+        : []),
+      ...reports
+        .flatMap((item) => item.links)
+        .map((url, index) => ({ type: 1, title: `交付链接 ${index + 1}`, url })),
+    ].slice(0, 3);
+
+    await this.deliverTemplateCard({
+      touser,
+      task_id: task.wecom_schedule_id,
+      title: options.title || (stageLabel ? `✅ 任务审批请求（${stageLabel}）` : '✅ 任务验收请求'),
+      description: options.description || `${doneExecutorIds.join('、') || task.executor_userid} 已提交任务，等待验收`,
+      sub_title: normalizeText(task.title),
+      details: [
+        {
+          keyname: '任务状态',
+          value: '待验收',
+        },
+        {
+          keyname: '优先级',
+          value: getPriorityReminderPolicy(task).label,
+        },
+        ...(stageLabel
+          ? [
+              {
+                keyname: '审批阶段',
+                value: stageLabel,
+              },
+            ]
+          : []),
+        ...(executors.length > 1
+          ? [
+              {
+                keyname: '执行进度',
+                value: `${doneExecutorIds.length}/${executors.length} 人已完成`,
+              },
+            ]
+          : []),
+        ...(Number(task.item_total_count || 0) > 0
+          ? [
+              {
+                keyname: '检查项',
+                value: `${Number(task.item_done_count || 0)}/${Number(task.item_total_count || 0)} 项已完成`,
+              },
+            ]
+          : []),
+        ...(Number(task.evidence_count || 0) > 0
+          ? [
+              {
+                keyname: '提交附件',
+                value: `${Number(task.evidence_count || 0)} 个`,
+              },
+            ]
+          : []),
+        ...(reportLabel
+          ? [
+              {
+                keyname: '交付说明',
+                value: reportLabel,
+              },
+            ]
+          : []),
+      ],
+      jump_list: jumpList.length > 0 ? jumpList : undefined,
+      buttons: [{ id: 'ACTION_PASS', text: '确认通过' }, ...this.buildRejectReasonButtons()],
+    });
+  }
+
+  async sendVerificationResultCard(task, isApproved, rejectReason = '') {
+    const message = isApproved
+      ? `🎉 任务 [${task.title}] 已通过验收。`
+      : `⚠️ 任务 [${task.title}] 被驳回：${rejectReason || '请补充后重新提交'}`;
+
+    await this.sendExecutorActionCard(
+      task,
+      isApproved ? '任务闭环通知' : '任务驳回通知',
+      message,
+      isApproved ? [] : [{ id: 'ACTION_COMPLETE', text: '再次提交' }]
+    );
+  }
+
+  // sendRejectReasonPickerCard
+  // 是什么：驳回原因选择卡片发送函数。
+  // 做什么：验收人点了不带原因的“驳回”时，向其推送标准驳回原因选项，选中后才真正驳回。
+  // 为什么：兼容改版前已发出的验收卡片；不带原因直接驳回会让执行人只看到笼统的“领导驳回”。
+  async sendRejectReasonPickerCard(task, userId) {
+    this.ensureTaskForVerify(task, userId);
+
+    await this.deliverTemplateCard({
+      touser: normalizeText(userId),
+      task_id: task.wecom_schedule_id,
+      title: '↩️ 请选择驳回原因',
+      description: `选择后任务将退回执行人重做：${normalizeText(task.title)}`,
+      sub_title: normalizeText(task.title),
+      details: [],
+      buttons: this.buildRejectReasonButtons(),
+    });
+
+    return { task };
+  }
+
+  // sendQualityRatingCard
+  // 是什么：验收质量评分投票卡片发送函数。
+  // 做什么：验收人在卡片上确认通过后，推送单选投票卡片请其给本次交付打 1–5 分。
+  // 为什么：按钮卡片只能表达通过/驳回，评分需要单独的投票卡片承载；打分可选，不阻断闭环。
+  async sendQualityRatingCard(task, userId) {
+    await this.deliverTemplateCard({
+      card_type: 'vote_interaction',
+      touser: normalizeText(userId),
+      task_id: task.wecom_schedule_id,
+      title: '⭐ 为本次交付打分（可选）',
+      description: normalizeText(task.title),
+      checkbox: {
+        question_key: 'quality_score',
+        mode: 0,
+        option_list: Object.keys(QUALITY_SCORE_LABELS)
+          .sort((left, right) => Number(right) - Number(left))
+          .map((score) => ({ id: score, text: QUALITY_SCORE_LABELS[score], is_checked: false })),
+      },
+      submit_button: { text: '提交评分', key: 'ACTION_RATE' },
+    });
+  }
+
+  // rateTask
+  // 是什么：验收后补充质量评分函数。
+  // 做什么：仅允许完成验收的人对已通过的任务写入或修改评分与评语，并记录评分事件。
+  // 为什么：卡片端先点“确认通过”再在投票卡片上打分，评分需在闭环后单独落库。
+  async rateTask(wecomScheduleId, userId, rating, source = 'wecom_card') {
+    const task = await this.getTaskByScheduleId(wecomScheduleId);
+    if (!task) {
+      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+    }
+
+    if (
+      getEffectiveTaskStatus(task) !== TASK_STATUS.COMPLETED ||
+      normalizeText(task.verified_by_userid) !== normalizeText(userId)
+    ) {
+      throw new TaskOperationError('TASK_RATE_FORBIDDEN', '仅完成验收的人可对已通过的任务评分', 403);
+    }
+
+    const qualityRating = normalizeQualityRatingInput(rating);
+    if (!qualityRating || qualityRating.score === null) {
+      throw new TaskOperationError('TASK_QUALITY_RATING_INVALID', '质量评分须为 1–5 的整数', 400);
+    }
+
+    await runSql(
+      `UPDATE tasks
+       SET quality_score = ?, quality_comment = COALESCE(?, quality_comment), updated_at = datetime('now')
+       WHERE id = ?`,
+      [qualityRating.score, qualityRating.comment || null, task.id]
+    );
+
+    const updatedTask = await this.getTaskById(task.id);
+    await this.recordTaskEvent({
+      task: updatedTask,
+      eventType: TASK_EVENT_TYPE.QUALITY_RATED,
+      actorUserId: userId,
+      source,
+      fromStatus: task.status,
+      toStatus: updatedTask.status,
+      payload: {
+        quality_score: qualityRating.score,
+        quality_comment: qualityRating.comment,
+      },
+    });
+
+    return {
+      message: '已记录质量评分',
+      task: updatedTask,
+    };
+  }
+
+  ensureTaskForComplete(task, userId) {
+    if (!task) {
+      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+    }
+
+    const blockReason = getCompleteBlockReason(task, userId);
+    if (blockReason !== COMPLETE_BLOCK_REASON.NONE) {
+      const [code, message, statusCode] = COMPLETE_BLOCK_ERRORS[blockReason];
+      throw new TaskOperationError(code, message, statusCode);
+    }
+  }
+
+  ensureTaskForVerify(task, userId) {
+    if (!task) {
+      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+    }
+
+    if (!canUserVerifyTask(task, userId, this.getGlobalVerifiers())) {
+      throw new TaskOperationError('TASK_VERIFY_FORBIDDEN', '当前用户无验收权限或状态不正确', 403);
+    }
+  }
+
+  // submitForVerification
+  // 是什么：执行人提交完成函数。
+  // 做什么：记录当前执行人的完成状态，满足任务完成口径（全部/任一）后推进到待验收并通知验收人。
+  // 为什么：多执行人任务需逐人确认，未满足口径前只记录进度，不打扰验收人。
+  async submitForVerification(wecomScheduleId, executorId, source = 'wecom_card', reportInput = null) {
+    const traceId = createTraceId();
+    const report = normalizeSubmissionReportInput(reportInput);
+    if (!report) {
+      throw new TaskOperationError('TASK_REPORT_INVALID', '交付说明格式不正确，请检查工时与链接', 400);
+    }
+
+    const task = await this.getTaskByScheduleId(wecomScheduleId);
+    this.ensureTaskForComplete(task, executorId);
+
+    // 历史单执行人任务没有执行人明细行，提交前补齐，保证后续按同一口径统计。
+    await runSql(
+      `INSERT OR IGNORE INTO task_executors (task_id, executor_userid, sort_order) VALUES (?, ?, 0)`,
+      [task.id, normalizeText(task.executor_userid)]
+    );
+
+    const markResult = await runSql(
+      `UPDATE task_executors
+       SET is_done = 1, completed_at = datetime('now')
+       WHERE task_id = ? AND executor_userid = ? AND is_done = 0`,
+      [task.id, normalizeText(executorId)]
+    );
+
+    if (markResult.changes === 0) {
+      throw new TaskOperationError('TASK_STATUS_CONFLICT', '任务状态已变更，请刷新后重试', 409);
+    }
+
+    // 交付说明需先于状态推进写入，验收卡片才能带上本轮说明。
+    if (!isSubmissionReportEmpty(report)) {
+      await this.saveSubmissionReport(task, executorId, report, source);
+    }
+
+    const progressedTask = await this.getTaskByScheduleId(wecomScheduleId);
+    if (!isTaskExecutionSatisfied(progressedTask)) {
+      const executors = parseTaskExecutors(progressedTask);
+      await this.recordTaskEvent({
+        task: progressedTask,
+        eventType: TASK_EVENT_TYPE.EXECUTOR_COMPLETED,
+        actorUserId: executorId,
+        source,
+        fromStatus: task.status,
+        toStatus: progressedTask.status,
+        payload: {
+          executor_userid: normalizeText(executorId),
+          done_count: executors.filter((item) => item.is_done).length,
+          total_count: executors.length,
+        },
+      });
+
+      logWithTrace(traceId, 'task-service', 'submit_for_verification.partial', {
+        wecomScheduleId,
+        executorId,
+        source,
+      });
+
+      return {
+        message: '已记录你的完成，等待其他执行人完成',
+        task: progressedTask,
+      };
+    }
+
+    const updatedTask = await this.moveTaskToWaitingVerify(task, executorId, source);
+
+    logWithTrace(traceId, 'task-service', 'submit_for_verification.success', {
+      wecomScheduleId,
+      executorId,
+      source,
+    });
+
+    return {
+      message: '任务已提交验收',
+      task: updatedTask,
+    };
+  }
+
+  // moveTaskToWaitingVerify
+  // 是什么：任务推进到待验收的状态流转函数。
+  // 做什么：以状态条件更新任务为待验收，记录提交事件并发送验收卡片。
+  // 为什么：执行人提交与调整完成口径都可能触发推进，需共用同一流转逻辑。
+  async moveTaskToWaitingVerify(task, actorUserId, source) {
+    const traceId = createTraceId();
+    const updateResult = await runSql(
+      `UPDATE tasks
+       SET status = ?, completion_time = datetime('now'), completed_by_userid = ?, reject_reason = NULL, current_stage_index = 0,
+           verify_requested_at = datetime('now'), last_verify_reminder_at = NULL, rerouted_verifier_userid = NULL, updated_at = datetime('now')
+       WHERE id = ? AND status = ?`,
+      [TASK_STATUS.WAITING_VERIFY, normalizeText(actorUserId), task.id, TASK_STATUS.PENDING]
+    );
+
+    if (updateResult.changes === 0) {
+      // 多名执行人同时确认时，另一方已完成推进，本次确认视为成功。
+      const latestTask = await this.getTaskById(task.id);
+      if (latestTask && latestTask.status === TASK_STATUS.WAITING_VERIFY) {
+        return latestTask;
+      }
+      throw new TaskOperationError('TASK_STATUS_CONFLICT', '任务状态已变更，请刷新后重试', 409);
+    }
+
+    const updatedTask = await this.getTaskById(task.id);
+    await this.recordTaskEvent({
+      task: updatedTask,
+      eventType: TASK_EVENT_TYPE.SUBMITTED,
+      actorUserId,
+      source,
+      fromStatus: task.status,
+      toStatus: updatedTask.status,
+      payload: { changes: buildTaskPayloadDiff(task, updatedTask) },
+    });
+
+    try {
+      await this.sendVerifierCard(updatedTask);
+    } catch (error) {
+      logWithTrace(traceId, 'task-service', 'submit_for_verification.notify_error', {
+        wecomScheduleId: task.wecom_schedule_id,
+        source,
+        message: error.message,
+      });
+    }
+
+    return updatedTask;
+  }
+
+  // updateTaskCompletionMode
+  // 是什么：任务完成口径调整函数。
+  // 做什么：由创建人或验收人在待执行阶段切换“全部完成/任一完成”，切换后已满足条件则直接推进到待验收。
+  // 为什么：同步自日程的任务默认按全部完成，实际协作方式需由管理者按任务调整。
+  async updateTaskCompletionMode(taskId, completionMode, userId) {
+    const traceId = createTraceId();
+    const task = await this.getTaskById(taskId);
+    if (!task) {
+      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+    }
+
+    if (!canUserManageTask(task, userId, this.getGlobalVerifiers())) {
+      throw new TaskOperationError('TASK_COMPLETION_MODE_FORBIDDEN', '仅创建人或验收人可调整完成方式', 403);
+    }
+
+    const mode = normalizeCompletionMode(completionMode);
+    if (!mode) {
+      throw new TaskOperationError('TASK_COMPLETION_MODE_INVALID', 'completion_mode 仅支持 ALL 或 ANY', 400);
+    }
+
+    if (task.status !== TASK_STATUS.PENDING) {
+      throw new TaskOperationError('TASK_STATUS_CONFLICT', '仅待执行任务可调整完成方式', 409);
+    }
+
+    await runSql(`UPDATE tasks SET completion_mode = ?, updated_at = datetime('now') WHERE id = ?`, [mode, task.id]);
+
+    let updatedTask = await this.getTaskById(task.id);
+    await this.recordTaskEvent({
+      task: updatedTask,
+      eventType: TASK_EVENT_TYPE.COMPLETION_MODE_CHANGED,
+      actorUserId: userId,
+      source: 'web_api',
+      fromStatus: task.status,
+      toStatus: updatedTask.status,
+      payload: { changes: buildTaskPayloadDiff(task, updatedTask) },
+    });
+
+    if (isTaskExecutionSatisfied(updatedTask)) {
+      updatedTask = await this.moveTaskToWaitingVerify(updatedTask, userId, 'web_api');
+    }
+
+    logWithTrace(traceId, 'task-service', 'completion_mode.update_success', {
+      taskId: task.id,
+      userId,
+      completionMode: mode,
+      status: updatedTask.status,
+    });
+
+    return updatedTask;
+  }
+
+  // mapProjectRow
+  // 是什么：项目行输出映射函数。
+  // 做什么：将成员逗号文本还原为数组，附带当前用户是否可维护该项目。
+  // 为什么：接口与前端只处理数组形态的成员名单，权限按钮也需后端统一判断。
+  mapProjectRow(row, currentUserId = '') {
+    if (!row) {
+      return null;
+    }
+
+    return {
+      ...row,
+      member_userids: parseUserIdList(row.member_userids),
+      can_edit: canUserEditProject(row, currentUserId, this.getGlobalVerifiers()),
+    };
+  }
+
+  async getProjectById(projectId) {
+    return getSql(`${PROJECT_ROW_SELECT_SQL} WHERE projects.id = ?`, [projectId]);
+  }
+
+  // listProjects
+  // 是什么：项目列表查询函数。
+  // 做什么：返回当前用户作为负责人或成员可见的项目，全局验收人可见全部项目。
+  // 为什么：项目筛选下拉只应出现用户能看到任务的项目。
+  async listProjects(userId) {
+    const rows = await allSql(`${PROJECT_ROW_SELECT_SQL} ORDER BY projects.id ASC`);
+    const currentUserId = normalizeText(userId);
+    return rows
+      .filter((row) => !currentUserId || canUserAccessProject(row, currentUserId, this.getGlobalVerifiers()))
+      .map((row) => this.mapProjectRow(row, currentUserId));
+  }
+
+  async replaceProjectMembers(projectId, memberUserIds = []) {
+    await runSql(`DELETE FROM project_members WHERE project_id = ?`, [projectId]);
+    for (const memberUserId of memberUserIds) {
+      await runSql(`INSERT OR IGNORE INTO project_members (project_id, member_userid) VALUES (?, ?)`, [
+        projectId,
+        memberUserId,
+      ]);
+    }
+  }
+
+  // normalizeProjectName
+  // 是什么：项目名称校验函数。
+  // 做什么：校验名称非空、不超长且未被其他项目占用，返回标准化后的名称。
+  // 为什么：项目名称用于筛选与 KPI 拆分展示，重名会让用户无法区分。
+  async normalizeProjectName(value, currentProjectId = null) {
+    const name = normalizeText(value);
+    if (!name) {
+      throw new TaskOperationError('PROJECT_NAME_REQUIRED', '项目名称不能为空', 400);
+    }
+
+    if (name.length > PROJECT_NAME_MAX_LENGTH) {
+      throw new TaskOperationError('PROJECT_NAME_INVALID', `项目名称不能超过 ${PROJECT_NAME_MAX_LENGTH} 个字符`, 400);
+    }
+
+    const existing = await getSql(`SELECT id FROM projects WHERE name = ?`, [name]);
+    if (existing && existing.id !== currentProjectId) {
+      throw new TaskOperationError('PROJECT_NAME_CONFLICT', '项目名称已存在', 409);
+    }
+
+    return name;
+  }
+
+  // createProject
+  // 是什么：项目创建函数。
+  // 做什么：写入项目名称、说明、负责人（默认创建人）与成员名单。
+  // 为什么：并行推进的多个项目需要独立的归属维度，用于筛选任务与拆分 KPI。
+  async createProject(payload = {}, userId) {
+    const creatorId = normalizeText(userId);
+    if (!creatorId) {
+      throw new TaskOperationError('PROJECT_CREATOR_INVALID', '创建人不能为空', 400);
+    }
+
+    const name = await this.normalizeProjectName(payload.name);
+    const ownerUserId = normalizeText(payload.owner_userid) || creatorId;
+    const memberUserIds = parseUserIdList(payload.member_userids).filter((item) => item !== ownerUserId);
+
+    const insertResult = await runSql(
+      `INSERT INTO projects (name, description, owner_userid, created_by_userid, updated_at)
+       VALUES (?, ?, ?, ?, datetime('now'))`,
+      [name, normalizeText(payload.description), ownerUserId, creatorId]
+    );
+    await this.replaceProjectMembers(insertResult.lastID, memberUserIds);
+
+    logWithTrace(createTraceId(), 'task-service', 'project.create_success', {
+      projectId: insertResult.lastID,
+      creatorId,
+      ownerUserId,
+      memberCount: memberUserIds.length,
+    });
+
+    return this.mapProjectRow(await this.getProjectById(insertResult.lastID), creatorId);
+  }
+
+  // updateProject
+  // 是什么：项目维护函数。
+  // 做什么：由负责人或全局验收人修改名称、说明、负责人与成员，未传入的字段保持不变。
+  // 为什么：项目成员随人员变动调整，成员名单同时决定项目内任务的可见范围。
+  async updateProject(projectId, payload = {}, userId) {
+    const project = await this.getProjectById(projectId);
+    if (!project) {
+      throw new TaskOperationError('PROJECT_NOT_FOUND', '项目不存在', 404);
+    }
+
+    if (!canUserEditProject(project, userId, this.getGlobalVerifiers())) {
+      throw new TaskOperationError('PROJECT_FORBIDDEN', '仅项目负责人或验收人可修改项目', 403);
+    }
+
+    const name = payload.name === undefined ? project.name : await this.normalizeProjectName(payload.name, project.id);
+    const description = payload.description === undefined ? project.description : normalizeText(payload.description);
+    const ownerUserId =
+      payload.owner_userid === undefined ? project.owner_userid : normalizeText(payload.owner_userid);
+    if (!ownerUserId) {
+      throw new TaskOperationError('PROJECT_OWNER_INVALID', '项目负责人不能为空', 400);
+    }
+
+    await runSql(
+      `UPDATE projects SET name = ?, description = ?, owner_userid = ?, updated_at = datetime('now') WHERE id = ?`,
+      [name, description, ownerUserId, project.id]
+    );
+
+    if (payload.member_userids !== undefined) {
+      await this.replaceProjectMembers(
+        project.id,
+        parseUserIdList(payload.member_userids).filter((item) => item !== ownerUserId)
+      );
+    }
+
+    logWithTrace(createTraceId(), 'task-service', 'project.update_success', {
+      projectId: project.id,
+      userId,
+    });
+
+    return this.mapProjectRow(await this.getProjectById(project.id), userId);
+  }
+
+  // resolveTaskProjectId
+  // 是什么：任务所属项目校验函数。
+  // 做什么：空值返回 `null` 表示不归属项目；否则校验项目存在且操作人为项目负责人、成员或全局验收人。
+  // 为什么：创建任务与调整归属共用同一校验，避免把任务挂到自己看不到的项目里。
+  async resolveTaskProjectId(value, userId) {
+    if (value === undefined || value === null || normalizeText(value) === '') {
+      return null;
+    }
+
+    const projectId = Number(value);
+    const project = Number.isInteger(projectId) && projectId > 0 ? await this.getProjectById(projectId) : null;
+    if (!project) {
+      throw new TaskOperationError('TASK_PROJECT_INVALID', '所属项目不存在', 400);
+    }
+
+    if (!canUserAccessProject(project, userId, this.getGlobalVerifiers())) {
+      throw new TaskOperationError('TASK_PROJECT_FORBIDDEN', '仅项目负责人或成员可将任务归入该项目', 403);
+    }
+
+    return project.id;
+  }
+
+  // updateTaskProject
+  // 是什么：任务所属项目调整函数。
+  // 做什么：由创建人或全局验收人将任务移入、移出项目，并记录时间线事件。
+  // 为什么：日程同步的任务创建时没有项目信息，需在 Web 端补充归属。
+  async updateTaskProject(taskId, projectIdValue, userId, source = 'web_api') {
+    const task = await this.getTaskById(taskId);
+    if (!task) {
+      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+    }
+
+    if (!canUserManageTask(task, userId, this.getGlobalVerifiers())) {
+      throw new TaskOperationError('TASK_PROJECT_FORBIDDEN', '仅创建人或验收人可调整任务所属项目', 403);
+    }
+
+    const projectId = await this.resolveTaskProjectId(projectIdValue, userId);
+    await runSql(`UPDATE tasks SET project_id = ?, updated_at = datetime('now') WHERE id = ?`, [projectId, task.id]);
+
+    const updatedTask = await this.getTaskById(task.id);
+    await this.recordTaskEvent({
+      task: updatedTask,
+      eventType: TASK_EVENT_TYPE.PROJECT_CHANGED,
+      actorUserId: userId,
+      source,
+      fromStatus: task.status,
+      toStatus: updatedTask.status,
+      payload: { changes: buildTaskPayloadDiff(task, updatedTask) },
+    });
+
+    logWithTrace(createTraceId(), 'task-service', 'task_project.update_success', {
+      taskId: task.id,
+      userId,
+      projectId,
+    });
+
+    return updatedTask;
+  }
+
+  async replaceTaskLabels(taskId, labels = []) {
+    await runSql(`DELETE FROM task_labels WHERE task_id = ?`, [taskId]);
+    for (const label of labels) {
+      await runSql(`INSERT OR IGNORE INTO task_labels (task_id, label) VALUES (?, ?)`, [taskId, label]);
+    }
+  }
+
+  // updateTaskLabels
+  // 是什么：任务标签整体替换函数。
+  // 做什么：校验标签格式后覆盖任务的标签集合，标签有变化时记录时间线事件。
+  // 为什么：标签用于跨项目的自由归类，任务可见范围内的成员都可维护。
+  async updateTaskLabels(taskId, labelsInput, userId, source = 'web_api') {
+    const task = await this.getTaskById(taskId);
+    if (!task) {
+      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+    }
+
+    if (!isTaskVisibleToUser(task, userId) && !canUserManageTask(task, userId, this.getGlobalVerifiers())) {
+      throw new TaskOperationError('TASK_LABELS_FORBIDDEN', '无权修改该任务标签', 403);
+    }
+
+    const labels = normalizeTaskLabels(labelsInput);
+    if (!labels) {
+      throw new TaskOperationError('TASK_LABELS_INVALID', '标签格式不正确，最多 10 个且每个不超过 32 个字符', 400);
+    }
+
+    const previousLabels = parseTaskLabels(task);
+    await this.replaceTaskLabels(task.id, labels);
+    const updatedTask = await this.getTaskById(task.id);
+    const nextLabels = parseTaskLabels(updatedTask);
+
+    if (previousLabels.join(',') !== nextLabels.join(',')) {
+      await this.recordTaskEvent({
+        task: updatedTask,
+        eventType: TASK_EVENT_TYPE.LABELS_CHANGED,
+        actorUserId: userId,
+        source,
+        fromStatus: task.status,
+        toStatus: updatedTask.status,
+        payload: { changes: { labels: { from: previousLabels, to: nextLabels } } },
+      });
+    }
+
+    logWithTrace(createTraceId(), 'task-service', 'task_labels.update_success', {
+      taskId: task.id,
+      userId,
+      labels: nextLabels,
+    });
+
+    return updatedTask;
+  }
+
+  // mapTemplateRow
+  // 是什么：任务模板行输出映射函数。
+  // 做什么：将检查项 JSON 文本还原为数组，附带当前用户是否可维护该模板。
+  // 为什么：前端只处理数组形态的检查项，编辑按钮的权限也需后端统一判断。
+  mapTemplateRow(row, currentUserId = '') {
+    if (!row) {
+      return null;
+    }
+
+    let items = [];
+    try {
+      items = JSON.parse(row.items || '[]');
+    } catch (error) {
+      items = [];
+    }
+
+    return {
+      ...row,
+      items: Array.isArray(items) ? items : [],
+      can_edit: canUserEditTemplate(row, currentUserId, this.getGlobalVerifiers()),
+    };
+  }
+
+  async getTaskTemplateById(templateId) {
+    return getSql(`${TEMPLATE_ROW_SELECT_SQL} WHERE task_templates.id = ?`, [templateId]);
+  }
+
+  // listTaskTemplates
+  // 是什么：任务模板列表查询函数。
+  // 做什么：按名称排序返回全部模板，附带当前用户的维护权限。
+  // 为什么：例行工作模板面向整个团队共享，任何人创建任务时都可选用。
+  async listTaskTemplates(userId) {
+    const rows = await allSql(`${TEMPLATE_ROW_SELECT_SQL} ORDER BY task_templates.name ASC`);
+    return rows.map((row) => this.mapTemplateRow(row, userId));
+  }
+
+  async replaceTemplateItems(templateId, items = []) {
+    await runSql(`DELETE FROM task_template_items WHERE template_id = ?`, [templateId]);
+    for (const [index, item] of items.entries()) {
+      await runSql(
+        `INSERT INTO task_template_items (template_id, title, is_required, sort_order) VALUES (?, ?, ?, ?)`,
+        [templateId, item.title, item.is_required, index + 1]
+      );
+    }
+  }
+
+  // normalizeTemplateInput
+  // 是什么：任务模板入参校验函数。
+  // 做什么：校验名称唯一、默认时长、默认执行角色与检查项格式；修改时未传入的字段沿用原值。
+  // 为什么：创建与修改模板共用同一套规则，避免写入套用时才会报错的模板。
+  async normalizeTemplateInput(payload = {}, template = null) {
+    const pick = (key) => (payload[key] === undefined && template ? template[key] : payload[key]);
+
+    const name = normalizeText(pick('name'));
+    if (!name) {
+      throw new TaskOperationError('TASK_TEMPLATE_NAME_REQUIRED', '模板名称不能为空', 400);
+    }
+
+    if (name.length > TEMPLATE_NAME_MAX_LENGTH) {
+      throw new TaskOperationError(
+        'TASK_TEMPLATE_NAME_INVALID',
+        `模板名称不能超过 ${TEMPLATE_NAME_MAX_LENGTH} 个字符`,
+        400
+      );
+    }
+
+    const existing = await getSql(`SELECT id FROM task_templates WHERE name = ?`, [name]);
+    if (existing && (!template || existing.id !== template.id)) {
+      throw new TaskOperationError('TASK_TEMPLATE_NAME_CONFLICT', '模板名称已存在', 409);
+    }
+
+    const durationValue = pick('duration_minutes');
+    const durationMinutes =
+      durationValue === undefined || durationValue === null || normalizeText(durationValue) === ''
+        ? null
+        : Number(durationValue);
+    if (
+      durationMinutes !== null &&
+      (!Number.isInteger(durationMinutes) || durationMinutes <= 0 || durationMinutes > TASK_TEMPLATE_LIMITS.maxDurationMinutes)
+    ) {
+      throw new TaskOperationError('TASK_TEMPLATE_DURATION_INVALID', '默认时长需为 1 分钟到 90 天之间的整数分钟数', 400);
+    }
+
+    const defaultExecutorRole = normalizeTemplateExecutorRole(pick('default_executor_role'));
+    if (defaultExecutorRole === null) {
+      throw new TaskOperationError(
+        'TASK_TEMPLATE_EXECUTOR_ROLE_INVALID',
+        'default_executor_role 仅支持 CREATOR 或 PROJECT_OWNER',
+        400
+      );
+    }
+
+    const items = payload.items === undefined && template ? template.items : normalizeTaskItemsInput(payload.items);
+    if (!items) {
+      throw new TaskOperationError('TASK_TEMPLATE_ITEMS_INVALID', '检查项格式不正确，最多 50 条且标题不能为空', 400);
+    }
+
+    return {
+      name,
+      title: normalizeText(pick('title')) || name,
+      description: normalizeText(pick('description')),
+      duration_minutes: durationMinutes,
+      default_executor_userid: normalizeText(pick('default_executor_userid')) || null,
+      default_executor_role: defaultExecutorRole || null,
+      items,
+    };
+  }
+
+  // createTaskTemplate
+  // 是什么：任务模板创建函数。
+  // 做什么：写入模板的标题、说明、默认时长、默认执行人/角色与检查项。
+  // 为什么：例行工作每次都要重复填写相同内容，沉淀为模板后创建任务只需选择一次。
+  async createTaskTemplate(payload = {}, userId) {
+    const creatorId = normalizeText(userId);
+    if (!creatorId) {
+      throw new TaskOperationError('TASK_TEMPLATE_CREATOR_INVALID', '创建人不能为空', 400);
+    }
+
+    const input = await this.normalizeTemplateInput(payload);
+    const insertResult = await runSql(
+      `INSERT INTO task_templates (
+        name, title, description, duration_minutes, default_executor_userid, default_executor_role, created_by_userid, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
+      [
+        input.name,
+        input.title,
+        input.description,
+        input.duration_minutes,
+        input.default_executor_userid,
+        input.default_executor_role,
+        creatorId,
+      ]
+    );
+    await this.replaceTemplateItems(insertResult.lastID, input.items);
+
+    logWithTrace(createTraceId(), 'task-service', 'task_template.create_success', {
+      templateId: insertResult.lastID,
+      creatorId,
+      itemCount: input.items.length,
+    });
+
+    return this.mapTemplateRow(await this.getTaskTemplateById(insertResult.lastID), creatorId);
+  }
+
+  // updateTaskTemplate
+  // 是什么：任务模板维护函数。
+  // 做什么：由模板创建人或全局验收人修改模板，传入 `items` 时整体替换检查项。
+  // 为什么：例行工作的要求会调整，修改模板只影响之后套用模板创建的任务。
+  async updateTaskTemplate(templateId, payload = {}, userId) {
+    const template = this.mapTemplateRow(await this.getTaskTemplateById(templateId));
+    if (!template) {
+      throw new TaskOperationError('TASK_TEMPLATE_NOT_FOUND', '任务模板不存在', 404);
+    }
+
+    if (!canUserEditTemplate(template, userId, this.getGlobalVerifiers())) {
+      throw new TaskOperationError('TASK_TEMPLATE_FORBIDDEN', '仅模板创建人或验收人可修改模板', 403);
+    }
+
+    const input = await this.normalizeTemplateInput(payload, template);
+    await runSql(
+      `UPDATE task_templates
+       SET name = ?, title = ?, description = ?, duration_minutes = ?, default_executor_userid = ?,
+           default_executor_role = ?, updated_at = datetime('now')
+       WHERE id = ?`,
+      [
+        input.name,
+        input.title,
+        input.description,
+        input.duration_minutes,
+        input.default_executor_userid,
+        input.default_executor_role,
+        template.id,
+      ]
+    );
+    if (payload.items !== undefined) {
+      await this.replaceTemplateItems(template.id, input.items);
+    }
+
+    logWithTrace(createTraceId(), 'task-service', 'task_template.update_success', {
+      templateId: template.id,
+      userId,
+    });
+
+    return this.mapTemplateRow(await this.getTaskTemplateById(template.id), userId);
+  }
+
+  async deleteTaskTemplate(templateId, userId) {
+    const template = await this.getTaskTemplateById(templateId);
+    if (!template) {
+      throw new TaskOperationError('TASK_TEMPLATE_NOT_FOUND', '任务模板不存在', 404);
+    }
+
+    if (!canUserEditTemplate(template, userId, this.getGlobalVerifiers())) {
+      throw new TaskOperationError('TASK_TEMPLATE_FORBIDDEN', '仅模板创建人或验收人可删除模板', 403);
+    }
+
+    await runSql(`DELETE FROM task_template_items WHERE template_id = ?`, [template.id]);
+    await runSql(`DELETE FROM task_templates WHERE id = ?`, [template.id]);
+
+    logWithTrace(createTraceId(), 'task-service', 'task_template.delete_success', {
+      templateId: template.id,
+      userId,
+    });
+  }
+
+  // mapReminderPolicyRow
+  // 是什么：提醒策略行输出映射函数。
+  // 做什么：将偏移量 JSON 文本还原为分钟数组，附带 `-1d/+0` 书写形式、引用次数与当前用户的维护权限。
+  // 为什么：计算提醒时间点使用分钟数，页面展示与编辑使用书写形式，两者需同源。
+  mapReminderPolicyRow(row, currentUserId = '') {
+    if (!row) {
+      return null;
+    }
+
+    let offsets = [];
+    try {
+      offsets = JSON.parse(row.offsets || '[]');
+    } catch (error) {
+      offsets = [];
+    }
+
+    const normalizedOffsets = Array.isArray(offsets) ? offsets.map((item) => Number(item)).filter(Number.isInteger) : [];
+    return {
+      ...row,
+      offsets: normalizedOffsets,
+      offset_labels: normalizedOffsets.map((item) => formatReminderOffset(item)),
+      overdue_repeat_minutes: row.overdue_repeat_minutes === null ? null : Number(row.overdue_repeat_minutes),
+      can_edit: canUserEditReminderPolicy(row, currentUserId, this.getGlobalVerifiers()),
+    };
+  }
+
+  async getReminderPolicyById(policyId) {
+    return getSql(`SELECT * FROM reminder_policies WHERE id = ?`, [policyId]);
+  }
+
+  // loadReminderPolicyMap
+  // 是什么：提醒策略索引加载函数。
+  // 做什么：读取全部提醒策略并按 id 建立索引。
+  // 为什么：策略数量很少，整表读取后由 `resolveReminderPolicy` 按任务、项目、全局逐级选取。
+  async loadReminderPolicyMap() {
+    const rows = await allSql(`SELECT * FROM reminder_policies`);
+    return new Map(rows.map((row) => [Number(row.id), this.mapReminderPolicyRow(row)]));
+  }
+
+  async getGlobalReminderPolicyId() {
+    const row = await getSql(
+      `SELECT policy_id FROM reminder_policy_assignments WHERE scope_type = ? AND scope_id = 0`,
+      [REMINDER_POLICY_SCOPE.GLOBAL]
+    );
+    return row ? row.policy_id : null;
+  }
+
+  // loadReminderPolicyContext
+  // 是什么：提醒策略解析上下文加载函数。
+  // 做什么：一次读出策略索引与全局策略 id，作为 `resolveReminderPolicy` 的后两个参数。
+  // 为什么：定时扫描逐个任务解析提醒策略，整轮共用一份上下文，避免每个任务都重新查两次表。
+  async loadReminderPolicyContext() {
+    return {
+      policyMap: await this.loadReminderPolicyMap(),
+      globalPolicyId: await this.getGlobalReminderPolicyId(),
+    };
+  }
+
+  // listReminderPolicies
+  // 是什么：提醒策略列表查询函数。
+  // 做什么：按名称排序返回全部策略、各策略被项目与任务引用的次数，以及当前全局策略 id。
+  // 为什么：策略面向全团队共享，指定前需要看到已有策略与其影响范围。
+  async listReminderPolicies(userId) {
+    const rows = await allSql(
+      `SELECT reminder_policies.*,
+        (SELECT COUNT(*) FROM reminder_policy_assignments WHERE reminder_policy_assignments.policy_id = reminder_policies.id) AS assignment_count
+       FROM reminder_policies ORDER BY reminder_policies.name ASC`
+    );
+
+    return {
+      policies: rows.map((row) => this.mapReminderPolicyRow(row, userId)),
+      global_policy_id: await this.getGlobalReminderPolicyId(),
+    };
+  }
+
+  // normalizeReminderPolicyPayload
+  // 是什么：提醒策略入参校验函数。
+  // 做什么：修改时未传入的字段沿用原值，校验偏移量格式与名称唯一。
+  // 为什么：创建与修改共用同一套规则，避免写入计算提醒时才会出错的策略。
+  async normalizeReminderPolicyPayload(payload = {}, policy = null) {
+    const pick = (key, fallback) => (payload[key] === undefined && policy ? fallback : payload[key]);
+    const input = normalizeReminderPolicyInput({
+      name: pick('name', policy && policy.name),
+      offsets: pick('offsets', policy && policy.offsets),
+      overdue_repeat: pick('overdue_repeat', policy && policy.overdue_repeat_minutes),
+    });
+    if (!input) {
+      throw new TaskOperationError(
+        'REMINDER_POLICY_INVALID',
+        '提醒策略格式不正确：名称必填，偏移量形如 -3d/-2h/+0/+1d（最多 10 个、不超过 ±30 天），逾期重复间隔不少于 1 小时',
+        400
+      );
+    }
+
+    const existing = await getSql(`SELECT id FROM reminder_policies WHERE name = ?`, [input.name]);
+    if (existing && (!policy || existing.id !== policy.id)) {
+      throw new TaskOperationError('REMINDER_POLICY_NAME_CONFLICT', '提醒策略名称已存在', 409);
+    }
+
+    return input;
+  }
+
+  async createReminderPolicy(payload = {}, userId) {
+    const creatorId = normalizeText(userId);
+    const input = await this.normalizeReminderPolicyPayload(payload);
+    const insertResult = await runSql(
+      `INSERT INTO reminder_policies (name, offsets, overdue_repeat_minutes, created_by_userid, updated_at)
+       VALUES (?, ?, ?, ?, datetime('now'))`,
+      [input.name, JSON.stringify(input.offsets), input.overdue_repeat_minutes, creatorId]
+    );
+
+    logWithTrace(createTraceId(), 'task-service', 'reminder_policy.create_success', {
+      policyId: insertResult.lastID,
+      creatorId,
+      offsets: input.offsets,
+    });
+
+    return this.mapReminderPolicyRow(await this.getReminderPolicyById(insertResult.lastID), creatorId);
+  }
+
+  // updateReminderPolicy
+  // 是什么：提醒策略维护函数。
+  // 做什么：由策略创建人或全局验收人修改名称、偏移量与逾期重复间隔。
+  // 为什么：修改立即作用于引用该策略的全部任务；已发送的时间点有记录，不会因调整而重复发送。
+  async updateReminderPolicy(policyId, payload = {}, userId) {
+    const policy = this.mapReminderPolicyRow(await this.getReminderPolicyById(policyId));
+    if (!policy) {
+      throw new TaskOperationError('REMINDER_POLICY_NOT_FOUND', '提醒策略不存在', 404);
+    }
+
+    if (!canUserEditReminderPolicy(policy, userId, this.getGlobalVerifiers())) {
+      throw new TaskOperationError('REMINDER_POLICY_FORBIDDEN', '仅策略创建人或验收人可修改提醒策略', 403);
+    }
+
+    const input = await this.normalizeReminderPolicyPayload(payload, policy);
+    await runSql(
+      `UPDATE reminder_policies SET name = ?, offsets = ?, overdue_repeat_minutes = ?, updated_at = datetime('now') WHERE id = ?`,
+      [input.name, JSON.stringify(input.offsets), input.overdue_repeat_minutes, policy.id]
+    );
+
+    logWithTrace(createTraceId(), 'task-service', 'reminder_policy.update_success', {
+      policyId: policy.id,
+      userId,
+    });
+
+    return this.mapReminderPolicyRow(await this.getReminderPolicyById(policy.id), userId);
+  }
+
+  // deleteReminderPolicy
+  // 是什么：提醒策略删除函数。
+  // 做什么：删除策略并移除其在全局、项目、任务上的全部指定。
+  // 为什么：引用方随之回退到上一级策略或按优先级的内置策略，不会留下指向空策略的指定。
+  async deleteReminderPolicy(policyId, userId) {
+    const policy = await this.getReminderPolicyById(policyId);
+    if (!policy) {
+      throw new TaskOperationError('REMINDER_POLICY_NOT_FOUND', '提醒策略不存在', 404);
+    }
+
+    if (!canUserEditReminderPolicy(policy, userId, this.getGlobalVerifiers())) {
+      throw new TaskOperationError('REMINDER_POLICY_FORBIDDEN', '仅策略创建人或验收人可删除提醒策略', 403);
+    }
+
+    await runSql(`DELETE FROM reminder_policy_assignments WHERE policy_id = ?`, [policy.id]);
+    await runSql(`DELETE FROM reminder_policies WHERE id = ?`, [policy.id]);
+
+    logWithTrace(createTraceId(), 'task-service', 'reminder_policy.delete_success', {
+      policyId: policy.id,
+      userId,
+    });
+  }
+
+  // assignReminderPolicy
+  // 是什么：提醒策略指定函数。
+  // 做什么：将策略指定到全局、项目或任务上，`policyId` 为空时取消该范围的指定；全局仅验收人可设，项目需项目负责人，任务需创建人或验收人。
+  // 为什么：策略按“任务 > 项目 > 全局”逐级覆盖，指定权限与各范围已有的维护权限保持一致。
+  async assignReminderPolicy(scopeType, scopeId, policyId, userId) {
+    const globalVerifiers = this.getGlobalVerifiers();
+    const normalizedScopeId = scopeType === REMINDER_POLICY_SCOPE.GLOBAL ? 0 : Number(scopeId);
+
+    if (scopeType === REMINDER_POLICY_SCOPE.GLOBAL) {
+      if (!globalVerifiers.includes(normalizeText(userId))) {
+        throw new TaskOperationError('REMINDER_POLICY_FORBIDDEN', '仅全局验收人可设置全局提醒策略', 403);
+      }
+    } else if (scopeType === REMINDER_POLICY_SCOPE.PROJECT) {
+      const project = await this.getProjectById(normalizedScopeId);
+      if (!project) {
+        throw new TaskOperationError('PROJECT_NOT_FOUND', '项目不存在', 404);
+      }
+      if (!canUserEditProject(project, userId, globalVerifiers)) {
+        throw new TaskOperationError('REMINDER_POLICY_FORBIDDEN', '仅项目负责人或验收人可设置项目提醒策略', 403);
+      }
+    } else {
+      const task = await this.getTaskById(normalizedScopeId);
+      if (!task) {
+        throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+      }
+      if (!canUserManageTask(task, userId, globalVerifiers)) {
+        throw new TaskOperationError('REMINDER_POLICY_FORBIDDEN', '仅创建人或验收人可设置任务提醒策略', 403);
+      }
+    }
+
+    const hasPolicy = policyId !== undefined && policyId !== null && normalizeText(policyId) !== '';
+    if (!hasPolicy) {
+      await runSql(`DELETE FROM reminder_policy_assignments WHERE scope_type = ? AND scope_id = ?`, [
+        scopeType,
+        normalizedScopeId,
+      ]);
+    } else {
+      const policy = await this.getReminderPolicyById(Number(policyId));
+      if (!policy) {
+        throw new TaskOperationError('REMINDER_POLICY_NOT_FOUND', '提醒策略不存在', 404);
+      }
+
+      await runSql(
+        `INSERT INTO reminder_policy_assignments (scope_type, scope_id, policy_id, assigned_by_userid, updated_at)
+         VALUES (?, ?, ?, ?, datetime('now'))
+         ON CONFLICT (scope_type, scope_id) DO UPDATE SET
+           policy_id = excluded.policy_id, assigned_by_userid = excluded.assigned_by_userid, updated_at = excluded.updated_at`,
+        [scopeType, normalizedScopeId, policy.id, normalizeText(userId)]
+      );
+    }
+
+    logWithTrace(createTraceId(), 'task-service', 'reminder_policy.assign_success', {
+      scopeType,
+      scopeId: normalizedScopeId,
+      policyId: hasPolicy ? Number(policyId) : null,
+      userId,
+    });
+
+    return {
+      scope_type: scopeType,
+      scope_id: normalizedScopeId,
+      policy_id: hasPolicy ? Number(policyId) : null,
+    };
+  }
+
+  // getTaskReminderPlan
+  // 是什么：任务提醒计划查询函数。
+  // 做什么：返回任务当前生效的提醒策略（含来源层级与书写形式的偏移量）及当前截止时间下已发送的提醒记录。
+  // 为什么：执行人与管理者需知道“接下来什么时候会被提醒、按哪条策略”，排查漏提醒时也需对照发送记录。
+  async getTaskReminderPlan(taskId, userId) {
+    const task = await this.ensureTaskAccess(taskId, userId, 'TASK_NOT_FOUND', '任务不存在');
+    const policy = resolveReminderPolicy(task, await this.loadReminderPolicyMap(), await this.getGlobalReminderPolicyId());
+    const logs = await allSql(
+      `SELECT * FROM task_reminder_logs WHERE task_id = ? AND due_at = ? ORDER BY offset_minutes ASC`,
+      [task.id, task.end_time]
+    );
+
+    return {
+      policy: {
+        ...policy,
+        offset_labels: policy.offsets.map((item) => formatReminderOffset(item)),
+      },
+      logs: logs.map((row) => ({ ...row, offset: formatReminderOffset(row.offset_minutes) })),
+    };
+  }
+
+  // getUserPreferences
+  // 是什么：用户偏好查询函数。
+  // 做什么：返回用户设置的时区偏移（未设置为 `null`）、实际生效的时区偏移、每日摘要设置与当前业务日历摘要。
+  // 为什么：设置页需要同时展示“我设置了什么”和“提醒按什么时间规则送达”。
+  async getUserPreferences(userId) {
+    const normalizedUserId = normalizeText(userId);
+    const row = await getSql(`SELECT * FROM user_preferences WHERE userid = ?`, [normalizedUserId]);
+    const digestRow = await getSql(`SELECT * FROM user_digest_settings WHERE userid = ?`, [normalizedUserId]);
+    const calendar = getBusinessCalendar();
+    const timezoneOffset =
+      row && row.timezone_offset_minutes !== null ? Number(row.timezone_offset_minutes) : null;
+
+    return {
+      userid: normalizedUserId,
+      timezone_offset_minutes: timezoneOffset,
+      effective_timezone_offset_minutes: timezoneOffset === null ? calendar.utc_offset_minutes : timezoneOffset,
+      digest: this.mapDigestSettingRow(digestRow),
+      business_calendar: describeBusinessCalendar(calendar),
+    };
+  }
+
+  // mapDigestSettingRow
+  // 是什么：每日摘要设置行映射函数。
+  // 做什么：将设置行转换为接口结构，无记录时按默认值返回（开启、默认发送时间、不屏蔽单条提醒）。
+  // 为什么：摘要默认对全员开启，成员只在修改设置或收到首封摘要后才会有记录。
+  mapDigestSettingRow(row) {
+    return {
+      enabled: row ? Number(row.enabled) !== 0 : true,
+      send_time: row && row.send_time ? row.send_time : null,
+      effective_send_time: resolveDigestTime(row && row.send_time, process.env.TASK_DIGEST_TIME),
+      suppress_task_reminders: Boolean(row && Number(row.suppress_task_reminders)),
+      last_sent_date: (row && row.last_sent_date) || null,
+    };
+  }
+
+  // updateUserPreferences
+  // 是什么：用户偏好更新函数。
+  // 做什么：保存用户时区偏移（支持分钟数或 `UTC+8`、`-05:30` 写法，传空恢复为业务时区）与 `digest` 每日摘要设置（开关、发送时间、是否屏蔽单条到期提醒），未传入的字段保持不变。
+  // 为什么：异地成员的免打扰需按其本地时间判断，否则业务时区的白天正是对方的深夜。
+  async updateUserPreferences(userId, payload = {}) {
+    const normalizedUserId = normalizeText(userId);
+    if (!normalizedUserId) {
+      throw new TaskOperationError('USER_PREFERENCES_USER_INVALID', '用户不能为空', 400);
+    }
+
+    const current = await getSql(`SELECT * FROM user_preferences WHERE userid = ?`, [normalizedUserId]);
+    let timezoneOffset = current ? current.timezone_offset_minutes : null;
+    if (payload.timezone_offset_minutes !== undefined) {
+      timezoneOffset = normalizeTimezoneOffsetInput(payload.timezone_offset_minutes);
+      if (timezoneOffset === undefined) {
+        throw new TaskOperationError('USER_TIMEZONE_INVALID', '时区格式不正确，示例：480、UTC+8、-05:30', 400);
+      }
+    }
+
+    const digestPayload = payload.digest && typeof payload.digest === 'object' ? payload.digest : null;
+    const digestSetting = this.mapDigestSettingRow(
+      await getSql(`SELECT * FROM user_digest_settings WHERE userid = ?`, [normalizedUserId])
+    );
+    if (digestPayload) {
+      if (digestPayload.send_time !== undefined) {
+        digestSetting.send_time = normalizeDigestTimeInput(digestPayload.send_time);
+        if (digestSetting.send_time === undefined) {
+          throw new TaskOperationError('USER_DIGEST_TIME_INVALID', '摘要发送时间格式不正确，示例：08:30', 400);
+        }
+      }
+      if (digestPayload.enabled !== undefined) {
+        digestSetting.enabled = Boolean(digestPayload.enabled);
+      }
+      if (digestPayload.suppress_task_reminders !== undefined) {
+        digestSetting.suppress_task_reminders = Boolean(digestPayload.suppress_task_reminders);
+      }
+    }
+
+    await runSql(
+      `INSERT INTO user_preferences (userid, timezone_offset_minutes, updated_at)
+       VALUES (?, ?, datetime('now'))
+       ON CONFLICT (userid) DO UPDATE SET
+         timezone_offset_minutes = excluded.timezone_offset_minutes, updated_at = excluded.updated_at`,
+      [normalizedUserId, timezoneOffset]
+    );
+
+    if (digestPayload) {
+      await runSql(
+        `INSERT INTO user_digest_settings (userid, enabled, send_time, suppress_task_reminders, updated_at)
+         VALUES (?, ?, ?, ?, datetime('now'))
+         ON CONFLICT (userid) DO UPDATE SET
+           enabled = excluded.enabled, send_time = excluded.send_time,
+           suppress_task_reminders = excluded.suppress_task_reminders, updated_at = excluded.updated_at`,
+        [
+          normalizedUserId,
+          digestSetting.enabled ? 1 : 0,
+          digestSetting.send_time,
+          digestSetting.suppress_task_reminders ? 1 : 0,
+        ]
+      );
+    }
+
+    logWithTrace(createTraceId(), 'task-service', 'user_preferences.update_success', {
+      userId: normalizedUserId,
+      timezoneOffset,
+      digest: digestPayload ? digestSetting : undefined,
+    });
+
+    return this.getUserPreferences(normalizedUserId);
+  }
+
+  // partitionQuietRecipients
+  // 是什么：接收人免打扰分组函数。
+  // 做什么：按每位接收人的时区（未设置时取业务时区）判断当前是否处于免打扰时间，分为可立即发送的 `active` 与需顺延的 `quiet` 两组；未配置免打扰时段时全部可发。
+  // 为什么：同一条通知的接收人可能分布在不同时区，需分别发送，不能因一人处于深夜就让所有人都收不到，也不能把深夜的人一起吵醒。
+  async partitionQuietRecipients(userIds, now = new Date()) {
+    const recipients = parseUserIdList(userIds);
+    const calendar = getBusinessCalendar();
+    if (!calendar.quiet_hours || recipients.length === 0) {
+      return { active: recipients, quiet: [] };
+    }
+
+    const rows = await allSql(
+      `SELECT userid, timezone_offset_minutes FROM user_preferences
+       WHERE timezone_offset_minutes IS NOT NULL AND userid IN (${recipients.map(() => '?').join(', ')})`,
+      recipients
+    );
+    const offsetMap = new Map(rows.map((row) => [row.userid, Number(row.timezone_offset_minutes)]));
+
+    const quiet = recipients.filter((userId) =>
+      isQuietTime(now, calendar, offsetMap.has(userId) ? offsetMap.get(userId) : calendar.utc_offset_minutes)
+    );
+    return { active: recipients.filter((userId) => !quiet.includes(userId)), quiet };
+  }
+
+  // dispatchDeferredNotifications
+  // 是什么：免打扰顺延通知补发函数。
+  // 做什么：逐条检查待补发记录，接收人已离开免打扰时单独补发；任务已被删除、状态或截止时间已变化的记录视为过时直接丢弃。
+  // 为什么：部分接收人因免打扰被跳过后，需在其工作时间补上同一条通知；任务已处理或已延期时再补发只会造成误导。
+  async dispatchDeferredNotifications(now = new Date()) {
+    const traceId = createTraceId();
+    const rows = await allSql(
+      `SELECT deferred_notifications.*, tasks.status AS current_status, tasks.end_time AS current_end_time
+       FROM deferred_notifications LEFT JOIN tasks ON tasks.id = deferred_notifications.task_id
+       ORDER BY deferred_notifications.id ASC`
+    );
+    const summary = { checked_count: rows.length, sent_count: 0, expired_count: 0, deferred_count: 0, error_count: 0 };
+    if (rows.length === 0) {
+      return summary;
+    }
+
+    const { quiet } = await this.partitionQuietRecipients(rows.map((row) => row.userid), now);
+    for (const row of rows) {
+      const expired = row.current_status !== row.task_status || row.current_end_time !== row.task_end_time;
+      if (!expired && quiet.includes(row.userid)) {
+        summary.deferred_count += 1;
+        continue;
+      }
+
+      // 先删除再发送，并发扫描时同一条记录只会补发一次。
+      const claimResult = await runSql(`DELETE FROM deferred_notifications WHERE id = ?`, [row.id]);
+      if (claimResult.changes === 0) {
+        continue;
+      }
+
+      if (expired) {
+        summary.expired_count += 1;
+        continue;
+      }
+
+      try {
+        const config = { ...parseEventPayload(row.payload), touser: row.userid };
+        if (row.msgtype === 'textcard') {
+          await this.deliverTextCard(config);
+        } else {
+          await this.deliverTemplateCard(config);
+        }
+        summary.sent_count += 1;
+      } catch (error) {
+        // 发送失败时放回队列，下一轮扫描重试。
+        await runSql(
+          `INSERT INTO deferred_notifications (task_id, userid, msgtype, payload, task_status, task_end_time, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [row.task_id, row.userid, row.msgtype, row.payload, row.task_status, row.task_end_time, row.created_at]
+        ).catch(() => null);
+        summary.error_count += 1;
+        logWithTrace(traceId, 'task-service', 'deferred_notification.error', {
+          taskId: row.task_id,
+          userId: row.userid,
+          message: error.message,
+        });
+      }
+    }
+
+    logWithTrace(traceId, 'task-service', 'deferred_notification.dispatch', summary);
+    return summary;
+  }
+
+  // filterDigestSuppressedUsers
+  // 是什么：单条提醒接收人过滤函数。
+  // 做什么：剔除开启每日摘要且选择屏蔽单条到期提醒的成员，返回仍需接收单条提醒的成员。
+  // 为什么：选择“只看摘要”的成员已在早间摘要中看到全部到期与逾期任务，不应再被逐条提醒打扰。
+  async filterDigestSuppressedUsers(userIds) {
+    const recipients = parseUserIdList(userIds);
+    if (recipients.length === 0) {
+      return [];
+    }
+
+    const rows = await allSql(
+      `SELECT userid FROM user_digest_settings
+       WHERE enabled = 1 AND suppress_task_reminders = 1 AND userid IN (${recipients.map(() => '?').join(', ')})`,
+      recipients
+    );
+    const suppressed = new Set(rows.map((row) => row.userid));
+    return recipients.filter((userId) => !suppressed.has(userId));
+  }
+
+  // buildUserDigest
+  // 是什么：成员每日摘要内容生成函数。
+  // 做什么：从待执行与待验收任务中按成员口径归组（验收按 `buildVerifierRecipients` 判断），并生成 markdown 正文。
+  // 为什么：定时发送与接口预览共用同一份内容，预览所见即实际收到的消息。
+  buildUserDigest(userId, context = {}) {
+    const { pendingTasks = [], waitingTasks = [], utcOffsetMinutes, now = new Date() } = context;
+    const normalizedUserId = normalizeText(userId);
+    const sections = buildDigestSections({
+      userId: normalizedUserId,
+      pendingTasks,
+      verifyTasks: waitingTasks.filter((task) => this.buildVerifierRecipients(task).split('|').includes(normalizedUserId)),
+      now,
+      utcOffsetMinutes,
+    });
+    const dateKey = toDateKey(now, utcOffsetMinutes);
+
+    return {
+      date: dateKey,
+      sections,
+      item_count: countDigestItems(sections),
+      markdown: buildDigestMarkdown(sections, {
+        dateKey,
+        utcOffsetMinutes,
+        buildTaskUrl: buildTaskDetailUrl,
+        listUrl: buildTaskListUrl(),
+      }),
+    };
+  }
+
+  // getUserDigestPreview
+  // 是什么：每日摘要预览函数。
+  // 做什么：按成员当前时区生成此刻的摘要内容，分组只返回任务 ID、标题与截止时间。
+  // 为什么：设置页开启摘要前可先确认消息内容。
+  async getUserDigestPreview(userId, now = new Date()) {
+    const preferences = await this.getUserPreferences(userId);
+    const digest = this.buildUserDigest(preferences.userid, {
+      pendingTasks: await this.listPendingTasks(),
+      waitingTasks: await this.listWaitingVerifyTasks(),
+      utcOffsetMinutes: preferences.effective_timezone_offset_minutes,
+      now,
+    });
+
+    return {
+      ...digest,
+      sections: Object.fromEntries(
+        Object.entries(digest.sections).map(([section, items]) => [
+          section,
+          items.map((task) => ({ id: task.id, title: task.title, end_time: task.end_time, reject_reason: task.reject_reason || null })),
+        ])
+      ),
+    };
+  }
+
+  // dispatchDailyDigests
+  // 是什么：每日摘要批量发送入口。
+  // 做什么：收集所有待执行任务的未完成执行人与待验收任务的验收人，逐人判断是否到达本地发送时间，先记录当日已发送再推送 markdown 摘要；无任务时只记录不发送，免打扰期间顺延。
+  // 为什么：以“本地日期”去重保证每人每天最多一封，先占用再发送可避免并发扫描重复推送；请求未送达时恢复记录，下一轮扫描重试，被企业微信拒收时不再重试。
+  async dispatchDailyDigests(source = 'sync_cron', now = new Date()) {
+    const traceId = createTraceId();
+    const summary = { checked_count: 0, sent_count: 0, empty_count: 0, deferred_count: 0, error_count: 0 };
+    const pendingTasks = await this.listPendingTasks();
+    const waitingTasks = await this.listWaitingVerifyTasks();
+    const userIds = parseUserIdList([
+      ...pendingTasks.flatMap((task) => parseTaskExecutors(task).filter((item) => !item.is_done).map((item) => item.userid)),
+      ...waitingTasks.flatMap((task) => this.buildVerifierRecipients(task).split('|')),
+    ]);
+    if (userIds.length === 0) {
+      return summary;
+    }
+
+    const placeholders = userIds.map(() => '?').join(', ');
+    const settingRows = await allSql(`SELECT * FROM user_digest_settings WHERE userid IN (${placeholders})`, userIds);
+    const timezoneRows = await allSql(
+      `SELECT userid, timezone_offset_minutes FROM user_preferences
+       WHERE timezone_offset_minutes IS NOT NULL AND userid IN (${placeholders})`,
+      userIds
+    );
+    const settingMap = new Map(settingRows.map((row) => [row.userid, row]));
+    const timezoneMap = new Map(timezoneRows.map((row) => [row.userid, Number(row.timezone_offset_minutes)]));
+    const calendar = getBusinessCalendar();
+
+    for (const userId of userIds) {
+      const setting = this.mapDigestSettingRow(settingMap.get(userId));
+      if (!setting.enabled) {
+        continue;
+      }
+
+      const utcOffsetMinutes = timezoneMap.has(userId) ? timezoneMap.get(userId) : calendar.utc_offset_minutes;
+      const schedule = getDigestSchedule(now, {
+        sendTime: setting.effective_send_time,
+        utcOffsetMinutes,
+        lastSentDate: setting.last_sent_date,
+        calendar,
+      });
+      if (!schedule.due) {
+        continue;
+      }
+
+      summary.checked_count += 1;
+      if (isQuietTime(now, calendar, utcOffsetMinutes)) {
+        summary.deferred_count += 1;
+        continue;
+      }
+
+      // 先记录当日已发送，并发扫描时只有一方能占用成功。
+      const claimResult = await runSql(
+        `INSERT INTO user_digest_settings (userid, last_sent_date, updated_at)
+         VALUES (?, ?, datetime('now'))
+         ON CONFLICT (userid) DO UPDATE SET last_sent_date = excluded.last_sent_date
+         WHERE user_digest_settings.last_sent_date IS NULL OR user_digest_settings.last_sent_date <> excluded.last_sent_date`,
+        [userId, schedule.date_key]
+      );
+      if (claimResult.changes === 0) {
+        continue;
+      }
+
+      const digest = this.buildUserDigest(userId, { pendingTasks, waitingTasks, utcOffsetMinutes, now });
+      if (digest.item_count === 0) {
+        summary.empty_count += 1;
+        continue;
+      }
+
+      try {
+        const result = await wecom.sendMarkdown({ touser: userId, content: digest.markdown });
+        if (!result || result.errcode !== 0) {
+          // 企业微信明确拒收的消息原样重发仍会被拒，保留当日已发送记录，避免每轮扫描重复请求。
+          summary.error_count += 1;
+          logWithTrace(traceId, 'task-service', 'daily_digest.rejected', {
+            userId,
+            date: schedule.date_key,
+            source,
+            errcode: result && result.errcode,
+            errmsg: result && result.errmsg,
+          });
+          continue;
+        }
+
+        summary.sent_count += 1;
+        logWithTrace(traceId, 'task-service', 'daily_digest.sent', {
+          userId,
+          date: schedule.date_key,
+          itemCount: digest.item_count,
+          source,
+        });
+      } catch (error) {
+        // 网络异常等请求未送达的失败恢复原记录，下一轮扫描重试。
+        summary.error_count += 1;
+        await runSql(`UPDATE user_digest_settings SET last_sent_date = ? WHERE userid = ?`, [
+          setting.last_sent_date,
+          userId,
+        ]).catch(() => null);
+        logWithTrace(traceId, 'task-service', 'daily_digest.error', {
+          userId,
+          date: schedule.date_key,
+          source,
+          message: error.message,
+        });
+      }
+    }
+
+    logWithTrace(traceId, 'task-service', 'daily_digest.dispatch_success', { ...summary, source });
+    return summary;
+  }
+
+  // resolveTemplateExecutor
+  // 是什么：模板默认执行人解析函数。
+  // 做什么：优先使用模板指定的执行人；按角色指派时解析为创建人或所属项目负责人，无法解析时返回空字符串。
+  // 为什么：角色需结合本次创建的上下文（谁创建、归属哪个项目）才能落到具体的人。
+  async resolveTemplateExecutor(template, payload = {}, creatorUserId) {
+    if (template.default_executor_userid) {
+      return normalizeText(template.default_executor_userid);
+    }
+
+    if (template.default_executor_role === TASK_TEMPLATE_EXECUTOR_ROLE.CREATOR) {
+      return normalizeText(creatorUserId);
+    }
+
+    if (template.default_executor_role === TASK_TEMPLATE_EXECUTOR_ROLE.PROJECT_OWNER) {
+      const projectId = Number(payload.project_id);
+      const project = Number.isInteger(projectId) && projectId > 0 ? await this.getProjectById(projectId) : null;
+      return project ? normalizeText(project.owner_userid) : '';
+    }
+
+    return '';
+  }
+
+  // applyTaskTemplate
+  // 是什么：创建任务入参的模板套用函数。
+  // 做什么：按 `template_id` 读取模板，为未填写的标题、说明、执行人、截止时间与检查项补上模板默认值。
+  // 为什么：显式填写的字段优先于模板，套用模板后仍可针对单次任务微调。
+  async applyTaskTemplate(payload = {}, creatorUserId) {
+    if (payload.template_id === undefined || payload.template_id === null || normalizeText(payload.template_id) === '') {
+      return payload;
+    }
+
+    const templateId = Number(payload.template_id);
+    const template =
+      Number.isInteger(templateId) && templateId > 0 ? this.mapTemplateRow(await this.getTaskTemplateById(templateId)) : null;
+    if (!template) {
+      throw new TaskOperationError('TASK_TEMPLATE_INVALID', '任务模板不存在', 400);
+    }
+
+    const merged = {
+      ...payload,
+      template_id: template.id,
+      title: normalizeText(payload.title) || template.title,
+      description: normalizeText(payload.description) || template.description || '',
+      items: payload.items === undefined ? template.items : payload.items,
+    };
+
+    if (!normalizeText(payload.executor_userid) && parseUserIdList(payload.executor_userids).length === 0) {
+      merged.executor_userid = await this.resolveTemplateExecutor(template, payload, creatorUserId);
+      if (!merged.executor_userid && template.default_executor_role === TASK_TEMPLATE_EXECUTOR_ROLE.PROJECT_OWNER) {
+        throw new TaskOperationError('TASK_TEMPLATE_EXECUTOR_UNRESOLVED', '该模板由项目负责人执行，请先选择所属项目', 400);
+      }
+    }
+
+    if (!parseIsoDate(payload.end_time) && template.duration_minutes) {
+      const startTime = parseIsoDate(payload.start_time) || new Date();
+      merged.start_time = startTime.toISOString();
+      merged.end_time = new Date(startTime.getTime() + Number(template.duration_minutes) * 60 * 1000).toISOString();
+    }
+
+    return merged;
+  }
+
+  // applyManageAction
+  // 是什么：任务取消/归档/重新打开统一入口。
+  // 做什么：校验权限与状态流转后写入目标状态，记录时间线事件并通知执行人；取消时释放依赖该任务的后续任务，周期任务生成下一期。
+  // 为什么：三类动作流程一致，集中实现可保证状态守卫、事件与通知口径一致。
+  async applyManageAction(taskId, action, userId, reason = '', source = 'web_api') {
+    const traceId = createTraceId();
+    const transition = TASK_MANAGE_TRANSITIONS[action];
+    const task = await this.getTaskById(taskId);
+    if (!task || !transition) {
+      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+    }
+
+    if (!canUserManageTask(task, userId, this.getGlobalVerifiers())) {
+      throw new TaskOperationError('TASK_MANAGE_FORBIDDEN', '仅创建人或验收人可执行该操作', 403);
+    }
+
+    if (!canApplyManageAction(task, action)) {
+      throw new TaskOperationError('TASK_STATUS_CONFLICT', `当前状态不允许该操作：${task.status}`, 409);
+    }
+
+    const normalizedReason = normalizeText(reason);
+    const assignments = ['status = ?', `updated_at = datetime('now')`];
+    const params = [transition.to];
+    if (action === TASK_MANAGE_ACTION.CANCEL) {
+      assignments.push('cancel_reason = ?', `cancelled_at = datetime('now')`);
+      params.push(normalizedReason || null);
+    } else if (action === TASK_MANAGE_ACTION.ARCHIVE) {
+      assignments.push('archived_from_status = ?', `archived_at = datetime('now')`);
+      params.push(task.status);
+    } else {
+      assignments.push(
+        'archived_from_status = NULL',
+        'archived_at = NULL',
+        'cancel_reason = NULL',
+        'cancelled_at = NULL',
+        'current_stage_index = 0'
+      );
+    }
+
+    const updateResult = await runSql(
+      `UPDATE tasks SET ${assignments.join(', ')} WHERE id = ? AND status = ?`,
+      [...params, task.id, task.status]
+    );
+    if (updateResult.changes === 0) {
+      throw new TaskOperationError('TASK_STATUS_CONFLICT', '任务状态已变化，请刷新后重试', 409);
+    }
+
+    if (action === TASK_MANAGE_ACTION.REOPEN) {
+      await runSql(`UPDATE task_executors SET is_done = 0, completed_at = NULL WHERE task_id = ?`, [task.id]);
+      await runSql(
+        `UPDATE task_approval_stages SET status = ?, decided_by_userid = NULL, decided_at = NULL WHERE task_id = ?`,
+        [APPROVAL_STAGE_STATUS.PENDING, task.id]
+      );
+      await this.clearTaskReminderLog(task.id);
+    }
+
+    const updatedTask = await this.getTaskById(task.id);
+    const eventTypeByAction = {
+      [TASK_MANAGE_ACTION.CANCEL]: TASK_EVENT_TYPE.CANCELLED,
+      [TASK_MANAGE_ACTION.ARCHIVE]: TASK_EVENT_TYPE.ARCHIVED,
+      [TASK_MANAGE_ACTION.REOPEN]: TASK_EVENT_TYPE.REOPENED,
+    };
+    await this.recordTaskEvent({
+      task: updatedTask,
+      eventType: eventTypeByAction[action],
+      actorUserId: userId,
+      source,
+      fromStatus: task.status,
+      toStatus: updatedTask.status,
+      payload: {
+        reason: normalizedReason,
+        changes: buildTaskPayloadDiff(task, updatedTask),
+      },
+    });
+
+    try {
+      if (action === TASK_MANAGE_ACTION.CANCEL) {
+        await this.sendExecutorActionCard(
+          updatedTask,
+          '🚫 任务已取消',
+          `任务：${updatedTask.title}${normalizedReason ? `\n取消原因：${normalizedReason}` : ''}`
+        );
+        await this.notifyUnblockedDependents(updatedTask, '已取消');
+      } else if (action === TASK_MANAGE_ACTION.ARCHIVE) {
+        await this.sendExecutorActionCard(updatedTask, '🗄️ 任务已归档', `任务：${updatedTask.title}`);
+      } else {
+        await this.sendExecutorActionCard(
+          updatedTask,
+          '♻️ 任务已重新打开',
+          `请继续处理任务：${updatedTask.title}`,
+          [{ id: 'ACTION_COMPLETE', text: '我已完成' }]
+        );
+      }
+    } catch (error) {
+      logWithTrace(traceId, 'task-service', 'manage.notify_error', {
+        taskId: task.id,
+        action,
+        message: error.message,
+      });
+    }
+
+    if (action === TASK_MANAGE_ACTION.CANCEL) {
+      await this.continueTaskSeries(updatedTask);
+    }
+
+    logWithTrace(traceId, 'task-service', 'manage.success', {
+      taskId: task.id,
+      action,
+      userId,
+      fromStatus: task.status,
+      toStatus: updatedTask.status,
+    });
+
+    return updatedTask;
+  }
+
+  // getHandoverCandidates
+  // 是什么：卡片转交候选人解析函数。
+  // 做什么：从 `TASK_HANDOVER_CANDIDATES` 配置与任务创建人中挑出非当前执行人的成员，最多 10 人。
+  // 为什么：企微按钮卡片无法自由输入 userid，只能从预设名单中选择接手人。
+  getHandoverCandidates(task) {
+    const executorUserIds = parseTaskExecutors(task).map((item) => item.userid);
+    return parseUserIdList([
+      ...parseUserIdList(process.env.TASK_HANDOVER_CANDIDATES || ''),
+      normalizeText(task.creator_userid),
+    ])
+      .filter((userid) => !executorUserIds.includes(userid))
+      .slice(0, 10);
+  }
+
+  // sendHandoverPickerCard
+  // 是什么：转交接手人选择卡片发送函数。
+  // 做什么：向发起转交的执行人推送候选接手人按钮，按钮键携带目标 userid。
+  // 为什么：卡片端转交分两步完成，先选人再执行转交，避免误触直接转走任务。
+  async sendHandoverPickerCard(task, userId) {
+    const candidates = this.getHandoverCandidates(task);
+    if (candidates.length === 0) {
+      throw new TaskOperationError('TASK_REASSIGN_NO_CANDIDATE', '暂无可转交的成员，请在 Web 端指定接手人', 409);
+    }
+
+    await this.sendExecutorActionCard(
+      task,
+      '🔀 请选择任务接手人',
+      `选择后任务将转交给对方：${task.title}`,
+      candidates.map((userid) => ({ id: `ACTION_REASSIGN:${userid}`, text: userid })),
+      [userId]
+    );
+
+    return {
+      task,
+      candidates,
+    };
+  }
+
+  // updateLinkedSchedule
+  // 是什么：任务关联企微日程回写函数。
+  // 做什么：读取日程当前内容，按 buildPatch 生成的字段覆盖后调用日程更新接口；手动任务无日程时跳过。
+  // 为什么：日程同步以日程内容推导执行人与截止时间，任务侧变更不回写会在下次同步时被覆盖回去。
+  async updateLinkedSchedule(task, buildPatch, options = {}) {
+    const traceId = createTraceId();
+    const scheduleId = normalizeText(task.wecom_schedule_id);
+    if (!scheduleId || scheduleId.startsWith('manual_')) {
+      return { updated: false, reason: 'no_wecom_schedule' };
+    }
+
+    try {
+      const detail = await wecom.getSchedule(scheduleId);
+      if (!detail || detail.errcode !== 0 || !detail.schedule) {
+        logWithTrace(traceId, 'task-service', 'schedule_update.get_reject', {
+          taskId: task.id,
+          scheduleId,
+          errcode: detail && detail.errcode,
+        });
+        return { updated: false, reason: 'schedule_detail_invalid' };
+      }
+
+      const schedule = detail.schedule;
+      const result = await wecom.updateSchedule(
+        {
+          schedule_id: scheduleId,
+          summary: schedule.summary,
+          description: schedule.description,
+          start_time: schedule.start_time,
+          end_time: schedule.end_time,
+          attendees: schedule.attendees,
+          ...buildPatch(schedule),
+        },
+        options
+      );
+
+      if (!result || result.errcode !== 0) {
+        logWithTrace(traceId, 'task-service', 'schedule_update.reject', {
+          taskId: task.id,
+          scheduleId,
+          errcode: result && result.errcode,
+          errmsg: result && result.errmsg,
+        });
+        return { updated: false, reason: 'schedule_update_failed' };
+      }
+
+      return { updated: true };
+    } catch (error) {
+      logWithTrace(traceId, 'task-service', 'schedule_update.error', {
+        taskId: task.id,
+        scheduleId,
+        message: error.message,
+      });
+      return { updated: false, reason: 'schedule_update_exception' };
+    }
+  }
+
+  // pushPendingScheduleEndTime
+  // 是什么：待回写截止时间的企微日程推送函数。
+  // 做什么：把任务当前截止时间写入关联日程，写入成功或无日程可写时清除待回写标记。
+  // 为什么：延期通过后回写失败若不留标记，下次同步会用日程上的旧截止时间覆盖已批准的延期。
+  async pushPendingScheduleEndTime(task) {
+    const result = await this.updateLinkedSchedule(
+      task,
+      () => ({ end_time: toUnixSeconds(toDateOrNull(task.end_time)) }),
+      { skipAttendees: true }
+    );
+    if (result.updated || result.reason === 'no_wecom_schedule') {
+      await runSql(
+        `UPDATE tasks SET schedule_end_time_pending = 0 WHERE id = ? AND end_time = ?`,
+        [task.id, task.end_time]
+      );
+    }
+    return result;
+  }
+
+  // syncScheduleAttendeesAfterReassign
+  // 是什么：转交后的企微日程参与人回写函数。
+  // 做什么：把日程参与人中的原执行人替换为新执行人。
+  // 为什么：日程同步以参与人推导执行人，不回写会在下次同步时把任务改回原执行人。
+  async syncScheduleAttendeesAfterReassign(task, fromUserId, toUserId) {
+    return this.updateLinkedSchedule(task, (schedule) => {
+      const attendeeUserIds = (Array.isArray(schedule.attendees) ? schedule.attendees : [])
+        .map((item) => normalizeText(item && item.userid))
+        .map((userid) => (userid === fromUserId ? toUserId : userid));
+      return {
+        attendees: parseUserIdList([...attendeeUserIds, toUserId]).map((userid) => ({ userid })),
+      };
+    });
+  }
+
+  // reassignTask
+  // 是什么：任务转交函数。
+  // 做什么：把一名未完成的执行人替换为新执行人（原执行人为负责人时负责人与负责人日历一并移交），重置提醒状态，记录事件，通知双方并回写企微日程参与人。
+  // 为什么：执行人请假或调岗时需在不重建任务的前提下移交执行责任，检查项与时间线保持连续。
+  async reassignTask(taskId, payload = {}, actorUserId, source = 'web_api') {
+    const traceId = createTraceId();
+    const task = await this.getTaskById(taskId);
+    if (!task || !isTaskVisibleToUser(task, actorUserId)) {
+      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+    }
+
+    const actorId = normalizeText(actorUserId);
+    const executors = parseTaskExecutors(task);
+    const isActorExecutor = executors.some((item) => item.userid === actorId);
+    const fromUserId =
+      normalizeText(payload.from_userid) || (isActorExecutor ? actorId : normalizeText(task.executor_userid));
+    const toUserId = normalizeText(payload.to_userid);
+    const note = normalizeText(payload.note);
+
+    const canManage = canUserManageTask(task, actorId, this.getGlobalVerifiers());
+    if (!canManage && fromUserId !== actorId) {
+      throw new TaskOperationError('TASK_REASSIGN_FORBIDDEN', '仅创建人、验收人或执行人本人可转交任务', 403);
+    }
+
+    if (task.status !== TASK_STATUS.PENDING) {
+      throw new TaskOperationError('TASK_STATUS_CONFLICT', '仅待执行任务可转交', 409);
+    }
+
+    const fromExecutor = executors.find((item) => item.userid === fromUserId);
+    if (!fromExecutor) {
+      throw new TaskOperationError('TASK_REASSIGN_INVALID', '原执行人不在该任务执行人名单中', 400);
+    }
+
+    if (fromExecutor.is_done) {
+      throw new TaskOperationError('TASK_REASSIGN_INVALID', '该执行人已确认完成，无需转交', 409);
+    }
+
+    if (!toUserId) {
+      throw new TaskOperationError('TASK_REASSIGN_INVALID', 'to_userid 不能为空', 400);
+    }
+
+    if (executors.some((item) => item.userid === toUserId)) {
+      throw new TaskOperationError('TASK_REASSIGN_INVALID', '接手人已是该任务执行人', 409);
+    }
+
+    // 历史单执行人任务没有执行人明细行，转交前补齐，保证按同一口径替换。
+    await runSql(
+      `INSERT OR IGNORE INTO task_executors (task_id, executor_userid, sort_order) VALUES (?, ?, 0)`,
+      [task.id, normalizeText(task.executor_userid)]
+    );
+
+    const toCalendarId = resolveCalendarIdByUser(toUserId, {
+      defaultCalId: process.env.DEFAULT_CAL_ID || '',
+      userCalendarMapRaw: process.env.USER_CALENDAR_MAP || '',
+    });
+    const updateResult = await runSql(
+      `UPDATE tasks
+       SET executor_userid = CASE WHEN executor_userid = ? THEN ? ELSE executor_userid END,
+           owner_cal_id = CASE WHEN owner_userid = ? THEN ? ELSE owner_cal_id END,
+           owner_userid = CASE WHEN owner_userid = ? THEN ? ELSE owner_userid END,
+           updated_at = datetime('now')
+       WHERE id = ? AND status = ?`,
+      [fromUserId, toUserId, fromUserId, toCalendarId, fromUserId, toUserId, task.id, TASK_STATUS.PENDING]
+    );
+    if (updateResult.changes === 0) {
+      throw new TaskOperationError('TASK_STATUS_CONFLICT', '任务状态已变化，请刷新后重试', 409);
+    }
+
+    await runSql(
+      `UPDATE task_executors
+       SET executor_userid = ?, is_done = 0, completed_at = NULL
+       WHERE task_id = ? AND executor_userid = ?`,
+      [toUserId, task.id, fromUserId]
+    );
+    await this.clearTaskReminderLog(task.id);
+
+    const updatedTask = await this.getTaskById(task.id);
+    const scheduleResult = await this.syncScheduleAttendeesAfterReassign(updatedTask, fromUserId, toUserId);
+
+    await this.recordTaskEvent({
+      task: updatedTask,
+      eventType: TASK_EVENT_TYPE.REASSIGNED,
+      actorUserId: actorId,
+      source,
+      fromStatus: task.status,
+      toStatus: updatedTask.status,
+      payload: {
+        from_userid: fromUserId,
+        to_userid: toUserId,
+        note,
+        schedule_updated: scheduleResult.updated,
+        changes: buildTaskPayloadDiff(task, updatedTask),
+      },
+    });
+
+    const noteText = note ? `\n交接说明：${note}` : '';
+    try {
+      await this.sendExecutorActionCard(
+        updatedTask,
+        '📨 任务已转交给你',
+        `${fromUserId} 将任务转交给你：${updatedTask.title}${noteText}`,
+        [{ id: 'ACTION_COMPLETE', text: '我已完成' }],
+        [toUserId]
+      );
+      await this.sendExecutorActionCard(
+        updatedTask,
+        '✅ 任务已转交',
+        `任务已转交给 ${toUserId}：${updatedTask.title}${noteText}`,
+        [],
+        [fromUserId]
+      );
+    } catch (error) {
+      logWithTrace(traceId, 'task-service', 'reassign.notify_error', {
+        taskId: task.id,
+        message: error.message,
+      });
+    }
+
+    logWithTrace(traceId, 'task-service', 'reassign.success', {
+      taskId: task.id,
+      actorUserId: actorId,
+      fromUserId,
+      toUserId,
+      scheduleUpdated: scheduleResult.updated,
+    });
+
+    return updatedTask;
+  }
+
+  // listTaskExtensionRequests
+  // 是什么：任务延期申请查询函数。
+  // 做什么：按申请先后返回任务的全部延期申请及审批结果。
+  // 为什么：详情页需展示每次延期的原因与审批人，便于复盘截止时间的变化。
+  async listTaskExtensionRequests(taskId) {
+    return allSql(`SELECT * FROM task_extension_requests WHERE task_id = ? ORDER BY id ASC`, [taskId]);
+  }
+
+  // buildExtensionApprovers
+  // 是什么：延期审批人解析函数。
+  // 做什么：返回任务创建人与全局验收人去重后的名单。
+  // 为什么：延期改变的是对执行人的考核口径，应由任务管理者而非审批链中的业务审批人决定。
+  buildExtensionApprovers(task) {
+    return parseUserIdList([normalizeText(task.creator_userid), ...this.getGlobalVerifiers()]);
+  }
+
+  // requestTaskExtension
+  // 是什么：延期申请提交函数。
+  // 做什么：校验执行人身份与新截止时间后写入待审批申请，记录事件并向创建人/验收人推送审批卡片。
+  // 为什么：无法按期完成时需要有留痕的延期通道，而不是让任务直接逾期。
+  async requestTaskExtension(taskId, payload = {}, userId, source = 'web_api') {
+    const traceId = createTraceId();
+    const task = await this.getTaskById(taskId);
+    if (!task || !isTaskVisibleToUser(task, userId)) {
+      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+    }
+
+    const requesterId = normalizeText(userId);
+    if (!parseTaskExecutors(task).some((item) => item.userid === requesterId && !item.is_done)) {
+      throw new TaskOperationError('TASK_EXTENSION_FORBIDDEN', '仅未完成的执行人可申请延期', 403);
+    }
+
+    if (task.status !== TASK_STATUS.PENDING) {
+      throw new TaskOperationError('TASK_STATUS_CONFLICT', '仅待执行任务可申请延期', 409);
+    }
+
+    const proposedEndTime = parseIsoDate(payload.proposed_end_time);
+    if (!proposedEndTime) {
+      throw new TaskOperationError('TASK_EXTENSION_INVALID', '延期截止时间格式不正确', 400);
+    }
+
+    const currentEndTime = toDateOrNull(task.end_time);
+    if (currentEndTime && proposedEndTime.getTime() <= currentEndTime.getTime()) {
+      throw new TaskOperationError('TASK_EXTENSION_INVALID', '新截止时间必须晚于当前截止时间', 400);
+    }
+
+    const reason = normalizeText(payload.reason);
+    if (!reason) {
+      throw new TaskOperationError('TASK_EXTENSION_INVALID', '请填写延期原因', 400);
+    }
+
+    const pendingRequest = await getSql(
+      `SELECT id FROM task_extension_requests WHERE task_id = ? AND status = ?`,
+      [task.id, EXTENSION_REQUEST_STATUS.PENDING]
+    );
+    if (pendingRequest) {
+      throw new TaskOperationError('TASK_EXTENSION_PENDING', '已有待审批的延期申请', 409);
+    }
+
+    const insertResult = await runSql(
+      `INSERT INTO task_extension_requests (
+        task_id, requester_userid, previous_end_time, proposed_end_time, reason, status, created_at
+      ) VALUES (?, ?, ?, datetime(?), ?, ?, datetime('now'))`,
+      [task.id, requesterId, task.end_time, proposedEndTime.toISOString(), reason, EXTENSION_REQUEST_STATUS.PENDING]
+    );
+    const extensionRequest = await getSql(`SELECT * FROM task_extension_requests WHERE id = ?`, [
+      insertResult.lastID,
+    ]);
+
+    await this.recordTaskEvent({
+      task,
+      eventType: TASK_EVENT_TYPE.EXTENSION_REQUESTED,
+      actorUserId: requesterId,
+      source,
+      fromStatus: task.status,
+      toStatus: task.status,
+      payload: {
+        extension_request_id: extensionRequest.id,
+        previous_end_time: extensionRequest.previous_end_time,
+        proposed_end_time: extensionRequest.proposed_end_time,
+        reason,
+      },
+    });
+
+    try {
+      await this.sendExecutorActionCard(
+        task,
+        '⏳ 延期申请待审批',
+        `${requesterId} 申请将截止时间延至 ${extensionRequest.proposed_end_time}\n原因：${reason}`,
+        [
+          { id: `ACTION_EXTEND_APPROVE:${extensionRequest.id}`, text: '同意延期' },
+          { id: `ACTION_EXTEND_DENY:${extensionRequest.id}`, text: '驳回延期' },
+        ],
+        this.buildExtensionApprovers(task)
+      );
+    } catch (error) {
+      logWithTrace(traceId, 'task-service', 'extension.request_notify_error', {
+        taskId: task.id,
+        message: error.message,
+      });
+    }
+
+    logWithTrace(traceId, 'task-service', 'extension.request_success', {
+      taskId: task.id,
+      extensionRequestId: extensionRequest.id,
+      requesterId,
+      proposedEndTime: extensionRequest.proposed_end_time,
+    });
+
+    return {
+      task: await this.getTaskById(task.id),
+      extension_request: extensionRequest,
+    };
+  }
+
+  // sendExtensionPickerCard
+  // 是什么：卡片延期时长选择函数。
+  // 做什么：向执行人推送常用延期时长按钮，按钮键携带延期小时数。
+  // 为什么：企微按钮卡片无法输入日期，卡片端以预设时长发起申请，精确时间可在 Web 端填写。
+  async sendExtensionPickerCard(task, userId) {
+    if (!parseTaskExecutors(task).some((item) => item.userid === normalizeText(userId) && !item.is_done)) {
+      throw new TaskOperationError('TASK_EXTENSION_FORBIDDEN', '仅未完成的执行人可申请延期', 403);
+    }
+
+    await this.sendExecutorActionCard(
+      task,
+      '⏳ 申请延期',
+      `请选择需要延长的时间：${task.title}`,
+      [
+        { id: 'ACTION_EXTEND:24', text: '延期 1 天' },
+        { id: 'ACTION_EXTEND:72', text: '延期 3 天' },
+        { id: 'ACTION_EXTEND:168', text: '延期 1 周' },
+      ],
+      [userId]
+    );
+
+    return { task };
+  }
+
+  // decideTaskExtension
+  // 是什么：延期申请审批函数。
+  // 做什么：通过时保留原始截止时间并写入新截止时间、重置提醒状态、回写企微日程（失败则留待同步时重试）；驳回时仅记录结论；两种结果都通知申请人。
+  // 为什么：按时率需同时按原始与延期后截止时间统计，审批结论需留痕且可追溯。
+  async decideTaskExtension(taskId, extensionRequestId, isApproved, userId, note = '', source = 'web_api') {
+    const traceId = createTraceId();
+    const task = await this.getTaskById(taskId);
+    if (!task) {
+      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+    }
+
+    const extensionRequest = await getSql(
+      `SELECT * FROM task_extension_requests WHERE id = ? AND task_id = ?`,
+      [extensionRequestId, task.id]
+    );
+    if (!extensionRequest) {
+      throw new TaskOperationError('TASK_EXTENSION_NOT_FOUND', '延期申请不存在', 404);
+    }
+
+    if (!canUserManageTask(task, userId, this.getGlobalVerifiers())) {
+      throw new TaskOperationError('TASK_EXTENSION_FORBIDDEN', '仅创建人或验收人可审批延期', 403);
+    }
+
+    if (extensionRequest.status !== EXTENSION_REQUEST_STATUS.PENDING) {
+      throw new TaskOperationError('TASK_EXTENSION_DECIDED', '该延期申请已处理', 409);
+    }
+
+    if (isApproved && task.status !== TASK_STATUS.PENDING) {
+      throw new TaskOperationError('TASK_STATUS_CONFLICT', '任务已不在待执行状态，无法延期', 409);
+    }
+
+    const normalizedNote = normalizeText(note);
+    const decideResult = await runSql(
+      `UPDATE task_extension_requests
+       SET status = ?, decided_by_userid = ?, decision_note = ?, decided_at = datetime('now')
+       WHERE id = ? AND status = ?`,
+      [
+        isApproved ? EXTENSION_REQUEST_STATUS.APPROVED : EXTENSION_REQUEST_STATUS.DENIED,
+        normalizeText(userId),
+        normalizedNote || null,
+        extensionRequest.id,
+        EXTENSION_REQUEST_STATUS.PENDING,
+      ]
+    );
+    if (decideResult.changes === 0) {
+      throw new TaskOperationError('TASK_EXTENSION_DECIDED', '该延期申请已处理', 409);
+    }
+
+    let scheduleResult = { updated: false, reason: 'not_approved' };
+    if (isApproved) {
+      await runSql(
+        `UPDATE tasks
+         SET original_end_time = COALESCE(original_end_time, end_time),
+             end_time = ?,
+             extension_count = COALESCE(extension_count, 0) + 1,
+             schedule_end_time_pending = 1,
+             updated_at = datetime('now')
+         WHERE id = ?`,
+        [extensionRequest.proposed_end_time, task.id]
+      );
+      scheduleResult = await this.pushPendingScheduleEndTime(await this.getTaskById(task.id));
+    }
+
+    const updatedTask = await this.getTaskById(task.id);
+
+    await this.recordTaskEvent({
+      task: updatedTask,
+      eventType: isApproved ? TASK_EVENT_TYPE.EXTENSION_APPROVED : TASK_EVENT_TYPE.EXTENSION_DENIED,
+      actorUserId: userId,
+      source,
+      fromStatus: task.status,
+      toStatus: updatedTask.status,
+      payload: {
+        extension_request_id: extensionRequest.id,
+        proposed_end_time: extensionRequest.proposed_end_time,
+        note: normalizedNote,
+        schedule_updated: scheduleResult.updated,
+        changes: buildTaskPayloadDiff(task, updatedTask),
+      },
+    });
+
+    try {
+      await this.sendExecutorActionCard(
+        updatedTask,
+        isApproved ? '✅ 延期申请已通过' : '❌ 延期申请未通过',
+        isApproved
+          ? `新截止时间：${extensionRequest.proposed_end_time}`
+          : `截止时间保持不变${normalizedNote ? `\n说明：${normalizedNote}` : ''}`,
+        [{ id: 'ACTION_COMPLETE', text: '我已完成' }],
+        [extensionRequest.requester_userid]
+      );
+    } catch (error) {
+      logWithTrace(traceId, 'task-service', 'extension.decide_notify_error', {
+        taskId: task.id,
+        message: error.message,
+      });
+    }
+
+    logWithTrace(traceId, 'task-service', 'extension.decide_success', {
+      taskId: task.id,
+      extensionRequestId: extensionRequest.id,
+      isApproved,
+      userId,
+      scheduleUpdated: scheduleResult.updated,
+    });
+
+    return {
+      task: updatedTask,
+      extension_request: await getSql(`SELECT * FROM task_extension_requests WHERE id = ?`, [extensionRequest.id]),
+    };
+  }
+
+  // verifyTask
+  // 是什么：验收决定函数。
+  // 做什么：通过时闭环任务并写入可选的质量评分与评语，驳回时退回执行并开启新一轮提交。
+  // 为什么：评分随最终一级的通过决定一起保存；审批链中间级的通过只是放行，不记评分。
+  async verifyTask(wecomScheduleId, managerId, isApproved, rejectReason = '', source = 'wecom_card', rating = null) {
+    const traceId = createTraceId();
+    const qualityRating = normalizeQualityRatingInput(isApproved ? rating : null);
+    if (!qualityRating) {
+      throw new TaskOperationError('TASK_QUALITY_RATING_INVALID', '质量评分须为 1–5 的整数，评语不超过 200 字', 400);
+    }
+
+    const task = await this.getTaskByScheduleId(wecomScheduleId);
+    this.ensureTaskForVerify(task, managerId);
+
+    const stageIndex = Number(task.current_stage_index || 0);
+    if (isApproved && hasApprovalStages(task) && stageIndex < Number(task.approval_stage_count) - 1) {
+      return this.advanceApprovalStage(task, managerId, source);
+    }
+
+    const normalizedReason = normalizeText(rejectReason) || '领导驳回';
+    const waitHours = this.getVerifyWaitHours(task);
+    const sql = isApproved
+      ? `UPDATE tasks
+         SET status = ?, verify_time = datetime('now'), verified_by_userid = ?, reject_reason = NULL, quality_score = ?, quality_comment = ?,
+             rerouted_verifier_userid = NULL, updated_at = datetime('now')
+         WHERE wecom_schedule_id = ? AND status = ? AND COALESCE(current_stage_index, 0) = ?`
+      : `UPDATE tasks
+         SET status = ?, verify_time = datetime('now'), verified_by_userid = ?, reject_reason = ?, redo_count = COALESCE(redo_count, 0) + 1, current_stage_index = 0,
+             rerouted_verifier_userid = NULL, updated_at = datetime('now')
+         WHERE wecom_schedule_id = ? AND status = ? AND COALESCE(current_stage_index, 0) = ?`;
+
+    const params = isApproved
+      ? [
+          TASK_STATUS.COMPLETED,
+          normalizeText(managerId),
+          qualityRating.score,
+          qualityRating.comment || null,
+          wecomScheduleId,
+          TASK_STATUS.WAITING_VERIFY,
+          stageIndex,
+        ]
+      : [
+          TASK_STATUS.PENDING,
+          normalizeText(managerId),
+          normalizedReason,
+          wecomScheduleId,
+          TASK_STATUS.WAITING_VERIFY,
+          stageIndex,
+        ];
+
+    const updateResult = await runSql(sql, params);
+    if (updateResult.changes === 0) {
+      throw new TaskOperationError('TASK_STATUS_CONFLICT', '任务状态已变更，请刷新后重试', 409);
+    }
+
+    if (isApproved) {
+      await runSql(
+        `UPDATE task_approval_stages SET status = ?, decided_by_userid = ?, decided_at = datetime('now')
+         WHERE task_id = ? AND stage_index = ?`,
+        [APPROVAL_STAGE_STATUS.PASSED, normalizeText(managerId), task.id, stageIndex]
+      );
+    } else {
+      // 驳回意味着交付整体不合格，全部执行人需重新确认完成，审批链从第一级重新开始。
+      await runSql(`UPDATE task_executors SET is_done = 0, completed_at = NULL WHERE task_id = ?`, [task.id]);
+      await runSql(
+        `UPDATE task_approval_stages SET status = ?, decided_by_userid = NULL, decided_at = NULL WHERE task_id = ?`,
+        [APPROVAL_STAGE_STATUS.PENDING, task.id]
+      );
+    }
+
+    const updatedTask = await this.getTaskByScheduleId(wecomScheduleId);
+    await this.recordTaskEvent({
+      task: updatedTask,
+      eventType: isApproved ? TASK_EVENT_TYPE.VERIFY_PASSED : TASK_EVENT_TYPE.VERIFY_REJECTED,
+      actorUserId: managerId,
+      source,
+      fromStatus: task.status,
+      toStatus: updatedTask.status,
+      rejectReason: isApproved ? '' : normalizedReason,
+      payload: {
+        changes: buildTaskPayloadDiff(task, updatedTask),
+        ...(hasApprovalStages(task) ? { stage_index: stageIndex, stage_name: task.current_stage_name } : {}),
+        ...(qualityRating.score !== null
+          ? { quality_score: qualityRating.score, quality_comment: qualityRating.comment }
+          : {}),
+        wait_hours: waitHours,
+      },
+    });
+
+    try {
+      await this.sendVerificationResultCard(updatedTask, isApproved, normalizedReason);
+    } catch (error) {
+      logWithTrace(traceId, 'task-service', 'verify_task.notify_error', {
+        wecomScheduleId,
+        managerId,
+        source,
+        message: error.message,
+      });
+    }
+
+    if (isApproved) {
+      await this.runTaskClosedFollowUps(updatedTask);
+    }
+
+    logWithTrace(traceId, 'task-service', 'verify_task.success', {
+      wecomScheduleId,
+      managerId,
+      isApproved,
+      source,
+    });
+
+    return {
+      message: isApproved ? '任务已验收通过' : '任务已驳回并退回执行',
+      task: updatedTask,
+    };
+  }
+
+  // runTaskClosedFollowUps
+  // 是什么：任务验收通过后的后续处理函数。
+  // 做什么：通知被解除阻塞的后续任务，周期任务生成下一期实例（失败只记日志）。
+  // 为什么：人工验收与超时自动通过都会闭环任务，两条路径的后续处理需保持一致。
+  async runTaskClosedFollowUps(updatedTask) {
+    await this.notifyUnblockedDependents(updatedTask);
+    await this.continueTaskSeries(updatedTask);
+  }
+
+  // continueTaskSeries
+  // 是什么：周期任务续期函数。
+  // 做什么：任务属于序列时生成下一期实例，失败只记日志。
+  // 为什么：实例验收通过或被取消都意味着本期结束，未配置提前量的序列只能靠这一步延续。
+  async continueTaskSeries(task) {
+    if (!task.series_id) {
+      return;
+    }
+
+    try {
+      await this.materializeNextSeriesInstance(task.series_id, {
+        afterSeriesIndex: task.series_index,
+      });
+    } catch (error) {
+      logWithTrace(createTraceId(), 'task-service', 'task_series.continue_error', {
+        wecomScheduleId: task.wecom_schedule_id,
+        seriesId: task.series_id,
+        message: error.message,
+      });
+    }
+  }
+
+  // advanceApprovalStage
+  // 是什么：审批链阶段推进函数。
+  // 做什么：当前阶段审批通过且非最后一级时，推进到下一级并通知下一级审批人，任务保持待验收。
+  // 为什么：合规类任务需按组长、部门负责人、财务依次确认，任一级未通过都不能闭环。
+  async advanceApprovalStage(task, managerId, source) {
+    const traceId = createTraceId();
+    const stageIndex = Number(task.current_stage_index || 0);
+    const waitHours = this.getVerifyWaitHours(task);
+    const updateResult = await runSql(
+      `UPDATE tasks
+       SET current_stage_index = ?, verify_requested_at = datetime('now'), last_verify_reminder_at = NULL, rerouted_verifier_userid = NULL,
+           updated_at = datetime('now')
+       WHERE id = ? AND status = ? AND COALESCE(current_stage_index, 0) = ?`,
+      [stageIndex + 1, task.id, TASK_STATUS.WAITING_VERIFY, stageIndex]
+    );
+
+    if (updateResult.changes === 0) {
+      throw new TaskOperationError('TASK_STATUS_CONFLICT', '任务状态已变更，请刷新后重试', 409);
+    }
+
+    await runSql(
+      `UPDATE task_approval_stages SET status = ?, decided_by_userid = ?, decided_at = datetime('now')
+       WHERE task_id = ? AND stage_index = ?`,
+      [APPROVAL_STAGE_STATUS.PASSED, normalizeText(managerId), task.id, stageIndex]
+    );
+
+    const updatedTask = await this.getTaskById(task.id);
+    await this.recordTaskEvent({
+      task: updatedTask,
+      eventType: TASK_EVENT_TYPE.STAGE_PASSED,
+      actorUserId: managerId,
+      source,
+      fromStatus: task.status,
+      toStatus: updatedTask.status,
+      payload: {
+        stage_index: stageIndex,
+        stage_name: task.current_stage_name,
+        next_stage_index: stageIndex + 1,
+        wait_hours: waitHours,
+      },
+    });
+
+    try {
+      await this.sendVerifierCard(updatedTask);
+    } catch (error) {
+      logWithTrace(traceId, 'task-service', 'approval_stage.notify_error', {
+        taskId: task.id,
+        stageIndex: stageIndex + 1,
+        message: error.message,
+      });
+    }
+
+    logWithTrace(traceId, 'task-service', 'approval_stage.advance_success', {
+      taskId: task.id,
+      managerId,
+      stageIndex,
+      source,
+    });
+
+    return {
+      message: `第 ${stageIndex + 1} 级审批已通过，已流转至下一级`,
+      task: updatedTask,
+    };
+  }
+
+  async listApprovalStages(taskId) {
+    return allSql(`SELECT * FROM task_approval_stages WHERE task_id = ? ORDER BY stage_index ASC`, [taskId]);
+  }
+
+  // replaceApprovalStages
+  // 是什么：审批链覆盖写入函数。
+  // 做什么：删除任务原有审批阶段并按顺序写入新阶段，同时将当前阶段归零。
+  // 为什么：审批链以整体为单位配置，逐条增删容易产生阶段序号空洞。
+  async replaceApprovalStages(taskId, stages = []) {
+    await runSql(`DELETE FROM task_approval_stages WHERE task_id = ?`, [taskId]);
+    for (const [index, stage] of stages.entries()) {
+      await runSql(
+        `INSERT INTO task_approval_stages (task_id, stage_index, name, approver_userids, status) VALUES (?, ?, ?, ?, ?)`,
+        [taskId, index, stage.name, stage.approver_userids.join(','), APPROVAL_STAGE_STATUS.PENDING]
+      );
+    }
+    await runSql(`UPDATE tasks SET current_stage_index = 0 WHERE id = ?`, [taskId]);
+  }
+
+  // updateApprovalStages
+  // 是什么：审批链配置函数。
+  // 做什么：由创建人或全局验收人在任务待执行阶段整体替换审批链，传空数组即恢复一步验收。
+  // 为什么：审批进行中修改阶段会让已通过的审批失去意义，因此仅允许在提交前调整。
+  async updateApprovalStages(taskId, stages, userId) {
+    const traceId = createTraceId();
+    const task = await this.getTaskById(taskId);
+    if (!task) {
+      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+    }
+
+    if (!canUserManageTask(task, userId, this.getGlobalVerifiers())) {
+      throw new TaskOperationError('TASK_APPROVAL_STAGES_FORBIDDEN', '仅创建人或验收人可配置审批链', 403);
+    }
+
+    if (task.status !== TASK_STATUS.PENDING) {
+      throw new TaskOperationError('TASK_APPROVAL_STAGES_LOCKED', '仅待执行任务可调整审批链', 409);
+    }
+
+    const normalizedStages = normalizeApprovalStagesInput(stages);
+    if (!normalizedStages) {
+      throw new TaskOperationError('TASK_APPROVAL_STAGES_INVALID', '审批链格式不正确，每一级至少需要一名审批人', 400);
+    }
+
+    await this.replaceApprovalStages(task.id, normalizedStages);
+
+    logWithTrace(traceId, 'task-service', 'approval_stages.update_success', {
+      taskId: task.id,
+      userId,
+      stageCount: normalizedStages.length,
+    });
+
+    return this.listApprovalStages(task.id);
+  }
+
+  // updateVerifyPolicy
+  // 是什么：任务级验收等待策略配置函数。
+  // 做什么：由创建人或验收人设置超时动作、超时工作小时数与备用验收人，留空的字段沿用全局策略。
+  // 为什么：关键任务需关闭自动通过或指定熟悉业务的备用验收人，不能一刀切跟随全局配置。
+  async updateVerifyPolicy(taskId, payload, userId) {
+    const traceId = createTraceId();
+    const task = await this.getTaskById(taskId);
+    if (!task) {
+      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+    }
+
+    if (!canUserManageTask(task, userId, this.getGlobalVerifiers())) {
+      throw new TaskOperationError('TASK_VERIFY_POLICY_FORBIDDEN', '仅创建人或验收人可配置验收等待策略', 403);
+    }
+
+    const policyInput = normalizeVerifyPolicyInput(payload);
+    if (!policyInput) {
+      throw new TaskOperationError(
+        'TASK_VERIFY_POLICY_INVALID',
+        'action 仅支持 NONE/AUTO_PASS/REROUTE，timeout_hours 须为 1–720 的整数',
+        400
+      );
+    }
+
+    const executorUserIds = parseTaskExecutors(task).map((item) => item.userid);
+    if (policyInput.backup_verifier_userid && executorUserIds.includes(policyInput.backup_verifier_userid)) {
+      throw new TaskOperationError('TASK_VERIFY_POLICY_INVALID', '备用验收人不能是任务执行人', 400);
+    }
+
+    await runSql(
+      `UPDATE tasks SET verify_timeout_action = ?, verify_timeout_hours = ?, backup_verifier_userid = ?, updated_at = datetime('now') WHERE id = ?`,
+      [policyInput.action, policyInput.timeout_hours, policyInput.backup_verifier_userid, task.id]
+    );
+
+    const updatedTask = await this.getTaskById(task.id);
+    await this.recordTaskEvent({
+      task: updatedTask,
+      eventType: TASK_EVENT_TYPE.VERIFY_POLICY_CHANGED,
+      actorUserId: userId,
+      source: 'web_api',
+      fromStatus: task.status,
+      toStatus: updatedTask.status,
+      payload: policyInput,
+    });
+
+    logWithTrace(traceId, 'task-service', 'verify_policy.update_success', {
+      taskId: task.id,
+      userId,
+      policy: policyInput,
+    });
+
+    return {
+      task: updatedTask,
+      policy: resolveVerifyPolicy(updatedTask, this.getVerifyPolicy()),
+    };
+  }
+
+  // runBatchTaskAction
+  // 是什么：批量操作中单个任务的执行函数。
+  // 做什么：按动作类型调用对应的单任务流程，返回操作后的任务行。
+  // 为什么：批量操作不另写状态流转，逐条复用单任务流程即可保持权限校验、事件与通知口径一致。
+  async runBatchTaskAction(taskId, action, payload, userId, source) {
+    if (action === TASK_BATCH_ACTION.COMPLETE) {
+      return (await this.completeTaskById(taskId, userId, source)).task;
+    }
+
+    if (action === TASK_BATCH_ACTION.PASS || action === TASK_BATCH_ACTION.REJECT) {
+      const result = await this.verifyTaskById(
+        taskId,
+        userId,
+        action === TASK_BATCH_ACTION.PASS,
+        payload.reject_reason,
+        source
+      );
+      return result.task;
+    }
+
+    if (action === TASK_BATCH_ACTION.REASSIGN) {
+      return this.reassignTask(taskId, { to_userid: payload.to_userid, note: payload.note }, userId, source);
+    }
+
+    if (action === TASK_BATCH_ACTION.CANCEL) {
+      return this.applyManageAction(taskId, TASK_MANAGE_ACTION.CANCEL, userId, payload.reason, source);
+    }
+
+    return this.updateTaskLabels(taskId, payload.labels, userId, source);
+  }
+
+  // flushBatchNotifications
+  // 是什么：批量操作通知合并发送函数。
+  // 做什么：按接收人分组暂存的通知，只有一条时原样发送（保留卡片按钮），多条时合并为一张汇总文本卡片。
+  // 为什么：一次批量验收二十个任务时，执行人与下一级审批人只应各收到一条消息。
+  async flushBatchNotifications(notifications, action, actorUserId) {
+    const groups = groupNotificationsByRecipient(notifications);
+
+    for (const group of groups) {
+      try {
+        if (group.notifications.length === 1) {
+          const [notification] = group.notifications;
+          const config = { ...notification.config, touser: group.userid };
+          if (notification.msgtype === 'textcard') {
+            await wecom.sendTextCard(config);
+          } else {
+            await wecom.sendTemplateCard(config);
+          }
+          continue;
+        }
+
+        const lines = group.notifications.slice(0, BATCH_SUMMARY_MAX_LINES).map(({ config }) => {
+          return `• ${normalizeText(config.title)}${config.sub_title ? `：${normalizeText(config.sub_title)}` : ''}`;
+        });
+        if (group.notifications.length > BATCH_SUMMARY_MAX_LINES) {
+          lines.push(`…等 ${group.notifications.length} 条`);
+        }
+
+        await wecom.sendTextCard({
+          touser: group.userid,
+          title: `📋 ${normalizeText(actorUserId)} 批量${BATCH_ACTION_LABELS[action]}了 ${group.notifications.length} 项任务`,
+          description: lines.join('\n'),
+          url: buildTaskListUrl(),
+          btntxt: '查看任务',
+        });
+      } catch (error) {
+        logWithTrace(createTraceId(), 'task-service', 'task_batch.notify_error', {
+          recipient: group.userid,
+          action,
+          message: error.message,
+        });
+      }
+    }
+
+    return groups.length;
+  }
+
+  // batchOperateTasks
+  // 是什么：批量任务操作入口。
+  // 做什么：对 `task_ids` 逐个执行同一动作，单个失败不影响其余任务，返回逐条结果；结束后按接收人合并发送通知。
+  // 为什么：每周集中验收时逐个点击效率低，批量执行仍需保留逐条的权限与状态校验。
+  async batchOperateTasks(payload = {}, userId, source = 'batch_api') {
+    const traceId = createTraceId();
+    const action = normalizeText(payload.action).toUpperCase();
+    if (!Object.values(TASK_BATCH_ACTION).includes(action)) {
+      throw new TaskOperationError(
+        'TASK_BATCH_ACTION_INVALID',
+        'action 仅支持 COMPLETE、PASS、REJECT、REASSIGN、CANCEL、RELABEL',
+        400
+      );
+    }
+
+    const taskIds = normalizeBatchTaskIds(payload.task_ids);
+    if (!taskIds) {
+      throw new TaskOperationError('TASK_BATCH_IDS_INVALID', `task_ids 需为 1-${TASK_BATCH_MAX_SIZE} 个任务 ID`, 400);
+    }
+
+    if (action === TASK_BATCH_ACTION.REASSIGN && !normalizeText(payload.to_userid)) {
+      throw new TaskOperationError('TASK_REASSIGN_INVALID', 'to_userid 不能为空', 400);
+    }
+
+    if (action === TASK_BATCH_ACTION.RELABEL && !normalizeTaskLabels(payload.labels)) {
+      throw new TaskOperationError('TASK_LABELS_INVALID', '标签格式不正确，最多 10 个且每个不超过 32 个字符', 400);
+    }
+
+    const notifications = [];
+    const results = await notificationBatchStorage.run(notifications, async () => {
+      const itemResults = [];
+      for (const taskId of taskIds) {
+        try {
+          const task = await this.runBatchTaskAction(taskId, action, payload, userId, source);
+          itemResults.push({ task_id: taskId, success: true, status: task && task.status });
+        } catch (error) {
+          if (!(error instanceof TaskOperationError)) {
+            logWithTrace(traceId, 'task-service', 'task_batch.item_error', {
+              taskId,
+              action,
+              message: error.message,
+              stack: error.stack,
+            });
+          }
+
+          itemResults.push({
+            task_id: taskId,
+            success: false,
+            code: error instanceof TaskOperationError ? error.code : 'TASK_OPERATION_ERROR',
+            message: error instanceof TaskOperationError ? error.message : '任务操作失败',
+          });
+        }
+      }
+      return itemResults;
+    });
+
+    const notifiedUserCount = await this.flushBatchNotifications(notifications, action, userId);
+    const successCount = results.filter((item) => item.success).length;
+
+    logWithTrace(traceId, 'task-service', 'task_batch.success', {
+      action,
+      userId,
+      taskCount: taskIds.length,
+      successCount,
+      notificationCount: notifications.length,
+      notifiedUserCount,
+      source,
+    });
+
+    return {
+      action,
+      results,
+      success_count: successCount,
+      failed_count: results.length - successCount,
+      notified_user_count: notifiedUserCount,
+    };
+  }
+
+  async completeTaskById(taskId, executorId, source = 'web', report = null) {
+    const task = await this.getTaskById(taskId);
+    if (!task) {
+      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+    }
+
+    return this.submitForVerification(task.wecom_schedule_id, executorId, source, report);
+  }
+
+  async verifyTaskById(taskId, managerId, isApproved, rejectReason = '', source = 'web', rating = null) {
+    const task = await this.getTaskById(taskId);
+    if (!task) {
+      throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+    }
+
+    return this.verifyTask(task.wecom_schedule_id, managerId, isApproved, rejectReason, source, rating);
+  }
+
+  // createManualTask
+  // 是什么：手动任务创建函数。
+  // 做什么：将Web端输入的任务信息入库，并通知执行人开始处理；携带重复规则时同时建立任务序列。
+  // 为什么：补齐“产品页面新建任务”能力，形成从创建到验收的完整闭环。
+  // `seriesContext` 仅由序列生成器传入，用于把新实例挂回已有序列。
+  async createManualTask(rawPayload = {}, creatorUserId, source = 'web_api', seriesContext = null) {
+    const traceId = createTraceId();
+    const payload = await this.applyTaskTemplate(rawPayload, creatorUserId);
+    const title = normalizeText(payload.title);
+    const description = normalizeText(payload.description);
+    const executorUserIds = parseUserIdList(
+      [normalizeText(payload.executor_userid)].concat(parseUserIdList(payload.executor_userids))
+    );
+    const executorUserId = executorUserIds[0] || '';
+    const completionMode = normalizeCompletionMode(payload.completion_mode);
+    const priority = normalizeTaskPriority(payload.priority);
+    const startTime = parseIsoDate(payload.start_time) || new Date();
+    const endTime = parseIsoDate(payload.end_time);
+    const creatorId = normalizeText(creatorUserId);
+
+    if (!creatorId) {
+      throw new TaskOperationError('TASK_CREATOR_INVALID', '创建人不能为空', 400);
+    }
+
+    if (!title) {
+      throw new TaskOperationError('TASK_TITLE_REQUIRED', '任务标题不能为空', 400);
+    }
+
+    if (!executorUserId) {
+      throw new TaskOperationError('TASK_EXECUTOR_REQUIRED', '执行人不能为空', 400);
+    }
+
+    if (!completionMode) {
+      throw new TaskOperationError('TASK_COMPLETION_MODE_INVALID', 'completion_mode 仅支持 ALL 或 ANY', 400);
+    }
+
+    if (!priority) {
+      throw new TaskOperationError('TASK_PRIORITY_INVALID', 'priority 仅支持 P0、P1、P2、P3', 400);
+    }
+
+    const approvalStages = normalizeApprovalStagesInput(payload.approval_stages);
+    if (!approvalStages) {
+      throw new TaskOperationError('TASK_APPROVAL_STAGES_INVALID', '审批链格式不正确，每一级至少需要一名审批人', 400);
+    }
+
+    const labels = normalizeTaskLabels(payload.labels);
+    if (!labels) {
+      throw new TaskOperationError('TASK_LABELS_INVALID', '标签格式不正确，最多 10 个且每个不超过 32 个字符', 400);
+    }
+
+    const items = normalizeTaskItemsInput(payload.items);
+    if (!items) {
+      throw new TaskOperationError('TASK_ITEMS_INVALID', '检查项格式不正确，最多 50 条且标题不能为空', 400);
+    }
+
+    if (!endTime) {
+      throw new TaskOperationError('TASK_END_TIME_INVALID', '截止时间格式不正确', 400);
+    }
+
+    if (endTime.getTime() <= startTime.getTime()) {
+      throw new TaskOperationError('TASK_TIME_RANGE_INVALID', '截止时间必须晚于开始时间', 400);
+    }
+
+    const recurrenceText = seriesContext ? '' : normalizeText(payload.recurrence);
+    const recurrenceRule = recurrenceText ? parseRecurrenceRule(recurrenceText) : null;
+    if (recurrenceText && !recurrenceRule) {
+      throw new TaskOperationError('TASK_RECURRENCE_INVALID', '重复规则格式不正确，仅支持 DAILY/WEEKLY/MONTHLY', 400);
+    }
+
+    // 序列后续实例沿用上一期的项目归属，不再按成员名单重新校验，避免成员调整后序列中断。
+    const projectId = seriesContext
+      ? Number(payload.project_id) || null
+      : await this.resolveTaskProjectId(payload.project_id, creatorId);
+
+    const ownerUserId = executorUserId || creatorId;
+    const ownerCalendarId = resolveCalendarIdByUser(ownerUserId, {
+      defaultCalId: process.env.DEFAULT_CAL_ID || '',
+      userCalendarMapRaw: process.env.USER_CALENDAR_MAP || '',
+    });
+
+    let scheduleId = createManualScheduleId();
+
+    // buildScheduleAttendees
+    // 是什么：任务创建参与人构建逻辑。
+    // 做什么：将全部执行人与创建人组装为企业微信日程参与人数组并去重。
+    // 为什么：确保任务日程在个人日历可见，同时减少重复成员导致的接口风险。
+    const scheduleAttendees = Array.from(new Set([...executorUserIds, creatorId].filter(Boolean))).map((userid) => ({
+      userid,
+    }));
 
     if (ownerCalendarId) {
       try {
@@ -390,6 +4349,8 @@ class TaskService {
       }
     }
 
+    let seriesId = seriesContext ? seriesContext.seriesId : null;
+    const seriesIndex = seriesContext ? seriesContext.seriesIndex : recurrenceRule ? 1 : null;
     const insertResult = await runSql(
       `INSERT INTO tasks (
         wecom_schedule_id,
@@ -402,8 +4363,14 @@ class TaskService {
         start_time,
         end_time,
         status,
+        series_id,
+        series_index,
+        completion_mode,
+        priority,
+        project_id,
+        require_evidence,
         updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, datetime(?), datetime(?), ?, datetime('now'))`,
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, datetime(?), datetime(?), ?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
       [
         scheduleId,
         title,
@@ -415,45 +4382,419 @@ class TaskService {
         startTime.toISOString(),
         endTime.toISOString(),
         TASK_STATUS.PENDING,
+        seriesId,
+        seriesIndex,
+        completionMode,
+        priority,
+        projectId,
+        toFlagValue(payload.require_evidence) ? 1 : 0,
       ]
     );
 
-    const createdTask = await this.getTaskById(insertResult.lastID);
+    // 先写任务再写序列并回填，任一步失败都撤销本次写入，避免留下无实例的孤儿序列或丢失规则的周期任务。
+    if (recurrenceRule) {
+      try {
+        const seriesResult = await runSql(
+          `INSERT INTO task_series (
+            title,
+            description,
+            creator_userid,
+            executor_userid,
+            rrule,
+            dtstart,
+            duration_seconds,
+            lead_time_hours,
+            occurrence_count,
+            anchor_index,
+            last_occurrence_start,
+            status,
+            updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, 1, ?, ?, datetime('now'))`,
+          [
+            title,
+            description,
+            creatorId,
+            executorUserId,
+            formatRecurrenceRule(recurrenceRule),
+            startTime.toISOString(),
+            Math.round((endTime.getTime() - startTime.getTime()) / 1000),
+            parseLeadTimeHours(payload.recurrence_lead_hours),
+            startTime.toISOString(),
+            SERIES_STATUS.ACTIVE,
+          ]
+        );
+        seriesId = seriesResult.lastID;
+        await runSql(`UPDATE tasks SET series_id = ? WHERE id = ?`, [seriesId, insertResult.lastID]);
+      } catch (error) {
+        await runSql(`DELETE FROM tasks WHERE id = ?`, [insertResult.lastID]).catch(() => null);
+        if (seriesId) {
+          await runSql(`DELETE FROM task_series WHERE id = ?`, [seriesId]).catch(() => null);
+        }
+        throw error;
+      }
+    }
+
+    await this.replaceTaskExecutors(insertResult.lastID, executorUserIds);
+    if (labels.length > 0) {
+      await this.replaceTaskLabels(insertResult.lastID, labels);
+    }
+    if (approvalStages.length > 0) {
+      await this.replaceApprovalStages(insertResult.lastID, approvalStages);
+    }
+    if (items.length > 0) {
+      await this.insertTaskItems(insertResult.lastID, items);
+    }
+    const createdTask = await this.getTaskById(insertResult.lastID);
+    await this.recordTaskEvent({
+      task: createdTask,
+      eventType: TASK_EVENT_TYPE.CREATED,
+      actorUserId: creatorId,
+      source,
+      toStatus: createdTask.status,
+      payload: {
+        changes: buildTaskPayloadDiff(null, createdTask),
+        ...(payload.template_id ? { template_id: payload.template_id } : {}),
+      },
+    });
+
+    try {
+      await this.sendExecutorActionCard(
+        createdTask,
+        seriesId ? '🔁 周期任务待执行' : '📌 新任务待执行',
+        `${
+          seriesId
+            ? `请按计划完成任务：${createdTask.title}（第 ${seriesIndex} 期）`
+            : `请按计划完成任务：${createdTask.title}`
+        }${toFlagValue(createdTask.require_evidence) ? '，提交前请在任务详情中上传完成凭证' : ''}`,
+        [{ id: 'ACTION_COMPLETE', text: '我已完成' }, { id: 'ACTION_HANDOVER', text: '转交他人' }]
+      );
+    } catch (error) {
+      logWithTrace(traceId, 'task-service', 'manual_task.notify_error', {
+        scheduleId,
+        creatorId,
+        executorUserId,
+        source,
+        message: error.message,
+      });
+    }
+
+    logWithTrace(traceId, 'task-service', 'manual_task.create_success', {
+      taskId: createdTask && createdTask.id,
+      scheduleId,
+      creatorId,
+      executorUserId,
+      ownerUserId,
+      ownerCalendarId,
+      seriesId,
+      seriesIndex,
+      templateId: payload.template_id || null,
+      source,
+    });
+
+    return {
+      message: '任务创建成功',
+      task: createdTask,
+    };
+  }
+
+  async getTaskSeriesById(seriesId) {
+    return getSql(`SELECT * FROM task_series WHERE id = ?`, [seriesId]);
+  }
+
+  // ensureTaskSeriesManageable
+  // 是什么：任务序列管理权限校验函数。
+  // 做什么：仅允许序列创建人或全局验收人修改/停止序列。
+  // 为什么：序列会持续派生任务，需与单个任务的验收权限保持一致的收口范围。
+  ensureTaskSeriesManageable(series, userId) {
+    if (!series) {
+      throw new TaskOperationError('TASK_SERIES_NOT_FOUND', '任务序列不存在', 404);
+    }
+
+    if (!canUserManageTask(series, userId, this.getGlobalVerifiers())) {
+      throw new TaskOperationError('TASK_SERIES_FORBIDDEN', '仅序列创建人或验收人可管理该序列', 403);
+    }
+  }
+
+  // getTaskSeriesDetail
+  // 是什么：任务序列详情查询函数。
+  // 做什么：返回序列配置、下一期预计开始时间与已生成的实例列表。
+  // 为什么：前端编辑序列前需看到规则与历史实例，判断修改是否影响在途任务。
+  async getTaskSeriesDetail(seriesId, userId) {
+    const series = await this.getTaskSeriesById(seriesId);
+    if (!series) {
+      throw new TaskOperationError('TASK_SERIES_NOT_FOUND', '任务序列不存在', 404);
+    }
+
+    const normalizedUserId = normalizeText(userId);
+    const canView =
+      normalizeText(series.executor_userid) === normalizedUserId ||
+      normalizeText(series.creator_userid) === normalizedUserId ||
+      this.getGlobalVerifiers().includes(normalizedUserId);
+    if (!canView) {
+      throw new TaskOperationError('TASK_SERIES_FORBIDDEN', '无权查看该任务序列', 403);
+    }
+
+    const nextStart =
+      series.status === SERIES_STATUS.ACTIVE ? this.computeSeriesNextStart(series) : null;
+    const tasks = await allSql(`${TASK_ROW_SELECT_SQL} WHERE tasks.series_id = ? ORDER BY tasks.series_index ASC`, [
+      series.id,
+    ]);
+
+    return {
+      series: {
+        ...series,
+        next_occurrence_start: nextStart ? nextStart.toISOString() : null,
+      },
+      tasks,
+    };
+  }
+
+  // computeSeriesNextStart
+  // 是什么：序列下一期开始时间计算函数。
+  // 做什么：以锚点实例为 DTSTART，按已生成期数推算下一期开始时间。
+  // 为什么：规则被编辑后会重新锚定，COUNT 需从锚点实例开始计数。
+  computeSeriesNextStart(series) {
+    return computeNextOccurrence(parseRecurrenceRule(series.rrule), {
+      dtstart: series.dtstart,
+      previousStart: series.last_occurrence_start || series.dtstart,
+      occurrenceCount: Number(series.occurrence_count || 1) - Number(series.anchor_index || 1) + 1,
+      utcOffsetMinutes: resolveUtcOffsetMinutes(process.env.TASK_TIMEZONE_OFFSET_MINUTES),
+    });
+  }
+
+  // updateTaskSeries
+  // 是什么：任务序列编辑函数。
+  // 做什么：更新标题、描述、执行人、重复规则与提前生成时长，仅影响后续生成的实例。
+  // 为什么：已生成的实例可能正在执行或验收，回写会打乱在途流程。
+  // 规则变更时以最近一期为新锚点，避免新规则从最初开始时间重新推算导致补发历史实例。
+  async updateTaskSeries(seriesId, payload = {}, userId) {
+    const traceId = createTraceId();
+    const series = await this.getTaskSeriesById(seriesId);
+    this.ensureTaskSeriesManageable(series, userId);
+
+    if (series.status === SERIES_STATUS.STOPPED) {
+      throw new TaskOperationError('TASK_SERIES_STOPPED', '任务序列已停止，无法编辑', 409);
+    }
+
+    const title = payload.title === undefined ? series.title : normalizeText(payload.title);
+    const description = payload.description === undefined ? series.description : normalizeText(payload.description);
+    const executorUserId =
+      payload.executor_userid === undefined ? series.executor_userid : normalizeText(payload.executor_userid);
+    const leadTimeHours =
+      payload.recurrence_lead_hours === undefined
+        ? series.lead_time_hours
+        : parseLeadTimeHours(payload.recurrence_lead_hours);
+
+    if (!title) {
+      throw new TaskOperationError('TASK_TITLE_REQUIRED', '任务标题不能为空', 400);
+    }
+
+    if (!executorUserId) {
+      throw new TaskOperationError('TASK_EXECUTOR_REQUIRED', '执行人不能为空', 400);
+    }
+
+    let rrule = series.rrule;
+    let dtstart = series.dtstart;
+    let anchorIndex = series.anchor_index;
+    let status = series.status;
+    if (payload.recurrence !== undefined) {
+      const recurrenceRule = parseRecurrenceRule(payload.recurrence);
+      if (!recurrenceRule) {
+        throw new TaskOperationError('TASK_RECURRENCE_INVALID', '重复规则格式不正确，仅支持 DAILY/WEEKLY/MONTHLY', 400);
+      }
+
+      const formattedRule = formatRecurrenceRule(recurrenceRule);
+      if (formattedRule !== series.rrule) {
+        rrule = formattedRule;
+        dtstart = series.last_occurrence_start || series.dtstart;
+        anchorIndex = series.occurrence_count;
+        status = SERIES_STATUS.ACTIVE;
+      }
+    }
+
+    await runSql(
+      `UPDATE task_series
+       SET title = ?, description = ?, executor_userid = ?, rrule = ?, dtstart = ?, anchor_index = ?, lead_time_hours = ?, status = ?, updated_at = datetime('now')
+       WHERE id = ?`,
+      [title, description, executorUserId, rrule, dtstart, anchorIndex, leadTimeHours, status, series.id]
+    );
+
+    logWithTrace(traceId, 'task-service', 'task_series.update_success', {
+      seriesId: series.id,
+      userId,
+      rrule,
+      status,
+    });
+
+    return this.getTaskSeriesDetail(series.id, userId);
+  }
+
+  // stopTaskSeries
+  // 是什么：任务序列停止函数。
+  // 做什么：将序列置为已停止，此后不再生成新实例；已生成实例保持原状态继续流转。
+  // 为什么：例行工作取消时只需终止后续派生，不应误伤已在执行的本期任务。
+  async stopTaskSeries(seriesId, userId) {
+    const traceId = createTraceId();
+    const series = await this.getTaskSeriesById(seriesId);
+    this.ensureTaskSeriesManageable(series, userId);
+
+    if (series.status !== SERIES_STATUS.STOPPED) {
+      await runSql(
+        `UPDATE task_series SET status = ?, stopped_by_userid = ?, updated_at = datetime('now') WHERE id = ?`,
+        [SERIES_STATUS.STOPPED, normalizeText(userId), series.id]
+      );
+    }
+
+    logWithTrace(traceId, 'task-service', 'task_series.stop_success', {
+      seriesId: series.id,
+      userId,
+      previousStatus: series.status,
+    });
+
+    return this.getTaskSeriesDetail(series.id, userId);
+  }
+
+  // materializeNextSeriesInstance
+  // 是什么：序列下一期实例生成函数。
+  // 做什么：计算下一期开始时间，先以乐观锁占用期数，再复用手动建任务流程生成实例。
+  // 为什么：验收回调与定时任务可能同时触发生成，期数占用失败即说明已被另一方生成。
+  // `afterSeriesIndex` 用于验收触发：仅当验收的是最新一期时才生成，避免提前量已生成后重复派生。
+  async materializeNextSeriesInstance(seriesId, options = {}) {
+    const traceId = createTraceId();
+    const source = options.source || 'recurrence';
+    const series = await this.getTaskSeriesById(seriesId);
+    if (!series || series.status !== SERIES_STATUS.ACTIVE) {
+      return null;
+    }
+
+    const occurrenceCount = Number(series.occurrence_count || 1);
+    if (
+      options.afterSeriesIndex !== undefined &&
+      options.afterSeriesIndex !== null &&
+      Number(options.afterSeriesIndex) !== occurrenceCount
+    ) {
+      return null;
+    }
+
+    const nextStart = this.computeSeriesNextStart(series);
+    if (!nextStart) {
+      await runSql(
+        `UPDATE task_series SET status = ?, updated_at = datetime('now') WHERE id = ? AND status = ?`,
+        [SERIES_STATUS.FINISHED, series.id, SERIES_STATUS.ACTIVE]
+      );
+      logWithTrace(traceId, 'task-service', 'task_series.finished', {
+        seriesId: series.id,
+        occurrenceCount,
+      });
+      return null;
+    }
+
+    if (options.onlyWithinLeadTime && !shouldMaterializeByLeadTime(nextStart, series.lead_time_hours, options.now)) {
+      return null;
+    }
+
+    const reserveResult = await runSql(
+      `UPDATE task_series
+       SET occurrence_count = occurrence_count + 1, last_occurrence_start = ?, updated_at = datetime('now')
+       WHERE id = ? AND status = ? AND occurrence_count = ?`,
+      [nextStart.toISOString(), series.id, SERIES_STATUS.ACTIVE, occurrenceCount]
+    );
+    if (reserveResult.changes === 0) {
+      return null;
+    }
+
+    // 协同执行人、完成方式、审批链、项目、标签、凭证要求与检查项沿用最近一期实例，主执行人以序列配置为准。
+    const latestTask = await getSql(
+      `${TASK_ROW_SELECT_SQL} WHERE tasks.series_id = ? ORDER BY tasks.series_index DESC LIMIT 1`,
+      [series.id]
+    );
+    const coExecutorUserIds = parseTaskExecutors(latestTask)
+      .map((item) => item.userid)
+      .filter((item) => item !== normalizeText(latestTask && latestTask.executor_userid));
+    const latestStages = latestTask ? await this.listApprovalStages(latestTask.id) : [];
+    const latestItems = latestTask ? await this.listTaskItems(latestTask.id) : [];
 
     try {
-      await this.sendExecutorActionCard(
-        createdTask,
-        '📌 新任务待执行',
-        `请按计划完成任务：${createdTask.title}`,
-        [{ id: 'ACTION_COMPLETE', text: '我已完成' }]
+      const result = await this.createManualTask(
+        {
+          title: series.title,
+          description: series.description,
+          executor_userid: series.executor_userid,
+          executor_userids: coExecutorUserIds,
+          completion_mode: latestTask && latestTask.completion_mode,
+          priority: latestTask && latestTask.priority,
+          project_id: latestTask && latestTask.project_id,
+          require_evidence: latestTask && latestTask.require_evidence,
+          labels: parseTaskLabels(latestTask),
+          items: latestItems.map((item) => ({ title: item.title, is_required: item.is_required })),
+          approval_stages: latestStages.map((stage) => ({
+            name: stage.name,
+            approver_userids: stage.approver_userids,
+          })),
+          start_time: nextStart.toISOString(),
+          end_time: new Date(nextStart.getTime() + Number(series.duration_seconds) * 1000).toISOString(),
+        },
+        series.creator_userid,
+        source,
+        { seriesId: series.id, seriesIndex: occurrenceCount + 1 }
       );
+
+      return result.task;
     } catch (error) {
-      logWithTrace(traceId, 'task-service', 'manual_task.notify_error', {
-        scheduleId,
-        creatorId,
-        executorUserId,
-        source,
-        message: error.message,
-      });
+      await runSql(
+        `UPDATE task_series SET occurrence_count = ?, last_occurrence_start = ? WHERE id = ? AND occurrence_count = ?`,
+        [occurrenceCount, series.last_occurrence_start, series.id, occurrenceCount + 1]
+      );
+      throw error;
     }
+  }
 
-    logWithTrace(traceId, 'task-service', 'manual_task.create_success', {
-      taskId: createdTask && createdTask.id,
-      scheduleId,
-      creatorId,
-      executorUserId,
-      ownerUserId,
-      ownerCalendarId,
-      source,
-    });
+  // dispatchRecurringTasks
+  // 是什么：序列提前生成调度函数。
+  // 做什么：遍历配置了提前量的生成中序列，进入提前窗口的生成下一期实例。
+  // 为什么：未配置提前量的序列只在验收通过后生成，由定时任务补齐“按时下发”的场景。
+  async dispatchRecurringTasks(now = new Date()) {
+    const traceId = createTraceId();
+    const seriesRows = await allSql(
+      `SELECT id FROM task_series WHERE status = ? AND lead_time_hours IS NOT NULL ORDER BY id ASC`,
+      [SERIES_STATUS.ACTIVE]
+    );
 
-    return {
-      message: '任务创建成功',
-      task: createdTask,
+    let createdCount = 0;
+    let errorCount = 0;
+    for (const series of seriesRows) {
+      try {
+        const createdTask = await this.materializeNextSeriesInstance(series.id, {
+          source: 'sync_cron',
+          onlyWithinLeadTime: true,
+          now,
+        });
+        if (createdTask) {
+          createdCount += 1;
+        }
+      } catch (error) {
+        errorCount += 1;
+        logWithTrace(traceId, 'task-service', 'task_series.dispatch_error', {
+          seriesId: series.id,
+          message: error.message,
+        });
+      }
+    }
+
+    const summary = {
+      series_count: seriesRows.length,
+      created_count: createdCount,
+      error_count: errorCount,
     };
+    logWithTrace(traceId, 'task-service', 'task_series.dispatch_done', summary);
+    return summary;
   }
 
-  pickExecutor(schedule) {
+  // pickExecutors
+  // 是什么：日程执行人解析函数。
+  // 做什么：取日程中除组织者外的全部参与人作为执行人；无其他参与人时回退组织者本人。
+  // 为什么：一个日程邀请多人时每位参与人都应被跟踪为协同执行人。
+  pickExecutors(schedule) {
     const organizer = normalizeText(
       (schedule.organizer && schedule.organizer.userid) || schedule.organizer || schedule.creator_userid
     );
@@ -468,8 +4809,12 @@ class TaskService {
       .map((item) => normalizeText((item && item.userid) || item))
       .filter(Boolean);
 
-    const primaryAttendee = attendeeUserIds.find((item) => item !== organizer);
-    return primaryAttendee || attendeeUserIds[0] || organizer;
+    const executorUserIds = parseUserIdList(attendeeUserIds.filter((item) => item !== organizer));
+    if (executorUserIds.length > 0) {
+      return executorUserIds;
+    }
+
+    return [attendeeUserIds[0] || organizer].filter(Boolean);
   }
 
   async syncScheduleTask(schedule, calendarContext = {}) {
@@ -484,7 +4829,8 @@ class TaskService {
       };
     }
 
-    const executorUserId = this.pickExecutor(schedule);
+    const executorUserIds = this.pickExecutors(schedule);
+    const executorUserId = executorUserIds[0] || '';
     const taskPayload = {
       wecom_schedule_id: scheduleId,
       title: normalizeText(schedule.summary) || '未命名任务',
@@ -497,6 +4843,8 @@ class TaskService {
       start_time: Number(schedule.start_time || 0),
       end_time: Number(schedule.end_time || 0),
       owner_cal_id: normalizeText(schedule.cal_id || schedule.calendar_id || calendarContext.cal_id),
+      // 日程文本未标注优先级时为空，新建按默认值入库，更新时保留任务上已设置的优先级。
+      priority: parsePriorityFromText(schedule.summary, schedule.description),
     };
 
     if (!taskPayload.creator_userid || !taskPayload.executor_userid) {
@@ -513,9 +4861,9 @@ class TaskService {
     if (!existedTask) {
       await runSql(
         `INSERT INTO tasks (
-          wecom_schedule_id, title, description, creator_userid, executor_userid, owner_userid, owner_cal_id, start_time, end_time, status, updated_at
+          wecom_schedule_id, title, description, creator_userid, executor_userid, owner_userid, owner_cal_id, start_time, end_time, status, priority, updated_at
         ) VALUES (
-          ?, ?, ?, ?, ?, ?, ?, datetime(?, 'unixepoch'), datetime(?, 'unixepoch'), ?, datetime('now')
+          ?, ?, ?, ?, ?, ?, ?, datetime(?, 'unixepoch'), datetime(?, 'unixepoch'), ?, ?, datetime('now')
         )`,
         [
           taskPayload.wecom_schedule_id,
@@ -528,17 +4876,28 @@ class TaskService {
           taskPayload.start_time,
           taskPayload.end_time,
           TASK_STATUS.PENDING,
+          taskPayload.priority || DEFAULT_TASK_PRIORITY,
         ]
       );
 
+      const insertedRow = await this.getTaskByScheduleId(scheduleId);
+      await this.replaceTaskExecutors(insertedRow.id, executorUserIds);
       const insertedTask = await this.getTaskByScheduleId(scheduleId);
+      await this.recordTaskEvent({
+        task: insertedTask,
+        eventType: TASK_EVENT_TYPE.CREATED,
+        actorUserId: SYSTEM_ACTOR,
+        source: 'sync_cron',
+        toStatus: insertedTask.status,
+        payload: { changes: buildTaskPayloadDiff(null, insertedTask) },
+      });
 
       try {
         await this.sendExecutorActionCard(
           insertedTask,
           '📌 新任务待执行',
           `请按日程完成任务：${insertedTask.title}`,
-          [{ id: 'ACTION_COMPLETE', text: '我已完成' }]
+          [{ id: 'ACTION_COMPLETE', text: '我已完成' }, { id: 'ACTION_HANDOVER', text: '转交他人' }]
         );
       } catch (error) {
         logWithTrace(traceId, 'task-service', 'sync_schedule.notify_insert_error', {
@@ -555,6 +4914,18 @@ class TaskService {
       };
     }
 
+    // 截止时间待回写时先重试回写；本次拉取的日程仍是旧截止时间，无论重试结果都保留任务侧的值。
+    const keepLocalEndTime = Number(existedTask.schedule_end_time_pending) === 1;
+    if (keepLocalEndTime) {
+      const writeBackResult = await this.pushPendingScheduleEndTime(existedTask);
+      logWithTrace(traceId, 'task-service', 'sync_schedule.end_time_write_back', {
+        scheduleId,
+        taskId: existedTask.id,
+        updated: writeBackResult.updated,
+        reason: writeBackResult.reason,
+      });
+    }
+
     await runSql(
       `UPDATE tasks
        SET title = ?,
@@ -564,7 +4935,8 @@ class TaskService {
            owner_userid = ?,
            owner_cal_id = ?,
            start_time = datetime(?, 'unixepoch'),
-           end_time = datetime(?, 'unixepoch'),
+           end_time = CASE WHEN ? = 1 THEN end_time ELSE datetime(?, 'unixepoch') END,
+           priority = COALESCE(?, priority),
            updated_at = datetime('now')
        WHERE wecom_schedule_id = ?`,
       [
@@ -575,12 +4947,28 @@ class TaskService {
         taskPayload.owner_userid,
         taskPayload.owner_cal_id,
         taskPayload.start_time,
+        keepLocalEndTime ? 1 : 0,
         taskPayload.end_time,
+        taskPayload.priority || null,
         scheduleId,
       ]
     );
 
+    await this.replaceTaskExecutors(existedTask.id, executorUserIds);
     const updatedTask = await this.getTaskByScheduleId(scheduleId);
+    const syncChanges = buildTaskPayloadDiff(existedTask, updatedTask);
+    if (Object.keys(syncChanges).length > 0) {
+      await this.recordTaskEvent({
+        task: updatedTask,
+        eventType: TASK_EVENT_TYPE.SYNC_UPDATED,
+        actorUserId: SYSTEM_ACTOR,
+        source: 'sync_cron',
+        fromStatus: existedTask.status,
+        toStatus: updatedTask.status,
+        payload: { changes: syncChanges },
+      });
+    }
+
     return {
       inserted: false,
       updated: true,
@@ -589,46 +4977,130 @@ class TaskService {
     };
   }
 
-  async dispatchTaskReminder(task, source = 'sync_cron') {
+  // clearTaskReminderLog
+  // 是什么：任务提醒记录清空函数。
+  // 做什么：删除任务的提醒发送记录，使当前截止时间下的提醒时间点重新生效。
+  // 为什么：重新打开或转交他人后需按新的处理人重新走提醒节奏；发送历史仍保留在任务事件中。
+  async clearTaskReminderLog(taskId) {
+    await runSql(`DELETE FROM task_reminder_logs WHERE task_id = ?`, [taskId]);
+  }
+
+  async dispatchTaskReminder(task, source = 'sync_cron', now = new Date(), policyContext = null) {
     const traceId = createTraceId();
-    const reminderKind = getReminderKind(task);
-    if (!shouldSendReminder(task, reminderKind)) {
+    const { policyMap, globalPolicyId } = policyContext || (await this.loadReminderPolicyContext());
+    const policy = resolveReminderPolicy(task, policyMap, globalPolicyId);
+    const slot = getDueReminderSlot(task, policy, task.last_reminder_offset, now);
+    if (!slot) {
       return {
         sent: false,
-        kind: reminderKind,
+        kind: REMINDER_KIND.NONE,
       };
     }
 
+    const reminderKind = slot.kind;
+    const hoursLeft = Math.max(1, Math.ceil((toDateOrNull(task.end_time).getTime() - now.getTime()) / (60 * 60 * 1000)));
     const reminderDescription =
       reminderKind === REMINDER_KIND.OVERDUE
         ? `任务已逾期，请尽快处理：${task.title}`
-        : `任务将在24小时内到期，请及时处理：${task.title}`;
+        : `任务将在${hoursLeft}小时内到期，请及时处理：${task.title}`;
+    const openExecutors = parseTaskExecutors(task)
+      .filter((item) => !item.is_done)
+      .map((item) => item.userid);
+    const recipients = await this.filterDigestSuppressedUsers(openExecutors);
+    let logId = null;
+
+    // 执行人均改为只看每日摘要时不发送也不占用时间点，关闭屏蔽后可恢复当前时间点的提醒。
+    if (openExecutors.length > 0 && recipients.length === 0) {
+      return {
+        sent: false,
+        kind: reminderKind,
+        suppressed: true,
+      };
+    }
+
+    // 接收人全部处于免打扰时不占用时间点，结束后的首次扫描会补发当时最近的一个时间点；
+    // 只有部分接收人免打扰时照常发给其余人，免打扰的人在其免打扰结束后补发。
+    const { active: activeRecipients, quiet: quietRecipients } = await this.partitionQuietRecipients(recipients, now);
+    if (activeRecipients.length === 0 && quietRecipients.length > 0) {
+      logWithTrace(traceId, 'task-service', 'task_reminder.deferred', {
+        taskId: task.id,
+        reminderKind,
+        offsetMinutes: slot.offset_minutes,
+        source,
+      });
+
+      return {
+        sent: false,
+        kind: reminderKind,
+        deferred: true,
+      };
+    }
 
     try {
-      await this.sendExecutorActionCard(
-        task,
-        reminderKind === REMINDER_KIND.OVERDUE ? '⏰ 任务逾期提醒' : '🕒 任务到期提醒',
-        reminderDescription,
-        [{ id: 'ACTION_COMPLETE', text: '我已完成' }]
+      // 先占用提醒时间点再发送，并发扫描时同一时间点只会有一方发出提醒。
+      const logResult = await runSql(
+        `INSERT OR IGNORE INTO task_reminder_logs (task_id, due_at, offset_minutes, kind, policy_source, policy_id, recipients)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [task.id, task.end_time, slot.offset_minutes, reminderKind, policy.source, policy.policy_id, recipients.join(',')]
       );
+      if (logResult.changes === 0) {
+        return {
+          sent: false,
+          kind: reminderKind,
+        };
+      }
+      logId = logResult.lastID;
 
-      await runSql(
-        `UPDATE tasks SET last_reminder_at = datetime('now'), last_reminder_kind = ?, updated_at = datetime('now') WHERE id = ?`,
-        [reminderKind, task.id]
+      await this.runWithQuietRecipients(task, quietRecipients, () =>
+        this.sendExecutorActionCard(
+          task,
+          reminderKind === REMINDER_KIND.OVERDUE ? '⏰ 任务逾期提醒' : '🕒 任务到期提醒',
+          reminderDescription,
+          [
+            { id: 'ACTION_COMPLETE', text: '我已完成' },
+            { id: 'ACTION_EXTEND', text: '申请延期' },
+            { id: 'ACTION_HANDOVER', text: '转交他人' },
+          ],
+          recipients
+        )
       );
 
+      await this.recordTaskEvent({
+        task,
+        eventType: TASK_EVENT_TYPE.REMINDER_SENT,
+        actorUserId: SYSTEM_ACTOR,
+        source,
+        fromStatus: task.status,
+        toStatus: task.status,
+        payload: {
+          reminder_kind: reminderKind,
+          offset: formatReminderOffset(slot.offset_minutes),
+          policy_source: policy.source,
+          policy_id: policy.policy_id,
+        },
+      });
+
       logWithTrace(traceId, 'task-service', 'task_reminder.sent', {
         taskId: task.id,
         scheduleId: task.wecom_schedule_id,
         reminderKind,
+        offsetMinutes: slot.offset_minutes,
+        policySource: policy.source,
+        deferredRecipients: quietRecipients,
         source,
       });
 
       return {
         sent: true,
         kind: reminderKind,
+        deferred_recipients: quietRecipients,
       };
     } catch (error) {
+      // 发送失败时释放该时间点，下一轮扫描重试。
+      if (logId) {
+        await runSql(`DELETE FROM task_reminder_logs WHERE id = ?`, [logId]).catch(() => null);
+      }
+
       logWithTrace(traceId, 'task-service', 'task_reminder.error', {
         taskId: task.id,
         scheduleId: task.wecom_schedule_id,
@@ -644,11 +5116,356 @@ class TaskService {
     }
   }
 
+  getEscalationTiers() {
+    return parseEscalationTiers(process.env.TASK_ESCALATION_TIERS || '');
+  }
+
+  // resolveEscalationRecipients
+  // 是什么：逾期升级接收人解析函数。
+  // 做什么：按层级目标取创建人、执行人的直属上级（缺省时取其主部门负责人）或 `TASK_ESCALATION_USERS` 名单，并排除执行人本人。
+  // 为什么：升级的意义在于让执行人之外的人介入，部门负责人需实时从企微通讯录解析以跟随组织架构变化。
+  async resolveEscalationRecipients(task, target) {
+    const executorUserIds = parseTaskExecutors(task).map((item) => item.userid);
+    let recipients = [];
+
+    if (target === ESCALATION_TARGET.CREATOR) {
+      recipients = [normalizeText(task.creator_userid)];
+    } else if (target === ESCALATION_TARGET.ESCALATION_LIST) {
+      recipients = parseUserIdList(process.env.TASK_ESCALATION_USERS || '');
+    } else if (target === ESCALATION_TARGET.DEPARTMENT_LEADER) {
+      for (const executorUserId of executorUserIds) {
+        const user = await wecom.getUser(executorUserId);
+        if (!user || user.errcode !== 0) {
+          throw new Error(`wecom user lookup failed: ${executorUserId}`);
+        }
+
+        const directLeaders = Array.isArray(user.direct_leader) ? user.direct_leader : [];
+        if (directLeaders.length > 0) {
+          recipients.push(...directLeaders);
+          continue;
+        }
+
+        const departmentId = user.main_department || (Array.isArray(user.department) ? user.department[0] : '');
+        if (!departmentId) {
+          continue;
+        }
+
+        const department = await wecom.getDepartment(departmentId);
+        if (!department || department.errcode !== 0) {
+          throw new Error(`wecom department lookup failed: ${departmentId}`);
+        }
+
+        const departmentLeaders = department.department && Array.isArray(department.department.department_leader)
+          ? department.department.department_leader
+          : [];
+        recipients.push(...departmentLeaders);
+      }
+    }
+
+    return parseUserIdList(recipients).filter((userid) => !executorUserIds.includes(userid));
+  }
+
+  // dispatchTaskEscalation
+  // 是什么：逾期任务升级通知函数。
+  // 做什么：按逾期时长取应触发的最高升级层级，通知该层级的接收人，并按“任务 + 截止时间 + 层级”记录升级，同时写入任务事件。
+  // 为什么：逾期提醒只会反复打扰执行人，长期逾期需逐级让管理链介入；记录随截止时间区分，延期后升级链会重新开始。
+  async dispatchTaskEscalation(task, source = 'sync_cron', now = new Date()) {
+    const traceId = createTraceId();
+    const tier = getDueEscalationTier(task, this.getEscalationTiers(), task.escalation_level, now);
+    if (!tier) {
+      return { escalated: false };
+    }
+
+    const overdueHours = Math.floor((now.getTime() - toDateOrNull(task.end_time).getTime()) / (60 * 60 * 1000));
+
+    try {
+      const recipients = await this.resolveEscalationRecipients(task, tier.target);
+      // 无人可通知时（如创建人即唯一执行人、升级名单未配置）不记录该层级，待更高层级到期后由其接手。
+      if (recipients.length === 0) {
+        logWithTrace(traceId, 'task-service', 'task_escalation.skipped', {
+          taskId: task.id,
+          level: tier.level,
+          target: tier.target,
+          reason: 'no_recipients',
+          source,
+        });
+        return { escalated: false, level: tier.level, skipped: true };
+      }
+
+      const { active: activeRecipients, quiet: quietRecipients } = await this.partitionQuietRecipients(recipients, now);
+      if (activeRecipients.length === 0) {
+        logWithTrace(traceId, 'task-service', 'task_escalation.deferred', {
+          taskId: task.id,
+          level: tier.level,
+          source,
+        });
+        return { escalated: false, level: tier.level, deferred: true };
+      }
+
+      await this.runWithQuietRecipients(task, quietRecipients, () =>
+        this.deliverTextCard({
+          touser: recipients.join('|'),
+          title: `🚨 逾期任务升级（第 ${tier.level} 级）`,
+          description: [
+            `任务：${normalizeText(task.title)}`,
+            `执行人：${parseTaskExecutors(task).map((item) => item.userid).join('、')}`,
+            `截止时间：${normalizeText(task.end_time)}`,
+            `已逾期 ${overdueHours} 小时，请关注并协助推进。`,
+          ].join('\n'),
+          url: buildTaskDetailUrl(task),
+          btntxt: '查看任务',
+        })
+      );
+
+      await runSql(
+        `INSERT OR IGNORE INTO task_escalations (task_id, level, due_at, target, recipients)
+         VALUES (?, ?, ?, ?, ?)`,
+        [task.id, tier.level, task.end_time, tier.target, recipients.join(',')]
+      );
+
+      await this.recordTaskEvent({
+        task,
+        eventType: TASK_EVENT_TYPE.ESCALATED,
+        actorUserId: SYSTEM_ACTOR,
+        source,
+        fromStatus: task.status,
+        toStatus: task.status,
+        payload: { level: tier.level, target: tier.target, recipients, overdue_hours: overdueHours },
+      });
+
+      logWithTrace(traceId, 'task-service', 'task_escalation.sent', {
+        taskId: task.id,
+        level: tier.level,
+        target: tier.target,
+        recipients,
+        source,
+      });
+
+      return { escalated: true, level: tier.level, target: tier.target, recipients };
+    } catch (error) {
+      logWithTrace(traceId, 'task-service', 'task_escalation.error', {
+        taskId: task.id,
+        level: tier.level,
+        target: tier.target,
+        source,
+        message: error.message,
+      });
+
+      return { escalated: false, level: tier.level };
+    }
+  }
+
+  // dispatchVerifierReminder
+  // 是什么：待验收停滞处理函数。
+  // 做什么：按任务生效的验收等待策略，对停滞的待验收任务再次提醒验收人，或在超时后自动通过、改派备用验收人。
+  // 为什么：到期提醒只覆盖待执行任务，已提交的任务可能在验收人手上无限期搁置。
+  async dispatchVerifierReminder(task, source = 'sync_cron', now = new Date()) {
+    const traceId = createTraceId();
+    const policy = resolveVerifyPolicy(task, this.getVerifyPolicy());
+    const waitHours = this.getVerifyWaitHours(task, now);
+    let decision = getVerifyStallDecision(task, policy, waitHours, now);
+
+    try {
+      // 自动通过与改派同样会推送卡片：验收人全部处于免打扰时一并顺延，部分处于免打扰时照常处理，免打扰的人稍后补发。
+      const { active: activeVerifiers, quiet: quietVerifiers } =
+        decision === VERIFY_STALL_DECISION.NONE
+          ? { active: [], quiet: [] }
+          : await this.partitionQuietRecipients(this.buildVerifierRecipients(task).split('|'), now);
+      if (activeVerifiers.length === 0 && quietVerifiers.length > 0) {
+        logWithTrace(traceId, 'task-service', 'verify_reminder.deferred', {
+          taskId: task.id,
+          decision,
+          source,
+        });
+        return { action: VERIFY_TIMEOUT_ACTION.NONE, reminded: false, deferred: true, wait_hours: waitHours };
+      }
+
+      if (decision === VERIFY_STALL_DECISION.TIMEOUT && policy.action === VERIFY_TIMEOUT_ACTION.AUTO_PASS) {
+        await this.runWithQuietRecipients(task, quietVerifiers, () =>
+          this.autoPassStalledTask(task, policy, waitHours, source)
+        );
+        return { action: VERIFY_TIMEOUT_ACTION.AUTO_PASS, wait_hours: waitHours };
+      }
+
+      if (decision === VERIFY_STALL_DECISION.TIMEOUT && policy.action === VERIFY_TIMEOUT_ACTION.REROUTE) {
+        const rerouted = await this.runWithQuietRecipients(task, quietVerifiers, () =>
+          this.rerouteStalledVerification(task, policy, waitHours, source)
+        );
+        if (rerouted) {
+          return { action: VERIFY_TIMEOUT_ACTION.REROUTE, wait_hours: waitHours, verifier: rerouted };
+        }
+
+        // 没有可用的备用验收人时退回普通提醒节奏，按冷却时长决定是否提醒，避免每轮扫描都催办一次。
+        decision = getVerifyStallDecision(task, { ...policy, action: VERIFY_TIMEOUT_ACTION.NONE }, waitHours, now);
+      }
+
+      if (decision === VERIFY_STALL_DECISION.NONE) {
+        return { action: VERIFY_TIMEOUT_ACTION.NONE, reminded: false, wait_hours: waitHours };
+      }
+
+      await this.runWithQuietRecipients(task, quietVerifiers, () =>
+        this.sendVerifierCard(task, {
+          title: '⏳ 验收提醒',
+          description: `任务已等待验收 ${waitHours} 个工作小时，请尽快处理`,
+        })
+      );
+      await runSql(`UPDATE tasks SET last_verify_reminder_at = datetime('now') WHERE id = ?`, [task.id]);
+      await this.recordTaskEvent({
+        task,
+        eventType: TASK_EVENT_TYPE.VERIFY_REMINDER_SENT,
+        actorUserId: SYSTEM_ACTOR,
+        source,
+        fromStatus: task.status,
+        toStatus: task.status,
+        payload: { wait_hours: waitHours },
+      });
+
+      logWithTrace(traceId, 'task-service', 'verify_reminder.sent', {
+        taskId: task.id,
+        waitHours,
+        source,
+      });
+
+      return { action: VERIFY_TIMEOUT_ACTION.NONE, reminded: true, wait_hours: waitHours };
+    } catch (error) {
+      logWithTrace(traceId, 'task-service', 'verify_reminder.error', {
+        taskId: task.id,
+        decision,
+        action: policy.action,
+        source,
+        message: error.message,
+      });
+
+      return { action: VERIFY_TIMEOUT_ACTION.NONE, reminded: false, wait_hours: waitHours };
+    }
+  }
+
+  // autoPassStalledTask
+  // 是什么：验收超时自动通过函数。
+  // 做什么：以系统身份闭环任务并放行全部未决审批阶段，记录自动通过事件后通知执行人与原验收人。
+  // 为什么：低风险任务不应因验收人缺席而阻塞后续任务与周期任务生成；验收人需知情以便事后复核。
+  async autoPassStalledTask(task, policy, waitHours, source) {
+    const traceId = createTraceId();
+    const verifierRecipients = this.buildVerifierRecipients(task);
+    const updateResult = await runSql(
+      `UPDATE tasks
+       SET status = ?, verify_time = datetime('now'), verified_by_userid = ?, reject_reason = NULL, rerouted_verifier_userid = NULL, updated_at = datetime('now')
+       WHERE id = ? AND status = ?`,
+      [TASK_STATUS.COMPLETED, SYSTEM_ACTOR, task.id, TASK_STATUS.WAITING_VERIFY]
+    );
+
+    if (updateResult.changes === 0) {
+      throw new TaskOperationError('TASK_STATUS_CONFLICT', '任务状态已变更，请刷新后重试', 409);
+    }
+
+    await runSql(
+      `UPDATE task_approval_stages SET status = ?, decided_by_userid = ?, decided_at = datetime('now')
+       WHERE task_id = ? AND status = ?`,
+      [APPROVAL_STAGE_STATUS.PASSED, SYSTEM_ACTOR, task.id, APPROVAL_STAGE_STATUS.PENDING]
+    );
+
+    const updatedTask = await this.getTaskById(task.id);
+    await this.recordTaskEvent({
+      task: updatedTask,
+      eventType: TASK_EVENT_TYPE.VERIFY_AUTO_PASSED,
+      actorUserId: SYSTEM_ACTOR,
+      source,
+      fromStatus: task.status,
+      toStatus: updatedTask.status,
+      payload: { wait_hours: waitHours, timeout_hours: policy.timeout_hours },
+    });
+
+    try {
+      await this.sendVerificationResultCard(updatedTask, true);
+      if (verifierRecipients) {
+        await this.deliverTextCard({
+          touser: verifierRecipients,
+          title: '🤖 任务已超时自动通过',
+          description: `任务：${normalizeText(task.title)}\n等待验收 ${waitHours} 个工作小时未处理，已按策略自动通过。`,
+          url: buildTaskDetailUrl(task),
+          btntxt: '查看详情',
+        });
+      }
+    } catch (error) {
+      logWithTrace(traceId, 'task-service', 'verify_auto_pass.notify_error', {
+        taskId: task.id,
+        message: error.message,
+      });
+    }
+
+    await this.runTaskClosedFollowUps(updatedTask);
+
+    logWithTrace(traceId, 'task-service', 'verify_auto_pass.success', {
+      taskId: task.id,
+      waitHours,
+      source,
+    });
+
+    return updatedTask;
+  }
+
+  // rerouteStalledVerification
+  // 是什么：验收超时改派函数。
+  // 做什么：从备用验收人中选出首个非执行人、非当前验收人的成员，授予其验收权限并推送验收卡片；无可用人选时返回空字符串。
+  // 为什么：关键任务不能自动放行，只能换一位有权限的人尽快作出决定；原验收人仍保留决定权。
+  async rerouteStalledVerification(task, policy, waitHours, source) {
+    const traceId = createTraceId();
+    const excludedUserIds = [
+      ...parseTaskExecutors(task).map((item) => item.userid),
+      ...this.buildVerifierRecipients(task).split('|'),
+    ];
+    const backupVerifier = policy.backup_verifiers.find((userid) => !excludedUserIds.includes(userid)) || '';
+    if (!backupVerifier) {
+      logWithTrace(traceId, 'task-service', 'verify_reroute.skip', {
+        taskId: task.id,
+        reason: 'no_backup_verifier',
+      });
+      return '';
+    }
+
+    const updateResult = await runSql(
+      `UPDATE tasks
+       SET rerouted_verifier_userid = ?, last_verify_reminder_at = datetime('now'), updated_at = datetime('now')
+       WHERE id = ? AND status = ? AND rerouted_verifier_userid IS NULL`,
+      [backupVerifier, task.id, TASK_STATUS.WAITING_VERIFY]
+    );
+
+    if (updateResult.changes === 0) {
+      throw new TaskOperationError('TASK_STATUS_CONFLICT', '任务状态已变更，请刷新后重试', 409);
+    }
+
+    const updatedTask = await this.getTaskById(task.id);
+    await this.recordTaskEvent({
+      task: updatedTask,
+      eventType: TASK_EVENT_TYPE.VERIFY_REROUTED,
+      actorUserId: SYSTEM_ACTOR,
+      source,
+      fromStatus: task.status,
+      toStatus: updatedTask.status,
+      payload: { verifier_userid: backupVerifier, wait_hours: waitHours, timeout_hours: policy.timeout_hours },
+    });
+
+    await this.sendVerifierCard(updatedTask, {
+      touser: backupVerifier,
+      title: '🔁 验收已转交给你',
+      description: `原验收人已 ${waitHours} 个工作小时未处理，请代为验收`,
+    });
+
+    logWithTrace(traceId, 'task-service', 'verify_reroute.success', {
+      taskId: task.id,
+      backupVerifier,
+      waitHours,
+      source,
+    });
+
+    return backupVerifier;
+  }
+
   async handleInteraction(payload) {
     const traceId = createTraceId();
     const userId = normalizeText(payload && payload.UserID);
     const scheduleId = normalizeText(payload && payload.TaskId);
-    const actionKey = normalizeActionKey(payload && payload.SelectedKey);
+    const { action: actionKey, argument: actionArgument } = parseActionKey(payload && payload.SelectedKey);
 
     logWithTrace(traceId, 'task-service', 'interaction.start', {
       userId,
@@ -661,15 +5478,106 @@ class TaskService {
     }
 
     if (actionKey === 'ACTION_COMPLETE') {
-      return this.submitForVerification(scheduleId, userId, 'wecom_card');
+      const task = await this.getTaskByScheduleId(scheduleId);
+      if (task && getCompleteBlockReason(task, userId) === COMPLETE_BLOCK_REASON.EVIDENCE_MISSING) {
+        await this.sendEvidenceRequiredCard(task, userId);
+      }
+      const result = await this.submitForVerification(scheduleId, userId, 'wecom_card');
+      try {
+        await this.sendReportPromptCard(result.task, userId);
+      } catch (error) {
+        logWithTrace(traceId, 'task-service', 'interaction.report_prompt_error', {
+          taskId: result.task.id,
+          userId,
+          message: error.message,
+        });
+      }
+      return result;
     }
 
     if (actionKey === 'ACTION_PASS') {
-      return this.verifyTask(scheduleId, userId, true, '', 'wecom_card');
+      const result = await this.verifyTask(scheduleId, userId, true, '', 'wecom_card');
+      if (result.task.status === TASK_STATUS.COMPLETED) {
+        try {
+          await this.sendQualityRatingCard(result.task, userId);
+        } catch (error) {
+          logWithTrace(traceId, 'task-service', 'interaction.rating_card_error', {
+            taskId: result.task.id,
+            userId,
+            message: error.message,
+          });
+        }
+      }
+      return result;
+    }
+
+    if (actionKey === 'ACTION_RATE') {
+      return this.rateTask(scheduleId, userId, { score: actionArgument }, 'wecom_card');
     }
 
     if (actionKey === 'ACTION_REJECT') {
-      return this.verifyTask(scheduleId, userId, false, '领导驳回', 'wecom_card');
+      if (!actionArgument) {
+        return this.sendRejectReasonPickerCard(await this.getTaskByScheduleId(scheduleId), userId);
+      }
+      return this.verifyTask(scheduleId, userId, false, actionArgument, 'wecom_card');
+    }
+
+    if (actionKey === 'ACTION_EXTEND') {
+      const task = await this.getTaskByScheduleId(scheduleId);
+      if (!task) {
+        throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+      }
+
+      const extendHours = Number(actionArgument);
+      if (!actionArgument) {
+        return this.sendExtensionPickerCard(task, userId);
+      }
+
+      if (!Number.isFinite(extendHours) || extendHours <= 0) {
+        throw new TaskOperationError('TASK_EXTENSION_INVALID', '延期时长不正确', 400);
+      }
+
+      const baseEndTime = toDateOrNull(task.end_time) || new Date();
+      return this.requestTaskExtension(
+        task.id,
+        {
+          proposed_end_time: new Date(baseEndTime.getTime() + extendHours * 60 * 60 * 1000).toISOString(),
+          reason: `企业微信卡片申请延期 ${extendHours} 小时`,
+        },
+        userId,
+        'wecom_card'
+      );
+    }
+
+    if ((actionKey === 'ACTION_EXTEND_APPROVE' || actionKey === 'ACTION_EXTEND_DENY') && actionArgument) {
+      const task = await this.getTaskByScheduleId(scheduleId);
+      if (!task) {
+        throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+      }
+      return this.decideTaskExtension(
+        task.id,
+        Number(actionArgument),
+        actionKey === 'ACTION_EXTEND_APPROVE',
+        userId,
+        '',
+        'wecom_card'
+      );
+    }
+
+    if (actionKey === 'ACTION_HANDOVER') {
+      const task = await this.getTaskByScheduleId(scheduleId);
+      if (!task || !parseTaskExecutors(task).some((item) => item.userid === userId)) {
+        throw new TaskOperationError('TASK_REASSIGN_FORBIDDEN', '仅执行人本人可发起转交', 403);
+      }
+      return this.sendHandoverPickerCard(task, userId);
+    }
+
+    if (actionKey === 'ACTION_REASSIGN' && actionArgument) {
+      const task = await this.getTaskByScheduleId(scheduleId);
+      if (!task) {
+        throw new TaskOperationError('TASK_NOT_FOUND', '任务不存在', 404);
+      }
+      return this.reassignTask(task.id, { from_userid: userId, to_userid: actionArgument }, userId, 'wecom_card');
     }
 
     logWithTrace(traceId, 'task-service', 'interaction.skip', {
@@ -686,4 +5594,5 @@ class TaskService {
 module.exports = {
   taskService: new TaskService(),
   TaskOperationError,
+  TASK_ROW_SELECT_SQL,
 };
@@ -130,8 +130,38 @@ class WeComService {
     return response.data;
   }
 
+  // updateSchedule
+  // 是什么：企业微信日程更新函数。
+  // 做什么：调用 `oa/schedule/update` 覆盖日程的时间、标题与参与人。
+  // 为什么：任务转交、延期等变更需回写日程，否则下次同步会把旧执行人重新带回任务。
+  async updateSchedule(schedule = {}, options = {}) {
+    const traceId = createTraceId();
+    const token = await this.getAccessToken();
+    const url = `https://qyapi.weixin.qq.com/cgi-bin/oa/schedule/update?access_token=${token}`;
+
+    logWithTrace(traceId, 'wecom-service', 'schedule.update.start', {
+      scheduleId: schedule && schedule.schedule_id,
+      attendeeCount: (schedule && Array.isArray(schedule.attendees) && schedule.attendees.length) || 0,
+      skipAttendees: Boolean(options.skipAttendees),
+    });
+
+    const response = await axios.post(url, {
+      skip_attendees: Boolean(options.skipAttendees),
+      schedule,
+    });
+
+    logWithTrace(traceId, 'wecom-service', 'schedule.update.success', {
+      scheduleId: schedule && schedule.schedule_id,
+      errcode: response.data && response.data.errcode,
+      errmsg: response.data && response.data.errmsg,
+    });
+
+    return response.data;
+  }
+
   /**
    * Send Template Card (Interactive Message)
+   * `config.card_type` 为 `vote_interaction` 时发送投票卡片，使用 `checkbox` 与 `submit_button`。
    * @param {Object} config Card configuration
    */
   async sendTemplateCard(config) {
@@ -139,11 +169,28 @@ class WeComService {
     const token = await this.getAccessToken();
     const url = `https://qyapi.weixin.qq.com/cgi-bin/message/send?access_token=${token}`;
 
+    const templateCard = config.card_type === "vote_interaction"
+      ? {
+          card_type: "vote_interaction",
+          source: {
+            icon_url: config.icon_url || "",
+            desc: "任务闭环系统",
+          },
+          main_title: {
+            title: config.title,
+            desc: config.description,
+          },
+          task_id: config.task_id,
+          checkbox: config.checkbox,
+          submit_button: config.submit_button,
+        }
+      : null;
+
     const payload = {
       touser: config.touser,
       msgtype: "template_card",
       agentid: this.agentId,
-      template_card: {
+      template_card: templateCard || {
         card_type: "button_interaction",
         source: {
           icon_url: config.icon_url || "",
@@ -160,6 +207,9 @@ class WeComService {
           desc: "更多操作",
           action_list: [{ text: "查看详情", key: "VIEW_DETAIL" }],
         },
+        ...(Array.isArray(config.jump_list) && config.jump_list.length > 0
+          ? { jump_list: config.jump_list }
+          : {}),
         task_id: config.task_id,
         button_selection: {
           question_key: "task_action",
@@ -176,6 +226,7 @@ class WeComService {
     logWithTrace(traceId, 'wecom-service', 'template_card.send.start', {
       touser: payload.touser,
       taskId: payload.template_card.task_id,
+      cardType: payload.template_card.card_type,
       title: payload.template_card.main_title && payload.template_card.main_title.title,
       buttonSelectionCount: (payload.template_card.button_selection && payload.template_card.button_selection.option_list && payload.template_card.button_selection.option_list.length) || 0
     });
@@ -188,6 +239,79 @@ class WeComService {
     });
     return response.data;
   }
+
+  // sendTextCard
+  // 是什么：企业微信文本卡片消息发送函数。
+  // 做什么：以 `textcard` 消息推送标题、正文与详情链接，不带交互按钮。
+  // 为什么：评论等纯通知类消息无需操作，文本卡片比模板卡片更轻量且正文可容纳多行内容。
+  async sendTextCard(config) {
+    const traceId = createTraceId();
+    const token = await this.getAccessToken();
+    const url = `https://qyapi.weixin.qq.com/cgi-bin/message/send?access_token=${token}`;
+
+    const payload = {
+      touser: config.touser,
+      msgtype: "textcard",
+      agentid: this.agentId,
+      textcard: {
+        title: config.title,
+        description: config.description,
+        url: config.url,
+        btntxt: config.btntxt || "详情",
+      },
+      enable_id_trans: 0,
+      enable_duplicate_check: 0,
+      duplicate_check_interval: 1800,
+    };
+
+    logWithTrace(traceId, 'wecom-service', 'text_card.send.start', {
+      touser: payload.touser,
+      title: payload.textcard.title,
+    });
+
+    const response = await axios.post(url, payload);
+    logWithTrace(traceId, 'wecom-service', 'text_card.send.success', {
+      errcode: response.data && response.data.errcode,
+      errmsg: response.data && response.data.errmsg,
+      msgid: response.data && response.data.msgid
+    });
+    return response.data;
+  }
+
+  // sendMarkdown
+  // 是什么：企业微信 markdown 消息发送函数。
+  // 做什么：以 `markdown` 消息推送多行正文，正文中可包含链接与字体颜色。
+  // 为什么：每日摘要需在一条消息里列出多个任务并逐个附详情链接，文本卡片只能携带一个链接。
+  async sendMarkdown(config) {
+    const traceId = createTraceId();
+    const token = await this.getAccessToken();
+    const url = `https://qyapi.weixin.qq.com/cgi-bin/message/send?access_token=${token}`;
+
+    const payload = {
+      touser: config.touser,
+      msgtype: "markdown",
+      agentid: this.agentId,
+      markdown: {
+        content: config.content,
+      },
+      enable_duplicate_check: 0,
+      duplicate_check_interval: 1800,
+    };
+
+    logWithTrace(traceId, 'wecom-service', 'markdown.send.start', {
+      touser: payload.touser,
+      contentLength: Buffer.byteLength(payload.markdown.content || ''),
+    });
+
+    const response = await axios.post(url, payload);
+    logWithTrace(traceId, 'wecom-service', 'markdown.send.success', {
+      errcode: response.data && response.data.errcode,
+      errmsg: response.data && response.data.errmsg,
+      msgid: response.data && response.data.msgid
+    });
+    return response.data;
+  }
+
   /**
    * Get User Details
    * @param {string} userId
@@ -208,6 +332,26 @@ class WeComService {
     return response.data;
   }
 
+  /**
+   * Get Department Details (including department_leader)
+   * @param {string|number} departmentId
+   */
+  async getDepartment(departmentId) {
+    const traceId = createTraceId();
+    const token = await this.getAccessToken();
+    const url = `https://qyapi.weixin.qq.com/cgi-bin/department/get?access_token=${token}&id=${departmentId}`;
+    logWithTrace(traceId, 'wecom-service', 'department.get.start', {
+      departmentId
+    });
+    const response = await axios.get(url);
+    logWithTrace(traceId, 'wecom-service', 'department.get.success', {
+      departmentId,
+      errcode: response.data && response.data.errcode,
+      errmsg: response.data && response.data.errmsg
+    });
+    return response.data;
+  }
+
   /**
    * Get User Info from OAuth Code
    * @param {string} code
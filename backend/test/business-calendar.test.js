@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  parseWorkingHours,
+  parseHolidayJson,
+  parseHolidayIcs,
+  buildBusinessCalendar,
+  countWorkingHoursBetween,
+  addWorkingDayHours,
+  buildDueSoonDeadlines,
+  isQuietTime,
+  normalizeTimezoneOffsetInput,
+  describeBusinessCalendar,
+} = require('../src/services/business-calendar');
+const { isTaskDueSoon } = require('../src/services/task-lifecycle');
+
+const SPRING_FESTIVAL_ICS = [
+  'BEGIN:VCALENDAR',
+  'BEGIN:VEVENT',
+  'DTSTART;VALUE=DATE:20260216',
+  'DTEND;VALUE=DATE:20260221',
+  'SUMMARY:春节',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART;VALUE=DATE:20260214',
+  'SUMMARY:春节补班',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+test('parseWorkingHours 按星期解析工作时段，非法配置回退周一至周五 9:00-18:00', () => {
+  const workingHours = parseWorkingHours('mon-fri=09:30-18:00;周六=10:00-14:00;sun=18:00-09:00');
+  assert.deepEqual(workingHours[1], { start_minutes: 570, end_minutes: 1080 });
+  assert.deepEqual(workingHours[6], { start_minutes: 600, end_minutes: 840 });
+  assert.equal(workingHours[0], null);
+
+  const fallback = parseWorkingHours('weekday=nine-to-five');
+  assert.deepEqual(fallback[5], { start_minutes: 540, end_minutes: 1080 });
+  assert.equal(fallback[6], null);
+});
+
+test('节假日名单支持 JSON 区间与 ICS 订阅，补班日识别为工作日', () => {
+  const jsonList = parseHolidayJson(
+    JSON.stringify({
+      holidays: ['2026-10-01', { start: '2026-10-02', end: '2026-10-03', name: '国庆节' }],
+      workdays: [{ date: '2026-09-27', name: '国庆补班' }],
+    })
+  );
+  assert.deepEqual(Array.from(jsonList.holidays.keys()), ['2026-10-01', '2026-10-02', '2026-10-03']);
+  assert.equal(jsonList.workdays.get('2026-09-27'), '国庆补班');
+
+  const icsList = parseHolidayIcs(SPRING_FESTIVAL_ICS);
+  assert.deepEqual(Array.from(icsList.holidays.keys()), [
+    '2026-02-16',
+    '2026-02-17',
+    '2026-02-18',
+    '2026-02-19',
+    '2026-02-20',
+  ]);
+  assert.deepEqual(Array.from(icsList.workdays.keys()), ['2026-02-14']);
+});
+
+test('countWorkingHoursBetween 只统计业务日历的工作时段，节假日不计、补班日计入', () => {
+  const calendar = buildBusinessCalendar({ utcOffsetMinutes: 480 });
+  // 周五 08:00 至下周一 11:00（UTC+8）：周五 9 小时 + 周一 2 小时。
+  assert.equal(countWorkingHoursBetween('2026-03-06T00:00:00.000Z', '2026-03-09T03:00:00.000Z', calendar), 11);
+  assert.equal(countWorkingHoursBetween('2026-03-07T02:00:00.000Z', '2026-03-08T10:00:00.000Z', calendar), 0);
+  assert.equal(countWorkingHoursBetween('2026-03-09T03:00:00.000Z', '2026-03-06T00:00:00.000Z', calendar), 0);
+
+  const festivalCalendar = buildBusinessCalendar({
+    utcOffsetMinutes: 480,
+    holidayList: parseHolidayIcs(SPRING_FESTIVAL_ICS),
+  });
+  // 周五 2/13 17:00 起：周五 1 小时 + 周六补班 9 小时，春节假期不计，2/23 周一 10:00 再计 1 小时。
+  assert.equal(
+    countWorkingHoursBetween('2026-02-13T09:00:00.000Z', '2026-02-23T02:00:00.000Z', festivalCalendar),
+    11
+  );
+});
+
+test('即将到期按工作日推算窗口，周五傍晚看周一上午到期的任务仍算 1 个工作日内', () => {
+  const calendar = buildBusinessCalendar({ utcOffsetMinutes: 480 });
+  const fridayEvening = new Date('2026-03-06T10:00:00.000Z');
+
+  assert.equal(addWorkingDayHours(fridayEvening, 24, calendar).toISOString(), '2026-03-09T10:00:00.000Z');
+
+  const deadlines = buildDueSoonDeadlines(fridayEvening, calendar);
+  const task = { status: 'PENDING', priority: 'P2', end_time: '2026-03-09T02:00:00.000Z' };
+  assert.equal(isTaskDueSoon(task, fridayEvening, deadlines), true);
+  assert.equal(isTaskDueSoon(task, fridayEvening), false);
+  assert.equal(isTaskDueSoon({ ...task, end_time: '2026-03-10T02:00:00.000Z' }, fridayEvening, deadlines), false);
+});
+
+test('isQuietTime 在免打扰时段与非工作日返回真，按接收人时区判断', () => {
+  const calendar = buildBusinessCalendar({
+    utcOffsetMinutes: 480,
+    quietHours: '22:00-08:00',
+    holidayList: parseHolidayIcs(SPRING_FESTIVAL_ICS),
+  });
+
+  assert.equal(isQuietTime(new Date('2026-03-09T19:00:00.000Z'), calendar), true);
+  assert.equal(isQuietTime(new Date('2026-03-10T02:00:00.000Z'), calendar), false);
+  assert.equal(isQuietTime(new Date('2026-03-07T02:00:00.000Z'), calendar), true);
+  assert.equal(isQuietTime(new Date('2026-02-17T02:00:00.000Z'), calendar), true);
+  assert.equal(isQuietTime(new Date('2026-02-14T02:00:00.000Z'), calendar), false);
+  // 北京时间周二 12:00 对 UTC-5 的成员是周一 23:00。
+  assert.equal(isQuietTime(new Date('2026-03-10T04:00:00.000Z'), calendar, -300), true);
+
+  assert.equal(isQuietTime(new Date('2026-03-09T19:00:00.000Z'), buildBusinessCalendar({ utcOffsetMinutes: 480 })), false);
+  assert.equal(describeBusinessCalendar(calendar).quiet_hours, '22:00-08:00');
+});
+
+test('normalizeTimezoneOffsetInput 兼容分钟数与 UTC±HH:MM 写法', () => {
+  assert.equal(normalizeTimezoneOffsetInput(480), 480);
+  assert.equal(normalizeTimezoneOffsetInput('UTC+8'), 480);
+  assert.equal(normalizeTimezoneOffsetInput('-05:30'), -330);
+  assert.equal(normalizeTimezoneOffsetInput(''), null);
+  assert.equal(normalizeTimezoneOffsetInput('UTC+15'), undefined);
+  assert.equal(normalizeTimezoneOffsetInput('Asia/Shanghai'), undefined);
+});
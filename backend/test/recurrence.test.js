@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  parseRecurrenceRule,
+  formatRecurrenceRule,
+  computeNextOccurrence,
+  shouldMaterializeByLeadTime,
+} = require('../src/services/recurrence');
+
+const listOccurrences = (rawRule, dtstart, limit = 6) => {
+  const rule = parseRecurrenceRule(rawRule);
+  const result = [dtstart];
+  let previousStart = dtstart;
+
+  while (result.length < limit) {
+    const nextStart = computeNextOccurrence(rule, {
+      dtstart,
+      previousStart,
+      occurrenceCount: result.length,
+      utcOffsetMinutes: 480,
+    });
+    if (!nextStart) {
+      break;
+    }
+    result.push(nextStart.toISOString());
+    previousStart = nextStart.toISOString();
+  }
+
+  return result;
+};
+
+test('parseRecurrenceRule 解析支持的规则并拒绝非法输入', () => {
+  const rule = parseRecurrenceRule('RRULE:FREQ=weekly;INTERVAL=2;BYDAY=MO,FR;COUNT=4');
+
+  assert.equal(rule.freq, 'WEEKLY');
+  assert.equal(rule.interval, 2);
+  assert.equal(rule.count, 4);
+  assert.equal(formatRecurrenceRule(rule), 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR;COUNT=4');
+
+  assert.equal(parseRecurrenceRule('FREQ=YEARLY'), null);
+  assert.equal(parseRecurrenceRule('FREQ=DAILY;INTERVAL=0'), null);
+  assert.equal(parseRecurrenceRule('FREQ=WEEKLY;BYDAY=1MO'), null);
+  assert.equal(parseRecurrenceRule('FREQ=DAILY;COUNT=3;UNTIL=20261231'), null);
+  assert.equal(parseRecurrenceRule(''), null);
+});
+
+test('computeNextOccurrence 按业务时区计算工作日每日规则', () => {
+  // 2026-10-23 09:00（UTC+8）为周五，下一期应跳过周末。
+  const result = listOccurrences('FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR', '2026-10-23T01:00:00.000Z', 3);
+
+  assert.deepEqual(result, ['2026-10-23T01:00:00.000Z', '2026-10-26T01:00:00.000Z', '2026-10-27T01:00:00.000Z']);
+});
+
+test('computeNextOccurrence 支持隔周多日与 COUNT 截止', () => {
+  const result = listOccurrences('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR;COUNT=4', '2026-10-19T01:00:00.000Z');
+
+  assert.deepEqual(result, [
+    '2026-10-19T01:00:00.000Z',
+    '2026-10-23T01:00:00.000Z',
+    '2026-11-02T01:00:00.000Z',
+    '2026-11-06T01:00:00.000Z',
+  ]);
+});
+
+test('computeNextOccurrence 按月规则跳过不存在的日期并支持最后一个星期几', () => {
+  assert.deepEqual(listOccurrences('FREQ=MONTHLY', '2026-01-31T01:00:00.000Z', 3), [
+    '2026-01-31T01:00:00.000Z',
+    '2026-03-31T01:00:00.000Z',
+    '2026-05-31T01:00:00.000Z',
+  ]);
+
+  assert.deepEqual(listOccurrences('FREQ=MONTHLY;BYDAY=-1FR', '2026-10-30T01:00:00.000Z', 3), [
+    '2026-10-30T01:00:00.000Z',
+    '2026-11-27T01:00:00.000Z',
+    '2026-12-25T01:00:00.000Z',
+  ]);
+});
+
+test('computeNextOccurrence 的日期型 UNTIL 以业务时区当天结束为界', () => {
+  // 2026-10-19T17:00Z 为 UTC+8 的 10-20 01:00，UNTIL=20261021 只应包含 10-20 与 10-21 两期。
+  const result = listOccurrences('FREQ=DAILY;UNTIL=20261021', '2026-10-19T17:00:00.000Z');
+
+  assert.deepEqual(result, ['2026-10-19T17:00:00.000Z', '2026-10-20T17:00:00.000Z']);
+});
+
+test('shouldMaterializeByLeadTime 仅在进入提前窗口后返回 true', () => {
+  const nextStart = new Date('2026-10-20T01:00:00.000Z');
+
+  assert.equal(shouldMaterializeByLeadTime(nextStart, 24, new Date('2026-10-19T00:59:00.000Z')), false);
+  assert.equal(shouldMaterializeByLeadTime(nextStart, 24, new Date('2026-10-19T01:00:00.000Z')), true);
+  assert.equal(shouldMaterializeByLeadTime(nextStart, null, new Date('2026-10-21T00:00:00.000Z')), false);
+});
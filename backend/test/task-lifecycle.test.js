@@ -6,11 +6,49 @@ const {
   parseGlobalVerifiers,
   canUserCompleteTask,
   canUserVerifyTask,
+  getCompleteBlockReason,
+  normalizeTaskItemsInput,
+  normalizeBatchTaskIds,
+  groupNotificationsByRecipient,
+  normalizeTemplateExecutorRole,
+  normalizeTaskItemInput,
+  wouldCreateDependencyCycle,
   normalizeActionKey,
+  parseActionKey,
+  normalizeTaskPriority,
+  parsePriorityFromText,
+  isTaskDueSoon,
+  buildTaskPayloadDiff,
+  toDateOrNull,
+  isTaskVisibleToUser,
   mapTaskRowToApi,
-  getReminderKind,
-  shouldSendReminder,
+  parseTaskExecutors,
+  isTaskExecutionSatisfied,
+  normalizeApprovalStagesInput,
+  parseReminderOffset,
+  formatReminderOffset,
+  normalizeReminderPolicyInput,
+  resolveReminderPolicy,
+  getDueReminderSlot,
   buildTaskKpi,
+  TASK_MANAGE_ACTION,
+  canUserManageTask,
+  canApplyManageAction,
+  normalizeTaskLabels,
+  parseTaskLabels,
+  parseCommentMentions,
+  normalizeSubmissionReportInput,
+  parseSubmissionReportText,
+  normalizeQualityRatingInput,
+  buildTeamStats,
+  buildWeekdayActivity,
+  parseRejectReasons,
+  parseEscalationTiers,
+  getDueEscalationTier,
+  normalizeVerifyPolicyInput,
+  resolveVerifyPolicy,
+  getVerifyStallDecision,
+  buildVerifierWaitStats,
 } = require('../src/services/task-lifecycle');
 
 test('parseGlobalVerifiers 应去空格并去重', () => {
@@ -77,48 +115,71 @@ test('mapTaskRowToApi 应补充权限与时效字段', () => {
   assert.equal(mapped.is_overdue, false);
 });
 
-test('getReminderKind 应返回到期与逾期提醒类型', () => {
-  const now = new Date('2026-02-12T12:00:00.000Z');
-
-  const dueSoonTask = {
-    status: 'PENDING',
-    end_time: '2026-02-13T10:00:00.000Z',
-  };
+test('parseReminderOffset 与 formatReminderOffset 应互相还原偏移量书写形式', () => {
+  assert.equal(parseReminderOffset('-3d'), -4320);
+  assert.equal(parseReminderOffset('-2h'), -120);
+  assert.equal(parseReminderOffset('+0'), 0);
+  assert.equal(parseReminderOffset('+1d'), 1440);
+  assert.equal(parseReminderOffset('90'), 90);
+  assert.equal(parseReminderOffset('-31d'), null);
+  assert.equal(parseReminderOffset('明天'), null);
 
-  const overdueTask = {
-    status: 'PENDING',
-    end_time: '2026-02-12T10:00:00.000Z',
-  };
+  assert.equal(formatReminderOffset(-4320), '-3d');
+  assert.equal(formatReminderOffset(-120), '-2h');
+  assert.equal(formatReminderOffset(0), '+0');
+  assert.equal(formatReminderOffset(90), '+90m');
+});
 
-  assert.equal(getReminderKind(dueSoonTask, now), REMINDER_KIND.DUE_SOON);
-  assert.equal(getReminderKind(overdueTask, now), REMINDER_KIND.OVERDUE);
-  assert.equal(
-    getReminderKind({ ...dueSoonTask, status: 'COMPLETED' }, now),
-    REMINDER_KIND.NONE
+test('normalizeReminderPolicyInput 去重排序偏移量并校验逾期重复间隔', () => {
+  assert.deepEqual(
+    normalizeReminderPolicyInput({ name: ' 冲刺节奏 ', offsets: '-1d,-3d,+0,-1d', overdue_repeat: '1d' }),
+    { name: '冲刺节奏', offsets: [-4320, -1440, 0], overdue_repeat_minutes: 1440 }
   );
+  assert.equal(normalizeReminderPolicyInput({ name: '无重复', offsets: ['-2h'] }).overdue_repeat_minutes, null);
+  assert.equal(normalizeReminderPolicyInput({ name: '', offsets: ['-2h'] }), null);
+  assert.equal(normalizeReminderPolicyInput({ name: '空偏移', offsets: [] }), null);
+  assert.equal(normalizeReminderPolicyInput({ name: '格式错误', offsets: ['-2x'] }), null);
+  assert.equal(normalizeReminderPolicyInput({ name: '重复过密', offsets: ['+0'], overdue_repeat: '30m' }), null);
 });
 
-test('shouldSendReminder 应按冷却窗口抑制重复发送', () => {
-  const now = new Date('2026-02-12T12:00:00.000Z');
+test('resolveReminderPolicy 按任务、项目、全局顺序取策略并回退优先级策略', () => {
+  const policiesById = new Map([
+    [1, { id: 1, name: '全局', offsets: [-1440], overdue_repeat_minutes: null }],
+    [2, { id: 2, name: '项目', offsets: [-120], overdue_repeat_minutes: null }],
+    [3, { id: 3, name: '任务', offsets: [0], overdue_repeat_minutes: 60 }],
+  ]);
+  const task = { priority: 'P2', task_reminder_policy_id: 3, project_reminder_policy_id: 2 };
 
-  const firstSendTask = {
-    last_reminder_kind: null,
-    last_reminder_at: null,
-  };
+  assert.equal(resolveReminderPolicy(task, policiesById, 1).source, 'TASK');
+  assert.equal(resolveReminderPolicy({ ...task, task_reminder_policy_id: null }, policiesById, 1).source, 'PROJECT');
+  assert.equal(resolveReminderPolicy({ priority: 'P2', project_reminder_policy_id: 99 }, policiesById, 1).name, '全局');
 
-  const cooldownTask = {
-    last_reminder_kind: REMINDER_KIND.DUE_SOON,
-    last_reminder_at: '2026-02-12T08:30:00.000Z',
-  };
+  const fallback = resolveReminderPolicy({ priority: 'P2' }, policiesById, null);
+  assert.equal(fallback.source, 'PRIORITY');
+  assert.deepEqual(fallback.offsets, [-1440, 0]);
+  assert.equal(fallback.overdue_repeat_minutes, 720);
+});
 
-  const expiredCooldownTask = {
-    last_reminder_kind: REMINDER_KIND.DUE_SOON,
-    last_reminder_at: '2026-02-11T00:00:00.000Z',
-  };
+test('getDueReminderSlot 每个时间点只触发一次并在逾期后按间隔重复', () => {
+  const task = { status: 'PENDING', end_time: '2026-02-12T12:00:00.000Z' };
+  const policy = { offsets: [-4320, -1440, -120, 0, 1440], overdue_repeat_minutes: 720 };
+  const at = (iso) => new Date(iso);
 
-  assert.equal(shouldSendReminder(firstSendTask, REMINDER_KIND.DUE_SOON, now), true);
-  assert.equal(shouldSendReminder(cooldownTask, REMINDER_KIND.DUE_SOON, now), false);
-  assert.equal(shouldSendReminder(expiredCooldownTask, REMINDER_KIND.DUE_SOON, now), true);
+  assert.equal(getDueReminderSlot(task, policy, null, at('2026-02-08T12:00:00.000Z')), null);
+  assert.deepEqual(getDueReminderSlot(task, policy, null, at('2026-02-09T13:00:00.000Z')), {
+    offset_minutes: -4320,
+    kind: REMINDER_KIND.DUE_SOON,
+  });
+  assert.equal(getDueReminderSlot(task, policy, -4320, at('2026-02-10T12:00:00.000Z')), null);
+  // 错过的早期时间点不补发，只发最近一个。
+  assert.equal(getDueReminderSlot(task, policy, -4320, at('2026-02-12T11:00:00.000Z')).offset_minutes, -120);
+  assert.deepEqual(getDueReminderSlot(task, policy, -120, at('2026-02-12T12:05:00.000Z')), {
+    offset_minutes: 0,
+    kind: REMINDER_KIND.OVERDUE,
+  });
+  assert.equal(getDueReminderSlot(task, policy, 1440, at('2026-02-13T23:00:00.000Z')), null);
+  assert.equal(getDueReminderSlot(task, policy, 1440, at('2026-02-14T01:00:00.000Z')).offset_minutes, 2160);
+  assert.equal(getDueReminderSlot({ ...task, status: 'COMPLETED' }, policy, null, at('2026-02-14T01:00:00.000Z')), null);
 });
 
 test('buildTaskKpi 应聚合核心闭环指标', () => {
@@ -150,3 +211,491 @@ test('buildTaskKpi 应聚合核心闭环指标', () => {
   assert.equal(kpi.completion_rate, 33.33);
   assert.equal(kpi.on_time_rate, 100);
 });
+
+test('toDateOrNull 将不带时区的数据库时间按 UTC 解析，其余写法保持原义', () => {
+  assert.equal(toDateOrNull('2026-02-12 11:00:00').toISOString(), '2026-02-12T11:00:00.000Z');
+  assert.equal(toDateOrNull('2026-02-12T11:00').toISOString(), '2026-02-12T11:00:00.000Z');
+  assert.equal(toDateOrNull('2026-02-12T11:00:00+08:00').toISOString(), '2026-02-12T03:00:00.000Z');
+  assert.equal(toDateOrNull(''), null);
+  assert.equal(toDateOrNull('not a date'), null);
+});
+
+test('buildTaskPayloadDiff 仅输出发生变化的审计字段', () => {
+  const diff = buildTaskPayloadDiff(
+    { status: 'PENDING', title: '任务', updated_at: '2026-02-12 08:00:00' },
+    { status: 'WAITING_VERIFY', title: '任务', updated_at: '2026-02-12 09:00:00' }
+  );
+
+  assert.deepEqual(diff, {
+    status: { from: 'PENDING', to: 'WAITING_VERIFY' },
+  });
+});
+
+test('isTaskVisibleToUser 仅允许任务相关人查看', () => {
+  const task = {
+    owner_userid: 'owner-a',
+    executor_userid: 'executor-a',
+    creator_userid: 'manager-a',
+  };
+
+  assert.equal(isTaskVisibleToUser(task, 'executor-a'), true);
+  assert.equal(isTaskVisibleToUser(task, 'manager-a'), true);
+  assert.equal(isTaskVisibleToUser(task, 'stranger'), false);
+  assert.equal(isTaskVisibleToUser(null, 'executor-a'), false);
+});
+
+test('getCompleteBlockReason 在必填检查项未完成时拒绝提交', () => {
+  const task = {
+    status: 'PENDING',
+    executor_userid: 'executor-a',
+    item_open_required_count: 1,
+  };
+
+  assert.equal(getCompleteBlockReason(task, 'executor-a'), 'ITEMS_INCOMPLETE');
+  assert.equal(getCompleteBlockReason(task, 'executor-b'), 'NOT_EXECUTOR');
+  assert.equal(canUserCompleteTask(task, 'executor-a'), false);
+  assert.equal(canUserCompleteTask({ ...task, item_open_required_count: 0 }, 'executor-a'), true);
+});
+
+test('normalizeTaskItemInput 仅保留提供的字段并统一类型', () => {
+  assert.deepEqual(normalizeTaskItemInput({ title: ' 核对库存 ', is_done: 'true', is_required: 0 }), {
+    title: '核对库存',
+    is_done: 1,
+    is_required: 0,
+  });
+  assert.deepEqual(normalizeTaskItemInput({ sort_order: '3', assignee_userid: '' }), {
+    assignee_userid: null,
+    sort_order: 3,
+  });
+});
+
+test('wouldCreateDependencyCycle 应识别自依赖与间接环路', () => {
+  const edges = [
+    { task_id: 2, depends_on_task_id: 1 },
+    { task_id: 3, depends_on_task_id: 2 },
+  ];
+
+  assert.equal(wouldCreateDependencyCycle(edges, 1, 1), true);
+  assert.equal(wouldCreateDependencyCycle(edges, 1, 3), true);
+  assert.equal(wouldCreateDependencyCycle(edges, 4, 3), false);
+  assert.equal(wouldCreateDependencyCycle(edges, 3, 1), false);
+});
+
+test('getCompleteBlockReason 在前置任务未闭环时返回 BLOCKED', () => {
+  const task = {
+    status: 'PENDING',
+    executor_userid: 'executor-a',
+    open_blocker_count: 1,
+  };
+
+  assert.equal(getCompleteBlockReason(task, 'executor-a'), 'BLOCKED');
+  assert.equal(canUserCompleteTask({ ...task, open_blocker_count: 0 }, 'executor-a'), true);
+});
+
+test('parseTaskExecutors 解析执行人明细并兼容历史单执行人任务', () => {
+  assert.deepEqual(
+    parseTaskExecutors({
+      executor_userid: 'lisi',
+      executor_states: '[{"userid":"lisi","is_done":1,"completed_at":"2026-02-12 10:00:00"},{"userid":"wangwu","is_done":0}]',
+    }),
+    [
+      { userid: 'lisi', is_done: true, completed_at: '2026-02-12 10:00:00' },
+      { userid: 'wangwu', is_done: false, completed_at: null },
+    ]
+  );
+
+  assert.deepEqual(parseTaskExecutors({ executor_userid: 'lisi', status: 'WAITING_VERIFY', executor_states: '[]' }), [
+    { userid: 'lisi', is_done: true, completed_at: null },
+  ]);
+});
+
+test('isTaskExecutionSatisfied 按全部/任一口径判断是否可提交验收', () => {
+  const executorStates = '[{"userid":"lisi","is_done":1},{"userid":"wangwu","is_done":0}]';
+
+  assert.equal(isTaskExecutionSatisfied({ completion_mode: 'ALL', executor_states: executorStates }), false);
+  assert.equal(isTaskExecutionSatisfied({ completion_mode: 'ANY', executor_states: executorStates }), true);
+  assert.equal(isTaskExecutionSatisfied({ completion_mode: null, executor_states: executorStates }), false);
+});
+
+test('getCompleteBlockReason 允许协同执行人提交且拒绝重复确认', () => {
+  const task = {
+    status: 'PENDING',
+    executor_userid: 'lisi',
+    executor_states: '[{"userid":"lisi","is_done":1},{"userid":"wangwu","is_done":0}]',
+  };
+
+  assert.equal(canUserCompleteTask(task, 'wangwu'), true);
+  assert.equal(getCompleteBlockReason(task, 'lisi'), 'EXECUTOR_DONE');
+  assert.equal(getCompleteBlockReason(task, 'zhaoliu'), 'NOT_EXECUTOR');
+});
+
+test('canUserVerifyTask 配置审批链时仅允许当前阶段审批人', () => {
+  const task = {
+    status: 'WAITING_VERIFY',
+    creator_userid: 'creator-a',
+    approval_stage_count: 2,
+    current_stage_index: 1,
+    current_stage_approvers: 'dept-head,deputy-head',
+  };
+
+  assert.equal(canUserVerifyTask(task, 'dept-head', []), true);
+  assert.equal(canUserVerifyTask(task, 'creator-a', ['leader1']), false);
+  assert.equal(canUserVerifyTask(task, 'leader1', ['leader1']), false);
+});
+
+test('normalizeApprovalStagesInput 校验每一级至少有一名审批人', () => {
+  assert.deepEqual(normalizeApprovalStagesInput([{ name: '组长', approver_userids: 'lead-a, lead-b' }, { approver_userids: ['cfo'] }]), [
+    { name: '组长', approver_userids: ['lead-a', 'lead-b'] },
+    { name: '第2级审批', approver_userids: ['cfo'] },
+  ]);
+  assert.deepEqual(normalizeApprovalStagesInput(undefined), []);
+  assert.equal(normalizeApprovalStagesInput([{ name: '财务', approver_userids: [] }]), null);
+  assert.equal(normalizeApprovalStagesInput('lead-a'), null);
+});
+
+test('buildTaskKpi 不将已取消任务计入总数与完成率', () => {
+  const now = new Date('2026-02-12T12:00:00.000Z');
+  const rows = [
+    { status: 'COMPLETED', end_time: '2026-02-12T10:00:00.000Z', completion_time: '2026-02-12T09:00:00.000Z' },
+    { status: 'CANCELLED', end_time: '2026-02-12T10:00:00.000Z' },
+    { status: 'ARCHIVED', archived_from_status: 'CANCELLED', end_time: '2026-02-12T10:00:00.000Z' },
+    { status: 'ARCHIVED', archived_from_status: 'COMPLETED', end_time: '2026-02-12T10:00:00.000Z' },
+  ];
+
+  const kpi = buildTaskKpi(rows, now);
+
+  assert.equal(kpi.total_tasks, 2);
+  assert.equal(kpi.completed_tasks, 2);
+  assert.equal(kpi.cancelled_tasks, 2);
+  assert.equal(kpi.overdue_tasks, 0);
+  assert.equal(kpi.completion_rate, 100);
+});
+
+test('canApplyManageAction 按流转表限制取消、归档与重新打开', () => {
+  assert.equal(canApplyManageAction({ status: 'PENDING' }, TASK_MANAGE_ACTION.CANCEL), true);
+  assert.equal(canApplyManageAction({ status: 'COMPLETED' }, TASK_MANAGE_ACTION.CANCEL), false);
+  assert.equal(canApplyManageAction({ status: 'COMPLETED' }, TASK_MANAGE_ACTION.ARCHIVE), true);
+  assert.equal(canApplyManageAction({ status: 'PENDING' }, TASK_MANAGE_ACTION.ARCHIVE), false);
+  assert.equal(canApplyManageAction({ status: 'ARCHIVED' }, TASK_MANAGE_ACTION.REOPEN), true);
+  assert.equal(canApplyManageAction({ status: 'PENDING' }, 'UNKNOWN'), false);
+});
+
+test('canUserManageTask 仅允许创建人或全局验收人', () => {
+  const task = { creator_userid: 'manager-a', executor_userid: 'executor-a' };
+
+  assert.equal(canUserManageTask(task, 'manager-a', []), true);
+  assert.equal(canUserManageTask(task, 'leader', ['leader']), true);
+  assert.equal(canUserManageTask(task, 'executor-a', ['leader']), false);
+});
+
+test('parseActionKey 拆分动作名并保留参数原样', () => {
+  assert.deepEqual(parseActionKey(' action_reassign:LiSi '), { action: 'ACTION_REASSIGN', argument: 'LiSi' });
+  assert.deepEqual(parseActionKey('action_complete'), { action: 'ACTION_COMPLETE', argument: '' });
+});
+
+test('normalizeTaskPriority 兼容多种写法并默认 P2', () => {
+  assert.equal(normalizeTaskPriority(''), 'P2');
+  assert.equal(normalizeTaskPriority('p0'), 'P0');
+  assert.equal(normalizeTaskPriority(3), 'P3');
+  assert.equal(normalizeTaskPriority('P9'), '');
+});
+
+test('parsePriorityFromText 识别日程文本中的优先级标记', () => {
+  assert.equal(parsePriorityFromText('[P0] 线上故障复盘'), 'P0');
+  assert.equal(parsePriorityFromText('周会纪要', '优先级：P1'), 'P1');
+  assert.equal(parsePriorityFromText('APP10 版本发布'), '');
+  assert.equal(parsePriorityFromText('P1 客户回访'), 'P1');
+  assert.equal(parsePriorityFromText('客户回访 p3'), 'P3');
+  assert.equal(parsePriorityFromText('【P2】周报'), 'P2');
+  assert.equal(parsePriorityFromText('合同归档 #P1'), 'P1');
+  assert.equal(parsePriorityFromText('项目P2阶段验收'), '');
+  assert.equal(parsePriorityFromText('p1版本发布'), '');
+  assert.equal(parsePriorityFromText('[P1版本] 发布'), '');
+});
+
+test('P0 任务使用更早的到期窗口与更短的提醒冷却', () => {
+  const now = new Date('2026-02-12T12:00:00.000Z');
+  const task = { status: 'PENDING', end_time: '2026-02-13T20:00:00.000Z' };
+
+  const p2Policy = resolveReminderPolicy({ ...task, priority: 'P2' });
+  const p0Policy = resolveReminderPolicy({ ...task, priority: 'P0' });
+  assert.deepEqual(p0Policy.offsets, [-2880, 0]);
+  assert.equal(p0Policy.overdue_repeat_minutes, 240);
+  assert.equal(getDueReminderSlot(task, p2Policy, null, now), null);
+  assert.equal(getDueReminderSlot(task, p0Policy, null, now).kind, REMINDER_KIND.DUE_SOON);
+  assert.equal(isTaskDueSoon({ ...task, priority: 'P0' }, now), true);
+});
+
+test('normalizeTaskLabels 去除前缀井号并去重，超出上限返回 null', () => {
+  assert.deepEqual(normalizeTaskLabels(' #周报, 周报，客户A '), ['周报', '客户A']);
+  assert.deepEqual(normalizeTaskLabels(undefined), []);
+  assert.equal(normalizeTaskLabels(42), null);
+  assert.equal(normalizeTaskLabels(['x'.repeat(33)]), null);
+  assert.deepEqual(parseTaskLabels({ labels: '["客户A","周报"]' }), ['客户A', '周报']);
+});
+
+test('项目成员可见项目内任务', () => {
+  const task = { creator_userid: 'zhangsan', executor_userid: 'lisi', project_member_userids: 'pm1,dev2' };
+
+  assert.equal(isTaskVisibleToUser(task, 'dev2'), true);
+  assert.equal(isTaskVisibleToUser(task, 'outsider'), false);
+});
+
+test('buildTaskKpi 按项目拆分指标，未归属项目排在最后', () => {
+  const now = new Date('2026-02-12T12:00:00.000Z');
+  const rows = [
+    { status: 'PENDING', end_time: '2026-02-12T10:00:00.000Z' },
+    { status: 'COMPLETED', project_id: 2, project_name: '官网改版', end_time: '2026-02-12T10:00:00.000Z', completion_time: '2026-02-12T09:00:00.000Z' },
+    { status: 'PENDING', project_id: 2, project_name: '官网改版', end_time: '2026-02-13T10:00:00.000Z' },
+    { status: 'PENDING', project_id: 1, project_name: '年度审计', end_time: '2026-02-20T10:00:00.000Z' },
+  ];
+
+  const kpi = buildTaskKpi(rows, now);
+
+  assert.equal(kpi.total_tasks, 4);
+  assert.deepEqual(
+    kpi.by_project.map((item) => [item.project_id, item.project_name, item.total_tasks, item.completion_rate]),
+    [
+      [1, '年度审计', 1, 0],
+      [2, '官网改版', 2, 50],
+      [null, '未归属项目', 1, 0],
+    ]
+  );
+  assert.equal(kpi.by_project[2].overdue_tasks, 1);
+});
+
+test('parseCommentMentions 提取 @userid 并去重，忽略邮箱写法', () => {
+  assert.deepEqual(parseCommentMentions('@lisi 请确认，抄送 @wang.wu。再提醒 @lisi.'), ['lisi', 'wang.wu']);
+  assert.deepEqual(parseCommentMentions('联系 admin@example.com'), []);
+});
+
+test('getCompleteBlockReason 在要求凭证但本轮未上传附件时返回 EVIDENCE_MISSING', () => {
+  const task = { status: 'PENDING', executor_userid: 'executor-a', require_evidence: 1, evidence_count: 0 };
+
+  assert.equal(getCompleteBlockReason(task, 'executor-a'), 'EVIDENCE_MISSING');
+  assert.equal(getCompleteBlockReason({ ...task, evidence_count: 1 }, 'executor-a'), '');
+  assert.equal(getCompleteBlockReason({ ...task, require_evidence: 0 }, 'executor-a'), '');
+});
+
+test('normalizeTaskItemsInput 兼容字符串与对象写法并拦截空标题', () => {
+  assert.deepEqual(normalizeTaskItemsInput(['核对数据', { title: '归档', is_required: false }]), [
+    { title: '核对数据', is_required: 1 },
+    { title: '归档', is_required: 0 },
+  ]);
+  assert.deepEqual(normalizeTaskItemsInput(undefined), []);
+  assert.equal(normalizeTaskItemsInput(['核对数据', ' ']), null);
+  assert.equal(normalizeTaskItemsInput('核对数据'), null);
+});
+
+test('normalizeTemplateExecutorRole 仅接受创建人与项目负责人两种角色', () => {
+  assert.equal(normalizeTemplateExecutorRole(' project_owner '), 'PROJECT_OWNER');
+  assert.equal(normalizeTemplateExecutorRole(''), '');
+  assert.equal(normalizeTemplateExecutorRole('MANAGER'), null);
+});
+
+test('normalizeBatchTaskIds 去重保序并拦截非法 ID', () => {
+  assert.deepEqual(normalizeBatchTaskIds([3, '1', 3]), [3, 1]);
+  assert.equal(normalizeBatchTaskIds([]), null);
+  assert.equal(normalizeBatchTaskIds([1, 'abc']), null);
+  assert.equal(normalizeBatchTaskIds('1,2'), null);
+  assert.equal(normalizeBatchTaskIds(Array.from({ length: 101 }, (item, index) => index + 1)), null);
+});
+
+test('groupNotificationsByRecipient 按接收人拆分并聚合通知', () => {
+  const first = { msgtype: 'template_card', config: { touser: 'zhangsan|lisi', title: 'A' } };
+  const second = { msgtype: 'textcard', config: { touser: 'lisi', title: 'B' } };
+
+  assert.deepEqual(groupNotificationsByRecipient([first, second]), [
+    { userid: 'zhangsan', notifications: [first] },
+    { userid: 'lisi', notifications: [first, second] },
+  ]);
+});
+
+test('normalizeSubmissionReportInput 规范化交付说明并拦截非法工时与链接', () => {
+  assert.deepEqual(normalizeSubmissionReportInput(undefined), { summary: '', actual_hours: null, links: [] });
+  assert.deepEqual(
+    normalizeSubmissionReportInput({
+      summary: ' 完成联调 ',
+      actual_hours: '2.456',
+      links: 'https://a.example.com/pr/1\nhttps://a.example.com/pr/1 https://b.example.com',
+    }),
+    {
+      summary: '完成联调',
+      actual_hours: 2.46,
+      links: ['https://a.example.com/pr/1', 'https://b.example.com'],
+    }
+  );
+  assert.equal(normalizeSubmissionReportInput({ actual_hours: -1 }), null);
+  assert.equal(normalizeSubmissionReportInput({ links: ['ftp://a.example.com'] }), null);
+  assert.equal(normalizeSubmissionReportInput('done'), null);
+});
+
+test('parseSubmissionReportText 从回复文本中提取工时与链接', () => {
+  assert.deepEqual(parseSubmissionReportText('接口已联调完成，工时: 3.5 小时\n见 https://git.example.com/mr/12 。'), {
+    summary: '接口已联调完成，\n见 https://git.example.com/mr/12 。',
+    actual_hours: 3.5,
+    links: ['https://git.example.com/mr/12'],
+  });
+  assert.deepEqual(parseSubmissionReportText('   '), { summary: '', actual_hours: null, links: [] });
+});
+
+test('normalizeQualityRatingInput 仅接受 1–5 的整数评分', () => {
+  assert.deepEqual(normalizeQualityRatingInput(undefined), { score: null, comment: '' });
+  assert.deepEqual(normalizeQualityRatingInput({ score: '4', comment: ' 细节到位 ' }), { score: 4, comment: '细节到位' });
+  assert.deepEqual(normalizeQualityRatingInput({ comment: '仅评语' }), { score: null, comment: '仅评语' });
+  assert.equal(normalizeQualityRatingInput({ score: 6 }), null);
+  assert.equal(normalizeQualityRatingInput({ score: 3.5 }), null);
+  assert.equal(normalizeQualityRatingInput({ score: 4, comment: 'x'.repeat(201) }), null);
+  assert.equal(normalizeQualityRatingInput(5), null);
+});
+
+test('buildTeamStats 按执行人聚合完成率与平均质量分', () => {
+  const now = new Date('2026-03-01T00:00:00.000Z');
+  const members = buildTeamStats(
+    [
+      { status: 'COMPLETED', executor_userid: 'lisi', quality_score: 5, end_time: '2026-03-10T00:00:00.000Z' },
+      {
+        status: 'ARCHIVED',
+        archived_from_status: 'COMPLETED',
+        executor_userid: 'lisi',
+        quality_score: 4,
+        end_time: '2026-03-10T00:00:00.000Z',
+      },
+      {
+        status: 'COMPLETED',
+        executor_states: JSON.stringify([
+          { userid: 'lisi', is_done: 1 },
+          { userid: 'wangwu', is_done: 1 },
+        ]),
+        quality_score: null,
+        end_time: '2026-03-10T00:00:00.000Z',
+      },
+      { status: 'PENDING', executor_userid: 'wangwu', end_time: '2026-02-20T00:00:00.000Z' },
+    ],
+    now
+  );
+
+  assert.deepEqual(
+    members.map((item) => [
+      item.userid,
+      item.total_tasks,
+      item.completed_tasks,
+      item.pending_tasks,
+      item.overdue_tasks,
+      item.completion_rate,
+      item.rated_tasks,
+      item.average_quality,
+    ]),
+    [
+      ['lisi', 3, 3, 0, 0, 100, 2, 4.5],
+      ['wangwu', 2, 1, 1, 1, 50, 0, null],
+    ]
+  );
+});
+
+test('buildWeekdayActivity 按时区内的星期几统计完成与驳回任务', () => {
+  const weekdays = buildWeekdayActivity(
+    [
+      // 2026-03-01 是周日；UTC 20:00 在东八区已是周一。
+      { status: 'COMPLETED', start_time: '2026-03-01T20:00:00.000Z' },
+      { status: 'ARCHIVED', archived_from_status: 'COMPLETED', start_time: '2026-03-02T02:00:00.000Z' },
+      { status: 'PENDING', redo_count: 1, start_time: '2026-03-03T02:00:00.000Z' },
+      { status: 'PENDING', reject_reason: '数据有误', start_time: null, end_time: '2026-03-03T05:00:00.000Z' },
+      { status: 'PENDING', start_time: '2026-03-03T02:00:00.000Z' },
+      { status: 'CANCELLED', start_time: '2026-03-02T02:00:00.000Z' },
+    ],
+    480
+  );
+
+  assert.equal(weekdays.length, 7);
+  assert.deepEqual(
+    weekdays.filter((item) => item.completed_tasks || item.rejected_tasks),
+    [
+      { weekday: 1, completed_tasks: 2, rejected_tasks: 0 },
+      { weekday: 2, completed_tasks: 0, rejected_tasks: 2 },
+    ]
+  );
+  const utcWeekdays = buildWeekdayActivity([{ status: 'COMPLETED', start_time: '2026-03-01T20:00:00.000Z' }]);
+  assert.equal(utcWeekdays[0].completed_tasks, 1);
+});
+
+test('parseRejectReasons 解析配置的驳回原因，未配置时回退默认原因', () => {
+  assert.deepEqual(parseRejectReasons(' 交付物不完整，质量不达标,, 质量不达标 '), ['交付物不完整', '质量不达标']);
+  assert.deepEqual(parseRejectReasons(''), ['交付物不完整', '质量不达标', '范围不符', '需补充说明']);
+  assert.equal(parseRejectReasons('x'.repeat(30))[0].length, 20);
+  assert.equal(parseRejectReasons(Array.from({ length: 12 }, (item, index) => `原因${index}`).join(',')).length, 8);
+});
+
+test('parseEscalationTiers 按逾期时长排序编号，非法项丢弃，none 关闭升级', () => {
+  assert.deepEqual(parseEscalationTiers('72:leader, 24:creator, 12:unknown, abc:list, 168:ESCALATION_LIST'), [
+    { level: 1, after_hours: 24, target: 'CREATOR' },
+    { level: 2, after_hours: 72, target: 'DEPARTMENT_LEADER' },
+    { level: 3, after_hours: 168, target: 'ESCALATION_LIST' },
+  ]);
+  assert.equal(parseEscalationTiers('').length, 3);
+  assert.deepEqual(parseEscalationTiers('none'), []);
+});
+
+test('getDueEscalationTier 只返回未升级过的最高到期层级', () => {
+  const tiers = parseEscalationTiers('');
+  const now = new Date('2026-03-10T00:00:00.000Z');
+  const task = { status: 'PENDING', end_time: '2026-03-06T00:00:00.000Z' };
+
+  assert.equal(getDueEscalationTier(task, tiers, 0, now).level, 2);
+  assert.equal(getDueEscalationTier(task, tiers, 2, now), null);
+  assert.equal(getDueEscalationTier({ ...task, end_time: '2026-03-09T12:00:00.000Z' }, tiers, 0, now), null);
+  assert.equal(getDueEscalationTier({ ...task, status: 'WAITING_VERIFY' }, tiers, 0, now), null);
+});
+
+test('resolveVerifyPolicy 任务级配置覆盖全局策略，normalizeVerifyPolicyInput 拒绝非法动作', () => {
+  const policy = resolveVerifyPolicy(
+    { verify_timeout_action: 'REROUTE', verify_timeout_hours: null, backup_verifier_userid: 'wangwu' },
+    { action: 'AUTO_PASS', timeout_hours: 8, reminder_cooldown_hours: 12, backup_verifiers: ['zhaoliu', 'wangwu'] }
+  );
+  assert.deepEqual(policy, {
+    action: 'REROUTE',
+    timeout_hours: 8,
+    reminder_cooldown_hours: 12,
+    backup_verifiers: ['wangwu', 'zhaoliu'],
+  });
+
+  assert.deepEqual(normalizeVerifyPolicyInput({ action: 'auto-pass', timeout_hours: '24' }), {
+    action: 'AUTO_PASS',
+    timeout_hours: 24,
+    backup_verifier_userid: null,
+  });
+  assert.equal(normalizeVerifyPolicyInput({ action: 'skip' }), null);
+  assert.equal(normalizeVerifyPolicyInput({ timeout_hours: 0 }), null);
+});
+
+test('getVerifyStallDecision 超时优先于提醒，改派过的任务只再提醒', () => {
+  const now = new Date('2026-03-10T00:00:00.000Z');
+  const task = {
+    status: 'WAITING_VERIFY',
+    verify_requested_at: '2026-03-08T00:00:00.000Z',
+    last_verify_reminder_at: '2026-03-09T12:00:00.000Z',
+  };
+  const policy = { action: 'REROUTE', timeout_hours: 8, reminder_cooldown_hours: 24 };
+
+  assert.equal(getVerifyStallDecision(task, policy, 9, now), 'TIMEOUT');
+  assert.equal(getVerifyStallDecision(task, policy, 4, now), 'NONE');
+  assert.equal(getVerifyStallDecision({ ...task, last_verify_reminder_at: null }, policy, 4, now), 'REMIND');
+  assert.equal(getVerifyStallDecision({ ...task, rerouted_verifier_userid: 'wangwu' }, policy, 9, now), 'NONE');
+  assert.equal(getVerifyStallDecision({ ...task, status: 'PENDING' }, policy, 9, now), 'NONE');
+});
+
+test('buildVerifierWaitStats 按验收人汇总等待时长，自动通过单独计数', () => {
+  const stats = buildVerifierWaitStats([
+    { event_type: 'VERIFY_PASSED', actor_userid: 'zhangsan', payload: { wait_hours: 2 } },
+    { event_type: 'VERIFY_REJECTED', actor_userid: 'zhangsan', payload: { wait_hours: 6 } },
+    { event_type: 'STAGE_PASSED', actor_userid: 'wangwu', payload: { wait_hours: 1 } },
+    { event_type: 'VERIFY_AUTO_PASSED', actor_userid: 'system', payload: { wait_hours: 16 } },
+    { event_type: 'VERIFY_PASSED', actor_userid: 'zhangsan', payload: {} },
+  ]);
+
+  assert.equal(stats.auto_passed_count, 1);
+  assert.deepEqual(stats.verifiers, [
+    { userid: 'zhangsan', decision_count: 2, average_wait_hours: 4, max_wait_hours: 6 },
+    { userid: 'wangwu', decision_count: 1, average_wait_hours: 1, max_wait_hours: 1 },
+  ]);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  TASK_SEARCH_HIGHLIGHT_MARKS,
+  parseTaskSearchTerms,
+  buildTaskSearchConditionSql,
+  parseHighlightedSnippet,
+  buildTaskSearchSnippet,
+  TASK_LIST_PAGE_SIZE,
+  encodeTaskListCursor,
+  decodeTaskListCursor,
+  normalizeTaskListQuery,
+  buildTaskListWhereSql,
+} = require('../src/services/task-query');
+
+test('normalizeTaskListQuery 提供默认分页与排序并拦截非法参数', () => {
+  const { query } = normalizeTaskListQuery({});
+  assert.equal(query.limit, TASK_LIST_PAGE_SIZE.default);
+  assert.equal(query.sort, 'priority');
+  assert.equal(query.order, 'asc');
+  assert.equal(query.cursor, null);
+
+  assert.equal(normalizeTaskListQuery({ sort: 'end_time' }).query.order, 'desc');
+  assert.equal(normalizeTaskListQuery({ overdue: '1', due_soon: 'true' }).query.overdue, true);
+  assert.equal(normalizeTaskListQuery({ label: '##周报' }).query.label, '周报');
+
+  assert.equal(normalizeTaskListQuery({ limit: '0' }).error.code, 'TASK_QUERY_LIMIT_INVALID');
+  assert.equal(normalizeTaskListQuery({ limit: String(TASK_LIST_PAGE_SIZE.max + 1) }).error.code, 'TASK_QUERY_LIMIT_INVALID');
+  assert.equal(normalizeTaskListQuery({ sort: 'title' }).error.code, 'TASK_QUERY_SORT_INVALID');
+  assert.equal(normalizeTaskListQuery({ order: 'up' }).error.code, 'TASK_QUERY_SORT_INVALID');
+  assert.equal(normalizeTaskListQuery({ end_from: 'not-a-date' }).error.code, 'TASK_QUERY_DATE_INVALID');
+});
+
+test('分页游标可往返编解码，篡改或排序不一致时判定无效', () => {
+  const cursor = encodeTaskListCursor({ sort: 'end_time', order: 'asc', value: '2026-03-01 10:00:00', id: 12 });
+  assert.deepEqual(decodeTaskListCursor(cursor), {
+    sort: 'end_time',
+    order: 'asc',
+    value: '2026-03-01 10:00:00',
+    id: 12,
+  });
+
+  assert.equal(decodeTaskListCursor('not-a-cursor'), null);
+  assert.equal(decodeTaskListCursor(encodeTaskListCursor({ sort: 'title', order: 'asc', value: 'a', id: 1 })), null);
+  assert.equal(normalizeTaskListQuery({ sort: 'end_time', order: 'asc', cursor }).query.cursor.id, 12);
+  assert.equal(normalizeTaskListQuery({ sort: 'end_time', order: 'desc', cursor }).error.code, 'TASK_CURSOR_INVALID');
+});
+
+test('buildTaskListWhereSql 按可见范围与筛选参数拼接条件', () => {
+  const { query } = normalizeTaskListQuery({ status: 'pending', creator_userid: 'zhangsan', project_id: 'none' });
+  const { whereSql, params } = buildTaskListWhereSql(query, 'lisi', new Date('2026-03-01T00:00:00.000Z'));
+
+  assert.match(whereSql, /^WHERE \(tasks\.owner_userid = \?/);
+  assert.match(whereSql, /tasks\.project_id IS NULL/);
+  assert.deepEqual(params.slice(-2), ['PENDING', 'zhangsan']);
+  assert.equal(buildTaskListWhereSql(normalizeTaskListQuery({}).query, '').whereSql, '');
+});
+
+test('检索词拆分后长词走 MATCH、短词回退子串匹配', () => {
+  const terms = parseTaskSearchTerms(' "季度复盘" 复盘  100%  复盘 ');
+  assert.deepEqual(terms, ['季度复盘', '复盘', '100%']);
+
+  const condition = buildTaskSearchConditionSql(terms);
+  assert.equal(condition.hasMatch, true);
+  assert.equal(condition.params[0], '"季度复盘" "100%"');
+  assert.match(condition.sql, /^task_search MATCH \? AND \(task_search\.title LIKE \?/);
+  assert.equal(condition.params[1], '%复盘%');
+
+  assert.equal(buildTaskSearchConditionSql(['复盘']).hasMatch, false);
+  assert.equal(buildTaskSearchConditionSql(['a_b'.slice(0, 2)]).params[0], '%a\\_%');
+});
+
+test('检索摘要拆分为高亮分段，短词回退时截取命中窗口', () => {
+  const { open, close } = TASK_SEARCH_HIGHLIGHT_MARKS;
+  assert.deepEqual(parseHighlightedSnippet(`…季度${open}复盘报${close}告`), [
+    { text: '…季度', matched: false },
+    { text: '复盘报', matched: true },
+    { text: '告', matched: false },
+  ]);
+
+  const segments = buildTaskSearchSnippet(
+    { title: '周报', description: '', comments: `${'背景说明'.repeat(10)}本次复盘结论已同步`, reject_reasons: '' },
+    ['复盘']
+  );
+  assert.equal(segments[0].text, '…');
+  assert.deepEqual(segments.filter((item) => item.matched), [{ text: '复盘', matched: true }]);
+  assert.deepEqual(buildTaskSearchSnippet({ title: '周报' }, ['复盘']), []);
+});
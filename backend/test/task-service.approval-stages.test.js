@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.USER_CALENDAR_MAP = '';
+process.env.DEFAULT_CAL_ID = '';
+process.env.GLOBAL_VERIFIERS = '';
+
+const db = require('../src/models/db');
+const wecom = require('../src/services/wecom');
+const { taskService } = require('../src/services/task');
+
+const runSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({
+        changes: this.changes || 0,
+        lastID: this.lastID,
+      });
+    });
+  });
+};
+
+const sentCards = [];
+const originalSendTemplateCard = wecom.sendTemplateCard;
+
+test.before(() => {
+  wecom.sendTemplateCard = async (config) => {
+    sentCards.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+});
+
+test.beforeEach(async () => {
+  sentCards.length = 0;
+  await runSql('DELETE FROM task_approval_stages');
+  await runSql('DELETE FROM tasks');
+});
+
+test.after(async () => {
+  wecom.sendTemplateCard = originalSendTemplateCard;
+  await runSql('DELETE FROM task_approval_stages');
+  await runSql('DELETE FROM tasks');
+});
+
+const createStagedTask = async () => {
+  const result = await taskService.createManualTask(
+    {
+      title: '季度合规自查',
+      executor_userid: 'lisi',
+      start_time: '2026-02-12T09:00:00.000Z',
+      end_time: '2026-02-12T11:00:00.000Z',
+      approval_stages: [
+        { name: '组长', approver_userids: ['team-lead'] },
+        { name: '部门负责人', approver_userids: ['dept-head'] },
+        { name: '财务', approver_userids: ['finance-a', 'finance-b'] },
+      ],
+    },
+    'zhangsan',
+    'unit_test'
+  );
+  return result.task;
+};
+
+test('审批链逐级通过后才闭环，每一级单独发送审批卡片', async () => {
+  const task = await createStagedTask();
+  await taskService.completeTaskById(task.id, 'lisi', 'unit_test');
+  assert.equal(sentCards[sentCards.length - 1].touser, 'team-lead');
+
+  await assert.rejects(
+    () => taskService.verifyTaskById(task.id, 'zhangsan', true, '', 'unit_test'),
+    (error) => error.code === 'TASK_VERIFY_FORBIDDEN'
+  );
+
+  const firstStage = await taskService.verifyTaskById(task.id, 'team-lead', true, '', 'unit_test');
+  assert.equal(firstStage.task.status, 'WAITING_VERIFY');
+  assert.equal(firstStage.task.current_stage_index, 1);
+  assert.equal(sentCards[sentCards.length - 1].touser, 'dept-head');
+  assert.match(sentCards[sentCards.length - 1].title, /第 2\/3 级：部门负责人/);
+
+  await taskService.verifyTaskById(task.id, 'dept-head', true, '', 'unit_test');
+  assert.equal(sentCards[sentCards.length - 1].touser, 'finance-a|finance-b');
+
+  const finalStage = await taskService.verifyTaskById(task.id, 'finance-b', true, '', 'unit_test');
+  assert.equal(finalStage.task.status, 'COMPLETED');
+
+  const stages = await taskService.listApprovalStages(task.id);
+  assert.deepEqual(
+    stages.map((stage) => [stage.status, stage.decided_by_userid]),
+    [
+      ['PASSED', 'team-lead'],
+      ['PASSED', 'dept-head'],
+      ['PASSED', 'finance-b'],
+    ]
+  );
+});
+
+test('任一阶段驳回后退回执行人，重新提交从第一级开始审批', async () => {
+  const task = await createStagedTask();
+  await taskService.completeTaskById(task.id, 'lisi', 'unit_test');
+  await taskService.verifyTaskById(task.id, 'team-lead', true, '', 'unit_test');
+
+  const rejected = await taskService.verifyTaskById(task.id, 'dept-head', false, '材料不全', 'unit_test');
+  assert.equal(rejected.task.status, 'PENDING');
+  assert.equal(rejected.task.current_stage_index, 0);
+  assert.equal(rejected.task.reject_reason, '材料不全');
+
+  await taskService.completeTaskById(task.id, 'lisi', 'unit_test');
+  assert.equal(sentCards[sentCards.length - 1].touser, 'team-lead');
+});
+
+test('审批链仅允许在待执行阶段由创建人调整', async () => {
+  const task = await createStagedTask();
+
+  await assert.rejects(
+    () => taskService.updateApprovalStages(task.id, [{ name: '组长', approver_userids: [] }], 'zhangsan'),
+    (error) => error.code === 'TASK_APPROVAL_STAGES_INVALID'
+  );
+
+  const stages = await taskService.updateApprovalStages(task.id, [], 'zhangsan');
+  assert.equal(stages.length, 0);
+
+  await taskService.completeTaskById(task.id, 'lisi', 'unit_test');
+  const result = await taskService.verifyTaskById(task.id, 'zhangsan', true, '', 'unit_test');
+  assert.equal(result.task.status, 'COMPLETED');
+});
@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.USER_CALENDAR_MAP = '';
+process.env.DEFAULT_CAL_ID = '';
+process.env.GLOBAL_VERIFIERS = '';
+process.env.TASK_ATTACHMENT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'task-attachments-'));
+
+const db = require('../src/models/db');
+const wecom = require('../src/services/wecom');
+const { taskService } = require('../src/services/task');
+
+const runSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({
+        changes: this.changes || 0,
+        lastID: this.lastID,
+      });
+    });
+  });
+};
+
+const sentCards = [];
+const sentTextCards = [];
+const originalSendTemplateCard = wecom.sendTemplateCard;
+const originalSendTextCard = wecom.sendTextCard;
+
+const clearTables = async () => {
+  await runSql('DELETE FROM task_attachments');
+  await runSql('DELETE FROM task_events');
+  await runSql('DELETE FROM task_executors');
+  await runSql('DELETE FROM tasks');
+};
+
+test.before(() => {
+  wecom.sendTemplateCard = async (config) => {
+    sentCards.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+  wecom.sendTextCard = async (config) => {
+    sentTextCards.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+});
+
+test.beforeEach(async () => {
+  sentCards.length = 0;
+  sentTextCards.length = 0;
+  await clearTables();
+});
+
+test.after(async () => {
+  wecom.sendTemplateCard = originalSendTemplateCard;
+  wecom.sendTextCard = originalSendTextCard;
+  await clearTables();
+  fs.rmSync(process.env.TASK_ATTACHMENT_DIR, { recursive: true, force: true });
+});
+
+const createTask = async (overrides = {}) => {
+  const result = await taskService.createManualTask(
+    {
+      title: '季度报表',
+      executor_userid: 'lisi',
+      start_time: '2026-02-12T09:00:00.000Z',
+      end_time: '2026-02-12T11:00:00.000Z',
+      ...overrides,
+    },
+    'zhangsan',
+    'unit_test'
+  );
+  return result.task;
+};
+
+test('要求凭证的任务未上传附件前不可提交，卡片提交时提示去上传', async () => {
+  const task = await createTask({ require_evidence: true });
+
+  await assert.rejects(
+    () => taskService.completeTaskById(task.id, 'lisi', 'web_api'),
+    (error) => error.code === 'TASK_EVIDENCE_REQUIRED'
+  );
+
+  await assert.rejects(
+    () =>
+      taskService.handleInteraction({
+        UserID: 'lisi',
+        TaskId: task.wecom_schedule_id,
+        SelectedKey: 'ACTION_COMPLETE',
+      }),
+    (error) => error.code === 'TASK_EVIDENCE_REQUIRED'
+  );
+  assert.equal(sentTextCards.length, 1);
+  assert.equal(sentTextCards[0].title, '📎 请先上传完成凭证');
+
+  const attachment = await taskService.uploadTaskAttachment(
+    task.id,
+    { buffer: Buffer.from('revenue,100'), filename: '../报表.csv' },
+    'lisi'
+  );
+  assert.equal(attachment.original_name, '报表.csv');
+  assert.equal(attachment.mime_type, 'text/csv');
+  assert.equal(attachment.submission_round, 0);
+
+  const { filePath } = await taskService.getTaskAttachmentFile(task.id, attachment.id, 'zhangsan');
+  assert.equal(path.dirname(filePath), process.env.TASK_ATTACHMENT_DIR);
+  assert.equal(fs.readFileSync(filePath, 'utf8'), 'revenue,100');
+
+  sentCards.length = 0;
+  await taskService.completeTaskById(task.id, 'lisi', 'web_api');
+
+  const verifierCard = sentCards.find((item) => item.title === '✅ 任务验收请求');
+  assert.ok(verifierCard);
+  assert.equal(verifierCard.details.find((item) => item.keyname === '提交附件').value, '1 个');
+  assert.match(verifierCard.jump_list[0].url, new RegExp(`task_id=${task.id}$`));
+});
+
+test('驳回后需上传新一轮凭证才能再次提交', async () => {
+  const task = await createTask({ require_evidence: true });
+  await taskService.uploadTaskAttachment(task.id, { buffer: Buffer.from('v1'), filename: 'v1.txt' }, 'lisi');
+  await taskService.completeTaskById(task.id, 'lisi', 'web_api');
+  await taskService.verifyTaskById(task.id, 'zhangsan', false, '数据有误', 'web_api');
+
+  await assert.rejects(
+    () => taskService.completeTaskById(task.id, 'lisi', 'web_api'),
+    (error) => error.code === 'TASK_EVIDENCE_REQUIRED'
+  );
+
+  const attachment = await taskService.uploadTaskAttachment(
+    task.id,
+    { buffer: Buffer.from('v2'), filename: 'v2.txt' },
+    'lisi'
+  );
+  assert.equal(attachment.submission_round, 1);
+  const submittedTask = await taskService.completeTaskById(task.id, 'lisi', 'web_api');
+  assert.equal(submittedTask.task.status, 'WAITING_VERIFY');
+});
+
+test('附件类型按扩展名白名单判定，忽略上传方声明的类型', async () => {
+  const task = await createTask();
+  const upload = (filename, mimeType) =>
+    taskService.uploadTaskAttachment(task.id, { buffer: Buffer.from('<script>1</script>'), filename, mime_type: mimeType }, 'lisi');
+
+  assert.equal((await upload('page.html', 'text/html')).mime_type, 'application/octet-stream');
+  assert.equal((await upload('logo.SVG', 'image/svg+xml')).mime_type, 'application/octet-stream');
+  assert.equal((await upload('photo.JPG', 'text/html')).mime_type, 'image/jpeg');
+});
+
+test('附件权限：非可见用户不可上传，提交验收后不可删除', async () => {
+  const task = await createTask();
+
+  await assert.rejects(
+    () => taskService.uploadTaskAttachment(task.id, { buffer: Buffer.from('x'), filename: 'x.txt' }, 'outsider'),
+    (error) => error.code === 'TASK_ATTACHMENT_FORBIDDEN'
+  );
+  await assert.rejects(
+    () => taskService.uploadTaskAttachment(task.id, { buffer: Buffer.alloc(0), filename: 'x.txt' }, 'lisi'),
+    (error) => error.code === 'TASK_ATTACHMENT_EMPTY'
+  );
+
+  const first = await taskService.uploadTaskAttachment(task.id, { buffer: Buffer.from('a'), filename: 'a.txt' }, 'lisi');
+  const second = await taskService.uploadTaskAttachment(task.id, { buffer: Buffer.from('b'), filename: 'b.txt' }, 'lisi');
+  const { filePath } = await taskService.getTaskAttachmentFile(task.id, first.id, 'lisi');
+
+  const remaining = await taskService.deleteTaskAttachment(task.id, first.id, 'lisi');
+  assert.deepEqual(remaining.map((item) => item.id), [second.id]);
+  assert.equal(fs.existsSync(filePath), false);
+
+  const { filePath: secondFilePath } = await taskService.getTaskAttachmentFile(task.id, second.id, 'lisi');
+  fs.rmSync(secondFilePath);
+  await assert.rejects(
+    () => taskService.getTaskAttachmentFile(task.id, second.id, 'lisi'),
+    (error) => error.code === 'TASK_ATTACHMENT_NOT_FOUND' && error.statusCode === 404
+  );
+
+  await taskService.completeTaskById(task.id, 'lisi', 'web_api');
+  await assert.rejects(
+    () => taskService.deleteTaskAttachment(task.id, second.id, 'lisi'),
+    (error) => error.code === 'TASK_STATUS_CONFLICT'
+  );
+});
@@ -0,0 +1,209 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.USER_CALENDAR_MAP = '';
+process.env.DEFAULT_CAL_ID = '';
+process.env.GLOBAL_VERIFIERS = '';
+
+const db = require('../src/models/db');
+const wecom = require('../src/services/wecom');
+const { taskService } = require('../src/services/task');
+
+const runSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({
+        changes: this.changes || 0,
+        lastID: this.lastID,
+      });
+    });
+  });
+};
+
+const sentCards = [];
+const sentTextCards = [];
+const originalSendTemplateCard = wecom.sendTemplateCard;
+const originalSendTextCard = wecom.sendTextCard;
+
+const clearTables = async () => {
+  await runSql('DELETE FROM task_events');
+  await runSql('DELETE FROM task_executors');
+  await runSql('DELETE FROM task_labels');
+  await runSql('DELETE FROM tasks');
+};
+
+test.before(() => {
+  wecom.sendTemplateCard = async (config) => {
+    sentCards.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+  wecom.sendTextCard = async (config) => {
+    sentTextCards.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+});
+
+test.beforeEach(async () => {
+  await clearTables();
+});
+
+test.after(async () => {
+  wecom.sendTemplateCard = originalSendTemplateCard;
+  wecom.sendTextCard = originalSendTextCard;
+  await clearTables();
+});
+
+const createTasks = async (count) => {
+  const tasks = [];
+  for (let index = 0; index < count; index += 1) {
+    const { task } = await taskService.createManualTask(
+      {
+        title: `周报 ${index + 1}`,
+        executor_userid: 'lisi',
+        start_time: '2026-02-12T09:00:00.000Z',
+        end_time: '2026-02-12T11:00:00.000Z',
+      },
+      'zhangsan',
+      'unit_test'
+    );
+    tasks.push(task);
+  }
+
+  sentCards.length = 0;
+  sentTextCards.length = 0;
+  return tasks;
+};
+
+test('批量提交逐条返回结果，验收人只收到一张汇总卡片', async () => {
+  const tasks = await createTasks(3);
+
+  const result = await taskService.batchOperateTasks(
+    { action: 'complete', task_ids: [...tasks.map((task) => task.id), 999999] },
+    'lisi'
+  );
+
+  assert.equal(result.action, 'COMPLETE');
+  assert.equal(result.success_count, 3);
+  assert.equal(result.failed_count, 1);
+  assert.deepEqual(result.results[3], {
+    task_id: 999999,
+    success: false,
+    code: 'TASK_NOT_FOUND',
+    message: '任务不存在',
+  });
+  assert.deepEqual(
+    result.results.slice(0, 3).map((item) => item.status),
+    ['WAITING_VERIFY', 'WAITING_VERIFY', 'WAITING_VERIFY']
+  );
+
+  assert.equal(sentCards.length, 0);
+  assert.equal(sentTextCards.length, 1);
+  assert.equal(sentTextCards[0].touser, 'zhangsan');
+  assert.equal(sentTextCards[0].title, '📋 lisi 批量提交验收了 3 项任务');
+  assert.match(sentTextCards[0].description, /✅ 任务验收请求：周报 1/);
+  assert.equal(result.notified_user_count, 1);
+});
+
+test('批量验收仍走逐条校验，只有一条通知时保留原卡片', async () => {
+  const tasks = await createTasks(3);
+  await taskService.completeTaskById(tasks[0].id, 'lisi', 'unit_test');
+  await taskService.completeTaskById(tasks[1].id, 'lisi', 'unit_test');
+  sentCards.length = 0;
+  sentTextCards.length = 0;
+
+  const forbidden = await taskService.batchOperateTasks(
+    { action: 'PASS', task_ids: [tasks[0].id, tasks[1].id] },
+    'wangwu'
+  );
+  assert.deepEqual(
+    forbidden.results.map((item) => item.code),
+    ['TASK_VERIFY_FORBIDDEN', 'TASK_VERIFY_FORBIDDEN']
+  );
+  assert.equal(forbidden.notified_user_count, 0);
+
+  const result = await taskService.batchOperateTasks(
+    { action: 'PASS', task_ids: [tasks[0].id, tasks[2].id] },
+    'zhangsan'
+  );
+  assert.deepEqual(
+    result.results.map((item) => [item.success, item.code || item.status]),
+    [
+      [true, 'COMPLETED'],
+      [false, 'TASK_VERIFY_FORBIDDEN'],
+    ]
+  );
+  assert.equal(sentTextCards.length, 0);
+  assert.equal(sentCards.length, 1);
+  assert.equal(sentCards[0].touser, 'lisi');
+  assert.equal(sentCards[0].title, '任务闭环通知');
+
+  const rejected = await taskService.batchOperateTasks(
+    { action: 'REJECT', task_ids: [tasks[1].id], reject_reason: '数据缺失' },
+    'zhangsan'
+  );
+  assert.equal(rejected.results[0].status, 'PENDING');
+});
+
+test('批量重设标签与取消，非法入参整体拒绝', async () => {
+  const tasks = await createTasks(2);
+  const taskIds = tasks.map((task) => task.id);
+
+  await assert.rejects(
+    () => taskService.batchOperateTasks({ action: 'ARCHIVE', task_ids: taskIds }, 'zhangsan'),
+    (error) => error.code === 'TASK_BATCH_ACTION_INVALID'
+  );
+  await assert.rejects(
+    () => taskService.batchOperateTasks({ action: 'CANCEL', task_ids: [] }, 'zhangsan'),
+    (error) => error.code === 'TASK_BATCH_IDS_INVALID'
+  );
+  await assert.rejects(
+    () => taskService.batchOperateTasks({ action: 'REASSIGN', task_ids: taskIds }, 'zhangsan'),
+    (error) => error.code === 'TASK_REASSIGN_INVALID'
+  );
+
+  const relabeled = await taskService.batchOperateTasks(
+    { action: 'RELABEL', task_ids: taskIds, labels: ['周报', '#例行'] },
+    'zhangsan'
+  );
+  assert.equal(relabeled.success_count, 2);
+  assert.deepEqual((await taskService.getTaskById(taskIds[1])).labels, '["例行","周报"]');
+
+  const cancelled = await taskService.batchOperateTasks(
+    { action: 'CANCEL', task_ids: taskIds, reason: '需求取消' },
+    'zhangsan'
+  );
+  assert.equal(cancelled.success_count, 2);
+  assert.equal(sentTextCards.length, 1);
+  assert.equal(sentTextCards[0].touser, 'lisi');
+  assert.match(sentTextCards[0].description, /🚫 任务已取消：周报 2/);
+});
+
+test('批量操作期间并发的单任务请求仍即时发送通知', async () => {
+  const tasks = await createTasks(2);
+
+  await Promise.all([
+    taskService.batchOperateTasks({ action: 'COMPLETE', task_ids: tasks.map((task) => task.id) }, 'lisi'),
+    taskService.createManualTask(
+      {
+        title: '并发创建',
+        executor_userid: 'wangwu',
+        start_time: '2026-02-12T09:00:00.000Z',
+        end_time: '2026-02-12T11:00:00.000Z',
+      },
+      'zhangsan',
+      'unit_test'
+    ),
+  ]);
+
+  assert.deepEqual(
+    sentCards.map((card) => [card.touser, card.title]),
+    [['wangwu', '📌 新任务待执行']]
+  );
+  assert.equal(sentTextCards.length, 1);
+  assert.equal(sentTextCards[0].touser, 'zhangsan');
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.USER_CALENDAR_MAP = '';
+process.env.DEFAULT_CAL_ID = '';
+process.env.GLOBAL_VERIFIERS = '';
+
+const db = require('../src/models/db');
+const wecom = require('../src/services/wecom');
+const { taskService } = require('../src/services/task');
+
+const runSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({
+        changes: this.changes || 0,
+        lastID: this.lastID,
+      });
+    });
+  });
+};
+
+const sentTextCards = [];
+const originalSendTemplateCard = wecom.sendTemplateCard;
+const originalSendTextCard = wecom.sendTextCard;
+
+const clearTables = async () => {
+  await runSql('DELETE FROM task_comments');
+  await runSql('DELETE FROM task_events');
+  await runSql('DELETE FROM task_executors');
+  await runSql('DELETE FROM tasks');
+};
+
+test.before(() => {
+  wecom.sendTemplateCard = async () => ({ errcode: 0, errmsg: 'ok' });
+  wecom.sendTextCard = async (config) => {
+    sentTextCards.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+});
+
+test.beforeEach(async () => {
+  sentTextCards.length = 0;
+  await clearTables();
+});
+
+test.after(async () => {
+  wecom.sendTemplateCard = originalSendTemplateCard;
+  wecom.sendTextCard = originalSendTextCard;
+  await clearTables();
+});
+
+const createTask = async () => {
+  const result = await taskService.createManualTask(
+    {
+      title: '合同条款确认',
+      executor_userids: ['lisi', 'wangwu'],
+      start_time: '2026-02-12T09:00:00.000Z',
+      end_time: '2026-02-12T11:00:00.000Z',
+    },
+    'zhangsan',
+    'unit_test'
+  );
+  return result.task;
+};
+
+test('评论通知执行人与创建人，被 @ 的人单独收到提及卡片', async () => {
+  const task = await createTask();
+
+  const comment = await taskService.addTaskComment(task.id, { content: '第三条需要 @wangwu 和法务 @fawu 看一下' }, 'lisi');
+
+  assert.deepEqual(comment.mentioned_userids, ['wangwu']);
+  assert.deepEqual(
+    sentTextCards.map((item) => [item.touser, item.title]),
+    [
+      ['wangwu', '📣 lisi 在任务中提到了你'],
+      ['zhangsan', '💬 lisi 评论了任务'],
+    ]
+  );
+  assert.equal(sentTextCards.some((item) => item.touser.split('|').includes('fawu')), false);
+  assert.match(sentTextCards[0].description, /第三条需要 @wangwu/);
+  assert.match(sentTextCards[0].url, new RegExp(`task_id=${task.id}$`));
+
+  const comments = await taskService.listTaskComments(task.id, 'zhangsan');
+  assert.equal(comments.length, 1);
+  assert.equal(comments[0].author_userid, 'lisi');
+
+  const refreshedTask = await taskService.getTaskById(task.id);
+  assert.equal(refreshedTask.comment_count, 1);
+});
+
+test('任务可见范围外的用户不可查看或发表评论，空评论被拒绝', async () => {
+  const task = await createTask();
+
+  await assert.rejects(
+    () => taskService.listTaskComments(task.id, 'outsider'),
+    (error) => error.code === 'TASK_COMMENT_FORBIDDEN'
+  );
+  await assert.rejects(
+    () => taskService.addTaskComment(task.id, { content: '路过' }, 'outsider'),
+    (error) => error.code === 'TASK_COMMENT_FORBIDDEN'
+  );
+  await assert.rejects(
+    () => taskService.addTaskComment(task.id, { content: '   ' }, 'lisi'),
+    (error) => error.code === 'TASK_COMMENT_REQUIRED'
+  );
+  assert.equal(sentTextCards.length, 0);
+});
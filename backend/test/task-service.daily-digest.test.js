@@ -0,0 +1,202 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.USER_CALENDAR_MAP = '';
+process.env.DEFAULT_CAL_ID = '';
+process.env.GLOBAL_VERIFIERS = '';
+process.env.TASK_TIMEZONE_OFFSET_MINUTES = '480';
+process.env.TASK_QUIET_HOURS = '';
+process.env.TASK_HOLIDAY_FILE = '';
+process.env.TASK_DIGEST_TIME = '09:00';
+process.env.FRONTEND_URL = 'https://tasks.example.com';
+// 服务器时区与业务时区不同，发送时间与日期分组只按配置的业务时区计算。
+process.env.TZ = 'America/New_York';
+
+const db = require('../src/models/db');
+const wecom = require('../src/services/wecom');
+const { taskService } = require('../src/services/task');
+
+const runSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({
+        changes: this.changes || 0,
+        lastID: this.lastID,
+      });
+    });
+  });
+};
+
+const sentCards = [];
+const sentMarkdowns = [];
+const originalSendTemplateCard = wecom.sendTemplateCard;
+const originalSendMarkdown = wecom.sendMarkdown;
+
+const clearTables = async () => {
+  await runSql('DELETE FROM user_digest_settings');
+  await runSql('DELETE FROM user_preferences');
+  await runSql('DELETE FROM task_reminder_logs');
+  await runSql('DELETE FROM task_events');
+  await runSql('DELETE FROM task_executors');
+  await runSql('DELETE FROM tasks');
+};
+
+test.before(() => {
+  wecom.sendTemplateCard = async (config) => {
+    sentCards.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+  wecom.sendMarkdown = async (config) => {
+    sentMarkdowns.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+});
+
+test.beforeEach(async () => {
+  await clearTables();
+  sentCards.length = 0;
+  sentMarkdowns.length = 0;
+});
+
+test.after(async () => {
+  wecom.sendTemplateCard = originalSendTemplateCard;
+  wecom.sendMarkdown = originalSendMarkdown;
+  await clearTables();
+});
+
+const createTask = async (title, endTime, overrides = {}) => {
+  const result = await taskService.createManualTask(
+    {
+      title,
+      executor_userid: 'lisi',
+      start_time: '2026-09-01T00:00:00.000Z',
+      end_time: endTime,
+      ...overrides,
+    },
+    'zhangsan',
+    'unit_test'
+  );
+  sentCards.length = 0;
+  return result.task;
+};
+
+test('每日摘要按本地发送时间每人每天一封，按驳回、逾期、今日到期、待验收分组并附详情链接', async () => {
+  const overdueTask = await createTask('提交周报', '2026-09-14T10:00:00.000Z');
+  const dueTodayTask = await createTask('客户回访', '2026-09-15T09:00:00.000Z');
+  await createTask('下周排期', '2026-09-20T09:00:00.000Z');
+  const rejectedTask = await createTask('合同盖章', '2026-09-18T09:00:00.000Z');
+  await runSql(`UPDATE tasks SET reject_reason = '缺少附件' WHERE id = ?`, [rejectedTask.id]);
+  const verifyTask = await createTask('采购申请', '2026-09-16T09:00:00.000Z', { executor_userid: 'wangwu' });
+  await runSql(`UPDATE tasks SET status = 'WAITING_VERIFY' WHERE id = ?`, [verifyTask.id]);
+  await createTask('盘点库存', '2026-09-15T09:00:00.000Z', { executor_userid: 'zhaoliu' });
+  await taskService.updateUserPreferences('zhaoliu', { digest: { enabled: false } });
+
+  // 周二 08:30（UTC+8）未到发送时间。
+  assert.equal((await taskService.dispatchDailyDigests('unit_test', new Date('2026-09-15T00:30:00.000Z'))).sent_count, 0);
+
+  const summary = await taskService.dispatchDailyDigests('unit_test', new Date('2026-09-15T01:30:00.000Z'));
+  assert.equal(summary.sent_count, 2);
+  assert.deepEqual(sentMarkdowns.map((item) => item.touser).sort(), ['lisi', 'zhangsan']);
+
+  const content = sentMarkdowns.find((item) => item.touser === 'lisi').content;
+  assert.match(content, /每日任务摘要 2026-09-15/);
+  assert.ok(content.indexOf('被驳回待重做（1）') < content.indexOf('已逾期（1）'));
+  assert.ok(content.indexOf('已逾期（1）') < content.indexOf('今日到期（1）'));
+  assert.match(content, new RegExp(`\\[提交周报\\]\\(https://tasks\\.example\\.com/\\?task_id=${overdueTask.id}\\)`));
+  assert.match(content, new RegExp(`\\[客户回访\\]\\(.*task_id=${dueTodayTask.id}\\).*截止 09-15 17:00`));
+  assert.match(content, /驳回：缺少附件/);
+  assert.doesNotMatch(content, /下周排期/);
+  assert.match(sentMarkdowns.find((item) => item.touser === 'zhangsan').content, /待我验收（1）[\s\S]*采购申请/);
+
+  assert.equal((await taskService.dispatchDailyDigests('unit_test', new Date('2026-09-15T05:00:00.000Z'))).sent_count, 0);
+  // 周六不是工作日，不发送摘要。
+  assert.equal((await taskService.dispatchDailyDigests('unit_test', new Date('2026-09-19T02:00:00.000Z'))).sent_count, 0);
+  assert.equal(sentMarkdowns.length, 2);
+});
+
+test('成员可自定义发送时间并屏蔽单条到期提醒，其他执行人照常收到提醒', async () => {
+  await assert.rejects(
+    () => taskService.updateUserPreferences('lisi', { digest: { send_time: '25:00' } }),
+    (error) => error.code === 'USER_DIGEST_TIME_INVALID' && error.statusCode === 400
+  );
+
+  const preferences = await taskService.updateUserPreferences('lisi', {
+    timezone_offset_minutes: 'UTC+9',
+    digest: { send_time: '7:30', suppress_task_reminders: true },
+  });
+  assert.deepEqual(
+    [preferences.digest.enabled, preferences.digest.send_time, preferences.digest.suppress_task_reminders],
+    [true, '07:30', true]
+  );
+
+  const task = await createTask('季度对账', '2026-09-15T10:00:00.000Z', { executor_userids: ['lisi', 'wangwu'] });
+  // UTC+9 的 07:40 已到成员自定义时间，业务时区 06:40 尚未到默认时间。
+  await taskService.dispatchDailyDigests('unit_test', new Date('2026-09-14T22:40:00.000Z'));
+  assert.deepEqual(sentMarkdowns.map((item) => item.touser), ['lisi']);
+
+  const reminder = await taskService.dispatchTaskReminder(
+    await taskService.getTaskById(task.id),
+    'unit_test',
+    new Date('2026-09-14T11:00:00.000Z')
+  );
+  assert.equal(reminder.sent, true);
+  assert.equal(sentCards[0].touser, 'wangwu');
+
+  await taskService.updateUserPreferences('wangwu', { digest: { suppress_task_reminders: true } });
+  const suppressed = await taskService.dispatchTaskReminder(
+    await taskService.getTaskById(task.id),
+    'unit_test',
+    new Date('2026-09-15T10:30:00.000Z')
+  );
+  assert.equal(suppressed.suppressed, true);
+  assert.equal(sentCards.length, 1);
+
+  const preview = await taskService.getUserDigestPreview('wangwu', new Date('2026-09-15T02:00:00.000Z'));
+  assert.deepEqual(preview.sections.DUE_TODAY.map((item) => item.title), ['季度对账']);
+  assert.equal(preview.item_count, 1);
+});
+
+test('摘要正文超出 2048 字节时折叠低优先级分组的任务，被企业微信拒收后当天不再重试', async () => {
+  for (let index = 0; index < 5; index += 1) {
+    await createTask(`逾期任务${index}：${'供应商合同续签与付款审批'.repeat(3)}`, '2026-09-14T10:00:00.000Z');
+    await createTask(`今日任务${index}：${'季度经营数据核对与上报'.repeat(3)}`, '2026-09-15T09:00:00.000Z');
+  }
+
+  await taskService.dispatchDailyDigests('unit_test', new Date('2026-09-15T01:30:00.000Z'));
+  const content = sentMarkdowns[0].content;
+  assert.ok(Buffer.byteLength(content) <= 2048);
+  assert.match(content, /今日到期（5）[\s\S]*> 另有 \d 项/);
+  assert.equal((content.match(/逾期任务/g) || []).length, 5);
+  assert.match(content, /打开任务列表/);
+
+  const originalMock = wecom.sendMarkdown;
+  let attempts = 0;
+  wecom.sendMarkdown = async () => {
+    attempts += 1;
+    return { errcode: 40058, errmsg: 'invalid markdown content' };
+  };
+  try {
+    await runSql('DELETE FROM user_digest_settings');
+    const rejected = await taskService.dispatchDailyDigests('unit_test', new Date('2026-09-15T01:40:00.000Z'));
+    assert.equal(rejected.error_count, 1);
+    assert.equal((await taskService.dispatchDailyDigests('unit_test', new Date('2026-09-15T01:50:00.000Z'))).checked_count, 0);
+    assert.equal(attempts, 1);
+
+    // 请求未送达时恢复当日记录，下一轮扫描重试。
+    wecom.sendMarkdown = async () => {
+      attempts += 1;
+      throw new Error('socket hang up');
+    };
+    await runSql('DELETE FROM user_digest_settings');
+    await taskService.dispatchDailyDigests('unit_test', new Date('2026-09-15T02:00:00.000Z'));
+    await taskService.dispatchDailyDigests('unit_test', new Date('2026-09-15T02:10:00.000Z'));
+    assert.equal(attempts, 3);
+  } finally {
+    wecom.sendMarkdown = originalMock;
+  }
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.USER_CALENDAR_MAP = '';
+process.env.DEFAULT_CAL_ID = '';
+
+const db = require('../src/models/db');
+const wecom = require('../src/services/wecom');
+const { taskService } = require('../src/services/task');
+const syncService = require('../src/services/sync');
+
+const runSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({
+        changes: this.changes || 0,
+        lastID: this.lastID,
+      });
+    });
+  });
+};
+
+const sentCards = [];
+const sentTextCards = [];
+const originalSendTemplateCard = wecom.sendTemplateCard;
+const originalSendTextCard = wecom.sendTextCard;
+
+test.before(() => {
+  wecom.sendTemplateCard = async (config) => {
+    sentCards.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+  wecom.sendTextCard = async (config) => {
+    sentTextCards.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+});
+
+test.beforeEach(async () => {
+  sentCards.length = 0;
+  sentTextCards.length = 0;
+  await runSql('DELETE FROM task_dependencies');
+  await runSql('DELETE FROM tasks');
+});
+
+test.after(async () => {
+  wecom.sendTemplateCard = originalSendTemplateCard;
+  wecom.sendTextCard = originalSendTextCard;
+  await runSql('DELETE FROM task_dependencies');
+  await runSql('DELETE FROM tasks');
+});
+
+const createTask = async (title, executorUserId, endTime = '2026-02-12T11:00:00.000Z') => {
+  const result = await taskService.createManualTask(
+    {
+      title,
+      executor_userid: executorUserId,
+      start_time: '2026-02-12T09:00:00.000Z',
+      end_time: endTime,
+    },
+    'zhangsan',
+    'unit_test'
+  );
+  return result.task;
+};
+
+test('前置任务未闭环时后续任务不可提交，且拒绝成环依赖', async () => {
+  const taskA = await createTask('任务A', 'lisi');
+  const taskB = await createTask('任务B', 'wangwu');
+
+  const dependencies = await taskService.addTaskDependency(taskB.id, taskA.id, 'zhangsan');
+  assert.deepEqual(
+    dependencies.blocked_by.map((item) => item.id),
+    [taskA.id]
+  );
+
+  await assert.rejects(
+    () => taskService.completeTaskById(taskB.id, 'wangwu', 'wecom_card'),
+    (error) => error.code === 'TASK_BLOCKED'
+  );
+
+  await assert.rejects(
+    () => taskService.addTaskDependency(taskA.id, taskB.id, 'zhangsan'),
+    (error) => error.code === 'TASK_DEPENDENCY_CYCLE'
+  );
+});
+
+test('前置任务验收通过后应通知后续任务执行人', async () => {
+  const taskA = await createTask('任务A', 'lisi');
+  const taskB = await createTask('任务B', 'wangwu');
+  await taskService.addTaskDependency(taskB.id, taskA.id, 'zhangsan');
+
+  await taskService.completeTaskById(taskA.id, 'lisi', 'unit_test');
+  sentCards.length = 0;
+  await taskService.verifyTaskById(taskA.id, 'zhangsan', true, '', 'unit_test');
+
+  const unblockCard = sentCards.find((item) => item.title === '🔓 任务已解除阻塞');
+  assert.ok(unblockCard);
+  assert.equal(unblockCard.touser, 'wangwu');
+
+  const refreshedTaskB = await taskService.getTaskById(taskB.id);
+  assert.equal(refreshedTaskB.open_blocker_count, 0);
+});
+
+test('被阻塞任务不应收到到期提醒', async () => {
+  const dueSoonEnd = new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString();
+  const taskA = await createTask('任务A', 'lisi', dueSoonEnd);
+  const taskB = await createTask('任务B', 'wangwu', dueSoonEnd);
+  await taskService.addTaskDependency(taskB.id, taskA.id, 'zhangsan');
+  sentCards.length = 0;
+
+  const summary = await syncService.dispatchDateReminders();
+
+  assert.equal(summary.blocked_count, 1);
+  assert.equal(summary.sent_count, 1);
+  assert.deepEqual(
+    sentCards.map((item) => item.touser),
+    ['lisi']
+  );
+});
+
+test('被阻塞的逾期任务不发到期提醒，但仍按层级升级', async () => {
+  const taskA = await createTask('任务A', 'lisi', '2099-01-01T00:00:00.000Z');
+  const overdueEnd = new Date(Date.now() - 30 * 60 * 60 * 1000).toISOString();
+  const taskB = await createTask('任务B', 'wangwu', overdueEnd);
+  await taskService.addTaskDependency(taskB.id, taskA.id, 'zhangsan');
+  sentCards.length = 0;
+
+  const summary = await syncService.dispatchDateReminders();
+
+  assert.equal(summary.blocked_count, 1);
+  assert.equal(summary.sent_count, 0);
+  assert.equal(summary.escalated_count, 1);
+  assert.equal(sentCards.length, 0);
+  assert.deepEqual(
+    sentTextCards.map((item) => [item.touser, item.title]),
+    [['zhangsan', '🚨 逾期任务升级（第 1 级）']]
+  );
+  assert.equal((await taskService.getTaskById(taskB.id)).escalation_level, 1);
+});
@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.USER_CALENDAR_MAP = '';
+process.env.DEFAULT_CAL_ID = '';
+process.env.TASK_ESCALATION_TIERS = '';
+process.env.TASK_ESCALATION_USERS = 'ceo, lisi';
+
+const db = require('../src/models/db');
+const wecom = require('../src/services/wecom');
+const { taskService } = require('../src/services/task');
+
+const runSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({
+        changes: this.changes || 0,
+        lastID: this.lastID,
+      });
+    });
+  });
+};
+
+const sentTextCards = [];
+const originalSendTemplateCard = wecom.sendTemplateCard;
+const originalSendTextCard = wecom.sendTextCard;
+const originalGetUser = wecom.getUser;
+const originalGetDepartment = wecom.getDepartment;
+
+const clearTables = async () => {
+  await runSql('DELETE FROM task_escalations');
+  await runSql('DELETE FROM task_events');
+  await runSql('DELETE FROM task_executors');
+  await runSql('DELETE FROM tasks');
+};
+
+test.before(() => {
+  wecom.sendTemplateCard = async () => ({ errcode: 0, errmsg: 'ok' });
+  wecom.sendTextCard = async (config) => {
+    sentTextCards.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+  wecom.getUser = async (userId) => ({
+    errcode: 0,
+    userid: userId,
+    direct_leader: userId === 'wangwu' ? ['director'] : [],
+    main_department: 8,
+  });
+  wecom.getDepartment = async (departmentId) => ({
+    errcode: 0,
+    department: { id: departmentId, department_leader: ['dept-head', 'lisi'] },
+  });
+});
+
+test.beforeEach(async () => {
+  sentTextCards.length = 0;
+  await clearTables();
+});
+
+test.after(async () => {
+  wecom.sendTemplateCard = originalSendTemplateCard;
+  wecom.sendTextCard = originalSendTextCard;
+  wecom.getUser = originalGetUser;
+  wecom.getDepartment = originalGetDepartment;
+  await clearTables();
+});
+
+const createOverdueTask = async (executorUserId, endTime) => {
+  const result = await taskService.createManualTask(
+    {
+      title: '供应商对账',
+      executor_userid: executorUserId,
+      start_time: '2026-02-20T00:00:00.000Z',
+      end_time: endTime,
+    },
+    'zhangsan',
+    'unit_test'
+  );
+  return result.task;
+};
+
+test('逾期 24 小时通知创建人，同一层级不重复，逾期 72 小时再升级到部门负责人', async () => {
+  const created = await createOverdueTask('lisi', '2026-03-05T00:00:00.000Z');
+
+  const first = await taskService.dispatchTaskEscalation(
+    await taskService.getTaskById(created.id),
+    'unit_test',
+    new Date('2026-03-06T01:00:00.000Z')
+  );
+  assert.equal(first.escalated, true);
+  assert.deepEqual(first.recipients, ['zhangsan']);
+  assert.equal(sentTextCards[0].touser, 'zhangsan');
+  assert.match(sentTextCards[0].title, /第 1 级/);
+
+  const repeated = await taskService.dispatchTaskEscalation(
+    await taskService.getTaskById(created.id),
+    'unit_test',
+    new Date('2026-03-06T05:00:00.000Z')
+  );
+  assert.equal(repeated.escalated, false);
+  assert.equal(sentTextCards.length, 1);
+
+  const second = await taskService.dispatchTaskEscalation(
+    await taskService.getTaskById(created.id),
+    'unit_test',
+    new Date('2026-03-08T01:00:00.000Z')
+  );
+  assert.equal(second.level, 2);
+  assert.deepEqual(second.recipients, ['dept-head']);
+
+  const escalatedTask = await taskService.getTaskById(created.id);
+  assert.equal(escalatedTask.escalation_level, 2);
+  const events = await taskService.listTaskEvents(created.id);
+  assert.deepEqual(
+    events.filter((item) => item.event_type === 'ESCALATED').map((item) => item.payload.level),
+    [1, 2]
+  );
+});
+
+test('首次扫描已逾期 7 天只通知升级名单，直属上级优先于部门负责人', async () => {
+  const created = await createOverdueTask('wangwu', '2026-03-01T00:00:00.000Z');
+  const now = new Date('2026-03-09T00:00:00.000Z');
+
+  const result = await taskService.dispatchTaskEscalation(await taskService.getTaskById(created.id), 'unit_test', now);
+  assert.equal(result.level, 3);
+  assert.deepEqual(result.recipients, ['ceo', 'lisi']);
+  assert.equal(sentTextCards.length, 1);
+
+  assert.deepEqual(
+    await taskService.resolveEscalationRecipients(await taskService.getTaskById(created.id), 'DEPARTMENT_LEADER'),
+    ['director']
+  );
+});
+
+test('层级无人可通知时不记录升级，待下一层级到期后再升级', async () => {
+  // 创建人即唯一执行人，第 1 级“通知创建人”排除执行人后无人可通知。
+  const created = await createOverdueTask('zhangsan', '2026-03-05T00:00:00.000Z');
+
+  const skipped = await taskService.dispatchTaskEscalation(
+    await taskService.getTaskById(created.id),
+    'unit_test',
+    new Date('2026-03-06T01:00:00.000Z')
+  );
+  assert.equal(skipped.escalated, false);
+  assert.equal(skipped.skipped, true);
+  assert.equal(sentTextCards.length, 0);
+  assert.equal((await taskService.getTaskById(created.id)).escalation_level, null);
+  assert.equal((await taskService.listTaskEvents(created.id)).filter((item) => item.event_type === 'ESCALATED').length, 0);
+
+  const second = await taskService.dispatchTaskEscalation(
+    await taskService.getTaskById(created.id),
+    'unit_test',
+    new Date('2026-03-08T01:00:00.000Z')
+  );
+  assert.equal(second.escalated, true);
+  assert.equal(second.level, 2);
+  assert.deepEqual(second.recipients, ['dept-head', 'lisi']);
+  assert.equal(sentTextCards.length, 1);
+});
+
+test('延期后截止时间变化，升级链重新开始计算', async () => {
+  const created = await createOverdueTask('lisi', '2026-03-05T00:00:00.000Z');
+  await taskService.dispatchTaskEscalation(
+    await taskService.getTaskById(created.id),
+    'unit_test',
+    new Date('2026-03-06T01:00:00.000Z')
+  );
+
+  await runSql('UPDATE tasks SET end_time = ? WHERE id = ?', ['2026-03-10T00:00:00.000Z', created.id]);
+  const extendedTask = await taskService.getTaskById(created.id);
+  assert.equal(extendedTask.escalation_level, null);
+
+  const result = await taskService.dispatchTaskEscalation(extendedTask, 'unit_test', new Date('2026-03-11T01:00:00.000Z'));
+  assert.equal(result.level, 1);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.USER_CALENDAR_MAP = '';
+process.env.DEFAULT_CAL_ID = '';
+
+const db = require('../src/models/db');
+const wecom = require('../src/services/wecom');
+const { taskService } = require('../src/services/task');
+
+const runSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({
+        changes: this.changes || 0,
+        lastID: this.lastID,
+      });
+    });
+  });
+};
+
+test.beforeEach(async () => {
+  await runSql('DELETE FROM task_events');
+  await runSql('DELETE FROM tasks');
+});
+
+test.after(async () => {
+  await runSql('DELETE FROM task_events');
+  await runSql('DELETE FROM tasks');
+});
+
+test('任务流转应逐条写入事件时间线', async () => {
+  const originalSendTemplateCard = wecom.sendTemplateCard;
+  wecom.sendTemplateCard = async () => ({ errcode: 0, errmsg: 'ok' });
+
+  try {
+    const created = await taskService.createManualTask(
+      {
+        title: '月度盘点',
+        executor_userid: 'lisi',
+        start_time: '2026-02-12T09:00:00.000Z',
+        end_time: '2026-02-12T11:00:00.000Z',
+      },
+      'zhangsan',
+      'web_api'
+    );
+    const taskId = created.task.id;
+
+    await taskService.completeTaskById(taskId, 'lisi', 'wecom_card');
+    await taskService.verifyTaskById(taskId, 'zhangsan', false, '数据缺失', 'web_api');
+    await taskService.completeTaskById(taskId, 'lisi', 'web_api');
+    await taskService.verifyTaskById(taskId, 'zhangsan', true, '', 'wecom_card');
+
+    const events = await taskService.listTaskEvents(taskId);
+
+    assert.deepEqual(
+      events.map((item) => item.event_type),
+      ['CREATED', 'SUBMITTED', 'VERIFY_REJECTED', 'SUBMITTED', 'VERIFY_PASSED']
+    );
+    assert.equal(events[1].actor_userid, 'lisi');
+    assert.equal(events[1].source, 'wecom_card');
+    assert.equal(events[2].from_status, 'WAITING_VERIFY');
+    assert.equal(events[2].to_status, 'PENDING');
+    assert.equal(events[2].reject_reason, '数据缺失');
+    assert.deepEqual(events[2].payload.changes.redo_count, { from: 0, to: 1 });
+    assert.equal(events[4].to_status, 'COMPLETED');
+  } finally {
+    wecom.sendTemplateCard = originalSendTemplateCard;
+  }
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.USER_CALENDAR_MAP = '';
+process.env.DEFAULT_CAL_ID = '';
+
+const db = require('../src/models/db');
+const wecom = require('../src/services/wecom');
+const { taskService } = require('../src/services/task');
+const { mapTaskRowToApi } = require('../src/services/task-lifecycle');
+
+const runSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({
+        changes: this.changes || 0,
+        lastID: this.lastID,
+      });
+    });
+  });
+};
+
+const sentCards = [];
+const originalSendTemplateCard = wecom.sendTemplateCard;
+
+test.before(() => {
+  wecom.sendTemplateCard = async (config) => {
+    sentCards.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+});
+
+test.beforeEach(async () => {
+  sentCards.length = 0;
+  await runSql('DELETE FROM task_executors');
+  await runSql('DELETE FROM tasks');
+});
+
+test.after(async () => {
+  wecom.sendTemplateCard = originalSendTemplateCard;
+  await runSql('DELETE FROM task_executors');
+  await runSql('DELETE FROM tasks');
+});
+
+const createTask = async (completionMode) => {
+  const result = await taskService.createManualTask(
+    {
+      title: '联合盘点',
+      executor_userid: 'lisi',
+      executor_userids: ['wangwu', 'lisi'],
+      completion_mode: completionMode,
+      start_time: '2026-02-12T09:00:00.000Z',
+      end_time: '2026-02-12T11:00:00.000Z',
+    },
+    'zhangsan',
+    'unit_test'
+  );
+  return result.task;
+};
+
+test('ALL 模式需全部执行人完成才进入待验收，驳回后重置全部执行人', async () => {
+  const task = await createTask('ALL');
+  assert.equal(sentCards[0].touser, 'lisi|wangwu');
+
+  const partial = await taskService.completeTaskById(task.id, 'wangwu', 'unit_test');
+  assert.equal(partial.task.status, 'PENDING');
+  assert.deepEqual(
+    mapTaskRowToApi(partial.task).executors.map((item) => [item.userid, item.is_done]),
+    [
+      ['lisi', false],
+      ['wangwu', true],
+    ]
+  );
+
+  await assert.rejects(
+    () => taskService.completeTaskById(task.id, 'wangwu', 'unit_test'),
+    (error) => error.code === 'TASK_EXECUTOR_ALREADY_DONE'
+  );
+
+  const submitted = await taskService.completeTaskById(task.id, 'lisi', 'unit_test');
+  assert.equal(submitted.task.status, 'WAITING_VERIFY');
+
+  const rejected = await taskService.verifyTaskById(task.id, 'zhangsan', false, '数量不符', 'unit_test');
+  assert.equal(mapTaskRowToApi(rejected.task).executor_done_count, 0);
+});
+
+test('ANY 模式任一执行人完成即进入待验收', async () => {
+  const task = await createTask('ANY');
+
+  const result = await taskService.completeTaskById(task.id, 'wangwu', 'unit_test');
+
+  assert.equal(result.task.status, 'WAITING_VERIFY');
+  assert.equal(result.task.completed_by_userid, 'wangwu');
+});
+
+test('调整为 ANY 后已满足条件的任务直接进入待验收', async () => {
+  const task = await createTask('ALL');
+  await taskService.completeTaskById(task.id, 'lisi', 'unit_test');
+
+  await assert.rejects(
+    () => taskService.updateTaskCompletionMode(task.id, 'ANY', 'lisi'),
+    (error) => error.code === 'TASK_COMPLETION_MODE_FORBIDDEN'
+  );
+
+  const updatedTask = await taskService.updateTaskCompletionMode(task.id, 'ANY', 'zhangsan');
+  assert.equal(updatedTask.completion_mode, 'ANY');
+  assert.equal(updatedTask.status, 'WAITING_VERIFY');
+});
+
+test('同步日程时保留全部参与人为协同执行人', async () => {
+  const syncResult = await taskService.syncScheduleTask({
+    schedule_id: 'schedule-multi-attendee',
+    summary: '周会纪要',
+    organizer: { userid: 'zhangsan' },
+    attendees: [{ userid: 'zhangsan' }, { userid: 'lisi' }, { userid: 'wangwu' }, { userid: 'zhaoliu' }],
+    start_time: 1760000000,
+    end_time: 1760003600,
+  });
+
+  assert.equal(syncResult.task.executor_userid, 'lisi');
+  assert.deepEqual(
+    mapTaskRowToApi(syncResult.task).executors.map((item) => item.userid),
+    ['lisi', 'wangwu', 'zhaoliu']
+  );
+});
@@ -0,0 +1,258 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.USER_CALENDAR_MAP = '';
+process.env.DEFAULT_CAL_ID = '';
+process.env.GLOBAL_VERIFIERS = '';
+// 服务器不在 UTC 时区时，数据库中的 UTC 时间也不能按本地时间解析。
+process.env.TZ = 'Asia/Shanghai';
+
+const db = require('../src/models/db');
+const wecom = require('../src/services/wecom');
+const { taskService } = require('../src/services/task');
+const { buildTaskKpi } = require('../src/services/task-lifecycle');
+
+const runSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({
+        changes: this.changes || 0,
+        lastID: this.lastID,
+      });
+    });
+  });
+};
+
+const sentCards = [];
+const scheduleUpdates = [];
+const originalWecom = {
+  sendTemplateCard: wecom.sendTemplateCard,
+  getSchedule: wecom.getSchedule,
+  updateSchedule: wecom.updateSchedule,
+};
+
+const clearTables = async () => {
+  await runSql('DELETE FROM task_reminder_logs');
+  await runSql('DELETE FROM task_extension_requests');
+  await runSql('DELETE FROM task_events');
+  await runSql('DELETE FROM task_executors');
+  await runSql('DELETE FROM tasks');
+};
+
+test.before(() => {
+  wecom.sendTemplateCard = async (config) => {
+    sentCards.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+  wecom.getSchedule = async (scheduleId) => ({
+    errcode: 0,
+    schedule: {
+      schedule_id: scheduleId,
+      summary: '合同归档',
+      description: '',
+      start_time: 1770886800,
+      end_time: 1770894000,
+      attendees: [{ userid: 'zhangsan' }, { userid: 'lisi' }],
+    },
+  });
+  wecom.updateSchedule = async (schedule, options) => {
+    scheduleUpdates.push({ schedule, options });
+    return { errcode: 0, errmsg: 'ok' };
+  };
+});
+
+test.beforeEach(async () => {
+  sentCards.length = 0;
+  scheduleUpdates.length = 0;
+  await clearTables();
+});
+
+test.after(async () => {
+  Object.assign(wecom, originalWecom);
+  await clearTables();
+});
+
+const createTask = async () => {
+  const result = await taskService.createManualTask(
+    {
+      title: '合同归档',
+      executor_userid: 'lisi',
+      start_time: '2026-02-12T09:00:00.000Z',
+      end_time: '2026-02-12T11:00:00.000Z',
+    },
+    'zhangsan',
+    'unit_test'
+  );
+  return result.task;
+};
+
+test('执行人申请延期后创建人收到审批卡片，重复申请被拒绝', async () => {
+  const task = await createTask();
+  sentCards.length = 0;
+
+  await assert.rejects(
+    () =>
+      taskService.requestTaskExtension(
+        task.id,
+        { proposed_end_time: '2026-02-12T10:00:00.000Z', reason: '资料未到' },
+        'lisi',
+        'unit_test'
+      ),
+    (error) => error.code === 'TASK_EXTENSION_INVALID'
+  );
+
+  const { extension_request: extensionRequest, task: refreshedTask } = await taskService.requestTaskExtension(
+    task.id,
+    { proposed_end_time: '2026-02-14T11:00:00.000Z', reason: '等待法务盖章' },
+    'lisi',
+    'unit_test'
+  );
+
+  assert.equal(extensionRequest.status, 'PENDING');
+  assert.equal(refreshedTask.pending_extension_end_time, '2026-02-14 11:00:00');
+  assert.equal(sentCards[0].title, '⏳ 延期申请待审批');
+  assert.equal(sentCards[0].touser, 'zhangsan');
+  assert.deepEqual(
+    sentCards[0].buttons.map((item) => item.id),
+    [`ACTION_EXTEND_APPROVE:${extensionRequest.id}`, `ACTION_EXTEND_DENY:${extensionRequest.id}`]
+  );
+
+  await assert.rejects(
+    () =>
+      taskService.requestTaskExtension(
+        task.id,
+        { proposed_end_time: '2026-02-15T11:00:00.000Z', reason: '再延一天' },
+        'lisi',
+        'unit_test'
+      ),
+    (error) => error.code === 'TASK_EXTENSION_PENDING'
+  );
+});
+
+test('延期通过后更新截止时间与日程，保留原始截止时间并重置提醒状态', async () => {
+  const task = await createTask();
+  await runSql(`UPDATE tasks SET wecom_schedule_id = 'sch_extend' WHERE id = ?`, [task.id]);
+  await runSql(
+    `INSERT INTO task_reminder_logs (task_id, due_at, offset_minutes, kind) VALUES (?, ?, 0, 'OVERDUE')`,
+    [task.id, task.end_time]
+  );
+
+  const { extension_request: extensionRequest } = await taskService.requestTaskExtension(
+    task.id,
+    { proposed_end_time: '2026-02-14T11:00:00.000Z', reason: '等待法务盖章' },
+    'lisi',
+    'unit_test'
+  );
+
+  await assert.rejects(
+    () => taskService.decideTaskExtension(task.id, extensionRequest.id, true, 'lisi', '', 'unit_test'),
+    (error) => error.code === 'TASK_EXTENSION_FORBIDDEN'
+  );
+
+  sentCards.length = 0;
+  const { task: extendedTask } = await taskService.handleInteraction({
+    UserID: 'zhangsan',
+    TaskId: 'sch_extend',
+    SelectedKey: `ACTION_EXTEND_APPROVE:${extensionRequest.id}`,
+  });
+
+  assert.equal(extendedTask.end_time, '2026-02-14 11:00:00');
+  assert.equal(extendedTask.original_end_time, '2026-02-12 11:00:00');
+  assert.equal(extendedTask.extension_count, 1);
+  assert.equal(extendedTask.last_reminder_offset, null);
+  assert.equal(extendedTask.pending_extension_end_time, null);
+  assert.equal(scheduleUpdates.length, 1);
+  assert.equal(scheduleUpdates[0].schedule.end_time, Date.parse('2026-02-14T11:00:00.000Z') / 1000);
+  assert.equal(scheduleUpdates[0].options.skipAttendees, true);
+  assert.equal(sentCards[0].title, '✅ 延期申请已通过');
+  assert.equal(sentCards[0].touser, 'lisi');
+
+  const kpi = buildTaskKpi(
+    [{ ...extendedTask, status: 'COMPLETED', completion_time: '2026-02-13T10:00:00.000Z' }],
+    new Date('2026-02-15T00:00:00.000Z')
+  );
+  assert.equal(kpi.extended_tasks, 1);
+  assert.equal(kpi.on_time_rate, 100);
+  assert.equal(kpi.original_on_time_rate, 0);
+});
+
+test('延期驳回后截止时间不变并通知申请人', async () => {
+  const task = await createTask();
+  const { extension_request: extensionRequest } = await taskService.requestTaskExtension(
+    task.id,
+    { proposed_end_time: '2026-02-14T11:00:00.000Z', reason: '等待法务盖章' },
+    'lisi',
+    'unit_test'
+  );
+
+  sentCards.length = 0;
+  const { task: deniedTask, extension_request: deniedRequest } = await taskService.decideTaskExtension(
+    task.id,
+    extensionRequest.id,
+    false,
+    'zhangsan',
+    '本周必须完成',
+    'unit_test'
+  );
+
+  assert.equal(deniedRequest.status, 'DENIED');
+  assert.equal(deniedTask.end_time, '2026-02-12 11:00:00');
+  assert.equal(deniedTask.original_end_time, null);
+  assert.equal(sentCards[0].title, '❌ 延期申请未通过');
+  assert.match(sentCards[0].description, /本周必须完成/);
+  assert.equal(scheduleUpdates.length, 0);
+});
+
+test('延期通过但日程回写失败时，同步不覆盖新截止时间并重试回写', async () => {
+  const task = await createTask();
+  await runSql(`UPDATE tasks SET wecom_schedule_id = 'sch_extend' WHERE id = ?`, [task.id]);
+  const { extension_request: extensionRequest } = await taskService.requestTaskExtension(
+    task.id,
+    { proposed_end_time: '2026-02-14T11:00:00.000Z', reason: '等待法务盖章' },
+    'lisi',
+    'unit_test'
+  );
+
+  const workingUpdateSchedule = wecom.updateSchedule;
+  wecom.updateSchedule = async () => ({ errcode: 60020, errmsg: 'not allow to access from your ip' });
+  try {
+    const { task: extendedTask } = await taskService.decideTaskExtension(
+      task.id,
+      extensionRequest.id,
+      true,
+      'zhangsan',
+      '',
+      'unit_test'
+    );
+    assert.equal(extendedTask.end_time, '2026-02-14 11:00:00');
+    assert.equal(extendedTask.schedule_end_time_pending, 1);
+  } finally {
+    wecom.updateSchedule = workingUpdateSchedule;
+  }
+
+  const staleSchedule = {
+    schedule_id: 'sch_extend',
+    summary: '合同归档',
+    organizer: 'zhangsan',
+    attendees: [{ userid: 'lisi' }],
+    start_time: Date.parse('2026-02-12T09:00:00.000Z') / 1000,
+    end_time: Date.parse('2026-02-12T11:00:00.000Z') / 1000,
+  };
+  const { task: syncedTask } = await taskService.syncScheduleTask(staleSchedule);
+  assert.equal(syncedTask.end_time, '2026-02-14 11:00:00');
+  assert.equal(syncedTask.schedule_end_time_pending, 0);
+  assert.equal(scheduleUpdates.length, 1);
+  assert.equal(scheduleUpdates[0].schedule.end_time, Date.parse('2026-02-14T11:00:00.000Z') / 1000);
+
+  const { task: resyncedTask } = await taskService.syncScheduleTask({
+    ...staleSchedule,
+    end_time: Date.parse('2026-02-15T11:00:00.000Z') / 1000,
+  });
+  assert.equal(resyncedTask.end_time, '2026-02-15 11:00:00');
+  assert.equal(scheduleUpdates.length, 1);
+});
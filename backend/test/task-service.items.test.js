@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.USER_CALENDAR_MAP = '';
+process.env.DEFAULT_CAL_ID = '';
+
+const db = require('../src/models/db');
+const wecom = require('../src/services/wecom');
+const { taskService } = require('../src/services/task');
+
+const runSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({
+        changes: this.changes || 0,
+        lastID: this.lastID,
+      });
+    });
+  });
+};
+
+const sentCards = [];
+const originalSendTemplateCard = wecom.sendTemplateCard;
+
+test.before(() => {
+  wecom.sendTemplateCard = async (config) => {
+    sentCards.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+});
+
+test.beforeEach(async () => {
+  sentCards.length = 0;
+  await runSql('DELETE FROM task_items');
+  await runSql('DELETE FROM tasks');
+});
+
+test.after(async () => {
+  wecom.sendTemplateCard = originalSendTemplateCard;
+  await runSql('DELETE FROM task_items');
+  await runSql('DELETE FROM tasks');
+});
+
+const createTask = async () => {
+  const result = await taskService.createManualTask(
+    {
+      title: '周报汇总',
+      executor_userid: 'lisi',
+      start_time: '2026-02-12T09:00:00.000Z',
+      end_time: '2026-02-12T11:00:00.000Z',
+    },
+    'zhangsan',
+    'unit_test'
+  );
+  return result.task;
+};
+
+test('必填检查项未完成时应拒绝提交验收', async () => {
+  const task = await createTask();
+  const firstItem = await taskService.createTaskItem(task.id, { title: '收集数据' }, 'zhangsan');
+  await taskService.createTaskItem(task.id, { title: '补充截图', is_required: false }, 'zhangsan');
+
+  await assert.rejects(
+    () => taskService.completeTaskById(task.id, 'lisi', 'unit_test'),
+    (error) => error.code === 'TASK_ITEMS_INCOMPLETE'
+  );
+
+  await taskService.updateTaskItem(task.id, firstItem.id, { is_done: true }, 'lisi');
+  const result = await taskService.completeTaskById(task.id, 'lisi', 'unit_test');
+
+  assert.equal(result.task.status, 'WAITING_VERIFY');
+  assert.equal(result.task.item_total_count, 2);
+  assert.equal(result.task.item_done_count, 1);
+
+  await assert.rejects(
+    () => taskService.updateTaskItem(task.id, firstItem.id, { is_done: false }, 'lisi'),
+    (error) => error.code === 'TASK_ITEMS_LOCKED' && error.statusCode === 409
+  );
+  await assert.rejects(
+    () => taskService.createTaskItem(task.id, { title: '临时追加' }, 'zhangsan'),
+    (error) => error.code === 'TASK_ITEMS_LOCKED'
+  );
+});
+
+test('验收卡片应展示检查项进度', async () => {
+  const task = await createTask();
+  const items = [];
+  for (const title of ['A', 'B', 'C']) {
+    items.push(await taskService.createTaskItem(task.id, { title }, 'zhangsan'));
+  }
+  for (const item of items) {
+    await taskService.updateTaskItem(task.id, item.id, { is_done: 1 }, 'lisi');
+  }
+
+  await taskService.completeTaskById(task.id, 'lisi', 'unit_test');
+
+  const verifierCard = sentCards[sentCards.length - 1];
+  const progress = verifierCard.details.find((item) => item.keyname === '检查项');
+  assert.equal(progress.value, '3/3 项已完成');
+});
+
+test('检查项应按排序返回且非相关人不可修改', async () => {
+  const task = await createTask();
+  await taskService.createTaskItem(task.id, { title: '第二步', sort_order: 2 }, 'zhangsan');
+  await taskService.createTaskItem(task.id, { title: '第一步', sort_order: 1 }, 'zhangsan');
+
+  const items = await taskService.listTaskItems(task.id);
+  assert.deepEqual(
+    items.map((item) => item.title),
+    ['第一步', '第二步']
+  );
+
+  await assert.rejects(
+    () => taskService.createTaskItem(task.id, { title: '越权' }, 'stranger'),
+    (error) => error.code === 'TASK_NOT_FOUND'
+  );
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.USER_CALENDAR_MAP = '';
+process.env.DEFAULT_CAL_ID = '';
+process.env.GLOBAL_VERIFIERS = '';
+
+const db = require('../src/models/db');
+const wecom = require('../src/services/wecom');
+const { taskService } = require('../src/services/task');
+
+const runSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({
+        changes: this.changes || 0,
+        lastID: this.lastID,
+      });
+    });
+  });
+};
+
+const sentCards = [];
+const originalSendTemplateCard = wecom.sendTemplateCard;
+
+const clearTables = async () => {
+  await runSql('DELETE FROM task_dependencies');
+  await runSql('DELETE FROM task_events');
+  await runSql('DELETE FROM task_executors');
+  await runSql('DELETE FROM tasks');
+};
+
+test.before(() => {
+  wecom.sendTemplateCard = async (config) => {
+    sentCards.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+});
+
+test.beforeEach(async () => {
+  sentCards.length = 0;
+  await clearTables();
+});
+
+test.after(async () => {
+  wecom.sendTemplateCard = originalSendTemplateCard;
+  await clearTables();
+});
+
+const createTask = async (title, executorUserId) => {
+  const result = await taskService.createManualTask(
+    {
+      title,
+      executor_userid: executorUserId,
+      start_time: '2026-02-12T09:00:00.000Z',
+      end_time: '2026-02-12T11:00:00.000Z',
+    },
+    'zhangsan',
+    'unit_test'
+  );
+  return result.task;
+};
+
+test('仅创建人可取消任务，取消后通知执行人并记录原因', async () => {
+  const task = await createTask('需求评审', 'lisi');
+
+  await assert.rejects(
+    () => taskService.applyManageAction(task.id, 'CANCEL', 'lisi', '不做了', 'unit_test'),
+    (error) => error.code === 'TASK_MANAGE_FORBIDDEN'
+  );
+
+  sentCards.length = 0;
+  const cancelledTask = await taskService.applyManageAction(task.id, 'CANCEL', 'zhangsan', '需求撤回', 'unit_test');
+  assert.equal(cancelledTask.status, 'CANCELLED');
+  assert.equal(cancelledTask.cancel_reason, '需求撤回');
+  assert.ok(cancelledTask.cancelled_at);
+
+  const cancelCard = sentCards.find((item) => item.title === '🚫 任务已取消');
+  assert.ok(cancelCard);
+  assert.equal(cancelCard.touser, 'lisi');
+
+  await assert.rejects(
+    () => taskService.completeTaskById(task.id, 'lisi', 'unit_test'),
+    (error) => error.code === 'TASK_CLOSED'
+  );
+
+  const events = await taskService.listTaskEvents(task.id);
+  assert.equal(events[events.length - 1].event_type, 'CANCELLED');
+});
+
+test('归档保留归档前状态，重新打开后回到待执行并清空执行进度', async () => {
+  const task = await createTask('周报整理', 'lisi');
+  await taskService.completeTaskById(task.id, 'lisi', 'unit_test');
+  await taskService.verifyTaskById(task.id, 'zhangsan', true, '', 'unit_test');
+
+  await assert.rejects(
+    () => taskService.applyManageAction(task.id, 'REOPEN', 'zhangsan', '', 'unit_test'),
+    (error) => error.code === 'TASK_STATUS_CONFLICT'
+  );
+
+  const archivedTask = await taskService.applyManageAction(task.id, 'ARCHIVE', 'zhangsan', '', 'unit_test');
+  assert.equal(archivedTask.status, 'ARCHIVED');
+  assert.equal(archivedTask.archived_from_status, 'COMPLETED');
+
+  sentCards.length = 0;
+  const reopenedTask = await taskService.applyManageAction(task.id, 'REOPEN', 'zhangsan', '', 'unit_test');
+  assert.equal(reopenedTask.status, 'PENDING');
+  assert.equal(reopenedTask.archived_from_status, null);
+  assert.ok(sentCards.some((item) => item.title === '♻️ 任务已重新打开'));
+
+  const resubmitted = await taskService.completeTaskById(task.id, 'lisi', 'unit_test');
+  assert.equal(resubmitted.task.status, 'WAITING_VERIFY');
+});
+
+test('前置任务取消后解除后续任务阻塞', async () => {
+  const taskA = await createTask('任务A', 'lisi');
+  const taskB = await createTask('任务B', 'wangwu');
+  await taskService.addTaskDependency(taskB.id, taskA.id, 'zhangsan');
+
+  sentCards.length = 0;
+  await taskService.applyManageAction(taskA.id, 'CANCEL', 'zhangsan', '', 'unit_test');
+
+  const unblockCard = sentCards.find((item) => item.title === '🔓 任务已解除阻塞');
+  assert.ok(unblockCard);
+  assert.equal(unblockCard.touser, 'wangwu');
+
+  const refreshedTaskB = await taskService.getTaskById(taskB.id);
+  assert.equal(refreshedTaskB.open_blocker_count, 0);
+});
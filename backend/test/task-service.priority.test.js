@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.USER_CALENDAR_MAP = '';
+process.env.DEFAULT_CAL_ID = '';
+
+const db = require('../src/models/db');
+const wecom = require('../src/services/wecom');
+const { taskService } = require('../src/services/task');
+
+const runSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({
+        changes: this.changes || 0,
+        lastID: this.lastID,
+      });
+    });
+  });
+};
+
+const sentCards = [];
+const originalSendTemplateCard = wecom.sendTemplateCard;
+
+const clearTables = async () => {
+  await runSql('DELETE FROM task_events');
+  await runSql('DELETE FROM task_executors');
+  await runSql('DELETE FROM tasks');
+};
+
+test.before(() => {
+  wecom.sendTemplateCard = async (config) => {
+    sentCards.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+});
+
+test.beforeEach(async () => {
+  sentCards.length = 0;
+  await clearTables();
+});
+
+test.after(async () => {
+  wecom.sendTemplateCard = originalSendTemplateCard;
+  await clearTables();
+});
+
+const buildPayload = (overrides = {}) => ({
+  title: '线上故障复盘',
+  executor_userid: 'lisi',
+  start_time: '2026-02-12T09:00:00.000Z',
+  end_time: '2026-02-12T11:00:00.000Z',
+  ...overrides,
+});
+
+test('创建任务可指定优先级并在卡片中展示', async () => {
+  const { task } = await taskService.createManualTask(buildPayload({ priority: 'p0' }), 'zhangsan', 'unit_test');
+
+  assert.equal(task.priority, 'P0');
+  const priorityDetail = sentCards[0].details.find((item) => item.keyname === '优先级');
+  assert.equal(priorityDetail.value, '🔴 P0 紧急');
+
+  await assert.rejects(
+    () => taskService.createManualTask(buildPayload({ priority: 'P5' }), 'zhangsan', 'unit_test'),
+    (error) => error.code === 'TASK_PRIORITY_INVALID'
+  );
+
+  const { task: defaultTask } = await taskService.createManualTask(buildPayload(), 'zhangsan', 'unit_test');
+  assert.equal(defaultTask.priority, 'P2');
+});
+
+test('同步日程时从标题解析优先级，未标注时保留已有优先级', async () => {
+  const schedule = {
+    schedule_id: 'sch_priority',
+    summary: '【P1】季度预算评审',
+    organizer: 'zhangsan',
+    attendees: [{ userid: 'zhangsan' }, { userid: 'lisi' }],
+    start_time: 1770886800,
+    end_time: 1770894000,
+  };
+
+  const inserted = await taskService.syncScheduleTask(schedule);
+  assert.equal(inserted.task.priority, 'P1');
+
+  await runSql(`UPDATE tasks SET priority = 'P0' WHERE wecom_schedule_id = ?`, ['sch_priority']);
+  const updated = await taskService.syncScheduleTask({ ...schedule, summary: '季度预算评审' });
+  assert.equal(updated.task.priority, 'P0');
+});
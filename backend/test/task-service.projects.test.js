@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.USER_CALENDAR_MAP = '';
+process.env.DEFAULT_CAL_ID = '';
+process.env.GLOBAL_VERIFIERS = '';
+
+const db = require('../src/models/db');
+const wecom = require('../src/services/wecom');
+const { taskService } = require('../src/services/task');
+const { mapTaskRowToApi, isTaskVisibleToUser } = require('../src/services/task-lifecycle');
+
+const runSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({
+        changes: this.changes || 0,
+        lastID: this.lastID,
+      });
+    });
+  });
+};
+
+const originalSendTemplateCard = wecom.sendTemplateCard;
+
+const clearTables = async () => {
+  await runSql('DELETE FROM task_events');
+  await runSql('DELETE FROM task_executors');
+  await runSql('DELETE FROM task_labels');
+  await runSql('DELETE FROM project_members');
+  await runSql('DELETE FROM projects');
+  await runSql('DELETE FROM tasks');
+};
+
+test.before(() => {
+  wecom.sendTemplateCard = async () => ({ errcode: 0, errmsg: 'ok' });
+});
+
+test.beforeEach(async () => {
+  await clearTables();
+});
+
+test.after(async () => {
+  wecom.sendTemplateCard = originalSendTemplateCard;
+  await clearTables();
+});
+
+const buildPayload = (overrides = {}) => ({
+  title: '官网首页改版',
+  executor_userid: 'lisi',
+  start_time: '2026-02-12T09:00:00.000Z',
+  end_time: '2026-02-12T11:00:00.000Z',
+  ...overrides,
+});
+
+test('创建项目后可将任务归入项目并挂载标签，项目成员可见该任务', async () => {
+  const project = await taskService.createProject(
+    { name: '官网改版', member_userids: ['wangwu', 'zhangsan'] },
+    'zhangsan'
+  );
+  assert.equal(project.owner_userid, 'zhangsan');
+  assert.deepEqual(project.member_userids, ['wangwu']);
+  assert.equal(project.can_edit, true);
+
+  const { task } = await taskService.createManualTask(
+    buildPayload({ project_id: project.id, labels: '#设计, 前端' }),
+    'zhangsan',
+    'unit_test'
+  );
+  const apiTask = mapTaskRowToApi(task);
+
+  assert.equal(apiTask.project_id, project.id);
+  assert.equal(apiTask.project_name, '官网改版');
+  assert.deepEqual(apiTask.labels, ['前端', '设计']);
+  assert.equal(apiTask.project_member_userids, undefined);
+  assert.equal(isTaskVisibleToUser(task, 'wangwu'), true);
+
+  await assert.rejects(
+    () => taskService.createProject({ name: '官网改版' }, 'lisi'),
+    (error) => error.code === 'PROJECT_NAME_CONFLICT'
+  );
+});
+
+test('非项目成员不可将任务归入项目，也不可修改项目', async () => {
+  const project = await taskService.createProject({ name: '年度审计' }, 'pm');
+
+  await assert.rejects(
+    () => taskService.createManualTask(buildPayload({ project_id: project.id }), 'zhangsan', 'unit_test'),
+    (error) => error.code === 'TASK_PROJECT_FORBIDDEN'
+  );
+  await assert.rejects(
+    () => taskService.updateProject(project.id, { member_userids: ['zhangsan'] }, 'zhangsan'),
+    (error) => error.code === 'PROJECT_FORBIDDEN'
+  );
+
+  const updated = await taskService.updateProject(project.id, { member_userids: ['zhangsan'] }, 'pm');
+  assert.deepEqual(updated.member_userids, ['zhangsan']);
+
+  const projects = await taskService.listProjects('zhangsan');
+  assert.deepEqual(projects.map((item) => item.name), ['年度审计']);
+  assert.equal(projects[0].can_edit, false);
+  assert.deepEqual(await taskService.listProjects('outsider'), []);
+});
+
+test('调整任务项目与标签会记录时间线事件', async () => {
+  const project = await taskService.createProject({ name: '客户交付' }, 'zhangsan');
+  const { task } = await taskService.createManualTask(buildPayload(), 'zhangsan', 'unit_test');
+
+  await assert.rejects(
+    () => taskService.updateTaskProject(task.id, project.id, 'lisi'),
+    (error) => error.code === 'TASK_PROJECT_FORBIDDEN'
+  );
+
+  const movedTask = await taskService.updateTaskProject(task.id, project.id, 'zhangsan');
+  assert.equal(movedTask.project_id, project.id);
+
+  const labelledTask = await taskService.updateTaskLabels(task.id, ['客户A', '周报'], 'lisi');
+  assert.equal(labelledTask.labels, '["周报","客户A"]');
+
+  await assert.rejects(
+    () => taskService.updateTaskLabels(task.id, ['x'.repeat(40)], 'lisi'),
+    (error) => error.code === 'TASK_LABELS_INVALID'
+  );
+  await assert.rejects(
+    () => taskService.updateTaskLabels(task.id, ['周报'], 'outsider'),
+    (error) => error.code === 'TASK_LABELS_FORBIDDEN'
+  );
+
+  const events = await taskService.listTaskEvents(task.id);
+  const projectEvent = events.find((item) => item.event_type === 'PROJECT_CHANGED');
+  const labelEvent = events.find((item) => item.event_type === 'LABELS_CHANGED');
+  assert.deepEqual(projectEvent.payload.changes.project_id, { from: null, to: project.id });
+  assert.deepEqual(labelEvent.payload.changes.labels, { from: [], to: ['周报', '客户A'] });
+});
@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.USER_CALENDAR_MAP = '';
+process.env.DEFAULT_CAL_ID = '';
+process.env.GLOBAL_VERIFIERS = '';
+
+const db = require('../src/models/db');
+const wecom = require('../src/services/wecom');
+const { taskService } = require('../src/services/task');
+
+const runSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({
+        changes: this.changes || 0,
+        lastID: this.lastID,
+      });
+    });
+  });
+};
+
+const sentCards = [];
+const originalSendTemplateCard = wecom.sendTemplateCard;
+const originalSendTextCard = wecom.sendTextCard;
+
+const clearTables = async () => {
+  await runSql('DELETE FROM task_events');
+  await runSql('DELETE FROM task_executors');
+  await runSql('DELETE FROM tasks');
+};
+
+test.before(() => {
+  wecom.sendTemplateCard = async (config) => {
+    sentCards.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+  wecom.sendTextCard = async () => ({ errcode: 0, errmsg: 'ok' });
+});
+
+test.beforeEach(async () => {
+  sentCards.length = 0;
+  await clearTables();
+});
+
+test.after(async () => {
+  wecom.sendTemplateCard = originalSendTemplateCard;
+  wecom.sendTextCard = originalSendTextCard;
+  await clearTables();
+});
+
+const createSubmittedTask = async (executorUserId = 'lisi', title = '月度对账') => {
+  const result = await taskService.createManualTask(
+    {
+      title,
+      executor_userid: executorUserId,
+      start_time: '2026-02-12T09:00:00.000Z',
+      end_time: '2099-02-12T11:00:00.000Z',
+    },
+    'zhangsan',
+    'unit_test'
+  );
+  await taskService.completeTaskById(result.task.id, executorUserId, 'web_api');
+  return result.task;
+};
+
+test('网页验收通过时保存质量评分与评语，并计入团队平均质量分', async () => {
+  const first = await createSubmittedTask('lisi', '月度对账');
+  const second = await createSubmittedTask('lisi', '季度对账');
+
+  const result = await taskService.verifyTaskById(first.id, 'zhangsan', true, '', 'web_api', {
+    score: 5,
+    comment: '核对细致',
+  });
+  assert.equal(result.task.quality_score, 5);
+  assert.equal(result.task.quality_comment, '核对细致');
+  await taskService.verifyTaskById(second.id, 'zhangsan', true, '', 'web_api', { score: 4 });
+
+  const events = await taskService.listTaskEvents(first.id);
+  const passedEvent = events.find((item) => item.event_type === 'VERIFY_PASSED');
+  assert.equal(passedEvent.payload.quality_score, 5);
+
+  const stats = await taskService.getTeamStats('zhangsan');
+  const member = stats.members.find((item) => item.userid === 'lisi');
+  assert.equal(member.completed_tasks, 2);
+  assert.equal(member.rated_tasks, 2);
+  assert.equal(member.average_quality, 4.5);
+});
+
+test('评分超出范围时拒绝验收且任务保持待验收', async () => {
+  const task = await createSubmittedTask();
+
+  await assert.rejects(
+    () => taskService.verifyTaskById(task.id, 'zhangsan', true, '', 'web_api', { score: 9 }),
+    (error) => error.code === 'TASK_QUALITY_RATING_INVALID' && error.statusCode === 400
+  );
+
+  const reloaded = await taskService.getTaskById(task.id);
+  assert.equal(reloaded.status, 'WAITING_VERIFY');
+});
+
+test('卡片确认通过后推送评分投票卡片，仅验收人可提交评分', async () => {
+  const task = await createSubmittedTask();
+  sentCards.length = 0;
+
+  await taskService.handleInteraction({
+    UserID: 'zhangsan',
+    TaskId: task.wecom_schedule_id,
+    SelectedKey: 'ACTION_PASS',
+  });
+
+  const voteCard = sentCards.find((item) => item.card_type === 'vote_interaction');
+  assert.ok(voteCard);
+  assert.equal(voteCard.touser, 'zhangsan');
+  assert.deepEqual(
+    voteCard.checkbox.option_list.map((item) => item.id),
+    ['5', '4', '3', '2', '1']
+  );
+  assert.equal(voteCard.submit_button.key, 'ACTION_RATE');
+
+  await assert.rejects(
+    () =>
+      taskService.handleInteraction({
+        UserID: 'lisi',
+        TaskId: task.wecom_schedule_id,
+        SelectedKey: 'ACTION_RATE:5',
+      }),
+    (error) => error.code === 'TASK_RATE_FORBIDDEN'
+  );
+
+  const result = await taskService.handleInteraction({
+    UserID: 'zhangsan',
+    TaskId: task.wecom_schedule_id,
+    SelectedKey: 'ACTION_RATE:4',
+  });
+  assert.equal(result.task.quality_score, 4);
+
+  const events = await taskService.listTaskEvents(task.id);
+  assert.ok(events.some((item) => item.event_type === 'QUALITY_RATED'));
+});
+
+test('评分卡片发送失败不影响卡片验收通过结果', async () => {
+  const task = await createSubmittedTask();
+  const workingSendTemplateCard = wecom.sendTemplateCard;
+  wecom.sendTemplateCard = async (config) => {
+    if (config.card_type === 'vote_interaction') {
+      throw new Error('network down');
+    }
+    return workingSendTemplateCard(config);
+  };
+
+  try {
+    const result = await taskService.handleInteraction({
+      UserID: 'zhangsan',
+      TaskId: task.wecom_schedule_id,
+      SelectedKey: 'ACTION_PASS',
+    });
+    assert.equal(result.task.status, 'COMPLETED');
+  } finally {
+    wecom.sendTemplateCard = workingSendTemplateCard;
+  }
+});
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.USER_CALENDAR_MAP = '';
+process.env.DEFAULT_CAL_ID = '';
+process.env.GLOBAL_VERIFIERS = '';
+
+const db = require('../src/models/db');
+const { taskService } = require('../src/services/task');
+
+const runSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({
+        changes: this.changes || 0,
+        lastID: this.lastID,
+      });
+    });
+  });
+};
+
+const NOW = new Date('2026-03-10T00:00:00.000Z');
+
+const clearTables = async () => {
+  await runSql('DELETE FROM task_executors');
+  await runSql('DELETE FROM task_labels');
+  await runSql('DELETE FROM tasks');
+};
+
+const insertTask = async (overrides = {}) => {
+  const task = {
+    title: '季度复盘',
+    status: 'PENDING',
+    priority: 'P2',
+    creator_userid: 'zhangsan',
+    executor_userid: 'lisi',
+    end_time: '2026-03-20T10:00:00.000Z',
+    created_at: '2026-03-01 09:00:00',
+    ...overrides,
+  };
+
+  const result = await runSql(
+    `INSERT INTO tasks (wecom_schedule_id, title, status, priority, creator_userid, executor_userid, end_time, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      `manual_query_${Math.random().toString(36).slice(2)}`,
+      task.title,
+      task.status,
+      task.priority,
+      task.creator_userid,
+      task.executor_userid,
+      task.end_time,
+      task.created_at,
+      task.created_at,
+    ]
+  );
+  return result.lastID;
+};
+
+test.beforeEach(async () => {
+  await clearTables();
+});
+
+test.after(async () => {
+  await clearTables();
+});
+
+test('游标分页逐页返回全部可见任务且不重复，并给出总数', async () => {
+  for (let index = 0; index < 5; index += 1) {
+    await insertTask({ title: `任务${index}`, end_time: `2026-03-2${index}T10:00:00.000Z` });
+  }
+  await insertTask({ title: '他人任务', creator_userid: 'wangwu', executor_userid: 'zhaoliu' });
+
+  const seenTitles = [];
+  let cursor = '';
+  let pageCount = 0;
+  do {
+    const page = await taskService.listTasksPage(
+      { sort: 'end_time', order: 'asc', limit: '2', cursor },
+      'lisi',
+      NOW
+    );
+    assert.equal(page.total, 5);
+    assert.ok(page.tasks.length <= 2);
+    assert.equal(page.tasks[0].sort_value, undefined);
+    seenTitles.push(...page.tasks.map((item) => item.title));
+    cursor = page.next_cursor || '';
+    pageCount += 1;
+  } while (cursor);
+
+  assert.equal(pageCount, 3);
+  assert.deepEqual(seenTitles, ['任务0', '任务1', '任务2', '任务3', '任务4']);
+
+  await assert.rejects(
+    () => taskService.listTasksPage({ sort: 'status', cursor: 'broken' }, 'lisi', NOW),
+    (error) => error.code === 'TASK_CURSOR_INVALID' && error.statusCode === 400
+  );
+});
+
+test('排序值相同时按 id 倒序翻页，支持按状态与优先级排序', async () => {
+  const firstId = await insertTask({ title: '待验收', status: 'WAITING_VERIFY', priority: 'P1' });
+  const secondId = await insertTask({ title: '待处理甲', priority: 'P3' });
+  const thirdId = await insertTask({ title: '待处理乙', priority: 'P0' });
+
+  const firstPage = await taskService.listTasksPage({ sort: 'status', order: 'asc', limit: '1' }, 'lisi', NOW);
+  assert.equal(firstPage.tasks[0].id, thirdId);
+  const secondPage = await taskService.listTasksPage(
+    { sort: 'status', order: 'asc', limit: '5', cursor: firstPage.next_cursor },
+    'lisi',
+    NOW
+  );
+  assert.deepEqual(secondPage.tasks.map((item) => item.id), [secondId, firstId]);
+  assert.equal(secondPage.next_cursor, null);
+
+  const byPriority = await taskService.listTasksPage({}, 'lisi', NOW);
+  assert.deepEqual(byPriority.tasks.map((item) => item.priority), ['P0', 'P1', 'P3']);
+});
+
+test('按执行人、创建人、日期范围、逾期与即将到期筛选', async () => {
+  const overdueId = await insertTask({ title: '已逾期', end_time: '2026-03-09T10:00:00.000Z' });
+  await insertTask({ title: '已完成逾期', status: 'COMPLETED', end_time: '2026-03-08T10:00:00.000Z' });
+  const dueSoonId = await insertTask({ title: '即将到期', priority: 'P0', end_time: '2026-03-11T12:00:00.000Z' });
+  await insertTask({ title: '尚早', priority: 'P3', end_time: '2026-03-11T12:00:00.000Z' });
+  const coExecutorTaskId = await insertTask({
+    title: '协作任务',
+    creator_userid: 'wangwu',
+    executor_userid: 'wangwu',
+    created_at: '2026-02-01 09:00:00',
+  });
+  await runSql(`INSERT INTO task_executors (task_id, executor_userid, sort_order) VALUES (?, ?, 0)`, [
+    coExecutorTaskId,
+    'lisi',
+  ]);
+
+  const listIds = async (query) => {
+    const page = await taskService.listTasksPage(query, '', NOW);
+    return page.tasks.map((item) => item.id);
+  };
+
+  assert.deepEqual(await listIds({ overdue: '1' }), [overdueId]);
+  assert.deepEqual(await listIds({ due_soon: '1' }), [dueSoonId]);
+  assert.deepEqual(await listIds({ creator_userid: 'wangwu' }), [coExecutorTaskId]);
+  assert.ok((await listIds({ executor_userid: 'lisi' })).includes(coExecutorTaskId));
+  assert.deepEqual(await listIds({ created_to: '2026-02-15' }), [coExecutorTaskId]);
+  assert.deepEqual(
+    await listIds({ end_from: '2026-03-09T00:00:00.000Z', end_to: '2026-03-10T00:00:00.000Z' }),
+    [overdueId]
+  );
+});
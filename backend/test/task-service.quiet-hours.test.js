@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const holidayFilePath = path.join(os.tmpdir(), `task-holidays-${process.pid}.json`);
+fs.writeFileSync(holidayFilePath, JSON.stringify({ holidays: [{ start: '2026-10-01', end: '2026-10-07', name: '国庆节' }] }));
+
+process.env.USER_CALENDAR_MAP = '';
+process.env.DEFAULT_CAL_ID = '';
+process.env.GLOBAL_VERIFIERS = '';
+process.env.TASK_TIMEZONE_OFFSET_MINUTES = '480';
+process.env.TASK_QUIET_HOURS = '22:00-08:00';
+process.env.TASK_HOLIDAY_FILE = holidayFilePath;
+
+const db = require('../src/models/db');
+const wecom = require('../src/services/wecom');
+const { taskService } = require('../src/services/task');
+
+const runSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({
+        changes: this.changes || 0,
+        lastID: this.lastID,
+      });
+    });
+  });
+};
+
+const sentCards = [];
+const originalSendTemplateCard = wecom.sendTemplateCard;
+
+const clearTables = async () => {
+  await runSql('DELETE FROM deferred_notifications');
+  await runSql('DELETE FROM task_reminder_logs');
+  await runSql('DELETE FROM user_preferences');
+  await runSql('DELETE FROM task_events');
+  await runSql('DELETE FROM task_executors');
+  await runSql('DELETE FROM tasks');
+};
+
+test.before(() => {
+  wecom.sendTemplateCard = async (config) => {
+    sentCards.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+});
+
+test.beforeEach(async () => {
+  sentCards.length = 0;
+  await clearTables();
+});
+
+test.after(async () => {
+  wecom.sendTemplateCard = originalSendTemplateCard;
+  fs.rmSync(holidayFilePath, { force: true });
+  await clearTables();
+});
+
+const createTask = async (endTime, overrides = {}) => {
+  const result = await taskService.createManualTask(
+    {
+      title: '供应商合同续签',
+      executor_userid: 'lisi',
+      start_time: '2026-09-01T00:00:00.000Z',
+      end_time: endTime,
+      ...overrides,
+    },
+    'zhangsan',
+    'unit_test'
+  );
+  sentCards.length = 0;
+  return result.task;
+};
+
+const remind = async (taskId, iso) => {
+  return taskService.dispatchTaskReminder(await taskService.getTaskById(taskId), 'unit_test', new Date(iso));
+};
+
+test('凌晨与节假日的提醒顺延到工作时间发送，顺延期间不占用提醒时间点', async () => {
+  // 周二 12:00（UTC+8）到期，周二 03:00 扫描时处于免打扰时段。
+  const task = await createTask('2026-09-15T04:00:00.000Z');
+  const deferred = await remind(task.id, '2026-09-14T19:00:00.000Z');
+  assert.equal(deferred.sent, false);
+  assert.equal(deferred.deferred, true);
+  assert.equal(sentCards.length, 0);
+  assert.equal((await taskService.getTaskById(task.id)).last_reminder_offset, null);
+
+  assert.equal((await remind(task.id, '2026-09-15T01:00:00.000Z')).sent, true);
+  assert.equal(sentCards.length, 1);
+
+  // 国庆假期内逾期的任务，假期结束后的首个工作日才发送逾期提醒。
+  const holidayTask = await createTask('2026-10-02T04:00:00.000Z');
+  assert.equal((await remind(holidayTask.id, '2026-10-02T06:00:00.000Z')).deferred, true);
+  assert.equal((await remind(holidayTask.id, '2026-10-08T01:00:00.000Z')).kind, 'OVERDUE');
+});
+
+test('成员设置时区后按其本地时间判断免打扰', async () => {
+  await assert.rejects(
+    () => taskService.updateUserPreferences('lisi', { timezone_offset_minutes: 'Mars/Olympus' }),
+    (error) => error.code === 'USER_TIMEZONE_INVALID' && error.statusCode === 400
+  );
+
+  const preferences = await taskService.updateUserPreferences('lisi', { timezone_offset_minutes: 'UTC-5' });
+  assert.equal(preferences.timezone_offset_minutes, -300);
+  assert.equal(preferences.business_calendar.quiet_hours, '22:00-08:00');
+  assert.equal(preferences.business_calendar.holiday_count, 7);
+
+  // 北京时间周二 12:00 是 UTC-5 的周一 23:00。
+  const task = await createTask('2026-09-15T06:00:00.000Z');
+  assert.equal((await remind(task.id, '2026-09-15T04:00:00.000Z')).deferred, true);
+
+  const reset = await taskService.updateUserPreferences('lisi', { timezone_offset_minutes: '' });
+  assert.equal(reset.effective_timezone_offset_minutes, 480);
+  assert.equal((await remind(task.id, '2026-09-15T04:00:00.000Z')).sent, true);
+});
+
+test('部分接收人处于免打扰时照常发给其余人，免打扰的人在其工作时间补发', async () => {
+  await taskService.updateUserPreferences('lisi', { timezone_offset_minutes: 'UTC-5' });
+
+  // 北京时间周二 12:00 扫描：wangwu 可正常接收，lisi 所在的 UTC-5 正值周一 23:00。
+  const task = await createTask('2026-09-15T06:00:00.000Z', { executor_userids: ['lisi', 'wangwu'] });
+  const result = await remind(task.id, '2026-09-15T04:00:00.000Z');
+  assert.equal(result.sent, true);
+  assert.deepEqual(result.deferred_recipients, ['lisi']);
+  assert.equal(sentCards.length, 1);
+  assert.equal(sentCards[0].touser, 'wangwu');
+
+  const stillQuiet = await taskService.dispatchDeferredNotifications(new Date('2026-09-15T05:00:00.000Z'));
+  assert.equal(stillQuiet.deferred_count, 1);
+  assert.equal(sentCards.length, 1);
+
+  // lisi 本地时间 08:30 后补发同一张卡片，且只发给 lisi。
+  const flushed = await taskService.dispatchDeferredNotifications(new Date('2026-09-15T13:30:00.000Z'));
+  assert.equal(flushed.sent_count, 1);
+  assert.equal(sentCards.length, 2);
+  assert.equal(sentCards[1].touser, 'lisi');
+  assert.equal(sentCards[1].title, sentCards[0].title);
+  assert.equal((await taskService.dispatchDeferredNotifications(new Date('2026-09-15T13:40:00.000Z'))).checked_count, 0);
+
+  // 补发前任务已延期时，顺延的通知视为过时直接丢弃。
+  const extendedTask = await createTask('2026-09-15T06:00:00.000Z', { executor_userids: ['lisi', 'wangwu'] });
+  await remind(extendedTask.id, '2026-09-15T04:00:00.000Z');
+  await runSql(`UPDATE tasks SET end_time = '2026-09-18 06:00:00' WHERE id = ?`, [extendedTask.id]);
+  sentCards.length = 0;
+  const expired = await taskService.dispatchDeferredNotifications(new Date('2026-09-15T13:30:00.000Z'));
+  assert.equal(expired.expired_count, 1);
+  assert.equal(sentCards.length, 0);
+});
@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.USER_CALENDAR_MAP = '';
+process.env.DEFAULT_CAL_ID = '';
+process.env.GLOBAL_VERIFIERS = '';
+process.env.TASK_HANDOVER_CANDIDATES = 'wangwu,zhaoliu';
+
+const db = require('../src/models/db');
+const wecom = require('../src/services/wecom');
+const { taskService } = require('../src/services/task');
+
+const runSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({
+        changes: this.changes || 0,
+        lastID: this.lastID,
+      });
+    });
+  });
+};
+
+const sentCards = [];
+const scheduleUpdates = [];
+const originalWecom = {
+  sendTemplateCard: wecom.sendTemplateCard,
+  getSchedule: wecom.getSchedule,
+  updateSchedule: wecom.updateSchedule,
+};
+
+const clearTables = async () => {
+  await runSql('DELETE FROM task_reminder_logs');
+  await runSql('DELETE FROM task_events');
+  await runSql('DELETE FROM task_executors');
+  await runSql('DELETE FROM tasks');
+};
+
+test.before(() => {
+  wecom.sendTemplateCard = async (config) => {
+    sentCards.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+  wecom.getSchedule = async (scheduleId) => ({
+    errcode: 0,
+    schedule: {
+      schedule_id: scheduleId,
+      summary: '季度复盘',
+      description: '',
+      start_time: 1770886800,
+      end_time: 1770894000,
+      attendees: [{ userid: 'zhangsan' }, { userid: 'lisi' }],
+    },
+  });
+  wecom.updateSchedule = async (schedule) => {
+    scheduleUpdates.push(schedule);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+});
+
+test.beforeEach(async () => {
+  sentCards.length = 0;
+  scheduleUpdates.length = 0;
+  await clearTables();
+});
+
+test.after(async () => {
+  Object.assign(wecom, originalWecom);
+  await clearTables();
+});
+
+const createTask = async () => {
+  const result = await taskService.createManualTask(
+    {
+      title: '季度复盘',
+      executor_userid: 'lisi',
+      start_time: '2026-02-12T09:00:00.000Z',
+      end_time: '2026-02-12T11:00:00.000Z',
+    },
+    'zhangsan',
+    'unit_test'
+  );
+  return result.task;
+};
+
+test('执行人可将任务转交他人，双方收到通知且提醒状态重置', async () => {
+  const task = await createTask();
+  await runSql(
+    `INSERT INTO task_reminder_logs (task_id, due_at, offset_minutes, kind) VALUES (?, ?, -1440, 'DUE_SOON')`,
+    [task.id, task.end_time]
+  );
+  sentCards.length = 0;
+
+  process.env.USER_CALENDAR_MAP = 'wangwu:wc_cal_wangwu';
+  const updatedTask = await taskService
+    .reassignTask(task.id, { to_userid: 'wangwu', note: '我下周请假，资料在共享盘' }, 'lisi', 'unit_test')
+    .finally(() => {
+      process.env.USER_CALENDAR_MAP = '';
+    });
+
+  assert.equal(updatedTask.executor_userid, 'wangwu');
+  assert.equal(updatedTask.owner_userid, 'wangwu');
+  assert.equal(updatedTask.owner_cal_id, 'wc_cal_wangwu');
+  assert.equal(updatedTask.last_reminder_offset, null);
+  assert.deepEqual(
+    sentCards.map((item) => [item.title, item.touser]),
+    [
+      ['📨 任务已转交给你', 'wangwu'],
+      ['✅ 任务已转交', 'lisi'],
+    ]
+  );
+  assert.match(sentCards[0].description, /共享盘/);
+
+  await assert.rejects(
+    () => taskService.completeTaskById(task.id, 'lisi', 'unit_test'),
+    (error) => error.code === 'TASK_COMPLETE_FORBIDDEN'
+  );
+
+  const events = await taskService.listTaskEvents(task.id);
+  const reassignEvent = events.find((item) => item.event_type === 'REASSIGNED');
+  assert.ok(reassignEvent);
+});
+
+test('非相关人不可转交，接手人不能是现有执行人', async () => {
+  const task = await createTask();
+
+  await assert.rejects(
+    () => taskService.reassignTask(task.id, { from_userid: 'lisi', to_userid: 'wangwu' }, 'wangwu', 'unit_test'),
+    (error) => error.code === 'TASK_NOT_FOUND'
+  );
+
+  await assert.rejects(
+    () => taskService.reassignTask(task.id, { to_userid: 'lisi' }, 'zhangsan', 'unit_test'),
+    (error) => error.code === 'TASK_REASSIGN_INVALID'
+  );
+});
+
+test('企微日程任务转交后回写日程参与人', async () => {
+  const task = await createTask();
+  await runSql(`UPDATE tasks SET wecom_schedule_id = 'sch_reassign' WHERE id = ?`, [task.id]);
+
+  await taskService.reassignTask(task.id, { to_userid: 'wangwu' }, 'zhangsan', 'unit_test');
+
+  assert.equal(scheduleUpdates.length, 1);
+  assert.equal(scheduleUpdates[0].schedule_id, 'sch_reassign');
+  assert.deepEqual(
+    scheduleUpdates[0].attendees.map((item) => item.userid),
+    ['zhangsan', 'wangwu']
+  );
+});
+
+test('卡片转交先推送候选人，再按所选成员完成转交', async () => {
+  const task = await createTask();
+  sentCards.length = 0;
+
+  await taskService.handleInteraction({
+    UserID: 'lisi',
+    TaskId: task.wecom_schedule_id,
+    SelectedKey: 'ACTION_HANDOVER',
+  });
+  assert.equal(sentCards[0].touser, 'lisi');
+  assert.deepEqual(
+    sentCards[0].buttons.map((item) => item.id),
+    ['ACTION_REASSIGN:wangwu', 'ACTION_REASSIGN:zhaoliu', 'ACTION_REASSIGN:zhangsan']
+  );
+
+  const updatedTask = await taskService.handleInteraction({
+    UserID: 'lisi',
+    TaskId: task.wecom_schedule_id,
+    SelectedKey: 'ACTION_REASSIGN:zhaoliu',
+  });
+  assert.equal(updatedTask.executor_userid, 'zhaoliu');
+});
@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.USER_CALENDAR_MAP = '';
+process.env.DEFAULT_CAL_ID = '';
+process.env.TASK_TIMEZONE_OFFSET_MINUTES = '480';
+
+const db = require('../src/models/db');
+const wecom = require('../src/services/wecom');
+const { taskService } = require('../src/services/task');
+
+const runSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({
+        changes: this.changes || 0,
+        lastID: this.lastID,
+      });
+    });
+  });
+};
+
+const sentCards = [];
+const originalSendTemplateCard = wecom.sendTemplateCard;
+
+test.before(() => {
+  wecom.sendTemplateCard = async (config) => {
+    sentCards.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+});
+
+test.beforeEach(async () => {
+  sentCards.length = 0;
+  await runSql('DELETE FROM task_series');
+  await runSql('DELETE FROM tasks');
+});
+
+test.after(async () => {
+  wecom.sendTemplateCard = originalSendTemplateCard;
+  await runSql('DELETE FROM task_series');
+  await runSql('DELETE FROM tasks');
+});
+
+const createWeeklyTask = async (payload = {}) => {
+  const result = await taskService.createManualTask(
+    {
+      title: '提交周报',
+      executor_userid: 'lisi',
+      start_time: '2026-10-19T01:00:00.000Z',
+      end_time: '2026-10-19T10:00:00.000Z',
+      recurrence: 'FREQ=WEEKLY;COUNT=2',
+      ...payload,
+    },
+    'zhangsan',
+    'unit_test'
+  );
+  return result.task;
+};
+
+test('带重复规则创建任务时建立序列，验收通过后生成下一期直至 COUNT 用尽', async () => {
+  const firstTask = await createWeeklyTask();
+  assert.ok(firstTask.series_id);
+  assert.equal(firstTask.series_index, 1);
+
+  await taskService.completeTaskById(firstTask.id, 'lisi', 'unit_test');
+  await taskService.verifyTaskById(firstTask.id, 'zhangsan', true, '', 'unit_test');
+
+  const detail = await taskService.getTaskSeriesDetail(firstTask.series_id, 'zhangsan');
+  assert.equal(detail.tasks.length, 2);
+  assert.equal(detail.tasks[1].series_index, 2);
+  assert.equal(detail.tasks[1].start_time, '2026-10-26 01:00:00');
+  assert.equal(detail.tasks[1].end_time, '2026-10-26 10:00:00');
+  assert.ok(sentCards.some((item) => item.title === '🔁 周期任务待执行'));
+
+  await taskService.completeTaskById(detail.tasks[1].id, 'lisi', 'unit_test');
+  await taskService.verifyTaskById(detail.tasks[1].id, 'zhangsan', true, '', 'unit_test');
+
+  const finishedDetail = await taskService.getTaskSeriesDetail(firstTask.series_id, 'zhangsan');
+  assert.equal(finishedDetail.tasks.length, 2);
+  assert.equal(finishedDetail.series.status, 'FINISHED');
+});
+
+test('非法重复规则应拒绝创建任务', async () => {
+  await assert.rejects(
+    () => createWeeklyTask({ recurrence: 'FREQ=HOURLY' }),
+    (error) => error.code === 'TASK_RECURRENCE_INVALID'
+  );
+});
+
+test('任务写入失败时不留下孤儿序列', async () => {
+  await runSql(`CREATE TEMP TRIGGER reject_task_insert BEFORE INSERT ON tasks BEGIN SELECT RAISE(ABORT, 'disk full'); END`);
+  try {
+    await assert.rejects(() => createWeeklyTask(), /disk full/);
+  } finally {
+    await runSql('DROP TRIGGER reject_task_insert');
+  }
+
+  const row = await new Promise((resolve, reject) => {
+    db.get(`SELECT COUNT(*) AS total FROM task_series`, [], (err, result) => (err ? reject(err) : resolve(result)));
+  });
+  assert.equal(row.total, 0);
+});
+
+test('取消未配置提前量的序列实例后仍生成下一期', async () => {
+  const firstTask = await createWeeklyTask();
+  await taskService.applyManageAction(firstTask.id, 'CANCEL', 'zhangsan', '本周停会');
+
+  const detail = await taskService.getTaskSeriesDetail(firstTask.series_id, 'zhangsan');
+  assert.deepEqual(
+    detail.tasks.map((item) => [item.series_index, item.status]),
+    [
+      [1, 'CANCELLED'],
+      [2, 'PENDING'],
+    ]
+  );
+});
+
+test('配置提前量的序列由定时调度生成，且验收旧实例不会重复生成', async () => {
+  const firstTask = await createWeeklyTask({ recurrence: 'FREQ=WEEKLY', recurrence_lead_hours: '24' });
+
+  const earlySummary = await taskService.dispatchRecurringTasks(new Date('2026-10-24T00:00:00.000Z'));
+  assert.equal(earlySummary.created_count, 0);
+
+  const summary = await taskService.dispatchRecurringTasks(new Date('2026-10-25T02:00:00.000Z'));
+  assert.equal(summary.created_count, 1);
+
+  await taskService.completeTaskById(firstTask.id, 'lisi', 'unit_test');
+  await taskService.verifyTaskById(firstTask.id, 'zhangsan', true, '', 'unit_test');
+
+  const detail = await taskService.getTaskSeriesDetail(firstTask.series_id, 'lisi');
+  assert.deepEqual(
+    detail.tasks.map((item) => item.series_index),
+    [1, 2]
+  );
+});
+
+test('停止序列后不再生成新实例，且仅创建人可管理序列', async () => {
+  const firstTask = await createWeeklyTask({ recurrence: 'FREQ=DAILY' });
+
+  await assert.rejects(
+    () => taskService.stopTaskSeries(firstTask.series_id, 'lisi'),
+    (error) => error.code === 'TASK_SERIES_FORBIDDEN'
+  );
+
+  const updated = await taskService.updateTaskSeries(
+    firstTask.series_id,
+    { title: '提交日报', recurrence: 'FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR' },
+    'zhangsan'
+  );
+  assert.equal(updated.series.title, '提交日报');
+  assert.equal(updated.series.rrule, 'FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR');
+
+  const stopped = await taskService.stopTaskSeries(firstTask.series_id, 'zhangsan');
+  assert.equal(stopped.series.status, 'STOPPED');
+
+  await taskService.completeTaskById(firstTask.id, 'lisi', 'unit_test');
+  await taskService.verifyTaskById(firstTask.id, 'zhangsan', true, '', 'unit_test');
+
+  const detail = await taskService.getTaskSeriesDetail(firstTask.series_id, 'zhangsan');
+  assert.equal(detail.tasks.length, 1);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.USER_CALENDAR_MAP = '';
+process.env.DEFAULT_CAL_ID = '';
+process.env.GLOBAL_VERIFIERS = '';
+process.env.TASK_REJECT_REASONS = '交付物不完整,质量不达标,范围不符';
+
+const db = require('../src/models/db');
+const wecom = require('../src/services/wecom');
+const { taskService } = require('../src/services/task');
+
+const runSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({
+        changes: this.changes || 0,
+        lastID: this.lastID,
+      });
+    });
+  });
+};
+
+const sentCards = [];
+const originalSendTemplateCard = wecom.sendTemplateCard;
+const originalSendTextCard = wecom.sendTextCard;
+
+const clearTables = async () => {
+  await runSql('DELETE FROM task_events');
+  await runSql('DELETE FROM task_executors');
+  await runSql('DELETE FROM tasks');
+};
+
+test.before(() => {
+  wecom.sendTemplateCard = async (config) => {
+    sentCards.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+  wecom.sendTextCard = async () => ({ errcode: 0, errmsg: 'ok' });
+});
+
+test.beforeEach(async () => {
+  sentCards.length = 0;
+  await clearTables();
+});
+
+test.after(async () => {
+  wecom.sendTemplateCard = originalSendTemplateCard;
+  wecom.sendTextCard = originalSendTextCard;
+  await clearTables();
+});
+
+const createSubmittedTask = async () => {
+  const result = await taskService.createManualTask(
+    {
+      title: '活动方案',
+      executor_userid: 'lisi',
+      start_time: '2026-02-12T09:00:00.000Z',
+      end_time: '2099-02-12T11:00:00.000Z',
+    },
+    'zhangsan',
+    'unit_test'
+  );
+  await taskService.completeTaskById(result.task.id, 'lisi', 'web_api');
+  return result.task;
+};
+
+test('验收卡片列出配置的驳回原因，选中后原因写入任务并出现在重做卡片上', async () => {
+  const task = await createSubmittedTask();
+
+  const verifierCard = sentCards.find((item) => item.title === '✅ 任务验收请求');
+  assert.deepEqual(
+    verifierCard.buttons.map((item) => item.id),
+    ['ACTION_PASS', 'ACTION_REJECT:交付物不完整', 'ACTION_REJECT:质量不达标', 'ACTION_REJECT:范围不符']
+  );
+
+  sentCards.length = 0;
+  const result = await taskService.handleInteraction({
+    UserID: 'zhangsan',
+    TaskId: task.wecom_schedule_id,
+    SelectedKey: 'ACTION_REJECT:质量不达标',
+  });
+  assert.equal(result.task.status, 'PENDING');
+  assert.equal(result.task.reject_reason, '质量不达标');
+
+  const reworkCard = sentCards.find((item) => item.title === '任务驳回通知');
+  assert.match(reworkCard.description, /被驳回：质量不达标/);
+});
+
+test('旧卡片不带原因点驳回时先推送原因选择卡片，任务保持待验收', async () => {
+  const task = await createSubmittedTask();
+  sentCards.length = 0;
+
+  await taskService.handleInteraction({
+    UserID: 'zhangsan',
+    TaskId: task.wecom_schedule_id,
+    SelectedKey: 'ACTION_REJECT',
+  });
+
+  assert.equal(sentCards.length, 1);
+  assert.equal(sentCards[0].title, '↩️ 请选择驳回原因');
+  assert.equal(sentCards[0].touser, 'zhangsan');
+  assert.equal(sentCards[0].buttons.length, 3);
+
+  const reloaded = await taskService.getTaskById(task.id);
+  assert.equal(reloaded.status, 'WAITING_VERIFY');
+
+  await assert.rejects(
+    () =>
+      taskService.handleInteraction({
+        UserID: 'wangwu',
+        TaskId: task.wecom_schedule_id,
+        SelectedKey: 'ACTION_REJECT',
+      }),
+    (error) => error.code === 'TASK_VERIFY_FORBIDDEN'
+  );
+});
@@ -0,0 +1,216 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.USER_CALENDAR_MAP = '';
+process.env.DEFAULT_CAL_ID = '';
+process.env.GLOBAL_VERIFIERS = 'boss';
+// 截止时间与提醒记录时间按 UTC 解析，提醒时间点不随服务器时区漂移。
+process.env.TZ = 'Asia/Shanghai';
+
+const db = require('../src/models/db');
+const wecom = require('../src/services/wecom');
+const { taskService } = require('../src/services/task');
+const syncService = require('../src/services/sync');
+
+const runSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({
+        changes: this.changes || 0,
+        lastID: this.lastID,
+      });
+    });
+  });
+};
+
+const sentCards = [];
+const originalSendTemplateCard = wecom.sendTemplateCard;
+
+const clearTables = async () => {
+  await runSql('DELETE FROM task_reminder_logs');
+  await runSql('DELETE FROM reminder_policy_assignments');
+  await runSql('DELETE FROM reminder_policies');
+  await runSql('DELETE FROM task_events');
+  await runSql('DELETE FROM task_executors');
+  await runSql('DELETE FROM project_members');
+  await runSql('DELETE FROM projects');
+  await runSql('DELETE FROM tasks');
+};
+
+test.before(() => {
+  wecom.sendTemplateCard = async (config) => {
+    sentCards.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+});
+
+test.beforeEach(async () => {
+  sentCards.length = 0;
+  await clearTables();
+});
+
+test.after(async () => {
+  wecom.sendTemplateCard = originalSendTemplateCard;
+  await clearTables();
+});
+
+const createTask = async (overrides = {}) => {
+  const result = await taskService.createManualTask(
+    {
+      title: '季度预算填报',
+      executor_userid: 'lisi',
+      start_time: '2026-03-01T00:00:00.000Z',
+      end_time: '2026-03-10T12:00:00.000Z',
+      ...overrides,
+    },
+    'zhangsan',
+    'unit_test'
+  );
+  return result.task;
+};
+
+const remind = async (taskId, iso) => {
+  return taskService.dispatchTaskReminder(await taskService.getTaskById(taskId), 'unit_test', new Date(iso));
+};
+
+test('全局策略的每个偏移量只提醒一次，逾期后按间隔重复', async () => {
+  const policy = await taskService.createReminderPolicy(
+    { name: '标准节奏', offsets: '-3d,-1d,-2h,+0,+1d', overdue_repeat: '1d' },
+    'boss'
+  );
+  assert.deepEqual(policy.offset_labels, ['-3d', '-1d', '-2h', '+0', '+1d']);
+  await taskService.assignReminderPolicy('GLOBAL', 0, policy.id, 'boss');
+
+  const task = await createTask();
+  sentCards.length = 0;
+  assert.equal((await remind(task.id, '2026-03-07T11:00:00.000Z')).sent, false);
+  assert.equal((await remind(task.id, '2026-03-07T13:00:00.000Z')).sent, true);
+  assert.equal((await remind(task.id, '2026-03-07T13:10:00.000Z')).sent, false);
+  assert.equal((await remind(task.id, '2026-03-09T12:30:00.000Z')).kind, 'DUE_SOON');
+  assert.equal((await remind(task.id, '2026-03-10T12:05:00.000Z')).kind, 'OVERDUE');
+  assert.equal((await remind(task.id, '2026-03-11T12:05:00.000Z')).sent, true);
+  assert.equal((await remind(task.id, '2026-03-12T11:00:00.000Z')).sent, false);
+  assert.equal((await remind(task.id, '2026-03-12T12:05:00.000Z')).sent, true);
+  assert.equal(sentCards.length, 5);
+
+  const plan = await taskService.getTaskReminderPlan(task.id, 'lisi');
+  assert.equal(plan.policy.source, 'GLOBAL');
+  assert.deepEqual(
+    plan.logs.map((item) => item.offset),
+    ['-3d', '-1d', '+0', '+1d', '+2d']
+  );
+
+  const events = await taskService.listTaskEvents(task.id);
+  const reminderEvent = events.find((item) => item.event_type === 'REMINDER_SENT');
+  assert.equal(reminderEvent.payload.policy_source, 'GLOBAL');
+});
+
+test('任务策略优先于项目策略，项目策略优先于全局策略，删除策略后回退上一级', async () => {
+  const globalPolicy = await taskService.createReminderPolicy({ name: '全局', offsets: ['-1d'] }, 'boss');
+  const projectPolicy = await taskService.createReminderPolicy({ name: '项目', offsets: ['-2h'] }, 'zhangsan');
+  const taskPolicy = await taskService.createReminderPolicy({ name: '任务', offsets: ['-3d'] }, 'zhangsan');
+  await taskService.assignReminderPolicy('GLOBAL', 0, globalPolicy.id, 'boss');
+
+  const project = await taskService.createProject({ name: '预算' }, 'zhangsan');
+  const task = await createTask({ project_id: project.id });
+  await taskService.assignReminderPolicy('PROJECT', project.id, projectPolicy.id, 'zhangsan');
+  assert.equal((await taskService.getTaskReminderPlan(task.id, 'lisi')).policy.name, '项目');
+
+  await taskService.assignReminderPolicy('TASK', task.id, taskPolicy.id, 'zhangsan');
+  const plan = await taskService.getTaskReminderPlan(task.id, 'lisi');
+  assert.equal(plan.policy.source, 'TASK');
+  assert.deepEqual(plan.policy.offset_labels, ['-3d']);
+
+  await taskService.deleteReminderPolicy(taskPolicy.id, 'zhangsan');
+  assert.equal((await taskService.getTaskReminderPlan(task.id, 'lisi')).policy.source, 'PROJECT');
+
+  await taskService.assignReminderPolicy('PROJECT', project.id, null, 'zhangsan');
+  assert.equal((await taskService.getTaskReminderPlan(task.id, 'lisi')).policy.source, 'GLOBAL');
+
+  const { policies, global_policy_id: globalPolicyId } = await taskService.listReminderPolicies('lisi');
+  assert.equal(globalPolicyId, globalPolicy.id);
+  assert.deepEqual(
+    policies.map((item) => [item.name, item.assignment_count, item.can_edit]),
+    [
+      ['全局', 1, false],
+      ['项目', 0, false],
+    ]
+  );
+});
+
+test('提醒策略的维护与指定需具备对应范围的权限', async () => {
+  const policy = await taskService.createReminderPolicy({ name: '加密提醒', offsets: ['-2h', '+0'] }, 'zhangsan');
+  const task = await createTask();
+
+  await assert.rejects(
+    () => taskService.assignReminderPolicy('GLOBAL', 0, policy.id, 'zhangsan'),
+    (error) => error.code === 'REMINDER_POLICY_FORBIDDEN' && error.statusCode === 403
+  );
+  await assert.rejects(
+    () => taskService.assignReminderPolicy('TASK', task.id, policy.id, 'lisi'),
+    (error) => error.code === 'REMINDER_POLICY_FORBIDDEN'
+  );
+  await assert.rejects(
+    () => taskService.updateReminderPolicy(policy.id, { offsets: ['-1d'] }, 'lisi'),
+    (error) => error.code === 'REMINDER_POLICY_FORBIDDEN'
+  );
+  await assert.rejects(
+    () => taskService.createReminderPolicy({ name: '加密提醒', offsets: ['-1d'] }, 'lisi'),
+    (error) => error.code === 'REMINDER_POLICY_NAME_CONFLICT' && error.statusCode === 409
+  );
+  await assert.rejects(
+    () => taskService.createReminderPolicy({ name: '格式错误', offsets: ['明天'] }, 'lisi'),
+    (error) => error.code === 'REMINDER_POLICY_INVALID' && error.statusCode === 400
+  );
+
+  const updated = await taskService.updateReminderPolicy(policy.id, { overdue_repeat: '4h' }, 'boss');
+  assert.deepEqual(updated.offsets, [-120, 0]);
+  assert.equal(updated.overdue_repeat_minutes, 240);
+});
+
+test('重新指派执行人后清空提醒记录，已发送的时间点对新执行人重新生效', async () => {
+  const task = await createTask();
+  assert.equal((await remind(task.id, '2026-03-09T13:00:00.000Z')).sent, true);
+  assert.equal((await taskService.getTaskById(task.id)).last_reminder_offset, -1440);
+
+  await taskService.reassignTask(task.id, { to_userid: 'wangwu', note: '交接给王五' }, 'lisi', 'unit_test');
+  sentCards.length = 0;
+  assert.equal((await remind(task.id, '2026-03-09T13:10:00.000Z')).sent, true);
+  assert.equal(sentCards[0].touser, 'wangwu');
+});
+
+test('定时扫描整轮只加载一次提醒策略', async () => {
+  const farEnd = '2099-03-10T12:00:00.000Z';
+  await createTask({ end_time: farEnd });
+  await createTask({ end_time: farEnd });
+  await createTask({ end_time: farEnd });
+
+  const originalLoadReminderPolicyMap = taskService.loadReminderPolicyMap;
+  const originalGetGlobalReminderPolicyId = taskService.getGlobalReminderPolicyId;
+  let policyMapLoads = 0;
+  let globalPolicyLoads = 0;
+  taskService.loadReminderPolicyMap = async function countedLoad() {
+    policyMapLoads += 1;
+    return originalLoadReminderPolicyMap.call(this);
+  };
+  taskService.getGlobalReminderPolicyId = async function countedLoad() {
+    globalPolicyLoads += 1;
+    return originalGetGlobalReminderPolicyId.call(this);
+  };
+
+  try {
+    const summary = await syncService.dispatchDateReminders();
+    assert.equal(summary.checked_count, 3);
+  } finally {
+    taskService.loadReminderPolicyMap = originalLoadReminderPolicyMap;
+    taskService.getGlobalReminderPolicyId = originalGetGlobalReminderPolicyId;
+  }
+
+  assert.equal(policyMapLoads, 1);
+  assert.equal(globalPolicyLoads, 1);
+});
@@ -0,0 +1,228 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.USER_CALENDAR_MAP = '';
+process.env.DEFAULT_CAL_ID = '';
+process.env.GLOBAL_VERIFIERS = '';
+
+const db = require('../src/models/db');
+const wecom = require('../src/services/wecom');
+const { taskService } = require('../src/services/task');
+
+const runSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({
+        changes: this.changes || 0,
+        lastID: this.lastID,
+      });
+    });
+  });
+};
+
+const sentCards = [];
+const sentTextCards = [];
+const originalSendTemplateCard = wecom.sendTemplateCard;
+const originalSendTextCard = wecom.sendTextCard;
+
+const clearTables = async () => {
+  await runSql('DELETE FROM task_report_prompts');
+  await runSql('DELETE FROM task_submission_reports');
+  await runSql('DELETE FROM task_events');
+  await runSql('DELETE FROM task_executors');
+  await runSql('DELETE FROM tasks');
+};
+
+test.before(() => {
+  wecom.sendTemplateCard = async (config) => {
+    sentCards.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+  wecom.sendTextCard = async (config) => {
+    sentTextCards.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+});
+
+test.beforeEach(async () => {
+  sentCards.length = 0;
+  sentTextCards.length = 0;
+  await clearTables();
+});
+
+test.after(async () => {
+  wecom.sendTemplateCard = originalSendTemplateCard;
+  wecom.sendTextCard = originalSendTextCard;
+  await clearTables();
+});
+
+const createTask = async (overrides = {}) => {
+  const result = await taskService.createManualTask(
+    {
+      title: '接口联调',
+      executor_userid: 'lisi',
+      start_time: '2026-02-12T09:00:00.000Z',
+      end_time: '2026-02-12T11:00:00.000Z',
+      ...overrides,
+    },
+    'zhangsan',
+    'unit_test'
+  );
+  return result.task;
+};
+
+test('网页提交完成时附带交付说明，验收卡片展示工时、摘要与交付链接', async () => {
+  const task = await createTask();
+
+  await taskService.completeTaskById(task.id, 'lisi', 'web_api', {
+    summary: '完成订单接口联调',
+    actual_hours: 3.5,
+    links: ['https://git.example.com/mr/12'],
+  });
+
+  const verifierCard = sentCards.find((item) => item.title === '✅ 任务验收请求');
+  assert.ok(verifierCard);
+  assert.equal(verifierCard.details.find((item) => item.keyname === '交付说明').value, '3.5 小时 · 完成订单接口联调');
+  assert.deepEqual(verifierCard.jump_list, [
+    { type: 1, title: '交付链接 1', url: 'https://git.example.com/mr/12' },
+  ]);
+
+  const reports = await taskService.listTaskReports(task.id, 'zhangsan');
+  assert.equal(reports.length, 1);
+  assert.equal(reports[0].submission_round, 0);
+  assert.equal(reports[0].submitter_userid, 'lisi');
+  assert.equal(reports[0].source, 'web_api');
+
+  await assert.rejects(
+    () => taskService.listTaskReports(task.id, 'wangwu'),
+    (error) => error.code === 'TASK_REPORT_FORBIDDEN'
+  );
+});
+
+test('驳回重做后交付说明按提交轮次分别保存', async () => {
+  const task = await createTask();
+  await taskService.completeTaskById(task.id, 'lisi', 'web_api', { summary: '第一版' });
+  await taskService.verifyTaskById(task.id, 'zhangsan', false, '缺少异常处理', 'web_api');
+  await taskService.completeTaskById(task.id, 'lisi', 'web_api', { summary: '补充异常处理', actual_hours: 1 });
+
+  const reports = await taskService.listTaskReports(task.id, 'lisi');
+  assert.deepEqual(
+    reports.map((item) => [item.submission_round, item.summary, item.actual_hours]),
+    [
+      [0, '第一版', null],
+      [1, '补充异常处理', 1],
+    ]
+  );
+
+  const lastVerifierCard = sentCards.filter((item) => item.title === '✅ 任务验收请求').pop();
+  assert.equal(lastVerifierCard.details.find((item) => item.keyname === '交付说明').value, '1 小时 · 补充异常处理');
+});
+
+test('交付说明格式不正确时拒绝提交且不改变执行状态', async () => {
+  const task = await createTask();
+
+  await assert.rejects(
+    () => taskService.completeTaskById(task.id, 'lisi', 'web_api', { actual_hours: 'abc' }),
+    (error) => error.code === 'TASK_REPORT_INVALID' && error.statusCode === 400
+  );
+
+  const reloaded = await taskService.getTaskById(task.id);
+  assert.equal(reloaded.status, 'PENDING');
+});
+
+test('卡片完成后提示补充说明，文本回复归档为本轮交付说明并通知验收人', async () => {
+  const task = await createTask();
+
+  await taskService.handleInteraction({
+    UserID: 'lisi',
+    TaskId: task.wecom_schedule_id,
+    SelectedKey: 'ACTION_COMPLETE',
+  });
+  assert.equal(sentTextCards.length, 1);
+  assert.equal(sentTextCards[0].title, '📝 补充交付说明（可选）');
+  assert.equal(sentTextCards[0].touser, 'lisi');
+
+  sentTextCards.length = 0;
+  const result = await taskService.handleReportReply({
+    UserID: 'lisi',
+    Content: '联调完成 工时: 2 小时 https://git.example.com/mr/20',
+  });
+  assert.equal(result.handled, true);
+  assert.equal(result.task_id, task.id);
+  assert.equal(result.report.actual_hours, 2);
+  assert.deepEqual(result.report.links, ['https://git.example.com/mr/20']);
+  assert.equal(result.report.source, 'wecom_text');
+
+  assert.deepEqual(
+    sentTextCards.map((item) => [item.touser, item.title]),
+    [
+      ['lisi', '✅ 已记录交付说明'],
+      ['zhangsan', '📝 lisi 补充了交付说明'],
+    ]
+  );
+
+  const unrelated = await taskService.handleReportReply({ UserID: 'wangwu', Content: '你好' });
+  assert.deepEqual(unrelated, { handled: false, reason: 'no_open_prompt' });
+
+  const chatter = await taskService.handleReportReply({ UserID: 'lisi', Content: '收到，谢谢' });
+  assert.deepEqual(chatter, { handled: false, reason: 'no_open_prompt' });
+  const reports = await taskService.listSubmissionReports(task.id);
+  assert.equal(reports.length, 1);
+  assert.match(reports[0].summary, /联调完成/);
+});
+
+test('网页完成的任务没有补充说明提示，文本消息不会被记为交付说明', async () => {
+  const task = await createTask();
+  await taskService.completeTaskById(task.id, 'lisi', 'web_api');
+
+  const result = await taskService.handleReportReply({ UserID: 'lisi', Content: '今天午饭吃什么' });
+  assert.deepEqual(result, { handled: false, reason: 'no_open_prompt' });
+  assert.deepEqual(await taskService.listSubmissionReports(task.id), []);
+});
+
+test('同一轮补充交付说明时，空字段不覆盖已有内容', async () => {
+  const task = await createTask();
+  await taskService.completeTaskById(task.id, 'lisi', 'web_api', {
+    summary: '完成接口联调',
+    actual_hours: 3,
+    links: ['https://git.example.com/mr/21'],
+  });
+  const submittedTask = await taskService.getTaskById(task.id);
+
+  const report = await taskService.saveSubmissionReport(
+    submittedTask,
+    'lisi',
+    { summary: '', actual_hours: 4, links: [] },
+    'wecom_text'
+  );
+  assert.equal(report.summary, '完成接口联调');
+  assert.equal(report.actual_hours, 4);
+  assert.deepEqual(report.links, ['https://git.example.com/mr/21']);
+});
+
+test('补充说明提示发送失败不影响卡片完成结果', async () => {
+  const task = await createTask();
+  const workingSendTextCard = wecom.sendTextCard;
+  wecom.sendTextCard = async () => {
+    throw new Error('network down');
+  };
+
+  try {
+    const result = await taskService.handleInteraction({
+      UserID: 'lisi',
+      TaskId: task.wecom_schedule_id,
+      SelectedKey: 'ACTION_COMPLETE',
+    });
+    assert.equal(result.task.status, 'WAITING_VERIFY');
+  } finally {
+    wecom.sendTextCard = workingSendTextCard;
+  }
+
+  const reply = await taskService.handleReportReply({ UserID: 'lisi', Content: '联调完成' });
+  assert.deepEqual(reply, { handled: false, reason: 'no_open_prompt' });
+});
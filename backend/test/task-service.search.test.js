@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.USER_CALENDAR_MAP = '';
+process.env.DEFAULT_CAL_ID = '';
+process.env.GLOBAL_VERIFIERS = '';
+
+const db = require('../src/models/db');
+const { taskService } = require('../src/services/task');
+
+const runSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({
+        changes: this.changes || 0,
+        lastID: this.lastID,
+      });
+    });
+  });
+};
+
+const clearTables = async () => {
+  await runSql('DELETE FROM task_comments');
+  await runSql('DELETE FROM task_events');
+  await runSql('DELETE FROM tasks');
+  await runSql('DELETE FROM task_search');
+};
+
+const insertTask = async (overrides = {}) => {
+  const task = {
+    title: '季度经营复盘',
+    description: '',
+    creator_userid: 'zhangsan',
+    executor_userid: 'lisi',
+    ...overrides,
+  };
+
+  const result = await runSql(
+    `INSERT INTO tasks (wecom_schedule_id, title, description, status, creator_userid, executor_userid)
+     VALUES (?, ?, ?, 'PENDING', ?, ?)`,
+    [
+      `manual_search_${Math.random().toString(36).slice(2)}`,
+      task.title,
+      task.description,
+      task.creator_userid,
+      task.executor_userid,
+    ]
+  );
+  return result.lastID;
+};
+
+test.beforeEach(async () => {
+  await clearTables();
+});
+
+test.after(async () => {
+  await clearTables();
+});
+
+test('全文检索按相关度排序并返回高亮摘要，标题命中优先于评论命中', async () => {
+  const commentTaskId = await insertTask({ title: '客户回访', description: '跟进交付问题' });
+  const titleTaskId = await insertTask({ title: '供应链风险评估报告', description: '汇总本季度风险点' });
+  await runSql(`INSERT INTO task_comments (task_id, author_userid, content) VALUES (?, ?, ?)`, [
+    commentTaskId,
+    'lisi',
+    '需要补充供应链风险评估的结论',
+  ]);
+
+  const result = await taskService.searchTasks({ q: '风险评估' }, 'lisi');
+  assert.equal(result.total, 2);
+  assert.deepEqual(result.results.map((item) => item.task.id), [titleTaskId, commentTaskId]);
+  assert.ok(result.results[0].score > result.results[1].score);
+  assert.deepEqual(result.results[1].matched_fields, ['comments']);
+  assert.equal(result.results[0].task.search_title, undefined);
+  assert.ok(result.results[1].snippet.some((segment) => segment.matched && segment.text.includes('风险评估')));
+
+  const hidden = await taskService.searchTasks({ q: '风险评估' }, 'wangwu');
+  assert.equal(hidden.total, 0);
+});
+
+test('两字中文词回退子串匹配，驳回理由与标题修改实时同步到索引', async () => {
+  const taskId = await insertTask({ title: '月度周报', description: '' });
+  await runSql(
+    `INSERT INTO task_events (task_id, event_type, actor_userid, reject_reason) VALUES (?, 'VERIFY_REJECTED', 'zhangsan', ?)`,
+    [taskId, '数据口径不一致，请重新核对']
+  );
+
+  const byRejectReason = await taskService.searchTasks({ q: '口径' }, 'lisi');
+  assert.deepEqual(byRejectReason.results.map((item) => item.task.id), [taskId]);
+  assert.deepEqual(byRejectReason.results[0].matched_fields, ['reject_reasons']);
+  assert.deepEqual(
+    byRejectReason.results[0].snippet.filter((segment) => segment.matched).map((segment) => segment.text),
+    ['口径']
+  );
+
+  await runSql(`UPDATE tasks SET title = ? WHERE id = ?`, ['年度总结', taskId]);
+  assert.equal((await taskService.searchTasks({ q: '周报' }, 'lisi')).total, 0);
+  assert.equal((await taskService.searchTasks({ q: '年度总结' }, 'lisi')).total, 1);
+
+  const listPage = await taskService.listTasksPage({ keyword: '口径' }, 'lisi');
+  assert.deepEqual(listPage.tasks.map((item) => item.id), [taskId]);
+
+  await runSql(`DELETE FROM tasks WHERE id = ?`, [taskId]);
+  assert.equal((await taskService.searchTasks({ q: '年度总结' }, '')).total, 0);
+
+  await assert.rejects(
+    () => taskService.searchTasks({ q: ' "" ' }, 'lisi'),
+    (error) => error.code === 'TASK_SEARCH_QUERY_REQUIRED'
+  );
+});
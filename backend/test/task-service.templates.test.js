@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.USER_CALENDAR_MAP = '';
+process.env.DEFAULT_CAL_ID = '';
+process.env.GLOBAL_VERIFIERS = '';
+
+const db = require('../src/models/db');
+const wecom = require('../src/services/wecom');
+const { taskService } = require('../src/services/task');
+
+const runSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({
+        changes: this.changes || 0,
+        lastID: this.lastID,
+      });
+    });
+  });
+};
+
+const originalSendTemplateCard = wecom.sendTemplateCard;
+
+const clearTables = async () => {
+  await runSql('DELETE FROM task_events');
+  await runSql('DELETE FROM task_executors');
+  await runSql('DELETE FROM task_items');
+  await runSql('DELETE FROM task_template_items');
+  await runSql('DELETE FROM task_templates');
+  await runSql('DELETE FROM project_members');
+  await runSql('DELETE FROM projects');
+  await runSql('DELETE FROM tasks');
+};
+
+test.before(() => {
+  wecom.sendTemplateCard = async () => ({ errcode: 0, errmsg: 'ok' });
+});
+
+test.beforeEach(async () => {
+  await clearTables();
+});
+
+test.after(async () => {
+  wecom.sendTemplateCard = originalSendTemplateCard;
+  await clearTables();
+});
+
+test('套用模板创建任务时补齐标题、说明、截止时间、执行人与检查项', async () => {
+  const template = await taskService.createTaskTemplate(
+    {
+      name: '周报汇总',
+      title: '本周周报汇总',
+      description: '汇总各组周报并发送管理层',
+      duration_minutes: 120,
+      default_executor_userid: 'lisi',
+      items: ['收集各组周报', { title: '抄送 HR', is_required: false }],
+    },
+    'zhangsan'
+  );
+  assert.equal(template.can_edit, true);
+  assert.deepEqual(template.items, [
+    { title: '收集各组周报', is_required: 1 },
+    { title: '抄送 HR', is_required: 0 },
+  ]);
+
+  const { task } = await taskService.createManualTask(
+    { template_id: template.id, start_time: '2026-02-12T09:00:00.000Z' },
+    'zhangsan',
+    'unit_test'
+  );
+
+  assert.equal(task.title, '本周周报汇总');
+  assert.equal(task.description, '汇总各组周报并发送管理层');
+  assert.equal(task.executor_userid, 'lisi');
+  assert.equal(task.end_time, '2026-02-12 11:00:00');
+  assert.equal(task.item_total_count, 2);
+  assert.equal(task.item_open_required_count, 1);
+
+  const items = await taskService.listTaskItems(task.id);
+  assert.deepEqual(
+    items.map((item) => item.title),
+    ['收集各组周报', '抄送 HR']
+  );
+
+  const events = await taskService.listTaskEvents(task.id);
+  assert.equal(events[0].payload.template_id, template.id);
+});
+
+test('显式填写的字段优先于模板，按角色指派时解析为创建人或项目负责人', async () => {
+  const creatorTemplate = await taskService.createTaskTemplate(
+    { name: '自查', duration_minutes: 30, default_executor_role: 'creator' },
+    'zhangsan'
+  );
+  assert.equal(creatorTemplate.default_executor_role, 'CREATOR');
+
+  const { task: ownTask } = await taskService.createManualTask(
+    { template_id: creatorTemplate.id, title: '周五自查', start_time: '2026-02-12T09:00:00.000Z' },
+    'wangwu',
+    'unit_test'
+  );
+  assert.equal(ownTask.title, '周五自查');
+  assert.equal(ownTask.executor_userid, 'wangwu');
+  assert.equal(ownTask.end_time, '2026-02-12 09:30:00');
+
+  const ownerTemplate = await taskService.createTaskTemplate(
+    { name: '项目复盘', duration_minutes: 60, default_executor_role: 'PROJECT_OWNER' },
+    'zhangsan'
+  );
+  await assert.rejects(
+    () => taskService.createManualTask({ template_id: ownerTemplate.id }, 'zhangsan', 'unit_test'),
+    (error) => error.code === 'TASK_TEMPLATE_EXECUTOR_UNRESOLVED'
+  );
+
+  const project = await taskService.createProject({ name: '官网改版', owner_userid: 'lisi' }, 'zhangsan');
+  const { task: projectTask } = await taskService.createManualTask(
+    {
+      template_id: ownerTemplate.id,
+      project_id: project.id,
+      executor_userid: '',
+      start_time: '2026-02-12T09:00:00.000Z',
+      end_time: '2026-02-13T09:00:00.000Z',
+    },
+    'lisi',
+    'unit_test'
+  );
+  assert.equal(projectTask.executor_userid, 'lisi');
+  assert.equal(projectTask.end_time, '2026-02-13 09:00:00');
+});
+
+test('模板名称唯一，仅创建人或验收人可修改与删除', async () => {
+  const template = await taskService.createTaskTemplate({ name: '巡检', items: ['机房巡检'] }, 'zhangsan');
+  assert.equal(template.title, '巡检');
+
+  await assert.rejects(
+    () => taskService.createTaskTemplate({ name: '巡检' }, 'lisi'),
+    (error) => error.code === 'TASK_TEMPLATE_NAME_CONFLICT'
+  );
+  await assert.rejects(
+    () => taskService.createTaskTemplate({ name: '错误角色', default_executor_role: 'BOSS' }, 'lisi'),
+    (error) => error.code === 'TASK_TEMPLATE_EXECUTOR_ROLE_INVALID'
+  );
+  await assert.rejects(
+    () => taskService.updateTaskTemplate(template.id, { description: '改' }, 'lisi'),
+    (error) => error.code === 'TASK_TEMPLATE_FORBIDDEN'
+  );
+
+  const updated = await taskService.updateTaskTemplate(template.id, { duration_minutes: 45 }, 'zhangsan');
+  assert.equal(updated.duration_minutes, 45);
+  assert.deepEqual(updated.items, [{ title: '机房巡检', is_required: 1 }]);
+
+  const templates = await taskService.listTaskTemplates('lisi');
+  assert.deepEqual(
+    templates.map((item) => [item.name, item.can_edit]),
+    [['巡检', false]]
+  );
+
+  await taskService.deleteTaskTemplate(template.id, 'zhangsan');
+  assert.deepEqual(await taskService.listTaskTemplates('zhangsan'), []);
+  await assert.rejects(
+    () => taskService.createManualTask({ template_id: template.id }, 'zhangsan', 'unit_test'),
+    (error) => error.code === 'TASK_TEMPLATE_INVALID'
+  );
+});
@@ -0,0 +1,210 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.USER_CALENDAR_MAP = '';
+process.env.DEFAULT_CAL_ID = '';
+process.env.GLOBAL_VERIFIERS = '';
+process.env.TASK_TIMEZONE_OFFSET_MINUTES = '480';
+process.env.VERIFY_TIMEOUT_ACTION = '';
+process.env.VERIFY_TIMEOUT_HOURS = '8';
+process.env.VERIFY_REMINDER_COOLDOWN_HOURS = '24';
+process.env.VERIFY_BACKUP_VERIFIERS = 'lisi,wangwu';
+
+const db = require('../src/models/db');
+const wecom = require('../src/services/wecom');
+const { taskService } = require('../src/services/task');
+
+const runSql = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function onRun(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({
+        changes: this.changes || 0,
+        lastID: this.lastID,
+      });
+    });
+  });
+};
+
+const sentCards = [];
+const sentTextCards = [];
+const originalSendTemplateCard = wecom.sendTemplateCard;
+const originalSendTextCard = wecom.sendTextCard;
+
+const clearTables = async () => {
+  await runSql('DELETE FROM task_events');
+  await runSql('DELETE FROM task_approval_stages');
+  await runSql('DELETE FROM task_executors');
+  await runSql('DELETE FROM tasks');
+};
+
+test.before(() => {
+  wecom.sendTemplateCard = async (config) => {
+    sentCards.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+  wecom.sendTextCard = async (config) => {
+    sentTextCards.push(config);
+    return { errcode: 0, errmsg: 'ok' };
+  };
+});
+
+test.beforeEach(async () => {
+  sentCards.length = 0;
+  sentTextCards.length = 0;
+  await clearTables();
+});
+
+test.after(async () => {
+  wecom.sendTemplateCard = originalSendTemplateCard;
+  wecom.sendTextCard = originalSendTextCard;
+  await clearTables();
+});
+
+// 周一 08:00（UTC+8）发起验收，便于按工作小时推算超时时刻。
+const REQUESTED_AT = '2026-03-09T00:00:00.000Z';
+
+const createWaitingTask = async (title = '合同归档') => {
+  const result = await taskService.createManualTask(
+    {
+      title,
+      executor_userid: 'lisi',
+      start_time: '2026-03-01T00:00:00.000Z',
+      end_time: '2099-03-01T00:00:00.000Z',
+    },
+    'zhangsan',
+    'unit_test'
+  );
+  await taskService.completeTaskById(result.task.id, 'lisi', 'web_api');
+  await runSql('UPDATE tasks SET verify_requested_at = ? WHERE id = ?', [REQUESTED_AT, result.task.id]);
+  sentCards.length = 0;
+  return taskService.getTaskById(result.task.id);
+};
+
+test('未超时的待验收任务按冷却时长提醒验收人，冷却期内不重复提醒', async () => {
+  const task = await createWaitingTask();
+
+  const result = await taskService.dispatchVerifierReminder(task, 'unit_test', new Date('2026-03-10T01:00:00.000Z'));
+  assert.equal(result.reminded, true);
+  assert.equal(sentCards.length, 1);
+  assert.equal(sentCards[0].touser, 'zhangsan');
+  assert.equal(sentCards[0].title, '⏳ 验收提醒');
+
+  const repeated = await taskService.dispatchVerifierReminder(
+    await taskService.getTaskById(task.id),
+    'unit_test',
+    new Date()
+  );
+  assert.equal(repeated.reminded, false);
+  assert.equal(sentCards.length, 1);
+});
+
+test('任务级自动通过策略在超时后以系统身份闭环任务并记录等待时长', async () => {
+  const task = await createWaitingTask();
+  await taskService.updateVerifyPolicy(task.id, { action: 'AUTO_PASS', timeout_hours: 4 }, 'zhangsan');
+
+  const result = await taskService.dispatchVerifierReminder(
+    await taskService.getTaskById(task.id),
+    'unit_test',
+    new Date('2026-03-09T06:00:00.000Z')
+  );
+  assert.equal(result.action, 'AUTO_PASS');
+  assert.equal(result.wait_hours, 5);
+
+  const closedTask = await taskService.getTaskById(task.id);
+  assert.equal(closedTask.status, 'COMPLETED');
+  assert.equal(closedTask.verified_by_userid, 'system');
+  assert.ok(sentTextCards.some((item) => item.touser === 'zhangsan' && item.title === '🤖 任务已超时自动通过'));
+
+  const events = await taskService.listTaskEvents(task.id);
+  const autoPassed = events.find((item) => item.event_type === 'VERIFY_AUTO_PASSED');
+  assert.equal(autoPassed.actor_userid, 'system');
+  assert.equal(autoPassed.payload.wait_hours, 5);
+
+  const stats = await taskService.getTeamStats('zhangsan');
+  assert.equal(stats.verification.auto_passed_count, 1);
+});
+
+test('改派策略超时后转给首个非执行人的备用验收人，备用验收人可作出决定', async () => {
+  const task = await createWaitingTask();
+  await taskService.updateVerifyPolicy(task.id, { action: 'REROUTE' }, 'zhangsan');
+
+  const result = await taskService.dispatchVerifierReminder(
+    await taskService.getTaskById(task.id),
+    'unit_test',
+    new Date('2026-03-09T10:00:00.000Z')
+  );
+  assert.equal(result.action, 'REROUTE');
+  assert.equal(result.verifier, 'wangwu');
+  assert.equal(sentCards[0].touser, 'wangwu');
+
+  const reroutedTask = await taskService.getTaskById(task.id);
+  assert.equal(reroutedTask.rerouted_verifier_userid, 'wangwu');
+
+  const verified = await taskService.verifyTaskById(task.id, 'wangwu', true, '', 'web_api');
+  assert.equal(verified.task.status, 'COMPLETED');
+  assert.equal(verified.task.rerouted_verifier_userid, null);
+
+  const stats = await taskService.getTeamStats('zhangsan');
+  assert.equal(stats.verification.verifiers[0].userid, 'wangwu');
+  assert.ok(stats.verification.verifiers[0].average_wait_hours > 0);
+});
+
+test('改派策略超时但没有可用备用验收人时，按冷却时长提醒原验收人', async () => {
+  const task = await createWaitingTask();
+  await taskService.updateVerifyPolicy(task.id, { action: 'REROUTE' }, 'zhangsan');
+  process.env.VERIFY_BACKUP_VERIFIERS = 'lisi';
+
+  try {
+    const withinCooldown = await taskService.dispatchVerifierReminder(
+      await taskService.getTaskById(task.id),
+      'unit_test',
+      new Date('2026-03-09T10:00:00.000Z')
+    );
+    assert.equal(withinCooldown.action, 'NONE');
+    assert.equal(withinCooldown.reminded, false);
+    assert.equal(sentCards.length, 0);
+
+    const afterCooldown = await taskService.dispatchVerifierReminder(
+      await taskService.getTaskById(task.id),
+      'unit_test',
+      new Date('2026-03-10T01:00:00.000Z')
+    );
+    assert.equal(afterCooldown.reminded, true);
+    assert.deepEqual(
+      sentCards.map((item) => [item.touser, item.title]),
+      [['zhangsan', '⏳ 验收提醒']]
+    );
+
+    const repeated = await taskService.dispatchVerifierReminder(
+      await taskService.getTaskById(task.id),
+      'unit_test',
+      new Date()
+    );
+    assert.equal(repeated.reminded, false);
+    assert.equal(sentCards.length, 1);
+  } finally {
+    process.env.VERIFY_BACKUP_VERIFIERS = 'lisi,wangwu';
+  }
+
+  const pendingTask = await taskService.getTaskById(task.id);
+  assert.equal(pendingTask.status, 'WAITING_VERIFY');
+  assert.equal(pendingTask.rerouted_verifier_userid, null);
+});
+
+test('非创建人或验收人不能修改任务级验收等待策略', async () => {
+  const task = await createWaitingTask();
+
+  await assert.rejects(
+    () => taskService.updateVerifyPolicy(task.id, { action: 'AUTO_PASS' }, 'lisi'),
+    (error) => error.code === 'TASK_VERIFY_POLICY_FORBIDDEN' && error.statusCode === 403
+  );
+  await assert.rejects(
+    () => taskService.updateVerifyPolicy(task.id, { backup_verifier_userid: 'lisi' }, 'zhangsan'),
+    (error) => error.code === 'TASK_VERIFY_POLICY_INVALID'
+  );
+});
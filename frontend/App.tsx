@@ -5,28 +5,83 @@ import {
   Users,
   Settings,
   Bell,
-  Search,
   Menu,
   X,
   Globe,
   LogIn,
   RefreshCw,
 } from 'lucide-react';
-import { KPIStats, Task, TaskCreatePayload, TaskStatus } from './types';
+import {
+  KPIStats,
+  Task,
+  TaskAttachment,
+  TaskComment,
+  TaskCreatePayload,
+  TaskExtensionRequestPayload,
+  TaskListQuery,
+  TaskManageAction,
+  TaskProject,
+  TaskReassignPayload,
+  TaskReminderPlan,
+  TaskReminderPolicy,
+  TaskSearchResult,
+  TaskStatus,
+  TaskSubmissionReport,
+  TaskSubmissionReportPayload,
+  TaskQualityRating,
+  TaskTemplate,
+  TeamMemberStats,
+  TeamVerificationStats,
+  UserPreferences,
+  UserPreferencesPayload,
+} from './types';
 import Dashboard from './pages/Dashboard';
 import Tasks from './pages/Tasks';
 import TeamStats from './pages/TeamStats';
 import SettingsPage from './pages/Settings';
+import GlobalSearch from './components/GlobalSearch';
 import { useTranslation } from './contexts/LanguageContext';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import {
   getTasks,
+  getTaskKpi,
+  searchTasks,
   createTask,
   completeTask,
   verifyTask,
+  manageTask,
+  reassignTask,
+  requestTaskExtension,
+  decideTaskExtension,
   syncTasks,
+  getProjects,
+  getTaskTemplates,
+  getTaskComments,
+  addTaskComment,
+  getTaskAttachments,
+  uploadTaskAttachment,
+  downloadTaskAttachment,
+  deleteTaskAttachment,
+  getTaskReports,
+  getReminderPolicies,
+  getTaskReminderPlan,
+  assignTaskReminderPolicy,
+  getTeamStats,
+  getRejectReasons,
+  getUserPreferences,
+  updateUserPreferences,
+  type BackendProjectRow,
+  type BackendReminderPolicyRow,
+  type BackendTaskReminderPlanResponse,
+  type BackendTaskAttachmentRow,
+  type BackendTaskCommentRow,
   type BackendTaskKpi,
   type BackendTaskRow,
+  type BackendTaskSubmissionReportRow,
+  type BackendTeamMemberStatsRow,
+  type BackendTeamStatsResponse,
+  type BackendTaskTemplateRow,
+  type BackendUserPreferencesRow,
 } from './api';
 
 type View = 'DASHBOARD' | 'TASKS' | 'TEAM' | 'SETTINGS';
@@ -41,6 +96,12 @@ const mapTaskStatus = (status: string): TaskStatus => {
   if (status === TaskStatus.COMPLETED) {
     return TaskStatus.COMPLETED;
   }
+  if (status === TaskStatus.CANCELLED) {
+    return TaskStatus.CANCELLED;
+  }
+  if (status === TaskStatus.ARCHIVED) {
+    return TaskStatus.ARCHIVED;
+  }
   return TaskStatus.REJECTED;
 };
 
@@ -68,11 +129,181 @@ const mapTaskRowToTask = (row: BackendTaskRow): Task => {
     completionTime: row.completion_time,
     verifyTime: row.verify_time,
     rejectReason: row.reject_reason,
+    qualityScore: row.quality_score === null || row.quality_score === undefined ? null : Number(row.quality_score),
+    qualityComment: row.quality_comment || undefined,
     redoCount: Number(row.redo_count || 0),
+    itemTotalCount: Number(row.item_total_count || 0),
+    itemDoneCount: Number(row.item_done_count || 0),
+    commentCount: Number(row.comment_count || 0),
+    requireEvidence: Boolean(row.require_evidence),
+    attachmentCount: Number(row.attachment_count || 0),
+    evidenceCount: Number(row.evidence_count || 0),
     canComplete: Boolean(row.can_complete),
     canVerify: Boolean(row.can_verify),
+    canManage: Boolean(row.can_manage),
+    canReassign: Boolean(row.can_reassign),
+    originalEndTime: row.original_end_time || undefined,
+    extensionCount: Number(row.extension_count || 0),
+    pendingExtensionId: row.pending_extension_id || undefined,
+    pendingExtensionEndTime: row.pending_extension_end_time || undefined,
+    cancelReason: row.cancel_reason || undefined,
     isDueSoon: Boolean(row.is_due_soon),
     isOverdue: Boolean(row.is_overdue),
+    escalationLevel: Number(row.escalation_level || 0),
+    isBlocked: Boolean(row.is_blocked),
+    completionMode: row.completion_mode === 'ANY' ? 'ANY' : 'ALL',
+    priority: row.priority || 'P2',
+    projectId: row.project_id || undefined,
+    projectName: row.project_name || undefined,
+    labels: row.labels || [],
+    executors: (row.executors || []).map((executor) => ({
+      userId: executor.userid,
+      isDone: Boolean(executor.is_done),
+      completedAt: executor.completed_at || undefined,
+    })),
+    approvalStageCount: Number(row.approval_stage_count || 0),
+    currentStageIndex: Number(row.current_stage_index || 0),
+    currentStageName: row.current_stage_name || undefined,
+    seriesId: row.series_id || undefined,
+    seriesIndex: row.series_index || undefined,
+  };
+};
+
+const mapProjectRow = (row: BackendProjectRow): TaskProject => {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description || '',
+    ownerUserId: row.owner_userid,
+    memberUserIds: row.member_userids || [],
+    canEdit: Boolean(row.can_edit),
+  };
+};
+
+const mapTaskTemplateRow = (row: BackendTaskTemplateRow): TaskTemplate => {
+  return {
+    id: row.id,
+    name: row.name,
+    title: row.title,
+    description: row.description || '',
+    durationMinutes: row.duration_minutes || undefined,
+    defaultExecutorUserId: row.default_executor_userid || undefined,
+    defaultExecutorRole: row.default_executor_role || undefined,
+    items: (row.items || []).map((item) => ({ title: item.title, isRequired: Boolean(item.is_required) })),
+    canEdit: Boolean(row.can_edit),
+  };
+};
+
+const mapReminderPolicyRow = (row: BackendReminderPolicyRow): TaskReminderPolicy => {
+  return {
+    id: row.id,
+    name: row.name,
+    offsetLabels: row.offset_labels || [],
+    overdueRepeatMinutes: row.overdue_repeat_minutes ?? null,
+    canEdit: Boolean(row.can_edit),
+  };
+};
+
+const mapTaskReminderPlan = (response: BackendTaskReminderPlanResponse): TaskReminderPlan => {
+  return {
+    source: response.policy.source,
+    policyId: response.policy.policy_id ?? null,
+    name: response.policy.name,
+    offsetLabels: response.policy.offset_labels || [],
+    overdueRepeatMinutes: response.policy.overdue_repeat_minutes ?? null,
+    sentOffsets: response.logs.map((item) => item.offset),
+  };
+};
+
+const mapUserPreferencesRow = (row: BackendUserPreferencesRow): UserPreferences => {
+  return {
+    timezoneOffsetMinutes: row.timezone_offset_minutes ?? null,
+    effectiveTimezoneOffsetMinutes: row.effective_timezone_offset_minutes,
+    digest: {
+      enabled: Boolean(row.digest?.enabled ?? true),
+      sendTime: row.digest?.send_time ?? null,
+      effectiveSendTime: row.digest?.effective_send_time || '09:00',
+      suppressTaskReminders: Boolean(row.digest?.suppress_task_reminders),
+    },
+    businessCalendar: {
+      utcOffsetMinutes: row.business_calendar.utc_offset_minutes,
+      workingHours: row.business_calendar.working_hours,
+      quietHours: row.business_calendar.quiet_hours ?? null,
+      holidayCount: Number(row.business_calendar.holiday_count || 0),
+      workdayCount: Number(row.business_calendar.workday_count || 0),
+    },
+  };
+};
+
+const mapTaskCommentRow = (row: BackendTaskCommentRow): TaskComment => {
+  return {
+    id: row.id,
+    taskId: row.task_id,
+    authorUserId: row.author_userid,
+    content: row.content,
+    mentionedUserIds: row.mentioned_userids || [],
+    createdAt: row.created_at,
+  };
+};
+
+const mapTaskAttachmentRow = (row: BackendTaskAttachmentRow): TaskAttachment => {
+  return {
+    id: row.id,
+    taskId: row.task_id,
+    uploaderUserId: row.uploader_userid,
+    originalName: row.original_name,
+    mimeType: row.mime_type || 'application/octet-stream',
+    sizeBytes: Number(row.size_bytes || 0),
+    submissionRound: Number(row.submission_round || 0),
+    createdAt: row.created_at,
+  };
+};
+
+const mapTaskSubmissionReportRow = (row: BackendTaskSubmissionReportRow): TaskSubmissionReport => {
+  return {
+    id: row.id,
+    taskId: row.task_id,
+    submitterUserId: row.submitter_userid,
+    submissionRound: Number(row.submission_round || 0),
+    summary: row.summary || '',
+    actualHours: row.actual_hours === null || row.actual_hours === undefined ? null : Number(row.actual_hours),
+    links: Array.isArray(row.links) ? row.links : [],
+    source: row.source || '',
+    updatedAt: row.updated_at,
+  };
+};
+
+const mapTeamMemberStatsRow = (row: BackendTeamMemberStatsRow): TeamMemberStats => {
+  return {
+    userId: row.userid,
+    userName: row.userid,
+    role: 'EXECUTOR',
+    taskCount: Number(row.total_tasks || 0),
+    completedCount: Number(row.completed_tasks || 0),
+    pendingCount: Number(row.pending_tasks || 0),
+    waitingVerifyCount: Number(row.waiting_verify_tasks || 0),
+    overdueCount: Number(row.overdue_tasks || 0),
+    completionRate: Number(row.completion_rate || 0),
+    ratedCount: Number(row.rated_tasks || 0),
+    averageQuality: row.average_quality === null || row.average_quality === undefined ? null : Number(row.average_quality),
+  };
+};
+
+const emptyTeamVerification: TeamVerificationStats = { autoPassedCount: 0, verifiers: [] };
+
+const mapTeamVerification = (verification: BackendTeamStatsResponse['verification']): TeamVerificationStats => {
+  if (!verification) {
+    return emptyTeamVerification;
+  }
+
+  return {
+    autoPassedCount: Number(verification.auto_passed_count || 0),
+    verifiers: (verification.verifiers || []).map((row) => ({
+      userId: row.userid,
+      decisionCount: Number(row.decision_count || 0),
+      averageWaitHours: Number(row.average_wait_hours || 0),
+      maxWaitHours: Number(row.max_wait_hours || 0),
+    })),
   };
 };
 
@@ -84,6 +315,12 @@ const mapKpi = (kpi: BackendTaskKpi): KPIStats => {
     overdueTasks: Number(kpi.overdue_tasks || 0),
     dueSoonTasks: Number(kpi.due_soon_tasks || 0),
     onTimeRate: Number(kpi.on_time_rate || 0),
+    originalOnTimeRate: Number(kpi.original_on_time_rate || 0),
+    weekdayActivity: (kpi.by_weekday || []).map((item) => ({
+      weekday: Number(item.weekday),
+      completed: Number(item.completed_tasks || 0),
+      rejected: Number(item.rejected_tasks || 0),
+    })),
   };
 };
 
@@ -94,6 +331,8 @@ const emptyKpi: KPIStats = {
   overdueTasks: 0,
   dueSoonTasks: 0,
   onTimeRate: 0,
+  originalOnTimeRate: 0,
+  weekdayActivity: [],
 };
 
 // buildQrLoginUrl
@@ -114,8 +353,20 @@ const MainApp: React.FC = () => {
   const [currentView, setCurrentView] = useState<View>('DASHBOARD');
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [tasks, setTasks] = useState<Task[]>([]);
+  const [projects, setProjects] = useState<TaskProject[]>([]);
+  const [templates, setTemplates] = useState<TaskTemplate[]>([]);
+  const [reminderPolicies, setReminderPolicies] = useState<TaskReminderPolicy[]>([]);
   const [kpi, setKpi] = useState<KPIStats>(emptyKpi);
+  const [teamMembers, setTeamMembers] = useState<TeamMemberStats[]>([]);
+  const [teamVerification, setTeamVerification] = useState<TeamVerificationStats>(emptyTeamVerification);
+  const [rejectReasons, setRejectReasons] = useState<string[]>([]);
+  const [userPreferences, setUserPreferences] = useState<UserPreferences | null>(null);
+  const [taskQuery, setTaskQuery] = useState<TaskListQuery>({});
+  const [taskTotal, setTaskTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
   const [loadingTasks, setLoadingTasks] = useState(false);
+  const [loadingMoreTasks, setLoadingMoreTasks] = useState(false);
+  const [tasksViewKey, setTasksViewKey] = useState(0);
   const [syncing, setSyncing] = useState(false);
   const [qrLoginUrl, setQrLoginUrl] = useState<string>(() => buildQrLoginUrl());
   const [qrLoading, setQrLoading] = useState(false);
@@ -124,23 +375,101 @@ const MainApp: React.FC = () => {
   const loadTasks = useCallback(async () => {
     if (!user) {
       setTasks([]);
+      setTaskTotal(0);
+      setNextCursor(null);
       setKpi(emptyKpi);
+      setTeamMembers([]);
+      setTeamVerification(emptyTeamVerification);
       return;
     }
 
     setLoadingTasks(true);
     try {
-      const response = await getTasks();
+      const response = await getTasks(taskQuery);
       setTasks((response.tasks || []).map(mapTaskRowToTask));
-      setKpi(mapKpi(response.kpi || ({} as BackendTaskKpi)));
+      setTaskTotal(Number(response.total || 0));
+      setNextCursor(response.next_cursor || null);
     } catch (error) {
       console.error(error);
       setTasks([]);
-      setKpi(emptyKpi);
+      setTaskTotal(0);
+      setNextCursor(null);
     } finally {
       setLoadingTasks(false);
     }
-  }, [user]);
+
+    // KPI 按全部可见任务统计，与列表当前页和筛选条件无关。
+    try {
+      setKpi(mapKpi((await getTaskKpi()) || ({} as BackendTaskKpi)));
+    } catch (error) {
+      console.error(error);
+      setKpi(emptyKpi);
+    }
+
+    try {
+      const teamStats = await getTeamStats();
+      setTeamMembers(teamStats.members.map(mapTeamMemberStatsRow));
+      setTeamVerification(mapTeamVerification(teamStats.verification));
+    } catch (error) {
+      console.error(error);
+      setTeamMembers([]);
+      setTeamVerification(emptyTeamVerification);
+    }
+
+    try {
+      setProjects((await getProjects()).map(mapProjectRow));
+    } catch (error) {
+      console.error(error);
+      setProjects([]);
+    }
+
+    try {
+      setTemplates((await getTaskTemplates()).map(mapTaskTemplateRow));
+    } catch (error) {
+      console.error(error);
+      setTemplates([]);
+    }
+
+    try {
+      setReminderPolicies((await getReminderPolicies()).map(mapReminderPolicyRow));
+    } catch (error) {
+      console.error(error);
+      setReminderPolicies([]);
+    }
+
+    try {
+      setRejectReasons(await getRejectReasons());
+    } catch (error) {
+      console.error(error);
+      setRejectReasons([]);
+    }
+
+    try {
+      setUserPreferences(mapUserPreferencesRow(await getUserPreferences()));
+    } catch (error) {
+      console.error(error);
+      setUserPreferences(null);
+    }
+  }, [user, taskQuery]);
+
+  const handleLoadMoreTasks = async () => {
+    if (!nextCursor || loadingMoreTasks) {
+      return;
+    }
+
+    setLoadingMoreTasks(true);
+    try {
+      const response = await getTasks(taskQuery, nextCursor);
+      setTasks((current) => current.concat((response.tasks || []).map(mapTaskRowToTask)));
+      setTaskTotal(Number(response.total || 0));
+      setNextCursor(response.next_cursor || null);
+    } catch (error) {
+      console.error(error);
+      alert(t.operationFailed);
+    } finally {
+      setLoadingMoreTasks(false);
+    }
+  };
 
   useEffect(() => {
     const token = localStorage.getItem('token');
@@ -149,6 +478,8 @@ const MainApp: React.FC = () => {
     } else {
       setTasks([]);
       setKpi(emptyKpi);
+      setTeamMembers([]);
+      setTeamVerification(emptyTeamVerification);
     }
   }, [user, loadTasks]);
 
@@ -162,9 +493,24 @@ const MainApp: React.FC = () => {
     }
   };
 
-  const handleCompleteTask = async (taskId: number) => {
+  const handleCompleteTask = async (taskId: number, report?: TaskSubmissionReportPayload) => {
+    try {
+      await completeTask(taskId, report);
+      await loadTasks();
+    } catch (error) {
+      console.error(error);
+      alert(t.operationFailed);
+    }
+  };
+
+  const handleVerifyTask = async (
+    taskId: number,
+    action: 'PASS' | 'REJECT',
+    reason?: string,
+    rating?: TaskQualityRating
+  ) => {
     try {
-      await completeTask(taskId);
+      await verifyTask(taskId, action, reason || '', rating);
       await loadTasks();
     } catch (error) {
       console.error(error);
@@ -172,9 +518,9 @@ const MainApp: React.FC = () => {
     }
   };
 
-  const handleVerifyTask = async (taskId: number, action: 'PASS' | 'REJECT', reason?: string) => {
+  const handleManageTask = async (taskId: number, action: TaskManageAction, reason?: string) => {
     try {
-      await verifyTask(taskId, action, reason || '');
+      await manageTask(taskId, action, reason || '');
       await loadTasks();
     } catch (error) {
       console.error(error);
@@ -182,6 +528,183 @@ const MainApp: React.FC = () => {
     }
   };
 
+  const handleReassignTask = async (taskId: number, payload: TaskReassignPayload) => {
+    try {
+      await reassignTask(taskId, payload);
+      await loadTasks();
+    } catch (error) {
+      console.error(error);
+      alert(t.operationFailed);
+    }
+  };
+
+  const handleRequestExtension = async (taskId: number, payload: TaskExtensionRequestPayload) => {
+    try {
+      await requestTaskExtension(taskId, payload);
+      await loadTasks();
+    } catch (error) {
+      console.error(error);
+      alert(t.operationFailed);
+    }
+  };
+
+  const handleDecideExtension = async (taskId: number, extensionRequestId: number, action: 'APPROVE' | 'DENY') => {
+    try {
+      await decideTaskExtension(taskId, extensionRequestId, action);
+      await loadTasks();
+    } catch (error) {
+      console.error(error);
+      alert(t.operationFailed);
+    }
+  };
+
+  // handleLoadComments 需保持引用稳定：任务详情弹窗以它作为加载评论的 effect 依赖。
+  const handleSearchTasks = useCallback(async (query: string): Promise<TaskSearchResult[]> => {
+    try {
+      const response = await searchTasks(query);
+      return (response.results || []).map((item) => ({
+        task: mapTaskRowToTask(item.task),
+        score: Number(item.score || 0),
+        matchedFields: item.matched_fields || [],
+        snippet: item.snippet || [],
+      }));
+    } catch (error) {
+      console.error(error);
+      return [];
+    }
+  }, []);
+
+  // 打开检索结果：以检索词过滤任务列表，并通过 `?task_id=` 让任务页重新挂载后直接打开详情。
+  const handleOpenSearchResult = (result: TaskSearchResult, query: string) => {
+    const url = new URL(window.location.href);
+    url.searchParams.set('task_id', String(result.task.id));
+    window.history.replaceState(null, '', url.toString());
+    setTaskQuery({ keyword: query });
+    setTasksViewKey((current) => current + 1);
+    setCurrentView('TASKS');
+  };
+
+  const handleLoadComments = useCallback(async (taskId: number): Promise<TaskComment[]> => {
+    try {
+      return (await getTaskComments(taskId)).map(mapTaskCommentRow);
+    } catch (error) {
+      console.error(error);
+      return [];
+    }
+  }, []);
+
+  const handleAddComment = async (taskId: number, content: string): Promise<TaskComment | null> => {
+    try {
+      const comment = mapTaskCommentRow(await addTaskComment(taskId, content));
+      setTasks((prev) =>
+        prev.map((task) => (task.id === taskId ? { ...task, commentCount: task.commentCount + 1 } : task))
+      );
+      return comment;
+    } catch (error) {
+      console.error(error);
+      alert(t.operationFailed);
+      return null;
+    }
+  };
+
+  // handleLoadAttachments 与 handleLoadComments 同理，需保持引用稳定。
+  const handleLoadAttachments = useCallback(async (taskId: number): Promise<TaskAttachment[]> => {
+    try {
+      return (await getTaskAttachments(taskId)).map(mapTaskAttachmentRow);
+    } catch (error) {
+      console.error(error);
+      return [];
+    }
+  }, []);
+
+  const handleLoadReports = useCallback(async (taskId: number): Promise<TaskSubmissionReport[]> => {
+    try {
+      return (await getTaskReports(taskId)).map(mapTaskSubmissionReportRow);
+    } catch (error) {
+      console.error(error);
+      return [];
+    }
+  }, []);
+
+  const handleLoadReminderPlan = useCallback(async (taskId: number): Promise<TaskReminderPlan | null> => {
+    try {
+      return mapTaskReminderPlan(await getTaskReminderPlan(taskId));
+    } catch (error) {
+      console.error(error);
+      return null;
+    }
+  }, []);
+
+  const handleAssignReminderPolicy = async (taskId: number, policyId: number | null): Promise<TaskReminderPlan | null> => {
+    try {
+      await assignTaskReminderPolicy(taskId, policyId);
+      return mapTaskReminderPlan(await getTaskReminderPlan(taskId));
+    } catch (error) {
+      console.error(error);
+      alert(t.operationFailed);
+      return null;
+    }
+  };
+
+  const handleUpdatePreferences = async (payload: UserPreferencesPayload): Promise<boolean> => {
+    try {
+      const response = await updateUserPreferences({
+        timezone_offset_minutes: payload.timezoneOffsetMinutes,
+        digest: payload.digest && {
+          enabled: payload.digest.enabled,
+          send_time: payload.digest.sendTime,
+          suppress_task_reminders: payload.digest.suppressTaskReminders,
+        },
+      });
+      setUserPreferences(mapUserPreferencesRow(response));
+      return true;
+    } catch (error) {
+      console.error(error);
+      alert(t.operationFailed);
+      return false;
+    }
+  };
+
+  // 上传/删除附件会影响附件计数与“可提交”判定，操作后重新拉取任务列表。
+  const handleUploadAttachment = async (taskId: number, file: File): Promise<TaskAttachment | null> => {
+    try {
+      const attachment = mapTaskAttachmentRow(await uploadTaskAttachment(taskId, file));
+      await loadTasks();
+      return attachment;
+    } catch (error) {
+      console.error(error);
+      alert(t.operationFailed);
+      return null;
+    }
+  };
+
+  const handleDeleteAttachment = async (taskId: number, attachmentId: number): Promise<TaskAttachment[] | null> => {
+    try {
+      const attachments = (await deleteTaskAttachment(taskId, attachmentId)).map(mapTaskAttachmentRow);
+      await loadTasks();
+      return attachments;
+    } catch (error) {
+      console.error(error);
+      alert(t.operationFailed);
+      return null;
+    }
+  };
+
+  const handleDownloadAttachment = async (attachment: TaskAttachment) => {
+    try {
+      const blob = await downloadTaskAttachment(attachment.taskId, attachment.id);
+      const objectUrl = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = objectUrl;
+      link.download = attachment.originalName;
+      link.click();
+      URL.revokeObjectURL(objectUrl);
+    } catch (error) {
+      console.error(error);
+      alert(t.operationFailed);
+    }
+  };
+
   const handleSyncTasks = async () => {
     try {
       setSyncing(true);
@@ -364,14 +887,7 @@ const MainApp: React.FC = () => {
           </div>
 
           <div className="flex items-center gap-3">
-            <div className="relative hidden md:block">
-              <Search className="absolute left-3 top-2.5 w-4 h-4 text-slate-400" />
-              <input
-                type="text"
-                placeholder={t.search}
-                className="pl-10 pr-4 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 w-64 transition-all"
-              />
-            </div>
+            <GlobalSearch onSearch={handleSearchTasks} onSelect={handleOpenSearchResult} />
 
             <button
               onClick={() => setLanguage(language === 'zh' ? 'en' : 'zh')}
@@ -401,21 +917,52 @@ const MainApp: React.FC = () => {
 
         <main className="flex-1 overflow-y-auto p-4 lg:p-8">
           <div className="max-w-7xl mx-auto animate-in fade-in duration-300">
-            {loadingTasks ? (
+            {loadingTasks && tasks.length === 0 ? (
               <div className="text-center py-10">Loading tasks...</div>
             ) : (
               <>
                 {currentView === 'DASHBOARD' && <Dashboard tasks={tasks} kpi={kpi} />}
                 {currentView === 'TASKS' && (
                   <Tasks
+                    key={tasksViewKey}
                     tasks={tasks}
+                    query={taskQuery}
+                    total={taskTotal}
+                    waitingVerifyCount={kpi.waitingAcceptance}
+                    hasMore={Boolean(nextCursor)}
+                    loadingMore={loadingMoreTasks}
+                    projects={projects}
+                    templates={templates}
+                    reminderPolicies={reminderPolicies}
+                    rejectReasons={rejectReasons}
                     onCreateTask={handleCreateTask}
                     onCompleteTask={handleCompleteTask}
                     onVerifyTask={handleVerifyTask}
+                    onManageTask={handleManageTask}
+                    onReassignTask={handleReassignTask}
+                    onRequestExtension={handleRequestExtension}
+                    onDecideExtension={handleDecideExtension}
+                    onLoadComments={handleLoadComments}
+                    onAddComment={handleAddComment}
+                    onLoadAttachments={handleLoadAttachments}
+                    onUploadAttachment={handleUploadAttachment}
+                    onDeleteAttachment={handleDeleteAttachment}
+                    onDownloadAttachment={handleDownloadAttachment}
+                    onLoadReports={handleLoadReports}
+                    onLoadReminderPlan={handleLoadReminderPlan}
+                    onAssignReminderPolicy={handleAssignReminderPolicy}
+                    onQueryChange={setTaskQuery}
+                    onLoadMore={handleLoadMoreTasks}
+                  />
+                )}
+                {currentView === 'TEAM' && <TeamStats members={teamMembers} verification={teamVerification} />}
+                {currentView === 'SETTINGS' && (
+                  <SettingsPage
+                    onSyncTasks={handleSyncTasks}
+                    userPreferences={userPreferences}
+                    onUpdatePreferences={handleUpdatePreferences}
                   />
                 )}
-                {currentView === 'TEAM' && <TeamStats tasks={tasks} />}
-                {currentView === 'SETTINGS' && <SettingsPage onSyncTasks={handleSyncTasks} />}
               </>
             )}
           </div>
@@ -1,5 +1,15 @@
 import axios from 'axios';
-import { TaskCreatePayload, TaskStatus } from './types';
+import {
+  TaskCreatePayload,
+  TaskExtensionRequestPayload,
+  TaskListQuery,
+  TaskManageAction,
+  TaskPriority,
+  TaskReassignPayload,
+  TaskStatus,
+  TaskQualityRating,
+  TaskSubmissionReportPayload,
+} from './types';
 
 const API_BASE = '/api';
 
@@ -31,11 +41,39 @@ export interface BackendTaskRow {
   completion_time?: string;
   verify_time?: string;
   reject_reason?: string;
+  quality_score?: number | null;
+  quality_comment?: string | null;
   redo_count?: number;
+  item_total_count?: number;
+  item_done_count?: number;
+  comment_count?: number;
+  require_evidence?: boolean;
+  attachment_count?: number;
+  evidence_count?: number;
   can_complete?: boolean;
   can_verify?: boolean;
+  can_manage?: boolean;
+  can_reassign?: boolean;
+  original_end_time?: string | null;
+  extension_count?: number;
+  pending_extension_id?: number | null;
+  pending_extension_end_time?: string | null;
+  cancel_reason?: string | null;
   is_due_soon?: boolean;
   is_overdue?: boolean;
+  escalation_level?: number | null;
+  is_blocked?: boolean;
+  completion_mode?: 'ALL' | 'ANY';
+  priority?: TaskPriority;
+  project_id?: number | null;
+  project_name?: string | null;
+  labels?: string[];
+  executors?: Array<{ userid: string; is_done: boolean; completed_at?: string | null }>;
+  approval_stage_count?: number;
+  current_stage_index?: number;
+  current_stage_name?: string | null;
+  series_id?: number | null;
+  series_index?: number | null;
 }
 
 export interface BackendTaskKpi {
@@ -46,11 +84,157 @@ export interface BackendTaskKpi {
   due_soon_tasks: number;
   completion_rate: number;
   on_time_rate: number;
+  original_on_time_rate?: number;
+  extended_tasks?: number;
+  by_project?: Array<
+    Omit<BackendTaskKpi, 'by_project' | 'by_weekday'> & {
+      project_id: number | null;
+      project_name: string;
+    }
+  >;
+  by_weekday?: Array<{
+    weekday: number;
+    completed_tasks: number;
+    rejected_tasks: number;
+  }>;
+}
+
+export interface BackendTaskCommentRow {
+  id: number;
+  task_id: number;
+  author_userid: string;
+  content: string;
+  mentioned_userids?: string[];
+  created_at: string;
+}
+
+export interface BackendTaskAttachmentRow {
+  id: number;
+  task_id: number;
+  uploader_userid: string;
+  original_name: string;
+  mime_type?: string;
+  size_bytes: number;
+  submission_round: number;
+  created_at: string;
+}
+
+export interface BackendTaskSubmissionReportRow {
+  id: number;
+  task_id: number;
+  submitter_userid: string;
+  submission_round: number;
+  summary?: string | null;
+  actual_hours?: number | null;
+  links?: string[];
+  source?: string;
+  updated_at: string;
+}
+
+export interface BackendTeamMemberStatsRow {
+  userid: string;
+  total_tasks: number;
+  completed_tasks: number;
+  pending_tasks: number;
+  waiting_verify_tasks: number;
+  overdue_tasks: number;
+  completion_rate: number;
+  rated_tasks: number;
+  average_quality: number | null;
+}
+
+export interface BackendVerifierWaitStatsRow {
+  userid: string;
+  decision_count: number;
+  average_wait_hours: number;
+  max_wait_hours: number;
+}
+
+export interface BackendTeamStatsResponse {
+  members: BackendTeamMemberStatsRow[];
+  verification?: {
+    auto_passed_count: number;
+    verifiers: BackendVerifierWaitStatsRow[];
+  };
+}
+
+export interface BackendProjectRow {
+  id: number;
+  name: string;
+  description?: string | null;
+  owner_userid: string;
+  member_userids?: string[];
+  can_edit?: boolean;
+}
+
+export interface BackendTaskTemplateRow {
+  id: number;
+  name: string;
+  title: string;
+  description?: string | null;
+  duration_minutes?: number | null;
+  default_executor_userid?: string | null;
+  default_executor_role?: 'CREATOR' | 'PROJECT_OWNER' | null;
+  items?: Array<{ title: string; is_required: number | boolean }>;
+  can_edit?: boolean;
+}
+
+export interface BackendReminderPolicyRow {
+  id: number;
+  name: string;
+  offsets: number[];
+  offset_labels: string[];
+  overdue_repeat_minutes: number | null;
+  assignment_count?: number;
+  can_edit?: boolean;
+}
+
+export interface BackendUserPreferencesRow {
+  userid: string;
+  timezone_offset_minutes: number | null;
+  effective_timezone_offset_minutes: number;
+  digest: {
+    enabled: boolean;
+    send_time: string | null;
+    effective_send_time: string;
+    suppress_task_reminders: boolean;
+    last_sent_date: string | null;
+  };
+  business_calendar: {
+    utc_offset_minutes: number;
+    working_hours: string;
+    quiet_hours: string | null;
+    holiday_count: number;
+    workday_count: number;
+  };
+}
+
+export interface BackendTaskReminderPlanResponse {
+  policy: {
+    source: 'TASK' | 'PROJECT' | 'GLOBAL' | 'PRIORITY';
+    policy_id: number | null;
+    name: string;
+    offset_labels: string[];
+    overdue_repeat_minutes: number | null;
+  };
+  logs: Array<{ offset: string; kind: string; sent_at: string }>;
 }
 
 export interface TaskListResponse {
   tasks: BackendTaskRow[];
-  kpi: BackendTaskKpi;
+  total: number;
+  next_cursor: string | null;
+}
+
+export interface BackendTaskSearchResponse {
+  query: string;
+  total: number;
+  results: Array<{
+    task: BackendTaskRow;
+    score: number;
+    matched_fields: Array<'title' | 'description' | 'comments' | 'reject_reasons'>;
+    snippet: Array<{ text: string; matched: boolean }>;
+  }>;
 }
 
 export type AuthLoginMode = 'auto' | 'qr' | 'oauth';
@@ -60,8 +244,29 @@ export const login = (mode: AuthLoginMode = 'auto') => {
   window.location.href = target;
 };
 
-export const getTasks = async (): Promise<TaskListResponse> => {
-  const response = await api.get('/tasks');
+export const getTasks = async (query: TaskListQuery = {}, cursor = ''): Promise<TaskListResponse> => {
+  const response = await api.get('/tasks', {
+    params: {
+      status: query.status || undefined,
+      project_id: query.projectId || undefined,
+      label: query.label || undefined,
+      keyword: query.keyword || undefined,
+      executor_userid: query.executorUserId || undefined,
+      creator_userid: query.creatorUserId || undefined,
+      end_from: query.endFrom || undefined,
+      end_to: query.endTo || undefined,
+      overdue: query.overdue ? 1 : undefined,
+      due_soon: query.dueSoon ? 1 : undefined,
+      sort: query.sort || undefined,
+      order: query.order || undefined,
+      cursor: cursor || undefined,
+    },
+  });
+  return response.data;
+};
+
+export const searchTasks = async (query: string, limit = 10): Promise<BackendTaskSearchResponse> => {
+  const response = await api.get('/tasks/search', { params: { q: query, limit } });
   return response.data;
 };
 
@@ -72,37 +277,185 @@ export const createTask = async (payload: TaskCreatePayload) => {
     executor_userid: payload.executorUserId,
     start_time: payload.startTime,
     end_time: payload.endTime,
+    recurrence: payload.recurrence || undefined,
+    priority: payload.priority || undefined,
+    project_id: payload.projectId || undefined,
+    labels: payload.labels && payload.labels.length > 0 ? payload.labels : undefined,
+    require_evidence: payload.requireEvidence || undefined,
+    template_id: payload.templateId || undefined,
   });
   return response.data;
 };
 
-export const completeTask = async (taskId: number) => {
-  const response = await api.post(`/tasks/${taskId}/complete`);
+export const completeTask = async (taskId: number, report?: TaskSubmissionReportPayload) => {
+  const response = await api.post(
+    `/tasks/${taskId}/complete`,
+    report
+      ? {
+          report: {
+            summary: report.summary,
+            actual_hours: report.actualHours,
+            links: report.links,
+          },
+        }
+      : {}
+  );
   return response.data;
 };
 
+export const getTaskReports = async (taskId: number): Promise<BackendTaskSubmissionReportRow[]> => {
+  const response = await api.get(`/tasks/${taskId}/reports`);
+  return response.data.reports || [];
+};
+
 export const verifyTask = async (
   taskId: number,
   action: 'PASS' | 'REJECT',
-  rejectReason = ''
+  rejectReason = '',
+  rating?: TaskQualityRating
 ) => {
   const response = await api.post(`/tasks/${taskId}/verify`, {
     action,
     reject_reason: rejectReason,
+    ...(rating ? { rating } : {}),
   });
   return response.data;
 };
 
+export const manageTask = async (taskId: number, action: TaskManageAction, reason = '') => {
+  const response = await api.post(`/tasks/${taskId}/${action}`, { reason });
+  return response.data;
+};
+
+export const reassignTask = async (taskId: number, payload: TaskReassignPayload) => {
+  const response = await api.post(`/tasks/${taskId}/reassign`, {
+    to_userid: payload.toUserId,
+    note: payload.note || '',
+  });
+  return response.data;
+};
+
+export const requestTaskExtension = async (taskId: number, payload: TaskExtensionRequestPayload) => {
+  const response = await api.post(`/tasks/${taskId}/extensions`, {
+    proposed_end_time: payload.proposedEndTime,
+    reason: payload.reason,
+  });
+  return response.data;
+};
+
+export const decideTaskExtension = async (
+  taskId: number,
+  extensionRequestId: number,
+  action: 'APPROVE' | 'DENY',
+  note = ''
+) => {
+  const response = await api.post(`/tasks/${taskId}/extensions/${extensionRequestId}/decision`, {
+    action,
+    note,
+  });
+  return response.data;
+};
+
+export const getTaskComments = async (taskId: number): Promise<BackendTaskCommentRow[]> => {
+  const response = await api.get(`/tasks/${taskId}/comments`);
+  return response.data.comments || [];
+};
+
+export const addTaskComment = async (taskId: number, content: string): Promise<BackendTaskCommentRow> => {
+  const response = await api.post(`/tasks/${taskId}/comments`, { content });
+  return response.data.comment;
+};
+
+export const getTaskAttachments = async (taskId: number): Promise<BackendTaskAttachmentRow[]> => {
+  const response = await api.get(`/tasks/${taskId}/attachments`);
+  return response.data.attachments || [];
+};
+
+// 附件以原始二进制作为请求体上传：Content-Type 固定为 octet-stream，避免 JSON 文件被全局 JSON 解析器提前消费；
+// URI 编码后的文件名放在自定义请求头中，文件类型由服务端按扩展名判定。
+export const uploadTaskAttachment = async (taskId: number, file: File): Promise<BackendTaskAttachmentRow> => {
+  const response = await api.post(`/tasks/${taskId}/attachments`, file, {
+    headers: {
+      'Content-Type': 'application/octet-stream',
+      'X-File-Name': encodeURIComponent(file.name),
+    },
+  });
+  return response.data.attachment;
+};
+
+export const downloadTaskAttachment = async (taskId: number, attachmentId: number): Promise<Blob> => {
+  const response = await api.get(`/tasks/${taskId}/attachments/${attachmentId}/download`, {
+    responseType: 'blob',
+  });
+  return response.data;
+};
+
+export const deleteTaskAttachment = async (taskId: number, attachmentId: number): Promise<BackendTaskAttachmentRow[]> => {
+  const response = await api.delete(`/tasks/${taskId}/attachments/${attachmentId}`);
+  return response.data.attachments || [];
+};
+
 export const syncTasks = async () => {
   const response = await api.post('/tasks/sync');
   return response.data;
 };
 
+export const getProjects = async (): Promise<BackendProjectRow[]> => {
+  const response = await api.get('/projects');
+  return response.data.projects || [];
+};
+
+export const getTaskTemplates = async (): Promise<BackendTaskTemplateRow[]> => {
+  const response = await api.get('/task-templates');
+  return response.data.templates || [];
+};
+
+export const getReminderPolicies = async (): Promise<BackendReminderPolicyRow[]> => {
+  const response = await api.get('/reminder-policies');
+  return response.data.policies || [];
+};
+
+export const getTaskReminderPlan = async (taskId: number): Promise<BackendTaskReminderPlanResponse> => {
+  const response = await api.get(`/tasks/${taskId}/reminders`);
+  return { policy: response.data.policy, logs: response.data.logs || [] };
+};
+
+export const assignTaskReminderPolicy = async (taskId: number, policyId: number | null) => {
+  const response = await api.put(`/tasks/${taskId}/reminder-policy`, { policy_id: policyId });
+  return response.data.assignment;
+};
+
+export const getUserPreferences = async (): Promise<BackendUserPreferencesRow> => {
+  const response = await api.get('/user/preferences');
+  return response.data.preferences;
+};
+
+export const updateUserPreferences = async (payload: {
+  timezone_offset_minutes?: number | null;
+  digest?: { enabled?: boolean; send_time?: string | null; suppress_task_reminders?: boolean };
+}): Promise<BackendUserPreferencesRow> => {
+  const response = await api.put('/user/preferences', payload);
+  return response.data.preferences;
+};
+
 export const getTaskKpi = async (): Promise<BackendTaskKpi> => {
   const response = await api.get('/tasks/kpi');
   return response.data.kpi;
 };
 
+export const getRejectReasons = async (): Promise<string[]> => {
+  const response = await api.get('/tasks/reject-reasons');
+  return response.data.reasons || [];
+};
+
+export const getTeamStats = async (): Promise<BackendTeamStatsResponse> => {
+  const response = await api.get('/tasks/team-stats');
+  return {
+    members: response.data.members || [],
+    verification: response.data.verification,
+  };
+};
+
 export const getUser = async () => {
   const response = await api.get('/user/me');
   return response.data;
@@ -0,0 +1,113 @@
+import React, { useEffect, useState } from 'react';
+import { Search } from 'lucide-react';
+import { TaskSearchResult } from '../types';
+import StatusBadge from './StatusBadge';
+import { useTranslation } from '../contexts/LanguageContext';
+
+interface GlobalSearchProps {
+  onSearch: (query: string) => Promise<TaskSearchResult[]>;
+  onSelect: (result: TaskSearchResult, query: string) => void;
+}
+
+// SEARCH_DEBOUNCE_MS
+// 是什么：全局搜索的防抖间隔。
+// 做什么：输入停止该时长后才请求检索接口。
+// 为什么：全文检索由服务端执行，逐字请求会在输入过程中产生大量无效查询。
+const SEARCH_DEBOUNCE_MS = 300;
+
+const GlobalSearch: React.FC<GlobalSearchProps> = ({ onSearch, onSelect }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState<TaskSearchResult[]>([]);
+  const [open, setOpen] = useState(false);
+  const [searching, setSearching] = useState(false);
+  const { t } = useTranslation();
+
+  useEffect(() => {
+    const keyword = query.trim();
+    if (!keyword) {
+      setResults([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = window.setTimeout(() => {
+      setSearching(true);
+      onSearch(keyword)
+        .then((items) => {
+          if (!cancelled) {
+            setResults(items);
+          }
+        })
+        .finally(() => {
+          if (!cancelled) {
+            setSearching(false);
+          }
+        });
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      window.clearTimeout(timer);
+    };
+  }, [query, onSearch]);
+
+  const handleSelect = (result: TaskSearchResult) => {
+    setOpen(false);
+    onSelect(result, query.trim());
+  };
+
+  return (
+    <div className="relative hidden md:block">
+      <Search className="absolute left-3 top-2.5 w-4 h-4 text-slate-400" />
+      <input
+        type="text"
+        placeholder={t.search}
+        value={query}
+        onChange={(event) => {
+          setQuery(event.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => window.setTimeout(() => setOpen(false), 150)}
+        className="pl-10 pr-4 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 w-64 transition-all"
+      />
+      {open && query.trim() && (
+        <div className="absolute right-0 mt-2 w-96 max-h-96 overflow-y-auto bg-white border border-slate-200 rounded-xl shadow-lg z-40">
+          {results.length === 0 ? (
+            <p className="px-4 py-3 text-sm text-slate-500">{searching ? '...' : t.searchNoResults}</p>
+          ) : (
+            results.map((result) => (
+              <button
+                key={result.task.id}
+                onMouseDown={(event) => event.preventDefault()}
+                onClick={() => handleSelect(result)}
+                className="w-full text-left px-4 py-3 border-b border-slate-100 last:border-b-0 hover:bg-slate-50"
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <span className="text-sm font-medium text-slate-900 truncate">{result.task.title}</span>
+                  <StatusBadge status={result.task.status} />
+                </div>
+                <p className="text-xs text-slate-500 mt-1 line-clamp-2">
+                  {result.snippet.map((segment, index) =>
+                    segment.matched ? (
+                      <mark key={index} className="bg-yellow-100 text-slate-900 rounded px-0.5">
+                        {segment.text}
+                      </mark>
+                    ) : (
+                      <span key={index}>{segment.text}</span>
+                    )
+                  )}
+                </p>
+                <p className="text-[11px] text-slate-400 mt-1">
+                  {result.matchedFields.map((field) => t[`searchField_${field}`]).join(' · ')}
+                </p>
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GlobalSearch;
@@ -34,6 +34,18 @@ const StatusBadge: React.FC<StatusBadgeProps> = ({ status }) => {
           {t.status_REJECTED}
         </span>
       );
+    case TaskStatus.CANCELLED:
+      return (
+        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-slate-100 text-slate-500 border border-slate-200 line-through">
+          {t.status_CANCELLED}
+        </span>
+      );
+    case TaskStatus.ARCHIVED:
+      return (
+        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-amber-50 text-amber-700 border border-amber-200">
+          {t.status_ARCHIVED}
+        </span>
+      );
     default:
       return null;
   }
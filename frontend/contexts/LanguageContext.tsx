@@ -12,6 +12,11 @@ const translations = {
     system: '系统管理',
     home: '首页',
     search: '全局搜索...',
+    searchNoResults: '没有找到相关任务',
+    searchField_title: '标题',
+    searchField_description: '描述',
+    searchField_comments: '评论',
+    searchField_reject_reasons: '驳回理由',
     operationFailed: '操作失败，请稍后重试',
     syncNow: '立即同步',
     syncFailed: '同步失败，请稍后重试',
@@ -65,6 +70,20 @@ const translations = {
     noTasks: '未找到符合条件的任务。',
     due: '截止',
     redo: '重做',
+    checklistProgress: '检查项',
+    blockedLabel: '等待前置任务',
+    recurringLabel: '周期任务',
+    executorProgress: '执行进度',
+    approvalStage: '审批阶段',
+    executorPending: '未完成',
+    completionModeAll: '需全部完成',
+    completionModeAny: '任一完成即可',
+    recurrence: '重复',
+    recurrenceNone: '不重复',
+    recurrenceDaily: '每天',
+    recurrenceWeekdays: '每个工作日',
+    recurrenceWeekly: '每周',
+    recurrenceMonthly: '每月',
     creator: '发起人',
     executor: '执行人',
     pass: '通过',
@@ -77,7 +96,12 @@ const translations = {
     enterReason: '输入驳回理由...',
     dueSoonLabel: '24小时内到期',
     overdueLabel: '已逾期',
+    escalatedLabel: '已升级',
     rejectReasonLabel: '驳回原因',
+    passTitle: '验收通过',
+    passDesc: '可选为本次交付打 1–5 分并留下简短评语，评分会计入团队统计。',
+    qualityScore: '质量评分',
+    qualityCommentPlaceholder: '简短评语（可选）',
     viewDetail: '查看详情',
     taskDetailSubtitle: '任务详情与处理记录',
     close: '关闭',
@@ -88,6 +112,84 @@ const translations = {
     status_WAITING_VERIFY: '待验收',
     status_COMPLETED: '已闭环',
     status_REJECTED: '已驳回',
+    status_CANCELLED: '已取消',
+    status_ARCHIVED: '已归档',
+    cancelTask: '取消任务',
+    archiveTask: '归档',
+    reopenTask: '重新打开',
+    cancelTaskTitle: '取消任务',
+    cancelTaskDesc: '取消后执行人将收到通知，任务不再计入完成率统计。',
+    cancelReasonPlaceholder: '取消原因（可选）',
+    confirmCancelTask: '确认取消',
+    cancelReasonLabel: '取消原因',
+    reassignTask: '转交',
+    reassignTaskTitle: '转交任务',
+    reassignTaskDesc: '接手人将收到任务通知，原执行人收到转交确认。',
+    handoverNotePlaceholder: '交接说明（可选）',
+    confirmReassign: '确认转交',
+    requestExtension: '申请延期',
+    completeTaskTitle: '提交完成',
+    completeTaskDesc: '可选填写本轮交付说明，验收人会在验收卡片与任务详情中看到。',
+    reportSummaryPlaceholder: '完成了什么、遗留了什么（可选）',
+    actualHours: '实际工时（小时）',
+    reportLinks: '交付链接',
+    reportLinksPlaceholder: '每行一个 http(s) 链接（可选）',
+    submissionReports: '交付说明',
+    reminderPlan: '提醒计划',
+    reminderPolicyInherit: '沿用项目/全局策略',
+    reminderOverdueRepeat: '逾期后每',
+    reminderSource_TASK: '任务策略',
+    reminderSource_PROJECT: '项目策略',
+    reminderSource_GLOBAL: '全局策略',
+    reminderSource_PRIORITY: '按优先级',
+    requestExtensionTitle: '申请延期',
+    requestExtensionDesc: '提交后由创建人或验收人审批，通过后截止时间与日程同步更新。',
+    proposedEndTime: '新截止时间',
+    extensionReasonPlaceholder: '延期原因（必填）',
+    confirmRequestExtension: '提交申请',
+    extensionPendingLabel: '延期待审批',
+    approveExtension: '同意延期',
+    denyExtension: '驳回延期',
+    originalEndTime: '原始截止时间',
+    originalDeadlineOnTime: '按原始截止',
+    priority: '优先级',
+    priority_P0: 'P0 紧急',
+    priority_P1: 'P1 高',
+    priority_P2: 'P2 中',
+    priority_P3: 'P3 低',
+    project: '所属项目',
+    projectNone: '不归属项目',
+    allProjects: '全部项目',
+    unassignedProject: '未归属项目',
+    labels: '标签',
+    allLabels: '全部标签',
+    sortPriority: '按优先级',
+    sortEndTime: '按截止时间',
+    sortUpdatedAt: '最近更新',
+    sortStatus: '按状态',
+    overdueOnly: '仅看逾期',
+    dueSoonOnly: '即将到期',
+    loadMore: '加载更多',
+    loadedOfTotal: '已加载',
+    labelsPlaceholder: '多个标签用逗号分隔，如：周报, 客户A',
+    comments: '讨论',
+    noComments: '暂无讨论，有疑问可在此留言，@userid 可提醒对方。',
+    commentPlaceholder: '输入评论，使用 @userid 提及同事',
+    sendComment: '发送',
+    taskTemplate: '任务模板',
+    templateNone: '不使用模板',
+    templateItemsHint: '将带入检查项',
+    templateRole_CREATOR: '执行人留空时由创建人执行。',
+    templateRole_PROJECT_OWNER: '执行人留空时由所属项目负责人执行。',
+    attachments: '附件',
+    noAttachments: '暂无附件',
+    uploadAttachment: '上传附件',
+    uploadingAttachment: '上传中...',
+    deleteAttachment: '删除附件',
+    submissionRound: '轮次',
+    evidenceRequired: '需凭证',
+    evidenceMissingHint: '该任务要求提交前上传完成凭证，本轮尚未上传附件。',
+    requireEvidenceOption: '提交验收前必须上传完成凭证（附件）',
 
     teamStatsTitle: '团队统计看板',
     teamStatsDesc: '按执行人维度查看任务负载、完成率与风险分布。',
@@ -95,7 +197,15 @@ const translations = {
     teamAvgCompletionRate: '平均完成率',
     teamOverdueCount: '团队逾期数',
     teamMemberBoard: '成员任务表现',
-    teamTableTip: '基于当前任务实时统计',
+    teamTableTip: '基于全部可见任务统计',
+    teamAvgQuality: '团队平均质量分',
+    averageQuality: '平均质量分',
+    verifierWaitBoard: '验收等待（工作小时）',
+    verifier: '验收人',
+    verifierAutoPassed: '超时自动通过',
+    verifierDecisions: '验收决定数',
+    verifierAvgWait: '平均等待',
+    verifierMaxWait: '最长等待',
     teamActionHintTitle: '管理建议',
     teamActionHint1: '优先跟进“待验收”积压较高的成员，减少闭环延迟。',
     teamActionHint2: '对逾期任务较多成员安排复盘，优化执行节奏。',
@@ -107,6 +217,19 @@ const translations = {
     settingsAutoSyncToggle: '开启自动同步标记',
     settingsDisplay: '显示配置',
     settingsLanguage: '首选语言',
+    settingsBusinessCalendar: '时区与工作日历',
+    settingsTimezone: '我的时区',
+    settingsTimezoneDefault: '跟随系统默认',
+    settingsWorkingHours: '工作时间',
+    settingsQuietHours: '免打扰时段',
+    settingsQuietHoursOff: '未开启',
+    settingsHolidays: '节假日 / 调休工作日',
+    settingsBusinessCalendarHint: '提醒在您本地时间的免打扰时段及非工作日会顺延发送；“即将到期”与验收时效按工作日历计算。',
+    settingsDigest: '每日摘要',
+    settingsDigestToggle: '接收每日任务摘要',
+    settingsDigestTime: '发送时间（本地时间）',
+    settingsDigestSuppressReminders: '只看摘要，不再接收单条到期提醒',
+    settingsDigestHint: '工作日在设定时间后推送一条企业微信消息，汇总被驳回、已逾期、今日到期与待我验收的任务，点击可直达任务详情。',
     settingsOperations: '运维操作',
     settingsManualSync: '手动触发同步',
     saveSettings: '保存设置',
@@ -125,6 +248,11 @@ const translations = {
     system: 'System',
     home: 'Home',
     search: 'Global search...',
+    searchNoResults: 'No matching tasks',
+    searchField_title: 'Title',
+    searchField_description: 'Description',
+    searchField_comments: 'Comments',
+    searchField_reject_reasons: 'Reject reasons',
     operationFailed: 'Operation failed, please retry later',
     syncNow: 'Sync Now',
     syncFailed: 'Sync failed, please retry later',
@@ -178,6 +306,20 @@ const translations = {
     noTasks: 'No tasks found matching filters.',
     due: 'Due',
     redo: 'Redo',
+    checklistProgress: 'Checklist',
+    blockedLabel: 'Blocked',
+    recurringLabel: 'Recurring',
+    executorProgress: 'Executor progress',
+    approvalStage: 'Approval stage',
+    executorPending: 'Not done',
+    completionModeAll: 'all required',
+    completionModeAny: 'any one',
+    recurrence: 'Repeat',
+    recurrenceNone: 'Does not repeat',
+    recurrenceDaily: 'Daily',
+    recurrenceWeekdays: 'Every weekday',
+    recurrenceWeekly: 'Weekly',
+    recurrenceMonthly: 'Monthly',
     creator: 'Creator',
     executor: 'Executor',
     pass: 'Pass',
@@ -190,7 +332,12 @@ const translations = {
     enterReason: 'Enter rejection reason...',
     dueSoonLabel: 'Due within 24h',
     overdueLabel: 'Overdue',
+    escalatedLabel: 'Escalated',
     rejectReasonLabel: 'Reject Reason',
+    passTitle: 'Approve Task',
+    passDesc: 'Optionally rate this delivery from 1 to 5 and leave a short comment. Ratings count toward team stats.',
+    qualityScore: 'Quality Score',
+    qualityCommentPlaceholder: 'Short comment (optional)',
     viewDetail: 'View Detail',
     taskDetailSubtitle: 'Task detail and processing records',
     close: 'Close',
@@ -201,6 +348,84 @@ const translations = {
     status_WAITING_VERIFY: 'Waiting Verify',
     status_COMPLETED: 'Closed',
     status_REJECTED: 'Rejected',
+    status_CANCELLED: 'Cancelled',
+    status_ARCHIVED: 'Archived',
+    cancelTask: 'Cancel Task',
+    archiveTask: 'Archive',
+    reopenTask: 'Reopen',
+    cancelTaskTitle: 'Cancel Task',
+    cancelTaskDesc: 'The executor will be notified and the task will be excluded from completion rates.',
+    cancelReasonPlaceholder: 'Reason for cancelling (optional)',
+    confirmCancelTask: 'Confirm Cancel',
+    cancelReasonLabel: 'Cancel reason',
+    reassignTask: 'Reassign',
+    reassignTaskTitle: 'Reassign Task',
+    reassignTaskDesc: 'The new executor will be notified and the previous executor gets a confirmation.',
+    handoverNotePlaceholder: 'Handover note (optional)',
+    confirmReassign: 'Confirm Reassign',
+    requestExtension: 'Request Extension',
+    completeTaskTitle: 'Submit Completion',
+    completeTaskDesc: 'Optionally describe this round of work. Verifiers see it on the review card and in task details.',
+    reportSummaryPlaceholder: 'What was done and what is left (optional)',
+    actualHours: 'Actual Hours',
+    reportLinks: 'Deliverable Links',
+    reportLinksPlaceholder: 'One http(s) link per line (optional)',
+    submissionReports: 'Submission Reports',
+    reminderPlan: 'Reminder Plan',
+    reminderPolicyInherit: 'Inherit project/global policy',
+    reminderOverdueRepeat: 'Overdue: every',
+    reminderSource_TASK: 'Task policy',
+    reminderSource_PROJECT: 'Project policy',
+    reminderSource_GLOBAL: 'Global policy',
+    reminderSource_PRIORITY: 'By priority',
+    requestExtensionTitle: 'Request Deadline Extension',
+    requestExtensionDesc: 'The creator or a verifier will review it; once approved the deadline and schedule are updated.',
+    proposedEndTime: 'New deadline',
+    extensionReasonPlaceholder: 'Reason for the extension (required)',
+    confirmRequestExtension: 'Submit Request',
+    extensionPendingLabel: 'Extension pending',
+    approveExtension: 'Approve Extension',
+    denyExtension: 'Deny Extension',
+    originalEndTime: 'Original deadline',
+    originalDeadlineOnTime: 'vs. original',
+    priority: 'Priority',
+    priority_P0: 'P0 Urgent',
+    priority_P1: 'P1 High',
+    priority_P2: 'P2 Medium',
+    priority_P3: 'P3 Low',
+    project: 'Project',
+    projectNone: 'No project',
+    allProjects: 'All projects',
+    unassignedProject: 'No project',
+    labels: 'Labels',
+    allLabels: 'All labels',
+    sortPriority: 'By priority',
+    sortEndTime: 'By due date',
+    sortUpdatedAt: 'Recently updated',
+    sortStatus: 'By status',
+    overdueOnly: 'Overdue only',
+    dueSoonOnly: 'Due soon',
+    loadMore: 'Load more',
+    loadedOfTotal: 'Loaded',
+    labelsPlaceholder: 'Separate labels with commas, e.g. weekly, client-a',
+    comments: 'Discussion',
+    noComments: 'No comments yet. Ask questions here and @userid to notify someone.',
+    commentPlaceholder: 'Write a comment, use @userid to mention a teammate',
+    sendComment: 'Send',
+    taskTemplate: 'Template',
+    templateNone: 'No template',
+    templateItemsHint: 'Checklist items included',
+    templateRole_CREATOR: 'Leave executor empty to assign the creator.',
+    templateRole_PROJECT_OWNER: "Leave executor empty to assign the project's owner.",
+    attachments: 'Attachments',
+    noAttachments: 'No attachments yet',
+    uploadAttachment: 'Upload',
+    uploadingAttachment: 'Uploading...',
+    deleteAttachment: 'Delete attachment',
+    submissionRound: 'Round',
+    evidenceRequired: 'Evidence required',
+    evidenceMissingHint: 'This task requires evidence before submission. No attachment uploaded for this round yet.',
+    requireEvidenceOption: 'Require an evidence attachment before submitting for verification',
 
     teamStatsTitle: 'Team Analytics',
     teamStatsDesc: 'View workload, completion rate, and risk distribution by assignee.',
@@ -208,7 +433,15 @@ const translations = {
     teamAvgCompletionRate: 'Average Completion',
     teamOverdueCount: 'Team Overdue',
     teamMemberBoard: 'Member Performance',
-    teamTableTip: 'Realtime stats based on current tasks',
+    teamTableTip: 'Stats across all visible tasks',
+    teamAvgQuality: 'Team Avg. Quality',
+    averageQuality: 'Avg. Quality',
+    verifierWaitBoard: 'Verification Wait (working hours)',
+    verifier: 'Verifier',
+    verifierAutoPassed: 'Auto-passed on timeout',
+    verifierDecisions: 'Decisions',
+    verifierAvgWait: 'Avg. Wait',
+    verifierMaxWait: 'Max Wait',
     teamActionHintTitle: 'Management Suggestions',
     teamActionHint1: 'Prioritize members with high waiting-verify backlog to reduce close delays.',
     teamActionHint2: 'Review members with many overdue tasks to optimize execution rhythm.',
@@ -220,6 +453,19 @@ const translations = {
     settingsAutoSyncToggle: 'Enable auto-sync flag',
     settingsDisplay: 'Display Settings',
     settingsLanguage: 'Preferred Language',
+    settingsBusinessCalendar: 'Time Zone & Working Calendar',
+    settingsTimezone: 'My time zone',
+    settingsTimezoneDefault: 'System default',
+    settingsWorkingHours: 'Working hours',
+    settingsQuietHours: 'Quiet hours',
+    settingsQuietHoursOff: 'Off',
+    settingsHolidays: 'Holidays / make-up workdays',
+    settingsBusinessCalendarHint: 'Reminders falling in your local quiet hours or on non-working days are deferred; "due soon" and verification SLAs use the working calendar.',
+    settingsDigest: 'Daily Digest',
+    settingsDigestToggle: 'Receive the daily task digest',
+    settingsDigestTime: 'Send time (local)',
+    settingsDigestSuppressReminders: 'Digest only: skip individual due-date reminders',
+    settingsDigestHint: 'On working days, one WeCom message after the send time lists rejected, overdue, due-today and awaiting-your-verification tasks, each linking to its details.',
     settingsOperations: 'Operations',
     settingsManualSync: 'Trigger Manual Sync',
     saveSettings: 'Save Settings',
@@ -18,8 +18,24 @@ const USERS: User[] = [
 const createTaskFlags = (canComplete = false, canVerify = false, isDueSoon = false, isOverdue = false) => ({
   canComplete,
   canVerify,
+  canManage: false,
+  canReassign: false,
+  extensionCount: 0,
   isDueSoon,
   isOverdue,
+  itemTotalCount: 0,
+  itemDoneCount: 0,
+  commentCount: 0,
+  requireEvidence: false,
+  attachmentCount: 0,
+  evidenceCount: 0,
+  isBlocked: false,
+  completionMode: 'ALL' as const,
+  priority: 'P2' as const,
+  labels: [],
+  executors: [],
+  approvalStageCount: 0,
+  currentStageIndex: 0,
 });
 
 export const INITIAL_TASKS: Task[] = [
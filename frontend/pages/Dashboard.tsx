@@ -2,7 +2,7 @@ import React from 'react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
 import { ClipboardList, Clock, AlertCircle, CheckCircle } from 'lucide-react';
 import StatCard from '../components/StatCard';
-import { KPIStats, Task, TaskStatus } from '../types';
+import { KPIStats, Task, TaskStatus, WeekdayActivity } from '../types';
 import { useTranslation } from '../contexts/LanguageContext';
 
 interface DashboardProps {
@@ -18,55 +18,21 @@ interface WeeklyDataItem {
 
 const dayLabels = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 
-const buildWeeklyData = (tasks: Task[]): WeeklyDataItem[] => {
-  const grouped = new Map<number, WeeklyDataItem>();
-
-  tasks.forEach((task) => {
-    const date = new Date(task.startTime || task.endTime || Date.now());
-    if (Number.isNaN(date.getTime())) {
-      return;
-    }
-
-    const day = date.getDay();
-    if (!grouped.has(day)) {
-      grouped.set(day, {
-        name: dayLabels[day],
-        completed: 0,
-        rejected: 0,
-      });
-    }
-
-    const record = grouped.get(day);
-    if (!record) {
-      return;
-    }
-
-    if (task.status === TaskStatus.COMPLETED) {
-      record.completed += 1;
-      return;
-    }
-
-    if (task.redoCount > 0 || Boolean(task.rejectReason)) {
-      record.rejected += 1;
-    }
-  });
-
+const buildWeeklyData = (weekdayActivity: WeekdayActivity[]): WeeklyDataItem[] => {
   return dayLabels.map((label, index) => {
-    const item = grouped.get(index);
-    return (
-      item || {
-        name: label,
-        completed: 0,
-        rejected: 0,
-      }
-    );
+    const item = weekdayActivity.find((activity) => activity.weekday === index);
+    return {
+      name: label,
+      completed: item ? item.completed : 0,
+      rejected: item ? item.rejected : 0,
+    };
   });
 };
 
 const Dashboard: React.FC<DashboardProps> = ({ tasks, kpi }) => {
   const { t } = useTranslation();
 
-  const weeklyData = buildWeeklyData(tasks);
+  const weeklyData = buildWeeklyData(kpi.weekdayActivity);
   const recentActivityTasks = [...tasks]
     .sort((a, b) => new Date(b.startTime).getTime() - new Date(a.startTime).getTime())
     .slice(0, 6);
@@ -95,7 +61,7 @@ const Dashboard: React.FC<DashboardProps> = ({ tasks, kpi }) => {
           value={`${kpi.completionRate.toFixed(2)}%`}
           change={`${kpi.onTimeRate.toFixed(2)}%`}
           changeType="positive"
-          subtext={t.completedOnTime}
+          subtext={`${t.completedOnTime} · ${t.originalDeadlineOnTime} ${kpi.originalOnTimeRate.toFixed(2)}%`}
           icon={<CheckCircle className="w-5 h-5 text-green-600" />}
           colorClass="bg-green-500"
         />
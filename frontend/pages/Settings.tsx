@@ -1,9 +1,12 @@
 import React, { useEffect, useState } from 'react';
-import { Bell, Globe, Save, ShieldCheck } from 'lucide-react';
+import { Bell, Clock, Globe, Newspaper, Save, ShieldCheck } from 'lucide-react';
 import { useTranslation } from '../contexts/LanguageContext';
+import { UserPreferences, UserPreferencesPayload } from '../types';
 
 interface SettingsProps {
   onSyncTasks: () => Promise<void>;
+  userPreferences: UserPreferences | null;
+  onUpdatePreferences: (payload: UserPreferencesPayload) => Promise<boolean>;
 }
 
 interface SettingsState {
@@ -14,9 +17,23 @@ interface SettingsState {
 
 const STORAGE_KEY = 'wecom-task-bot-settings';
 
-const SettingsPage: React.FC<SettingsProps> = ({ onSyncTasks }) => {
+// 常用时区偏移（分钟），覆盖 UTC-12 至 UTC+14 的整点与常见半点时区。
+const TIMEZONE_OFFSET_OPTIONS = [
+  -720, -660, -600, -540, -480, -420, -360, -300, -240, -180, -120, -60, 0, 60, 120, 180, 210, 240, 270, 300, 330,
+  345, 360, 390, 420, 480, 540, 570, 600, 660, 720, 780, 840,
+];
+
+const formatUtcOffset = (offsetMinutes: number) => {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+  const minutes = absolute % 60;
+  return `UTC${sign}${Math.floor(absolute / 60)}${minutes ? `:${String(minutes).padStart(2, '0')}` : ''}`;
+};
+
+const SettingsPage: React.FC<SettingsProps> = ({ onSyncTasks, userPreferences, onUpdatePreferences }) => {
   const { t, language, setLanguage } = useTranslation();
   const [saving, setSaving] = useState(false);
+  const [savingPreferences, setSavingPreferences] = useState(false);
   const [manualSyncing, setManualSyncing] = useState(false);
   const [settings, setSettings] = useState<SettingsState>({
     autoSyncEnabled: true,
@@ -55,6 +72,15 @@ const SettingsPage: React.FC<SettingsProps> = ({ onSyncTasks }) => {
     }
   };
 
+  const updatePreferences = async (payload: UserPreferencesPayload) => {
+    try {
+      setSavingPreferences(true);
+      await onUpdatePreferences(payload);
+    } finally {
+      setSavingPreferences(false);
+    }
+  };
+
   const triggerManualSync = async () => {
     try {
       setManualSyncing(true);
@@ -132,6 +158,99 @@ const SettingsPage: React.FC<SettingsProps> = ({ onSyncTasks }) => {
             </select>
           </label>
         </div>
+
+        {userPreferences && (
+          <div className="bg-white border border-slate-200 rounded-xl p-5 space-y-4 lg:col-span-2">
+            <h2 className="text-lg font-semibold text-slate-900 flex items-center gap-2">
+              <Clock className="w-5 h-5 text-indigo-500" />
+              {t.settingsBusinessCalendar}
+            </h2>
+
+            <label className="block text-sm text-slate-700">
+              <span className="block mb-2">{t.settingsTimezone}</span>
+              <select
+                value={userPreferences.timezoneOffsetMinutes ?? ''}
+                disabled={savingPreferences}
+                onChange={(event) =>
+                  updatePreferences({ timezoneOffsetMinutes: event.target.value === '' ? null : Number(event.target.value) })
+                }
+                className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm disabled:opacity-50"
+              >
+                <option value="">
+                  {t.settingsTimezoneDefault} ({formatUtcOffset(userPreferences.businessCalendar.utcOffsetMinutes)})
+                </option>
+                {TIMEZONE_OFFSET_OPTIONS.map((offset) => (
+                  <option key={offset} value={offset}>
+                    {formatUtcOffset(offset)}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 text-sm">
+              <div className="bg-slate-50 rounded-lg px-3 py-2">
+                <p className="text-slate-500">{t.settingsWorkingHours}</p>
+                <p className="font-medium text-slate-900 break-all">{userPreferences.businessCalendar.workingHours}</p>
+              </div>
+              <div className="bg-slate-50 rounded-lg px-3 py-2">
+                <p className="text-slate-500">{t.settingsQuietHours}</p>
+                <p className="font-medium text-slate-900">
+                  {userPreferences.businessCalendar.quietHours || t.settingsQuietHoursOff}
+                </p>
+              </div>
+              <div className="bg-slate-50 rounded-lg px-3 py-2">
+                <p className="text-slate-500">{t.settingsHolidays}</p>
+                <p className="font-medium text-slate-900">
+                  {userPreferences.businessCalendar.holidayCount} / {userPreferences.businessCalendar.workdayCount}
+                </p>
+              </div>
+            </div>
+            <p className="text-xs text-slate-500">{t.settingsBusinessCalendarHint}</p>
+          </div>
+        )}
+
+        {userPreferences && (
+          <div className="bg-white border border-slate-200 rounded-xl p-5 space-y-4 lg:col-span-2">
+            <h2 className="text-lg font-semibold text-slate-900 flex items-center gap-2">
+              <Newspaper className="w-5 h-5 text-teal-500" />
+              {t.settingsDigest}
+            </h2>
+
+            <label className="flex items-center justify-between text-sm text-slate-700">
+              <span>{t.settingsDigestToggle}</span>
+              <input
+                type="checkbox"
+                checked={userPreferences.digest.enabled}
+                disabled={savingPreferences}
+                onChange={(event) => updatePreferences({ digest: { enabled: event.target.checked } })}
+                className="w-4 h-4"
+              />
+            </label>
+
+            <label className="flex items-center justify-between gap-4 text-sm text-slate-700">
+              <span>{t.settingsDigestTime}</span>
+              <input
+                type="time"
+                value={userPreferences.digest.effectiveSendTime}
+                disabled={savingPreferences || !userPreferences.digest.enabled}
+                onChange={(event) => updatePreferences({ digest: { sendTime: event.target.value || null } })}
+                className="px-3 py-1.5 border border-slate-300 rounded-lg text-sm disabled:opacity-50"
+              />
+            </label>
+
+            <label className="flex items-center justify-between text-sm text-slate-700">
+              <span>{t.settingsDigestSuppressReminders}</span>
+              <input
+                type="checkbox"
+                checked={userPreferences.digest.suppressTaskReminders}
+                disabled={savingPreferences || !userPreferences.digest.enabled}
+                onChange={(event) => updatePreferences({ digest: { suppressTaskReminders: event.target.checked } })}
+                className="w-4 h-4"
+              />
+            </label>
+            <p className="text-xs text-slate-500">{t.settingsDigestHint}</p>
+          </div>
+        )}
       </div>
 
       <div className="bg-white border border-slate-200 rounded-xl p-5 space-y-4">
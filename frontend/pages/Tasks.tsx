@@ -1,4 +1,4 @@
-import React, { useMemo, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import {
   Search,
   Filter,
@@ -10,16 +10,83 @@ import {
   Eye,
   Calendar,
   UserPlus,
+  ListChecks,
+  Lock,
+  Repeat,
+  Users,
+  ShieldCheck,
+  Ban,
+  Archive,
+  RotateCcw,
+  ArrowRightLeft,
+  Hourglass,
+  Folder,
+  Tag,
+  MessageSquare,
+  Paperclip,
+  Download,
+  Trash2,
+  FileText,
+  Star,
+  Siren,
+  BellRing,
 } from 'lucide-react';
-import { Task, TaskCreatePayload, TaskStatus } from '../types';
+import {
+  Task,
+  TaskAttachment,
+  TaskComment,
+  TaskCreatePayload,
+  TaskExtensionRequestPayload,
+  TaskListQuery,
+  TaskManageAction,
+  TaskPriority,
+  TaskProject,
+  TaskReassignPayload,
+  TaskReminderPlan,
+  TaskReminderPolicy,
+  TaskStatus,
+  TaskSubmissionReport,
+  TaskSubmissionReportPayload,
+  TaskQualityRating,
+  TaskTemplate,
+} from '../types';
 import StatusBadge from '../components/StatusBadge';
 import { useTranslation } from '../contexts/LanguageContext';
 
 interface TasksProps {
   tasks: Task[];
+  query: TaskListQuery;
+  total: number;
+  waitingVerifyCount: number;
+  hasMore: boolean;
+  loadingMore: boolean;
+  projects: TaskProject[];
+  templates: TaskTemplate[];
+  reminderPolicies: TaskReminderPolicy[];
+  rejectReasons: string[];
   onCreateTask: (payload: TaskCreatePayload) => Promise<void>;
-  onCompleteTask: (taskId: number) => Promise<void>;
-  onVerifyTask: (taskId: number, action: 'PASS' | 'REJECT', reason?: string) => Promise<void>;
+  onCompleteTask: (taskId: number, report?: TaskSubmissionReportPayload) => Promise<void>;
+  onVerifyTask: (
+    taskId: number,
+    action: 'PASS' | 'REJECT',
+    reason?: string,
+    rating?: TaskQualityRating
+  ) => Promise<void>;
+  onManageTask: (taskId: number, action: TaskManageAction, reason?: string) => Promise<void>;
+  onReassignTask: (taskId: number, payload: TaskReassignPayload) => Promise<void>;
+  onRequestExtension: (taskId: number, payload: TaskExtensionRequestPayload) => Promise<void>;
+  onDecideExtension: (taskId: number, extensionRequestId: number, action: 'APPROVE' | 'DENY') => Promise<void>;
+  onLoadComments: (taskId: number) => Promise<TaskComment[]>;
+  onAddComment: (taskId: number, content: string) => Promise<TaskComment | null>;
+  onLoadAttachments: (taskId: number) => Promise<TaskAttachment[]>;
+  onUploadAttachment: (taskId: number, file: File) => Promise<TaskAttachment | null>;
+  onDeleteAttachment: (taskId: number, attachmentId: number) => Promise<TaskAttachment[] | null>;
+  onDownloadAttachment: (attachment: TaskAttachment) => Promise<void>;
+  onLoadReports: (taskId: number) => Promise<TaskSubmissionReport[]>;
+  onLoadReminderPlan: (taskId: number) => Promise<TaskReminderPlan | null>;
+  onAssignReminderPolicy: (taskId: number, policyId: number | null) => Promise<TaskReminderPlan | null>;
+  onQueryChange: (query: TaskListQuery) => void;
+  onLoadMore: () => Promise<void>;
 }
 
 interface CreateTaskFormState {
@@ -28,54 +95,302 @@ interface CreateTaskFormState {
   executorUserId: string;
   startTime: string;
   endTime: string;
+  recurrence: string;
+  priority: TaskPriority;
+  projectId: string;
+  labels: string;
+  requireEvidence: boolean;
+  templateId: string;
 }
 
+// PROJECT_FILTER_NONE
+// 是什么：项目筛选中“未归属项目”的取值。
+// 做什么：与具体项目 ID 区分，筛选出没有挂在任何项目下的任务。
+// 为什么：日程同步的任务默认不归属项目，需要单独筛出后补充归属。
+const PROJECT_FILTER_NONE = 'none';
+
+// RECURRENCE_PRESETS
+// 是什么：创建任务时可选的重复规则预设。
+// 做什么：将常用的例行节奏映射为后端接受的 RRULE 字符串。
+// 为什么：大多数例行工作只需日/工作日/周/月几种节奏，下拉选择比手写 RRULE 更不易出错。
+const RECURRENCE_PRESETS = [
+  { value: '', labelKey: 'recurrenceNone' },
+  { value: 'FREQ=DAILY', labelKey: 'recurrenceDaily' },
+  { value: 'FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR', labelKey: 'recurrenceWeekdays' },
+  { value: 'FREQ=WEEKLY', labelKey: 'recurrenceWeekly' },
+  { value: 'FREQ=MONTHLY', labelKey: 'recurrenceMonthly' },
+] as const;
+
+// TASK_SORT_OPTIONS
+// 是什么：任务列表可选的服务端排序方式。
+// 做什么：把下拉选项映射为后端 `sort/order` 参数，首项与后端默认排序一致。
+// 为什么：列表改为分页加载后只能由服务端排序，前端对已加载的一页重排会与翻页顺序不符。
+const TASK_SORT_OPTIONS = [
+  { value: 'priority:asc', sort: 'priority', order: 'asc', labelKey: 'sortPriority' },
+  { value: 'end_time:asc', sort: 'end_time', order: 'asc', labelKey: 'sortEndTime' },
+  { value: 'updated_at:desc', sort: 'updated_at', order: 'desc', labelKey: 'sortUpdatedAt' },
+  { value: 'status:asc', sort: 'status', order: 'asc', labelKey: 'sortStatus' },
+] as const;
+
+// SEARCH_DEBOUNCE_MS
+// 是什么：关键字搜索的防抖间隔。
+// 做什么：输入停止该时长后才把关键字提交为列表查询条件。
+// 为什么：搜索改由服务端执行，逐字触发请求会在输入过程中反复刷新列表。
+const SEARCH_DEBOUNCE_MS = 300;
+
+const toDatetimeLocalValue = (date: Date) => {
+  const localDate = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return localDate.toISOString().slice(0, 16);
+};
+
 const defaultCreateTaskForm = (): CreateTaskFormState => {
   const now = new Date();
   const end = new Date(now.getTime() + 2 * 60 * 60 * 1000);
 
-  const toDatetimeLocalValue = (date: Date) => {
-    const localDate = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
-    return localDate.toISOString().slice(0, 16);
-  };
-
   return {
     title: '',
     description: '',
     executorUserId: '',
     startTime: toDatetimeLocalValue(now),
     endTime: toDatetimeLocalValue(end),
+    recurrence: '',
+    priority: 'P2',
+    projectId: '',
+    labels: '',
+    requireEvidence: false,
+    templateId: '',
   };
 };
 
-const Tasks: React.FC<TasksProps> = ({ tasks, onCreateTask, onCompleteTask, onVerifyTask }) => {
-  const [filter, setFilter] = useState<'ALL' | TaskStatus>('ALL');
-  const [searchTerm, setSearchTerm] = useState('');
+// PRIORITY_BADGE_CLASSES
+// 是什么：优先级徽标配色表。
+// 做什么：为 P0–P3 指定与企微卡片一致的红、橙、蓝、灰配色。
+// 为什么：列表按优先级排序后仍需一眼区分紧急程度。
+const PRIORITY_BADGE_CLASSES: Record<TaskPriority, string> = {
+  P0: 'text-red-700 bg-red-50 border-red-200',
+  P1: 'text-orange-700 bg-orange-50 border-orange-200',
+  P2: 'text-blue-700 bg-blue-50 border-blue-200',
+  P3: 'text-slate-500 bg-slate-50 border-slate-200',
+};
+
+const PRIORITY_OPTIONS: TaskPriority[] = ['P0', 'P1', 'P2', 'P3'];
+
+// MANAGE_ACTION_STATUSES
+// 是什么：任务管理按钮的可用状态表。
+// 做什么：声明取消、归档、重新打开各自在哪些状态下展示。
+// 为什么：与后端流转表保持一致，避免展示必然被拒绝的操作。
+const MANAGE_ACTION_STATUSES: Record<TaskManageAction, TaskStatus[]> = {
+  cancel: [TaskStatus.PENDING, TaskStatus.WAITING_VERIFY],
+  archive: [TaskStatus.COMPLETED, TaskStatus.CANCELLED],
+  reopen: [TaskStatus.CANCELLED, TaskStatus.ARCHIVED],
+};
+
+const formatFileSize = (sizeBytes: number) => {
+  if (sizeBytes >= 1024 * 1024) {
+    return `${(sizeBytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+  return `${Math.max(1, Math.round(sizeBytes / 1024))} KB`;
+};
+
+interface CompleteReportFormState {
+  summary: string;
+  actualHours: string;
+  links: string;
+}
+
+const emptyCompleteReportForm = (): CompleteReportFormState => ({ summary: '', actualHours: '', links: '' });
+
+// toSubmissionReportPayload
+// 是什么：完成弹窗表单到交付说明载荷的转换函数。
+// 做什么：工时留空视为未填写，链接按空白拆分；三项都为空时返回 undefined，不附带交付说明。
+// 为什么：交付说明是可选项，直接点提交时应与原有“标记完成”行为一致。
+const toSubmissionReportPayload = (form: CompleteReportFormState): TaskSubmissionReportPayload | undefined => {
+  const summary = form.summary.trim();
+  const actualHours = form.actualHours.trim() ? Number(form.actualHours) : null;
+  const links = form.links.split(/\s+/).filter(Boolean);
+  if (!summary && actualHours === null && links.length === 0) {
+    return undefined;
+  }
+  return { summary, actualHours, links };
+};
+
+const Tasks: React.FC<TasksProps> = ({
+  tasks,
+  query,
+  total,
+  waitingVerifyCount,
+  hasMore,
+  loadingMore,
+  projects,
+  templates,
+  reminderPolicies,
+  rejectReasons,
+  onCreateTask,
+  onCompleteTask,
+  onVerifyTask,
+  onManageTask,
+  onReassignTask,
+  onRequestExtension,
+  onDecideExtension,
+  onLoadComments,
+  onAddComment,
+  onLoadAttachments,
+  onUploadAttachment,
+  onDeleteAttachment,
+  onDownloadAttachment,
+  onLoadReports,
+  onLoadReminderPlan,
+  onAssignReminderPolicy,
+  onQueryChange,
+  onLoadMore,
+}) => {
+  const filter: 'ALL' | TaskStatus = query.status || 'ALL';
+  const projectFilter = query.projectId || '';
+  const labelFilter = query.label || '';
+  const sortValue = `${query.sort || TASK_SORT_OPTIONS[0].sort}:${query.order || TASK_SORT_OPTIONS[0].order}`;
+  const [searchTerm, setSearchTerm] = useState(query.keyword || '');
   const [rejectModalOpen, setRejectModalOpen] = useState<{ isOpen: boolean; taskId: number | null }>({
     isOpen: false,
     taskId: null,
   });
   const [createModalOpen, setCreateModalOpen] = useState(false);
-  const [detailTaskId, setDetailTaskId] = useState<number | null>(null);
+  const [detailTaskId, setDetailTaskId] = useState<number | null>(() => {
+    // 企微评论卡片以 `?task_id=` 跳转进来时直接打开对应任务详情。
+    const taskIdParam = Number(new URLSearchParams(window.location.search).get('task_id'));
+    return Number.isInteger(taskIdParam) && taskIdParam > 0 ? taskIdParam : null;
+  });
+  const [comments, setComments] = useState<TaskComment[]>([]);
+  const [commentDraft, setCommentDraft] = useState('');
+  const [postingComment, setPostingComment] = useState(false);
+  const [attachments, setAttachments] = useState<TaskAttachment[]>([]);
+  const [uploadingAttachment, setUploadingAttachment] = useState(false);
+  const [reports, setReports] = useState<TaskSubmissionReport[]>([]);
+  const [reminderPlan, setReminderPlan] = useState<TaskReminderPlan | null>(null);
+  const [completeTaskId, setCompleteTaskId] = useState<number | null>(null);
+  const [completeForm, setCompleteForm] = useState<CompleteReportFormState>(emptyCompleteReportForm());
   const [rejectReason, setRejectReason] = useState('');
+  const [passTaskId, setPassTaskId] = useState<number | null>(null);
+  const [passRating, setPassRating] = useState<TaskQualityRating>({ score: null, comment: '' });
+  const [cancelTaskId, setCancelTaskId] = useState<number | null>(null);
+  const [cancelReason, setCancelReason] = useState('');
+  const [reassignTaskId, setReassignTaskId] = useState<number | null>(null);
+  const [reassignForm, setReassignForm] = useState<TaskReassignPayload>({ toUserId: '', note: '' });
+  const [extensionTaskId, setExtensionTaskId] = useState<number | null>(null);
+  const [extensionForm, setExtensionForm] = useState<TaskExtensionRequestPayload>({ proposedEndTime: '', reason: '' });
   const [creating, setCreating] = useState(false);
   const [submittingTaskId, setSubmittingTaskId] = useState<number | null>(null);
   const [createForm, setCreateForm] = useState<CreateTaskFormState>(defaultCreateTaskForm());
   const { t } = useTranslation();
 
-  const filteredTasks = tasks.filter((task) => {
-    const matchesFilter = filter === 'ALL' || task.status === filter;
-    const matchesSearch =
-      task.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      task.executor.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      task.creator.name.toLowerCase().includes(searchTerm.toLowerCase());
-    return matchesFilter && matchesSearch;
-  });
+  const updateQuery = (patch: Partial<TaskListQuery>) => {
+    onQueryChange({ ...query, ...patch });
+  };
+
+  const setFilter = (value: 'ALL' | TaskStatus) => updateQuery({ status: value === 'ALL' ? undefined : value });
+
+  useEffect(() => {
+    const keyword = searchTerm.trim();
+    if (keyword === (query.keyword || '')) {
+      return;
+    }
+
+    const timer = window.setTimeout(() => {
+      onQueryChange({ ...query, keyword: keyword || undefined });
+    }, SEARCH_DEBOUNCE_MS);
+    return () => window.clearTimeout(timer);
+  }, [searchTerm, query, onQueryChange]);
+
+  const labelOptions = useMemo(() => {
+    // 按标签筛选后当前页只剩该标签的任务，需保留已选标签以便切换回来。
+    return Array.from(new Set<string>(tasks.flatMap((task) => task.labels).concat(labelFilter ? [labelFilter] : []))).sort(
+      (left, right) => left.localeCompare(right)
+    );
+  }, [tasks, labelFilter]);
 
   const detailTask = useMemo(() => {
     return tasks.find((task) => task.id === detailTaskId) || null;
   }, [tasks, detailTaskId]);
 
+  useEffect(() => {
+    setComments([]);
+    setCommentDraft('');
+    if (detailTaskId === null) {
+      return;
+    }
+
+    let cancelled = false;
+    onLoadComments(detailTaskId).then((items) => {
+      if (!cancelled) {
+        setComments(items);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [detailTaskId, onLoadComments]);
+
+  useEffect(() => {
+    setAttachments([]);
+    if (detailTaskId === null) {
+      return;
+    }
+
+    let cancelled = false;
+    onLoadAttachments(detailTaskId).then((items) => {
+      if (!cancelled) {
+        setAttachments(items);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [detailTaskId, onLoadAttachments]);
+
+  useEffect(() => {
+    setReports([]);
+    if (detailTaskId === null) {
+      return;
+    }
+
+    let cancelled = false;
+    onLoadReports(detailTaskId).then((items) => {
+      if (!cancelled) {
+        setReports(items);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [detailTaskId, onLoadReports]);
+
+  useEffect(() => {
+    setReminderPlan(null);
+    if (detailTaskId === null) {
+      return;
+    }
+
+    let cancelled = false;
+    onLoadReminderPlan(detailTaskId).then((plan) => {
+      if (!cancelled) {
+        setReminderPlan(plan);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [detailTaskId, onLoadReminderPlan]);
+
+  const changeTaskReminderPolicy = async (value: string) => {
+    if (!detailTask) {
+      return;
+    }
+
+    const plan = await onAssignReminderPolicy(detailTask.id, value ? Number(value) : null);
+    if (plan) {
+      setReminderPlan(plan);
+    }
+  };
+
   const executorCandidates = useMemo(() => {
     const userMap = new Map<string, string>();
     tasks.forEach((task) => {
@@ -94,8 +409,40 @@ const Tasks: React.FC<TasksProps> = ({ tasks, onCreateTask, onCompleteTask, onVe
     setRejectReason('');
   };
 
+  const selectedTemplate = useMemo(() => {
+    return templates.find((template) => String(template.id) === createForm.templateId) || null;
+  }, [templates, createForm.templateId]);
+
+  // 模板按角色指派执行人时，执行人可留空，由后端在创建时解析为创建人或项目负责人。
+  const executorResolvedByTemplate = Boolean(selectedTemplate && selectedTemplate.defaultExecutorRole);
+
+  // applyTemplate 将模板默认值预填到表单，用户仍可逐项修改；检查项由后端按 template_id 带入。
+  const applyTemplate = (templateId: string) => {
+    const template = templates.find((item) => String(item.id) === templateId);
+    if (!template) {
+      setCreateForm((prev) => ({ ...prev, templateId: '' }));
+      return;
+    }
+
+    setCreateForm((prev) => {
+      const start = new Date(prev.startTime);
+      const endTime =
+        template.durationMinutes && !Number.isNaN(start.getTime())
+          ? toDatetimeLocalValue(new Date(start.getTime() + template.durationMinutes * 60 * 1000))
+          : prev.endTime;
+      return {
+        ...prev,
+        templateId,
+        title: template.title,
+        description: template.description,
+        executorUserId: template.defaultExecutorUserId || '',
+        endTime,
+      };
+    });
+  };
+
   const handleCreateTask = async () => {
-    if (!createForm.title.trim() || !createForm.executorUserId || !createForm.endTime) {
+    if (!createForm.title.trim() || (!createForm.executorUserId && !executorResolvedByTemplate) || !createForm.endTime) {
       return;
     }
 
@@ -107,6 +454,15 @@ const Tasks: React.FC<TasksProps> = ({ tasks, onCreateTask, onCompleteTask, onVe
         executorUserId: createForm.executorUserId,
         startTime: new Date(createForm.startTime).toISOString(),
         endTime: new Date(createForm.endTime).toISOString(),
+        recurrence: createForm.recurrence,
+        priority: createForm.priority,
+        projectId: createForm.projectId ? Number(createForm.projectId) : undefined,
+        labels: createForm.labels
+          .split(/[,，]/)
+          .map((label) => label.trim())
+          .filter(Boolean),
+        requireEvidence: createForm.requireEvidence,
+        templateId: createForm.templateId ? Number(createForm.templateId) : undefined,
       });
       setCreateModalOpen(false);
       setCreateForm(defaultCreateTaskForm());
@@ -115,6 +471,160 @@ const Tasks: React.FC<TasksProps> = ({ tasks, onCreateTask, onCompleteTask, onVe
     }
   };
 
+  const runManageAction = async (taskId: number, action: TaskManageAction, reason?: string) => {
+    try {
+      setSubmittingTaskId(taskId);
+      await onManageTask(taskId, action, reason);
+    } finally {
+      setSubmittingTaskId(null);
+    }
+  };
+
+  const submitCancel = async () => {
+    if (!cancelTaskId) {
+      return;
+    }
+
+    await runManageAction(cancelTaskId, 'cancel', cancelReason.trim());
+    setCancelTaskId(null);
+    setCancelReason('');
+  };
+
+  const submitReassign = async () => {
+    if (!reassignTaskId || !reassignForm.toUserId.trim()) {
+      return;
+    }
+
+    try {
+      setSubmittingTaskId(reassignTaskId);
+      await onReassignTask(reassignTaskId, {
+        toUserId: reassignForm.toUserId.trim(),
+        note: (reassignForm.note || '').trim(),
+      });
+      setReassignTaskId(null);
+    } finally {
+      setSubmittingTaskId(null);
+    }
+  };
+
+  const openExtensionModal = (task: Task) => {
+    const currentEnd = new Date(task.endTime);
+    const base = Number.isNaN(currentEnd.getTime()) ? new Date() : currentEnd;
+    setExtensionTaskId(task.id);
+    setExtensionForm({
+      proposedEndTime: toDatetimeLocalValue(new Date(base.getTime() + 24 * 60 * 60 * 1000)),
+      reason: '',
+    });
+  };
+
+  const openCompleteModal = (taskId: number) => {
+    setCompleteTaskId(taskId);
+    setCompleteForm(emptyCompleteReportForm());
+  };
+
+  const submitComplete = async () => {
+    if (!completeTaskId) {
+      return;
+    }
+
+    try {
+      setSubmittingTaskId(completeTaskId);
+      await onCompleteTask(completeTaskId, toSubmissionReportPayload(completeForm));
+      setCompleteTaskId(null);
+    } finally {
+      setSubmittingTaskId(null);
+    }
+  };
+
+  const submitExtension = async () => {
+    if (!extensionTaskId || !extensionForm.proposedEndTime || !extensionForm.reason.trim()) {
+      return;
+    }
+
+    try {
+      setSubmittingTaskId(extensionTaskId);
+      await onRequestExtension(extensionTaskId, {
+        proposedEndTime: new Date(extensionForm.proposedEndTime).toISOString(),
+        reason: extensionForm.reason.trim(),
+      });
+      setExtensionTaskId(null);
+    } finally {
+      setSubmittingTaskId(null);
+    }
+  };
+
+  const submitComment = async () => {
+    if (!detailTaskId || !commentDraft.trim()) {
+      return;
+    }
+
+    try {
+      setPostingComment(true);
+      const comment = await onAddComment(detailTaskId, commentDraft.trim());
+      if (comment) {
+        setComments((prev) => [...prev, comment]);
+        setCommentDraft('');
+      }
+    } finally {
+      setPostingComment(false);
+    }
+  };
+
+  const submitAttachment = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = '';
+    if (!detailTaskId || !file) {
+      return;
+    }
+
+    try {
+      setUploadingAttachment(true);
+      const attachment = await onUploadAttachment(detailTaskId, file);
+      if (attachment) {
+        setAttachments((prev) => [...prev, attachment]);
+      }
+    } finally {
+      setUploadingAttachment(false);
+    }
+  };
+
+  const removeAttachment = async (attachmentId: number) => {
+    if (!detailTaskId) {
+      return;
+    }
+
+    const remaining = await onDeleteAttachment(detailTaskId, attachmentId);
+    if (remaining) {
+      setAttachments(remaining);
+    }
+  };
+
+  const openPassModal = (taskId: number) => {
+    setPassTaskId(taskId);
+    setPassRating({ score: null, comment: '' });
+  };
+
+  // 评分与评语均为可选，都未填写时按原有方式直接通过。
+  const submitPass = async () => {
+    if (!passTaskId) {
+      return;
+    }
+
+    const comment = passRating.comment.trim();
+    try {
+      setSubmittingTaskId(passTaskId);
+      await onVerifyTask(
+        passTaskId,
+        'PASS',
+        '',
+        passRating.score !== null || comment ? { score: passRating.score, comment } : undefined
+      );
+      setPassTaskId(null);
+    } finally {
+      setSubmittingTaskId(null);
+    }
+  };
+
   const submitReject = async () => {
     if (!rejectModalOpen.taskId) {
       return;
@@ -155,7 +665,9 @@ const Tasks: React.FC<TasksProps> = ({ tasks, onCreateTask, onCompleteTask, onVe
             }`}
           >
             {t.allTasks}
-            <span className="ml-1 opacity-70 bg-white/20 px-1.5 py-0.5 rounded-full text-xs">{tasks.length}</span>
+            {filter === 'ALL' && (
+              <span className="ml-1 opacity-70 bg-white/20 px-1.5 py-0.5 rounded-full text-xs">{total}</span>
+            )}
           </button>
           <button
             onClick={() => setFilter(TaskStatus.WAITING_VERIFY)}
@@ -169,7 +681,7 @@ const Tasks: React.FC<TasksProps> = ({ tasks, onCreateTask, onCompleteTask, onVe
                 filter === TaskStatus.WAITING_VERIFY ? 'bg-white/20' : 'bg-blue-100 text-blue-700'
               }`}
             >
-              {tasks.filter((item) => item.status === TaskStatus.WAITING_VERIFY).length}
+              {waitingVerifyCount}
             </span>
           </button>
           <button
@@ -188,6 +700,61 @@ const Tasks: React.FC<TasksProps> = ({ tasks, onCreateTask, onCompleteTask, onVe
           >
             {t.status_COMPLETED}
           </button>
+          <select
+            value={projectFilter}
+            onChange={(event) => updateQuery({ projectId: event.target.value || undefined })}
+            className="px-3 py-2 border border-slate-200 rounded-lg text-sm text-slate-600 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">{t.allProjects}</option>
+            {projects.map((project) => (
+              <option key={project.id} value={String(project.id)}>
+                {project.name}
+              </option>
+            ))}
+            <option value={PROJECT_FILTER_NONE}>{t.unassignedProject}</option>
+          </select>
+          <select
+            value={labelFilter}
+            onChange={(event) => updateQuery({ label: event.target.value || undefined })}
+            className="px-3 py-2 border border-slate-200 rounded-lg text-sm text-slate-600 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">{t.allLabels}</option>
+            {labelOptions.map((label) => (
+              <option key={label} value={label}>
+                #{label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={sortValue}
+            onChange={(event) => {
+              const option = TASK_SORT_OPTIONS.find((item) => item.value === event.target.value) || TASK_SORT_OPTIONS[0];
+              updateQuery({ sort: option.sort, order: option.order });
+            }}
+            className="px-3 py-2 border border-slate-200 rounded-lg text-sm text-slate-600 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {TASK_SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {t[option.labelKey]}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => updateQuery({ overdue: query.overdue ? undefined : true })}
+            className={`px-3 py-2 text-sm font-medium rounded-lg whitespace-nowrap transition-colors ${
+              query.overdue ? 'bg-red-600 text-white' : 'text-slate-600 hover:bg-slate-100'
+            }`}
+          >
+            {t.overdueOnly}
+          </button>
+          <button
+            onClick={() => updateQuery({ dueSoon: query.dueSoon ? undefined : true })}
+            className={`px-3 py-2 text-sm font-medium rounded-lg whitespace-nowrap transition-colors ${
+              query.dueSoon ? 'bg-orange-500 text-white' : 'text-slate-600 hover:bg-slate-100'
+            }`}
+          >
+            {t.dueSoonOnly}
+          </button>
         </div>
 
         <div className="flex items-center gap-3 w-full md:w-auto">
@@ -208,12 +775,12 @@ const Tasks: React.FC<TasksProps> = ({ tasks, onCreateTask, onCompleteTask, onVe
       </div>
 
       <div className="grid grid-cols-1 gap-4">
-        {filteredTasks.length === 0 ? (
+        {tasks.length === 0 ? (
           <div className="text-center py-20 bg-white rounded-xl border border-slate-200 border-dashed">
             <p className="text-slate-500">{t.noTasks}</p>
           </div>
         ) : (
-          filteredTasks.map((task) => (
+          tasks.map((task) => (
             <div
               key={task.id}
               className={`bg-white rounded-xl p-5 border shadow-sm transition-all hover:shadow-md ${
@@ -224,19 +791,92 @@ const Tasks: React.FC<TasksProps> = ({ tasks, onCreateTask, onCompleteTask, onVe
                 <div className="flex-1 min-w-0">
                   <div className="flex flex-wrap items-center gap-3 mb-2">
                     <StatusBadge status={task.status} />
+                    <span className={`text-xs font-semibold px-2 py-0.5 rounded border ${PRIORITY_BADGE_CLASSES[task.priority]}`}>
+                      {task.priority}
+                    </span>
                     <span className="text-xs text-slate-400 flex items-center gap-1">
                       {t.due}: {new Date(task.endTime).toLocaleString()}
                     </span>
+                    {task.projectName && (
+                      <span className="text-xs text-violet-600 bg-violet-50 px-2 py-0.5 rounded border border-violet-100 flex items-center gap-1">
+                        <Folder className="w-3 h-3" /> {task.projectName}
+                      </span>
+                    )}
+                    {task.labels.map((label) => (
+                      <span
+                        key={label}
+                        className="text-xs text-slate-600 bg-slate-50 px-2 py-0.5 rounded border border-slate-200 flex items-center gap-1"
+                      >
+                        <Tag className="w-3 h-3" /> {label}
+                      </span>
+                    ))}
                     {task.redoCount > 0 && (
                       <span className="text-xs text-amber-600 bg-amber-50 px-2 py-0.5 rounded border border-amber-100 flex items-center gap-1">
                         <RefreshCw className="w-3 h-3" /> {t.redo}: {task.redoCount}
                       </span>
                     )}
+                    {task.pendingExtensionEndTime && (
+                      <span className="text-xs text-orange-600 bg-orange-50 px-2 py-0.5 rounded border border-orange-100 flex items-center gap-1">
+                        <Hourglass className="w-3 h-3" /> {t.extensionPendingLabel}:{' '}
+                        {new Date(task.pendingExtensionEndTime).toLocaleString()}
+                      </span>
+                    )}
+                    {task.isBlocked && (
+                      <span className="text-xs text-purple-600 bg-purple-50 px-2 py-0.5 rounded border border-purple-100 flex items-center gap-1">
+                        <Lock className="w-3 h-3" /> {t.blockedLabel}
+                      </span>
+                    )}
+                    {task.seriesId && (
+                      <span className="text-xs text-teal-600 bg-teal-50 px-2 py-0.5 rounded border border-teal-100 flex items-center gap-1">
+                        <Repeat className="w-3 h-3" /> {t.recurringLabel} #{task.seriesIndex}
+                      </span>
+                    )}
+                    {task.status === TaskStatus.WAITING_VERIFY && task.approvalStageCount > 0 && (
+                      <span className="text-xs text-sky-600 bg-sky-50 px-2 py-0.5 rounded border border-sky-100 flex items-center gap-1">
+                        <ShieldCheck className="w-3 h-3" /> {t.approvalStage} {task.currentStageIndex + 1}/
+                        {task.approvalStageCount}
+                        {task.currentStageName ? `: ${task.currentStageName}` : ''}
+                      </span>
+                    )}
+                    {task.executors.length > 1 && (
+                      <span className="text-xs text-indigo-600 bg-indigo-50 px-2 py-0.5 rounded border border-indigo-100 flex items-center gap-1">
+                        <Users className="w-3 h-3" /> {t.executorProgress}:{' '}
+                        {task.executors.filter((executor) => executor.isDone).length}/{task.executors.length} (
+                        {task.completionMode === 'ANY' ? t.completionModeAny : t.completionModeAll})
+                      </span>
+                    )}
+                    {(task.attachmentCount > 0 || task.requireEvidence) && (
+                      <span
+                        className={`text-xs px-2 py-0.5 rounded border flex items-center gap-1 ${
+                          task.requireEvidence && task.evidenceCount === 0 && task.status === TaskStatus.PENDING
+                            ? 'text-amber-600 bg-amber-50 border-amber-100'
+                            : 'text-slate-600 bg-slate-50 border-slate-200'
+                        }`}
+                      >
+                        <Paperclip className="w-3 h-3" /> {task.attachmentCount}
+                        {task.requireEvidence ? ` · ${t.evidenceRequired}` : ''}
+                      </span>
+                    )}
+                    {task.commentCount > 0 && (
+                      <span className="text-xs text-slate-600 bg-slate-50 px-2 py-0.5 rounded border border-slate-200 flex items-center gap-1">
+                        <MessageSquare className="w-3 h-3" /> {task.commentCount}
+                      </span>
+                    )}
+                    {task.itemTotalCount > 0 && (
+                      <span className="text-xs text-slate-600 bg-slate-50 px-2 py-0.5 rounded border border-slate-200 flex items-center gap-1">
+                        <ListChecks className="w-3 h-3" /> {t.checklistProgress}: {task.itemDoneCount}/{task.itemTotalCount}
+                      </span>
+                    )}
                     {task.isOverdue && (
                       <span className="text-xs text-red-600 bg-red-50 px-2 py-0.5 rounded border border-red-100 flex items-center gap-1">
                         <AlertTriangle className="w-3 h-3" /> {t.overdueLabel}
                       </span>
                     )}
+                    {task.isOverdue && (task.escalationLevel || 0) > 0 && (
+                      <span className="text-xs text-white bg-red-600 px-2 py-0.5 rounded border border-red-700 flex items-center gap-1">
+                        <Siren className="w-3 h-3" /> {t.escalatedLabel} L{task.escalationLevel}
+                      </span>
+                    )}
                     {!task.isOverdue && task.isDueSoon && (
                       <span className="text-xs text-amber-600 bg-amber-50 px-2 py-0.5 rounded border border-amber-100 flex items-center gap-1">
                         <AlertTriangle className="w-3 h-3" /> {t.dueSoonLabel}
@@ -250,6 +890,11 @@ const Tasks: React.FC<TasksProps> = ({ tasks, onCreateTask, onCompleteTask, onVe
                       {t.rejectReasonLabel}: {task.rejectReason}
                     </p>
                   )}
+                  {task.cancelReason && task.status === TaskStatus.CANCELLED && (
+                    <p className="text-xs text-slate-600 bg-slate-50 border border-slate-200 rounded-lg px-2 py-1 mt-2 inline-block">
+                      {t.cancelReasonLabel}: {task.cancelReason}
+                    </p>
+                  )}
                 </div>
 
                 <div className="flex items-center gap-6 shrink-0">
@@ -290,14 +935,7 @@ const Tasks: React.FC<TasksProps> = ({ tasks, onCreateTask, onCompleteTask, onVe
                   {task.canVerify && task.status === TaskStatus.WAITING_VERIFY && (
                     <>
                       <button
-                        onClick={async () => {
-                          try {
-                            setSubmittingTaskId(task.id);
-                            await onVerifyTask(task.id, 'PASS');
-                          } finally {
-                            setSubmittingTaskId(null);
-                          }
-                        }}
+                        onClick={() => openPassModal(task.id)}
                         disabled={submittingTaskId === task.id}
                         className="flex-1 lg:flex-none w-full flex items-center justify-center gap-2 px-4 py-2 bg-green-600 hover:bg-green-700 text-white text-sm font-medium rounded-lg transition-colors shadow-sm disabled:opacity-50"
                       >
@@ -315,14 +953,7 @@ const Tasks: React.FC<TasksProps> = ({ tasks, onCreateTask, onCompleteTask, onVe
 
                   {task.canComplete && task.status === TaskStatus.PENDING && (
                     <button
-                      onClick={async () => {
-                        try {
-                          setSubmittingTaskId(task.id);
-                          await onCompleteTask(task.id);
-                        } finally {
-                          setSubmittingTaskId(null);
-                        }
-                      }}
+                      onClick={() => openCompleteModal(task.id)}
                       disabled={submittingTaskId === task.id}
                       className="flex-1 lg:flex-none w-full px-4 py-2 bg-slate-900 hover:bg-slate-800 text-white text-sm font-medium rounded-lg transition-colors disabled:opacity-50"
                     >
@@ -330,7 +961,96 @@ const Tasks: React.FC<TasksProps> = ({ tasks, onCreateTask, onCompleteTask, onVe
                     </button>
                   )}
 
-                  {!task.canComplete && !task.canVerify && (
+                  {task.canComplete && task.status === TaskStatus.PENDING && !task.pendingExtensionId && (
+                    <button
+                      onClick={() => openExtensionModal(task)}
+                      disabled={submittingTaskId === task.id}
+                      className="flex-1 lg:flex-none w-full flex items-center justify-center gap-2 px-4 py-2 border border-orange-200 text-orange-600 hover:bg-orange-50 text-sm font-medium rounded-lg transition-colors disabled:opacity-50"
+                    >
+                      <Hourglass className="w-4 h-4" /> {t.requestExtension}
+                    </button>
+                  )}
+
+                  {task.canManage && task.pendingExtensionId && (
+                    <>
+                      <button
+                        onClick={async () => {
+                          try {
+                            setSubmittingTaskId(task.id);
+                            await onDecideExtension(task.id, task.pendingExtensionId as number, 'APPROVE');
+                          } finally {
+                            setSubmittingTaskId(null);
+                          }
+                        }}
+                        disabled={submittingTaskId === task.id}
+                        className="flex-1 lg:flex-none w-full flex items-center justify-center gap-2 px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white text-sm font-medium rounded-lg transition-colors disabled:opacity-50"
+                      >
+                        <CheckCircle className="w-4 h-4" /> {t.approveExtension}
+                      </button>
+                      <button
+                        onClick={async () => {
+                          try {
+                            setSubmittingTaskId(task.id);
+                            await onDecideExtension(task.id, task.pendingExtensionId as number, 'DENY');
+                          } finally {
+                            setSubmittingTaskId(null);
+                          }
+                        }}
+                        disabled={submittingTaskId === task.id}
+                        className="flex-1 lg:flex-none w-full flex items-center justify-center gap-2 px-4 py-2 bg-white border border-orange-200 text-orange-600 hover:bg-orange-50 text-sm font-medium rounded-lg transition-colors disabled:opacity-50"
+                      >
+                        <XCircle className="w-4 h-4" /> {t.denyExtension}
+                      </button>
+                    </>
+                  )}
+
+                  {task.canReassign && (
+                    <button
+                      onClick={() => {
+                        setReassignTaskId(task.id);
+                        setReassignForm({ toUserId: '', note: '' });
+                      }}
+                      disabled={submittingTaskId === task.id}
+                      className="flex-1 lg:flex-none w-full flex items-center justify-center gap-2 px-4 py-2 border border-slate-200 text-slate-600 hover:bg-slate-50 text-sm font-medium rounded-lg transition-colors disabled:opacity-50"
+                    >
+                      <ArrowRightLeft className="w-4 h-4" /> {t.reassignTask}
+                    </button>
+                  )}
+
+                  {task.canManage && MANAGE_ACTION_STATUSES.cancel.includes(task.status) && (
+                    <button
+                      onClick={() => {
+                        setCancelTaskId(task.id);
+                        setCancelReason('');
+                      }}
+                      disabled={submittingTaskId === task.id}
+                      className="flex-1 lg:flex-none w-full flex items-center justify-center gap-2 px-4 py-2 border border-slate-200 text-slate-600 hover:bg-slate-50 text-sm font-medium rounded-lg transition-colors disabled:opacity-50"
+                    >
+                      <Ban className="w-4 h-4" /> {t.cancelTask}
+                    </button>
+                  )}
+
+                  {task.canManage && MANAGE_ACTION_STATUSES.archive.includes(task.status) && (
+                    <button
+                      onClick={() => runManageAction(task.id, 'archive')}
+                      disabled={submittingTaskId === task.id}
+                      className="flex-1 lg:flex-none w-full flex items-center justify-center gap-2 px-4 py-2 border border-slate-200 text-slate-600 hover:bg-slate-50 text-sm font-medium rounded-lg transition-colors disabled:opacity-50"
+                    >
+                      <Archive className="w-4 h-4" /> {t.archiveTask}
+                    </button>
+                  )}
+
+                  {task.canManage && MANAGE_ACTION_STATUSES.reopen.includes(task.status) && (
+                    <button
+                      onClick={() => runManageAction(task.id, 'reopen')}
+                      disabled={submittingTaskId === task.id}
+                      className="flex-1 lg:flex-none w-full flex items-center justify-center gap-2 px-4 py-2 border border-blue-200 text-blue-600 hover:bg-blue-50 text-sm font-medium rounded-lg transition-colors disabled:opacity-50"
+                    >
+                      <RotateCcw className="w-4 h-4" /> {t.reopenTask}
+                    </button>
+                  )}
+
+                  {!task.canComplete && !task.canVerify && !task.canManage && !task.canReassign && (
                     <button className="flex-1 lg:flex-none w-full px-4 py-2 text-slate-400 hover:text-slate-600 transition-colors">
                       <MoreVertical className="w-5 h-5 mx-auto" />
                     </button>
@@ -342,6 +1062,24 @@ const Tasks: React.FC<TasksProps> = ({ tasks, onCreateTask, onCompleteTask, onVe
         )}
       </div>
 
+      {tasks.length > 0 && (
+        <div className="flex items-center justify-center gap-3 text-sm text-slate-500">
+          <span>
+            {t.loadedOfTotal} {tasks.length} / {total}
+          </span>
+          {hasMore && (
+            <button
+              onClick={() => onLoadMore()}
+              disabled={loadingMore}
+              className="flex items-center gap-2 px-4 py-2 border border-slate-200 rounded-lg bg-white text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+            >
+              <RefreshCw className={`w-4 h-4 ${loadingMore ? 'animate-spin' : ''}`} />
+              <span>{t.loadMore}</span>
+            </button>
+          )}
+        </div>
+      )}
+
       {createModalOpen && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
           <div className="bg-white rounded-xl shadow-xl max-w-lg w-full p-6 animate-in fade-in zoom-in duration-200">
@@ -349,6 +1087,32 @@ const Tasks: React.FC<TasksProps> = ({ tasks, onCreateTask, onCompleteTask, onVe
             <p className="text-sm text-slate-500 mb-4">{t.createTaskDesc}</p>
 
             <div className="space-y-3">
+              {templates.length > 0 && (
+                <div>
+                  <label className="block text-xs text-slate-500 mb-1">{t.taskTemplate}</label>
+                  <select
+                    value={createForm.templateId}
+                    onChange={(event) => applyTemplate(event.target.value)}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">{t.templateNone}</option>
+                    {templates.map((template) => (
+                      <option key={template.id} value={String(template.id)}>
+                        {template.name}
+                      </option>
+                    ))}
+                  </select>
+                  {selectedTemplate && (
+                    <p className="text-xs text-slate-400 mt-1">
+                      {selectedTemplate.items.length > 0 &&
+                        `${t.templateItemsHint}: ${selectedTemplate.items.map((item) => item.title).join('、')}`}
+                      {selectedTemplate.defaultExecutorRole &&
+                        ` ${t[`templateRole_${selectedTemplate.defaultExecutorRole}`]}`}
+                    </p>
+                  )}
+                </div>
+              )}
+
               <input
                 value={createForm.title}
                 onChange={(event) => setCreateForm((prev) => ({ ...prev, title: event.target.value }))}
@@ -403,6 +1167,75 @@ const Tasks: React.FC<TasksProps> = ({ tasks, onCreateTask, onCompleteTask, onVe
                   />
                 </div>
               </div>
+
+              <div>
+                <label className="block text-xs text-slate-500 mb-1">{t.priority}</label>
+                <select
+                  value={createForm.priority}
+                  onChange={(event) =>
+                    setCreateForm((prev) => ({ ...prev, priority: event.target.value as TaskPriority }))
+                  }
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {PRIORITY_OPTIONS.map((priority) => (
+                    <option key={priority} value={priority}>
+                      {t[`priority_${priority}`]}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-xs text-slate-500 mb-1">{t.project}</label>
+                  <select
+                    value={createForm.projectId}
+                    onChange={(event) => setCreateForm((prev) => ({ ...prev, projectId: event.target.value }))}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">{t.projectNone}</option>
+                    {projects.map((project) => (
+                      <option key={project.id} value={String(project.id)}>
+                        {project.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs text-slate-500 mb-1">{t.labels}</label>
+                  <input
+                    value={createForm.labels}
+                    onChange={(event) => setCreateForm((prev) => ({ ...prev, labels: event.target.value }))}
+                    placeholder={t.labelsPlaceholder}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              </div>
+
+              <label className="flex items-center gap-2 text-sm text-slate-600">
+                <input
+                  type="checkbox"
+                  checked={createForm.requireEvidence}
+                  onChange={(event) => setCreateForm((prev) => ({ ...prev, requireEvidence: event.target.checked }))}
+                  className="rounded border-slate-300"
+                />
+                {t.requireEvidenceOption}
+              </label>
+
+              <div>
+                <label className="block text-xs text-slate-500 mb-1">{t.recurrence}</label>
+                <select
+                  value={createForm.recurrence}
+                  onChange={(event) => setCreateForm((prev) => ({ ...prev, recurrence: event.target.value }))}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {RECURRENCE_PRESETS.map((preset) => (
+                    <option key={preset.labelKey} value={preset.value}>
+                      {t[preset.labelKey]}
+                    </option>
+                  ))}
+                </select>
+              </div>
             </div>
 
             <div className="flex gap-3 justify-end mt-5">
@@ -417,7 +1250,9 @@ const Tasks: React.FC<TasksProps> = ({ tasks, onCreateTask, onCompleteTask, onVe
               </button>
               <button
                 onClick={handleCreateTask}
-                disabled={!createForm.title.trim() || !createForm.executorUserId || creating}
+                disabled={
+                  !createForm.title.trim() || (!createForm.executorUserId && !executorResolvedByTemplate) || creating
+                }
                 className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
               >
                 {creating ? t.creatingTask : t.confirmCreateTask}
@@ -448,6 +1283,11 @@ const Tasks: React.FC<TasksProps> = ({ tasks, onCreateTask, onCompleteTask, onVe
                   <p className="text-slate-700">
                     {t.endTime}: {new Date(detailTask.endTime).toLocaleString()}
                   </p>
+                  {detailTask.originalEndTime && (
+                    <p className="text-slate-500">
+                      {t.originalEndTime}: {new Date(detailTask.originalEndTime).toLocaleString()}
+                    </p>
+                  )}
                 </div>
               </div>
               <p className="text-slate-700">{detailTask.description || '-'}</p>
@@ -457,11 +1297,217 @@ const Tasks: React.FC<TasksProps> = ({ tasks, onCreateTask, onCompleteTask, onVe
               <p className="text-slate-500">
                 {t.executor}: {detailTask.executor.name}
               </p>
+              {detailTask.projectName && (
+                <p className="text-slate-500">
+                  {t.project}: {detailTask.projectName}
+                </p>
+              )}
+              {detailTask.labels.length > 0 && (
+                <p className="text-slate-500">
+                  {t.labels}: {detailTask.labels.map((label) => `#${label}`).join(' ')}
+                </p>
+              )}
+              {detailTask.executors.length > 1 && (
+                <div>
+                  <p className="text-slate-500 mb-1">
+                    {t.executorProgress} ({detailTask.completionMode === 'ANY' ? t.completionModeAny : t.completionModeAll})
+                  </p>
+                  <ul className="space-y-1">
+                    {detailTask.executors.map((executor) => (
+                      <li key={executor.userId} className="flex items-center gap-2 text-slate-700">
+                        {executor.isDone ? (
+                          <CheckCircle className="w-4 h-4 text-green-500" />
+                        ) : (
+                          <RefreshCw className="w-4 h-4 text-slate-300" />
+                        )}
+                        <span>{executor.userId}</span>
+                        <span className="text-xs text-slate-400">
+                          {executor.isDone && executor.completedAt
+                            ? new Date(executor.completedAt).toLocaleString()
+                            : t.executorPending}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
               {detailTask.rejectReason && (
                 <p className="text-red-600">
                   {t.rejectReasonLabel}: {detailTask.rejectReason}
                 </p>
               )}
+              {typeof detailTask.qualityScore === 'number' && (
+                <p className="flex items-center gap-1 text-amber-600">
+                  <Star className="w-4 h-4" /> {t.qualityScore}: {detailTask.qualityScore}/5
+                  {detailTask.qualityComment && <span className="text-slate-600">· {detailTask.qualityComment}</span>}
+                </p>
+              )}
+            </div>
+
+            <div className="mt-5 pt-4 border-t border-slate-100">
+              <div className="flex items-center justify-between mb-2">
+                <p className="text-sm font-semibold text-slate-700 flex items-center gap-1">
+                  <Paperclip className="w-4 h-4" /> {t.attachments} ({attachments.length})
+                </p>
+                {detailTask.status !== TaskStatus.CANCELLED && detailTask.status !== TaskStatus.ARCHIVED && (
+                  <label className="text-xs text-blue-600 hover:text-blue-700 cursor-pointer">
+                    {uploadingAttachment ? t.uploadingAttachment : t.uploadAttachment}
+                    <input type="file" className="hidden" onChange={submitAttachment} disabled={uploadingAttachment} />
+                  </label>
+                )}
+              </div>
+              {detailTask.requireEvidence && detailTask.evidenceCount === 0 && detailTask.status === TaskStatus.PENDING && (
+                <p className="text-xs text-amber-600 mb-2">{t.evidenceMissingHint}</p>
+              )}
+              <ul className="space-y-1">
+                {attachments.length === 0 ? (
+                  <li className="text-xs text-slate-400">{t.noAttachments}</li>
+                ) : (
+                  attachments.map((attachment) => (
+                    <li key={attachment.id} className="flex items-center gap-2 text-sm text-slate-700">
+                      <button
+                        onClick={() => onDownloadAttachment(attachment)}
+                        className="flex items-center gap-1 text-blue-600 hover:underline truncate"
+                      >
+                        <Download className="w-3 h-3 shrink-0" /> {attachment.originalName}
+                      </button>
+                      <span className="text-xs text-slate-400 shrink-0">
+                        {formatFileSize(attachment.sizeBytes)} · {t.submissionRound} {attachment.submissionRound + 1} ·{' '}
+                        {attachment.uploaderUserId}
+                      </span>
+                      {detailTask.status === TaskStatus.PENDING && (
+                        <button
+                          onClick={() => removeAttachment(attachment.id)}
+                          className="ml-auto text-slate-400 hover:text-red-500"
+                          title={t.deleteAttachment}
+                        >
+                          <Trash2 className="w-3 h-3" />
+                        </button>
+                      )}
+                    </li>
+                  ))
+                )}
+              </ul>
+            </div>
+
+            {reminderPlan && detailTask.status === TaskStatus.PENDING && (
+              <div className="mt-5 pt-4 border-t border-slate-100">
+                <div className="flex items-center justify-between mb-2">
+                  <p className="text-sm font-semibold text-slate-700 flex items-center gap-1">
+                    <BellRing className="w-4 h-4" /> {t.reminderPlan}
+                    <span className="ml-1 text-xs font-normal text-slate-400">
+                      {t[`reminderSource_${reminderPlan.source}`]} · {reminderPlan.name}
+                    </span>
+                  </p>
+                  {detailTask.canManage && (
+                    <select
+                      value={reminderPlan.source === 'TASK' && reminderPlan.policyId !== null ? String(reminderPlan.policyId) : ''}
+                      onChange={(event) => changeTaskReminderPolicy(event.target.value)}
+                      className="px-2 py-1 border border-slate-300 rounded-lg text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">{t.reminderPolicyInherit}</option>
+                      {reminderPolicies.map((policy) => (
+                        <option key={policy.id} value={policy.id}>
+                          {policy.name} ({policy.offsetLabels.join(' ')})
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+                <div className="flex flex-wrap gap-1">
+                  {reminderPlan.offsetLabels.map((offset) => (
+                    <span
+                      key={offset}
+                      className={`px-2 py-0.5 rounded-full text-xs border ${
+                        reminderPlan.sentOffsets.includes(offset)
+                          ? 'bg-slate-100 text-slate-400 border-slate-200 line-through'
+                          : 'bg-blue-50 text-blue-700 border-blue-100'
+                      }`}
+                    >
+                      {offset}
+                    </span>
+                  ))}
+                  {reminderPlan.overdueRepeatMinutes !== null && (
+                    <span className="px-2 py-0.5 rounded-full text-xs border bg-amber-50 text-amber-700 border-amber-100">
+                      {t.reminderOverdueRepeat} {Math.round(reminderPlan.overdueRepeatMinutes / 60)}h
+                    </span>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {reports.length > 0 && (
+              <div className="mt-5 pt-4 border-t border-slate-100">
+                <p className="text-sm font-semibold text-slate-700 mb-2 flex items-center gap-1">
+                  <FileText className="w-4 h-4" /> {t.submissionReports} ({reports.length})
+                </p>
+                <ul className="space-y-2">
+                  {reports.map((report) => (
+                    <li key={report.id} className="bg-slate-50 border border-slate-100 rounded-lg px-3 py-2">
+                      <div className="flex items-center justify-between text-xs text-slate-400 mb-1">
+                        <span className="font-medium text-slate-600">
+                          {t.submissionRound} {report.submissionRound + 1} · {report.submitterUserId}
+                        </span>
+                        {report.actualHours !== null && (
+                          <span>
+                            {t.actualHours}: {report.actualHours}h
+                          </span>
+                        )}
+                      </div>
+                      {report.summary && (
+                        <p className="text-sm text-slate-700 whitespace-pre-wrap break-words">{report.summary}</p>
+                      )}
+                      {report.links.map((link) => (
+                        <a
+                          key={link}
+                          href={link}
+                          target="_blank"
+                          rel="noreferrer"
+                          className="block text-xs text-blue-600 hover:underline truncate"
+                        >
+                          {link}
+                        </a>
+                      ))}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="mt-5 pt-4 border-t border-slate-100">
+              <p className="text-sm font-semibold text-slate-700 mb-2 flex items-center gap-1">
+                <MessageSquare className="w-4 h-4" /> {t.comments} ({comments.length})
+              </p>
+              <ul className="space-y-2 max-h-56 overflow-y-auto mb-3">
+                {comments.length === 0 ? (
+                  <li className="text-xs text-slate-400">{t.noComments}</li>
+                ) : (
+                  comments.map((comment) => (
+                    <li key={comment.id} className="bg-slate-50 border border-slate-100 rounded-lg px-3 py-2">
+                      <div className="flex items-center justify-between text-xs text-slate-400 mb-1">
+                        <span className="font-medium text-slate-600">{comment.authorUserId}</span>
+                        <span>{new Date(comment.createdAt).toLocaleString()}</span>
+                      </div>
+                      <p className="text-sm text-slate-700 whitespace-pre-wrap break-words">{comment.content}</p>
+                    </li>
+                  ))
+                )}
+              </ul>
+              <textarea
+                value={commentDraft}
+                onChange={(event) => setCommentDraft(event.target.value)}
+                placeholder={t.commentPlaceholder}
+                className="w-full h-20 px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none"
+              />
+              <div className="flex justify-end mt-2">
+                <button
+                  onClick={submitComment}
+                  disabled={!commentDraft.trim() || postingComment}
+                  className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+                >
+                  {t.sendComment}
+                </button>
+              </div>
             </div>
 
             <div className="flex gap-3 justify-end mt-6">
@@ -476,11 +1522,254 @@ const Tasks: React.FC<TasksProps> = ({ tasks, onCreateTask, onCompleteTask, onVe
         </div>
       )}
 
+      {completeTaskId !== null && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
+          <div className="bg-white rounded-xl shadow-xl max-w-md w-full p-6 animate-in fade-in zoom-in duration-200">
+            <h3 className="text-lg font-bold text-slate-900 mb-2">{t.completeTaskTitle}</h3>
+            <p className="text-sm text-slate-500 mb-4">{t.completeTaskDesc}</p>
+            <div className="space-y-3 mb-4">
+              <textarea
+                className="w-full h-24 p-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none text-sm resize-none"
+                placeholder={t.reportSummaryPlaceholder}
+                value={completeForm.summary}
+                onChange={(event) => setCompleteForm((prev) => ({ ...prev, summary: event.target.value }))}
+              />
+              <div>
+                <label className="block text-xs text-slate-500 mb-1">{t.actualHours}</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={completeForm.actualHours}
+                  onChange={(event) => setCompleteForm((prev) => ({ ...prev, actualHours: event.target.value }))}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-xs text-slate-500 mb-1">{t.reportLinks}</label>
+                <textarea
+                  className="w-full h-16 px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none text-sm resize-none"
+                  placeholder={t.reportLinksPlaceholder}
+                  value={completeForm.links}
+                  onChange={(event) => setCompleteForm((prev) => ({ ...prev, links: event.target.value }))}
+                />
+              </div>
+            </div>
+            <div className="flex gap-3 justify-end">
+              <button
+                onClick={() => setCompleteTaskId(null)}
+                className="px-4 py-2 text-slate-600 hover:bg-slate-100 rounded-lg text-sm font-medium transition-colors"
+              >
+                {t.cancel}
+              </button>
+              <button
+                onClick={submitComplete}
+                disabled={submittingTaskId === completeTaskId}
+                className="px-4 py-2 bg-slate-900 hover:bg-slate-800 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+              >
+                {t.markComplete}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {extensionTaskId !== null && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
+          <div className="bg-white rounded-xl shadow-xl max-w-md w-full p-6 animate-in fade-in zoom-in duration-200">
+            <h3 className="text-lg font-bold text-slate-900 mb-2">{t.requestExtensionTitle}</h3>
+            <p className="text-sm text-slate-500 mb-4">{t.requestExtensionDesc}</p>
+            <div className="space-y-3 mb-4">
+              <div>
+                <label className="block text-xs text-slate-500 mb-1">{t.proposedEndTime}</label>
+                <input
+                  type="datetime-local"
+                  value={extensionForm.proposedEndTime}
+                  onChange={(event) => setExtensionForm((prev) => ({ ...prev, proposedEndTime: event.target.value }))}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-orange-500"
+                />
+              </div>
+              <textarea
+                className="w-full h-24 p-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent outline-none text-sm resize-none"
+                placeholder={t.extensionReasonPlaceholder}
+                value={extensionForm.reason}
+                onChange={(event) => setExtensionForm((prev) => ({ ...prev, reason: event.target.value }))}
+              />
+            </div>
+            <div className="flex gap-3 justify-end">
+              <button
+                onClick={() => setExtensionTaskId(null)}
+                className="px-4 py-2 text-slate-600 hover:bg-slate-100 rounded-lg text-sm font-medium transition-colors"
+              >
+                {t.cancel}
+              </button>
+              <button
+                onClick={submitExtension}
+                disabled={
+                  !extensionForm.proposedEndTime || !extensionForm.reason.trim() || submittingTaskId === extensionTaskId
+                }
+                className="px-4 py-2 bg-orange-500 hover:bg-orange-600 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+              >
+                {t.confirmRequestExtension}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {reassignTaskId !== null && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
+          <div className="bg-white rounded-xl shadow-xl max-w-md w-full p-6 animate-in fade-in zoom-in duration-200">
+            <h3 className="text-lg font-bold text-slate-900 mb-2">{t.reassignTaskTitle}</h3>
+            <p className="text-sm text-slate-500 mb-4">{t.reassignTaskDesc}</p>
+            <div className="space-y-3 mb-4">
+              <select
+                value={reassignForm.toUserId}
+                onChange={(event) => setReassignForm((prev) => ({ ...prev, toUserId: event.target.value }))}
+                className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">{t.selectExecutor}</option>
+                {executorCandidates.map((candidate) => (
+                  <option key={candidate.id} value={candidate.id}>
+                    {candidate.name} ({candidate.id})
+                  </option>
+                ))}
+              </select>
+              <input
+                value={reassignForm.toUserId}
+                onChange={(event) => setReassignForm((prev) => ({ ...prev, toUserId: event.target.value.trim() }))}
+                placeholder={t.executorIdInputPlaceholder}
+                className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <textarea
+                className="w-full h-24 p-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none text-sm resize-none"
+                placeholder={t.handoverNotePlaceholder}
+                value={reassignForm.note}
+                onChange={(event) => setReassignForm((prev) => ({ ...prev, note: event.target.value }))}
+              />
+            </div>
+            <div className="flex gap-3 justify-end">
+              <button
+                onClick={() => setReassignTaskId(null)}
+                className="px-4 py-2 text-slate-600 hover:bg-slate-100 rounded-lg text-sm font-medium transition-colors"
+              >
+                {t.cancel}
+              </button>
+              <button
+                onClick={submitReassign}
+                disabled={!reassignForm.toUserId.trim() || submittingTaskId === reassignTaskId}
+                className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+              >
+                {t.confirmReassign}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {cancelTaskId !== null && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
+          <div className="bg-white rounded-xl shadow-xl max-w-md w-full p-6 animate-in fade-in zoom-in duration-200">
+            <h3 className="text-lg font-bold text-slate-900 mb-2">{t.cancelTaskTitle}</h3>
+            <p className="text-sm text-slate-500 mb-4">{t.cancelTaskDesc}</p>
+            <textarea
+              className="w-full h-24 p-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-slate-500 focus:border-transparent outline-none text-sm resize-none mb-4"
+              placeholder={t.cancelReasonPlaceholder}
+              value={cancelReason}
+              onChange={(event) => setCancelReason(event.target.value)}
+            />
+            <div className="flex gap-3 justify-end">
+              <button
+                onClick={() => setCancelTaskId(null)}
+                className="px-4 py-2 text-slate-600 hover:bg-slate-100 rounded-lg text-sm font-medium transition-colors"
+              >
+                {t.cancel}
+              </button>
+              <button
+                onClick={submitCancel}
+                disabled={submittingTaskId === cancelTaskId}
+                className="px-4 py-2 bg-slate-900 hover:bg-slate-800 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+              >
+                {t.confirmCancelTask}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {passTaskId !== null && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
+          <div className="bg-white rounded-xl shadow-xl max-w-md w-full p-6 animate-in fade-in zoom-in duration-200">
+            <h3 className="text-lg font-bold text-slate-900 mb-2">{t.passTitle}</h3>
+            <p className="text-sm text-slate-500 mb-4">{t.passDesc}</p>
+            <div className="flex items-center gap-1 mb-3">
+              {[1, 2, 3, 4, 5].map((score) => (
+                <button
+                  key={score}
+                  onClick={() =>
+                    setPassRating((prev) => ({ ...prev, score: prev.score === score ? null : score }))
+                  }
+                  title={`${score}`}
+                  className="p-1"
+                >
+                  <Star
+                    className={`w-6 h-6 ${
+                      passRating.score !== null && score <= passRating.score
+                        ? 'text-amber-500 fill-amber-400'
+                        : 'text-slate-300'
+                    }`}
+                  />
+                </button>
+              ))}
+            </div>
+            <textarea
+              className="w-full h-20 p-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none text-sm resize-none mb-4"
+              placeholder={t.qualityCommentPlaceholder}
+              maxLength={200}
+              value={passRating.comment}
+              onChange={(event) => setPassRating((prev) => ({ ...prev, comment: event.target.value }))}
+            />
+            <div className="flex gap-3 justify-end">
+              <button
+                onClick={() => setPassTaskId(null)}
+                className="px-4 py-2 text-slate-600 hover:bg-slate-100 rounded-lg text-sm font-medium transition-colors"
+              >
+                {t.cancel}
+              </button>
+              <button
+                onClick={submitPass}
+                disabled={submittingTaskId === passTaskId}
+                className="px-4 py-2 bg-green-600 hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+              >
+                {t.pass}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {rejectModalOpen.isOpen && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
           <div className="bg-white rounded-xl shadow-xl max-w-md w-full p-6 animate-in fade-in zoom-in duration-200">
             <h3 className="text-lg font-bold text-slate-900 mb-2">{t.rejectTitle}</h3>
             <p className="text-sm text-slate-500 mb-4">{t.rejectDesc}</p>
+            {rejectReasons.length > 0 && (
+              <div className="flex flex-wrap gap-2 mb-3">
+                {rejectReasons.map((reason) => (
+                  <button
+                    key={reason}
+                    onClick={() => setRejectReason(reason)}
+                    className={`px-3 py-1 rounded-full border text-xs transition-colors ${
+                      rejectReason === reason
+                        ? 'bg-red-50 border-red-300 text-red-600'
+                        : 'border-slate-200 text-slate-600 hover:bg-slate-50'
+                    }`}
+                  >
+                    {reason}
+                  </button>
+                ))}
+              </div>
+            )}
             <textarea
               className="w-full h-32 p-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent outline-none text-sm resize-none mb-4"
               placeholder={t.enterReason}
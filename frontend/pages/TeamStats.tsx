@@ -1,73 +1,40 @@
-import React, { useMemo } from 'react';
-import { Users, CheckCircle2, Clock3, AlertTriangle } from 'lucide-react';
-import { Task, TaskStatus, TeamMemberStats } from '../types';
+import React from 'react';
+import { Users, CheckCircle2, Clock3, AlertTriangle, Star, Hourglass } from 'lucide-react';
+import { TeamMemberStats, TeamVerificationStats } from '../types';
 import { useTranslation } from '../contexts/LanguageContext';
 
 interface TeamStatsProps {
-  tasks: Task[];
+  // 成员统计由后端 `/tasks/team-stats` 按全部可见任务聚合，已按任务数降序排列。
+  members: TeamMemberStats[];
+  // 验收等待按工作小时统计，已按平均等待时长降序排列。
+  verification: TeamVerificationStats;
 }
 
-const TeamStats: React.FC<TeamStatsProps> = ({ tasks }) => {
+const TeamStats: React.FC<TeamStatsProps> = ({ members, verification }) => {
   const { t } = useTranslation();
 
-  const memberStats = useMemo<TeamMemberStats[]>(() => {
-    const executorMap = new Map<string, TeamMemberStats>();
-
-    tasks.forEach((task) => {
-      const key = task.executor.id || task.executor.name;
-      if (!executorMap.has(key)) {
-        executorMap.set(key, {
-          userId: task.executor.id,
-          userName: task.executor.name,
-          role: 'EXECUTOR',
-          taskCount: 0,
-          completedCount: 0,
-          pendingCount: 0,
-          waitingVerifyCount: 0,
-          overdueCount: 0,
-          completionRate: 0,
-        });
-      }
-
-      const member = executorMap.get(key);
-      if (!member) {
-        return;
-      }
-
-      member.taskCount += 1;
-      if (task.status === TaskStatus.COMPLETED) {
-        member.completedCount += 1;
-      }
-      if (task.status === TaskStatus.PENDING) {
-        member.pendingCount += 1;
-      }
-      if (task.status === TaskStatus.WAITING_VERIFY) {
-        member.waitingVerifyCount += 1;
-      }
-      if (task.isOverdue) {
-        member.overdueCount += 1;
-      }
-    });
-
-    return Array.from(executorMap.values())
-      .map((member) => ({
-        ...member,
-        completionRate:
-          member.taskCount > 0 ? Number(((member.completedCount / member.taskCount) * 100).toFixed(2)) : 0,
-      }))
-      .sort((a, b) => b.taskCount - a.taskCount);
-  }, [tasks]);
-
-  const totalMembers = memberStats.length;
+  const totalMembers = members.length;
   const avgCompletionRate =
     totalMembers > 0
       ? Number(
           (
-            memberStats.reduce((accumulator, item) => accumulator + item.completionRate, 0) / totalMembers
+            members.reduce((accumulator, item) => accumulator + item.completionRate, 0) / totalMembers
           ).toFixed(2)
         )
       : 0;
-  const totalOverdue = memberStats.reduce((accumulator, item) => accumulator + item.overdueCount, 0);
+  const totalOverdue = members.reduce((accumulator, item) => accumulator + item.overdueCount, 0);
+  const ratedMembers = members.filter((item) => item.averageQuality !== null);
+  // 团队平均质量分按评分任务数加权，避免只评过一次分的成员左右整体水平。
+  const ratedTaskTotal = ratedMembers.reduce((accumulator, item) => accumulator + item.ratedCount, 0);
+  const avgQuality =
+    ratedTaskTotal > 0
+      ? Number(
+          (
+            ratedMembers.reduce((accumulator, item) => accumulator + (item.averageQuality || 0) * item.ratedCount, 0) /
+            ratedTaskTotal
+          ).toFixed(2)
+        )
+      : null;
 
   return (
     <div className="space-y-6">
@@ -76,7 +43,7 @@ const TeamStats: React.FC<TeamStatsProps> = ({ tasks }) => {
         <p className="text-sm text-slate-500 mt-1">{t.teamStatsDesc}</p>
       </div>
 
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
         <div className="bg-white border border-slate-200 rounded-xl p-5">
           <div className="flex items-center gap-2 text-slate-600 text-sm">
             <Users className="w-4 h-4" />
@@ -100,6 +67,14 @@ const TeamStats: React.FC<TeamStatsProps> = ({ tasks }) => {
           </div>
           <p className="text-3xl font-bold text-slate-900 mt-2">{totalOverdue}</p>
         </div>
+
+        <div className="bg-white border border-slate-200 rounded-xl p-5">
+          <div className="flex items-center gap-2 text-slate-600 text-sm">
+            <Star className="w-4 h-4" />
+            {t.teamAvgQuality}
+          </div>
+          <p className="text-3xl font-bold text-slate-900 mt-2">{avgQuality === null ? '-' : avgQuality}</p>
+        </div>
       </div>
 
       <div className="bg-white border border-slate-200 rounded-xl overflow-hidden">
@@ -119,17 +94,18 @@ const TeamStats: React.FC<TeamStatsProps> = ({ tasks }) => {
                 <th className="text-left px-5 py-3 font-medium">{t.status_PENDING}</th>
                 <th className="text-left px-5 py-3 font-medium">{t.overdueTasks}</th>
                 <th className="text-left px-5 py-3 font-medium">{t.completionRate}</th>
+                <th className="text-left px-5 py-3 font-medium">{t.averageQuality}</th>
               </tr>
             </thead>
             <tbody>
-              {memberStats.length === 0 ? (
+              {members.length === 0 ? (
                 <tr>
-                  <td className="px-5 py-8 text-slate-400" colSpan={7}>
+                  <td className="px-5 py-8 text-slate-400" colSpan={8}>
                     {t.noTasks}
                   </td>
                 </tr>
               ) : (
-                memberStats.map((member) => (
+                members.map((member) => (
                   <tr key={member.userId || member.userName} className="border-t border-slate-100">
                     <td className="px-5 py-3 font-medium text-slate-800">{member.userName}</td>
                     <td className="px-5 py-3 text-slate-700">{member.taskCount}</td>
@@ -138,6 +114,58 @@ const TeamStats: React.FC<TeamStatsProps> = ({ tasks }) => {
                     <td className="px-5 py-3 text-slate-700">{member.pendingCount}</td>
                     <td className="px-5 py-3 text-red-600">{member.overdueCount}</td>
                     <td className="px-5 py-3 text-blue-600">{member.completionRate}%</td>
+                    <td className="px-5 py-3 text-amber-600">
+                      {member.averageQuality === null ? (
+                        <span className="text-slate-400">-</span>
+                      ) : (
+                        <>
+                          {member.averageQuality}
+                          <span className="text-xs text-slate-400 ml-1">({member.ratedCount})</span>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="bg-white border border-slate-200 rounded-xl overflow-hidden">
+        <div className="px-5 py-4 border-b border-slate-100 flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-slate-900 flex items-center gap-2">
+            <Hourglass className="w-4 h-4 text-amber-500" /> {t.verifierWaitBoard}
+          </h2>
+          <span className="text-xs text-slate-400">
+            {t.verifierAutoPassed}: {verification.autoPassedCount}
+          </span>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-slate-50 text-slate-500">
+              <tr>
+                <th className="text-left px-5 py-3 font-medium">{t.verifier}</th>
+                <th className="text-left px-5 py-3 font-medium">{t.verifierDecisions}</th>
+                <th className="text-left px-5 py-3 font-medium">{t.verifierAvgWait}</th>
+                <th className="text-left px-5 py-3 font-medium">{t.verifierMaxWait}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {verification.verifiers.length === 0 ? (
+                <tr>
+                  <td className="px-5 py-8 text-slate-400" colSpan={4}>
+                    {t.noTasks}
+                  </td>
+                </tr>
+              ) : (
+                verification.verifiers.map((verifier) => (
+                  <tr key={verifier.userId} className="border-t border-slate-100">
+                    <td className="px-5 py-3 font-medium text-slate-800">{verifier.userId}</td>
+                    <td className="px-5 py-3 text-slate-700">{verifier.decisionCount}</td>
+                    <td className="px-5 py-3 text-amber-600">{verifier.averageWaitHours}h</td>
+                    <td className="px-5 py-3 text-red-600">{verifier.maxWaitHours}h</td>
                   </tr>
                 ))
               )}
@@ -2,7 +2,9 @@ export enum TaskStatus {
   PENDING = 'PENDING',
   WAITING_VERIFY = 'WAITING_VERIFY',
   COMPLETED = 'COMPLETED',
-  REJECTED = 'REJECTED'
+  REJECTED = 'REJECTED',
+  CANCELLED = 'CANCELLED',
+  ARCHIVED = 'ARCHIVED'
 }
 
 export interface User {
@@ -12,6 +14,91 @@ export interface User {
   role: 'MANAGER' | 'EXECUTOR';
 }
 
+export type TaskCompletionMode = 'ALL' | 'ANY';
+
+export type TaskPriority = 'P0' | 'P1' | 'P2' | 'P3';
+
+export interface TaskProject {
+  id: number;
+  name: string;
+  description: string;
+  ownerUserId: string;
+  memberUserIds: string[];
+  canEdit: boolean;
+}
+
+export type TaskTemplateExecutorRole = 'CREATOR' | 'PROJECT_OWNER';
+
+export interface TaskTemplate {
+  id: number;
+  name: string;
+  title: string;
+  description: string;
+  durationMinutes?: number;
+  defaultExecutorUserId?: string;
+  defaultExecutorRole?: TaskTemplateExecutorRole;
+  items: Array<{ title: string; isRequired: boolean }>;
+  canEdit: boolean;
+}
+
+export type TaskReminderPolicySource = 'TASK' | 'PROJECT' | 'GLOBAL' | 'PRIORITY';
+
+export interface TaskReminderPolicy {
+  id: number;
+  name: string;
+  offsetLabels: string[];
+  overdueRepeatMinutes: number | null;
+  canEdit: boolean;
+}
+
+export interface TaskReminderPlan {
+  source: TaskReminderPolicySource;
+  policyId: number | null;
+  name: string;
+  offsetLabels: string[];
+  overdueRepeatMinutes: number | null;
+  sentOffsets: string[];
+}
+
+export interface BusinessCalendarSummary {
+  utcOffsetMinutes: number;
+  workingHours: string;
+  quietHours: string | null;
+  holidayCount: number;
+  workdayCount: number;
+}
+
+export interface UserDigestSettings {
+  enabled: boolean;
+  sendTime: string | null;
+  effectiveSendTime: string;
+  suppressTaskReminders: boolean;
+}
+
+export interface UserPreferences {
+  timezoneOffsetMinutes: number | null;
+  effectiveTimezoneOffsetMinutes: number;
+  digest: UserDigestSettings;
+  businessCalendar: BusinessCalendarSummary;
+}
+
+export interface UserPreferencesPayload {
+  timezoneOffsetMinutes?: number | null;
+  digest?: {
+    enabled?: boolean;
+    sendTime?: string | null;
+    suppressTaskReminders?: boolean;
+  };
+}
+
+export type TaskManageAction = 'cancel' | 'archive' | 'reopen';
+
+export interface TaskExecutorProgress {
+  userId: string;
+  isDone: boolean;
+  completedAt?: string;
+}
+
 export interface Task {
   id: number;
   wecomScheduleId: string;
@@ -25,11 +112,65 @@ export interface Task {
   completionTime?: string;
   verifyTime?: string;
   rejectReason?: string;
+  qualityScore?: number | null;
+  qualityComment?: string;
   redoCount: number;
+  itemTotalCount: number;
+  itemDoneCount: number;
+  commentCount: number;
+  requireEvidence: boolean;
+  attachmentCount: number;
+  evidenceCount: number;
   canComplete: boolean;
   canVerify: boolean;
+  canManage: boolean;
+  canReassign: boolean;
+  originalEndTime?: string;
+  extensionCount: number;
+  pendingExtensionId?: number;
+  pendingExtensionEndTime?: string;
+  cancelReason?: string;
   isDueSoon: boolean;
   isOverdue: boolean;
+  escalationLevel?: number;
+  isBlocked: boolean;
+  completionMode: TaskCompletionMode;
+  priority: TaskPriority;
+  projectId?: number;
+  projectName?: string;
+  labels: string[];
+  executors: TaskExecutorProgress[];
+  approvalStageCount: number;
+  currentStageIndex: number;
+  currentStageName?: string;
+  seriesId?: number;
+  seriesIndex?: number;
+}
+
+export interface TaskComment {
+  id: number;
+  taskId: number;
+  authorUserId: string;
+  content: string;
+  mentionedUserIds: string[];
+  createdAt: string;
+}
+
+export interface TaskAttachment {
+  id: number;
+  taskId: number;
+  uploaderUserId: string;
+  originalName: string;
+  mimeType: string;
+  sizeBytes: number;
+  submissionRound: number;
+  createdAt: string;
+}
+
+export interface WeekdayActivity {
+  weekday: number;
+  completed: number;
+  rejected: number;
 }
 
 export interface KPIStats {
@@ -39,6 +180,36 @@ export interface KPIStats {
   overdueTasks: number;
   dueSoonTasks: number;
   onTimeRate: number;
+  originalOnTimeRate: number;
+  weekdayActivity: WeekdayActivity[];
+}
+
+export interface TaskReassignPayload {
+  toUserId: string;
+  note?: string;
+}
+
+export interface TaskSubmissionReport {
+  id: number;
+  taskId: number;
+  submitterUserId: string;
+  submissionRound: number;
+  summary: string;
+  actualHours: number | null;
+  links: string[];
+  source: string;
+  updatedAt: string;
+}
+
+export interface TaskSubmissionReportPayload {
+  summary: string;
+  actualHours: number | null;
+  links: string[];
+}
+
+export interface TaskExtensionRequestPayload {
+  proposedEndTime: string;
+  reason: string;
 }
 
 export interface TaskCreatePayload {
@@ -47,6 +218,43 @@ export interface TaskCreatePayload {
   executorUserId: string;
   startTime: string;
   endTime: string;
+  recurrence?: string;
+  priority?: TaskPriority;
+  projectId?: number;
+  labels?: string[];
+  requireEvidence?: boolean;
+  templateId?: number;
+}
+
+export interface TaskSearchSegment {
+  text: string;
+  matched: boolean;
+}
+
+export type TaskSearchField = 'title' | 'description' | 'comments' | 'reject_reasons';
+
+export interface TaskSearchResult {
+  task: Task;
+  score: number;
+  matchedFields: TaskSearchField[];
+  snippet: TaskSearchSegment[];
+}
+
+export type TaskSortField = 'priority' | 'end_time' | 'updated_at' | 'status' | 'created_at';
+
+export interface TaskListQuery {
+  status?: TaskStatus;
+  projectId?: string;
+  label?: string;
+  keyword?: string;
+  executorUserId?: string;
+  creatorUserId?: string;
+  endFrom?: string;
+  endTo?: string;
+  overdue?: boolean;
+  dueSoon?: boolean;
+  sort?: TaskSortField;
+  order?: 'asc' | 'desc';
 }
 
 export interface TeamMemberStats {
@@ -59,4 +267,23 @@ export interface TeamMemberStats {
   waitingVerifyCount: number;
   overdueCount: number;
   completionRate: number;
+  ratedCount: number;
+  averageQuality: number | null;
+}
+
+export interface VerifierWaitStats {
+  userId: string;
+  decisionCount: number;
+  averageWaitHours: number;
+  maxWaitHours: number;
+}
+
+export interface TeamVerificationStats {
+  autoPassedCount: number;
+  verifiers: VerifierWaitStats[];
+}
+
+export interface TaskQualityRating {
+  score: number | null;
+  comment: string;
 }